@@ -5,11 +5,21 @@ import ProtectedRoute from './components/common/ProtectedRoute.jsx';
 import ErrorBoundary from './components/common/ErrorBoundary.jsx';
 import Layout from './components/common/Layout.jsx';
 import Login from './pages/Login.jsx';
+import AcceptInvite from './pages/AcceptInvite.jsx';
 import Dashboard from './pages/Dashboard.jsx';
 import BlogManagement from './pages/BlogManagement.jsx';
 import CategoryManagement from './pages/CategoryManagement.jsx';
+import SeriesManagement from './pages/SeriesManagement.jsx';
+import TagManagement from './pages/TagManagement.jsx';
 import Analytics from './pages/Analytics.jsx';
 import UserManagement from './pages/UserManagement.jsx';
+import ReviewQueue from './pages/ReviewQueue.jsx';
+import CommentModeration from './pages/CommentModeration.jsx';
+import SecuritySettings from './pages/SecuritySettings.jsx';
+import Account from './pages/Account.jsx';
+import Activity from './pages/Activity.jsx';
+import RoleManagement from './pages/RoleManagement.jsx';
+import ApiKeys from './pages/ApiKeys.jsx';
 
 function App() {
     return (
@@ -20,12 +30,13 @@ function App() {
                         <Routes>
                             {/* Public routes */}
                             <Route path="/login" element={<Login />} />
+                            <Route path="/accept-invite" element={<AcceptInvite />} />
 
                             {/* Protected routes */}
                             <Route
                                 path="/dashboard"
                                 element={
-                                    <ProtectedRoute>
+                                    <ProtectedRoute permission="analytics.view">
                                         <Layout>
                                             <Analytics />
                                         </Layout>
@@ -35,33 +46,123 @@ function App() {
                             <Route
                                 path="/blogs"
                                 element={
-                                    <ProtectedRoute>
+                                    <ProtectedRoute permission={['blog.create', 'blog.edit.any']}>
                                         <Layout>
                                             <BlogManagement />
                                         </Layout>
                                     </ProtectedRoute>
                                 }
                             />
+                            <Route
+                                path="/review"
+                                element={
+                                    <ProtectedRoute permission="blog.review">
+                                        <Layout>
+                                            <ReviewQueue />
+                                        </Layout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/comments"
+                                element={
+                                    <ProtectedRoute permission="comment.moderate">
+                                        <Layout>
+                                            <CommentModeration />
+                                        </Layout>
+                                    </ProtectedRoute>
+                                }
+                            />
                             <Route
                                 path="/categories"
                                 element={
-                                    <ProtectedRoute>
+                                    <ProtectedRoute permission={['category.manage', 'blog.create']}>
                                         <Layout>
                                             <CategoryManagement />
                                         </Layout>
                                     </ProtectedRoute>
                                 }
                             />
+                            <Route
+                                path="/series"
+                                element={
+                                    <ProtectedRoute permission="series.manage">
+                                        <Layout>
+                                            <SeriesManagement />
+                                        </Layout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/tags"
+                                element={
+                                    <ProtectedRoute permission="tag.manage">
+                                        <Layout>
+                                            <TagManagement />
+                                        </Layout>
+                                    </ProtectedRoute>
+                                }
+                            />
                             <Route
                                 path="/users"
                                 element={
-                                    <ProtectedRoute>
+                                    <ProtectedRoute permission="user.view">
                                         <Layout>
                                             <UserManagement />
                                         </Layout>
                                     </ProtectedRoute>
                                 }
                             />
+                            <Route
+                                path="/activity"
+                                element={
+                                    <ProtectedRoute permission="audit.view">
+                                        <Layout>
+                                            <Activity />
+                                        </Layout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/roles"
+                                element={
+                                    <ProtectedRoute permission="role.manage">
+                                        <Layout>
+                                            <RoleManagement />
+                                        </Layout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/api-keys"
+                                element={
+                                    <ProtectedRoute permission="apikey.manage">
+                                        <Layout>
+                                            <ApiKeys />
+                                        </Layout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/account"
+                                element={
+                                    <ProtectedRoute allowReviewer>
+                                        <Layout>
+                                            <Account />
+                                        </Layout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/settings/security"
+                                element={
+                                    <ProtectedRoute allowReviewer>
+                                        <Layout>
+                                            <SecuritySettings />
+                                        </Layout>
+                                    </ProtectedRoute>
+                                }
+                            />
 
                             {/* Redirect root to blog management */}
                             <Route path="/" element={<Navigate to="/blogs" replace />} />
@@ -1,5 +1,5 @@
 import React from 'react';
-import { FileText, Eye, Heart, Users, Edit, Archive, TrendingUp, TrendingDown } from 'lucide-react';
+import { FileText, Eye, Heart, Users, Edit, Archive, MessageCircle, TrendingUp, TrendingDown } from 'lucide-react';
 
 /**
  * OverviewCards Component
@@ -39,6 +39,15 @@ function OverviewCards({ data, loading }) {
             bgGradient: 'from-purple-50 to-pink-50',
             textColor: 'text-purple-600',
         },
+        {
+            title: 'Comments',
+            value: data?.totalComments || 0,
+            icon: MessageCircle,
+            gradient: 'from-teal-500 to-cyan-500',
+            bgGradient: 'from-teal-50 to-cyan-50',
+            textColor: 'text-teal-600',
+            subtitle: data?.comments?.pending ? `${data.comments.pending.toLocaleString()} pending` : null,
+        },
         // {
         //     title: 'Total Likes',
         //     value: data?.totalLikes || 0,
@@ -109,6 +118,9 @@ function OverviewCards({ data, loading }) {
                                     <p className={`text-md font-bold my-0 ${card.textColor} group-hover:scale-105 transition-transform duration-300`}>
                                         {card.value.toLocaleString()}
                                     </p>
+                                    {card.subtitle && (
+                                        <p className="text-xs text-gray-500 my-0">{card.subtitle}</p>
+                                    )}
                                 </div>
                             </div>
                             {/* <div className={`flex items-center space-x-1 px-2 py-1 rounded-full text-xs font-medium ${card.changeType === 'positive'
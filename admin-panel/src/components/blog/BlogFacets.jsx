@@ -0,0 +1,81 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { getStatusLabel } from '../../utils/blogWorkflow.js';
+
+// Facet groups in display order; key is both the facet and the list filter it sets
+const FACET_GROUPS = [
+    { key: 'category', title: 'Category' },
+    { key: 'tags', title: 'Tags' },
+    { key: 'author', title: 'Author' },
+    { key: 'status', title: 'Status', format: getStatusLabel },
+    {
+        key: 'month',
+        title: 'Published',
+        // Facet months are UTC, e.g. '2025-03'
+        format: (month) => new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-US', {
+            month: 'short',
+            year: 'numeric',
+            timeZone: 'UTC'
+        })
+    }
+];
+
+// Counts of the listed blogs by category, tag, author, status and publish month;
+// clicking a value filters the list to it, clicking it again clears the filter
+function BlogFacets({ facets, filters, onSelect }) {
+    if (!facets) return null;
+
+    const groups = FACET_GROUPS.filter(group => facets[group.key]?.length > 0 || filters[group.key]);
+    if (groups.length === 0) return null;
+
+    const hasActive = FACET_GROUPS.some(group => filters[group.key]);
+
+    return (
+        <div className="bg-white shadow rounded-lg p-4">
+            <div className="flex items-center justify-between mb-3">
+                <h2 className="text-sm font-semibold text-gray-900">Refine results</h2>
+                {hasActive && (
+                    <button
+                        type="button"
+                        onClick={() => FACET_GROUPS.forEach(group => filters[group.key] && onSelect(group.key, ''))}
+                        className="inline-flex items-center text-xs text-gray-500 hover:text-gray-700"
+                    >
+                        <X className="h-3 w-3 mr-1" />
+                        Clear filters
+                    </button>
+                )}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+                {groups.map(group => (
+                    <div key={group.key} role="group" aria-label={`${group.title} facets`}>
+                        <h3 className="text-xs font-medium text-gray-500 uppercase mb-2">{group.title}</h3>
+                        <ul className="space-y-1 max-h-40 overflow-y-auto">
+                            {(facets[group.key] || []).map(option => {
+                                const active = filters[group.key] === option.value;
+                                const label = group.format ? group.format(option.value) : option.label;
+                                return (
+                                    <li key={option.value}>
+                                        <button
+                                            type="button"
+                                            aria-pressed={active}
+                                            onClick={() => onSelect(group.key, active ? '' : option.value)}
+                                            className={`w-full flex items-center justify-between px-2 py-1 rounded text-sm ${active
+                                                ? 'bg-blue-100 text-blue-800 font-medium'
+                                                : 'text-gray-700 hover:bg-gray-50'
+                                                }`}
+                                        >
+                                            <span className="truncate">{label}</span>
+                                            <span className="ml-2 text-xs text-gray-500">{option.count}</span>
+                                        </button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default BlogFacets;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Save, X, Eye, EyeOff } from 'lucide-react';
+import { Save, X, Eye, EyeOff, History, MessageSquare } from 'lucide-react';
 import blogService from '../../services/blog.js';
 import 'react-quill/dist/quill.snow.css';
 import FileUpload from '../common/FileUpload.jsx';
@@ -7,8 +7,23 @@ import ContentPreview from './ContentPreview.jsx';
 import CategoryManager from './CategoryManager.jsx';
 import TagManager from './TagManager.jsx';
 import SEOMetadataForm from './SEOMetadataForm.jsx';
+import RevisionHistory from './RevisionHistory.jsx';
+import EditorialComments from './EditorialComments.jsx';
+import authService from '../../services/auth.js';
+import { getStatusOptions } from '../../utils/blogWorkflow.js';
 import ReactQuill from 'react-quill';
 
+// Convert an ISO date to the local "YYYY-MM-DDTHH:mm" format used by datetime-local inputs
+const toDateTimeLocal = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// Convert a datetime-local value back to ISO (null clears the date)
+const fromDateTimeLocal = (value) => (value ? new Date(value).toISOString() : null);
+
 function BlogForm({ blogSlug, onSave, onCancel, mode = 'create' }) {
 
     // QUILL
@@ -60,6 +75,8 @@ function BlogForm({ blogSlug, onSave, onCancel, mode = 'create' }) {
         category: '',
         tags: [],
         status: 'draft',
+        publishAt: '',
+        unpublishAt: '',
         featured: false,
         coverImage: {
             url: '',
@@ -77,10 +94,14 @@ function BlogForm({ blogSlug, onSave, onCancel, mode = 'create' }) {
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [showPreview, setShowPreview] = useState(false);
-    // Tag management
-    const [availableTags, setAvailableTags] = useState([
-        'medicalBilling', 'medicalCoding', 'EHR', 'AIINHEALTHCARE', 'HEALTHCARE', 'guide', 'tips'
-    ]);
+    const [showHistory, setShowHistory] = useState(false);
+    const [showComments, setShowComments] = useState(false);
+    const [statusComment, setStatusComment] = useState('');
+
+    // Status choices depend on the user's role and the saved status
+    const savedStatus = mode === 'edit' ? blog?.status : null;
+    const statusOptions = getStatusOptions(authService.getCurrentUser()?.permissions, savedStatus || null);
+    const statusChanged = mode === 'edit' && blog && formData.status !== blog.status;
 
     // Initialize form data when blog prop changes
 
@@ -110,6 +131,8 @@ function BlogForm({ blogSlug, onSave, onCancel, mode = 'create' }) {
                 category: blog.category || '',
                 tags: blog.tags || [],
                 status: blog.status || 'draft',
+                publishAt: toDateTimeLocal(blog.publishAt),
+                unpublishAt: toDateTimeLocal(blog.unpublishAt),
                 featured: blog.featured || false,
                 coverImage: {
                     url: blog.coverImage?.url || '',
@@ -179,10 +202,16 @@ function BlogForm({ blogSlug, onSave, onCancel, mode = 'create' }) {
         try {
             let response;
             formData.content = blogContent;
+            const payload = {
+                ...formData,
+                publishAt: formData.status === 'scheduled' ? fromDateTimeLocal(formData.publishAt) : null,
+                unpublishAt: fromDateTimeLocal(formData.unpublishAt),
+                ...(statusChanged && statusComment.trim() ? { comment: statusComment.trim() } : {})
+            };
             if (mode === 'create') {
-                response = await blogService.createBlog(formData);
+                response = await blogService.createBlog(payload);
             } else {
-                response = await blogService.updateBlog(blog._id, formData);
+                response = await blogService.updateBlog(blog._id, payload);
             }
 
             if (response.success) {
@@ -216,6 +245,32 @@ function BlogForm({ blogSlug, onSave, onCancel, mode = 'create' }) {
                         {mode === 'create' ? 'Create New Blog' : 'Edit Blog'}
                     </h2>
                     <div className="flex items-center space-x-2">
+                        {mode === 'edit' && blog?._id && (
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    setShowComments(!showComments);
+                                    setShowHistory(false);
+                                }}
+                                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                            >
+                                <MessageSquare className="h-4 w-4 mr-2" />
+                                {showComments ? 'Hide Comments' : 'Comments'}
+                            </button>
+                        )}
+                        {mode === 'edit' && blog?._id && (
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    setShowHistory(!showHistory);
+                                    setShowComments(false);
+                                }}
+                                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                            >
+                                <History className="h-4 w-4 mr-2" />
+                                {showHistory ? 'Hide History' : 'History'}
+                            </button>
+                        )}
                         <button
                             type="button"
                             onClick={() => setShowPreview(!showPreview)}
@@ -243,222 +298,299 @@ function BlogForm({ blogSlug, onSave, onCancel, mode = 'create' }) {
                 </div>
             )}
 
-            <form onSubmit={handleSubmit} className="p-6 space-y-6">
-                {/* Basic Information */}
-                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                    <div className="lg:col-span-2">
-                        <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-2">
-                            Title <span className='text-red-500'>*</span>
+            <div className="flex">
+                <form onSubmit={handleSubmit} className="flex-1 min-w-0 p-6 space-y-6">
+                    {/* Basic Information */}
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <div className="lg:col-span-2">
+                            <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-2">
+                                Title <span className='text-red-500'>*</span>
+                            </label>
+                            <input
+                                type="text"
+                                id="title"
+                                name="title"
+                                value={formData.title}
+                                onChange={handleChange}
+                                required
+                                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
+                                placeholder="Enter blog title"
+                            />
+                            {formData.title && (
+                                <p className="mt-1 text-sm text-gray-500">
+                                    Slug: {generateSlug(formData.title)}
+                                </p>
+                            )}
+                        </div>
+
+                        <div>
+                            <CategoryManager
+                                selectedCategory={formData.category}
+                                onCategoryChange={handleCategoryChange}
+                                disabled={loading}
+                            />
+                        </div>
+
+                        <div>
+                            <label htmlFor="status" className="block text-sm font-medium text-gray-700 mb-2">
+                                Status <span className='text-red-500'>*</span>
+                            </label>
+                            <select
+                                id="status"
+                                name="status"
+                                value={formData.status}
+                                onChange={handleChange}
+                                required
+                                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
+                            >
+                                {statusOptions.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {/* Note recorded in the status history */}
+                        {statusChanged && (
+                            <div>
+                                <label htmlFor="statusComment" className="block text-sm font-medium text-gray-700 mb-2">
+                                    Status change comment
+                                </label>
+                                <input
+                                    type="text"
+                                    id="statusComment"
+                                    value={statusComment}
+                                    onChange={(e) => setStatusComment(e.target.value)}
+                                    maxLength={2000}
+                                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
+                                    placeholder="Optional note for reviewers"
+                                />
+                            </div>
+                        )}
+
+                        {/* Scheduling */}
+                        {formData.status === 'scheduled' && (
+                            <div>
+                                <label htmlFor="publishAt" className="block text-sm font-medium text-gray-700 mb-2">
+                                    Publish At <span className='text-red-500'>*</span>
+                                </label>
+                                <input
+                                    type="datetime-local"
+                                    id="publishAt"
+                                    name="publishAt"
+                                    value={formData.publishAt}
+                                    onChange={handleChange}
+                                    min={toDateTimeLocal(new Date())}
+                                    required
+                                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
+                                />
+                            </div>
+                        )}
+
+                        {(formData.status === 'scheduled' || formData.status === 'published') && (
+                            <div>
+                                <label htmlFor="unpublishAt" className="block text-sm font-medium text-gray-700 mb-2">
+                                    Unpublish At
+                                </label>
+                                <input
+                                    type="datetime-local"
+                                    id="unpublishAt"
+                                    name="unpublishAt"
+                                    value={formData.unpublishAt}
+                                    onChange={handleChange}
+                                    min={formData.publishAt || toDateTimeLocal(new Date())}
+                                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
+                                />
+                                <p className="mt-1 text-xs text-gray-500">Optional. The post is archived automatically at this time.</p>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Excerpt */}
+                    <div>
+                        <label htmlFor="excerpt" className="block text-sm font-medium text-gray-700 mb-2">
+                            Excerpt
                         </label>
-                        <input
-                            type="text"
-                            id="title"
-                            name="title"
-                            value={formData.title}
+                        <textarea
+                            id="excerpt"
+                            name="excerpt"
+                            value={formData.excerpt}
                             onChange={handleChange}
-                            required
+                            rows={3}
                             className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
-                            placeholder="Enter blog title"
+                            placeholder="Brief description of the blog post"
                         />
-                        {formData.title && (
-                            <p className="mt-1 text-sm text-gray-500">
-                                Slug: {generateSlug(formData.title)}
-                            </p>
-                        )}
                     </div>
 
+                    {/* Content */}
+                    <div>
+                        <label htmlFor="content" className="block text-sm font-medium text-gray-700 mb-2">
+                            Content <span className='text-red-500'>*</span>
+                        </label>
+                        <div style={{ height: '400px', display: showPreview ? 'none' : 'block' }}>
+
+                            <ReactQuill
+                                ref={quillRef}
+                                theme="snow"
+                                value={blogContent}
+                                onChange={(content) => setBlogContent(content)}
+                                placeholder={"Start writing your content..."}
+                                modules={modules}
+                                formats={formats}
+                                // readOnly={loading}
+                                style={{
+                                    height: '350px',
+                                    minHeight: '350px'
+                                }}
+                            />
+                        </div>
+                        <div style={{ display: showPreview ? 'block' : 'none' }}>
+                            <ContentPreview
+                                blog={formData}
+                                blogContent={blogContent}
+                                className="border border-gray-300 rounded-md min-h-[400px] p-4"
+                            />
+                        </div>
+                    </div>
+
+                    {/* Tags */}
                     <div>
-                        <CategoryManager
-                            selectedCategory={formData.category}
-                            onCategoryChange={handleCategoryChange}
+                        <TagManager
+                            selectedTags={formData.tags}
+                            onTagsChange={handleTagsChange}
                             disabled={loading}
+                            maxTags={10}
+                            placeholder="Add a tag"
                         />
                     </div>
 
+                    {/* Cover Image */}
                     <div>
-                        <label htmlFor="status" className="block text-sm font-medium text-gray-700 mb-2">
-                            Status <span className='text-red-500'>*</span>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Cover Image
                         </label>
-                        <select
-                            id="status"
-                            name="status"
-                            value={formData.status}
-                            onChange={handleChange}
-                            required
-                            className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
-                        >
-                            <option value="draft">Draft</option>
-                            <option value="published">Published</option>
-                            <option value="archived">Archived</option>
-                        </select>
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                            <div>
+                                <FileUpload
+                                    accept="image/jpeg,image/png,image/gif,image/webp,image/avif"
+                                    maxSize={5 * 1024 * 1024} // 5MB
+                                    folder="blog-covers"
+                                    onUpload={(fileData) => {
+                                        setFormData(prev => ({
+                                            ...prev,
+                                            coverImage: {
+                                                url: fileData.url,
+                                                alt: formData.coverImage.alt || fileData.fileName
+                                            }
+                                        }));
+                                    }}
+                                    onError={(errors) => {
+                                        setError(errors.join(', '));
+                                    }}
+                                    disabled={loading}
+                                    existingFile={formData.coverImage.url ? {
+                                        url: formData.coverImage.url,
+                                        fileName: 'Cover Image',
+                                        contentType: 'image/jpeg'
+                                    } : null}
+                                >
+                                    Upload cover image or drag & drop
+                                </FileUpload>
+                            </div>
+
+                            <div>
+                                <label htmlFor="coverImage.alt" className="block text-sm font-medium text-gray-700 mb-2">
+                                    Cover Image Alt Text
+                                </label>
+                                <input
+                                    type="text"
+                                    id="coverImage.alt"
+                                    name="coverImage.alt"
+                                    value={formData.coverImage.alt}
+                                    onChange={handleChange}
+                                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
+                                    placeholder="Describe the image for accessibility"
+                                />
+                                <p className="mt-1 text-xs text-gray-500">
+                                    Alt text helps screen readers and improves SEO
+                                </p>
+                            </div>
+                        </div>
                     </div>
-                </div>
 
-                {/* Excerpt */}
-                <div>
-                    <label htmlFor="excerpt" className="block text-sm font-medium text-gray-700 mb-2">
-                        Excerpt
-                    </label>
-                    <textarea
-                        id="excerpt"
-                        name="excerpt"
-                        value={formData.excerpt}
-                        onChange={handleChange}
-                        rows={3}
-                        className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
-                        placeholder="Brief description of the blog post"
-                    />
-                </div>
-
-                {/* Content */}
-                <div>
-                    <label htmlFor="content" className="block text-sm font-medium text-gray-700 mb-2">
-                        Content <span className='text-red-500'>*</span>
-                    </label>
-                    <div style={{ height: '400px', display: showPreview ? 'none' : 'block' }}>
-
-                        <ReactQuill
-                            ref={quillRef}
-                            theme="snow"
-                            value={blogContent}
-                            onChange={(content) => setBlogContent(content)}
-                            placeholder={"Start writing your content..."}
-                            modules={modules}
-                            formats={formats}
-                            // readOnly={loading}
-                            style={{
-                                height: '350px',
-                                minHeight: '350px'
-                            }}
-                        />
-                    </div>
-                    <div style={{ display: showPreview ? 'block' : 'none' }}>
-                        <ContentPreview
-                            blog={formData}
-                            blogContent={blogContent}
-                            className="border border-gray-300 rounded-md min-h-[400px] p-4"
+                    {/* Featured Toggle */}
+                    <div className="flex items-center">
+                        <input
+                            type="checkbox"
+                            id="featured"
+                            name="featured"
+                            checked={formData.featured}
+                            onChange={handleChange}
+                            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                         />
+                        <label htmlFor="featured" className="ml-2 block text-sm text-gray-900">
+                            Mark as featured
+                        </label>
                     </div>
-                </div>
 
-                {/* Tags */}
-                <div>
-                    <TagManager
-                        selectedTags={formData.tags}
-                        onTagsChange={handleTagsChange}
-                        availableTags={availableTags}
-                        onAvailableTagsUpdate={setAvailableTags}
+                    {/* SEO Metadata */}
+                    <SEOMetadataForm
+                        seoMetadata={formData.seoMetadata}
+                        onSeoMetadataChange={handleSeoMetadataChange}
+                        blogTitle={formData.title}
                         disabled={loading}
-                        maxTags={10}
-                        placeholder="Add a tag"
                     />
-                </div>
 
-                {/* Cover Image */}
-                <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Cover Image
-                    </label>
-                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                        <div>
-                            <FileUpload
-                                accept="image/jpeg,image/png,image/gif,image/webp,image/avif"
-                                maxSize={5 * 1024 * 1024} // 5MB
-                                folder="blog-covers"
-                                onUpload={(fileData) => {
-                                    setFormData(prev => ({
-                                        ...prev,
-                                        coverImage: {
-                                            url: fileData.url,
-                                            alt: formData.coverImage.alt || fileData.fileName
-                                        }
-                                    }));
-                                }}
-                                onError={(errors) => {
-                                    setError(errors.join(', '));
-                                }}
-                                disabled={loading}
-                                existingFile={formData.coverImage.url ? {
-                                    url: formData.coverImage.url,
-                                    fileName: 'Cover Image',
-                                    contentType: 'image/jpeg'
-                                } : null}
-                            >
-                                Upload cover image or drag & drop
-                            </FileUpload>
-                        </div>
-
-                        <div>
-                            <label htmlFor="coverImage.alt" className="block text-sm font-medium text-gray-700 mb-2">
-                                Cover Image Alt Text
-                            </label>
-                            <input
-                                type="text"
-                                id="coverImage.alt"
-                                name="coverImage.alt"
-                                value={formData.coverImage.alt}
-                                onChange={handleChange}
-                                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
-                                placeholder="Describe the image for accessibility"
-                            />
-                            <p className="mt-1 text-xs text-gray-500">
-                                Alt text helps screen readers and improves SEO
-                            </p>
-                        </div>
+                    {/* Form Actions */}
+                    <div className="flex justify-end space-x-4 pt-6 border-t">
+                        <button
+                            type="button"
+                            onClick={onCancel}
+                            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {loading ? (
+                                <>
+                                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                                    Saving...
+                                </>
+                            ) : (
+                                <>
+                                    <Save className="h-4 w-4 mr-2" />
+                                    {mode === 'create' ? 'Create Blog' : 'Update Blog'}
+                                </>
+                            )}
+                        </button>
                     </div>
-                </div>
-
-                {/* Featured Toggle */}
-                <div className="flex items-center">
-                    <input
-                        type="checkbox"
-                        id="featured"
-                        name="featured"
-                        checked={formData.featured}
-                        onChange={handleChange}
-                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                    />
-                    <label htmlFor="featured" className="ml-2 block text-sm text-gray-900">
-                        Mark as featured
-                    </label>
-                </div>
-
-                {/* SEO Metadata */}
-                <SEOMetadataForm
-                    seoMetadata={formData.seoMetadata}
-                    onSeoMetadataChange={handleSeoMetadataChange}
-                    blogTitle={formData.title}
-                    disabled={loading}
-                />
-
-                {/* Form Actions */}
-                <div className="flex justify-end space-x-4 pt-6 border-t">
-                    <button
-                        type="button"
-                        onClick={onCancel}
-                        className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                    >
-                        Cancel
-                    </button>
-                    <button
-                        type="submit"
-                        disabled={loading}
-                        className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                        {loading ? (
-                            <>
-                                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                                Saving...
-                            </>
-                        ) : (
-                            <>
-                                <Save className="h-4 w-4 mr-2" />
-                                {mode === 'create' ? 'Create Blog' : 'Update Blog'}
-                            </>
-                        )}
-                    </button>
-                </div>
-            </form>
+                </form>
+
+                {/* Revision History Panel */}
+                {showHistory && blog?._id && (
+                    <aside className="w-96 flex-shrink-0 p-6 pl-0">
+                        <RevisionHistory
+                            blogId={blog._id}
+                            onRestore={(restoredBlog) => setBlog(restoredBlog)}
+                            onClose={() => setShowHistory(false)}
+                        />
+                    </aside>
+                )}
+
+                {/* Editorial Comments Panel */}
+                {showComments && blog?._id && (
+                    <aside className="w-96 flex-shrink-0 p-6 pl-0">
+                        <EditorialComments
+                            blogId={blog._id}
+                            getEditor={() => quillRef.current?.getEditor()}
+                            onClose={() => setShowComments(false)}
+                        />
+                    </aside>
+                )}
+            </div>
         </div>
     );
 }
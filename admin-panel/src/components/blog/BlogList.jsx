@@ -11,14 +11,48 @@ import {
     User,
     Tag,
     ChevronLeft,
-    ChevronRight
+    ChevronRight,
+    Clock,
+    X
 } from 'lucide-react';
 import blogService from '../../services/blog.js';
-
-function BlogList({ onCreateBlog, onEditBlog }) {
+import authService from '../../services/auth.js';
+import { getStatusOptions } from '../../utils/blogWorkflow.js';
+import BulkActionBar from './BulkActionBar.jsx';
+import BlogFacets from './BlogFacets.jsx';
+
+const CREDIT_PREFIXES = {
+    author: 'By',
+    reviewer: 'Reviewed by',
+    medical_reviewer: 'Medically reviewed by'
+};
+
+// Display name of a credited user (populated reference)
+const getCreditName = (user) => {
+    const fullName = [user?.profile?.firstName, user?.profile?.lastName].filter(Boolean).join(' ');
+    return fullName || user?.username || 'Unknown';
+};
+
+// Byline such as "By Jane Doe, John Roe · Medically reviewed by Ann Lee";
+// blogs from before co-authors only have the primary author
+const formatCredits = (blog) => {
+    const credits = blog.authors?.length ? blog.authors : [{ user: blog.author, role: 'author' }];
+
+    return Object.entries(CREDIT_PREFIXES)
+        .map(([role, prefix]) => {
+            const names = credits.filter(credit => credit.role === role && credit.user).map(credit => getCreditName(credit.user));
+            return names.length > 0 ? `${prefix} ${names.join(', ')}` : null;
+        })
+        .filter(Boolean)
+        .join(' · ');
+};
+
+function BlogList({ onCreateBlog, onEditBlog, onOpenTrash }) {
     const [blogs, setBlogs] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const userPermissions = authService.getCurrentUser()?.permissions || [];
+    const canDelete = userPermissions.includes('blog.delete.own') || userPermissions.includes('blog.delete.any');
     const [pagination, setPagination] = useState({
         page: 1,
         limit: 10,
@@ -37,12 +71,19 @@ function BlogList({ onCreateBlog, onEditBlog }) {
         search: '',
         status: '',
         category: '',
+        tags: '',
+        author: '',
+        month: '',
         featured: '',
         sortBy: 'createdAt',
         sortOrder: 'desc'
     });
 
     const [showFilters, setShowFilters] = useState(false);
+    const [facets, setFacets] = useState(null);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [bulkResult, setBulkResult] = useState(null);
+    const [now, setNow] = useState(Date.now());
 
     // Load blogs
     const loadBlogs = async () => {
@@ -53,7 +94,10 @@ function BlogList({ onCreateBlog, onEditBlog }) {
             const params = {
                 page: pagination.page,
                 limit: pagination.limit,
-                ...filters
+                ...filters,
+                facets: true,
+                // Category facets count each category's own blogs, so filter the same way
+                includeSubcategories: filters.category ? false : undefined
             };
 
             // Remove empty filter values except status (keep empty status to fetch all blogs)
@@ -67,6 +111,9 @@ function BlogList({ onCreateBlog, onEditBlog }) {
 
             if (response.success) {
                 setBlogs(response.data);
+                setFacets(response.facets || null);
+                // Drop selections that are no longer on the page
+                setSelectedIds(prev => prev.filter(id => response.data.some(blog => blog._id === id)));
                 console.log(response, 'responseresponseresponseresponse')
                 setPagination(response?.pagination);
             } else {
@@ -80,6 +127,12 @@ function BlogList({ onCreateBlog, onEditBlog }) {
     };
 
     // Load blogs when filters or pagination change
+    // Tick every 30 seconds to keep schedule countdowns current
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 30000);
+        return () => clearInterval(timer);
+    }, []);
+
     useEffect(() => {
         loadBlogs();
     }, [pagination.page, filters]);
@@ -102,6 +155,28 @@ function BlogList({ onCreateBlog, onEditBlog }) {
         setPagination(prev => ({ ...prev, page: newPage }));
     };
 
+    // Toggle one blog, or every blog on the page, in the bulk selection
+    const toggleSelected = (blogId) => {
+        setSelectedIds(prev => prev.includes(blogId) ? prev.filter(id => id !== blogId) : [...prev, blogId]);
+    };
+
+    const allSelected = blogs.length > 0 && blogs.every(blog => selectedIds.includes(blog._id));
+    const toggleAllSelected = () => {
+        setSelectedIds(allSelected ? [] : blogs.map(blog => blog._id));
+    };
+
+    // Summarize a bulk action and keep the blogs it could not change selected
+    const handleBulkComplete = (data) => {
+        const failures = data.results.filter(result => !result.success).map(result => ({
+            ...result,
+            title: blogs.find(blog => blog._id === result.id)?.title || result.id
+        }));
+
+        setBulkResult({ succeeded: data.succeeded, total: data.results.length, failures });
+        setSelectedIds(failures.map(failure => failure.id));
+        loadBlogs();
+    };
+
     // Handle delete blog
     const handleDeleteBlog = async (blogId, blogTitle) => {
         if (!window.confirm(`Are you sure you want to delete "${blogTitle}"?`)) {
@@ -157,11 +232,52 @@ function BlogList({ onCreateBlog, onEditBlog }) {
         });
     };
 
+    // Format time remaining until a scheduled date
+    const formatCountdown = (dateString) => {
+        const remaining = new Date(dateString).getTime() - now;
+        if (remaining <= 0) return 'any moment';
+
+        const minutes = Math.floor(remaining / 60000);
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+
+        if (days > 0) return `in ${days}d ${hours}h`;
+        if (hours > 0) return `in ${hours}h ${minutes % 60}m`;
+        return `in ${Math.max(minutes, 1)}m`;
+    };
+
+    // Render the schedule cell for scheduled and auto-expiring blogs
+    const renderSchedule = (blog) => {
+        if (blog.status === 'scheduled' && blog.publishAt) {
+            return (
+                <div className="flex items-center text-blue-600" title={new Date(blog.publishAt).toLocaleString()}>
+                    <Clock className="h-3 w-3 mr-1" />
+                    Publishes {formatCountdown(blog.publishAt)}
+                </div>
+            );
+        }
+
+        if (blog.status === 'published' && blog.unpublishAt) {
+            return (
+                <div className="flex items-center text-orange-600" title={new Date(blog.unpublishAt).toLocaleString()}>
+                    <Clock className="h-3 w-3 mr-1" />
+                    Unpublishes {formatCountdown(blog.unpublishAt)}
+                </div>
+            );
+        }
+
+        return <span className="text-gray-400">—</span>;
+    };
+
     // Get status badge color
     const getStatusBadgeColor = (status) => {
         switch (status) {
             case 'published':
                 return 'bg-green-100 text-green-800';
+            case 'scheduled':
+                return 'bg-blue-100 text-blue-800';
+            case 'in_review':
+                return 'bg-purple-100 text-purple-800';
             case 'draft':
                 return 'bg-yellow-100 text-yellow-800';
             case 'archived':
@@ -208,6 +324,16 @@ function BlogList({ onCreateBlog, onEditBlog }) {
                             <Filter className="h-4 w-4 mr-2" />
                             Filters
                         </button>
+                        {onOpenTrash && canDelete && (
+                            <button
+                                type="button"
+                                onClick={onOpenTrash}
+                                className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                                <Trash2 className="h-4 w-4 mr-2" />
+                                Trash
+                            </button>
+                        )}
                         <button
                             onClick={onCreateBlog}
                             className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
@@ -232,6 +358,8 @@ function BlogList({ onCreateBlog, onEditBlog }) {
                             >
                                 <option value="">All Statuses</option>
                                 <option value="draft">Draft</option>
+                                <option value="in_review">In Review</option>
+                                <option value="scheduled">Scheduled</option>
                                 <option value="published">Published</option>
                                 <option value="archived">Archived</option>
                             </select>
@@ -293,6 +421,43 @@ function BlogList({ onCreateBlog, onEditBlog }) {
                 </div>
             )}
 
+            <BlogFacets facets={facets} filters={filters} onSelect={handleFilterChange} />
+
+            {/* Bulk Actions */}
+            {selectedIds.length > 0 && (
+                <BulkActionBar
+                    selectedIds={selectedIds}
+                    userPermissions={userPermissions}
+                    onComplete={handleBulkComplete}
+                    onClear={() => setSelectedIds([])}
+                />
+            )}
+
+            {bulkResult && (
+                <div className={`border rounded-md p-4 ${bulkResult.failures.length > 0 ? 'bg-yellow-50 border-yellow-200' : 'bg-green-50 border-green-200'}`}>
+                    <div className="flex items-start justify-between">
+                        <p className="text-sm font-medium text-gray-800">
+                            {bulkResult.succeeded} of {bulkResult.total} blogs updated
+                        </p>
+                        <button
+                            type="button"
+                            onClick={() => setBulkResult(null)}
+                            className="text-gray-500 hover:text-gray-700"
+                            aria-label="Dismiss bulk action result"
+                        >
+                            <X className="h-4 w-4" />
+                        </button>
+                    </div>
+                    {bulkResult.failures.length > 0 && (
+                        <ul className="mt-2 text-sm text-yellow-800 list-disc list-inside">
+                            {bulkResult.failures.map(failure => (
+                                <li key={failure.id}>{failure.title}: {failure.error}</li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
             {/* Blog List */}
             <div className="bg-white shadow rounded-lg overflow-hidden">
                 {blogs.length === 0 ? (
@@ -304,12 +469,24 @@ function BlogList({ onCreateBlog, onEditBlog }) {
                         <table className="min-w-full divide-y divide-gray-200">
                             <thead className="bg-gray-50">
                                 <tr>
+                                    <th className="pl-4 py-3 w-8">
+                                        <input
+                                            type="checkbox"
+                                            checked={allSelected}
+                                            onChange={toggleAllSelected}
+                                            aria-label="Select all blogs"
+                                            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                        />
+                                    </th>
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                         Blog
                                     </th>
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                         Status
                                     </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Schedule
+                                    </th>
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                         Stats
                                     </th>
@@ -323,7 +500,16 @@ function BlogList({ onCreateBlog, onEditBlog }) {
                             </thead>
                             <tbody className="bg-white divide-y divide-gray-200">
                                 {blogs.map((blog) => (
-                                    <tr key={blog?._id} className="hover:bg-gray-50">
+                                    <tr key={blog?._id} className={selectedIds.includes(blog._id) ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                                        <td className="pl-4 py-3 w-8">
+                                            <input
+                                                type="checkbox"
+                                                checked={selectedIds.includes(blog._id)}
+                                                onChange={() => toggleSelected(blog._id)}
+                                                aria-label={`Select ${blog.title}`}
+                                                className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                            />
+                                        </td>
                                         <td className="px-4 py-3">
                                             <div className="flex items-start space-x-3">
                                                 {blog.coverImage?.url && (
@@ -340,6 +526,12 @@ function BlogList({ onCreateBlog, onEditBlog }) {
                                                             {blog?.title?.length > 40 ? blog?.title?.slice?.(0, 39) + '...' : blog?.title}
                                                         </h3>
                                                     </div>
+                                                    {formatCredits(blog) && (
+                                                        <div className="flex items-center mt-1">
+                                                            <User className="h-3 w-3 text-gray-400 mr-1" />
+                                                            <span className="text-xs text-gray-500 truncate">{formatCredits(blog)}</span>
+                                                        </div>
+                                                    )}
                                                     {blog.tags && blog.tags.length > 0 && (
                                                         <div className="flex items-center mt-1">
                                                             <Tag className="h-3 w-3 text-gray-400 mr-1" />
@@ -358,11 +550,17 @@ function BlogList({ onCreateBlog, onEditBlog }) {
                                                 onChange={(e) => handleStatusChange(blog._id, e.target.value)}
                                                 className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border-0 focus:ring-2 focus:ring-blue-500 ${getStatusBadgeColor(blog.status)}`}
                                             >
-                                                <option value="draft">Draft</option>
-                                                <option value="published">Published</option>
-                                                <option value="archived">Archived</option>
+                                                {/* Scheduling needs a publish date, so it is only set from the editor */}
+                                                {getStatusOptions(userPermissions, blog.status)
+                                                    .filter(option => option.value !== 'scheduled' || blog.status === 'scheduled')
+                                                    .map(option => (
+                                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                                    ))}
                                             </select>
                                         </td>
+                                        <td className="px-4 py-3 whitespace-nowrap text-sm">
+                                            {renderSchedule(blog)}
+                                        </td>
                                         <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
                                             <div className="flex items-center">
                                                 <Eye className="h-3 w-3 mr-1" />
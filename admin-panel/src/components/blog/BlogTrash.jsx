@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, RotateCcw, Trash2, ChevronLeft, ChevronRight } from 'lucide-react';
+import blogService from '../../services/blog.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatName = (user) => {
+    if (!user) return 'Unknown';
+    const fullName = [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ');
+    return fullName || user.username;
+};
+
+const formatPurge = (purgeAt) => {
+    const days = Math.ceil((new Date(purgeAt) - Date.now()) / DAY_MS);
+    if (days <= 0) return 'Deleted permanently soon';
+    return `Deleted permanently in ${days} day${days === 1 ? '' : 's'}`;
+};
+
+/**
+ * Trash view for deleted blogs
+ * Lists blogs waiting to be purged and restores or permanently deletes them
+ */
+function BlogTrash({ onBack }) {
+    const [blogs, setBlogs] = useState([]);
+    const [pagination, setPagination] = useState({ page: 1, totalPages: 0, total: 0 });
+    const [retentionDays, setRetentionDays] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [workingId, setWorkingId] = useState(null);
+
+    const loadTrash = async (page = pagination.page) => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await blogService.getTrash({ page, limit: 20 });
+            if (response.success) {
+                setBlogs(response.data);
+                setPagination(response.pagination);
+                setRetentionDays(response.retentionDays);
+            } else {
+                setError(response.error || 'Failed to load trash');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load trash');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadTrash(1);
+    }, []);
+
+    const runAction = async (blog, action, fallbackError) => {
+        try {
+            setWorkingId(blog._id);
+            setError(null);
+            const response = await action(blog._id);
+            if (response.success) {
+                loadTrash();
+            } else {
+                setError(response.error || fallbackError);
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || fallbackError);
+        } finally {
+            setWorkingId(null);
+        }
+    };
+
+    const handleRestore = (blog) => runAction(blog, blogService.restoreBlog, 'Failed to restore blog');
+
+    const handlePurge = (blog) => {
+        if (!window.confirm(`Permanently delete "${blog.title}"? This cannot be undone.`)) {
+            return;
+        }
+        runAction(blog, blogService.purgeBlog, 'Failed to delete blog permanently');
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h2 className="text-lg font-semibold text-gray-900">Trash</h2>
+                    {retentionDays && (
+                        <p className="text-sm text-gray-500">
+                            Deleted blogs are kept for {retentionDays} days before they are removed permanently.
+                        </p>
+                    )}
+                </div>
+                {onBack && (
+                    <button
+                        type="button"
+                        onClick={onBack}
+                        className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        <ArrowLeft className="h-4 w-4 mr-2" />
+                        Back to blogs
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+                    {error}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="text-center py-8 text-gray-500">Loading trash...</div>
+            ) : blogs.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">The trash is empty</div>
+            ) : (
+                <div className="bg-white shadow rounded-lg divide-y">
+                    {blogs.map(blog => (
+                        <div key={blog._id} className="flex items-center justify-between px-4 py-3">
+                            <div className="min-w-0">
+                                <p className="text-sm font-medium text-gray-900 truncate">{blog.title}</p>
+                                <p className="text-xs text-gray-500">
+                                    {blog.category} · Deleted by {formatName(blog.deletedBy)} on{' '}
+                                    {new Date(blog.deletedAt).toLocaleDateString()}
+                                </p>
+                                <p className="text-xs text-red-600">{formatPurge(blog.purgeAt)}</p>
+                            </div>
+                            <div className="flex items-center gap-2 ml-4">
+                                <button
+                                    type="button"
+                                    onClick={() => handleRestore(blog)}
+                                    disabled={workingId === blog._id}
+                                    className="inline-flex items-center px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                >
+                                    <RotateCcw className="h-3 w-3 mr-1" />
+                                    Restore
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => handlePurge(blog)}
+                                    disabled={workingId === blog._id}
+                                    className="inline-flex items-center px-3 py-1 text-sm border border-transparent rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                                >
+                                    <Trash2 className="h-3 w-3 mr-1" />
+                                    Delete permanently
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {pagination.totalPages > 1 && (
+                <div className="flex items-center justify-between text-sm text-gray-700">
+                    <span>Page {pagination.page} of {pagination.totalPages}</span>
+                    <div className="flex gap-2">
+                        <button
+                            type="button"
+                            onClick={() => loadTrash(pagination.page - 1)}
+                            disabled={!pagination.hasPrevPage}
+                            className="p-1 border border-gray-300 rounded-md disabled:opacity-50"
+                            title="Previous page"
+                        >
+                            <ChevronLeft className="h-4 w-4" />
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => loadTrash(pagination.page + 1)}
+                            disabled={!pagination.hasNextPage}
+                            className="p-1 border border-gray-300 rounded-md disabled:opacity-50"
+                            title="Next page"
+                        >
+                            <ChevronRight className="h-4 w-4" />
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default BlogTrash;
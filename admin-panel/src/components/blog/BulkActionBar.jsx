@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import blogService from '../../services/blog.js';
+import categoryService from '../../services/category.js';
+
+const BULK_ACTIONS = [
+    { value: 'publish', label: 'Publish' },
+    { value: 'unpublish', label: 'Unpublish (back to draft)' },
+    { value: 'archive', label: 'Archive' },
+    { value: 'set_category', label: 'Change category' },
+    { value: 'add_tags', label: 'Add tags' },
+    { value: 'remove_tags', label: 'Remove tags' },
+    { value: 'delete', label: 'Delete' }
+];
+
+// Apply one action to the blogs selected in the list
+function BulkActionBar({ selectedIds, userPermissions = [], onComplete, onClear }) {
+    const [action, setAction] = useState('');
+    const [category, setCategory] = useState('');
+    const [categories, setCategories] = useState([]);
+    const [tags, setTags] = useState('');
+    const [working, setWorking] = useState(false);
+    const [error, setError] = useState(null);
+
+    const canDelete = userPermissions.includes('blog.delete.own') || userPermissions.includes('blog.delete.any');
+    const actions = BULK_ACTIONS.filter(option => option.value !== 'delete' || canDelete);
+
+    useEffect(() => {
+        if (action !== 'set_category' || categories.length > 0) return;
+
+        categoryService.getCategories({ limit: 1000 }).then(result => {
+            if (result.success) {
+                setCategories(result.data || []);
+            }
+        });
+    }, [action]);
+
+    const tagList = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    const isIncomplete = !action
+        || (action === 'set_category' && !category)
+        || (['add_tags', 'remove_tags'].includes(action) && tagList.length === 0);
+
+    const handleApply = async () => {
+        if (action === 'delete' && !window.confirm(`Delete ${selectedIds.length} selected blog(s)?`)) {
+            return;
+        }
+
+        const options = {};
+        if (action === 'set_category') options.category = category;
+        if (['add_tags', 'remove_tags'].includes(action)) options.tags = tagList;
+
+        try {
+            setWorking(true);
+            setError(null);
+            const response = await blogService.bulkAction(action, selectedIds, options);
+            setAction('');
+            setTags('');
+            onComplete?.(response.data);
+        } catch (err) {
+            setError(err.response?.data?.details || err.response?.data?.error || 'Bulk action failed');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-3 bg-blue-50 border border-blue-200 rounded-md px-4 py-3">
+            <span className="text-sm font-medium text-blue-900">{selectedIds.length} selected</span>
+
+            <select
+                value={action}
+                onChange={(e) => setAction(e.target.value)}
+                aria-label="Bulk action"
+                className="border border-gray-300 rounded-md px-3 py-1.5 text-sm focus:ring-blue-500 focus:border-blue-500"
+            >
+                <option value="">Choose an action...</option>
+                {actions.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+
+            {action === 'set_category' && (
+                <select
+                    value={category}
+                    onChange={(e) => setCategory(e.target.value)}
+                    aria-label="New category"
+                    className="border border-gray-300 rounded-md px-3 py-1.5 text-sm focus:ring-blue-500 focus:border-blue-500"
+                >
+                    <option value="">Select category...</option>
+                    {categories.filter(item => item.isActive !== false).map(item => (
+                        <option key={item._id} value={item.name}>{item.name}</option>
+                    ))}
+                </select>
+            )}
+
+            {['add_tags', 'remove_tags'].includes(action) && (
+                <input
+                    type="text"
+                    value={tags}
+                    onChange={(e) => setTags(e.target.value)}
+                    placeholder="tag-one, tag-two"
+                    aria-label="Tags"
+                    className="border border-gray-300 rounded-md px-3 py-1.5 text-sm focus:ring-blue-500 focus:border-blue-500"
+                />
+            )}
+
+            <button
+                type="button"
+                onClick={handleApply}
+                disabled={isIncomplete || working}
+                className="px-3 py-1.5 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                {working ? 'Applying...' : 'Apply'}
+            </button>
+
+            <button
+                type="button"
+                onClick={onClear}
+                className="inline-flex items-center text-sm text-gray-600 hover:text-gray-800"
+            >
+                <X className="h-4 w-4 mr-1" />
+                Clear selection
+            </button>
+
+            {error && <p className="w-full text-sm text-red-700">{error}</p>}
+        </div>
+    );
+}
+
+export default BulkActionBar;
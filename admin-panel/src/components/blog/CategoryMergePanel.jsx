@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import { GitMerge, ArrowRight, X } from 'lucide-react';
+import categoryService from '../../services/category.js';
+import blogService from '../../services/blog.js';
+import { flattenCategoryTree, getSubtreeIds } from '../../utils/categoryTree.js';
+
+// Largest batch the bulk endpoint accepts, so every listed post can be moved at once
+const POST_LIMIT = 100;
+
+/**
+ * Move posts out of a category: either a few selected posts, or the whole
+ * category merged into another. Both show what will change before confirming.
+ */
+function CategoryMergePanel({ category, categories = [], onClose, onComplete }) {
+    const [posts, setPosts] = useState([]);
+    const [loadingPosts, setLoadingPosts] = useState(true);
+    const [targetId, setTargetId] = useState('');
+    const [selectedIds, setSelectedIds] = useState([]);
+    // { type: 'move' } or { type: 'merge', preview } while waiting for confirmation
+    const [pending, setPending] = useState(null);
+    const [working, setWorking] = useState(false);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    useEffect(() => {
+        fetchPosts();
+    }, [category._id]);
+
+    const fetchPosts = async () => {
+        setLoadingPosts(true);
+        try {
+            const response = await blogService.getBlogs({
+                category: category.name,
+                includeSubcategories: false,
+                status: 'all',
+                limit: POST_LIMIT
+            });
+            setPosts(response.data || []);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load posts');
+        } finally {
+            setLoadingPosts(false);
+        }
+    };
+
+    const target = categories.find(item => item._id === targetId);
+    const targetOptions = flattenCategoryTree(categories).filter(({ category: item }) => item._id !== category._id);
+    // The category cannot be merged into its own subtree, but its posts can move there
+    const canMerge = Boolean(target) && !getSubtreeIds(categories, category._id).has(targetId);
+    const selectedPosts = posts.filter(post => selectedIds.includes(post._id));
+
+    const toggleSelected = (id) => {
+        setSelectedIds(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]);
+    };
+
+    const toggleAll = () => {
+        setSelectedIds(selectedIds.length === posts.length ? [] : posts.map(post => post._id));
+    };
+
+    const handleTargetChange = (e) => {
+        setTargetId(e.target.value);
+        setPending(null);
+        setNotice(null);
+    };
+
+    const handlePreviewMerge = async () => {
+        setWorking(true);
+        setError(null);
+        const result = await categoryService.getMergePreview(category._id, targetId);
+        if (result.success) {
+            setPending({ type: 'merge', preview: result.data });
+        } else {
+            setError(result.error);
+        }
+        setWorking(false);
+    };
+
+    const handleConfirmMerge = async () => {
+        setWorking(true);
+        setError(null);
+        const result = await categoryService.mergeCategory(category._id, targetId);
+        setWorking(false);
+        if (result.success) {
+            onComplete?.();
+            onClose?.();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleConfirmMove = async () => {
+        setWorking(true);
+        setError(null);
+        try {
+            const response = await blogService.bulkAction('set_category', selectedIds, { category: target.name });
+            const failed = response.data.results.filter(result => !result.success);
+            setNotice(failed.length > 0
+                ? `${response.data.succeeded} posts moved to ${target.name}; ${failed.length} could not be moved: ${failed[0].error}`
+                : `${response.data.succeeded} posts moved to ${target.name}`);
+            setSelectedIds([]);
+            setPending(null);
+            await fetchPosts();
+            onComplete?.();
+        } catch (err) {
+            setError(err.response?.data?.details || err.response?.data?.error || 'Failed to move posts');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    return (
+        <div className="mb-6 bg-white shadow rounded-lg p-6">
+            <div className="flex justify-between items-start mb-4">
+                <div>
+                    <h2 className="text-lg font-semibold">Move posts from {category.name}</h2>
+                    <p className="text-sm text-gray-600">
+                        Move selected posts to another category, or merge the whole category into it.
+                    </p>
+                </div>
+                <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close">
+                    <X className="h-5 w-5" />
+                </button>
+            </div>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3">
+                    <p className="text-sm text-red-800">{error}</p>
+                </div>
+            )}
+            {notice && (
+                <div className="mb-4 bg-green-50 border border-green-200 rounded-md p-3">
+                    <p className="text-sm text-green-800">{notice}</p>
+                </div>
+            )}
+
+            <div className="mb-4">
+                <label htmlFor="merge-target" className="block text-sm font-medium text-gray-700 mb-2">
+                    Target category
+                </label>
+                <select
+                    id="merge-target"
+                    value={targetId}
+                    onChange={handleTargetChange}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                    <option value="">Select category...</option>
+                    {targetOptions.map(({ category: item, depth }) => (
+                        <option key={item._id} value={item._id}>
+                            {`${'\u00A0\u00A0'.repeat(depth)}${item.name}`}
+                        </option>
+                    ))}
+                </select>
+                {target && !canMerge && (
+                    <p className="mt-1 text-xs text-gray-500">
+                        {target.name} is a subcategory of {category.name}, so only selected posts can move there.
+                    </p>
+                )}
+            </div>
+
+            {pending?.type === 'merge' && (
+                <div className="mb-4 border border-amber-200 bg-amber-50 rounded-md p-4">
+                    <p className="text-sm text-amber-900">
+                        {pending.preview.blogCount} posts
+                        {pending.preview.trashedBlogCount > 0 && ` (and ${pending.preview.trashedBlogCount} in the trash)`}
+                        {pending.preview.subcategories.length > 0 && ` and ${pending.preview.subcategories.length} subcategories`}
+                        {' '}will move to {pending.preview.target.name}. {pending.preview.source.name} will be deleted
+                        and /{pending.preview.redirect.from} will redirect to /{pending.preview.redirect.to}.
+                    </p>
+                    {pending.preview.blogs.length > 0 && (
+                        <ul className="mt-2 text-sm text-amber-900 list-disc list-inside max-h-48 overflow-auto">
+                            {pending.preview.blogs.map(post => (
+                                <li key={post._id}>{post.title}</li>
+                            ))}
+                        </ul>
+                    )}
+                    {pending.preview.blogCount > pending.preview.blogs.length && (
+                        <p className="mt-1 text-xs text-amber-800">
+                            and {pending.preview.blogCount - pending.preview.blogs.length} more
+                        </p>
+                    )}
+                    <div className="mt-3 flex space-x-2">
+                        <button
+                            onClick={handleConfirmMerge}
+                            disabled={working}
+                            className="px-3 py-1.5 bg-amber-600 text-white text-sm rounded-md hover:bg-amber-700 disabled:opacity-50"
+                        >
+                            Confirm merge
+                        </button>
+                        <button
+                            onClick={() => setPending(null)}
+                            className="px-3 py-1.5 border border-gray-300 text-sm rounded-md text-gray-700 hover:bg-gray-50"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {pending?.type === 'move' && (
+                <div className="mb-4 border border-blue-200 bg-blue-50 rounded-md p-4">
+                    <p className="text-sm text-blue-900">
+                        These {selectedPosts.length} posts will move to {target.name}:
+                    </p>
+                    <ul className="mt-2 text-sm text-blue-900 list-disc list-inside max-h-48 overflow-auto">
+                        {selectedPosts.map(post => (
+                            <li key={post._id}>{post.title}</li>
+                        ))}
+                    </ul>
+                    <div className="mt-3 flex space-x-2">
+                        <button
+                            onClick={handleConfirmMove}
+                            disabled={working}
+                            className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            Confirm move
+                        </button>
+                        <button
+                            onClick={() => setPending(null)}
+                            className="px-3 py-1.5 border border-gray-300 text-sm rounded-md text-gray-700 hover:bg-gray-50"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="border border-gray-200 rounded-md">
+                <div className="flex items-center justify-between px-4 py-2 bg-gray-50 border-b border-gray-200">
+                    <label className="flex items-center text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={posts.length > 0 && selectedIds.length === posts.length}
+                            onChange={toggleAll}
+                            disabled={posts.length === 0}
+                            className="mr-2"
+                        />
+                        Posts in {category.name}
+                    </label>
+                    <span className="text-xs text-gray-500">{selectedIds.length} selected</span>
+                </div>
+                {loadingPosts ? (
+                    <p className="px-4 py-3 text-sm text-gray-500">Loading posts...</p>
+                ) : posts.length === 0 ? (
+                    <p className="px-4 py-3 text-sm text-gray-500">No posts in this category</p>
+                ) : (
+                    <ul className="divide-y divide-gray-200 max-h-64 overflow-auto">
+                        {posts.map(post => (
+                            <li key={post._id} className="flex items-center px-4 py-2">
+                                <input
+                                    type="checkbox"
+                                    checked={selectedIds.includes(post._id)}
+                                    onChange={() => toggleSelected(post._id)}
+                                    aria-label={`Select ${post.title}`}
+                                    className="mr-3"
+                                />
+                                <span className="flex-1 text-sm text-gray-900">{post.title}</span>
+                                <span className="text-xs text-gray-500">{post.status}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <div className="mt-4 flex justify-end space-x-2">
+                <button
+                    onClick={() => setPending({ type: 'move' })}
+                    disabled={!target || selectedIds.length === 0 || working}
+                    className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                    <ArrowRight className="h-4 w-4 mr-2" />
+                    Move selected posts
+                </button>
+                <button
+                    onClick={handlePreviewMerge}
+                    disabled={!canMerge || working}
+                    className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                    <GitMerge className="h-4 w-4 mr-2" />
+                    Preview merge
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default CategoryMergePanel;
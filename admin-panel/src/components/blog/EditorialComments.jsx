@@ -0,0 +1,410 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MessageSquare, X, CheckCircle, RotateCcw, Trash2, Quote, AlertTriangle } from 'lucide-react';
+import blogService from '../../services/blog.js';
+import authService from '../../services/auth.js';
+import { getSelectionAnchor, locateAnchor, getMentionQuery } from '../../utils/commentAnchors.js';
+
+/**
+ * Comment textarea with @mention suggestions
+ */
+function CommentInput({ blogId, value, onChange, onSubmit, submitLabel, placeholder, disabled }) {
+    const textareaRef = useRef(null);
+    const [mention, setMention] = useState(null);
+    const [suggestions, setSuggestions] = useState([]);
+
+    useEffect(() => {
+        if (!mention) {
+            setSuggestions([]);
+            return;
+        }
+
+        let cancelled = false;
+        blogService.getMentionSuggestions(blogId, mention.query)
+            .then(response => {
+                if (!cancelled && response.success) {
+                    setSuggestions(response.data);
+                }
+            })
+            .catch(err => console.error('Failed to load mention suggestions:', err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [blogId, mention?.query]);
+
+    const handleChange = (e) => {
+        onChange(e.target.value);
+        setMention(getMentionQuery(e.target.value, e.target.selectionStart));
+    };
+
+    const insertMention = (username) => {
+        const caret = mention.start + mention.query.length + 1;
+        const next = `${value.slice(0, mention.start)}@${username} ${value.slice(caret)}`;
+        onChange(next);
+        setMention(null);
+        textareaRef.current?.focus();
+    };
+
+    return (
+        <div className="relative">
+            <textarea
+                ref={textareaRef}
+                value={value}
+                onChange={handleChange}
+                onBlur={() => setTimeout(() => setMention(null), 150)}
+                rows={2}
+                disabled={disabled}
+                placeholder={placeholder}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+            {suggestions.length > 0 && (
+                <ul className="absolute z-10 left-0 right-0 bg-white border border-gray-200 rounded-md shadow-lg max-h-40 overflow-y-auto">
+                    {suggestions.map(user => (
+                        <li key={user._id}>
+                            <button
+                                type="button"
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => insertMention(user.username)}
+                                className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+                            >
+                                @{user.username}
+                                <span className="ml-2 text-xs text-gray-500 capitalize">{user.role}</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="flex justify-end mt-2">
+                <button
+                    type="button"
+                    onClick={onSubmit}
+                    disabled={disabled || !value.trim()}
+                    className="px-3 py-1 text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {submitLabel}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Editorial comments side panel for the blog editor
+ * Threads are anchored to text ranges in the Quill document and stay internal to the admin panel
+ */
+function EditorialComments({ blogId, getEditor, onClose }) {
+    const [threads, setThreads] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [statusFilter, setStatusFilter] = useState('open');
+    const [pendingAnchor, setPendingAnchor] = useState(null);
+    const [newComment, setNewComment] = useState('');
+    const [replies, setReplies] = useState({});
+    const [saving, setSaving] = useState(false);
+
+    const currentUser = authService.getCurrentUser();
+
+    const loadThreads = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await blogService.getComments(blogId, statusFilter ? { status: statusFilter } : {});
+            if (response.success) {
+                setThreads(response.data);
+            } else {
+                setError(response.error || 'Failed to load comments');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load comments');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        if (blogId) {
+            loadThreads();
+        }
+    }, [blogId, statusFilter]);
+
+    // Plain text of the document, used to follow anchors as the content changes
+    const editor = getEditor?.();
+    const documentText = editor ? editor.getText() : '';
+
+    const runAction = async (action, fallbackError) => {
+        try {
+            setSaving(true);
+            setError(null);
+            const response = await action();
+            if (response.success) {
+                await loadThreads();
+                return true;
+            }
+            setError(response.error || fallbackError);
+        } catch (err) {
+            setError(err.response?.data?.error || fallbackError);
+        } finally {
+            setSaving(false);
+        }
+        return false;
+    };
+
+    const handleStartThread = () => {
+        const anchor = getSelectionAnchor(getEditor?.());
+        if (!anchor) {
+            setError('Select some text in the editor to comment on');
+            return;
+        }
+        setError(null);
+        setPendingAnchor(anchor);
+    };
+
+    const handleCreateThread = async () => {
+        const created = await runAction(
+            () => blogService.createComment(blogId, { body: newComment, anchor: pendingAnchor }),
+            'Failed to add comment'
+        );
+        if (created) {
+            setPendingAnchor(null);
+            setNewComment('');
+        }
+    };
+
+    const handleReply = async (threadId) => {
+        const replied = await runAction(
+            () => blogService.createComment(blogId, { body: replies[threadId], parentId: threadId }),
+            'Failed to add reply'
+        );
+        if (replied) {
+            setReplies(prev => ({ ...prev, [threadId]: '' }));
+        }
+    };
+
+    const handleToggleResolved = (thread) => runAction(
+        () => thread.status === 'resolved'
+            ? blogService.reopenComment(blogId, thread._id)
+            : blogService.resolveComment(blogId, thread._id),
+        'Failed to update comment thread'
+    );
+
+    const handleDelete = (comment) => {
+        if (!window.confirm('Delete this comment?')) {
+            return;
+        }
+        runAction(() => blogService.deleteComment(blogId, comment._id), 'Failed to delete comment');
+    };
+
+    // Select the commented text in the editor
+    const handleShowAnchor = (location) => {
+        const quill = getEditor?.();
+        if (quill && location) {
+            quill.setSelection(location.index, location.length, 'user');
+        }
+    };
+
+    const canModify = (comment) => {
+        return !!currentUser?.permissions?.includes('editorial.moderate') || comment.author?._id === currentUser?.id || comment.author?._id === currentUser?._id;
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const getUserName = (user) => {
+        if (!user) return 'Unknown';
+        if (user.profile?.firstName || user.profile?.lastName) {
+            return `${user.profile.firstName || ''} ${user.profile.lastName || ''}`.trim();
+        }
+        return user.username;
+    };
+
+    // Highlight @mentions that resolved to a user
+    const renderBody = (comment) => {
+        const mentioned = new Set((comment.mentions || []).map(user => user.username));
+        return comment.body.split(/(@[a-zA-Z0-9_]+)/g).map((part, index) => (
+            mentioned.has(part.slice(1))
+                ? <span key={index} className="text-blue-600 font-medium">{part}</span>
+                : <React.Fragment key={index}>{part}</React.Fragment>
+        ));
+    };
+
+    const renderComment = (comment) => (
+        <div className="text-sm">
+            <div className="flex items-center justify-between">
+                <p className="font-medium text-gray-900">
+                    {getUserName(comment.author)}
+                    <span className="ml-2 text-xs font-normal text-gray-500">{formatDate(comment.createdAt)}</span>
+                </p>
+                {canModify(comment) && (
+                    <button
+                        type="button"
+                        onClick={() => handleDelete(comment)}
+                        className="p-1 text-gray-400 hover:text-red-600 rounded"
+                        title="Delete comment"
+                    >
+                        <Trash2 className="h-3 w-3" />
+                    </button>
+                )}
+            </div>
+            <p className="text-gray-700 mt-1 whitespace-pre-wrap">{renderBody(comment)}</p>
+        </div>
+    );
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-lg shadow-sm h-full flex flex-col">
+            {/* Header */}
+            <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+                <h3 className="text-sm font-semibold text-gray-900 flex items-center">
+                    <MessageSquare className="h-4 w-4 mr-2" />
+                    Editorial Comments
+                </h3>
+                <button
+                    type="button"
+                    onClick={onClose}
+                    className="p-1 text-gray-400 hover:text-gray-600 rounded"
+                    title="Close comments"
+                >
+                    <X className="h-4 w-4" />
+                </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-3">
+                {error && (
+                    <div className="bg-red-50 border border-red-200 rounded-md p-3">
+                        <p className="text-sm text-red-800">{error}</p>
+                    </div>
+                )}
+
+                {/* New thread */}
+                {pendingAnchor ? (
+                    <div className="border border-blue-200 bg-blue-50 rounded-md p-3 space-y-2">
+                        <p className="text-xs text-gray-600 flex items-start">
+                            <Quote className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                            <span className="italic line-clamp-2">{pendingAnchor.quote}</span>
+                        </p>
+                        <CommentInput
+                            blogId={blogId}
+                            value={newComment}
+                            onChange={setNewComment}
+                            onSubmit={handleCreateThread}
+                            submitLabel="Comment"
+                            placeholder="Add a comment, @ to mention"
+                            disabled={saving}
+                        />
+                        <button
+                            type="button"
+                            onClick={() => setPendingAnchor(null)}
+                            className="text-xs text-gray-500 hover:text-gray-700"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                ) : (
+                    <button
+                        type="button"
+                        onClick={handleStartThread}
+                        className="w-full inline-flex justify-center items-center px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                        <MessageSquare className="h-4 w-4 mr-2" />
+                        Comment on selection
+                    </button>
+                )}
+
+                <select
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value)}
+                    className="w-full border border-gray-300 rounded-md px-3 py-1 text-sm"
+                    aria-label="Filter comments"
+                >
+                    <option value="open">Open threads</option>
+                    <option value="resolved">Resolved threads</option>
+                    <option value="">All threads</option>
+                </select>
+
+                {loading ? (
+                    <div className="flex justify-center py-4">
+                        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+                    </div>
+                ) : threads.length === 0 ? (
+                    <p className="text-sm text-gray-500">No comments yet.</p>
+                ) : (
+                    <ul className="space-y-3">
+                        {threads.map(thread => {
+                            const location = editor ? locateAnchor(documentText, thread.anchor) : thread.anchor;
+
+                            return (
+                                <li key={thread._id} className={`border rounded-md p-3 space-y-3 ${thread.status === 'resolved' ? 'border-gray-200 bg-gray-50' : 'border-yellow-200'}`}>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleShowAnchor(location)}
+                                        disabled={!location}
+                                        className="w-full text-left text-xs text-gray-600 flex items-start hover:text-gray-900 disabled:cursor-default"
+                                        title={location ? 'Show in editor' : undefined}
+                                    >
+                                        <Quote className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                                        <span className={`italic line-clamp-2 ${location ? 'bg-yellow-100' : 'line-through'}`}>
+                                            {thread.anchor?.quote}
+                                        </span>
+                                    </button>
+                                    {!location && (
+                                        <p className="text-xs text-orange-600 flex items-center">
+                                            <AlertTriangle className="h-3 w-3 mr-1" />
+                                            The commented text has changed
+                                        </p>
+                                    )}
+
+                                    {renderComment(thread)}
+
+                                    {thread.replies?.length > 0 && (
+                                        <ul className="pl-3 border-l-2 border-gray-200 space-y-2">
+                                            {thread.replies.map(reply => (
+                                                <li key={reply._id}>{renderComment(reply)}</li>
+                                            ))}
+                                        </ul>
+                                    )}
+
+                                    {thread.status === 'open' && (
+                                        <CommentInput
+                                            blogId={blogId}
+                                            value={replies[thread._id] || ''}
+                                            onChange={(value) => setReplies(prev => ({ ...prev, [thread._id]: value }))}
+                                            onSubmit={() => handleReply(thread._id)}
+                                            submitLabel="Reply"
+                                            placeholder="Reply..."
+                                            disabled={saving}
+                                        />
+                                    )}
+
+                                    <div className="flex items-center justify-between">
+                                        {thread.status === 'resolved' && thread.resolvedBy ? (
+                                            <span className="text-xs text-gray-500">Resolved by {getUserName(thread.resolvedBy)}</span>
+                                        ) : <span />}
+                                        <button
+                                            type="button"
+                                            onClick={() => handleToggleResolved(thread)}
+                                            disabled={saving}
+                                            className="inline-flex items-center text-xs text-green-700 hover:text-green-900 disabled:opacity-50"
+                                        >
+                                            {thread.status === 'resolved' ? (
+                                                <><RotateCcw className="h-3 w-3 mr-1" />Reopen</>
+                                            ) : (
+                                                <><CheckCircle className="h-3 w-3 mr-1" />Resolve</>
+                                            )}
+                                        </button>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default EditorialComments;
@@ -0,0 +1,300 @@
+import React, { useState, useEffect } from 'react';
+import { History, X, GitCompare, RotateCcw, ArrowLeft, User } from 'lucide-react';
+import blogService from '../../services/blog.js';
+
+// Highlight <ins>/<del> markup returned by the compare endpoint
+const diffStyles = '[&_ins]:bg-green-100 [&_ins]:text-green-800 [&_ins]:no-underline [&_del]:bg-red-100 [&_del]:text-red-800';
+
+/**
+ * Revision history side panel for the blog editor
+ * Lists revisions, compares any two versions and restores a previous one
+ */
+function RevisionHistory({ blogId, onRestore, onClose }) {
+    const [revisions, setRevisions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [selected, setSelected] = useState([]);
+    const [comparison, setComparison] = useState(null);
+    const [comparing, setComparing] = useState(false);
+    const [restoringId, setRestoringId] = useState(null);
+
+    const loadRevisions = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await blogService.getRevisions(blogId, { limit: 50 });
+            if (response.success) {
+                setRevisions(response.data);
+            } else {
+                setError(response.error || 'Failed to load revisions');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load revisions');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        if (blogId) {
+            loadRevisions();
+        }
+    }, [blogId]);
+
+    // Toggle a revision for comparison (keeps at most two selected)
+    const handleSelect = (revisionId) => {
+        setSelected(prev => {
+            if (prev.includes(revisionId)) {
+                return prev.filter(id => id !== revisionId);
+            }
+            return [...prev, revisionId].slice(-2);
+        });
+    };
+
+    const handleCompare = async (from, to = 'current') => {
+        try {
+            setComparing(true);
+            setError(null);
+            const response = await blogService.compareRevisions(blogId, from, to);
+            if (response.success) {
+                setComparison(response.data);
+            } else {
+                setError(response.error || 'Failed to compare revisions');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to compare revisions');
+        } finally {
+            setComparing(false);
+        }
+    };
+
+    // Compare the two selected revisions, oldest first
+    const handleCompareSelected = () => {
+        const [first, second] = selected
+            .map(id => revisions.find(revision => revision._id === id))
+            .sort((a, b) => a.revisionNumber - b.revisionNumber);
+        handleCompare(first._id, second._id);
+    };
+
+    const handleRestore = async (revision) => {
+        if (!window.confirm(`Restore revision ${revision.revisionNumber}? Unsaved changes in the editor will be lost.`)) {
+            return;
+        }
+
+        try {
+            setRestoringId(revision._id);
+            setError(null);
+            const response = await blogService.restoreRevision(blogId, revision._id);
+            if (response.success) {
+                setComparison(null);
+                setSelected([]);
+                onRestore?.(response.data.blog);
+                await loadRevisions();
+            } else {
+                setError(response.error || 'Failed to restore revision');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to restore revision');
+        } finally {
+            setRestoringId(null);
+        }
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const getEditorName = (editor) => {
+        if (!editor) return 'Unknown';
+        if (editor.profile?.firstName || editor.profile?.lastName) {
+            return `${editor.profile.firstName || ''} ${editor.profile.lastName || ''}`.trim();
+        }
+        return editor.username;
+    };
+
+    const getChangeTypeBadge = (changeType) => {
+        switch (changeType) {
+            case 'create':
+                return 'bg-green-100 text-green-800';
+            case 'restore':
+                return 'bg-purple-100 text-purple-800';
+            default:
+                return 'bg-blue-100 text-blue-800';
+        }
+    };
+
+    const renderComparison = () => {
+        const changedFields = comparison.fields.filter(field => field.changed);
+
+        return (
+            <div className="space-y-4">
+                <button
+                    type="button"
+                    onClick={() => setComparison(null)}
+                    className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+                >
+                    <ArrowLeft className="h-4 w-4 mr-1" />
+                    Back to history
+                </button>
+
+                <p className="text-sm text-gray-700">
+                    Comparing <span className="font-medium">{comparison.from.label}</span> with{' '}
+                    <span className="font-medium">{comparison.to.label}</span>
+                </p>
+
+                {changedFields.length === 0 ? (
+                    <p className="text-sm text-gray-500">No differences between these versions.</p>
+                ) : (
+                    changedFields.map(field => (
+                        <div key={field.field} className="border border-gray-200 rounded-md p-3">
+                            <h4 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">
+                                {field.label}
+                                {field.stats && (
+                                    <span className="ml-2 normal-case text-gray-400">
+                                        +{field.stats.insertions} / -{field.stats.deletions} words
+                                    </span>
+                                )}
+                            </h4>
+                            {field.type === 'list' ? (
+                                <div className="flex flex-wrap gap-1">
+                                    {field.added.map(item => (
+                                        <span key={`added-${item}`} className="px-2 py-0.5 text-xs rounded bg-green-100 text-green-800">
+                                            + {item}
+                                        </span>
+                                    ))}
+                                    {field.removed.map(item => (
+                                        <span key={`removed-${item}`} className="px-2 py-0.5 text-xs rounded bg-red-100 text-red-800 line-through">
+                                            {item}
+                                        </span>
+                                    ))}
+                                </div>
+                            ) : (
+                                <div
+                                    className={`prose prose-sm max-w-none text-gray-900 ${diffStyles}`}
+                                    dangerouslySetInnerHTML={{ __html: field.diff }}
+                                />
+                            )}
+                        </div>
+                    ))
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-lg shadow-sm h-full flex flex-col">
+            {/* Header */}
+            <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+                <h3 className="text-sm font-semibold text-gray-900 flex items-center">
+                    <History className="h-4 w-4 mr-2" />
+                    Revision History
+                </h3>
+                <button
+                    type="button"
+                    onClick={onClose}
+                    className="p-1 text-gray-400 hover:text-gray-600 rounded"
+                    title="Close history"
+                >
+                    <X className="h-4 w-4" />
+                </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-3">
+                {error && (
+                    <div className="bg-red-50 border border-red-200 rounded-md p-3">
+                        <p className="text-sm text-red-800">{error}</p>
+                    </div>
+                )}
+
+                {comparing && (
+                    <div className="flex justify-center py-4">
+                        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+                    </div>
+                )}
+
+                {!comparing && comparison && renderComparison()}
+
+                {!comparing && !comparison && (
+                    <>
+                        {loading ? (
+                            <div className="flex justify-center py-4">
+                                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+                            </div>
+                        ) : revisions.length === 0 ? (
+                            <p className="text-sm text-gray-500">No revisions recorded yet.</p>
+                        ) : (
+                            <>
+                                <button
+                                    type="button"
+                                    onClick={handleCompareSelected}
+                                    disabled={selected.length !== 2}
+                                    className="w-full inline-flex justify-center items-center px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    <GitCompare className="h-4 w-4 mr-2" />
+                                    Compare selected ({selected.length}/2)
+                                </button>
+
+                                <ul className="space-y-2">
+                                    {revisions.map(revision => (
+                                        <li key={revision._id} className="border border-gray-200 rounded-md p-3">
+                                            <div className="flex items-start justify-between">
+                                                <label className="flex items-start space-x-2 cursor-pointer">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={selected.includes(revision._id)}
+                                                        onChange={() => handleSelect(revision._id)}
+                                                        className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                                        aria-label={`Select revision ${revision.revisionNumber}`}
+                                                    />
+                                                    <div>
+                                                        <p className="text-sm font-medium text-gray-900">
+                                                            Revision {revision.revisionNumber}
+                                                            <span className={`ml-2 inline-flex px-2 py-0.5 text-xs rounded-full capitalize ${getChangeTypeBadge(revision.changeType)}`}>
+                                                                {revision.changeType}
+                                                            </span>
+                                                        </p>
+                                                        <p className="text-xs text-gray-500 mt-1">{formatDate(revision.createdAt)}</p>
+                                                        <p className="text-xs text-gray-500 flex items-center mt-1">
+                                                            <User className="h-3 w-3 mr-1" />
+                                                            {getEditorName(revision.editedBy)}
+                                                        </p>
+                                                    </div>
+                                                </label>
+                                            </div>
+                                            <div className="flex items-center justify-end space-x-3 mt-2">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleCompare(revision._id)}
+                                                    className="text-xs text-blue-600 hover:text-blue-800"
+                                                >
+                                                    Compare with current
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleRestore(revision)}
+                                                    disabled={restoringId === revision._id}
+                                                    className="inline-flex items-center text-xs text-orange-600 hover:text-orange-800 disabled:opacity-50"
+                                                >
+                                                    <RotateCcw className="h-3 w-3 mr-1" />
+                                                    {restoringId === revision._id ? 'Restoring...' : 'Restore'}
+                                                </button>
+                                            </div>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default RevisionHistory;
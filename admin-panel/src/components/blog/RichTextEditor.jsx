@@ -33,9 +33,12 @@ function RichTextEditor({
     placeholder = 'Start writing your blog content...',
     height = '400px',
     disabled = false,
-    className = ''
+    className = '',
+    quillRef: externalQuillRef
 }) {
-    const quillRef = useRef(null);
+    // Parents can pass a ref to reach the Quill instance (e.g. for comment anchors)
+    const internalQuillRef = useRef(null);
+    const quillRef = externalQuillRef || internalQuillRef;
     const [uploading, setUploading] = useState(false);
     const [uploadProgress, setUploadProgress] = useState(0);
     const [error, setError] = useState(null);
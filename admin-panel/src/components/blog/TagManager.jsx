@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { X, Plus, Tag } from 'lucide-react';
+import tagService from '../../services/tag.js';
+
+// Wait for a pause in typing before asking the API for suggestions
+const SUGGESTION_DELAY = 200;
+const POPULAR_TAG_COUNT = 8;
 
 function TagManager({
     selectedTags = [],
     onTagsChange,
-    availableTags = [],
-    onAvailableTagsUpdate,
     disabled = false,
     maxTags = 10,
     placeholder = "Add a tag"
@@ -13,34 +16,48 @@ function TagManager({
     const [tagInput, setTagInput] = useState('');
     const [suggestions, setSuggestions] = useState([]);
     const [showSuggestions, setShowSuggestions] = useState(false);
+    const [popularTags, setPopularTags] = useState([]);
+
+    useEffect(() => {
+        tagService.getTags({ limit: POPULAR_TAG_COUNT + maxTags })
+            .then(response => setPopularTags(response.data || []))
+            .catch(() => setPopularTags([]));
+    }, [maxTags]);
 
     useEffect(() => {
-        if (tagInput.trim()) {
-            const filtered = availableTags.filter(tag =>
-                tag.toLowerCase().includes(tagInput.toLowerCase()) &&
-                !selectedTags.includes(tag)
-            );
-            setSuggestions(filtered);
-            setShowSuggestions(filtered.length > 0);
-        } else {
+        const query = tagInput.trim();
+        if (!query) {
             setSuggestions([]);
             setShowSuggestions(false);
+            return undefined;
         }
-    }, [tagInput, availableTags, selectedTags]);
 
-    const handleAddTag = (tagToAdd = null) => {
-        const tag = tagToAdd || tagInput.trim();
+        // Ignore answers to queries the user has already typed past
+        let current = true;
+        const timer = setTimeout(async () => {
+            try {
+                const response = await tagService.autocomplete(query);
+                if (!current) return;
+                const filtered = (response.data || []).filter(tag => !selectedTags.includes(tag.slug));
+                setSuggestions(filtered);
+                setShowSuggestions(filtered.length > 0);
+            } catch (error) {
+                if (current) setShowSuggestions(false);
+            }
+        }, SUGGESTION_DELAY);
 
-        if (tag && !selectedTags.includes(tag) && selectedTags.length < maxTags) {
-            const updatedTags = [...selectedTags, tag];
-            onTagsChange(updatedTags);
+        return () => {
+            current = false;
+            clearTimeout(timer);
+        };
+    }, [tagInput, selectedTags]);
 
-            // Add to available tags if it's new
-            if (!availableTags.includes(tag)) {
-                const updatedAvailableTags = [...availableTags, tag];
-                onAvailableTagsUpdate?.(updatedAvailableTags);
-            }
+    // Tags are stored the way the API saves them: trimmed and lowercase
+    const handleAddTag = (tagToAdd = null) => {
+        const tag = (tagToAdd || tagInput).trim().toLowerCase();
 
+        if (tag && !selectedTags.includes(tag) && selectedTags.length < maxTags) {
+            onTagsChange([...selectedTags, tag]);
             setTagInput('');
             setShowSuggestions(false);
         }
@@ -122,15 +139,19 @@ function TagManager({
                 {/* Tag Suggestions */}
                 {showSuggestions && suggestions.length > 0 && (
                     <div className="absolute z-10 w-full mt-1 bg-white border border-gray-300 rounded-md shadow-lg max-h-40 overflow-y-auto">
-                        {suggestions.map((tag, index) => (
+                        {suggestions.map(tag => (
                             <button
-                                key={index}
+                                key={tag._id}
                                 type="button"
-                                onClick={() => handleSuggestionClick(tag)}
+                                onClick={() => handleSuggestionClick(tag.slug)}
                                 className="w-full text-left px-3 py-2 hover:bg-gray-100 focus:bg-gray-100 focus:outline-none text-sm"
                             >
                                 <Tag className="inline h-3 w-3 mr-2 text-gray-400" />
-                                {tag}
+                                {tag.name}
+                                {tag.matchedSynonym && (
+                                    <span className="ml-1 text-xs text-gray-500">(matches "{tag.matchedSynonym}")</span>
+                                )}
+                                <span className="float-right text-xs text-gray-400">{tag.usageCount}</span>
                             </button>
                         ))}
                     </div>
@@ -138,22 +159,22 @@ function TagManager({
             </div>
 
             {/* Popular Tags (if available) */}
-            {availableTags.length > 0 && selectedTags.length < maxTags && (
+            {popularTags.length > 0 && selectedTags.length < maxTags && (
                 <div className="mt-3">
                     <p className="text-xs text-gray-500 mb-2">Popular tags:</p>
                     <div className="flex flex-wrap gap-1">
-                        {availableTags
-                            .filter(tag => !selectedTags.includes(tag))
-                            .slice(0, 8)
-                            .map((tag, index) => (
+                        {popularTags
+                            .filter(tag => !selectedTags.includes(tag.slug))
+                            .slice(0, POPULAR_TAG_COUNT)
+                            .map(tag => (
                                 <button
-                                    key={index}
+                                    key={tag._id}
                                     type="button"
-                                    onClick={() => handleAddTag(tag)}
+                                    onClick={() => handleAddTag(tag.slug)}
                                     disabled={disabled}
                                     className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
                                 >
-                                    {tag}
+                                    {tag.name}
                                 </button>
                             ))
                         }
@@ -461,4 +461,209 @@ describe('BlogList', () => {
             });
         });
     });
-});
\ No newline at end of file
+
+    describe('Scheduling', () => {
+        it('shows a countdown for scheduled blogs', async () => {
+            const publishAt = new Date(Date.now() + (2 * 24 + 3) * 60 * 60 * 1000 + 60000).toISOString();
+            blogService.getBlogs.mockResolvedValue({
+                success: true,
+                data: [{ ...mockBlogs[1], status: 'scheduled', publishAt }],
+                pagination: mockPagination
+            });
+
+            render(
+                <BlogList
+                    onCreateBlog={mockOnCreateBlog}
+                    onEditBlog={mockOnEditBlog}
+                />
+            );
+
+            await waitFor(() => {
+                expect(screen.getByText('Publishes in 2d 3h')).toBeInTheDocument();
+            });
+            expect(screen.getByText('Schedule')).toBeInTheDocument();
+        });
+
+        it('filters blogs by scheduled status', async () => {
+            const user = userEvent.setup();
+            render(
+                <BlogList
+                    onCreateBlog={mockOnCreateBlog}
+                    onEditBlog={mockOnEditBlog}
+                />
+            );
+
+            await waitFor(() => {
+                expect(screen.getByText('Filters')).toBeInTheDocument();
+            });
+
+            await user.click(screen.getByText('Filters'));
+            await user.selectOptions(screen.getByDisplayValue('All Statuses'), 'scheduled');
+
+            await waitFor(() => {
+                expect(blogService.getBlogs).toHaveBeenLastCalledWith(
+                    expect.objectContaining({ status: 'scheduled' })
+                );
+            });
+        });
+    });
+
+    describe('Contributor credits', () => {
+        it('shows co-authors and reviewers in the byline', async () => {
+            blogService.getBlogs.mockResolvedValue({
+                success: true,
+                data: [{
+                    ...mockBlogs[0],
+                    authors: [
+                        { user: { username: 'coder', profile: { firstName: 'Jane', lastName: 'Doe' } }, role: 'author' },
+                        { user: { username: 'billing_pro' }, role: 'author' },
+                        { user: { username: 'doc', profile: { firstName: 'Ann', lastName: 'Lee' } }, role: 'medical_reviewer' }
+                    ]
+                }],
+                pagination: mockPagination
+            });
+
+            render(
+                <BlogList
+                    onCreateBlog={mockOnCreateBlog}
+                    onEditBlog={mockOnEditBlog}
+                />
+            );
+
+            expect(await screen.findByText('By Jane Doe, billing_pro · Medically reviewed by Ann Lee')).toBeInTheDocument();
+        });
+
+        it('falls back to the primary author for older blogs', async () => {
+            render(
+                <BlogList
+                    onCreateBlog={mockOnCreateBlog}
+                    onEditBlog={mockOnEditBlog}
+                />
+            );
+
+            expect(await screen.findByText('By john_doe')).toBeInTheDocument();
+        });
+    });
+
+    describe('Facets', () => {
+        const mockFacets = {
+            category: [{ value: 'billing', label: 'Billing', count: 2 }],
+            tags: [{ value: 'react', label: 'react', count: 1 }],
+            author: [{ value: 'u1', label: 'John Doe', count: 2 }],
+            status: [{ value: 'in_review', label: 'in_review', count: 1 }],
+            month: [{ value: '2023-01', label: '2023-01', count: 2 }]
+        };
+
+        beforeEach(() => {
+            blogService.getBlogs.mockResolvedValue({
+                success: true,
+                data: mockBlogs,
+                pagination: mockPagination,
+                facets: mockFacets
+            });
+        });
+
+        it('asks for facets and shows their counts', async () => {
+            render(
+                <BlogList
+                    onCreateBlog={mockOnCreateBlog}
+                    onEditBlog={mockOnEditBlog}
+                />
+            );
+
+            const categories = await screen.findByRole('group', { name: 'Category facets' });
+            expect(categories).toHaveTextContent('Billing2');
+            expect(screen.getByRole('button', { name: /^In Review/ })).toBeInTheDocument();
+            expect(screen.getByRole('button', { name: /^Jan 2023/ })).toBeInTheDocument();
+            expect(blogService.getBlogs).toHaveBeenCalledWith(expect.objectContaining({ facets: true }));
+        });
+
+        it('filters by a facet value and clears it on a second click', async () => {
+            const user = userEvent.setup();
+            render(
+                <BlogList
+                    onCreateBlog={mockOnCreateBlog}
+                    onEditBlog={mockOnEditBlog}
+                />
+            );
+
+            await user.click(await screen.findByRole('button', { name: /^Billing/ }));
+
+            await waitFor(() => {
+                expect(blogService.getBlogs).toHaveBeenLastCalledWith(
+                    expect.objectContaining({ category: 'billing', includeSubcategories: false, page: 1 })
+                );
+            });
+            expect(screen.getByRole('button', { name: /^Billing/ })).toHaveAttribute('aria-pressed', 'true');
+
+            await user.click(screen.getByRole('button', { name: /^Billing/ }));
+
+            await waitFor(() => {
+                expect(blogService.getBlogs.mock.lastCall[0].category).toBeUndefined();
+            });
+        });
+
+        it('combines facets and clears them together', async () => {
+            const user = userEvent.setup();
+            render(
+                <BlogList
+                    onCreateBlog={mockOnCreateBlog}
+                    onEditBlog={mockOnEditBlog}
+                />
+            );
+
+            await user.click(await screen.findByRole('button', { name: /^react/ }));
+            await user.click(screen.getByRole('button', { name: /^John Doe/ }));
+
+            await waitFor(() => {
+                expect(blogService.getBlogs).toHaveBeenLastCalledWith(
+                    expect.objectContaining({ tags: 'react', author: 'u1' })
+                );
+            });
+
+            await user.click(screen.getByRole('button', { name: /Clear filters/ }));
+
+            await waitFor(() => {
+                const params = blogService.getBlogs.mock.lastCall[0];
+                expect(params.tags).toBeUndefined();
+                expect(params.author).toBeUndefined();
+            });
+        });
+    });
+
+    describe('Bulk actions', () => {
+        it('applies an action to the selected blogs and lists failures', async () => {
+            const user = userEvent.setup();
+            blogService.bulkAction.mockResolvedValue({
+                success: true,
+                data: {
+                    action: 'archive',
+                    results: [
+                        { id: '1', success: true },
+                        { id: '2', success: false, error: 'You can only edit your own blogs' }
+                    ],
+                    succeeded: 1,
+                    failed: 1
+                }
+            });
+
+            render(
+                <BlogList
+                    onCreateBlog={mockOnCreateBlog}
+                    onEditBlog={mockOnEditBlog}
+                />
+            );
+
+            await user.click(await screen.findByLabelText('Select all blogs'));
+            expect(screen.getByText('2 selected')).toBeInTheDocument();
+
+            await user.selectOptions(screen.getByLabelText('Bulk action'), 'archive');
+            await user.click(screen.getByRole('button', { name: 'Apply' }));
+
+            expect(blogService.bulkAction).toHaveBeenCalledWith('archive', ['1', '2'], {});
+            expect(await screen.findByText('1 of 2 blogs updated')).toBeInTheDocument();
+            expect(screen.getByText('Second Blog: You can only edit your own blogs')).toBeInTheDocument();
+            expect(screen.getByText('1 selected')).toBeInTheDocument();
+        });
+    });
+});
@@ -0,0 +1,98 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import BlogTrash from '../BlogTrash.jsx';
+import blogService from '../../../services/blog.js';
+
+vi.mock('../../../services/blog.js');
+
+describe('BlogTrash', () => {
+    const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000 - 60 * 1000).toISOString();
+    const trashResponse = {
+        success: true,
+        data: [
+            {
+                _id: '1',
+                title: 'Old Billing Post',
+                category: 'Billing',
+                deletedAt: new Date().toISOString(),
+                deletedBy: { username: 'admin', profile: { firstName: 'Ann', lastName: 'Lee' } },
+                purgeAt: inDays(30)
+            },
+            {
+                _id: '2',
+                title: 'Coding Basics',
+                category: 'Coding',
+                deletedAt: new Date().toISOString(),
+                deletedBy: { username: 'editor' },
+                purgeAt: inDays(1)
+            }
+        ],
+        pagination: { page: 1, totalPages: 1, total: 2, hasNextPage: false, hasPrevPage: false },
+        retentionDays: 30
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        window.confirm = vi.fn(() => true);
+        blogService.getTrash.mockResolvedValue(trashResponse);
+        blogService.restoreBlog.mockResolvedValue({ success: true });
+        blogService.purgeBlog.mockResolvedValue({ success: true });
+    });
+
+    it('lists trashed blogs with who deleted them and when they are purged', async () => {
+        render(<BlogTrash />);
+
+        expect(await screen.findByText('Old Billing Post')).toBeInTheDocument();
+        expect(screen.getByText(/Deleted by Ann Lee/)).toBeInTheDocument();
+        expect(screen.getByText('Deleted permanently in 30 days')).toBeInTheDocument();
+        expect(screen.getByText('Deleted permanently in 1 day')).toBeInTheDocument();
+        expect(screen.getByText(/kept for 30 days/)).toBeInTheDocument();
+    });
+
+    it('restores a blog and reloads the trash', async () => {
+        const user = userEvent.setup();
+        render(<BlogTrash />);
+
+        await screen.findByText('Old Billing Post');
+        await user.click(screen.getAllByRole('button', { name: 'Restore' })[0]);
+
+        expect(blogService.restoreBlog).toHaveBeenCalledWith('1');
+        await waitFor(() => {
+            expect(blogService.getTrash).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    it('asks before deleting permanently', async () => {
+        const user = userEvent.setup();
+        window.confirm = vi.fn(() => false);
+        render(<BlogTrash />);
+
+        await screen.findByText('Coding Basics');
+        await user.click(screen.getAllByRole('button', { name: 'Delete permanently' })[1]);
+
+        expect(window.confirm).toHaveBeenCalledWith('Permanently delete "Coding Basics"? This cannot be undone.');
+        expect(blogService.purgeBlog).not.toHaveBeenCalled();
+
+        window.confirm = vi.fn(() => true);
+        await user.click(screen.getAllByRole('button', { name: 'Delete permanently' })[1]);
+        expect(blogService.purgeBlog).toHaveBeenCalledWith('2');
+    });
+
+    it('shows an empty state and request errors', async () => {
+        blogService.getTrash.mockResolvedValue({ ...trashResponse, data: [] });
+        const { unmount } = render(<BlogTrash />);
+        expect(await screen.findByText('The trash is empty')).toBeInTheDocument();
+        unmount();
+
+        blogService.getTrash.mockResolvedValue(trashResponse);
+        blogService.restoreBlog.mockRejectedValue({ response: { data: { error: 'Blog not found in trash' } } });
+        const user = userEvent.setup();
+        render(<BlogTrash />);
+
+        await screen.findByText('Old Billing Post');
+        await user.click(screen.getAllByRole('button', { name: 'Restore' })[0]);
+        expect(await screen.findByText('Blog not found in trash')).toBeInTheDocument();
+    });
+});
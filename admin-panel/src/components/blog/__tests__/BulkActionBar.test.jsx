@@ -0,0 +1,109 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import BulkActionBar from '../BulkActionBar.jsx';
+import blogService from '../../../services/blog.js';
+import categoryService from '../../../services/category.js';
+
+vi.mock('../../../services/blog.js');
+vi.mock('../../../services/category.js');
+
+describe('BulkActionBar', () => {
+    const mockOnComplete = vi.fn();
+    const mockOnClear = vi.fn();
+    const bulkResponse = {
+        success: true,
+        data: { action: 'publish', results: [{ id: '1', success: true }, { id: '2', success: true }], succeeded: 2, failed: 0 }
+    };
+
+    const renderBar = (permissions = ['blog.edit.any', 'blog.delete.any']) => render(
+        <BulkActionBar
+            selectedIds={['1', '2']}
+            userPermissions={permissions}
+            onComplete={mockOnComplete}
+            onClear={mockOnClear}
+        />
+    );
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        window.confirm = vi.fn(() => true);
+        blogService.bulkAction.mockResolvedValue(bulkResponse);
+        categoryService.getCategories.mockResolvedValue({
+            success: true,
+            data: [{ _id: 'c1', name: 'Billing', isActive: true }, { _id: 'c2', name: 'Old', isActive: false }]
+        });
+    });
+
+    it('applies a status action to the selected blogs', async () => {
+        const user = userEvent.setup();
+        renderBar();
+
+        expect(screen.getByText('2 selected')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Apply' })).toBeDisabled();
+
+        await user.selectOptions(screen.getByLabelText('Bulk action'), 'publish');
+        await user.click(screen.getByRole('button', { name: 'Apply' }));
+
+        expect(blogService.bulkAction).toHaveBeenCalledWith('publish', ['1', '2'], {});
+        await waitFor(() => {
+            expect(mockOnComplete).toHaveBeenCalledWith(bulkResponse.data);
+        });
+    });
+
+    it('moves the selected blogs to an active category', async () => {
+        const user = userEvent.setup();
+        renderBar();
+
+        await user.selectOptions(screen.getByLabelText('Bulk action'), 'set_category');
+        await screen.findByRole('option', { name: 'Billing' });
+        expect(screen.queryByRole('option', { name: 'Old' })).not.toBeInTheDocument();
+
+        await user.selectOptions(screen.getByLabelText('New category'), 'Billing');
+        await user.click(screen.getByRole('button', { name: 'Apply' }));
+
+        expect(blogService.bulkAction).toHaveBeenCalledWith('set_category', ['1', '2'], { category: 'Billing' });
+    });
+
+    it('sends comma separated tags', async () => {
+        const user = userEvent.setup();
+        renderBar();
+
+        await user.selectOptions(screen.getByLabelText('Bulk action'), 'add_tags');
+        await user.type(screen.getByLabelText('Tags'), 'coding, billing ,');
+        await user.click(screen.getByRole('button', { name: 'Apply' }));
+
+        expect(blogService.bulkAction).toHaveBeenCalledWith('add_tags', ['1', '2'], { tags: ['coding', 'billing'] });
+    });
+
+    it('only offers delete with a delete permission and asks first', async () => {
+        const user = userEvent.setup();
+        const { unmount } = renderBar(['blog.edit.own']);
+
+        expect(screen.queryByRole('option', { name: 'Delete' })).not.toBeInTheDocument();
+        unmount();
+
+        renderBar();
+        window.confirm = vi.fn(() => false);
+        await user.selectOptions(screen.getByLabelText('Bulk action'), 'delete');
+        await user.click(screen.getByRole('button', { name: 'Apply' }));
+
+        expect(window.confirm).toHaveBeenCalledWith('Delete 2 selected blog(s)?');
+        expect(blogService.bulkAction).not.toHaveBeenCalled();
+    });
+
+    it('shows request errors', async () => {
+        const user = userEvent.setup();
+        blogService.bulkAction.mockRejectedValue({
+            response: { data: { success: false, error: 'Validation error', details: '"ids" must contain at most 100 items' } }
+        });
+        renderBar();
+
+        await user.selectOptions(screen.getByLabelText('Bulk action'), 'archive');
+        await user.click(screen.getByRole('button', { name: 'Apply' }));
+
+        expect(await screen.findByText('"ids" must contain at most 100 items')).toBeInTheDocument();
+        expect(mockOnComplete).not.toHaveBeenCalled();
+    });
+});
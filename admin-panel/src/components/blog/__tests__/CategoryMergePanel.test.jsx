@@ -0,0 +1,117 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CategoryMergePanel from '../CategoryMergePanel.jsx';
+import categoryService from '../../../services/category.js';
+import blogService from '../../../services/blog.js';
+
+vi.mock('../../../services/category.js');
+vi.mock('../../../services/blog.js');
+
+describe('CategoryMergePanel', () => {
+    const categories = [
+        { _id: 'c1', name: 'Billing', slug: 'billing', parent: null, isActive: true },
+        { _id: 'c2', name: 'Denials', slug: 'denials', parent: 'c1', isActive: true },
+        { _id: 'c3', name: 'Coding', slug: 'coding', parent: null, isActive: true }
+    ];
+    const posts = [
+        { _id: 'b1', title: 'Claim Basics', status: 'published' },
+        { _id: 'b2', title: 'Appeal Letters', status: 'draft' }
+    ];
+
+    const onClose = vi.fn();
+    const onComplete = vi.fn();
+
+    const renderPanel = () => render(
+        <CategoryMergePanel
+            category={categories[0]}
+            categories={categories}
+            onClose={onClose}
+            onComplete={onComplete}
+        />
+    );
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        blogService.getBlogs.mockResolvedValue({ success: true, data: posts });
+        blogService.bulkAction.mockResolvedValue({
+            success: true,
+            data: { results: [{ id: 'b2', success: true }], succeeded: 1, failed: 0 }
+        });
+        categoryService.getMergePreview.mockResolvedValue({
+            success: true,
+            data: {
+                source: { _id: 'c1', name: 'Billing', slug: 'billing' },
+                target: { _id: 'c3', name: 'Coding', slug: 'coding' },
+                blogs: posts,
+                blogCount: 2,
+                trashedBlogCount: 1,
+                subcategories: [{ _id: 'c2', name: 'Denials', slug: 'denials' }],
+                redirect: { from: 'billing', to: 'coding' }
+            }
+        });
+        categoryService.mergeCategory.mockResolvedValue({ success: true, data: {} });
+    });
+
+    it('lists only the posts filed directly under the category', async () => {
+        renderPanel();
+
+        expect(await screen.findByText('Claim Basics')).toBeInTheDocument();
+        expect(blogService.getBlogs).toHaveBeenCalledWith({
+            category: 'Billing',
+            includeSubcategories: false,
+            status: 'all',
+            limit: 100
+        });
+    });
+
+    it('previews the selected posts before moving them', async () => {
+        const user = userEvent.setup();
+        renderPanel();
+
+        await user.click(await screen.findByLabelText('Select Appeal Letters'));
+        await user.selectOptions(screen.getByLabelText('Target category'), 'c3');
+        await user.click(screen.getByRole('button', { name: /Move selected posts/ }));
+
+        expect(screen.getByText('These 1 posts will move to Coding:')).toBeInTheDocument();
+        expect(blogService.bulkAction).not.toHaveBeenCalled();
+
+        await user.click(screen.getByRole('button', { name: 'Confirm move' }));
+
+        expect(blogService.bulkAction).toHaveBeenCalledWith('set_category', ['b2'], { category: 'Coding' });
+        expect(await screen.findByText('1 posts moved to Coding')).toBeInTheDocument();
+        expect(onComplete).toHaveBeenCalled();
+    });
+
+    it('shows what a merge will change before merging', async () => {
+        const user = userEvent.setup();
+        renderPanel();
+
+        await user.selectOptions(await screen.findByLabelText('Target category'), 'c3');
+        await user.click(screen.getByRole('button', { name: /Preview merge/ }));
+
+        expect(categoryService.getMergePreview).toHaveBeenCalledWith('c1', 'c3');
+        expect(await screen.findByText(/will redirect to \/coding/)).toBeInTheDocument();
+        expect(screen.getByText(/and 1 in the trash/)).toBeInTheDocument();
+        expect(categoryService.mergeCategory).not.toHaveBeenCalled();
+
+        await user.click(screen.getByRole('button', { name: 'Confirm merge' }));
+
+        await waitFor(() => {
+            expect(categoryService.mergeCategory).toHaveBeenCalledWith('c1', 'c3');
+            expect(onComplete).toHaveBeenCalled();
+            expect(onClose).toHaveBeenCalled();
+        });
+    });
+
+    it('only allows moving posts into a subcategory, not merging', async () => {
+        const user = userEvent.setup();
+        renderPanel();
+
+        await user.selectOptions(await screen.findByLabelText('Target category'), 'c2');
+
+        expect(screen.getByRole('button', { name: /Preview merge/ })).toBeDisabled();
+        expect(screen.getByText(/only selected posts can move there/)).toBeInTheDocument();
+    });
+});
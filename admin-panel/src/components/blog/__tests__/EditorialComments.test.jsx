@@ -0,0 +1,168 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import EditorialComments from '../EditorialComments.jsx';
+import blogService from '../../../services/blog.js';
+import { locateAnchor, getMentionQuery } from '../../../utils/commentAnchors.js';
+
+vi.mock('../../../services/blog.js');
+vi.mock('../../../services/auth.js', () => ({
+    default: {
+        getCurrentUser: () => ({ id: 'reviewer1', username: 'reviewer', role: 'reviewer' })
+    }
+}));
+
+describe('EditorialComments', () => {
+    const mockOnClose = vi.fn();
+    const documentText = 'Claims need prior consent before submission.\n';
+
+    const createEditor = (selection = null) => ({
+        getText: vi.fn((index, length) => (index === undefined ? documentText : documentText.substr(index, length))),
+        getSelection: vi.fn(() => selection),
+        setSelection: vi.fn()
+    });
+
+    const mockThreads = [
+        {
+            _id: 'c1',
+            anchor: { index: 12, length: 13, quote: 'prior consent' },
+            body: '@editor1 please cite the rule',
+            mentions: [{ _id: 'u1', username: 'editor1' }],
+            author: { _id: 'reviewer1', username: 'reviewer' },
+            status: 'open',
+            createdAt: '2024-01-01T10:00:00.000Z',
+            replies: [
+                {
+                    _id: 'c2',
+                    parent: 'c1',
+                    body: 'Added the citation',
+                    mentions: [],
+                    author: { _id: 'u1', username: 'editor1' },
+                    createdAt: '2024-01-01T11:00:00.000Z'
+                }
+            ]
+        }
+    ];
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        blogService.getComments.mockResolvedValue({ success: true, data: mockThreads, counts: { total: 1, open: 1 } });
+        blogService.createComment.mockResolvedValue({ success: true, data: {} });
+        blogService.resolveComment.mockResolvedValue({ success: true, data: {} });
+        blogService.getMentionSuggestions.mockResolvedValue({ success: true, data: [] });
+    });
+
+    it('lists open threads with their replies', async () => {
+        const editor = createEditor();
+        render(<EditorialComments blogId="blog1" getEditor={() => editor} onClose={mockOnClose} />);
+
+        await waitFor(() => {
+            expect(screen.getByText('prior consent')).toBeInTheDocument();
+        });
+
+        expect(screen.getByText('@editor1')).toHaveClass('text-blue-600');
+        expect(screen.getByText('Added the citation')).toBeInTheDocument();
+        expect(blogService.getComments).toHaveBeenCalledWith('blog1', { status: 'open' });
+    });
+
+    it('selects the commented text in the editor', async () => {
+        const user = userEvent.setup();
+        const editor = createEditor();
+        render(<EditorialComments blogId="blog1" getEditor={() => editor} onClose={mockOnClose} />);
+
+        await user.click(await screen.findByTitle('Show in editor'));
+
+        expect(editor.setSelection).toHaveBeenCalledWith(12, 13, 'user');
+    });
+
+    it('starts a thread anchored to the editor selection', async () => {
+        const user = userEvent.setup();
+        const editor = createEditor({ index: 0, length: 6 });
+        render(<EditorialComments blogId="blog1" getEditor={() => editor} onClose={mockOnClose} />);
+
+        await user.click(await screen.findByText('Comment on selection'));
+        await user.type(screen.getByPlaceholderText('Add a comment, @ to mention'), 'Define claims');
+        await user.click(screen.getByRole('button', { name: 'Comment' }));
+
+        await waitFor(() => {
+            expect(blogService.createComment).toHaveBeenCalledWith('blog1', {
+                body: 'Define claims',
+                anchor: { index: 0, length: 6, quote: 'Claims' }
+            });
+        });
+    });
+
+    it('asks for a selection before starting a thread', async () => {
+        const user = userEvent.setup();
+        const editor = createEditor(null);
+        render(<EditorialComments blogId="blog1" getEditor={() => editor} onClose={mockOnClose} />);
+
+        await user.click(await screen.findByText('Comment on selection'));
+
+        expect(screen.getByText('Select some text in the editor to comment on')).toBeInTheDocument();
+    });
+
+    it('replies to and resolves a thread', async () => {
+        const user = userEvent.setup();
+        const editor = createEditor();
+        render(<EditorialComments blogId="blog1" getEditor={() => editor} onClose={mockOnClose} />);
+
+        await user.type(await screen.findByPlaceholderText('Reply...'), 'Looks right now');
+        await user.click(screen.getByRole('button', { name: 'Reply' }));
+
+        await waitFor(() => {
+            expect(blogService.createComment).toHaveBeenCalledWith('blog1', { body: 'Looks right now', parentId: 'c1' });
+        });
+
+        await user.click(screen.getByRole('button', { name: /resolve/i }));
+
+        await waitFor(() => {
+            expect(blogService.resolveComment).toHaveBeenCalledWith('blog1', 'c1');
+        });
+    });
+
+    it('suggests users while typing an @mention', async () => {
+        blogService.getMentionSuggestions.mockResolvedValue({
+            success: true,
+            data: [{ _id: 'u1', username: 'editor1', role: 'editor' }]
+        });
+        const editor = createEditor();
+        render(<EditorialComments blogId="blog1" getEditor={() => editor} onClose={mockOnClose} />);
+
+        const reply = await screen.findByPlaceholderText('Reply...');
+        fireEvent.change(reply, { target: { value: 'Thanks @ed', selectionStart: 10 } });
+
+        await waitFor(() => {
+            expect(blogService.getMentionSuggestions).toHaveBeenCalledWith('blog1', 'ed');
+        });
+
+        fireEvent.click(await screen.findByText('@editor1', { selector: 'button' }));
+
+        expect(reply).toHaveValue('Thanks @editor1 ');
+    });
+
+    it('flags threads whose text no longer exists', async () => {
+        const editor = createEditor();
+        blogService.getComments.mockResolvedValue({
+            success: true,
+            data: [{ ...mockThreads[0], anchor: { index: 0, length: 7, quote: 'removed' }, replies: [] }]
+        });
+
+        render(<EditorialComments blogId="blog1" getEditor={() => editor} onClose={mockOnClose} />);
+
+        expect(await screen.findByText('The commented text has changed')).toBeInTheDocument();
+    });
+
+    describe('commentAnchors', () => {
+        it('follows quoted text that moved', () => {
+            expect(locateAnchor('Intro. Claims need consent', { index: 0, length: 6, quote: 'Claims' }))
+                .toEqual({ index: 7, length: 6 });
+        });
+
+        it('detects an @mention before the caret', () => {
+            expect(getMentionQuery('ping @jan', 9)).toEqual({ query: 'jan', start: 5 });
+            expect(getMentionQuery('mail me@jan', 11)).toBeNull();
+        });
+    });
+});
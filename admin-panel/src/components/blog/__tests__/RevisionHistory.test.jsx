@@ -0,0 +1,151 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RevisionHistory from '../RevisionHistory.jsx';
+import blogService from '../../../services/blog.js';
+
+vi.mock('../../../services/blog.js');
+
+describe('RevisionHistory', () => {
+    const mockOnRestore = vi.fn();
+    const mockOnClose = vi.fn();
+
+    const mockRevisions = [
+        {
+            _id: 'rev2',
+            revisionNumber: 2,
+            changeType: 'update',
+            editedBy: { username: 'editor', profile: { firstName: 'Jane', lastName: 'Doe' } },
+            createdAt: '2024-01-02T10:00:00.000Z'
+        },
+        {
+            _id: 'rev1',
+            revisionNumber: 1,
+            changeType: 'create',
+            editedBy: { username: 'author' },
+            createdAt: '2024-01-01T10:00:00.000Z'
+        }
+    ];
+
+    const mockComparison = {
+        from: { _id: 'rev1', label: 'Revision 1' },
+        to: { _id: 'current', label: 'Current version' },
+        changedFields: ['title', 'tags', 'content'],
+        fields: [
+            { field: 'title', label: 'Title', type: 'text', changed: true, diff: '<del>Old</del><ins>New</ins> title' },
+            { field: 'excerpt', label: 'Excerpt', type: 'text', changed: false, diff: 'Same' },
+            { field: 'tags', label: 'Tags', type: 'list', changed: true, added: ['rcm'], removed: ['billing'] },
+            { field: 'content', label: 'Content', type: 'html', changed: true, diff: '<p><ins>Added</ins> text</p>', stats: { insertions: 1, deletions: 0 } }
+        ]
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        blogService.getRevisions.mockResolvedValue({ success: true, data: mockRevisions });
+        blogService.compareRevisions.mockResolvedValue({ success: true, data: mockComparison });
+        blogService.restoreRevision.mockResolvedValue({
+            success: true,
+            data: { blog: { _id: 'blog1', title: 'Old title' }, revision: { revisionNumber: 3 } }
+        });
+    });
+
+    it('lists revisions with editor and change type', async () => {
+        render(<RevisionHistory blogId="blog1" onRestore={mockOnRestore} onClose={mockOnClose} />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Revision 2')).toBeInTheDocument();
+        });
+
+        expect(blogService.getRevisions).toHaveBeenCalledWith('blog1', { limit: 50 });
+        expect(screen.getByText('Revision 1')).toBeInTheDocument();
+        expect(screen.getByText('Jane Doe')).toBeInTheDocument();
+        expect(screen.getByText('author')).toBeInTheDocument();
+        expect(screen.getByText('create')).toBeInTheDocument();
+    });
+
+    it('shows only changed fields when comparing with the current version', async () => {
+        const user = userEvent.setup();
+        render(<RevisionHistory blogId="blog1" onRestore={mockOnRestore} onClose={mockOnClose} />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Revision 1')).toBeInTheDocument();
+        });
+
+        await user.click(screen.getAllByText('Compare with current')[1]);
+
+        await waitFor(() => {
+            expect(screen.getByText('Current version')).toBeInTheDocument();
+        });
+
+        expect(blogService.compareRevisions).toHaveBeenCalledWith('blog1', 'rev1', 'current');
+        expect(screen.getByText('Title')).toBeInTheDocument();
+        expect(screen.getByText('Content')).toBeInTheDocument();
+        expect(screen.queryByText('Excerpt')).not.toBeInTheDocument();
+        expect(screen.getByText('+ rcm')).toBeInTheDocument();
+        expect(screen.getByText('billing')).toBeInTheDocument();
+    });
+
+    it('compares two selected revisions oldest first', async () => {
+        const user = userEvent.setup();
+        render(<RevisionHistory blogId="blog1" onRestore={mockOnRestore} onClose={mockOnClose} />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Revision 1')).toBeInTheDocument();
+        });
+
+        const compareButton = screen.getByText(/Compare selected/).closest('button');
+        expect(compareButton).toBeDisabled();
+
+        await user.click(screen.getByLabelText('Select revision 2'));
+        await user.click(screen.getByLabelText('Select revision 1'));
+        expect(compareButton).not.toBeDisabled();
+
+        await user.click(compareButton);
+
+        expect(blogService.compareRevisions).toHaveBeenCalledWith('blog1', 'rev1', 'rev2');
+    });
+
+    it('restores a revision after confirmation', async () => {
+        const user = userEvent.setup();
+        vi.spyOn(window, 'confirm').mockReturnValue(true);
+        render(<RevisionHistory blogId="blog1" onRestore={mockOnRestore} onClose={mockOnClose} />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Revision 1')).toBeInTheDocument();
+        });
+
+        await user.click(screen.getAllByText('Restore')[1]);
+
+        await waitFor(() => {
+            expect(mockOnRestore).toHaveBeenCalledWith({ _id: 'blog1', title: 'Old title' });
+        });
+
+        expect(blogService.restoreRevision).toHaveBeenCalledWith('blog1', 'rev1');
+        expect(blogService.getRevisions).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not restore when confirmation is cancelled', async () => {
+        const user = userEvent.setup();
+        vi.spyOn(window, 'confirm').mockReturnValue(false);
+        render(<RevisionHistory blogId="blog1" onRestore={mockOnRestore} onClose={mockOnClose} />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Revision 1')).toBeInTheDocument();
+        });
+
+        await user.click(screen.getAllByText('Restore')[1]);
+
+        expect(blogService.restoreRevision).not.toHaveBeenCalled();
+        expect(mockOnRestore).not.toHaveBeenCalled();
+    });
+
+    it('displays an error when revisions fail to load', async () => {
+        blogService.getRevisions.mockRejectedValue({ response: { data: { error: 'Blog not found' } } });
+        render(<RevisionHistory blogId="blog1" onRestore={mockOnRestore} onClose={mockOnClose} />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Blog not found')).toBeInTheDocument();
+        });
+    });
+});
@@ -3,14 +3,23 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { render, screen, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import TagManager from '../TagManager.jsx';
+import tagService from '../../../services/tag.js';
+
+vi.mock('../../../services/tag.js');
 
 describe('TagManager', () => {
     const mockOnTagsChange = vi.fn();
-    const mockOnAvailableTagsUpdate = vi.fn();
-    const defaultAvailableTags = ['javascript', 'react', 'nodejs', 'css'];
+    const toTag = (slug, usageCount = 1) => ({ _id: slug, name: slug, slug, usageCount, matchedSynonym: null });
+    const defaultTags = ['javascript', 'react', 'nodejs', 'css'].map(slug => toTag(slug));
 
     beforeEach(() => {
         vi.clearAllMocks();
+        tagService.getTags.mockResolvedValue({ success: true, data: defaultTags });
+        // Prefix matches, as the API returns them
+        tagService.autocomplete.mockImplementation(async (query) => ({
+            success: true,
+            data: defaultTags.filter(tag => tag.slug.startsWith(query.toLowerCase()))
+        }));
     });
 
     describe('Tag Display', () => {
@@ -19,12 +28,10 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={[]}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
-            expect(screen.getByText(/tags/i)).toBeInTheDocument();
+            expect(screen.getByText('Tags')).toBeInTheDocument();
             expect(screen.getByPlaceholderText('Add a tag')).toBeInTheDocument();
         });
 
@@ -33,8 +40,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={['javascript', 'react']}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -48,8 +53,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={['javascript', 'react', 'nodejs']}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                     maxTags={5}
                 />
             );
@@ -65,8 +68,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={[]}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -85,8 +86,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={[]}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -103,8 +102,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={['javascript']}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -123,8 +120,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={[]}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -143,8 +138,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={[]}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -157,24 +150,22 @@ describe('TagManager', () => {
             expect(mockOnTagsChange).not.toHaveBeenCalled();
         });
 
-        it('adds new tag to available tags', async () => {
+        it('adds new tags in the lowercase form the API stores', async () => {
             const user = userEvent.setup();
             render(
                 <TagManager
                     selectedTags={[]}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
             const input = screen.getByPlaceholderText('Add a tag');
             const addButton = screen.getByRole('button', { name: '' });
 
-            await user.type(input, 'typescript');
+            await user.type(input, 'TypeScript');
             await user.click(addButton);
 
-            expect(mockOnAvailableTagsUpdate).toHaveBeenCalledWith([...defaultAvailableTags, 'typescript']);
+            expect(mockOnTagsChange).toHaveBeenCalledWith(['typescript']);
         });
     });
 
@@ -185,8 +176,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={['javascript', 'react']}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -202,8 +191,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={['javascript', 'react']}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -216,14 +203,17 @@ describe('TagManager', () => {
     });
 
     describe('Tag Suggestions', () => {
+        beforeEach(() => {
+            // No popular tags, so only suggestions show tag names
+            tagService.getTags.mockResolvedValue({ success: true, data: [] });
+        });
+
         it('shows suggestions when typing', async () => {
             const user = userEvent.setup();
             render(
                 <TagManager
                     selectedTags={[]}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -241,8 +231,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={[]}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -261,8 +249,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={['javascript']}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -270,8 +256,30 @@ describe('TagManager', () => {
             await user.type(input, 'java');
 
             await waitFor(() => {
-                expect(screen.queryByText('javascript')).not.toBeInTheDocument();
+                expect(tagService.autocomplete).toHaveBeenCalledWith('java');
             });
+            expect(screen.queryByRole('button', { name: /^javascript/ })).not.toBeInTheDocument();
+        });
+
+        it('shows which synonym matched a suggestion', async () => {
+            const user = userEvent.setup();
+            tagService.autocomplete.mockResolvedValue({
+                success: true,
+                data: [{ _id: 't1', name: 'EHR', slug: 'ehr', usageCount: 4, matchedSynonym: 'electronic health records' }]
+            });
+            render(
+                <TagManager
+                    selectedTags={[]}
+                    onTagsChange={mockOnTagsChange}
+                />
+            );
+
+            await user.type(screen.getByPlaceholderText('Add a tag'), 'electronic');
+
+            expect(await screen.findByText('(matches "electronic health records")')).toBeInTheDocument();
+            await user.click(screen.getByText('EHR'));
+
+            expect(mockOnTagsChange).toHaveBeenCalledWith(['ehr']);
         });
 
         it('adds tag when suggestion is clicked', async () => {
@@ -280,8 +288,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={[]}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -302,8 +308,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={[]}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
@@ -321,33 +325,29 @@ describe('TagManager', () => {
     });
 
     describe('Popular Tags', () => {
-        it('shows popular tags section', () => {
+        it('shows popular tags section', async () => {
             render(
                 <TagManager
                     selectedTags={[]}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
-            expect(screen.getByText('Popular tags:')).toBeInTheDocument();
+            expect(await screen.findByText('Popular tags:')).toBeInTheDocument();
             expect(screen.getByText('javascript')).toBeInTheDocument();
             expect(screen.getByText('react')).toBeInTheDocument();
         });
 
-        it('excludes selected tags from popular tags', () => {
+        it('excludes selected tags from popular tags', async () => {
             render(
                 <TagManager
                     selectedTags={['javascript']}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
-            expect(screen.getByText('react')).toBeInTheDocument();
-            expect(screen.queryByText('javascript')).not.toBeInTheDocument();
+            expect(await screen.findByRole('button', { name: 'react' })).toBeInTheDocument();
+            expect(screen.queryByRole('button', { name: 'javascript' })).not.toBeInTheDocument();
         });
 
         it('adds tag when popular tag is clicked', async () => {
@@ -356,12 +356,10 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={[]}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                 />
             );
 
-            const popularTag = screen.getByRole('button', { name: 'javascript' });
+            const popularTag = await screen.findByRole('button', { name: 'javascript' });
             await user.click(popularTag);
 
             expect(mockOnTagsChange).toHaveBeenCalledWith(['javascript']);
@@ -374,8 +372,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={['tag1', 'tag2']}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                     maxTags={2}
                 />
             );
@@ -390,8 +386,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={['tag1', 'tag2']}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                     maxTags={2}
                 />
             );
@@ -407,8 +401,6 @@ describe('TagManager', () => {
                 <TagManager
                     selectedTags={['javascript']}
                     onTagsChange={mockOnTagsChange}
-                    availableTags={defaultAvailableTags}
-                    onAvailableTagsUpdate={mockOnAvailableTagsUpdate}
                     disabled={true}
                 />
             );
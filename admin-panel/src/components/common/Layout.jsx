@@ -1,12 +1,12 @@
 import React from 'react';
 import { useAuth } from '../../contexts/AuthContext.jsx';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { LogOut, User, FileText, Users, Home, Tag, Menu, X } from 'lucide-react';
+import { LogOut, User, FileText, Users, Home, Tag, Menu, X, ClipboardCheck, MessageCircle, MonitorX, Shield, History, KeyRound, Key, UserCircle, Layers, Hash } from 'lucide-react';
 import Logo from '../../assets/logo.png';
 import Plogo from '../../assets/logo_sm.png';
 
 function Layout({ children }) {
-    const { user, logout } = useAuth();
+    const { user, logout, logoutAll, hasPermission } = useAuth();
     const navigate = useNavigate();
     const location = useLocation();
     const [isSidebarOpen, setIsSidebarOpen] = React.useState(true);
@@ -16,29 +16,96 @@ function Layout({ children }) {
         logout();
     };
 
+    const handleLogoutAll = () => {
+        if (window.confirm('Sign out of all devices, including this one?')) {
+            logoutAll();
+        }
+    };
+
     const navigationItems = [
         {
             name: 'Dashboard',
             path: '/dashboard',
-            icon: Home
+            icon: Home,
+            permissions: ['analytics.view']
         },
         {
             name: 'Blogs',
             path: '/blogs',
-            icon: FileText
+            icon: FileText,
+            permissions: ['blog.create', 'blog.edit.any']
+        },
+        {
+            name: 'Review Queue',
+            path: '/review',
+            icon: ClipboardCheck,
+            permissions: ['blog.review']
+        },
+        {
+            name: 'Comments',
+            path: '/comments',
+            icon: MessageCircle,
+            permissions: ['comment.moderate']
         },
         {
             name: 'Categories',
             path: '/categories',
-            icon: Tag
+            icon: Tag,
+            permissions: ['category.manage', 'blog.create']
+        },
+        {
+            name: 'Series',
+            path: '/series',
+            icon: Layers,
+            permissions: ['series.manage']
+        },
+        {
+            name: 'Tags',
+            path: '/tags',
+            icon: Hash,
+            permissions: ['tag.manage']
         },
         {
             name: 'Users',
             path: '/users',
-            icon: Users
+            icon: Users,
+            permissions: ['user.view']
+        },
+        {
+            name: 'Roles',
+            path: '/roles',
+            icon: KeyRound,
+            permissions: ['role.manage']
+        },
+        {
+            name: 'API Keys',
+            path: '/api-keys',
+            icon: Key,
+            permissions: ['apikey.manage']
+        },
+        {
+            name: 'Activity',
+            path: '/activity',
+            icon: History,
+            permissions: ['audit.view']
+        },
+        {
+            name: 'Account',
+            path: '/account',
+            icon: UserCircle
+        },
+        {
+            name: 'Security',
+            path: '/settings/security',
+            icon: Shield
         }
     ];
 
+    // Only show pages the current role can open; items without permissions are open to everyone
+    const visibleItems = navigationItems.filter(item =>
+        !item.permissions || item.permissions.some(permission => hasPermission(permission))
+    );
+
     const isActivePath = (path) => {
         return location.pathname === path ||
             (path === '/blogs' && location.pathname === '/') ||
@@ -81,7 +148,7 @@ function Layout({ children }) {
 
                 {/* Navigation Items */}
                 <nav className="flex-1 dark-primary px-0 py-0 space-y-1 overflow-y-auto">
-                    {navigationItems.map((item) => {
+                    {visibleItems.map((item) => {
                         const Icon = item.icon;
                         const isActive = isActivePath(item.path);
 
@@ -108,23 +175,38 @@ function Layout({ children }) {
                     <div className={`flex items-center ${isSidebarOpen ? 'justify-between' : 'justify-center'}`}>
                         {isSidebarOpen && (
                             <div className="flex items-center">
-                                <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
-                                    <User className="h-4 w-4 text-blue-600" />
-                                </div>
+                                {user?.profile?.avatar ? (
+                                    <img src={user.profile.avatar} alt="" className="w-8 h-8 rounded-full object-cover" />
+                                ) : (
+                                    <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
+                                        <User className="h-4 w-4 text-blue-600" />
+                                    </div>
+                                )}
                                 <div className="ml-3">
-                                    <p className="text-sm font-medium text-white">{user?.name || 'User'}</p>
+                                    <p className="text-sm font-medium text-white">{user?.fullName || user?.name || 'User'}</p>
                                     <p className="text-xs text-gray-400">{user?.email || 'user@example.com'}</p>
                                 </div>
                             </div>
                         )}
-                        <button
-                            onClick={handleLogout}
-                            className={`p-2 text-gray-400 hover:text-red-600 transition-colors duration-200 ${!isSidebarOpen ? 'mt-2' : ''
-                                }`}
-                            title="Logout"
-                        >
-                            <LogOut className="h-5 w-5" />
-                        </button>
+                        <div className="flex items-center">
+                            {isSidebarOpen && (
+                                <button
+                                    onClick={handleLogoutAll}
+                                    className="p-2 text-gray-400 hover:text-red-600 transition-colors duration-200"
+                                    title="Logout from all devices"
+                                >
+                                    <MonitorX className="h-5 w-5" />
+                                </button>
+                            )}
+                            <button
+                                onClick={handleLogout}
+                                className={`p-2 text-gray-400 hover:text-red-600 transition-colors duration-200 ${!isSidebarOpen ? 'mt-2' : ''
+                                    }`}
+                                title="Logout"
+                            >
+                                <LogOut className="h-5 w-5" />
+                            </button>
+                        </div>
                     </div>
                 </div>
             </div>
@@ -168,7 +250,7 @@ function Layout({ children }) {
 
                     {/* Mobile Navigation Items */}
                     <nav className="flex-1 px-3 py-4 space-y-1 overflow-y-auto">
-                        {navigationItems.map((item) => {
+                        {visibleItems.map((item) => {
                             const Icon = item.icon;
                             const isActive = isActivePath(item.path);
 
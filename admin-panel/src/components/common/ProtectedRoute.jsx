@@ -2,8 +2,34 @@ import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext.jsx';
 
-function ProtectedRoute({ children, requireAdmin = false }) {
-    const { isAuthenticated, isLoading, isAdmin, canEdit } = useAuth();
+function AccessDenied({ message }) {
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50">
+            <div className="text-center">
+                <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-red-100">
+                    <svg
+                        className="h-6 w-6 text-red-600"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor"
+                    >
+                        <path
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth={2}
+                            d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z"
+                        />
+                    </svg>
+                </div>
+                <h2 className="mt-6 text-2xl font-bold text-gray-900">Access Denied</h2>
+                <p className="mt-2 text-gray-600">{message}</p>
+            </div>
+        </div>
+    );
+}
+
+function ProtectedRoute({ children, permission, requireAdmin = false, requireReviewer = false, allowReviewer = false }) {
+    const { isAuthenticated, isLoading, isAdmin, canEdit, canReview, hasPermission } = useAuth();
     const location = useLocation();
 
     // Show loading spinner while checking authentication
@@ -23,62 +49,44 @@ function ProtectedRoute({ children, requireAdmin = false }) {
         return <Navigate to="/login" state={{ from: location }} replace />;
     }
 
+    // Permission-gated pages are open to any role holding one of the permissions
+    if (permission) {
+        const permissions = Array.isArray(permission) ? permission : [permission];
+        if (!permissions.some(key => hasPermission(key))) {
+            // Reviewers without access land on the review queue instead
+            if (hasPermission('blog.review')) {
+                return <Navigate to="/review" replace />;
+            }
+            return <AccessDenied message="You do not have permission to access this page." />;
+        }
+        return children;
+    }
+
     // Check admin requirement
     if (requireAdmin && !isAdmin()) {
-        return (
-            <div className="min-h-screen flex items-center justify-center bg-gray-50">
-                <div className="text-center">
-                    <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-red-100">
-                        <svg
-                            className="h-6 w-6 text-red-600"
-                            fill="none"
-                            viewBox="0 0 24 24"
-                            stroke="currentColor"
-                        >
-                            <path
-                                strokeLinecap="round"
-                                strokeLinejoin="round"
-                                strokeWidth={2}
-                                d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z"
-                            />
-                        </svg>
-                    </div>
-                    <h2 className="mt-6 text-2xl font-bold text-gray-900">Access Denied</h2>
-                    <p className="mt-2 text-gray-600">
-                        You need admin privileges to access this page.
-                    </p>
-                </div>
-            </div>
-        );
+        return <AccessDenied message="You need admin privileges to access this page." />;
+    }
+
+    // Review pages are open to reviewers and admins
+    if (requireReviewer) {
+        if (!canReview()) {
+            return <AccessDenied message="You need reviewer or admin privileges to access this page." />;
+        }
+        return children;
+    }
+
+    // Account pages are open to every panel role
+    if (allowReviewer) {
+        return children;
     }
 
     // Check editor/admin requirement (default for most admin panel routes)
     if (!canEdit()) {
-        return (
-            <div className="min-h-screen flex items-center justify-center bg-gray-50">
-                <div className="text-center">
-                    <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-red-100">
-                        <svg
-                            className="h-6 w-6 text-red-600"
-                            fill="none"
-                            viewBox="0 0 24 24"
-                            stroke="currentColor"
-                        >
-                            <path
-                                strokeLinecap="round"
-                                strokeLinejoin="round"
-                                strokeWidth={2}
-                                d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z"
-                            />
-                        </svg>
-                    </div>
-                    <h2 className="mt-6 text-2xl font-bold text-gray-900">Access Denied</h2>
-                    <p className="mt-2 text-gray-600">
-                        You need editor or admin privileges to access this page.
-                    </p>
-                </div>
-            </div>
-        );
+        // Reviewers only have access to the review queue
+        if (canReview()) {
+            return <Navigate to="/review" replace />;
+        }
+        return <AccessDenied message="You need editor or admin privileges to access this page." />;
     }
 
     // Render protected content
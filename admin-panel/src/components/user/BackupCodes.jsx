@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import { Copy, Check } from 'lucide-react';
+
+// Shows freshly generated backup codes; they cannot be retrieved again
+function BackupCodes({ codes }) {
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(codes.join('\n'));
+            setCopied(true);
+        } catch (err) {
+            console.error('Failed to copy backup codes:', err);
+        }
+    };
+
+    return (
+        <div className="rounded-md border border-yellow-200 bg-yellow-50 p-4">
+            <p className="text-sm text-yellow-800">
+                Save these backup codes somewhere safe. Each code can be used once to sign in if you lose
+                access to your authenticator app. They will not be shown again.
+            </p>
+            <ul className="mt-3 grid grid-cols-2 gap-2 font-mono text-sm text-gray-900" aria-label="Backup codes">
+                {codes.map(code => (
+                    <li key={code} className="rounded bg-white px-2 py-1 text-center">{code}</li>
+                ))}
+            </ul>
+            <button
+                type="button"
+                onClick={handleCopy}
+                className="mt-3 inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+            >
+                {copied ? <Check className="h-4 w-4 mr-1" /> : <Copy className="h-4 w-4 mr-1" />}
+                {copied ? 'Copied' : 'Copy codes'}
+            </button>
+        </div>
+    );
+}
+
+export default BackupCodes;
@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Ban } from 'lucide-react';
+import invitationService from '../../services/invitation.js';
+
+const STATUS_FILTERS = [
+    { value: 'pending', label: 'Pending' },
+    { value: 'expired', label: 'Expired' },
+    { value: 'accepted', label: 'Accepted' },
+    { value: 'revoked', label: 'Revoked' },
+    { value: '', label: 'All' }
+];
+
+const STATUS_STYLES = {
+    pending: 'bg-blue-100 text-blue-800',
+    accepted: 'bg-green-100 text-green-800',
+    expired: 'bg-yellow-100 text-yellow-800',
+    revoked: 'bg-red-100 text-red-800'
+};
+
+function InvitationList() {
+    const [invitations, setInvitations] = useState([]);
+    const [status, setStatus] = useState('pending');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    const loadInvitations = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await invitationService.getInvitations({ status, limit: 50 });
+            setInvitations(response.data);
+        } catch (err) {
+            console.error('Failed to load invitations:', err);
+            setError(err.response?.data?.error || 'Failed to load invitations');
+        } finally {
+            setLoading(false);
+        }
+    }, [status]);
+
+    useEffect(() => {
+        loadInvitations();
+    }, [loadInvitations]);
+
+    const handleResend = async (invitation) => {
+        try {
+            setError(null);
+            const response = await invitationService.resendInvitation(invitation._id);
+            setNotice(response.message);
+            await loadInvitations();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to resend invitation');
+        }
+    };
+
+    const handleRevoke = async (invitation) => {
+        if (!window.confirm(`Revoke the invitation for ${invitation.email}? The link in their email will stop working.`)) {
+            return;
+        }
+
+        try {
+            setError(null);
+            const response = await invitationService.revokeInvitation(invitation._id);
+            setNotice(response.message);
+            await loadInvitations();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to revoke invitation');
+        }
+    };
+
+    const formatDate = (dateString) => {
+        if (!dateString) return '—';
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    return (
+        <div className="mt-6 bg-white shadow rounded-lg">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                <h3 className="text-lg font-medium text-gray-900">Invitations</h3>
+                <select
+                    value={status}
+                    onChange={(e) => setStatus(e.target.value)}
+                    aria-label="Invitation status"
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                    {STATUS_FILTERS.map(option => (
+                        <option key={option.value} value={option.value}>
+                            {option.label}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            {error && (
+                <div className="mx-6 mt-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+                    {error}
+                </div>
+            )}
+
+            {notice && (
+                <div className="mx-6 mt-4 bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded">
+                    {notice}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex justify-center items-center h-24">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                </div>
+            ) : invitations.length === 0 ? (
+                <p className="p-8 text-center text-gray-500">No invitations</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Email
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Role
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Invited By
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Last Sent
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Expires
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Status
+                                </th>
+                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Actions
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {invitations.map(invitation => (
+                                <tr key={invitation._id}>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                        {invitation.email}
+                                        {invitation.acceptedUser && (
+                                            <div className="text-xs text-gray-500">Joined as {invitation.acceptedUser.username}</div>
+                                        )}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">
+                                        {invitation.role}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {invitation.invitedBy?.username || 'Deleted user'}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        <div>{formatDate(invitation.lastSentAt)}</div>
+                                        {invitation.sendCount > 1 && (
+                                            <div className="text-xs">Sent {invitation.sendCount} times</div>
+                                        )}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {formatDate(invitation.expiresAt)}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${STATUS_STYLES[invitation.status]}`}>
+                                            {invitation.status}
+                                        </span>
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                                        {(invitation.status === 'pending' || invitation.status === 'expired') && (
+                                            <>
+                                                <button
+                                                    onClick={() => handleResend(invitation)}
+                                                    aria-label={`Resend invitation to ${invitation.email}`}
+                                                    className="p-1 text-blue-600 hover:text-blue-900"
+                                                    title="Resend"
+                                                >
+                                                    <RefreshCw className="h-4 w-4" />
+                                                </button>
+                                                <button
+                                                    onClick={() => handleRevoke(invitation)}
+                                                    aria-label={`Revoke invitation to ${invitation.email}`}
+                                                    className="p-1 text-red-600 hover:text-red-900"
+                                                    title="Revoke"
+                                                >
+                                                    <Ban className="h-4 w-4" />
+                                                </button>
+                                            </>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default InvitationList;
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Send } from 'lucide-react';
+import invitationService from '../../services/invitation.js';
+import { getUserRoles } from '../../services/user.js';
+
+// Invites a new user by email; the invitee sets their own password from the emailed link
+function InviteUserForm({ onInvited, onCancel, roles = getUserRoles() }) {
+    const [formData, setFormData] = useState({ email: '', role: 'editor' });
+    const [loading, setLoading] = useState(false);
+    const [errors, setErrors] = useState({});
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+
+        if (errors[name]) {
+            setErrors(prev => ({ ...prev, [name]: '' }));
+        }
+    };
+
+    const validateForm = () => {
+        const newErrors = {};
+
+        if (!formData.email.trim()) {
+            newErrors.email = 'Email is required';
+        } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+            newErrors.email = 'Please enter a valid email address';
+        }
+
+        if (!formData.role) {
+            newErrors.role = 'Role is required';
+        }
+
+        setErrors(newErrors);
+        return Object.keys(newErrors).length === 0;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!validateForm()) {
+            return;
+        }
+
+        setLoading(true);
+        setErrors({});
+
+        try {
+            const response = await invitationService.createInvitation(formData);
+            onInvited(response.data);
+        } catch (error) {
+            console.error('Invite user error:', error);
+            setErrors({ submit: error.response?.data?.error || 'Failed to send invitation' });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="mx-auto">
+            <div className="bg-white shadow rounded-lg">
+                <div className="px-6 py-4 border-b border-gray-200">
+                    <h3 className="text-lg font-medium text-gray-900">Invite User</h3>
+                    <p className="mt-1 text-sm text-gray-500">
+                        We'll email a link where they choose their own username and password.
+                    </p>
+                </div>
+
+                <form onSubmit={handleSubmit} className="px-6 py-4 space-y-6">
+                    {errors.submit && (
+                        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+                            {errors.submit}
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div>
+                            <label htmlFor="invite-email" className="block text-sm font-medium text-gray-700 mb-1">
+                                Email *
+                            </label>
+                            <input
+                                type="email"
+                                id="invite-email"
+                                name="email"
+                                value={formData.email}
+                                onChange={handleChange}
+                                className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${errors.email ? 'border-red-300' : 'border-gray-300'
+                                    }`}
+                                placeholder="Enter email address"
+                            />
+                            {errors.email && (
+                                <p className="mt-1 text-sm text-red-600">{errors.email}</p>
+                            )}
+                        </div>
+
+                        <div>
+                            <label htmlFor="invite-role" className="block text-sm font-medium text-gray-700 mb-1">
+                                Role *
+                            </label>
+                            <select
+                                id="invite-role"
+                                name="role"
+                                value={formData.role}
+                                onChange={handleChange}
+                                className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${errors.role ? 'border-red-300' : 'border-gray-300'
+                                    }`}
+                            >
+                                {roles.map(role => (
+                                    <option key={role.value} value={role.value}>
+                                        {role.label}
+                                    </option>
+                                ))}
+                            </select>
+                            {errors.role && (
+                                <p className="mt-1 text-sm text-red-600">{errors.role}</p>
+                            )}
+                        </div>
+                    </div>
+
+                    <div className="flex justify-end space-x-3 pt-6 border-t border-gray-200">
+                        <button
+                            type="button"
+                            onClick={onCancel}
+                            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 transition-colors"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={loading}
+                            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                        >
+                            <Send className="h-4 w-4 mr-2" />
+                            {loading ? 'Sending...' : 'Send Invitation'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default InviteUserForm;
@@ -1,12 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { createUser, updateUser, getUserRoles } from '../../services/user.js';
+import { updateUser, getUserRoles } from '../../services/user.js';
 
-function UserForm({ user = null, mode = 'create', onSave, onCancel }) {
+// Edit an existing user; new users are invited with InviteUserForm and choose their own password
+function UserForm({ user, onSave, onCancel, roles = getUserRoles() }) {
     const [formData, setFormData] = useState({
         username: '',
         email: '',
-        password: '',
-        confirmPassword: '',
         role: 'reader',
         profile: {
             firstName: '',
@@ -18,19 +17,13 @@ function UserForm({ user = null, mode = 'create', onSave, onCancel }) {
 
     const [loading, setLoading] = useState(false);
     const [errors, setErrors] = useState({});
-    const [showPassword, setShowPassword] = useState(false);
-
-    const roles = getUserRoles();
-    const isEditMode = mode === 'edit' && user;
 
     // Initialize form data
     useEffect(() => {
-        if (isEditMode) {
+        if (user) {
             setFormData({
                 username: user.username || '',
                 email: user.email || '',
-                password: '',
-                confirmPassword: '',
                 role: user.role || 'reader',
                 profile: {
                     firstName: user.profile?.firstName || '',
@@ -40,7 +33,7 @@ function UserForm({ user = null, mode = 'create', onSave, onCancel }) {
                 isActive: user.isActive !== undefined ? user.isActive : true
             });
         }
-    }, [user, isEditMode]);
+    }, [user]);
 
     // Handle input changes
     const handleChange = (e) => {
@@ -89,19 +82,6 @@ function UserForm({ user = null, mode = 'create', onSave, onCancel }) {
             newErrors.email = 'Please enter a valid email address';
         }
 
-        // Password validation (only for create mode or when password is provided in edit mode)
-        if (!isEditMode || formData.password) {
-            if (!formData.password) {
-                newErrors.password = 'Password is required';
-            } else if (formData.password.length < 6) {
-                newErrors.password = 'Password must be at least 6 characters';
-            }
-
-            if (formData.password !== formData.confirmPassword) {
-                newErrors.confirmPassword = 'Passwords do not match';
-            }
-        }
-
         // Role validation
         if (!formData.role) {
             newErrors.role = 'Role is required';
@@ -131,18 +111,7 @@ function UserForm({ user = null, mode = 'create', onSave, onCancel }) {
                 isActive: formData.isActive
             };
 
-            // Only include password if it's provided
-            if (formData.password) {
-                submitData.password = formData.password;
-            }
-
-            let response;
-            if (isEditMode) {
-                response = await updateUser(user._id, submitData);
-            } else {
-                response = await createUser(submitData);
-            }
-
+            const response = await updateUser(user._id, submitData);
             onSave(response.data);
         } catch (error) {
             console.error('Form submission error:', error);
@@ -150,7 +119,7 @@ function UserForm({ user = null, mode = 'create', onSave, onCancel }) {
             if (error.response?.data?.error) {
                 setErrors({ submit: error.response.data.error });
             } else {
-                setErrors({ submit: `Failed to ${isEditMode ? 'update' : 'create'} user` });
+                setErrors({ submit: 'Failed to update user' });
             }
         } finally {
             setLoading(false);
@@ -162,7 +131,7 @@ function UserForm({ user = null, mode = 'create', onSave, onCancel }) {
             <div className="bg-white shadow rounded-lg">
                 <div className="px-6 py-4 border-b border-gray-200">
                     <h3 className="text-lg font-medium text-gray-900">
-                        {isEditMode ? 'Edit User' : 'Create New User'}
+                        Edit User
                     </h3>
                 </div>
 
@@ -217,59 +186,6 @@ function UserForm({ user = null, mode = 'create', onSave, onCancel }) {
                         </div>
                     </div>
 
-                    {/* Password Fields */}
-                    {!isEditMode && (
-                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                            <div>
-                                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-                                    Password {!isEditMode && '*'}
-                                    {isEditMode && <span className="text-gray-500 text-xs">(leave blank to keep current)</span>}
-                                </label>
-                                <div className="relative">
-                                    <input
-                                        type={showPassword ? 'text' : 'password'}
-                                        id="password"
-                                        name="password"
-                                        value={formData.password}
-                                        onChange={handleChange}
-                                        className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 pr-10 ${errors.password ? 'border-red-300' : 'border-gray-300'
-                                            }`}
-                                        placeholder="Enter password"
-                                    />
-                                    <button
-                                        type="button"
-                                        onClick={() => setShowPassword(!showPassword)}
-                                        className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-600"
-                                    >
-                                        {showPassword ? '👁️' : '👁️‍🗨️'}
-                                    </button>
-                                </div>
-                                {errors.password && (
-                                    <p className="mt-1 text-sm text-red-600">{errors.password}</p>
-                                )}
-                            </div>
-
-                            <div>
-                                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
-                                    Confirm Password {!isEditMode && '*'}
-                                </label>
-                                <input
-                                    type={showPassword ? 'text' : 'password'}
-                                    id="confirmPassword"
-                                    name="confirmPassword"
-                                    value={formData.confirmPassword}
-                                    onChange={handleChange}
-                                    className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${errors.confirmPassword ? 'border-red-300' : 'border-gray-300'
-                                        }`}
-                                    placeholder="Confirm password"
-                                />
-                                {errors.confirmPassword && (
-                                    <p className="mt-1 text-sm text-red-600">{errors.confirmPassword}</p>
-                                )}
-                            </div>
-                        </div>
-
-                    )}
                     {/* Role and Status */}
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                         {/* Role */}
@@ -386,7 +302,7 @@ function UserForm({ user = null, mode = 'create', onSave, onCancel }) {
                             disabled={loading}
                             className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
                         >
-                            {loading ? 'Saving...' : (isEditMode ? 'Update User' : 'Create User')}
+                            {loading ? 'Saving...' : 'Update User'}
                         </button>
                     </div>
                 </form>
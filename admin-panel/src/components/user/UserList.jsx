@@ -1,8 +1,8 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Search, Filter, Plus, Edit, Trash2 } from 'lucide-react';
-import { getUsers, deleteUser, updateUserStatus, getUserRoles, getUserStatusOptions } from '../../services/user.js';
+import { Search, Filter, Plus, Edit, Trash2, LogOut, Lock, Unlock } from 'lucide-react';
+import { getUsers, deleteUser, updateUserStatus, revokeUserSessions, unlockUser, getUserRoles, getUserStatusOptions } from '../../services/user.js';
 
-function UserList({ onCreateUser, onEditUser }) {
+function UserList({ onInviteUser, onEditUser, roles = getUserRoles() }) {
     const [users, setUsers] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -22,7 +22,6 @@ function UserList({ onCreateUser, onEditUser }) {
 
     const [showFilters, setShowFilters] = useState(false);
 
-    const roles = getUserRoles();
     const statusOptions = getUserStatusOptions();
 
     // Load users
@@ -99,6 +98,35 @@ function UserList({ onCreateUser, onEditUser }) {
         }
     };
 
+    // Handle signing a user out of every device
+    const handleRevokeSessions = async (userId, username) => {
+        if (!window.confirm(`Sign "${username}" out of all devices?`)) {
+            return;
+        }
+
+        try {
+            const response = await revokeUserSessions(userId);
+            alert(response.message);
+        } catch (err) {
+            console.error('Failed to revoke user sessions:', err);
+            alert(err.response?.data?.error || 'Failed to revoke user sessions');
+        }
+    };
+
+    // Handle lifting a lockout after failed sign-ins
+    const handleUnlock = async (userId) => {
+        try {
+            await unlockUser(userId);
+            loadUsers(); // Reload users after unlocking
+        } catch (err) {
+            console.error('Failed to unlock user:', err);
+            alert(err.response?.data?.error || 'Failed to unlock user');
+        }
+    };
+
+    // Whether a lockout is still in effect
+    const isLocked = (user) => !!user.lockUntil && new Date(user.lockUntil) > new Date();
+
     // Format date
     const formatDate = (dateString) => {
         return new Date(dateString).toLocaleDateString('en-US', {
@@ -115,6 +143,8 @@ function UserList({ onCreateUser, onEditUser }) {
                 return 'bg-red-100 text-red-800';
             case 'editor':
                 return 'bg-blue-100 text-blue-800';
+            case 'reviewer':
+                return 'bg-purple-100 text-purple-800';
             case 'reader':
                 return 'bg-gray-100 text-gray-800';
             default:
@@ -157,13 +187,16 @@ function UserList({ onCreateUser, onEditUser }) {
                             <Filter className="h-4 w-4 mr-2" />
                             Filters
                         </button>
-                        <button
-                            onClick={onCreateUser}
-                            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                        >
-                            <Plus className="h-4 w-4 mr-2" />
-                            Create User
-                        </button>
+                        {onInviteUser && (
+                            <button
+                                type="button"
+                                onClick={onInviteUser}
+                                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                            >
+                                <Plus className="h-4 w-4 mr-2" />
+                                Invite User
+                            </button>
+                        )}
                     </form>
                 </div>
 
@@ -274,6 +307,15 @@ function UserList({ onCreateUser, onEditUser }) {
                                         {/* Sliding knob */}
                                         <div className="absolute left-0.5 top-0.8 w-3 h-3 bg-white rounded-full shadow-md transform peer-checked:translate-x-5 transition-transform"></div>
                                     </label>
+                                    {isLocked(user) && (
+                                        <span
+                                            className="ml-2 inline-flex items-center px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-800"
+                                            title={`Locked until ${new Date(user.lockUntil).toLocaleString()}`}
+                                        >
+                                            <Lock className="h-3 w-3 mr-1" />
+                                            Locked
+                                        </span>
+                                    )}
                                 </td>
                                 <td className="px-6 py-2 whitespace-nowrap text-right text-sm font-medium space-x-2">
                                     {/* <button
@@ -288,6 +330,24 @@ function UserList({ onCreateUser, onEditUser }) {
                                     >
                                         <Edit className="h-3 w-3" />
 
+                                    </button>
+                                    {isLocked(user) && (
+                                        <button
+                                            onClick={() => handleUnlock(user._id)}
+                                            className="text-green-600 hover:text-green-900 p-0 rounded"
+                                            title="Unlock account"
+                                        >
+                                            <Unlock className="h-3 w-3" />
+
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => handleRevokeSessions(user._id, user.username)}
+                                        className="text-gray-600 hover:text-gray-900 p-0 rounded"
+                                        title="Sign out everywhere"
+                                    >
+                                        <LogOut className="h-3 w-3" />
+
                                     </button>
                                     <button
                                         onClick={() => handleDeleteUser(user._id, user.username)}
@@ -0,0 +1,97 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import InvitationList from '../InvitationList.jsx';
+import invitationService from '../../../services/invitation.js';
+
+vi.mock('../../../services/invitation.js');
+
+describe('InvitationList', () => {
+    const mockInvitations = [
+        {
+            _id: 'i1',
+            email: 'pending@example.com',
+            role: 'editor',
+            invitedBy: { username: 'admin' },
+            lastSentAt: '2024-01-02T10:00:00.000Z',
+            expiresAt: '2024-01-05T10:00:00.000Z',
+            sendCount: 2,
+            status: 'pending'
+        },
+        {
+            _id: 'i2',
+            email: 'joined@example.com',
+            role: 'reviewer',
+            invitedBy: { username: 'admin' },
+            acceptedUser: { username: 'joiner' },
+            lastSentAt: '2024-01-01T10:00:00.000Z',
+            expiresAt: '2024-01-04T10:00:00.000Z',
+            sendCount: 1,
+            status: 'accepted'
+        }
+    ];
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        invitationService.getInvitations.mockResolvedValue({ success: true, data: mockInvitations });
+        window.confirm = vi.fn(() => true);
+    });
+
+    it('lists pending invitations by default', async () => {
+        render(<InvitationList />);
+
+        expect(await screen.findByText('pending@example.com')).toBeInTheDocument();
+        expect(screen.getByText('Sent 2 times')).toBeInTheDocument();
+        expect(screen.getByText('Joined as joiner')).toBeInTheDocument();
+        expect(invitationService.getInvitations).toHaveBeenCalledWith({ status: 'pending', limit: 50 });
+    });
+
+    it('only offers resend and revoke for open invitations', async () => {
+        render(<InvitationList />);
+
+        await screen.findByText('pending@example.com');
+        expect(screen.getByLabelText('Resend invitation to pending@example.com')).toBeInTheDocument();
+        expect(screen.queryByLabelText('Resend invitation to joined@example.com')).not.toBeInTheDocument();
+        expect(screen.queryByLabelText('Revoke invitation to joined@example.com')).not.toBeInTheDocument();
+    });
+
+    it('resends an invitation', async () => {
+        const user = userEvent.setup();
+        invitationService.resendInvitation.mockResolvedValue({ success: true, message: 'Invitation resent to pending@example.com' });
+
+        render(<InvitationList />);
+
+        await user.click(await screen.findByLabelText('Resend invitation to pending@example.com'));
+
+        expect(invitationService.resendInvitation).toHaveBeenCalledWith('i1');
+        expect(await screen.findByText('Invitation resent to pending@example.com')).toBeInTheDocument();
+    });
+
+    it('revokes an invitation after confirmation', async () => {
+        const user = userEvent.setup();
+        invitationService.revokeInvitation.mockResolvedValue({ success: true, message: 'Invitation revoked' });
+
+        render(<InvitationList />);
+
+        await user.click(await screen.findByLabelText('Revoke invitation to pending@example.com'));
+
+        expect(window.confirm).toHaveBeenCalled();
+        expect(invitationService.revokeInvitation).toHaveBeenCalledWith('i1');
+        await waitFor(() => {
+            expect(invitationService.getInvitations).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    it('filters by status', async () => {
+        const user = userEvent.setup();
+        render(<InvitationList />);
+
+        await screen.findByText('pending@example.com');
+        await user.selectOptions(screen.getByLabelText('Invitation status'), 'expired');
+
+        await waitFor(() => {
+            expect(invitationService.getInvitations).toHaveBeenLastCalledWith({ status: 'expired', limit: 50 });
+        });
+    });
+});
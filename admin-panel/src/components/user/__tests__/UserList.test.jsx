@@ -66,7 +66,7 @@ describe('UserList', () => {
     };
 
     const mockProps = {
-        onCreateUser: vi.fn(),
+        onInviteUser: vi.fn(),
         onEditUser: vi.fn()
     };
 
@@ -83,7 +83,7 @@ describe('UserList', () => {
 
         // Wait for loading to complete
         await waitFor(() => {
-            expect(screen.queryByText('Loading')).not.toBeInTheDocument();
+            expect(screen.queryByRole('status')).not.toBeInTheDocument();
         });
 
         // Check if users are displayed
@@ -98,24 +98,24 @@ describe('UserList', () => {
         expect(screen.getByRole('status')).toBeInTheDocument(); // Loading spinner
     });
 
-    it('should handle create user button click', async () => {
+    it('should handle invite user button click', async () => {
         render(<UserList {...mockProps} />);
 
         await waitFor(() => {
-            expect(screen.queryByText('Loading')).not.toBeInTheDocument();
+            expect(screen.queryByRole('status')).not.toBeInTheDocument();
         });
 
-        const createButton = screen.getByText('Create User');
-        fireEvent.click(createButton);
+        const inviteButton = screen.getByText('Invite User');
+        fireEvent.click(inviteButton);
 
-        expect(mockProps.onCreateUser).toHaveBeenCalled();
+        expect(mockProps.onInviteUser).toHaveBeenCalled();
     });
 
     it('should handle edit user button click', async () => {
         render(<UserList {...mockProps} />);
 
         await waitFor(() => {
-            expect(screen.queryByText('Loading')).not.toBeInTheDocument();
+            expect(screen.queryByRole('status')).not.toBeInTheDocument();
         });
 
         const editButtons = screen.getAllByText('Edit');
@@ -128,7 +128,7 @@ describe('UserList', () => {
         render(<UserList {...mockProps} />);
 
         await waitFor(() => {
-            expect(screen.queryByText('Loading')).not.toBeInTheDocument();
+            expect(screen.queryByRole('status')).not.toBeInTheDocument();
         });
 
         const searchInput = screen.getByPlaceholderText('Search users...');
@@ -150,7 +150,7 @@ describe('UserList', () => {
         render(<UserList {...mockProps} />);
 
         await waitFor(() => {
-            expect(screen.queryByText('Loading')).not.toBeInTheDocument();
+            expect(screen.queryByRole('status')).not.toBeInTheDocument();
         });
 
         const roleSelect = screen.getByDisplayValue('All Roles');
@@ -169,7 +169,7 @@ describe('UserList', () => {
         render(<UserList {...mockProps} />);
 
         await waitFor(() => {
-            expect(screen.queryByText('Loading')).not.toBeInTheDocument();
+            expect(screen.queryByRole('status')).not.toBeInTheDocument();
         });
 
         const statusSelect = screen.getByDisplayValue('All Status');
@@ -191,7 +191,7 @@ describe('UserList', () => {
         render(<UserList {...mockProps} />);
 
         await waitFor(() => {
-            expect(screen.queryByText('Loading')).not.toBeInTheDocument();
+            expect(screen.queryByRole('status')).not.toBeInTheDocument();
         });
 
         const deleteButtons = screen.getAllByText('Delete');
@@ -212,7 +212,7 @@ describe('UserList', () => {
         render(<UserList {...mockProps} />);
 
         await waitFor(() => {
-            expect(screen.queryByText('Loading')).not.toBeInTheDocument();
+            expect(screen.queryByRole('status')).not.toBeInTheDocument();
         });
 
         const deleteButtons = screen.getAllByText('Delete');
@@ -228,7 +228,7 @@ describe('UserList', () => {
         render(<UserList {...mockProps} />);
 
         await waitFor(() => {
-            expect(screen.queryByText('Loading')).not.toBeInTheDocument();
+            expect(screen.queryByRole('status')).not.toBeInTheDocument();
         });
 
         // Click deactivate for active user
@@ -252,7 +252,7 @@ describe('UserList', () => {
         render(<UserList {...mockProps} />);
 
         await waitFor(() => {
-            expect(screen.queryByText('Loading')).not.toBeInTheDocument();
+            expect(screen.queryByRole('status')).not.toBeInTheDocument();
         });
 
         const adminBadge = screen.getByText('admin');
@@ -266,7 +266,7 @@ describe('UserList', () => {
         render(<UserList {...mockProps} />);
 
         await waitFor(() => {
-            expect(screen.queryByText('Loading')).not.toBeInTheDocument();
+            expect(screen.queryByRole('status')).not.toBeInTheDocument();
         });
 
         const activeBadge = screen.getByText('Active');
@@ -286,7 +286,7 @@ describe('UserList', () => {
         render(<UserList {...mockProps} />);
 
         await waitFor(() => {
-            expect(screen.queryByText('Loading')).not.toBeInTheDocument();
+            expect(screen.queryByRole('status')).not.toBeInTheDocument();
         });
 
         // Check if pagination is displayed
@@ -20,6 +20,7 @@ const AUTH_ACTIONS = {
     CLEAR_ERROR: 'CLEAR_ERROR',
     VERIFY_TOKEN_SUCCESS: 'VERIFY_TOKEN_SUCCESS',
     VERIFY_TOKEN_FAILURE: 'VERIFY_TOKEN_FAILURE',
+    UPDATE_USER: 'UPDATE_USER',
 };
 
 // Reducer function
@@ -92,6 +93,12 @@ function authReducer(state, action) {
                 isLoading: false,
             };
 
+        case AUTH_ACTIONS.UPDATE_USER:
+            return {
+                ...state,
+                user: action.payload,
+            };
+
         default:
             return state;
     }
@@ -133,11 +140,15 @@ export function AuthProvider({ children }) {
         dispatch({ type: AUTH_ACTIONS.LOGIN_START });
 
         try {
-            const { token, user } = await authService.login(credentials);
-            dispatch({
-                type: AUTH_ACTIONS.LOGIN_SUCCESS,
-                payload: { token, user }
-            });
+            const result = await authService.login(credentials);
+
+            // Password accepted, but a second factor is needed first
+            if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+                dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+                return { success: false, ...result };
+            }
+
+            completeLogin(result);
             return { success: true };
         } catch (error) {
             dispatch({
@@ -148,12 +159,45 @@ export function AuthProvider({ children }) {
         }
     };
 
+    // Second login step with a TOTP or backup code
+    const verifyTwoFactor = async (challengeToken, code) => {
+        try {
+            const result = await authService.verifyTwoFactor(challengeToken, code);
+            completeLogin(result);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    };
+
+    // Mark a session started outside login() (2FA verify or enrollment) as signed in
+    const completeLogin = ({ token, user }) => {
+        dispatch({
+            type: AUTH_ACTIONS.LOGIN_SUCCESS,
+            payload: { token, user }
+        });
+    };
+
+    // Show account changes (profile, avatar) without signing in again
+    const updateUser = (user) => {
+        dispatch({ type: AUTH_ACTIONS.UPDATE_USER, payload: user });
+    };
+
     // Logout function
-    const logout = () => {
-        authService.logout();
+    const logout = async () => {
+        await authService.logout();
         dispatch({ type: AUTH_ACTIONS.LOGOUT });
     };
 
+    // Logout function for every device
+    const logoutAll = async () => {
+        try {
+            await authService.logoutAll();
+        } finally {
+            dispatch({ type: AUTH_ACTIONS.LOGOUT });
+        }
+    };
+
     // Clear error function
     const clearError = () => {
         dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
@@ -163,10 +207,16 @@ export function AuthProvider({ children }) {
     const value = {
         ...state,
         login,
+        verifyTwoFactor,
+        completeLogin,
+        updateUser,
         logout,
+        logoutAll,
         clearError,
         isAdmin: () => authService.isAdmin(),
         canEdit: () => authService.canEdit(),
+        canReview: () => authService.canReview(),
+        hasPermission: (permission) => authService.hasPermission(permission),
     };
 
     return (
@@ -7,6 +7,7 @@ import authService from '../../services/auth';
 vi.mock('../../services/auth', () => ({
     default: {
         login: vi.fn(),
+        verifyTwoFactor: vi.fn(),
         logout: vi.fn(),
         getCurrentUser: vi.fn(),
         getToken: vi.fn(),
@@ -109,8 +110,8 @@ describe('AuthContext', () => {
         });
 
         // Then logout
-        act(() => {
-            result.current.logout();
+        await act(async () => {
+            await result.current.logout();
         });
 
         expect(authService.logout).toHaveBeenCalled();
@@ -120,6 +121,35 @@ describe('AuthContext', () => {
         expect(result.current.error).toBeNull();
     });
 
+    it('should wait for the second factor before signing in', async () => {
+        const mockUser = { id: '1', email: 'admin@test.com', role: 'admin' };
+
+        authService.isAuthenticated.mockReturnValue(false);
+        authService.login.mockResolvedValue({ twoFactorRequired: true, challengeToken: 'challenge' });
+        authService.verifyTwoFactor.mockResolvedValue({ token: 'mock-jwt-token', user: mockUser });
+
+        const { result } = renderHook(() => useAuth(), {
+            wrapper: AuthProvider,
+        });
+
+        let loginResult;
+        await act(async () => {
+            loginResult = await result.current.login({ email: 'admin@test.com', password: 'password123' });
+        });
+
+        expect(loginResult).toEqual({ success: false, twoFactorRequired: true, challengeToken: 'challenge' });
+        expect(result.current.isAuthenticated).toBe(false);
+        expect(result.current.isLoading).toBe(false);
+
+        await act(async () => {
+            await result.current.verifyTwoFactor('challenge', '123456');
+        });
+
+        expect(authService.verifyTwoFactor).toHaveBeenCalledWith('challenge', '123456');
+        expect(result.current.user).toEqual(mockUser);
+        expect(result.current.isAuthenticated).toBe(true);
+    });
+
     it('should clear error', async () => {
         authService.isAuthenticated.mockReturnValue(false);
         authService.verifyToken.mockResolvedValue(false);
@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { AlertCircle, CheckCircle, UserPlus } from 'lucide-react';
+import invitationService from '../services/invitation.js';
+import Logo from '../assets/logo.png'
+
+const inputClassName = (hasError) => `appearance-none relative block w-full px-3 py-2 border ${hasError ? 'border-red-300' : 'border-gray-300'
+    } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm`;
+
+const submitClassName = 'group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Public page reached from the invitation email; the invitee chooses their own credentials
+function AcceptInvite() {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const token = new URLSearchParams(location.search || '').get('token');
+    const [invitation, setInvitation] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [loadError, setLoadError] = useState(null);
+    const [acceptedMessage, setAcceptedMessage] = useState(null);
+
+    const {
+        register,
+        handleSubmit,
+        watch,
+        formState: { errors, isSubmitting },
+        setError,
+    } = useForm();
+
+    useEffect(() => {
+        if (!token) {
+            setLoadError('This invitation link is incomplete. Check the link in your email.');
+            setLoading(false);
+            return;
+        }
+
+        invitationService.getInvitationByToken(token)
+            .then(response => setInvitation(response.data))
+            .catch(err => setLoadError(err.response?.data?.error || 'Failed to load invitation'))
+            .finally(() => setLoading(false));
+    }, [token]);
+
+    const onSubmit = async (data) => {
+        try {
+            const response = await invitationService.acceptInvitation({
+                token,
+                username: data.username,
+                password: data.password,
+                profile: {
+                    firstName: data.firstName,
+                    lastName: data.lastName
+                }
+            });
+            setAcceptedMessage(response.message);
+        } catch (err) {
+            const body = err.response?.data;
+            setError('root', {
+                type: 'manual',
+                message: body?.details && typeof body.details === 'string' ? body.details : (body?.error || 'Failed to accept invitation'),
+            });
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-gray-50">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div
+            style={{ backgroundColor: '#F4F5F9' }}
+            className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+            <div className="max-w-md bg-white w-full shadow pb-8  space-y-8">
+                <div className='bg-black w-full flex justify-center py-9'>
+                    <img src={Logo} width={130} />
+                </div>
+                <div className='px-4 pt-2'>
+                    <h3 className=" text-center text-xl font-bold text-gray-900">
+                        Accept Invitation
+                    </h3>
+                    {invitation && (
+                        <p className="mt-2 text-center text-sm text-gray-600">
+                            {invitation.invitedBy || 'An administrator'} invited <strong>{invitation.email}</strong> to join as <span className="capitalize">{invitation.role}</span>
+                        </p>
+                    )}
+                </div>
+
+                {loadError && (
+                    <div className="px-4 space-y-6">
+                        <div className="rounded-md bg-red-50 p-4">
+                            <div className="flex">
+                                <AlertCircle className="h-5 w-5 text-red-400" />
+                                <p className="ml-3 text-sm text-red-700">{loadError}</p>
+                            </div>
+                        </div>
+                        <p className="text-center text-sm text-gray-600">
+                            Ask the person who invited you to send a new invitation.
+                        </p>
+                    </div>
+                )}
+
+                {acceptedMessage && (
+                    <div className="px-4 space-y-6">
+                        <div className="rounded-md bg-green-50 p-4">
+                            <div className="flex">
+                                <CheckCircle className="h-5 w-5 text-green-400" />
+                                <p className="ml-3 text-sm text-green-800">{acceptedMessage}</p>
+                            </div>
+                        </div>
+                        <button type="button" onClick={() => navigate('/login', { replace: true })} className={submitClassName}>
+                            Go to sign in
+                        </button>
+                    </div>
+                )}
+
+                {invitation && !acceptedMessage && (
+                    <form className="mt-5 pb-4 px-4 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+                        {errors.root && (
+                            <div className="rounded-md bg-red-50 p-4">
+                                <div className="flex">
+                                    <AlertCircle className="h-5 w-5 text-red-400" />
+                                    <div className="ml-3">
+                                        <h3 className="text-sm font-medium text-red-800">Could not create account</h3>
+                                        <div className="mt-2 text-sm text-red-700">{errors.root.message}</div>
+                                    </div>
+                                </div>
+                            </div>
+                        )}
+
+                        <div className="space-y-4">
+                            <div>
+                                <label htmlFor="invite-username" className="block text-sm font-medium text-gray-700">
+                                    Username
+                                </label>
+                                <div className="mt-1">
+                                    <input
+                                        id="invite-username"
+                                        {...register('username', {
+                                            required: 'Username is required',
+                                            minLength: { value: 3, message: 'Username must be at least 3 characters' },
+                                            maxLength: { value: 30, message: 'Username cannot exceed 30 characters' },
+                                            pattern: {
+                                                value: /^[a-zA-Z0-9_]+$/,
+                                                message: 'Username can only contain letters, numbers, and underscores',
+                                            },
+                                        })}
+                                        type="text"
+                                        autoComplete="username"
+                                        className={inputClassName(errors.username)}
+                                        placeholder="Choose a username"
+                                    />
+                                    {errors.username && (
+                                        <p className="mt-1 text-sm text-red-600">{errors.username.message}</p>
+                                    )}
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label htmlFor="invite-first-name" className="block text-sm font-medium text-gray-700">
+                                        First Name
+                                    </label>
+                                    <div className="mt-1">
+                                        <input
+                                            id="invite-first-name"
+                                            {...register('firstName', {
+                                                maxLength: { value: 50, message: 'First name cannot exceed 50 characters' },
+                                            })}
+                                            type="text"
+                                            autoComplete="given-name"
+                                            className={inputClassName(errors.firstName)}
+                                        />
+                                    </div>
+                                </div>
+                                <div>
+                                    <label htmlFor="invite-last-name" className="block text-sm font-medium text-gray-700">
+                                        Last Name
+                                    </label>
+                                    <div className="mt-1">
+                                        <input
+                                            id="invite-last-name"
+                                            {...register('lastName', {
+                                                maxLength: { value: 50, message: 'Last name cannot exceed 50 characters' },
+                                            })}
+                                            type="text"
+                                            autoComplete="family-name"
+                                            className={inputClassName(errors.lastName)}
+                                        />
+                                    </div>
+                                </div>
+                            </div>
+
+                            <div>
+                                <label htmlFor="invite-password" className="block text-sm font-medium text-gray-700">
+                                    Password
+                                </label>
+                                <div className="mt-1">
+                                    <input
+                                        id="invite-password"
+                                        {...register('password', {
+                                            required: 'Password is required',
+                                            minLength: {
+                                                value: 6,
+                                                message: 'Password must be at least 6 characters',
+                                            },
+                                        })}
+                                        type="password"
+                                        autoComplete="new-password"
+                                        className={inputClassName(errors.password)}
+                                        placeholder="Choose a password"
+                                    />
+                                    {errors.password && (
+                                        <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                                    )}
+                                </div>
+                            </div>
+
+                            <div>
+                                <label htmlFor="invite-confirm-password" className="block text-sm font-medium text-gray-700">
+                                    Confirm Password
+                                </label>
+                                <div className="mt-1">
+                                    <input
+                                        id="invite-confirm-password"
+                                        {...register('confirmPassword', {
+                                            required: 'Please confirm your password',
+                                            validate: value => value === watch('password') || 'Passwords do not match',
+                                        })}
+                                        type="password"
+                                        autoComplete="new-password"
+                                        className={inputClassName(errors.confirmPassword)}
+                                        placeholder="Repeat the password"
+                                    />
+                                    {errors.confirmPassword && (
+                                        <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+
+                        <button type="submit" disabled={isSubmitting} className={submitClassName}>
+                            <UserPlus className="h-4 w-4 mr-2" />
+                            {isSubmitting ? 'Creating account...' : 'Create account'}
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default AcceptInvite;
@@ -0,0 +1,277 @@
+import React, { useState, useRef } from 'react';
+import { User, Upload, Trash2, KeyRound } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import authService from '../services/auth.js';
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const buttonClassName = 'inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed';
+
+const emptyPasswords = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const socialLinks = [
+    { field: 'website', label: 'Website', placeholder: 'https://example.com' },
+    { field: 'linkedin', label: 'LinkedIn', placeholder: 'https://www.linkedin.com/in/you' },
+    { field: 'twitter', label: 'X / Twitter', placeholder: 'https://x.com/you' }
+];
+
+// Profile, avatar and password of the signed-in user
+function Account() {
+    const { user, updateUser, completeLogin } = useAuth();
+    const [profile, setProfile] = useState({
+        firstName: user?.profile?.firstName || '',
+        lastName: user?.profile?.lastName || '',
+        bio: user?.profile?.bio || '',
+        jobTitle: user?.profile?.jobTitle || '',
+        social: {
+            website: user?.profile?.social?.website || '',
+            linkedin: user?.profile?.social?.linkedin || '',
+            twitter: user?.profile?.social?.twitter || ''
+        }
+    });
+    const [passwords, setPasswords] = useState(emptyPasswords);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [working, setWorking] = useState(null); // 'profile' | 'avatar' | 'password'
+    const fileInputRef = useRef(null);
+
+    // Run an action, reporting its error or success message
+    const runAction = async (name, action, successMessage) => {
+        try {
+            setWorking(name);
+            setError(null);
+            setMessage(null);
+            await action();
+            setMessage(successMessage);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setWorking(null);
+        }
+    };
+
+    const handleProfileSubmit = (e) => {
+        e.preventDefault();
+        runAction('profile', async () => {
+            updateUser(await authService.updateProfile(profile));
+        }, 'Profile updated');
+    };
+
+    const handleAvatarChange = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        runAction('avatar', async () => {
+            updateUser(await authService.uploadAvatar(file));
+        }, 'Avatar updated');
+    };
+
+    const handleAvatarRemove = () => runAction('avatar', async () => {
+        updateUser(await authService.removeAvatar());
+    }, 'Avatar removed');
+
+    const handlePasswordSubmit = (e) => {
+        e.preventDefault();
+
+        if (passwords.newPassword !== passwords.confirmPassword) {
+            setMessage(null);
+            setError('New passwords do not match');
+            return;
+        }
+
+        runAction('password', async () => {
+            completeLogin(await authService.changePassword(passwords.currentPassword, passwords.newPassword));
+            setPasswords(emptyPasswords);
+        }, 'Password changed. Other devices have been signed out.');
+    };
+
+    const updateProfileField = (field) => (e) => setProfile(prev => ({ ...prev, [field]: e.target.value }));
+    const updateSocialField = (field) => (e) => setProfile(prev => ({ ...prev, social: { ...prev.social, [field]: e.target.value } }));
+    const updatePasswordField = (field) => (e) => setPasswords(prev => ({ ...prev, [field]: e.target.value }));
+
+    const avatar = user?.profile?.avatar;
+
+    return (
+        <div className="p-6 max-h-screen overflow-auto">
+            <div className="mb-6">
+                <h1 className="text-2xl font-bold text-gray-900">Account</h1>
+                <p className="text-gray-600">Your profile is shown with the posts you write</p>
+            </div>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4">
+                    <p className="text-red-800">{error}</p>
+                </div>
+            )}
+
+            {message && (
+                <div className="mb-4 bg-green-50 border border-green-200 rounded-md p-4">
+                    <p className="text-green-800">{message}</p>
+                </div>
+            )}
+
+            <div className="max-w-2xl space-y-6">
+                <div className="bg-white shadow rounded-lg p-6">
+                    <h2 className="text-lg font-medium text-gray-900">Profile</h2>
+                    <p className="text-sm text-gray-600">
+                        Signed in as <strong>{user?.username}</strong> ({user?.email})
+                    </p>
+
+                    <div className="mt-4 flex items-center">
+                        {avatar ? (
+                            <img src={avatar} alt="Your avatar" className="h-16 w-16 rounded-full object-cover" />
+                        ) : (
+                            <div className="h-16 w-16 rounded-full bg-blue-100 flex items-center justify-center">
+                                <User className="h-8 w-8 text-blue-600" />
+                            </div>
+                        )}
+                        <div className="ml-4 flex items-center space-x-3">
+                            <input
+                                ref={fileInputRef}
+                                type="file"
+                                accept="image/jpeg,image/png,image/gif,image/webp"
+                                onChange={handleAvatarChange}
+                                className="hidden"
+                                aria-label="Avatar image"
+                            />
+                            <button
+                                type="button"
+                                onClick={() => fileInputRef.current?.click()}
+                                disabled={working === 'avatar'}
+                                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                            >
+                                <Upload className="h-4 w-4 mr-2" />
+                                {working === 'avatar' ? 'Uploading...' : 'Upload avatar'}
+                            </button>
+                            {avatar && (
+                                <button
+                                    type="button"
+                                    onClick={handleAvatarRemove}
+                                    disabled={working === 'avatar'}
+                                    className="inline-flex items-center text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                                >
+                                    <Trash2 className="h-4 w-4 mr-1" />
+                                    Remove
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                    <p className="mt-2 text-xs text-gray-500">JPEG, PNG, GIF or WebP, up to 2MB.</p>
+
+                    <form onSubmit={handleProfileSubmit} className="mt-6 space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <label className="block text-sm font-medium text-gray-700">
+                                First name
+                                <input
+                                    type="text"
+                                    value={profile.firstName}
+                                    onChange={updateProfileField('firstName')}
+                                    maxLength={50}
+                                    className={inputClassName}
+                                />
+                            </label>
+                            <label className="block text-sm font-medium text-gray-700">
+                                Last name
+                                <input
+                                    type="text"
+                                    value={profile.lastName}
+                                    onChange={updateProfileField('lastName')}
+                                    maxLength={50}
+                                    className={inputClassName}
+                                />
+                            </label>
+                        </div>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Job title
+                            <input
+                                type="text"
+                                value={profile.jobTitle}
+                                onChange={updateProfileField('jobTitle')}
+                                maxLength={100}
+                                placeholder="e.g. Revenue Cycle Analyst"
+                                className={inputClassName}
+                            />
+                        </label>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Bio
+                            <textarea
+                                value={profile.bio}
+                                onChange={updateProfileField('bio')}
+                                maxLength={500}
+                                rows={4}
+                                className={inputClassName}
+                            />
+                            <span className="mt-1 block text-xs font-normal text-gray-500">{profile.bio.length}/500</span>
+                        </label>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            {socialLinks.map(({ field, label, placeholder }) => (
+                                <label key={field} className="block text-sm font-medium text-gray-700">
+                                    {label}
+                                    <input
+                                        type="url"
+                                        value={profile.social[field]}
+                                        onChange={updateSocialField(field)}
+                                        placeholder={placeholder}
+                                        className={inputClassName}
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                        <button type="submit" disabled={working === 'profile'} className={buttonClassName}>
+                            {working === 'profile' ? 'Saving...' : 'Save profile'}
+                        </button>
+                    </form>
+                </div>
+
+                <div className="bg-white shadow rounded-lg p-6">
+                    <h2 className="text-lg font-medium text-gray-900">Password</h2>
+                    <p className="text-sm text-gray-600">Changing your password signs you out on every other device.</p>
+
+                    <form onSubmit={handlePasswordSubmit} className="mt-4 space-y-4">
+                        <label className="block text-sm font-medium text-gray-700">
+                            Current password
+                            <input
+                                type="password"
+                                value={passwords.currentPassword}
+                                onChange={updatePasswordField('currentPassword')}
+                                autoComplete="current-password"
+                                className={inputClassName}
+                                required
+                            />
+                        </label>
+                        <label className="block text-sm font-medium text-gray-700">
+                            New password
+                            <input
+                                type="password"
+                                value={passwords.newPassword}
+                                onChange={updatePasswordField('newPassword')}
+                                autoComplete="new-password"
+                                minLength={6}
+                                className={inputClassName}
+                                required
+                            />
+                        </label>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Confirm new password
+                            <input
+                                type="password"
+                                value={passwords.confirmPassword}
+                                onChange={updatePasswordField('confirmPassword')}
+                                autoComplete="new-password"
+                                className={inputClassName}
+                                required
+                            />
+                        </label>
+                        <button type="submit" disabled={working === 'password'} className={buttonClassName}>
+                            <KeyRound className="h-4 w-4 mr-2" />
+                            {working === 'password' ? 'Saving...' : 'Change password'}
+                        </button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default Account;
@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import { ChevronLeft, ChevronRight, Search } from 'lucide-react';
+import auditService from '../services/audit.js';
+
+const TARGET_TYPES = [
+    { value: '', label: 'All targets' },
+    { value: 'Blog', label: 'Blogs' },
+    { value: 'Category', label: 'Categories' },
+    { value: 'Series', label: 'Series' },
+    { value: 'Tag', label: 'Tags' },
+    { value: 'Comment', label: 'Comments' },
+    { value: 'EditorialComment', label: 'Editorial comments' },
+    { value: 'User', label: 'Users' },
+    { value: 'Invitation', label: 'Invitations' },
+    { value: 'Role', label: 'Roles' },
+    { value: 'ApiKey', label: 'API keys' },
+    { value: 'File', label: 'Files' }
+];
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500';
+
+// Render a summary value on one line
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return '—';
+    }
+    if (Array.isArray(value)) {
+        return value.join(', ') || '—';
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+};
+
+function Changes({ changes }) {
+    const before = changes?.before || {};
+    const after = changes?.after || {};
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    if (fields.length === 0) {
+        return <span className="text-gray-400">—</span>;
+    }
+
+    return (
+        <ul className="space-y-1">
+            {fields.map(field => (
+                <li key={field} className="text-xs">
+                    <span className="font-medium text-gray-700">{field}: </span>
+                    {changes?.before && <span className="text-red-700 line-through">{formatValue(before[field])}</span>}
+                    {changes?.before && changes?.after && <span className="text-gray-400"> → </span>}
+                    {changes?.after && <span className="text-green-700">{formatValue(after[field])}</span>}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+function Activity() {
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [pagination, setPagination] = useState(null);
+    const [currentPage, setCurrentPage] = useState(1);
+    const [filters, setFilters] = useState({ actor: '', action: '', targetType: '', from: '', to: '' });
+
+    useEffect(() => {
+        fetchEntries();
+    }, [currentPage, filters]);
+
+    const fetchEntries = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const params = { page: currentPage, limit: 25 };
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value) params[key] = value.trim();
+            });
+
+            const response = await auditService.getAuditLogs(params);
+            if (response.success) {
+                setEntries(response.data);
+                setPagination(response.pagination);
+            } else {
+                setError(response.error || 'Failed to load activity');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load activity');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+        setCurrentPage(1);
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    };
+
+    return (
+        <div className="p-6 max-h-screen overflow-auto">
+            <div className="mb-6">
+                <h1 className="text-2xl font-bold text-gray-900">Activity</h1>
+                <p className="text-gray-600">Who changed what, and when</p>
+            </div>
+
+            {/* Filters */}
+            <div className="mb-4 flex flex-wrap gap-3 items-end">
+                <div className="relative">
+                    <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                    <input
+                        type="text"
+                        name="actor"
+                        placeholder="Actor username..."
+                        aria-label="Actor"
+                        value={filters.actor}
+                        onChange={handleFilterChange}
+                        className={`pl-10 ${inputClassName}`}
+                    />
+                </div>
+                <input
+                    type="text"
+                    name="action"
+                    placeholder="Action, e.g. blog.delete"
+                    aria-label="Action"
+                    value={filters.action}
+                    onChange={handleFilterChange}
+                    className={inputClassName}
+                />
+                <select
+                    name="targetType"
+                    aria-label="Target type"
+                    value={filters.targetType}
+                    onChange={handleFilterChange}
+                    className={inputClassName}
+                >
+                    {TARGET_TYPES.map(type => (
+                        <option key={type.value || 'all'} value={type.value}>{type.label}</option>
+                    ))}
+                </select>
+                <label className="text-sm text-gray-700">
+                    From
+                    <input
+                        type="date"
+                        name="from"
+                        value={filters.from}
+                        onChange={handleFilterChange}
+                        className={`ml-2 ${inputClassName}`}
+                    />
+                </label>
+                <label className="text-sm text-gray-700">
+                    To
+                    <input
+                        type="date"
+                        name="to"
+                        value={filters.to}
+                        onChange={handleFilterChange}
+                        className={`ml-2 ${inputClassName}`}
+                    />
+                </label>
+            </div>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4">
+                    <p className="text-red-800">{error}</p>
+                </div>
+            )}
+
+            <div className="bg-white shadow rounded-lg overflow-hidden">
+                {loading ? (
+                    <div className="flex justify-center items-center h-32">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </div>
+                ) : entries.length === 0 ? (
+                    <p className="p-8 text-center text-gray-500">No activity found</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Time
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Actor
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Action
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Target
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Changes
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Request
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {entries.map(entry => (
+                                    <tr key={entry._id}>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {formatDate(entry.createdAt)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="text-sm text-gray-900">
+                                                {entry.actor?.username || entry.actorUsername || 'Deleted user'}
+                                            </div>
+                                            <div className="text-xs text-gray-500 capitalize">{entry.actor?.role || entry.actorRole}</div>
+                                            {entry.apiKey && <div className="text-xs text-gray-500">via API key</div>}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <span className="inline-flex px-2 py-1 text-xs font-mono rounded bg-gray-100 text-gray-800">
+                                                {entry.action}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 text-sm">
+                                            <div className="text-gray-900">{entry.targetLabel || entry.targetId || '—'}</div>
+                                            <div className="text-xs text-gray-500">{entry.targetType}</div>
+                                        </td>
+                                        <td className="px-6 py-4 max-w-md">
+                                            <Changes changes={entry.changes} />
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-500">
+                                            <div>{entry.ipAddress}</div>
+                                            {entry.requestId && <div className="font-mono" title="Request ID">{entry.requestId}</div>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {/* Pagination */}
+                {pagination && pagination.totalPages > 1 && (
+                    <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+                        <div className="text-sm text-gray-700">
+                            Page {pagination.page} of {pagination.totalPages} ({pagination.total} entries)
+                        </div>
+                        <div className="flex items-center space-x-2">
+                            <button
+                                onClick={() => setCurrentPage(pagination.page - 1)}
+                                disabled={!pagination.hasPrevPage}
+                                className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <ChevronLeft className="h-4 w-4 mr-1" />
+                                Previous
+                            </button>
+                            <button
+                                onClick={() => setCurrentPage(pagination.page + 1)}
+                                disabled={!pagination.hasNextPage}
+                                className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                Next
+                                <ChevronRight className="h-4 w-4 ml-1" />
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default Activity;
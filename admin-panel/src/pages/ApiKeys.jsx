@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, RefreshCw, Ban, Copy, Check } from 'lucide-react';
+import apiKeyService from '../services/apiKey.js';
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500';
+
+const emptyKey = { name: '', scopes: [], expiresAt: '' };
+
+const STATUS_STYLES = {
+    active: 'bg-green-100 text-green-800',
+    expired: 'bg-yellow-100 text-yellow-800',
+    revoked: 'bg-red-100 text-red-800'
+};
+
+// Shows a newly created or rotated key; it cannot be retrieved again
+function RevealedKey({ revealed, onDismiss }) {
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(revealed.key);
+            setCopied(true);
+        } catch (err) {
+            console.error('Failed to copy API key:', err);
+        }
+    };
+
+    return (
+        <div className="mb-6 rounded-md border border-yellow-200 bg-yellow-50 p-4">
+            <p className="text-sm text-yellow-800">
+                Copy the key for <strong>{revealed.name}</strong> now. It will not be shown again.
+            </p>
+            <code className="mt-3 block break-all rounded bg-white px-3 py-2 font-mono text-sm text-gray-900" aria-label="New API key">
+                {revealed.key}
+            </code>
+            <div className="mt-3 flex items-center space-x-4">
+                <button
+                    type="button"
+                    onClick={handleCopy}
+                    className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+                >
+                    {copied ? <Check className="h-4 w-4 mr-1" /> : <Copy className="h-4 w-4 mr-1" />}
+                    {copied ? 'Copied' : 'Copy key'}
+                </button>
+                <button
+                    type="button"
+                    onClick={onDismiss}
+                    className="text-sm text-gray-600 hover:text-gray-900"
+                >
+                    Done
+                </button>
+            </div>
+        </div>
+    );
+}
+
+function ApiKeys() {
+    const [keys, setKeys] = useState([]);
+    const [scopes, setScopes] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showCreate, setShowCreate] = useState(false);
+    const [newKey, setNewKey] = useState(emptyKey);
+    const [revealed, setRevealed] = useState(null);
+
+    useEffect(() => {
+        fetchKeys();
+    }, []);
+
+    const fetchKeys = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await apiKeyService.getApiKeys();
+            if (response.success) {
+                setKeys(response.data.keys);
+                setScopes(response.data.scopes);
+            } else {
+                setError(response.error || 'Failed to load API keys');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load API keys');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggleScope = (scope) => {
+        setNewKey(prev => ({
+            ...prev,
+            scopes: prev.scopes.includes(scope)
+                ? prev.scopes.filter(key => key !== scope)
+                : [...prev.scopes, scope]
+        }));
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        try {
+            setError(null);
+            const response = await apiKeyService.createApiKey({
+                name: newKey.name,
+                scopes: newKey.scopes,
+                expiresAt: newKey.expiresAt || null
+            });
+            if (response.success) {
+                setRevealed({ name: response.data.name, key: response.data.key });
+                setNewKey(emptyKey);
+                setShowCreate(false);
+                await fetchKeys();
+            } else {
+                setError(response.error || 'Failed to create API key');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to create API key');
+        }
+    };
+
+    const handleRotate = async (apiKey) => {
+        if (!window.confirm(`Rotate "${apiKey.name}"? The current key stops working immediately.`)) {
+            return;
+        }
+
+        try {
+            setError(null);
+            const response = await apiKeyService.rotateApiKey(apiKey._id);
+            if (response.success) {
+                setRevealed({ name: response.data.name, key: response.data.key });
+                await fetchKeys();
+            } else {
+                setError(response.error || 'Failed to rotate API key');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to rotate API key');
+        }
+    };
+
+    const handleRevoke = async (apiKey) => {
+        if (!window.confirm(`Revoke "${apiKey.name}"? Clients using it will be rejected.`)) {
+            return;
+        }
+
+        try {
+            setError(null);
+            const response = await apiKeyService.revokeApiKey(apiKey._id);
+            if (response.success) {
+                await fetchKeys();
+            } else {
+                setError(response.error || 'Failed to revoke API key');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to revoke API key');
+        }
+    };
+
+    const formatDate = (dateString) => {
+        if (!dateString) return '—';
+        return new Date(dateString).toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    return (
+        <div className="p-6 max-h-screen overflow-auto">
+            <div className="mb-6 flex items-center justify-between">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">API Keys</h1>
+                    <p className="text-gray-600">Credentials for the public site, sync jobs and other machine clients</p>
+                </div>
+                <button
+                    onClick={() => setShowCreate(!showCreate)}
+                    className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                    <Plus className="h-4 w-4 mr-2" />
+                    New Key
+                </button>
+            </div>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4">
+                    <p className="text-red-800">{error}</p>
+                </div>
+            )}
+
+            {revealed && <RevealedKey revealed={revealed} onDismiss={() => setRevealed(null)} />}
+
+            {showCreate && (
+                <form onSubmit={handleCreate} className="mb-6 bg-white shadow rounded-lg p-4 space-y-4">
+                    <div className="flex flex-wrap gap-3">
+                        <input
+                            type="text"
+                            placeholder="Name, e.g. Marketing site"
+                            aria-label="Key name"
+                            value={newKey.name}
+                            onChange={(e) => setNewKey(prev => ({ ...prev, name: e.target.value }))}
+                            className={`flex-1 ${inputClassName}`}
+                            required
+                        />
+                        <label className="text-sm text-gray-700">
+                            Expires
+                            <input
+                                type="date"
+                                value={newKey.expiresAt}
+                                onChange={(e) => setNewKey(prev => ({ ...prev, expiresAt: e.target.value }))}
+                                className={`ml-2 ${inputClassName}`}
+                            />
+                        </label>
+                    </div>
+                    <fieldset>
+                        <legend className="text-sm font-medium text-gray-700 mb-2">Scopes</legend>
+                        <div className="space-y-2">
+                            {scopes.map(scope => (
+                                <label key={scope.key} className="flex items-center text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={newKey.scopes.includes(scope.key)}
+                                        onChange={() => toggleScope(scope.key)}
+                                        className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded"
+                                    />
+                                    <span className="font-mono mr-2">{scope.key}</span>
+                                    <span className="text-gray-500">{scope.description}</span>
+                                </label>
+                            ))}
+                        </div>
+                    </fieldset>
+                    <button
+                        type="submit"
+                        disabled={newKey.scopes.length === 0}
+                        className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Create Key
+                    </button>
+                </form>
+            )}
+
+            <div className="bg-white shadow rounded-lg overflow-hidden">
+                {loading ? (
+                    <div className="flex justify-center items-center h-32">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </div>
+                ) : keys.length === 0 ? (
+                    <p className="p-8 text-center text-gray-500">No API keys yet</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Key
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Owner
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Scopes
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Expires
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Last Used
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Status
+                                    </th>
+                                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {keys.map(apiKey => (
+                                    <tr key={apiKey._id}>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="text-sm text-gray-900">{apiKey.name}</div>
+                                            <div className="text-xs font-mono text-gray-500">rcm_{apiKey.prefix}_…</div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {apiKey.owner?.username || 'Deleted user'}
+                                        </td>
+                                        <td className="px-6 py-4 text-xs font-mono text-gray-700">
+                                            {apiKey.scopes.join(', ')}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                            {apiKey.expiresAt ? formatDate(apiKey.expiresAt) : 'Never'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                            <div>{formatDate(apiKey.lastUsedAt)}</div>
+                                            {apiKey.lastUsedIp && <div className="text-xs">{apiKey.lastUsedIp}</div>}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${STATUS_STYLES[apiKey.status]}`}>
+                                                {apiKey.status}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-right">
+                                            {apiKey.status !== 'revoked' && (
+                                                <>
+                                                    <button
+                                                        onClick={() => handleRotate(apiKey)}
+                                                        aria-label={`Rotate ${apiKey.name}`}
+                                                        className="p-1 text-blue-600 hover:text-blue-900"
+                                                        title="Rotate"
+                                                    >
+                                                        <RefreshCw className="h-4 w-4" />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleRevoke(apiKey)}
+                                                        aria-label={`Revoke ${apiKey.name}`}
+                                                        className="p-1 text-red-600 hover:text-red-900"
+                                                        title="Revoke"
+                                                    >
+                                                        <Ban className="h-4 w-4" />
+                                                    </button>
+                                                </>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ApiKeys;
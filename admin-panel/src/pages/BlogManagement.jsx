@@ -1,9 +1,10 @@
 import React, { useState } from 'react';
 import BlogList from '../components/blog/BlogList.jsx';
 import BlogForm from '../components/blog/BlogForm.jsx';
+import BlogTrash from '../components/blog/BlogTrash.jsx';
 
 function BlogManagement() {
-    const [currentView, setCurrentView] = useState('list'); // 'list', 'create', 'edit'
+    const [currentView, setCurrentView] = useState('list'); // 'list', 'create', 'edit', 'trash'
     const [selectedBlog, setSelectedBlog] = useState(null);
 
     // Handle create blog
@@ -38,9 +39,14 @@ function BlogManagement() {
                     <BlogList
                         onCreateBlog={handleCreateBlog}
                         onEditBlog={handleEditBlog}
+                        onOpenTrash={() => setCurrentView('trash')}
                     />
                 )}
 
+                {currentView === 'trash' && (
+                    <BlogTrash onBack={() => setCurrentView('list')} />
+                )}
+
                 {currentView === 'create' && (
                     <BlogForm
                         mode="create"
@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Edit2, Trash2, Tag, BarChart3, Search, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Plus, Edit2, Trash2, Tag, BarChart3, Search, CornerDownRight, GitMerge } from 'lucide-react';
 import categoryService from '../services/category.js';
+import CategoryMergePanel from '../components/blog/CategoryMergePanel.jsx';
+import { flattenCategoryTree, getSubtreeIds, getCategoryTrail } from '../utils/categoryTree.js';
+
+// Enough to hold the whole tree; categories are shown nested rather than paged
+const TREE_LIMIT = 1000;
 
 function CategoryManagement() {
     const [categories, setCategories] = useState([]);
@@ -8,39 +13,31 @@ function CategoryManagement() {
     const [error, setError] = useState(null);
     const [showForm, setShowForm] = useState(false);
     const [editingCategory, setEditingCategory] = useState(null);
-    const [pagination, setPagination] = useState(null);
-    const [currentPage, setCurrentPage] = useState(1);
+    const [mergingCategory, setMergingCategory] = useState(null);
     const [searchTerm, setSearchTerm] = useState('');
     const [formData, setFormData] = useState({
         name: '',
         description: '',
-        icon: ''
+        icon: '',
+        parent: ''
     });
 
     useEffect(() => {
-        fetchCategories(currentPage, searchTerm);
-    }, [currentPage, searchTerm]);
+        fetchCategories();
+    }, []);
 
     const handleSearch = (e) => {
         setSearchTerm(e.target.value);
-        setCurrentPage(1);
-    };
-
-    const handlePageChange = (page) => {
-        setCurrentPage(page);
     };
 
-    const fetchCategories = async (page = 1, search = '') => {
+    const fetchCategories = async () => {
         setLoading(true);
         const result = await categoryService.getCategories({
             includeInactive: true,
-            page,
-            limit: 10,
-            search
+            limit: TREE_LIMIT
         });
         if (result.success) {
             setCategories(result.data);
-            setPagination(result.pagination);
         } else {
             setError(result.error);
         }
@@ -51,12 +48,13 @@ function CategoryManagement() {
         e.preventDefault();
         setLoading(true);
 
+        const categoryData = { ...formData, parent: formData.parent || null };
         const result = editingCategory
-            ? await categoryService.updateCategory(editingCategory._id, formData)
-            : await categoryService.createCategory(formData);
+            ? await categoryService.updateCategory(editingCategory._id, categoryData)
+            : await categoryService.createCategory(categoryData);
 
         if (result.success) {
-            await fetchCategories(currentPage, searchTerm);
+            await fetchCategories();
             resetForm();
         } else {
             setError(result.error);
@@ -69,11 +67,19 @@ function CategoryManagement() {
         setFormData({
             name: category.name,
             description: category.description || '',
-            icon: category.icon || ''
+            icon: category.icon || '',
+            parent: category.parent?._id || category.parent || ''
         });
         setShowForm(true);
     };
 
+    // Add a subcategory directly under a category
+    const handleAddChild = (category) => {
+        setEditingCategory(null);
+        setFormData({ name: '', description: '', icon: '', parent: category._id });
+        setShowForm(true);
+    };
+
     const handleDelete = async (category) => {
         if (!window.confirm(`Are you sure you want to delete "${category.name}"?`)) {
             return;
@@ -82,7 +88,7 @@ function CategoryManagement() {
         setLoading(true);
         const result = await categoryService.deleteCategory(category._id);
         if (result.success) {
-            await fetchCategories(currentPage, searchTerm);
+            await fetchCategories();
         } else {
             setError(result.error);
         }
@@ -93,12 +99,28 @@ function CategoryManagement() {
         setFormData({
             name: '',
             description: '',
-            icon: ''
+            icon: '',
+            parent: ''
         });
         setEditingCategory(null);
         setShowForm(false);
     };
 
+    const treeRows = flattenCategoryTree(categories);
+
+    // While searching, show matching categories with their place in the tree
+    const search = searchTerm.trim().toLowerCase();
+    const rows = search
+        ? treeRows
+            .filter(({ category }) => category.name.toLowerCase().includes(search)
+                || (category.description || '').toLowerCase().includes(search))
+            .map(row => ({ ...row, depth: 0 }))
+        : treeRows;
+
+    // A category cannot be moved under itself or one of its subcategories
+    const blockedParentIds = editingCategory ? getSubtreeIds(categories, editingCategory._id) : new Set();
+    const parentOptions = treeRows.filter(({ category }) => !blockedParentIds.has(category._id));
+
     if (loading && categories.length === 0) {
         return (
             <div className="flex justify-center items-center h-64">
@@ -145,6 +167,17 @@ function CategoryManagement() {
                 </div>
             </div>
 
+            {/* Move posts / merge */}
+            {mergingCategory && (
+                <CategoryMergePanel
+                    key={mergingCategory._id}
+                    category={mergingCategory}
+                    categories={categories}
+                    onClose={() => setMergingCategory(null)}
+                    onComplete={fetchCategories}
+                />
+            )}
+
             {/* Category Form */}
             {showForm && (
                 <div className="mb-6 bg-white shadow rounded-lg p-6">
@@ -153,10 +186,11 @@ function CategoryManagement() {
                     </h2>
                     <form onSubmit={handleSubmit} className="space-y-4">
                         <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                            <label htmlFor="category-name" className="block text-sm font-medium text-gray-700 mb-2">
                                 Name *
                             </label>
                             <input
+                                id="category-name"
                                 type="text"
                                 value={formData.name}
                                 onChange={(e) => setFormData({ ...formData, name: e.target.value })}
@@ -165,10 +199,29 @@ function CategoryManagement() {
                             />
                         </div>
                         <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                            <label htmlFor="category-parent" className="block text-sm font-medium text-gray-700 mb-2">
+                                Parent category
+                            </label>
+                            <select
+                                id="category-parent"
+                                value={formData.parent}
+                                onChange={(e) => setFormData({ ...formData, parent: e.target.value })}
+                                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
+                            >
+                                <option value="">None (top level)</option>
+                                {parentOptions.map(({ category, depth }) => (
+                                    <option key={category._id} value={category._id}>
+                                        {`${'\u00A0\u00A0'.repeat(depth)}${category.name}`}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="category-description" className="block text-sm font-medium text-gray-700 mb-2">
                                 Description
                             </label>
                             <textarea
+                                id="category-description"
                                 value={formData.description}
                                 onChange={(e) => setFormData({ ...formData, description: e.target.value })}
                                 rows={3}
@@ -199,7 +252,7 @@ function CategoryManagement() {
             <div className="bg-white shadow rounded-lg overflow-hidden">
                 <div className="px-6 py-4 border-b border-gray-200">
                     <h2 className="text-lg font-semibold">
-                        Categories ({pagination?.totalCount || categories.length})
+                        Categories ({categories.length})
                     </h2>
                 </div>
                 <div className="overflow-x-auto">
@@ -224,15 +277,20 @@ function CategoryManagement() {
                             </tr>
                         </thead>
                         <tbody className="bg-white divide-y divide-gray-200">
-                            {categories.map((category) => (
+                            {rows.map(({ category, depth }) => (
                                 <tr key={category._id}>
                                     <td className="px-6 py-4 whitespace-nowrap">
-                                        <div>
-                                            <div className="text-sm font-medium text-gray-900">
-                                                {category.name}
-                                            </div>
-                                            <div className="text-sm text-gray-500">
-                                                {category.slug}
+                                        <div className="flex items-start" style={{ paddingLeft: `${depth * 1.5}rem` }}>
+                                            {depth > 0 && <CornerDownRight className="h-4 w-4 text-gray-400 mr-1 mt-0.5" />}
+                                            <div>
+                                                <div className="text-sm font-medium text-gray-900">
+                                                    {category.name}
+                                                </div>
+                                                <div className="text-sm text-gray-500">
+                                                    {search && getCategoryTrail(categories, category).length > 1
+                                                        ? getCategoryTrail(categories, category).join(' › ')
+                                                        : category.slug}
+                                                </div>
                                             </div>
                                         </div>
                                     </td>
@@ -259,12 +317,26 @@ function CategoryManagement() {
                                     </td>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                                         <div className="flex space-x-2">
+                                            <button
+                                                onClick={() => handleAddChild(category)}
+                                                className="text-gray-600 hover:text-gray-900"
+                                                title={`Add subcategory to ${category.name}`}
+                                            >
+                                                <Plus className="h-4 w-4" />
+                                            </button>
                                             <button
                                                 onClick={() => handleEdit(category)}
                                                 className="text-blue-600 hover:text-blue-900"
                                             >
                                                 <Edit2 className="h-4 w-4" />
                                             </button>
+                                            <button
+                                                onClick={() => setMergingCategory(category)}
+                                                className="text-amber-600 hover:text-amber-900"
+                                                title={`Merge or move posts from ${category.name}`}
+                                            >
+                                                <GitMerge className="h-4 w-4" />
+                                            </button>
                                             <button
                                                 onClick={() => handleDelete(category)}
                                                 className="text-red-600 hover:text-red-900"
@@ -278,36 +350,6 @@ function CategoryManagement() {
                         </tbody>
                     </table>
                 </div>
-
-                {/* Pagination */}
-                {pagination && pagination.totalPages > 1 && (
-                    <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
-                        <div className="text-sm text-gray-700">
-                            Showing {((pagination.currentPage - 1) * 10) + 1} to {Math.min(pagination.currentPage * 10, pagination.totalCount)} of {pagination.totalCount} results
-                        </div>
-                        <div className="flex items-center space-x-2">
-                            <button
-                                onClick={() => handlePageChange(pagination.currentPage - 1)}
-                                disabled={!pagination.hasPrev}
-                                className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-                            >
-                                <ChevronLeft className="h-4 w-4 mr-1" />
-                                Previous
-                            </button>
-                            <span className="text-sm text-gray-700">
-                                Page {pagination.currentPage} of {pagination.totalPages}
-                            </span>
-                            <button
-                                onClick={() => handlePageChange(pagination.currentPage + 1)}
-                                disabled={!pagination.hasNext}
-                                className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-                            >
-                                Next
-                                <ChevronRight className="h-4 w-4 ml-1" />
-                            </button>
-                        </div>
-                    </div>
-                )}
             </div>
         </div>
     );
@@ -0,0 +1,372 @@
+import React, { useState, useEffect } from 'react';
+import { CheckCircle, XCircle, AlertOctagon, Trash2, Search, ChevronLeft, ChevronRight, ExternalLink } from 'lucide-react';
+import commentService from '../services/comment.js';
+
+const STATUS_TABS = [
+    { value: 'pending', label: 'Pending' },
+    { value: 'approved', label: 'Approved' },
+    { value: 'spam', label: 'Spam' },
+    { value: 'rejected', label: 'Rejected' },
+    { value: '', label: 'All' }
+];
+
+function CommentModeration() {
+    const [comments, setComments] = useState([]);
+    const [counts, setCounts] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [pagination, setPagination] = useState(null);
+    const [currentPage, setCurrentPage] = useState(1);
+    const [statusFilter, setStatusFilter] = useState('pending');
+    const [searchTerm, setSearchTerm] = useState('');
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [working, setWorking] = useState(false);
+
+    useEffect(() => {
+        fetchComments();
+    }, [currentPage, statusFilter, searchTerm]);
+
+    const fetchComments = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const params = { page: currentPage, limit: 20 };
+            if (statusFilter) params.status = statusFilter;
+            if (searchTerm) params.search = searchTerm;
+
+            const response = await commentService.getComments(params);
+            if (response.success) {
+                setComments(response.data);
+                setPagination(response.pagination);
+                setCounts(response.counts);
+                setSelectedIds([]);
+            } else {
+                setError(response.error || 'Failed to load comments');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load comments');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleStatusFilter = (status) => {
+        setStatusFilter(status);
+        setCurrentPage(1);
+    };
+
+    const handleSearch = (e) => {
+        setSearchTerm(e.target.value);
+        setCurrentPage(1);
+    };
+
+    const toggleSelected = (id) => {
+        setSelectedIds(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]);
+    };
+
+    const toggleSelectAll = () => {
+        setSelectedIds(selectedIds.length === comments.length ? [] : comments.map(comment => comment._id));
+    };
+
+    const runAction = async (action, fallbackError) => {
+        try {
+            setWorking(true);
+            setError(null);
+            setMessage(null);
+            const response = await action();
+            if (response.success) {
+                setMessage(response.message);
+                await fetchComments();
+            } else {
+                setError(response.error || fallbackError);
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || fallbackError);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleModerate = (comment, status) => {
+        runAction(() => commentService.moderateComment(comment._id, status), 'Failed to moderate comment');
+    };
+
+    const handleBulkModerate = (status) => {
+        runAction(() => commentService.bulkModerate(selectedIds, status), 'Failed to moderate comments');
+    };
+
+    const handleDelete = (comment) => {
+        if (!window.confirm('Delete this comment and all of its replies?')) {
+            return;
+        }
+        runAction(() => commentService.deleteComment(comment._id), 'Failed to delete comment');
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const getStatusBadgeColor = (status) => {
+        switch (status) {
+            case 'approved':
+                return 'bg-green-100 text-green-800';
+            case 'pending':
+                return 'bg-yellow-100 text-yellow-800';
+            case 'spam':
+                return 'bg-red-100 text-red-800';
+            case 'rejected':
+                return 'bg-gray-100 text-gray-800';
+            default:
+                return 'bg-gray-100 text-gray-800';
+        }
+    };
+
+    return (
+        <div className="p-6 max-h-screen overflow-auto">
+            <div className="mb-6 flex justify-between items-center">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">Comments</h1>
+                    <p className="text-gray-600">Moderate reader comments before they appear on the site</p>
+                </div>
+                <div className="relative">
+                    <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                    <input
+                        type="text"
+                        placeholder="Search comments..."
+                        value={searchTerm}
+                        onChange={handleSearch}
+                        className="pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                    />
+                </div>
+            </div>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4">
+                    <p className="text-red-800">{error}</p>
+                </div>
+            )}
+
+            {message && (
+                <div className="mb-4 bg-green-50 border border-green-200 rounded-md p-4">
+                    <p className="text-green-800">{message}</p>
+                </div>
+            )}
+
+            {/* Status Tabs */}
+            <div className="mb-4 flex space-x-2">
+                {STATUS_TABS.map(tab => (
+                    <button
+                        key={tab.value || 'all'}
+                        type="button"
+                        onClick={() => handleStatusFilter(tab.value)}
+                        className={`px-3 py-1 rounded-full text-sm font-medium ${statusFilter === tab.value
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+                            }`}
+                    >
+                        {tab.label}
+                        {counts && ` (${tab.value ? counts[tab.value] || 0 : counts.total})`}
+                    </button>
+                ))}
+            </div>
+
+            <div className="bg-white shadow rounded-lg overflow-hidden">
+                {/* Bulk Actions */}
+                <div className="px-6 py-3 border-b border-gray-200 flex items-center justify-between">
+                    <span className="text-sm text-gray-700">
+                        {selectedIds.length > 0 ? `${selectedIds.length} selected` : 'Select comments to moderate in bulk'}
+                    </span>
+                    <div className="flex space-x-2">
+                        <button
+                            type="button"
+                            onClick={() => handleBulkModerate('approved')}
+                            disabled={selectedIds.length === 0 || working}
+                            className="inline-flex items-center px-3 py-1 text-sm rounded-md bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                        >
+                            <CheckCircle className="h-4 w-4 mr-1" />
+                            Approve selected
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => handleBulkModerate('rejected')}
+                            disabled={selectedIds.length === 0 || working}
+                            className="inline-flex items-center px-3 py-1 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            <XCircle className="h-4 w-4 mr-1" />
+                            Reject selected
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => handleBulkModerate('spam')}
+                            disabled={selectedIds.length === 0 || working}
+                            className="inline-flex items-center px-3 py-1 text-sm rounded-md border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-50"
+                        >
+                            <AlertOctagon className="h-4 w-4 mr-1" />
+                            Mark spam
+                        </button>
+                    </div>
+                </div>
+
+                {loading ? (
+                    <div className="flex justify-center items-center h-32">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </div>
+                ) : comments.length === 0 ? (
+                    <p className="p-8 text-center text-gray-500">No comments found</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3 text-left">
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedIds.length === comments.length}
+                                            onChange={toggleSelectAll}
+                                            aria-label="Select all comments"
+                                            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                        />
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Comment
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Author
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Blog
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Status
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {comments.map(comment => (
+                                    <tr key={comment._id}>
+                                        <td className="px-6 py-4">
+                                            <input
+                                                type="checkbox"
+                                                checked={selectedIds.includes(comment._id)}
+                                                onChange={() => toggleSelected(comment._id)}
+                                                aria-label={`Select comment by ${comment.authorName}`}
+                                                className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                            />
+                                        </td>
+                                        <td className="px-6 py-4 max-w-md">
+                                            <p className="text-sm text-gray-900 whitespace-pre-wrap">{comment.content}</p>
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                {formatDate(comment.createdAt)}
+                                                {comment.parent && ' · Reply'}
+                                            </p>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="text-sm text-gray-900">{comment.authorName}</div>
+                                            <div className="text-xs text-gray-500">
+                                                {comment.author ? `@${comment.author.username}` : comment.authorEmail}
+                                            </div>
+                                        </td>
+                                        <td className="px-6 py-4 text-sm text-gray-900">
+                                            {comment.blog ? (
+                                                <span className="inline-flex items-center">
+                                                    {comment.blog.title}
+                                                    <ExternalLink className="h-3 w-3 ml-1 text-gray-400" />
+                                                </span>
+                                            ) : '—'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${getStatusBadgeColor(comment.status)}`}>
+                                                {comment.status}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                            <div className="flex space-x-2">
+                                                {comment.status !== 'approved' && (
+                                                    <button
+                                                        onClick={() => handleModerate(comment, 'approved')}
+                                                        disabled={working}
+                                                        className="text-green-600 hover:text-green-900"
+                                                        title="Approve"
+                                                    >
+                                                        <CheckCircle className="h-4 w-4" />
+                                                    </button>
+                                                )}
+                                                {comment.status !== 'rejected' && (
+                                                    <button
+                                                        onClick={() => handleModerate(comment, 'rejected')}
+                                                        disabled={working}
+                                                        className="text-gray-600 hover:text-gray-900"
+                                                        title="Reject"
+                                                    >
+                                                        <XCircle className="h-4 w-4" />
+                                                    </button>
+                                                )}
+                                                {comment.status !== 'spam' && (
+                                                    <button
+                                                        onClick={() => handleModerate(comment, 'spam')}
+                                                        disabled={working}
+                                                        className="text-orange-600 hover:text-orange-900"
+                                                        title="Mark as spam"
+                                                    >
+                                                        <AlertOctagon className="h-4 w-4" />
+                                                    </button>
+                                                )}
+                                                <button
+                                                    onClick={() => handleDelete(comment)}
+                                                    disabled={working}
+                                                    className="text-red-600 hover:text-red-900"
+                                                    title="Delete"
+                                                >
+                                                    <Trash2 className="h-4 w-4" />
+                                                </button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {/* Pagination */}
+                {pagination && pagination.totalPages > 1 && (
+                    <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+                        <div className="text-sm text-gray-700">
+                            Page {pagination.page} of {pagination.totalPages} ({pagination.total} comments)
+                        </div>
+                        <div className="flex items-center space-x-2">
+                            <button
+                                onClick={() => setCurrentPage(pagination.page - 1)}
+                                disabled={!pagination.hasPrevPage}
+                                className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <ChevronLeft className="h-4 w-4 mr-1" />
+                                Previous
+                            </button>
+                            <button
+                                onClick={() => setCurrentPage(pagination.page + 1)}
+                                disabled={!pagination.hasNextPage}
+                                className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                Next
+                                <ChevronRight className="h-4 w-4 ml-1" />
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default CommentModeration;
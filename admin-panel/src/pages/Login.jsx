@@ -2,13 +2,379 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../contexts/AuthContext.jsx';
-import { Eye, EyeOff, LogIn, AlertCircle } from 'lucide-react';
+import { Eye, EyeOff, LogIn, AlertCircle, CheckCircle, Mail, KeyRound, ShieldCheck } from 'lucide-react';
+import authService from '../services/auth.js';
+import BackupCodes from '../components/user/BackupCodes.jsx';
 import Logo from '../assets/logo.png'
+
+const inputClassName = (hasError) => `appearance-none relative block w-full px-3 py-2 border ${hasError ? 'border-red-300' : 'border-gray-300'
+    } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm`;
+
+const submitClassName = 'group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed';
+
+function FormError({ title, message }) {
+    return (
+        <div className="rounded-md bg-red-50 p-4">
+            <div className="flex">
+                <AlertCircle className="h-5 w-5 text-red-400" />
+                <div className="ml-3">
+                    <h3 className="text-sm font-medium text-red-800">{title}</h3>
+                    <div className="mt-2 text-sm text-red-700">{message}</div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function FormNotice({ message }) {
+    return (
+        <div className="rounded-md bg-green-50 p-4">
+            <div className="flex">
+                <CheckCircle className="h-5 w-5 text-green-400" />
+                <p className="ml-3 text-sm text-green-800">{message}</p>
+            </div>
+        </div>
+    );
+}
+
+// Asks for the account email and sends the reset link
+function ForgotPasswordForm({ onBack }) {
+    const [sentMessage, setSentMessage] = useState(null);
+    const {
+        register,
+        handleSubmit,
+        formState: { errors, isSubmitting },
+        setError,
+    } = useForm();
+
+    const onSubmit = async (data) => {
+        try {
+            const result = await authService.forgotPassword(data.email);
+            setSentMessage(result.message);
+        } catch (err) {
+            setError('root', { type: 'manual', message: err.message });
+        }
+    };
+
+    return (
+        <form className="mt-5 pb-4 px-4 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            {errors.root && <FormError title="Request Failed" message={errors.root.message} />}
+            {sentMessage && <FormNotice message={sentMessage} />}
+
+            <div>
+                <label htmlFor="reset-email" className="block text-sm font-medium text-gray-700">
+                    Email Address
+                </label>
+                <div className="mt-1">
+                    <input
+                        id="reset-email"
+                        {...register('email', {
+                            required: 'Email is required',
+                            pattern: {
+                                value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                                message: 'Invalid email address',
+                            },
+                        })}
+                        type="email"
+                        autoComplete="email"
+                        className={inputClassName(errors.email)}
+                        placeholder="Enter your account email"
+                    />
+                    {errors.email && (
+                        <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+                    )}
+                </div>
+            </div>
+
+            <button type="submit" disabled={isSubmitting} className={submitClassName}>
+                <Mail className="h-4 w-4 mr-2" />
+                {isSubmitting ? 'Sending...' : 'Send reset link'}
+            </button>
+
+            <div className="text-center">
+                <button type="button" onClick={onBack} className="text-sm text-blue-600 hover:text-blue-800">
+                    Back to sign in
+                </button>
+            </div>
+        </form>
+    );
+}
+
+// Sets a new password with the token from the reset email
+function ResetPasswordForm({ token, onDone, onBack }) {
+    const {
+        register,
+        handleSubmit,
+        watch,
+        formState: { errors, isSubmitting },
+        setError,
+    } = useForm();
+
+    const onSubmit = async (data) => {
+        try {
+            const result = await authService.resetPassword(token, data.password);
+            onDone(result.message);
+        } catch (err) {
+            setError('root', { type: 'manual', message: err.message });
+        }
+    };
+
+    return (
+        <form className="mt-5 pb-4 px-4 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            {errors.root && <FormError title="Reset Failed" message={errors.root.message} />}
+
+            <div className="space-y-4">
+                <div>
+                    <label htmlFor="new-password" className="block text-sm font-medium text-gray-700">
+                        New Password
+                    </label>
+                    <div className="mt-1">
+                        <input
+                            id="new-password"
+                            {...register('password', {
+                                required: 'Password is required',
+                                minLength: {
+                                    value: 6,
+                                    message: 'Password must be at least 6 characters',
+                                },
+                            })}
+                            type="password"
+                            autoComplete="new-password"
+                            className={inputClassName(errors.password)}
+                            placeholder="Enter a new password"
+                        />
+                        {errors.password && (
+                            <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                        )}
+                    </div>
+                </div>
+
+                <div>
+                    <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700">
+                        Confirm Password
+                    </label>
+                    <div className="mt-1">
+                        <input
+                            id="confirm-password"
+                            {...register('confirmPassword', {
+                                required: 'Please confirm your password',
+                                validate: value => value === watch('password') || 'Passwords do not match',
+                            })}
+                            type="password"
+                            autoComplete="new-password"
+                            className={inputClassName(errors.confirmPassword)}
+                            placeholder="Repeat the new password"
+                        />
+                        {errors.confirmPassword && (
+                            <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            <button type="submit" disabled={isSubmitting} className={submitClassName}>
+                <KeyRound className="h-4 w-4 mr-2" />
+                {isSubmitting ? 'Saving...' : 'Set new password'}
+            </button>
+
+            <div className="text-center">
+                <button type="button" onClick={onBack} className="text-sm text-blue-600 hover:text-blue-800">
+                    Back to sign in
+                </button>
+            </div>
+        </form>
+    );
+}
+
+// Second login step: a code from the authenticator app or a backup code
+function TwoFactorForm({ challengeToken, onBack }) {
+    const { verifyTwoFactor } = useAuth();
+    const {
+        register,
+        handleSubmit,
+        formState: { errors, isSubmitting },
+        setError,
+    } = useForm();
+
+    const onSubmit = async (data) => {
+        const result = await verifyTwoFactor(challengeToken, data.code.trim());
+
+        if (!result.success) {
+            setError('root', { type: 'manual', message: result.error });
+        }
+    };
+
+    return (
+        <form className="mt-5 pb-4 px-4 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            {errors.root && <FormError title="Verification Failed" message={errors.root.message} />}
+
+            <div>
+                <label htmlFor="two-factor-code" className="block text-sm font-medium text-gray-700">
+                    Authentication Code
+                </label>
+                <div className="mt-1">
+                    <input
+                        id="two-factor-code"
+                        {...register('code', { required: 'Code is required' })}
+                        type="text"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        autoFocus
+                        className={inputClassName(errors.code)}
+                        placeholder="6-digit code or backup code"
+                    />
+                    {errors.code && (
+                        <p className="mt-1 text-sm text-red-600">{errors.code.message}</p>
+                    )}
+                </div>
+            </div>
+
+            <button type="submit" disabled={isSubmitting} className={submitClassName}>
+                <ShieldCheck className="h-4 w-4 mr-2" />
+                {isSubmitting ? 'Verifying...' : 'Verify'}
+            </button>
+
+            <div className="text-center">
+                <button type="button" onClick={onBack} className="text-sm text-blue-600 hover:text-blue-800">
+                    Back to sign in
+                </button>
+            </div>
+        </form>
+    );
+}
+
+// Enrollment required by the account's role before the first session is issued
+function TwoFactorSetupForm({ challengeToken, onBack }) {
+    const { completeLogin } = useAuth();
+    const [setup, setSetup] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [enrollment, setEnrollment] = useState(null);
+    const {
+        register,
+        handleSubmit,
+        formState: { errors, isSubmitting },
+        setError,
+    } = useForm();
+
+    useEffect(() => {
+        authService.setupTwoFactor(challengeToken)
+            .then(setSetup)
+            .catch(err => setLoadError(err.message));
+    }, [challengeToken]);
+
+    const onSubmit = async (data) => {
+        try {
+            const result = await authService.enableTwoFactor(data.code.trim(), challengeToken);
+            setEnrollment(result);
+        } catch (err) {
+            setError('root', { type: 'manual', message: err.message });
+        }
+    };
+
+    const handleContinue = () => {
+        try {
+            completeLogin(authService.storeSession(enrollment));
+        } catch (err) {
+            setLoadError(err.message);
+            setEnrollment(null);
+        }
+    };
+
+    if (loadError) {
+        return (
+            <div className="mt-5 pb-4 px-4 space-y-6">
+                <FormError title="Setup Failed" message={loadError} />
+                <div className="text-center">
+                    <button type="button" onClick={onBack} className="text-sm text-blue-600 hover:text-blue-800">
+                        Back to sign in
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    if (enrollment) {
+        return (
+            <div className="mt-5 pb-4 px-4 space-y-6">
+                <BackupCodes codes={enrollment.backupCodes} />
+                <button type="button" onClick={handleContinue} className={submitClassName}>
+                    <LogIn className="h-4 w-4 mr-2" />
+                    Continue
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <form className="mt-5 pb-4 px-4 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            {errors.root && <FormError title="Verification Failed" message={errors.root.message} />}
+
+            {setup ? (
+                <div className="text-center">
+                    <img src={setup.qrCode} alt="Two-factor QR code" className="mx-auto h-44 w-44" />
+                    <p className="mt-2 text-xs text-gray-500">Can't scan it? Enter this key manually:</p>
+                    <p className="mt-1 font-mono text-sm text-gray-900 break-all">{setup.secret}</p>
+                </div>
+            ) : (
+                <div className="flex justify-center py-8">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                </div>
+            )}
+
+            <div>
+                <label htmlFor="setup-code" className="block text-sm font-medium text-gray-700">
+                    Authentication Code
+                </label>
+                <div className="mt-1">
+                    <input
+                        id="setup-code"
+                        {...register('code', {
+                            required: 'Code is required',
+                            pattern: { value: /^\s*\d{6}\s*$/, message: 'Code must be 6 digits' },
+                        })}
+                        type="text"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        className={inputClassName(errors.code)}
+                        placeholder="6-digit code from your app"
+                    />
+                    {errors.code && (
+                        <p className="mt-1 text-sm text-red-600">{errors.code.message}</p>
+                    )}
+                </div>
+            </div>
+
+            <button type="submit" disabled={isSubmitting || !setup} className={submitClassName}>
+                <ShieldCheck className="h-4 w-4 mr-2" />
+                {isSubmitting ? 'Verifying...' : 'Enable two-factor authentication'}
+            </button>
+
+            <div className="text-center">
+                <button type="button" onClick={onBack} className="text-sm text-blue-600 hover:text-blue-800">
+                    Back to sign in
+                </button>
+            </div>
+        </form>
+    );
+}
+
+const SCREEN_TITLES = {
+    login: ['Admin Panel Login', 'Sign in to manage your blog content'],
+    forgot: ['Forgot Password', "Enter your email and we'll send you a link to reset your password"],
+    reset: ['Reset Password', 'Choose a new password for your account'],
+    twoFactor: ['Two-Factor Authentication', 'Enter the code from your authenticator app or one of your backup codes'],
+    twoFactorSetup: ['Set Up Two-Factor Authentication', 'Your role requires two-factor authentication. Scan the QR code with your authenticator app, then enter the code it shows'],
+};
+
 function Login() {
     const [showPassword, setShowPassword] = useState(false);
     const { login, isAuthenticated, isLoading, error, clearError } = useAuth();
     const navigate = useNavigate();
     const location = useLocation();
+    const resetToken = new URLSearchParams(location.search || '').get('resetToken');
+    const [screen, setScreen] = useState(resetToken ? 'reset' : 'login');
+    const [notice, setNotice] = useState(null);
+    const [challengeToken, setChallengeToken] = useState(null);
 
     const {
         register,
@@ -38,7 +404,10 @@ function Login() {
             password: data.password,
         });
 
-        if (!result.success) {
+        if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+            setChallengeToken(result.challengeToken);
+            setScreen(result.twoFactorRequired ? 'twoFactor' : 'twoFactorSetup');
+        } else if (!result.success) {
             setError('root', {
                 type: 'manual',
                 message: result.error,
@@ -50,6 +419,22 @@ function Login() {
         setShowPassword(!showPassword);
     };
 
+    const showLogin = () => {
+        setScreen('login');
+        setChallengeToken(null);
+        // Drop a used or abandoned reset token from the URL
+        if (resetToken) {
+            navigate('/login', { replace: true });
+        }
+    };
+
+    const handleResetDone = (message) => {
+        setNotice(message);
+        showLogin();
+    };
+
+    const [title, subtitle] = SCREEN_TITLES[screen];
+
     if (isLoading) {
         return (
             <div className="min-h-screen flex items-center justify-center bg-gray-50">
@@ -64,126 +449,154 @@ function Login() {
             className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
             <div className="max-w-md bg-white w-full shadow pb-8  space-y-8">
                 <div className='bg-black w-full flex justify-center py-9'>
-                    <img src={Logo} width={130} />
+                    <img src={Logo} width={130} alt="Probill Logo" />
                 </div>
                 <div className='px-4 pt-2'>
                     <h3 className=" text-center text-xl font-bold text-gray-900">
-                        Admin Panel Login
+                        {title}
                     </h3>
                     <p className="mt-2 text-center text-sm text-gray-600">
-                        Sign in to manage your blog content
+                        {subtitle}
                     </p>
                 </div>
 
-                <form className="mt-5 pb-4 px-4 space-y-6" onSubmit={handleSubmit(onSubmit)}>
-                    {/* Display global error */}
-                    {(error || errors.root) && (
-                        <div className="rounded-md bg-red-50 p-4">
-                            <div className="flex">
-                                <AlertCircle className="h-5 w-5 text-red-400" />
-                                <div className="ml-3">
-                                    <h3 className="text-sm font-medium text-red-800">
-                                        Authentication Error
-                                    </h3>
-                                    <div className="mt-2 text-sm text-red-700">
-                                        {error || errors.root?.message}
+                {screen === 'forgot' && <ForgotPasswordForm onBack={showLogin} />}
+
+                {screen === 'reset' && (
+                    <ResetPasswordForm token={resetToken} onDone={handleResetDone} onBack={showLogin} />
+                )}
+
+                {screen === 'twoFactor' && (
+                    <TwoFactorForm challengeToken={challengeToken} onBack={showLogin} />
+                )}
+
+                {screen === 'twoFactorSetup' && (
+                    <TwoFactorSetupForm challengeToken={challengeToken} onBack={showLogin} />
+                )}
+
+                {screen === 'login' && (
+                    <form className="mt-5 pb-4 px-4 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+                        {notice && <FormNotice message={notice} />}
+
+                        {/* Display global error */}
+                        {(error || errors.root) && (
+                            <div className="rounded-md bg-red-50 p-4">
+                                <div className="flex">
+                                    <AlertCircle className="h-5 w-5 text-red-400" />
+                                    <div className="ml-3">
+                                        <h3 className="text-sm font-medium text-red-800">
+                                            Authentication Error
+                                        </h3>
+                                        <div className="mt-2 text-sm text-red-700">
+                                            {error || errors.root?.message}
+                                        </div>
                                     </div>
                                 </div>
                             </div>
-                        </div>
-                    )}
+                        )}
 
-                    <div className="space-y-4">
-                        {/* Email Field */}
-                        <div>
-                            <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                                Email Address
-                            </label>
-                            <div className="mt-1">
-                                <input
-                                    {...register('email', {
-                                        required: 'Email is required',
-                                        pattern: {
-                                            value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                                            message: 'Invalid email address',
-                                        },
-                                    })}
-                                    type="email"
-                                    autoComplete="email"
-                                    className={`appearance-none relative block w-full px-3 py-2 border ${errors.email ? 'border-red-300' : 'border-gray-300'
-                                        } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm`}
-                                    placeholder="Enter your email"
-                                />
-                                {errors.email && (
-                                    <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
-                                )}
+                        <div className="space-y-4">
+                            {/* Email Field */}
+                            <div>
+                                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                                    Email Address
+                                </label>
+                                <div className="mt-1">
+                                    <input
+                                        {...register('email', {
+                                            required: 'Email is required',
+                                            pattern: {
+                                                value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                                                message: 'Invalid email address',
+                                            },
+                                        })}
+                                        type="email"
+                                        autoComplete="email"
+                                        className={`appearance-none relative block w-full px-3 py-2 border ${errors.email ? 'border-red-300' : 'border-gray-300'
+                                            } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm`}
+                                        placeholder="Enter your email"
+                                    />
+                                    {errors.email && (
+                                        <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+                                    )}
+                                </div>
                             </div>
-                        </div>
 
-                        {/* Password Field */}
-                        <div>
-                            <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                                Password
-                            </label>
-                            <div className="mt-1 relative">
-                                <input
-                                    {...register('password', {
-                                        required: 'Password is required',
-                                        minLength: {
-                                            value: 6,
-                                            message: 'Password must be at least 6 characters',
-                                        },
-                                    })}
-                                    type={showPassword ? 'text' : 'password'}
-                                    autoComplete="current-password"
-                                    className={`appearance-none relative block w-full px-3 py-2 pr-10 border ${errors.password ? 'border-red-300' : 'border-gray-300'
-                                        } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm`}
-                                    placeholder="Enter your password"
-                                />
-                                <button
-                                    type="button"
-                                    className="absolute inset-y-0 right-0 p-2 flex items-center"
-                                    onClick={togglePasswordVisibility}
-                                >
-                                    {showPassword ? (
-                                        <EyeOff className="h-4 w-4" />
-                                    ) : (
-                                        <Eye className="h-4 w-4" />
+                            {/* Password Field */}
+                            <div>
+                                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                                    Password
+                                </label>
+                                <div className="mt-1 relative">
+                                    <input
+                                        {...register('password', {
+                                            required: 'Password is required',
+                                            minLength: {
+                                                value: 6,
+                                                message: 'Password must be at least 6 characters',
+                                            },
+                                        })}
+                                        type={showPassword ? 'text' : 'password'}
+                                        autoComplete="current-password"
+                                        className={`appearance-none relative block w-full px-3 py-2 pr-10 border ${errors.password ? 'border-red-300' : 'border-gray-300'
+                                            } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm`}
+                                        placeholder="Enter your password"
+                                    />
+                                    <button
+                                        type="button"
+                                        className="absolute inset-y-0 right-0 p-2 flex items-center"
+                                        onClick={togglePasswordVisibility}
+                                        aria-label={showPassword ? 'Hide password' : 'Show password'}
+                                    >
+                                        {showPassword ? (
+                                            <EyeOff className="h-4 w-4" />
+                                        ) : (
+                                            <Eye className="h-4 w-4" />
+                                        )}
+                                    </button>
+                                    {errors.password && (
+                                        <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
                                     )}
-                                </button>
-                                {errors.password && (
-                                    <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
-                                )}
+                                </div>
+                                <div className="mt-2 text-right">
+                                    <button
+                                        type="button"
+                                        onClick={() => setScreen('forgot')}
+                                        className="text-sm text-blue-600 hover:text-blue-800"
+                                    >
+                                        Forgot password?
+                                    </button>
+                                </div>
                             </div>
                         </div>
-                    </div>
 
-                    <div>
-                        <button
-                            type="submit"
-                            disabled={isSubmitting}
-                            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-                        >
-                            {isSubmitting ? (
-                                <div className="flex items-center">
-                                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                                    Signing in...
-                                </div>
-                            ) : (
-                                <>
-                                    <LogIn className="h-4 w-4 mr-2" />
-                                    Sign in
-                                </>
-                            )}
-                        </button>
-                    </div>
+                        <div>
+                            <button
+                                type="submit"
+                                disabled={isSubmitting}
+                                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {isSubmitting ? (
+                                    <div className="flex items-center">
+                                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                                        Signing in...
+                                    </div>
+                                ) : (
+                                    <>
+                                        <LogIn className="h-4 w-4 mr-2" />
+                                        Sign in
+                                    </>
+                                )}
+                            </button>
+                        </div>
 
-                    <div className="text-center">
-                        <p className="text-xs text-gray-500">
-                            Only admin and editor accounts can access this panel
-                        </p>
-                    </div>
-                </form>
+                        <div className="text-center">
+                            <p className="text-xs text-gray-500">
+                                Only admin and editor accounts can access this panel
+                            </p>
+                        </div>
+                    </form>
+                )}
             </div>
         </div>
     );
@@ -0,0 +1,276 @@
+import React, { useState, useEffect } from 'react';
+import { CheckCircle, XCircle, Clock, User, ClipboardCheck, ChevronLeft, ChevronRight } from 'lucide-react';
+import blogService from '../services/blog.js';
+import ContentPreview from '../components/blog/ContentPreview.jsx';
+import { getStatusLabel } from '../utils/blogWorkflow.js';
+
+function ReviewQueue() {
+    const [blogs, setBlogs] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [pagination, setPagination] = useState(null);
+    const [currentPage, setCurrentPage] = useState(1);
+    const [selectedBlog, setSelectedBlog] = useState(null);
+    const [history, setHistory] = useState([]);
+    const [comment, setComment] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    useEffect(() => {
+        fetchQueue(currentPage);
+    }, [currentPage]);
+
+    const fetchQueue = async (page = 1) => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await blogService.getReviewQueue({ page, limit: 10 });
+            if (response.success) {
+                setBlogs(response.data);
+                setPagination(response.pagination);
+            } else {
+                setError(response.error || 'Failed to load review queue');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load review queue');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSelectBlog = async (blog) => {
+        setSelectedBlog(blog);
+        setComment('');
+        setHistory([]);
+        setMessage(null);
+
+        try {
+            const response = await blogService.getStatusHistory(blog._id);
+            if (response.success) {
+                setHistory(response.data.history);
+            }
+        } catch (err) {
+            console.error('Failed to load status history:', err);
+        }
+    };
+
+    const handleDecision = async (decision) => {
+        if (decision === 'reject' && !comment.trim()) {
+            setError('Please add a comment explaining why the blog is rejected');
+            return;
+        }
+
+        try {
+            setSubmitting(true);
+            setError(null);
+            const response = await blogService.reviewBlog(selectedBlog._id, decision, comment);
+            if (response.success) {
+                setMessage(response.message);
+                setSelectedBlog(null);
+                setComment('');
+                fetchQueue(currentPage);
+            } else {
+                setError(response.error || 'Failed to submit review');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to submit review');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const getUserName = (user) => {
+        if (!user) return 'System';
+        if (user.profile?.firstName || user.profile?.lastName) {
+            return `${user.profile.firstName || ''} ${user.profile.lastName || ''}`.trim();
+        }
+        return user.username;
+    };
+
+    if (loading && blogs.length === 0) {
+        return (
+            <div className="flex justify-center items-center h-64">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="p-6 max-h-screen overflow-auto">
+            <div className="mb-6">
+                <h1 className="text-2xl font-bold text-gray-900">Review Queue</h1>
+                <p className="text-gray-600">Approve or reject blogs submitted for editorial review</p>
+            </div>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4">
+                    <p className="text-red-800">{error}</p>
+                </div>
+            )}
+
+            {message && (
+                <div className="mb-4 bg-green-50 border border-green-200 rounded-md p-4">
+                    <p className="text-green-800">{message}</p>
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                {/* Queue */}
+                <div className="bg-white shadow rounded-lg overflow-hidden">
+                    <div className="px-4 py-3 border-b border-gray-200">
+                        <h2 className="text-lg font-semibold">
+                            Waiting for review ({pagination?.total || 0})
+                        </h2>
+                    </div>
+
+                    {blogs.length === 0 ? (
+                        <div className="p-8 text-center">
+                            <ClipboardCheck className="mx-auto h-10 w-10 text-gray-300" />
+                            <p className="mt-2 text-gray-500">Nothing to review</p>
+                        </div>
+                    ) : (
+                        <ul className="divide-y divide-gray-200">
+                            {blogs.map(blog => (
+                                <li key={blog._id}>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleSelectBlog(blog)}
+                                        className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${selectedBlog?._id === blog._id ? 'bg-blue-50' : ''}`}
+                                    >
+                                        <p className="text-sm font-medium text-gray-900 truncate">{blog.title}</p>
+                                        <p className="text-xs text-gray-500 flex items-center mt-1">
+                                            <User className="h-3 w-3 mr-1" />
+                                            {getUserName(blog.author)}
+                                        </p>
+                                        {blog.submission && (
+                                            <p className="text-xs text-gray-500 flex items-center mt-1">
+                                                <Clock className="h-3 w-3 mr-1" />
+                                                Submitted {formatDate(blog.submission.createdAt)}
+                                            </p>
+                                        )}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {/* Pagination */}
+                    {pagination && pagination.totalPages > 1 && (
+                        <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between">
+                            <button
+                                onClick={() => setCurrentPage(pagination.prevPage)}
+                                disabled={!pagination.hasPrevPage}
+                                className="p-1 rounded text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                            >
+                                <ChevronLeft className="h-4 w-4" />
+                            </button>
+                            <span className="text-sm text-gray-700">
+                                Page {pagination.page} of {pagination.totalPages}
+                            </span>
+                            <button
+                                onClick={() => setCurrentPage(pagination.nextPage)}
+                                disabled={!pagination.hasNextPage}
+                                className="p-1 rounded text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                            >
+                                <ChevronRight className="h-4 w-4" />
+                            </button>
+                        </div>
+                    )}
+                </div>
+
+                {/* Review panel */}
+                <div className="lg:col-span-2 space-y-6">
+                    {!selectedBlog ? (
+                        <div className="bg-white shadow rounded-lg p-8 text-center text-gray-500">
+                            Select a blog to review
+                        </div>
+                    ) : (
+                        <>
+                            <div className="bg-white shadow rounded-lg p-6">
+                                {selectedBlog.submission?.comment && (
+                                    <div className="mb-4 bg-gray-50 border border-gray-200 rounded-md p-3">
+                                        <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Note from {getUserName(selectedBlog.submission.actor)}</p>
+                                        <p className="text-sm text-gray-800 mt-1">{selectedBlog.submission.comment}</p>
+                                    </div>
+                                )}
+                                {selectedBlog.publishAt && (
+                                    <p className="mb-4 text-sm text-blue-700 flex items-center">
+                                        <Clock className="h-4 w-4 mr-1" />
+                                        Will be scheduled for {formatDate(selectedBlog.publishAt)} when approved
+                                    </p>
+                                )}
+                                <ContentPreview blog={selectedBlog} blogContent={selectedBlog.content} />
+                            </div>
+
+                            <div className="bg-white shadow rounded-lg p-6">
+                                <label htmlFor="reviewComment" className="block text-sm font-medium text-gray-700 mb-2">
+                                    Review comment
+                                </label>
+                                <textarea
+                                    id="reviewComment"
+                                    value={comment}
+                                    onChange={(e) => setComment(e.target.value)}
+                                    rows={3}
+                                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-blue-500 focus:border-blue-500"
+                                    placeholder="Required when rejecting"
+                                />
+                                <div className="flex justify-end space-x-3 mt-4">
+                                    <button
+                                        type="button"
+                                        onClick={() => handleDecision('reject')}
+                                        disabled={submitting}
+                                        className="inline-flex items-center px-4 py-2 border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50"
+                                    >
+                                        <XCircle className="h-4 w-4 mr-2" />
+                                        Reject
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleDecision('approve')}
+                                        disabled={submitting}
+                                        className="inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+                                    >
+                                        <CheckCircle className="h-4 w-4 mr-2" />
+                                        Approve
+                                    </button>
+                                </div>
+                            </div>
+
+                            {history.length > 0 && (
+                                <div className="bg-white shadow rounded-lg p-6">
+                                    <h2 className="text-lg font-semibold mb-4">Status history</h2>
+                                    <ul className="space-y-3">
+                                        {history.map(entry => (
+                                            <li key={entry._id} className="text-sm">
+                                                <p className="text-gray-900">
+                                                    {entry.from ? `${getStatusLabel(entry.from)} → ` : 'Created as '}
+                                                    {getStatusLabel(entry.to)}
+                                                    <span className="text-gray-500"> by {getUserName(entry.actor)} · {formatDate(entry.createdAt)}</span>
+                                                </p>
+                                                {entry.comment && (
+                                                    <p className="text-gray-600 mt-1">“{entry.comment}”</p>
+                                                )}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ReviewQueue;
@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Save, Trash2 } from 'lucide-react';
+import roleService from '../services/role.js';
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500';
+
+const emptyRole = { name: '', label: '', description: '' };
+
+// Group the permission catalogue by its group name, keeping catalogue order
+const groupPermissions = (permissions) => {
+    return permissions.reduce((groups, permission) => {
+        const group = groups.find(item => item.name === permission.group);
+        if (group) {
+            group.permissions.push(permission);
+        } else {
+            groups.push({ name: permission.group, permissions: [permission] });
+        }
+        return groups;
+    }, []);
+};
+
+const sameSet = (a, b) => a.length === b.length && a.every(item => b.includes(item));
+
+function RoleManagement() {
+    const [roles, setRoles] = useState([]);
+    const [catalogue, setCatalogue] = useState([]);
+    const [drafts, setDrafts] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [savingRole, setSavingRole] = useState(null);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [showCreate, setShowCreate] = useState(false);
+    const [newRole, setNewRole] = useState(emptyRole);
+
+    useEffect(() => {
+        fetchRoles();
+    }, []);
+
+    const fetchRoles = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await roleService.getRoles();
+            if (response.success) {
+                setRoles(response.data.roles);
+                setCatalogue(response.data.permissions);
+                setDrafts(Object.fromEntries(response.data.roles.map(role => [role.name, role.permissions])));
+            } else {
+                setError(response.error || 'Failed to load roles');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load roles');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const togglePermission = (roleName, permission) => {
+        setDrafts(prev => {
+            const current = prev[roleName] || [];
+            const next = current.includes(permission)
+                ? current.filter(key => key !== permission)
+                : [...current, permission];
+            return { ...prev, [roleName]: next };
+        });
+        setMessage(null);
+    };
+
+    const handleSave = async (role) => {
+        try {
+            setSavingRole(role.name);
+            setError(null);
+            const response = await roleService.updateRole(role.name, { permissions: drafts[role.name] });
+            if (response.success) {
+                setMessage(`${role.label} updated`);
+                await fetchRoles();
+            } else {
+                setError(response.error || 'Failed to update role');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to update role');
+        } finally {
+            setSavingRole(null);
+        }
+    };
+
+    const handleDelete = async (role) => {
+        if (!window.confirm(`Delete the ${role.label} role?`)) {
+            return;
+        }
+
+        try {
+            setError(null);
+            const response = await roleService.deleteRole(role.name);
+            if (response.success) {
+                setMessage(`${role.label} deleted`);
+                await fetchRoles();
+            } else {
+                setError(response.error || 'Failed to delete role');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to delete role');
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        try {
+            setError(null);
+            const response = await roleService.createRole({ ...newRole, permissions: [] });
+            if (response.success) {
+                setMessage(`${response.data.label} created`);
+                setNewRole(emptyRole);
+                setShowCreate(false);
+                await fetchRoles();
+            } else {
+                setError(response.error || 'Failed to create role');
+            }
+        } catch (err) {
+            const data = err.response?.data;
+            setError(data?.details ? `${data.error}: ${[].concat(data.details).join(', ')}` : data?.error || 'Failed to create role');
+        }
+    };
+
+    if (loading && roles.length === 0) {
+        return (
+            <div className="flex justify-center items-center h-64">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="p-6 max-h-screen overflow-auto">
+            <div className="mb-6 flex items-center justify-between">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">Roles</h1>
+                    <p className="text-gray-600">Choose what each role is allowed to do</p>
+                </div>
+                <button
+                    onClick={() => setShowCreate(!showCreate)}
+                    className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                    <Plus className="h-4 w-4 mr-2" />
+                    New Role
+                </button>
+            </div>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4">
+                    <p className="text-red-800">{error}</p>
+                </div>
+            )}
+
+            {message && (
+                <div className="mb-4 bg-green-50 border border-green-200 rounded-md p-4">
+                    <p className="text-green-800">{message}</p>
+                </div>
+            )}
+
+            {showCreate && (
+                <form onSubmit={handleCreate} className="mb-6 bg-white shadow rounded-lg p-4 flex flex-wrap gap-3 items-end">
+                    <input
+                        type="text"
+                        placeholder="Name, e.g. contributor"
+                        aria-label="Role name"
+                        value={newRole.name}
+                        onChange={(e) => setNewRole(prev => ({ ...prev, name: e.target.value }))}
+                        className={inputClassName}
+                        required
+                    />
+                    <input
+                        type="text"
+                        placeholder="Label"
+                        aria-label="Role label"
+                        value={newRole.label}
+                        onChange={(e) => setNewRole(prev => ({ ...prev, label: e.target.value }))}
+                        className={inputClassName}
+                        required
+                    />
+                    <input
+                        type="text"
+                        placeholder="Description"
+                        aria-label="Role description"
+                        value={newRole.description}
+                        onChange={(e) => setNewRole(prev => ({ ...prev, description: e.target.value }))}
+                        className={`flex-1 ${inputClassName}`}
+                    />
+                    <button
+                        type="submit"
+                        className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                    >
+                        Create Role
+                    </button>
+                </form>
+            )}
+
+            <div className="bg-white shadow rounded-lg overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                Permission
+                            </th>
+                            {roles.map(role => (
+                                <th key={role.name} className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    <div title={role.description}>{role.label}</div>
+                                    <div className="font-normal normal-case text-gray-400">
+                                        {role.userCount} user{role.userCount === 1 ? '' : 's'}
+                                    </div>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {groupPermissions(catalogue).map(group => (
+                            <React.Fragment key={group.name}>
+                                <tr className="bg-gray-50">
+                                    <td colSpan={roles.length + 1} className="px-6 py-2 text-xs font-semibold text-gray-700">
+                                        {group.name}
+                                    </td>
+                                </tr>
+                                {group.permissions.map(permission => (
+                                    <tr key={permission.key}>
+                                        <td className="px-6 py-3 text-sm">
+                                            <div className="text-gray-900">{permission.description}</div>
+                                            <div className="text-xs font-mono text-gray-500">{permission.key}</div>
+                                        </td>
+                                        {roles.map(role => (
+                                            <td key={role.name} className="px-4 py-3 text-center">
+                                                <input
+                                                    type="checkbox"
+                                                    aria-label={`${role.label}: ${permission.key}`}
+                                                    checked={(drafts[role.name] || []).includes(permission.key)}
+                                                    disabled={!role.isEditable}
+                                                    onChange={() => togglePermission(role.name, permission.key)}
+                                                    className="h-4 w-4 text-blue-600 border-gray-300 rounded disabled:opacity-50"
+                                                />
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </React.Fragment>
+                        ))}
+                    </tbody>
+                    <tfoot className="bg-gray-50">
+                        <tr>
+                            <td className="px-6 py-3"></td>
+                            {roles.map(role => (
+                                <td key={role.name} className="px-4 py-3 text-center whitespace-nowrap">
+                                    {role.isEditable && (
+                                        <button
+                                            onClick={() => handleSave(role)}
+                                            disabled={savingRole === role.name || sameSet(drafts[role.name] || [], role.permissions)}
+                                            aria-label={`Save ${role.label}`}
+                                            className="inline-flex items-center p-1 text-blue-600 hover:text-blue-900 disabled:opacity-40 disabled:cursor-not-allowed"
+                                            title="Save"
+                                        >
+                                            <Save className="h-4 w-4" />
+                                        </button>
+                                    )}
+                                    {!role.isBuiltIn && (
+                                        <button
+                                            onClick={() => handleDelete(role)}
+                                            disabled={role.userCount > 0}
+                                            aria-label={`Delete ${role.label}`}
+                                            className="inline-flex items-center p-1 text-red-600 hover:text-red-900 disabled:opacity-40 disabled:cursor-not-allowed"
+                                            title={role.userCount > 0 ? 'Reassign its users before deleting' : 'Delete'}
+                                        >
+                                            <Trash2 className="h-4 w-4" />
+                                        </button>
+                                    )}
+                                </td>
+                            ))}
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+export default RoleManagement;
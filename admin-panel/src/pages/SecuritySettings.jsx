@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, ShieldOff, ShieldAlert, RefreshCw } from 'lucide-react';
+import authService from '../services/auth.js';
+import BackupCodes from '../components/user/BackupCodes.jsx';
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+function SecuritySettings() {
+    const [status, setStatus] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [working, setWorking] = useState(false);
+
+    // Enrollment in progress: { secret, otpauthUrl, qrCode }
+    const [setup, setSetup] = useState(null);
+    const [backupCodes, setBackupCodes] = useState(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [mode, setMode] = useState(null); // 'disable' | 'regenerate'
+
+    useEffect(() => {
+        fetchStatus();
+    }, []);
+
+    const fetchStatus = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            setStatus(await authService.getTwoFactorStatus());
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const resetForm = () => {
+        setCode('');
+        setPassword('');
+        setMode(null);
+    };
+
+    // Run an action, reporting its error and refreshing the status afterwards
+    const runAction = async (action, successMessage) => {
+        try {
+            setWorking(true);
+            setError(null);
+            setMessage(null);
+            await action();
+            if (successMessage) setMessage(successMessage);
+            await fetchStatus();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleStartSetup = () => runAction(async () => {
+        setBackupCodes(null);
+        setSetup(await authService.setupTwoFactor());
+    });
+
+    const handleEnable = (e) => {
+        e.preventDefault();
+        return runAction(async () => {
+            const result = await authService.enableTwoFactor(code.trim());
+            setBackupCodes(result.backupCodes);
+            setSetup(null);
+            resetForm();
+        }, 'Two-factor authentication enabled');
+    };
+
+    const handleDisable = (e) => {
+        e.preventDefault();
+        return runAction(async () => {
+            await authService.disableTwoFactor(password, code.trim());
+            setBackupCodes(null);
+            resetForm();
+        }, 'Two-factor authentication disabled');
+    };
+
+    const handleRegenerate = (e) => {
+        e.preventDefault();
+        return runAction(async () => {
+            setBackupCodes(await authService.regenerateBackupCodes(code.trim()));
+            resetForm();
+        }, 'New backup codes generated');
+    };
+
+    if (loading && !status) {
+        return (
+            <div className="flex justify-center items-center h-64">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="p-6 max-h-screen overflow-auto">
+            <div className="mb-6">
+                <h1 className="text-2xl font-bold text-gray-900">Security</h1>
+                <p className="text-gray-600">Protect your account with two-factor authentication</p>
+            </div>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4">
+                    <p className="text-red-800">{error}</p>
+                </div>
+            )}
+
+            {message && (
+                <div className="mb-4 bg-green-50 border border-green-200 rounded-md p-4">
+                    <p className="text-green-800">{message}</p>
+                </div>
+            )}
+
+            {status && (
+                <div className="bg-white shadow rounded-lg p-6 max-w-2xl space-y-6">
+                    <div className="flex items-start justify-between">
+                        <div className="flex items-start">
+                            {status.enabled ? (
+                                <ShieldCheck className="h-6 w-6 text-green-600 mt-0.5" />
+                            ) : (
+                                <ShieldAlert className="h-6 w-6 text-yellow-500 mt-0.5" />
+                            )}
+                            <div className="ml-3">
+                                <h2 className="text-lg font-medium text-gray-900">Two-factor authentication</h2>
+                                <p className="text-sm text-gray-600">
+                                    {status.enabled
+                                        ? `Enabled${status.enabledAt ? ` since ${new Date(status.enabledAt).toLocaleDateString()}` : ''}. ${status.backupCodesRemaining} backup codes remaining.`
+                                        : 'Not enabled. You will only need your password to sign in.'}
+                                </p>
+                                {status.required && (
+                                    <p className="mt-1 text-sm text-gray-500">Required for your role.</p>
+                                )}
+                            </div>
+                        </div>
+                        {!status.enabled && !setup && (
+                            <button
+                                onClick={handleStartSetup}
+                                disabled={working}
+                                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                            >
+                                Set up
+                            </button>
+                        )}
+                    </div>
+
+                    {backupCodes && <BackupCodes codes={backupCodes} />}
+
+                    {setup && (
+                        <form onSubmit={handleEnable} className="space-y-4 border-t pt-6">
+                            <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+                                <img src={setup.qrCode} alt="Two-factor QR code" className="h-40 w-40" />
+                                <div className="text-sm text-gray-600">
+                                    <p>Scan the QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+                                    <p className="mt-2">Can't scan it? Enter this key manually:</p>
+                                    <p className="mt-1 font-mono text-gray-900 break-all">{setup.secret}</p>
+                                </div>
+                            </div>
+                            <div>
+                                <label htmlFor="enable-code" className="block text-sm font-medium text-gray-700">
+                                    Authentication Code
+                                </label>
+                                <input
+                                    id="enable-code"
+                                    type="text"
+                                    inputMode="numeric"
+                                    autoComplete="one-time-code"
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value)}
+                                    className={inputClassName}
+                                    required
+                                />
+                            </div>
+                            <div className="flex gap-3">
+                                <button
+                                    type="submit"
+                                    disabled={working || !code.trim()}
+                                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                                >
+                                    Enable
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => { setSetup(null); resetForm(); }}
+                                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                                >
+                                    Cancel
+                                </button>
+                            </div>
+                        </form>
+                    )}
+
+                    {status.enabled && !mode && (
+                        <div className="flex gap-3 border-t pt-6">
+                            <button
+                                onClick={() => setMode('regenerate')}
+                                className="inline-flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                            >
+                                <RefreshCw className="h-4 w-4 mr-2" />
+                                New backup codes
+                            </button>
+                            {!status.required && (
+                                <button
+                                    onClick={() => setMode('disable')}
+                                    className="inline-flex items-center px-4 py-2 text-sm font-medium text-red-700 bg-white border border-red-300 rounded-md hover:bg-red-50"
+                                >
+                                    <ShieldOff className="h-4 w-4 mr-2" />
+                                    Disable
+                                </button>
+                            )}
+                        </div>
+                    )}
+
+                    {status.enabled && mode && (
+                        <form
+                            onSubmit={mode === 'disable' ? handleDisable : handleRegenerate}
+                            className="space-y-4 border-t pt-6"
+                        >
+                            <p className="text-sm text-gray-600">
+                                {mode === 'disable'
+                                    ? 'Confirm with your password and a code to turn off two-factor authentication.'
+                                    : 'Enter a code to replace your backup codes. The old codes will stop working.'}
+                            </p>
+                            {mode === 'disable' && (
+                                <div>
+                                    <label htmlFor="disable-password" className="block text-sm font-medium text-gray-700">
+                                        Password
+                                    </label>
+                                    <input
+                                        id="disable-password"
+                                        type="password"
+                                        autoComplete="current-password"
+                                        value={password}
+                                        onChange={(e) => setPassword(e.target.value)}
+                                        className={inputClassName}
+                                        required
+                                    />
+                                </div>
+                            )}
+                            <div>
+                                <label htmlFor="confirm-code" className="block text-sm font-medium text-gray-700">
+                                    Authentication Code
+                                </label>
+                                <input
+                                    id="confirm-code"
+                                    type="text"
+                                    autoComplete="one-time-code"
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value)}
+                                    className={inputClassName}
+                                    placeholder="6-digit code or backup code"
+                                    required
+                                />
+                            </div>
+                            <div className="flex gap-3">
+                                <button
+                                    type="submit"
+                                    disabled={working}
+                                    className={`px-4 py-2 text-sm font-medium text-white rounded-md disabled:opacity-50 ${mode === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+                                >
+                                    {mode === 'disable' ? 'Disable two-factor authentication' : 'Generate new codes'}
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={resetForm}
+                                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                                >
+                                    Cancel
+                                </button>
+                            </div>
+                        </form>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default SecuritySettings;
@@ -0,0 +1,344 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, GripVertical, ArrowUp, ArrowDown, X, Search, Layers } from 'lucide-react';
+import seriesService from '../services/series.js';
+import blogService from '../services/blog.js';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500';
+
+const emptySeries = { title: '', description: '', coverImage: { url: '', alt: '' }, blogs: [] };
+
+const STATUS_STYLES = {
+    published: 'bg-green-100 text-green-800',
+    draft: 'bg-gray-100 text-gray-800',
+    in_review: 'bg-yellow-100 text-yellow-800',
+    scheduled: 'bg-blue-100 text-blue-800',
+    archived: 'bg-red-100 text-red-800'
+};
+
+// Move one item of a list to another position
+const moveItem = (list, from, to) => {
+    const next = [...list];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    return next;
+};
+
+const getErrorMessage = (err, fallback) => err.response?.data?.details || err.response?.data?.error || fallback;
+
+function SeriesManagement() {
+    const [seriesList, setSeriesList] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [editing, setEditing] = useState(null); // series being edited, or emptySeries for a new one
+    const [saving, setSaving] = useState(false);
+    const [dragIndex, setDragIndex] = useState(null);
+    const [blogSearch, setBlogSearch] = useState('');
+    const [searchResults, setSearchResults] = useState([]);
+
+    useEffect(() => {
+        fetchSeries();
+    }, []);
+
+    const fetchSeries = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await seriesService.getSeries();
+            if (response.success) {
+                setSeriesList(response.data);
+            } else {
+                setError(response.error || 'Failed to load series');
+            }
+        } catch (err) {
+            setError(getErrorMessage(err, 'Failed to load series'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openEditor = (series) => {
+        setEditing({
+            ...emptySeries,
+            ...series,
+            coverImage: { ...emptySeries.coverImage, ...series.coverImage }
+        });
+        setBlogSearch('');
+        setSearchResults([]);
+        setError(null);
+    };
+
+    const updateField = (field, value) => {
+        setEditing(prev => ({ ...prev, [field]: value }));
+    };
+
+    const setParts = (update) => {
+        setEditing(prev => ({ ...prev, blogs: update(prev.blogs) }));
+    };
+
+    const handleDrop = (index) => {
+        if (dragIndex !== null && dragIndex !== index) {
+            setParts(parts => moveItem(parts, dragIndex, index));
+        }
+        setDragIndex(null);
+    };
+
+    const handleSearchBlogs = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await blogService.getBlogs({ search: blogSearch, limit: 10 });
+            if (response.success) {
+                setSearchResults(response.data);
+            }
+        } catch (err) {
+            setError(getErrorMessage(err, 'Failed to search blogs'));
+        }
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const payload = {
+            title: editing.title,
+            description: editing.description,
+            coverImage: editing.coverImage,
+            blogs: editing.blogs.map(blog => blog._id)
+        };
+
+        try {
+            setSaving(true);
+            setError(null);
+            const response = editing._id
+                ? await seriesService.updateSeries(editing._id, payload)
+                : await seriesService.createSeries(payload);
+            if (response.success) {
+                setEditing(null);
+                await fetchSeries();
+            } else {
+                setError(response.error || 'Failed to save series');
+            }
+        } catch (err) {
+            setError(getErrorMessage(err, 'Failed to save series'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (series) => {
+        if (!window.confirm(`Delete the series "${series.title}"? Its blogs are kept.`)) {
+            return;
+        }
+
+        try {
+            setError(null);
+            const response = await seriesService.deleteSeries(series._id);
+            if (response.success) {
+                if (editing?._id === series._id) setEditing(null);
+                await fetchSeries();
+            } else {
+                setError(response.error || 'Failed to delete series');
+            }
+        } catch (err) {
+            setError(getErrorMessage(err, 'Failed to delete series'));
+        }
+    };
+
+    const partIds = editing ? editing.blogs.map(blog => blog._id) : [];
+
+    return (
+        <div className="p-6 max-h-screen overflow-auto">
+            <div className="mb-6 flex items-center justify-between">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">Series</h1>
+                    <p className="text-gray-600">Group blogs into ordered multi-part series</p>
+                </div>
+                <button
+                    onClick={() => openEditor(emptySeries)}
+                    className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                    <Plus className="h-4 w-4 mr-2" />
+                    New Series
+                </button>
+            </div>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4">
+                    <p className="text-red-800">{error}</p>
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="bg-white shadow rounded-lg divide-y">
+                    {loading ? (
+                        <p className="p-4 text-gray-500">Loading series...</p>
+                    ) : seriesList.length === 0 ? (
+                        <p className="p-4 text-gray-500">No series yet</p>
+                    ) : (
+                        seriesList.map(series => (
+                            <div key={series._id} className="flex items-center justify-between p-4">
+                                <button
+                                    type="button"
+                                    onClick={() => openEditor(series)}
+                                    className="text-left min-w-0"
+                                >
+                                    <p className="font-medium text-gray-900 truncate">{series.title}</p>
+                                    <p className="text-sm text-gray-500">
+                                        {series.blogs.length} part{series.blogs.length === 1 ? '' : 's'}
+                                    </p>
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => handleDelete(series)}
+                                    className="text-red-600 hover:text-red-900"
+                                    title={`Delete ${series.title}`}
+                                >
+                                    <Trash2 className="h-4 w-4" />
+                                </button>
+                            </div>
+                        ))
+                    )}
+                </div>
+
+                {editing && (
+                    <form onSubmit={handleSave} className="lg:col-span-2 bg-white shadow rounded-lg p-4 space-y-4">
+                        <div className="flex items-center justify-between">
+                            <h2 className="text-lg font-semibold text-gray-900">
+                                {editing._id ? `Edit ${editing.title}` : 'New series'}
+                            </h2>
+                            <button type="button" onClick={() => setEditing(null)} title="Close editor">
+                                <X className="h-5 w-5 text-gray-500" />
+                            </button>
+                        </div>
+
+                        <input
+                            type="text"
+                            aria-label="Series title"
+                            placeholder="Title, e.g. Medical Coding 101"
+                            value={editing.title}
+                            onChange={(e) => updateField('title', e.target.value)}
+                            className={inputClassName}
+                            required
+                        />
+                        <textarea
+                            aria-label="Series description"
+                            placeholder="Description"
+                            value={editing.description || ''}
+                            onChange={(e) => updateField('description', e.target.value)}
+                            className={inputClassName}
+                            rows={2}
+                        />
+                        <input
+                            type="url"
+                            aria-label="Cover image URL"
+                            placeholder="Cover image URL"
+                            value={editing.coverImage.url}
+                            onChange={(e) => updateField('coverImage', { ...editing.coverImage, url: e.target.value })}
+                            className={inputClassName}
+                        />
+
+                        <div>
+                            <h3 className="text-sm font-medium text-gray-700 mb-2">Parts (drag to reorder)</h3>
+                            {editing.blogs.length === 0 ? (
+                                <p className="text-sm text-gray-500">Add blogs to this series below</p>
+                            ) : (
+                                <ol className="space-y-2">
+                                    {editing.blogs.map((blog, index) => (
+                                        <li
+                                            key={blog._id}
+                                            draggable
+                                            onDragStart={() => setDragIndex(index)}
+                                            onDragOver={(e) => e.preventDefault()}
+                                            onDrop={() => handleDrop(index)}
+                                            onDragEnd={() => setDragIndex(null)}
+                                            className={`flex items-center gap-2 rounded-md border p-2 ${dragIndex === index ? 'opacity-50' : ''}`}
+                                        >
+                                            <GripVertical className="h-4 w-4 text-gray-400 cursor-move" />
+                                            <span className="w-16 text-sm text-gray-500">Part {index + 1}</span>
+                                            <span className="flex-1 text-sm text-gray-900 truncate">{blog.title}</span>
+                                            <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[blog.status] || STATUS_STYLES.draft}`}>
+                                                {blog.status}
+                                            </span>
+                                            <button
+                                                type="button"
+                                                onClick={() => setParts(parts => moveItem(parts, index, index - 1))}
+                                                disabled={index === 0}
+                                                title={`Move ${blog.title} up`}
+                                                className="disabled:opacity-30"
+                                            >
+                                                <ArrowUp className="h-4 w-4" />
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => setParts(parts => moveItem(parts, index, index + 1))}
+                                                disabled={index === editing.blogs.length - 1}
+                                                title={`Move ${blog.title} down`}
+                                                className="disabled:opacity-30"
+                                            >
+                                                <ArrowDown className="h-4 w-4" />
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => setParts(parts => parts.filter(part => part._id !== blog._id))}
+                                                title={`Remove ${blog.title}`}
+                                                className="text-red-600"
+                                            >
+                                                <X className="h-4 w-4" />
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ol>
+                            )}
+                        </div>
+
+                        <div className="border-t pt-4">
+                            <div className="flex gap-2">
+                                <input
+                                    type="text"
+                                    aria-label="Find blogs"
+                                    placeholder="Find blogs to add"
+                                    value={blogSearch}
+                                    onChange={(e) => setBlogSearch(e.target.value)}
+                                    className={inputClassName}
+                                />
+                                <button
+                                    type="button"
+                                    onClick={handleSearchBlogs}
+                                    className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50"
+                                >
+                                    <Search className="h-4 w-4 mr-1" />
+                                    Search
+                                </button>
+                            </div>
+                            <ul className="mt-2 divide-y">
+                                {searchResults.filter(blog => !partIds.includes(blog._id)).map(blog => (
+                                    <li key={blog._id} className="flex items-center justify-between py-2 text-sm">
+                                        <span className="truncate">{blog.title}</span>
+                                        <button
+                                            type="button"
+                                            onClick={() => setParts(parts => [...parts, { _id: blog._id, title: blog.title, slug: blog.slug, status: blog.status }])}
+                                            className="text-blue-600 hover:text-blue-800"
+                                            title={`Add ${blog.title}`}
+                                        >
+                                            <Plus className="h-4 w-4" />
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+
+                        <div className="flex justify-end">
+                            <button
+                                type="submit"
+                                disabled={saving}
+                                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                            >
+                                <Layers className="h-4 w-4 mr-2" />
+                                {saving ? 'Saving...' : 'Save series'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default SeriesManagement;
@@ -0,0 +1,362 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Edit2, Trash2, X, Search, GitMerge, Hash } from 'lucide-react';
+import tagService from '../services/tag.js';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500';
+
+const emptyTag = { name: '', description: '', synonyms: '' };
+
+// Synonyms are edited as one comma-separated field
+const parseSynonyms = (value) => value.split(',').map(synonym => synonym.trim().toLowerCase()).filter(Boolean);
+
+const getErrorMessage = (err, fallback) => err.response?.data?.details || err.response?.data?.error || fallback;
+
+function TagManagement() {
+    const [tags, setTags] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const [search, setSearch] = useState('');
+    const [editing, setEditing] = useState(null); // tag being edited, or emptyTag for a new one
+    const [saving, setSaving] = useState(false);
+    const [merging, setMerging] = useState(null); // tag being merged into another
+    const [mergeTargetId, setMergeTargetId] = useState('');
+
+    useEffect(() => {
+        fetchTags();
+    }, []);
+
+    const fetchTags = async (query = search) => {
+        try {
+            setLoading(true);
+            setError(null);
+            const response = await tagService.getTags({ search: query, limit: 500 });
+            if (response.success) {
+                setTags(response.data);
+            } else {
+                setError(response.error || 'Failed to load tags');
+            }
+        } catch (err) {
+            setError(getErrorMessage(err, 'Failed to load tags'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openEditor = (tag) => {
+        setEditing({
+            ...emptyTag,
+            ...tag,
+            description: tag.description || '',
+            synonyms: Array.isArray(tag.synonyms) ? tag.synonyms.join(', ') : tag.synonyms
+        });
+        setMerging(null);
+        setError(null);
+        setNotice(null);
+    };
+
+    const openMerge = (tag) => {
+        setMerging(tag);
+        setMergeTargetId('');
+        setEditing(null);
+        setError(null);
+        setNotice(null);
+    };
+
+    const updateField = (field, value) => {
+        setEditing(prev => ({ ...prev, [field]: value }));
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        fetchTags(search);
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const payload = {
+            name: editing.name,
+            description: editing.description,
+            synonyms: parseSynonyms(editing.synonyms)
+        };
+
+        try {
+            setSaving(true);
+            setError(null);
+            const response = editing._id
+                ? await tagService.updateTag(editing._id, payload)
+                : await tagService.createTag(payload);
+            if (response.success) {
+                if (response.renamedBlogs) {
+                    setNotice(`Renamed the tag on ${response.renamedBlogs} blog${response.renamedBlogs === 1 ? '' : 's'}`);
+                }
+                setEditing(null);
+                await fetchTags();
+            } else {
+                setError(response.error || 'Failed to save tag');
+            }
+        } catch (err) {
+            setError(getErrorMessage(err, 'Failed to save tag'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleMerge = async (e) => {
+        e.preventDefault();
+        const target = tags.find(tag => tag._id === mergeTargetId);
+        if (!target) {
+            return;
+        }
+        if (!window.confirm(`Merge "${merging.name}" into "${target.name}"? Blogs tagged "${merging.slug}" will be tagged "${target.slug}" instead.`)) {
+            return;
+        }
+
+        try {
+            setSaving(true);
+            setError(null);
+            const response = await tagService.mergeTag(merging._id, mergeTargetId);
+            if (response.success) {
+                setNotice(response.message);
+                setMerging(null);
+                await fetchTags();
+            } else {
+                setError(response.error || 'Failed to merge tags');
+            }
+        } catch (err) {
+            setError(getErrorMessage(err, 'Failed to merge tags'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (tag) => {
+        const usage = tag.usageCount ? ` It is removed from ${tag.usageCount} blog${tag.usageCount === 1 ? '' : 's'}.` : '';
+        if (!window.confirm(`Delete the tag "${tag.name}"?${usage}`)) {
+            return;
+        }
+
+        try {
+            setError(null);
+            const response = await tagService.deleteTag(tag._id);
+            if (response.success) {
+                if (editing?._id === tag._id) setEditing(null);
+                if (merging?._id === tag._id) setMerging(null);
+                await fetchTags();
+            } else {
+                setError(response.error || 'Failed to delete tag');
+            }
+        } catch (err) {
+            setError(getErrorMessage(err, 'Failed to delete tag'));
+        }
+    };
+
+    return (
+        <div className="p-6 max-h-screen overflow-auto">
+            <div className="mb-6 flex items-center justify-between">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">Tags</h1>
+                    <p className="text-gray-600">Rename, merge and describe the tags used on blogs</p>
+                </div>
+                <button
+                    onClick={() => openEditor(emptyTag)}
+                    className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                    <Plus className="h-4 w-4 mr-2" />
+                    New Tag
+                </button>
+            </div>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4">
+                    <p className="text-red-800">{error}</p>
+                </div>
+            )}
+
+            {notice && (
+                <div className="mb-4 bg-green-50 border border-green-200 rounded-md p-4">
+                    <p className="text-green-800">{notice}</p>
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="lg:col-span-2 bg-white shadow rounded-lg">
+                    <form onSubmit={handleSearch} className="flex gap-2 p-4 border-b">
+                        <input
+                            type="text"
+                            aria-label="Search tags"
+                            placeholder="Search by name or synonym"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            className={inputClassName}
+                        />
+                        <button
+                            type="submit"
+                            className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50"
+                        >
+                            <Search className="h-4 w-4 mr-1" />
+                            Search
+                        </button>
+                    </form>
+
+                    {loading ? (
+                        <p className="p-4 text-gray-500">Loading tags...</p>
+                    ) : tags.length === 0 ? (
+                        <p className="p-4 text-gray-500">No tags found</p>
+                    ) : (
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Tag</th>
+                                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Synonyms</th>
+                                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Blogs</th>
+                                    <th className="px-4 py-2" />
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {tags.map(tag => (
+                                    <tr key={tag._id}>
+                                        <td className="px-4 py-2">
+                                            <p className="font-medium text-gray-900">{tag.name}</p>
+                                            {tag.name !== tag.slug && (
+                                                <p className="text-xs text-gray-500">{tag.slug}</p>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-2 text-sm text-gray-600">
+                                            {tag.synonyms.length > 0 ? tag.synonyms.join(', ') : '—'}
+                                        </td>
+                                        <td className="px-4 py-2 text-right text-sm text-gray-900">{tag.usageCount}</td>
+                                        <td className="px-4 py-2">
+                                            <div className="flex justify-end gap-2">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => openEditor(tag)}
+                                                    className="text-blue-600 hover:text-blue-900"
+                                                    title={`Edit ${tag.name}`}
+                                                >
+                                                    <Edit2 className="h-4 w-4" />
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => openMerge(tag)}
+                                                    className="text-gray-600 hover:text-gray-900"
+                                                    title={`Merge ${tag.name} into another tag`}
+                                                >
+                                                    <GitMerge className="h-4 w-4" />
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleDelete(tag)}
+                                                    className="text-red-600 hover:text-red-900"
+                                                    title={`Delete ${tag.name}`}
+                                                >
+                                                    <Trash2 className="h-4 w-4" />
+                                                </button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                {editing && (
+                    <form onSubmit={handleSave} className="bg-white shadow rounded-lg p-4 space-y-4 self-start">
+                        <div className="flex items-center justify-between">
+                            <h2 className="text-lg font-semibold text-gray-900">
+                                {editing._id ? `Edit ${editing.slug}` : 'New tag'}
+                            </h2>
+                            <button type="button" onClick={() => setEditing(null)} title="Close editor">
+                                <X className="h-5 w-5 text-gray-500" />
+                            </button>
+                        </div>
+
+                        <input
+                            type="text"
+                            aria-label="Tag name"
+                            placeholder="Name, e.g. EHR"
+                            value={editing.name}
+                            onChange={(e) => updateField('name', e.target.value)}
+                            className={inputClassName}
+                            required
+                        />
+                        {editing._id && editing.name.trim().toLowerCase() !== editing.slug && (
+                            <p className="text-xs text-yellow-700">
+                                Saving renames this tag on every blog; "{editing.slug}" is kept as a synonym.
+                            </p>
+                        )}
+                        <textarea
+                            aria-label="Tag description"
+                            placeholder="Description"
+                            value={editing.description}
+                            onChange={(e) => updateField('description', e.target.value)}
+                            className={inputClassName}
+                            rows={2}
+                        />
+                        <input
+                            type="text"
+                            aria-label="Tag synonyms"
+                            placeholder="Synonyms, separated by commas"
+                            value={editing.synonyms}
+                            onChange={(e) => updateField('synonyms', e.target.value)}
+                            className={inputClassName}
+                        />
+
+                        <div className="flex justify-end">
+                            <button
+                                type="submit"
+                                disabled={saving}
+                                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                            >
+                                <Hash className="h-4 w-4 mr-2" />
+                                {saving ? 'Saving...' : 'Save tag'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+
+                {merging && (
+                    <form onSubmit={handleMerge} className="bg-white shadow rounded-lg p-4 space-y-4 self-start">
+                        <div className="flex items-center justify-between">
+                            <h2 className="text-lg font-semibold text-gray-900">Merge {merging.name}</h2>
+                            <button type="button" onClick={() => setMerging(null)} title="Close merge">
+                                <X className="h-5 w-5 text-gray-500" />
+                            </button>
+                        </div>
+
+                        <select
+                            aria-label="Merge into"
+                            value={mergeTargetId}
+                            onChange={(e) => setMergeTargetId(e.target.value)}
+                            className={inputClassName}
+                            required
+                        >
+                            <option value="">Choose a tag</option>
+                            {tags.filter(tag => tag._id !== merging._id).map(tag => (
+                                <option key={tag._id} value={tag._id}>{tag.name}</option>
+                            ))}
+                        </select>
+                        <p className="text-sm text-gray-600">
+                            {merging.usageCount} blog{merging.usageCount === 1 ? '' : 's'} will move to the chosen tag,
+                            and "{merging.slug}" becomes one of its synonyms.
+                        </p>
+
+                        <div className="flex justify-end">
+                            <button
+                                type="submit"
+                                disabled={saving || !mergeTargetId}
+                                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                            >
+                                <GitMerge className="h-4 w-4 mr-2" />
+                                {saving ? 'Merging...' : 'Merge tags'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default TagManagement;
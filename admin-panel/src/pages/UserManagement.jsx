@@ -1,15 +1,39 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import UserList from '../components/user/UserList.jsx';
 import UserForm from '../components/user/UserForm.jsx';
+import InviteUserForm from '../components/user/InviteUserForm.jsx';
+import InvitationList from '../components/user/InvitationList.jsx';
+import roleService from '../services/role.js';
+import authService from '../services/auth.js';
+import { getUserRoles } from '../services/user.js';
 
 function UserManagement() {
-    const [currentView, setCurrentView] = useState('list'); // 'list', 'create', 'edit'
+    const [currentView, setCurrentView] = useState('list'); // 'list', 'invite', 'edit'
     const [selectedUser, setSelectedUser] = useState(null);
+    const [roles, setRoles] = useState(getUserRoles());
+    const canInvite = authService.hasPermission('user.invite');
 
-    // Handle create user
-    const handleCreateUser = () => {
+    // Load custom roles alongside the built-in ones
+    useEffect(() => {
+        const canListRoles = ['role.manage', 'user.manage', 'user.invite']
+            .some(permission => authService.hasPermission(permission));
+        if (!canListRoles) {
+            return;
+        }
+
+        roleService.getRoles()
+            .then(response => {
+                if (response.success) {
+                    setRoles(response.data.roles.map(role => ({ value: role.name, label: role.label })));
+                }
+            })
+            .catch(error => console.error('Load roles error:', error));
+    }, []);
+
+    // Handle invite user
+    const handleInviteUser = () => {
         setSelectedUser(null);
-        setCurrentView('create');
+        setCurrentView('invite');
     };
 
     // Handle edit user
@@ -18,7 +42,7 @@ function UserManagement() {
         setCurrentView('edit');
     };
 
-    // Handle save user (create or update)
+    // Handle save user (update or invitation sent)
     const handleSaveUser = (savedUser) => {
         // Return to list view after successful save
         setCurrentView('list');
@@ -38,26 +62,30 @@ function UserManagement() {
             <main className=" mx-auto py-0 sm:px-6 lg:px-8">
                 <div className="px-4 py-0 sm:px-0">
                     {currentView === 'list' && (
-                        <UserList
-                            onCreateUser={handleCreateUser}
-                            onEditUser={handleEditUser}
-                        />
+                        <>
+                            <UserList
+                                onInviteUser={canInvite ? handleInviteUser : null}
+                                onEditUser={handleEditUser}
+                                roles={roles}
+                            />
+                            {canInvite && <InvitationList />}
+                        </>
                     )}
 
-                    {currentView === 'create' && (
-                        <UserForm
-                            mode="create"
-                            onSave={handleSaveUser}
+                    {currentView === 'invite' && (
+                        <InviteUserForm
+                            onInvited={handleSaveUser}
                             onCancel={handleCancelForm}
+                            roles={roles}
                         />
                     )}
 
                     {currentView === 'edit' && selectedUser && (
                         <UserForm
                             user={selectedUser}
-                            mode="edit"
                             onSave={handleSaveUser}
                             onCancel={handleCancelForm}
+                            roles={roles}
                         />
                     )}
                 </div>
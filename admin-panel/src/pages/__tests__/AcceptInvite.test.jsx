@@ -0,0 +1,101 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import AcceptInvite from '../AcceptInvite.jsx';
+import invitationService from '../../services/invitation.js';
+
+vi.mock('../../services/invitation.js');
+
+const mockNavigate = vi.fn();
+let mockSearch = '';
+vi.mock('react-router-dom', () => ({
+    useNavigate: () => mockNavigate,
+    useLocation: () => ({ state: null, search: mockSearch }),
+}));
+
+describe('AcceptInvite', () => {
+    const token = 'b'.repeat(64);
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockSearch = `?token=${token}`;
+        invitationService.getInvitationByToken.mockResolvedValue({
+            success: true,
+            data: { email: 'new@example.com', role: 'editor', invitedBy: 'admin' }
+        });
+    });
+
+    it('shows who sent the invitation', async () => {
+        render(<AcceptInvite />);
+
+        expect(await screen.findByText('new@example.com')).toBeInTheDocument();
+        expect(screen.getByText(/admin invited/)).toBeInTheDocument();
+        expect(invitationService.getInvitationByToken).toHaveBeenCalledWith(token);
+    });
+
+    it('creates the account with the chosen credentials', async () => {
+        const user = userEvent.setup();
+        invitationService.acceptInvitation.mockResolvedValue({
+            success: true,
+            message: 'Your account is ready. Please sign in.'
+        });
+
+        render(<AcceptInvite />);
+
+        await user.type(await screen.findByLabelText('Username'), 'newbie');
+        await user.type(screen.getByLabelText('First Name'), 'New');
+        await user.type(screen.getByLabelText('Password'), 'chosenpass');
+        await user.type(screen.getByLabelText('Confirm Password'), 'chosenpass');
+        await user.click(screen.getByRole('button', { name: /create account/i }));
+
+        await waitFor(() => {
+            expect(invitationService.acceptInvitation).toHaveBeenCalledWith({
+                token,
+                username: 'newbie',
+                password: 'chosenpass',
+                profile: { firstName: 'New', lastName: '' }
+            });
+        });
+        expect(await screen.findByText('Your account is ready. Please sign in.')).toBeInTheDocument();
+
+        await user.click(screen.getByRole('button', { name: 'Go to sign in' }));
+        expect(mockNavigate).toHaveBeenCalledWith('/login', { replace: true });
+    });
+
+    it('shows errors from the server, such as a taken username', async () => {
+        const user = userEvent.setup();
+        invitationService.acceptInvitation.mockRejectedValue({
+            response: { data: { success: false, error: 'Username is already taken' } }
+        });
+
+        render(<AcceptInvite />);
+
+        await user.type(await screen.findByLabelText('Username'), 'taken');
+        await user.type(screen.getByLabelText('Password'), 'chosenpass');
+        await user.type(screen.getByLabelText('Confirm Password'), 'chosenpass');
+        await user.click(screen.getByRole('button', { name: /create account/i }));
+
+        expect(await screen.findByText('Username is already taken')).toBeInTheDocument();
+    });
+
+    it('explains when the link is no longer valid', async () => {
+        invitationService.getInvitationByToken.mockRejectedValue({
+            response: { data: { success: false, error: 'Invitation is invalid or has expired' } }
+        });
+
+        render(<AcceptInvite />);
+
+        expect(await screen.findByText('Invitation is invalid or has expired')).toBeInTheDocument();
+        expect(screen.queryByLabelText('Username')).not.toBeInTheDocument();
+    });
+
+    it('rejects links without a token', async () => {
+        mockSearch = '';
+
+        render(<AcceptInvite />);
+
+        expect(await screen.findByText(/invitation link is incomplete/)).toBeInTheDocument();
+        expect(invitationService.getInvitationByToken).not.toHaveBeenCalled();
+    });
+});
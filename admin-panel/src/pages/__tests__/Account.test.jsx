@@ -0,0 +1,134 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Account from '../Account.jsx';
+import authService from '../../services/auth.js';
+
+vi.mock('../../services/auth.js', () => ({
+    default: {
+        updateProfile: vi.fn(),
+        changePassword: vi.fn(),
+        uploadAvatar: vi.fn(),
+        removeAvatar: vi.fn(),
+    }
+}));
+
+const mockUpdateUser = vi.fn();
+const mockCompleteLogin = vi.fn();
+let mockUser;
+vi.mock('../../contexts/AuthContext.jsx', () => ({
+    useAuth: () => ({
+        user: mockUser,
+        updateUser: mockUpdateUser,
+        completeLogin: mockCompleteLogin,
+    })
+}));
+
+describe('Account', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockUser = {
+            username: 'writer',
+            email: 'writer@example.com',
+            profile: { firstName: 'Jane', lastName: 'Doe', bio: '', avatar: '', jobTitle: 'Coder' }
+        };
+    });
+
+    it('saves the profile', async () => {
+        const user = userEvent.setup();
+        const updated = { ...mockUser, profile: { ...mockUser.profile, bio: 'Writes about billing' } };
+        authService.updateProfile.mockResolvedValue(updated);
+
+        render(<Account />);
+
+        expect(screen.getByLabelText('First name')).toHaveValue('Jane');
+        expect(screen.getByLabelText('Job title')).toHaveValue('Coder');
+        await user.type(screen.getByLabelText(/^Bio/), 'Writes about billing');
+        await user.type(screen.getByLabelText('LinkedIn'), 'https://www.linkedin.com/in/jane');
+        await user.click(screen.getByRole('button', { name: 'Save profile' }));
+
+        await waitFor(() => {
+            expect(authService.updateProfile).toHaveBeenCalledWith({
+                firstName: 'Jane',
+                lastName: 'Doe',
+                bio: 'Writes about billing',
+                jobTitle: 'Coder',
+                social: { website: '', linkedin: 'https://www.linkedin.com/in/jane', twitter: '' }
+            });
+        });
+        expect(mockUpdateUser).toHaveBeenCalledWith(updated);
+        expect(await screen.findByText('Profile updated')).toBeInTheDocument();
+    });
+
+    it('uploads and removes the avatar', async () => {
+        const user = userEvent.setup();
+        const file = new File(['img'], 'me.png', { type: 'image/png' });
+        authService.uploadAvatar.mockResolvedValue({ ...mockUser, profile: { ...mockUser.profile, avatar: 'https://cdn/avatars/me.png' } });
+
+        const { rerender } = render(<Account />);
+
+        await user.upload(screen.getByLabelText('Avatar image'), file);
+
+        await waitFor(() => {
+            expect(authService.uploadAvatar).toHaveBeenCalledWith(file);
+        });
+        expect(await screen.findByText('Avatar updated')).toBeInTheDocument();
+
+        mockUser = { ...mockUser, profile: { ...mockUser.profile, avatar: 'https://cdn/avatars/me.png' } };
+        authService.removeAvatar.mockResolvedValue({ ...mockUser, profile: { ...mockUser.profile, avatar: '' } });
+        rerender(<Account />);
+
+        expect(screen.getByAltText('Your avatar')).toHaveAttribute('src', 'https://cdn/avatars/me.png');
+        await user.click(screen.getByRole('button', { name: 'Remove' }));
+        expect(await screen.findByText('Avatar removed')).toBeInTheDocument();
+    });
+
+    it('changes the password and keeps this device signed in', async () => {
+        const user = userEvent.setup();
+        const session = { token: 'new-token', user: mockUser };
+        authService.changePassword.mockResolvedValue(session);
+
+        render(<Account />);
+
+        await user.type(screen.getByLabelText('Current password'), 'oldpassword');
+        await user.type(screen.getByLabelText('New password'), 'newpassword');
+        await user.type(screen.getByLabelText('Confirm new password'), 'newpassword');
+        await user.click(screen.getByRole('button', { name: /change password/i }));
+
+        await waitFor(() => {
+            expect(authService.changePassword).toHaveBeenCalledWith('oldpassword', 'newpassword');
+        });
+        expect(mockCompleteLogin).toHaveBeenCalledWith(session);
+        expect(await screen.findByText(/Other devices have been signed out/)).toBeInTheDocument();
+        expect(screen.getByLabelText('Current password')).toHaveValue('');
+    });
+
+    it('requires the new passwords to match', async () => {
+        const user = userEvent.setup();
+        render(<Account />);
+
+        await user.type(screen.getByLabelText('Current password'), 'oldpassword');
+        await user.type(screen.getByLabelText('New password'), 'newpassword');
+        await user.type(screen.getByLabelText('Confirm new password'), 'different');
+        await user.click(screen.getByRole('button', { name: /change password/i }));
+
+        expect(await screen.findByText('New passwords do not match')).toBeInTheDocument();
+        expect(authService.changePassword).not.toHaveBeenCalled();
+    });
+
+    it('shows an incorrect current password', async () => {
+        const user = userEvent.setup();
+        authService.changePassword.mockRejectedValue(new Error('Current password is incorrect'));
+
+        render(<Account />);
+
+        await user.type(screen.getByLabelText('Current password'), 'wrong');
+        await user.type(screen.getByLabelText('New password'), 'newpassword');
+        await user.type(screen.getByLabelText('Confirm new password'), 'newpassword');
+        await user.click(screen.getByRole('button', { name: /change password/i }));
+
+        expect(await screen.findByText('Current password is incorrect')).toBeInTheDocument();
+        expect(mockCompleteLogin).not.toHaveBeenCalled();
+    });
+});
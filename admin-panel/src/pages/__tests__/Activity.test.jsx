@@ -0,0 +1,112 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Activity from '../Activity.jsx';
+import auditService from '../../services/audit.js';
+
+vi.mock('../../services/audit.js');
+
+describe('Activity', () => {
+    const mockEntries = [
+        {
+            _id: 'a1',
+            actor: { _id: 'u1', username: 'admin', role: 'admin' },
+            actorUsername: 'admin',
+            action: 'user.update',
+            targetType: 'User',
+            targetId: 'u2',
+            targetLabel: 'jane',
+            changes: { before: { role: 'editor' }, after: { role: 'admin' } },
+            ipAddress: '10.0.0.1',
+            requestId: 'req-123',
+            createdAt: '2024-01-02T10:00:00.000Z'
+        },
+        {
+            _id: 'a2',
+            actor: null,
+            actorUsername: 'former_editor',
+            actorRole: 'editor',
+            action: 'blog.delete',
+            targetType: 'Blog',
+            targetId: 'b1',
+            targetLabel: 'Old Post',
+            changes: { before: { title: 'Old Post' }, after: null },
+            ipAddress: '10.0.0.2',
+            createdAt: '2024-01-01T10:00:00.000Z'
+        }
+    ];
+
+    const mockResponse = {
+        success: true,
+        data: mockEntries,
+        pagination: { page: 1, limit: 25, total: 60, totalPages: 3, hasNextPage: true, hasPrevPage: false }
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        auditService.getAuditLogs.mockResolvedValue(mockResponse);
+    });
+
+    it('shows who changed what', async () => {
+        render(<Activity />);
+
+        await waitFor(() => {
+            expect(screen.getByText('user.update')).toBeInTheDocument();
+        });
+
+        expect(auditService.getAuditLogs).toHaveBeenCalledWith({ page: 1, limit: 25 });
+        expect(screen.getByText('jane')).toBeInTheDocument();
+        expect(screen.getByText('editor', { selector: '.line-through' })).toBeInTheDocument();
+        expect(screen.getByText('req-123')).toBeInTheDocument();
+        // Entries outlive deleted actors
+        expect(screen.getByText('former_editor')).toBeInTheDocument();
+        expect(screen.getByText('Old Post', { selector: '.line-through' })).toBeInTheDocument();
+    });
+
+    it('filters by target type and actor', async () => {
+        const user = userEvent.setup();
+        render(<Activity />);
+
+        await waitFor(() => {
+            expect(screen.getByText('user.update')).toBeInTheDocument();
+        });
+
+        await user.selectOptions(screen.getByLabelText('Target type'), 'User');
+
+        await waitFor(() => {
+            expect(auditService.getAuditLogs).toHaveBeenLastCalledWith({ page: 1, limit: 25, targetType: 'User' });
+        });
+
+        await user.type(screen.getByLabelText('Actor'), 'admin');
+
+        await waitFor(() => {
+            expect(auditService.getAuditLogs).toHaveBeenLastCalledWith({ page: 1, limit: 25, actor: 'admin', targetType: 'User' });
+        });
+    });
+
+    it('pages through entries', async () => {
+        const user = userEvent.setup();
+        render(<Activity />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Page 1 of 3 (60 entries)')).toBeInTheDocument();
+        });
+
+        await user.click(screen.getByText('Next'));
+
+        await waitFor(() => {
+            expect(auditService.getAuditLogs).toHaveBeenLastCalledWith({ page: 2, limit: 25 });
+        });
+    });
+
+    it('shows load errors', async () => {
+        auditService.getAuditLogs.mockRejectedValue({ response: { data: { error: 'Access denied' } } });
+
+        render(<Activity />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Access denied')).toBeInTheDocument();
+        });
+    });
+});
@@ -0,0 +1,131 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ApiKeys from '../ApiKeys.jsx';
+import apiKeyService from '../../services/apiKey.js';
+
+vi.mock('../../services/apiKey.js');
+
+describe('ApiKeys', () => {
+    const mockKeys = [
+        {
+            _id: 'k1',
+            name: 'Marketing site',
+            prefix: 'a1b2c3d4e5f6',
+            owner: { username: 'admin' },
+            scopes: ['blogs:read'],
+            expiresAt: null,
+            lastUsedAt: '2024-01-02T10:00:00.000Z',
+            lastUsedIp: '10.0.0.5',
+            status: 'active'
+        },
+        {
+            _id: 'k2',
+            name: 'Old sync job',
+            prefix: 'ffffffffffff',
+            owner: { username: 'admin' },
+            scopes: ['blogs:write'],
+            expiresAt: '2024-06-01T00:00:00.000Z',
+            status: 'revoked'
+        }
+    ];
+
+    const mockResponse = {
+        success: true,
+        data: {
+            keys: mockKeys,
+            scopes: [
+                { key: 'blogs:read', description: 'Read blogs' },
+                { key: 'blogs:write', description: 'Create, update and delete blogs' }
+            ]
+        }
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        apiKeyService.getApiKeys.mockResolvedValue(mockResponse);
+        window.confirm = vi.fn(() => true);
+    });
+
+    it('lists keys without their secrets', async () => {
+        render(<ApiKeys />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Marketing site')).toBeInTheDocument();
+        });
+
+        expect(screen.getByText('rcm_a1b2c3d4e5f6_…')).toBeInTheDocument();
+        expect(screen.getByText('Never')).toBeInTheDocument();
+        expect(screen.getByLabelText('Rotate Marketing site')).toBeInTheDocument();
+        expect(screen.queryByLabelText('Rotate Old sync job')).not.toBeInTheDocument();
+    });
+
+    it('reveals a new key once after creating it', async () => {
+        const user = userEvent.setup();
+        apiKeyService.createApiKey.mockResolvedValue({
+            success: true,
+            data: { name: 'Nightly sync', key: 'rcm_123456789abc_secret' }
+        });
+        render(<ApiKeys />);
+
+        await waitFor(() => {
+            expect(screen.getByText('New Key')).toBeInTheDocument();
+        });
+
+        await user.click(screen.getByText('New Key'));
+        await user.type(screen.getByLabelText('Key name'), 'Nightly sync');
+        await user.click(screen.getByLabelText(/blogs:write/));
+        await user.click(screen.getByText('Create Key'));
+
+        expect(apiKeyService.createApiKey).toHaveBeenCalledWith({
+            name: 'Nightly sync',
+            scopes: ['blogs:write'],
+            expiresAt: null
+        });
+        await waitFor(() => {
+            expect(screen.getByLabelText('New API key')).toHaveTextContent('rcm_123456789abc_secret');
+        });
+
+        await user.click(screen.getByText('Done'));
+        expect(screen.queryByLabelText('New API key')).not.toBeInTheDocument();
+    });
+
+    it('reveals the replacement key after rotating', async () => {
+        const user = userEvent.setup();
+        apiKeyService.rotateApiKey.mockResolvedValue({
+            success: true,
+            data: { name: 'Marketing site', key: 'rcm_aaaaaaaaaaaa_rotated' }
+        });
+        render(<ApiKeys />);
+
+        await waitFor(() => {
+            expect(screen.getByLabelText('Rotate Marketing site')).toBeInTheDocument();
+        });
+
+        await user.click(screen.getByLabelText('Rotate Marketing site'));
+
+        expect(apiKeyService.rotateApiKey).toHaveBeenCalledWith('k1');
+        await waitFor(() => {
+            expect(screen.getByLabelText('New API key')).toHaveTextContent('rcm_aaaaaaaaaaaa_rotated');
+        });
+    });
+
+    it('revokes a key after confirmation', async () => {
+        const user = userEvent.setup();
+        apiKeyService.revokeApiKey.mockResolvedValue({ success: true, data: {} });
+        render(<ApiKeys />);
+
+        await waitFor(() => {
+            expect(screen.getByLabelText('Revoke Marketing site')).toBeInTheDocument();
+        });
+
+        await user.click(screen.getByLabelText('Revoke Marketing site'));
+
+        expect(window.confirm).toHaveBeenCalled();
+        expect(apiKeyService.revokeApiKey).toHaveBeenCalledWith('k1');
+        await waitFor(() => {
+            expect(apiKeyService.getApiKeys).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -4,6 +4,7 @@ import { render, screen, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import CategoryManagement from '../CategoryManagement.jsx';
 import categoryService from '../../services/category.js';
+import blogService from '../../services/blog.js';
 
 // Mock the category service
 vi.mock('../../services/category.js', () => ({
@@ -11,9 +12,12 @@ vi.mock('../../services/category.js', () => ({
         getCategories: vi.fn(),
         createCategory: vi.fn(),
         updateCategory: vi.fn(),
-        deleteCategory: vi.fn()
+        deleteCategory: vi.fn(),
+        getMergePreview: vi.fn(),
+        mergeCategory: vi.fn()
     }
 }));
+vi.mock('../../services/blog.js');
 
 describe('CategoryManagement', () => {
     const mockCategories = [
@@ -141,6 +145,95 @@ describe('CategoryManagement', () => {
         });
     });
 
+    describe('Category Tree', () => {
+        const treeCategories = [
+            { _id: 'c1', name: 'Coding', slug: 'coding', parent: null, isActive: true },
+            { _id: 'c3', name: 'Cardiology', slug: 'cardiology', parent: 'c2', isActive: true },
+            { _id: 'c2', name: 'ICD-10', slug: 'icd-10', parent: { _id: 'c1', name: 'Coding' }, isActive: true },
+            { _id: 'b1', name: 'Billing', slug: 'billing', parent: null, isActive: true }
+        ];
+
+        const rowNames = () => screen.getAllByRole('row').slice(1)
+            .map(row => row.querySelector('.font-medium').textContent);
+
+        beforeEach(() => {
+            categoryService.getCategories.mockResolvedValue({ success: true, data: treeCategories });
+            categoryService.updateCategory.mockResolvedValue({ success: true, data: {} });
+            categoryService.createCategory.mockResolvedValue({ success: true, data: {} });
+        });
+
+        it('lists subcategories under their parents', async () => {
+            render(<CategoryManagement />);
+
+            await screen.findByText('Cardiology');
+            expect(rowNames()).toEqual(['Billing', 'Coding', 'ICD-10', 'Cardiology']);
+            expect(categoryService.getCategories).toHaveBeenCalledWith({ includeInactive: true, limit: 1000 });
+        });
+
+        it('shows where search matches sit in the tree', async () => {
+            const user = userEvent.setup();
+            render(<CategoryManagement />);
+
+            await screen.findByText('Cardiology');
+            await user.type(screen.getByPlaceholderText('Search categories...'), 'cardio');
+
+            expect(rowNames()).toEqual(['Cardiology']);
+            expect(screen.getByText('Coding › ICD-10 › Cardiology')).toBeInTheDocument();
+        });
+
+        it('does not offer a category or its subcategories as its own parent', async () => {
+            const user = userEvent.setup();
+            render(<CategoryManagement />);
+
+            await screen.findByText('Cardiology');
+            const codingRow = screen.getAllByRole('row').find(row => row.textContent.includes('coding'));
+            await user.click(codingRow.querySelector('button.text-blue-600'));
+
+            const parentSelect = screen.getByLabelText('Parent category');
+            const options = Array.from(parentSelect.options).map(option => option.textContent.trim());
+            expect(options).toEqual(['None (top level)', 'Billing']);
+
+            await user.selectOptions(parentSelect, 'b1');
+            await user.click(screen.getByText('Update'));
+
+            expect(categoryService.updateCategory).toHaveBeenCalledWith('c1', expect.objectContaining({ parent: 'b1' }));
+        });
+
+        it('adds a subcategory from a row', async () => {
+            const user = userEvent.setup();
+            render(<CategoryManagement />);
+
+            await user.click(await screen.findByTitle('Add subcategory to ICD-10'));
+            expect(screen.getByLabelText('Parent category')).toHaveValue('c2');
+
+            await user.type(screen.getByLabelText(/name \*/i), 'Neurology');
+            await user.click(screen.getByText('Create'));
+
+            expect(categoryService.createCategory).toHaveBeenCalledWith(expect.objectContaining({
+                name: 'Neurology',
+                parent: 'c2'
+            }));
+        });
+    });
+
+    describe('Merge and Move Posts', () => {
+        it('opens the move panel with the posts of a category', async () => {
+            const user = userEvent.setup();
+            blogService.getBlogs.mockResolvedValue({
+                success: true,
+                data: [{ _id: 'p1', title: 'Gadget Review', status: 'published' }]
+            });
+            render(<CategoryManagement />);
+
+            await user.click(await screen.findByTitle('Merge or move posts from Technology'));
+
+            expect(screen.getByText('Move posts from Technology')).toBeInTheDocument();
+            expect(await screen.findByText('Gadget Review')).toBeInTheDocument();
+            expect(screen.getByRole('option', { name: 'Business' })).toBeInTheDocument();
+            expect(screen.queryByRole('option', { name: 'Technology' })).not.toBeInTheDocument();
+        });
+    });
+
     describe('Error Handling', () => {
         it('displays error message when category fetch fails', async () => {
             categoryService.getCategories.mockResolvedValue({
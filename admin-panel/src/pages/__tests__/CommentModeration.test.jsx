@@ -0,0 +1,109 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CommentModeration from '../CommentModeration.jsx';
+import commentService from '../../services/comment.js';
+
+vi.mock('../../services/comment.js');
+
+describe('CommentModeration', () => {
+    const mockComments = [
+        {
+            _id: 'c1',
+            content: 'Very helpful article',
+            authorName: 'Guest Reader',
+            authorEmail: 'guest@example.com',
+            author: null,
+            blog: { _id: 'b1', title: 'Denial Management Basics', slug: 'denial-management-basics' },
+            status: 'pending',
+            parent: null,
+            createdAt: '2024-01-01T10:00:00.000Z'
+        },
+        {
+            _id: 'c2',
+            content: 'Buy cheap watches',
+            authorName: 'Spammer',
+            authorEmail: 'spam@example.com',
+            author: null,
+            blog: { _id: 'b1', title: 'Denial Management Basics', slug: 'denial-management-basics' },
+            status: 'pending',
+            parent: null,
+            createdAt: '2024-01-02T10:00:00.000Z'
+        }
+    ];
+
+    const mockResponse = {
+        success: true,
+        data: mockComments,
+        pagination: { page: 1, limit: 20, total: 2, totalPages: 1, hasNextPage: false, hasPrevPage: false },
+        counts: { total: 5, pending: 2, approved: 2, spam: 1, rejected: 0 }
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        commentService.getComments.mockResolvedValue(mockResponse);
+        commentService.moderateComment.mockResolvedValue({ success: true, message: 'Comment marked as approved' });
+        commentService.bulkModerate.mockResolvedValue({ success: true, message: '2 comment(s) marked as spam' });
+        commentService.deleteComment.mockResolvedValue({ success: true, message: 'Comment deleted successfully' });
+    });
+
+    it('shows the pending queue with status counts', async () => {
+        render(<CommentModeration />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Very helpful article')).toBeInTheDocument();
+        });
+
+        expect(commentService.getComments).toHaveBeenCalledWith({ page: 1, limit: 20, status: 'pending' });
+        expect(screen.getByText('Pending (2)')).toBeInTheDocument();
+        expect(screen.getByText('All (5)')).toBeInTheDocument();
+        expect(screen.getByText('guest@example.com')).toBeInTheDocument();
+    });
+
+    it('switches the status filter', async () => {
+        const user = userEvent.setup();
+        render(<CommentModeration />);
+
+        await user.click(await screen.findByText('Spam (1)'));
+
+        await waitFor(() => {
+            expect(commentService.getComments).toHaveBeenLastCalledWith({ page: 1, limit: 20, status: 'spam' });
+        });
+    });
+
+    it('approves a single comment', async () => {
+        const user = userEvent.setup();
+        render(<CommentModeration />);
+
+        await screen.findByText('Very helpful article');
+        await user.click(screen.getAllByTitle('Approve')[0]);
+
+        await waitFor(() => {
+            expect(commentService.moderateComment).toHaveBeenCalledWith('c1', 'approved');
+        });
+        expect(await screen.findByText('Comment marked as approved')).toBeInTheDocument();
+    });
+
+    it('marks selected comments as spam in bulk', async () => {
+        const user = userEvent.setup();
+        render(<CommentModeration />);
+
+        await screen.findByText('Very helpful article');
+        await user.click(screen.getByLabelText('Select all comments'));
+        expect(screen.getByText('2 selected')).toBeInTheDocument();
+
+        await user.click(screen.getByRole('button', { name: /mark spam/i }));
+
+        await waitFor(() => {
+            expect(commentService.bulkModerate).toHaveBeenCalledWith(['c1', 'c2'], 'spam');
+        });
+    });
+
+    it('shows API errors', async () => {
+        commentService.getComments.mockRejectedValue({ response: { data: { error: 'Access denied' } } });
+        render(<CommentModeration />);
+
+        expect(await screen.findByText('Access denied')).toBeInTheDocument();
+    });
+});
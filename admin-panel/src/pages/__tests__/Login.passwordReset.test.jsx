@@ -0,0 +1,121 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Login from '../Login.jsx';
+import authService from '../../services/auth.js';
+
+vi.mock('../../services/auth.js', () => ({
+    default: {
+        forgotPassword: vi.fn(),
+        resetPassword: vi.fn(),
+    }
+}));
+
+vi.mock('../../contexts/AuthContext.jsx', () => ({
+    useAuth: () => ({
+        login: vi.fn(),
+        isAuthenticated: false,
+        isLoading: false,
+        error: null,
+        clearError: vi.fn(),
+    })
+}));
+
+const mockNavigate = vi.fn();
+let mockSearch = '';
+vi.mock('react-router-dom', () => ({
+    useNavigate: () => mockNavigate,
+    useLocation: () => ({ state: null, search: mockSearch }),
+}));
+
+describe('Login password reset', () => {
+    const resetToken = 'a'.repeat(64);
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockSearch = '';
+    });
+
+    it('requests a reset link from the forgot password screen', async () => {
+        const user = userEvent.setup();
+        authService.forgotPassword.mockResolvedValue({
+            success: true,
+            message: 'If an account exists for that email, a password reset link has been sent'
+        });
+
+        render(<Login />);
+
+        await user.click(screen.getByRole('button', { name: 'Forgot password?' }));
+        expect(screen.getByText('Forgot Password')).toBeInTheDocument();
+
+        await user.type(screen.getByLabelText('Email Address'), 'editor@example.com');
+        await user.click(screen.getByRole('button', { name: /send reset link/i }));
+
+        await waitFor(() => {
+            expect(authService.forgotPassword).toHaveBeenCalledWith('editor@example.com');
+        });
+        expect(await screen.findByText(/a password reset link has been sent/)).toBeInTheDocument();
+    });
+
+    it('returns to the sign in form', async () => {
+        const user = userEvent.setup();
+        render(<Login />);
+
+        await user.click(screen.getByRole('button', { name: 'Forgot password?' }));
+        await user.click(screen.getByRole('button', { name: 'Back to sign in' }));
+
+        expect(screen.getByText('Admin Panel Login')).toBeInTheDocument();
+    });
+
+    it('opens the reset screen from the emailed link and sets a new password', async () => {
+        const user = userEvent.setup();
+        mockSearch = `?resetToken=${resetToken}`;
+        authService.resetPassword.mockResolvedValue({
+            success: true,
+            message: 'Password has been reset. Please sign in with your new password'
+        });
+
+        render(<Login />);
+
+        expect(screen.getByText('Reset Password')).toBeInTheDocument();
+
+        await user.type(screen.getByLabelText('New Password'), 'newpassword');
+        await user.type(screen.getByLabelText('Confirm Password'), 'newpassword');
+        await user.click(screen.getByRole('button', { name: /set new password/i }));
+
+        await waitFor(() => {
+            expect(authService.resetPassword).toHaveBeenCalledWith(resetToken, 'newpassword');
+        });
+        expect(await screen.findByText('Password has been reset. Please sign in with your new password')).toBeInTheDocument();
+        expect(mockNavigate).toHaveBeenCalledWith('/login', { replace: true });
+    });
+
+    it('requires matching passwords', async () => {
+        const user = userEvent.setup();
+        mockSearch = `?resetToken=${resetToken}`;
+
+        render(<Login />);
+
+        await user.type(screen.getByLabelText('New Password'), 'newpassword');
+        await user.type(screen.getByLabelText('Confirm Password'), 'different');
+        await user.click(screen.getByRole('button', { name: /set new password/i }));
+
+        expect(await screen.findByText('Passwords do not match')).toBeInTheDocument();
+        expect(authService.resetPassword).not.toHaveBeenCalled();
+    });
+
+    it('shows an error for an expired link', async () => {
+        const user = userEvent.setup();
+        mockSearch = `?resetToken=${resetToken}`;
+        authService.resetPassword.mockRejectedValue(new Error('Password reset token is invalid or has expired'));
+
+        render(<Login />);
+
+        await user.type(screen.getByLabelText('New Password'), 'newpassword');
+        await user.type(screen.getByLabelText('Confirm Password'), 'newpassword');
+        await user.click(screen.getByRole('button', { name: /set new password/i }));
+
+        expect(await screen.findByText('Password reset token is invalid or has expired')).toBeInTheDocument();
+    });
+});
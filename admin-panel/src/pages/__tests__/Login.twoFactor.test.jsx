@@ -0,0 +1,111 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Login from '../Login.jsx';
+import authService from '../../services/auth.js';
+
+vi.mock('../../services/auth.js', () => ({
+    default: {
+        setupTwoFactor: vi.fn(),
+        enableTwoFactor: vi.fn(),
+        storeSession: vi.fn(),
+    }
+}));
+
+const mockLogin = vi.fn();
+const mockVerifyTwoFactor = vi.fn();
+const mockCompleteLogin = vi.fn();
+vi.mock('../../contexts/AuthContext.jsx', () => ({
+    useAuth: () => ({
+        login: mockLogin,
+        verifyTwoFactor: mockVerifyTwoFactor,
+        completeLogin: mockCompleteLogin,
+        isAuthenticated: false,
+        isLoading: false,
+        error: null,
+        clearError: vi.fn(),
+    })
+}));
+
+vi.mock('react-router-dom', () => ({
+    useNavigate: () => vi.fn(),
+    useLocation: () => ({ state: null, search: '' }),
+}));
+
+describe('Login two-factor authentication', () => {
+    const signIn = async (user) => {
+        await user.type(screen.getByPlaceholderText('Enter your email'), 'editor@example.com');
+        await user.type(screen.getByPlaceholderText('Enter your password'), 'password123');
+        await user.click(screen.getByRole('button', { name: /sign in/i }));
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('asks for a code after the password and verifies it', async () => {
+        const user = userEvent.setup();
+        mockLogin.mockResolvedValue({ success: false, twoFactorRequired: true, challengeToken: 'challenge' });
+        mockVerifyTwoFactor.mockResolvedValue({ success: true });
+
+        render(<Login />);
+        await signIn(user);
+
+        expect(await screen.findByText('Two-Factor Authentication')).toBeInTheDocument();
+        expect(screen.queryByText('Authentication Error')).not.toBeInTheDocument();
+
+        await user.type(screen.getByLabelText('Authentication Code'), '123456');
+        await user.click(screen.getByRole('button', { name: /verify/i }));
+
+        await waitFor(() => {
+            expect(mockVerifyTwoFactor).toHaveBeenCalledWith('challenge', '123456');
+        });
+    });
+
+    it('shows an error for an invalid code', async () => {
+        const user = userEvent.setup();
+        mockLogin.mockResolvedValue({ success: false, twoFactorRequired: true, challengeToken: 'challenge' });
+        mockVerifyTwoFactor.mockResolvedValue({ success: false, error: 'Invalid verification code' });
+
+        render(<Login />);
+        await signIn(user);
+
+        await user.type(await screen.findByLabelText('Authentication Code'), 'abcde-12345');
+        await user.click(screen.getByRole('button', { name: /verify/i }));
+
+        expect(await screen.findByText('Invalid verification code')).toBeInTheDocument();
+    });
+
+    it('walks through enrollment when the role requires it', async () => {
+        const user = userEvent.setup();
+        const session = { token: 'token', refreshToken: 'refresh', user: { role: 'admin' } };
+        mockLogin.mockResolvedValue({ success: false, twoFactorSetupRequired: true, challengeToken: 'setup-challenge' });
+        authService.setupTwoFactor.mockResolvedValue({
+            secret: 'JBSWY3DPEHPK3PXP',
+            otpauthUrl: 'otpauth://totp/test',
+            qrCode: 'data:image/png;base64,abc'
+        });
+        authService.enableTwoFactor.mockResolvedValue({ backupCodes: ['aaaaa-11111', 'bbbbb-22222'], ...session });
+        authService.storeSession.mockReturnValue({ token: 'token', user: session.user });
+
+        render(<Login />);
+        await signIn(user);
+
+        expect(await screen.findByAltText('Two-factor QR code')).toBeInTheDocument();
+        expect(authService.setupTwoFactor).toHaveBeenCalledWith('setup-challenge');
+        expect(screen.getByText('JBSWY3DPEHPK3PXP')).toBeInTheDocument();
+
+        await user.type(screen.getByLabelText('Authentication Code'), '123456');
+        await user.click(screen.getByRole('button', { name: /enable two-factor/i }));
+
+        expect(await screen.findByText('aaaaa-11111')).toBeInTheDocument();
+        expect(authService.enableTwoFactor).toHaveBeenCalledWith('123456', 'setup-challenge');
+        expect(mockCompleteLogin).not.toHaveBeenCalled();
+
+        await user.click(screen.getByRole('button', { name: /continue/i }));
+
+        expect(authService.storeSession).toHaveBeenCalledWith(expect.objectContaining({ token: 'token' }));
+        expect(mockCompleteLogin).toHaveBeenCalledWith({ token: 'token', user: session.user });
+    });
+});
@@ -0,0 +1,146 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ReviewQueue from '../ReviewQueue.jsx';
+import blogService from '../../services/blog.js';
+
+// Mock the blog service
+vi.mock('../../services/blog.js', () => ({
+    default: {
+        getReviewQueue: vi.fn(),
+        reviewBlog: vi.fn(),
+        getStatusHistory: vi.fn()
+    }
+}));
+
+describe('ReviewQueue', () => {
+    const mockQueue = [
+        {
+            _id: '1',
+            title: 'Prior Authorization Guide',
+            content: '<p>Prior authorization content</p>',
+            category: 'Billing',
+            tags: [],
+            status: 'in_review',
+            publishAt: null,
+            author: { username: 'editor1', profile: { firstName: 'Jane', lastName: 'Doe' } },
+            submission: {
+                from: 'draft',
+                to: 'in_review',
+                actor: { username: 'editor1', profile: { firstName: 'Jane', lastName: 'Doe' } },
+                comment: 'Ready for compliance check',
+                createdAt: '2024-01-01T10:00:00.000Z'
+            }
+        }
+    ];
+
+    const mockPagination = {
+        page: 1,
+        limit: 10,
+        total: 1,
+        totalPages: 1,
+        hasNextPage: false,
+        hasPrevPage: false
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        blogService.getReviewQueue.mockResolvedValue({
+            success: true,
+            data: mockQueue,
+            pagination: mockPagination
+        });
+        blogService.getStatusHistory.mockResolvedValue({
+            success: true,
+            data: {
+                blogId: '1',
+                status: 'in_review',
+                history: [
+                    { _id: 'h2', from: 'draft', to: 'in_review', actor: { username: 'editor1' }, createdAt: '2024-01-01T10:00:00.000Z' },
+                    { _id: 'h1', from: null, to: 'draft', actor: { username: 'editor1' }, createdAt: '2024-01-01T09:00:00.000Z' }
+                ]
+            }
+        });
+    });
+
+    it('lists blogs waiting for review', async () => {
+        render(<ReviewQueue />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Prior Authorization Guide')).toBeInTheDocument();
+        });
+        expect(screen.getByText('Waiting for review (1)')).toBeInTheDocument();
+        expect(blogService.getReviewQueue).toHaveBeenCalledWith({ page: 1, limit: 10 });
+    });
+
+    it('shows an empty state when nothing is waiting', async () => {
+        blogService.getReviewQueue.mockResolvedValue({
+            success: true,
+            data: [],
+            pagination: { ...mockPagination, total: 0, totalPages: 0 }
+        });
+
+        render(<ReviewQueue />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Nothing to review')).toBeInTheDocument();
+        });
+    });
+
+    it('shows the submission note and status history for the selected blog', async () => {
+        const user = userEvent.setup();
+        render(<ReviewQueue />);
+
+        await user.click(await screen.findByText('Prior Authorization Guide'));
+
+        expect(screen.getByText('Ready for compliance check')).toBeInTheDocument();
+        await waitFor(() => {
+            expect(screen.getByText('Status history')).toBeInTheDocument();
+        });
+        expect(blogService.getStatusHistory).toHaveBeenCalledWith('1');
+    });
+
+    it('approves the selected blog with an optional comment', async () => {
+        const user = userEvent.setup();
+        blogService.reviewBlog.mockResolvedValue({ success: true, message: 'Blog approved and published' });
+
+        render(<ReviewQueue />);
+
+        await user.click(await screen.findByText('Prior Authorization Guide'));
+        await user.type(screen.getByLabelText('Review comment'), 'Looks good');
+        await user.click(screen.getByRole('button', { name: /approve/i }));
+
+        await waitFor(() => {
+            expect(blogService.reviewBlog).toHaveBeenCalledWith('1', 'approve', 'Looks good');
+        });
+        expect(await screen.findByText('Blog approved and published')).toBeInTheDocument();
+        expect(blogService.getReviewQueue).toHaveBeenCalledTimes(2);
+    });
+
+    it('requires a comment before rejecting', async () => {
+        const user = userEvent.setup();
+        render(<ReviewQueue />);
+
+        await user.click(await screen.findByText('Prior Authorization Guide'));
+        await user.click(screen.getByRole('button', { name: /reject/i }));
+
+        expect(screen.getByText('Please add a comment explaining why the blog is rejected')).toBeInTheDocument();
+        expect(blogService.reviewBlog).not.toHaveBeenCalled();
+    });
+
+    it('shows API errors from a review decision', async () => {
+        const user = userEvent.setup();
+        blogService.reviewBlog.mockRejectedValue({
+            response: { data: { error: 'Only blogs in review can be approved or rejected' } }
+        });
+
+        render(<ReviewQueue />);
+
+        await user.click(await screen.findByText('Prior Authorization Guide'));
+        await user.type(screen.getByLabelText('Review comment'), 'Missing citations');
+        await user.click(screen.getByRole('button', { name: /reject/i }));
+
+        expect(await screen.findByText('Only blogs in review can be approved or rejected')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,94 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RoleManagement from '../RoleManagement.jsx';
+import roleService from '../../services/role.js';
+
+vi.mock('../../services/role.js');
+
+describe('RoleManagement', () => {
+    const mockResponse = {
+        success: true,
+        data: {
+            roles: [
+                { name: 'admin', label: 'Admin', permissions: ['blog.create', 'blog.publish'], isBuiltIn: true, isEditable: false, userCount: 1 },
+                { name: 'editor', label: 'Editor', permissions: ['blog.create'], isBuiltIn: true, isEditable: true, userCount: 3 },
+                { name: 'contributor', label: 'Contributor', permissions: [], isBuiltIn: false, isEditable: true, userCount: 0 }
+            ],
+            permissions: [
+                { key: 'blog.create', group: 'Blogs', description: 'Create blogs' },
+                { key: 'blog.publish', group: 'Blogs', description: 'Publish, schedule and archive blogs directly' }
+            ]
+        }
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        roleService.getRoles.mockResolvedValue(mockResponse);
+    });
+
+    it('shows a permission matrix with the admin role locked', async () => {
+        render(<RoleManagement />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Create blogs')).toBeInTheDocument();
+        });
+
+        expect(screen.getByText('Blogs')).toBeInTheDocument();
+        expect(screen.getByLabelText('Admin: blog.publish')).toBeChecked();
+        expect(screen.getByLabelText('Admin: blog.publish')).toBeDisabled();
+        expect(screen.getByLabelText('Editor: blog.publish')).not.toBeChecked();
+        expect(screen.getByLabelText('Editor: blog.publish')).toBeEnabled();
+    });
+
+    it('saves a role with the toggled permissions', async () => {
+        const user = userEvent.setup();
+        roleService.updateRole.mockResolvedValue({ success: true, data: {} });
+        render(<RoleManagement />);
+
+        await waitFor(() => {
+            expect(screen.getByLabelText('Editor: blog.publish')).toBeInTheDocument();
+        });
+
+        expect(screen.getByLabelText('Save Editor')).toBeDisabled();
+        await user.click(screen.getByLabelText('Editor: blog.publish'));
+        await user.click(screen.getByLabelText('Save Editor'));
+
+        expect(roleService.updateRole).toHaveBeenCalledWith('editor', { permissions: ['blog.create', 'blog.publish'] });
+        await waitFor(() => {
+            expect(screen.getByText('Editor updated')).toBeInTheDocument();
+        });
+    });
+
+    it('creates a custom role', async () => {
+        const user = userEvent.setup();
+        roleService.createRole.mockResolvedValue({ success: true, data: { name: 'seo', label: 'SEO' } });
+        render(<RoleManagement />);
+
+        await waitFor(() => {
+            expect(screen.getByText('New Role')).toBeInTheDocument();
+        });
+
+        await user.click(screen.getByText('New Role'));
+        await user.type(screen.getByLabelText('Role name'), 'seo');
+        await user.type(screen.getByLabelText('Role label'), 'SEO');
+        await user.click(screen.getByText('Create Role'));
+
+        expect(roleService.createRole).toHaveBeenCalledWith({ name: 'seo', label: 'SEO', description: '', permissions: [] });
+        await waitFor(() => {
+            expect(screen.getByText('SEO created')).toBeInTheDocument();
+        });
+    });
+
+    it('only offers delete for custom roles', async () => {
+        render(<RoleManagement />);
+
+        await waitFor(() => {
+            expect(screen.getByLabelText('Delete Contributor')).toBeInTheDocument();
+        });
+
+        expect(screen.queryByLabelText('Delete Editor')).not.toBeInTheDocument();
+        expect(screen.queryByLabelText('Save Admin')).not.toBeInTheDocument();
+    });
+});
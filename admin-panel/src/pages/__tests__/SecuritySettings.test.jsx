@@ -0,0 +1,99 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SecuritySettings from '../SecuritySettings.jsx';
+import authService from '../../services/auth.js';
+
+vi.mock('../../services/auth.js', () => ({
+    default: {
+        getTwoFactorStatus: vi.fn(),
+        setupTwoFactor: vi.fn(),
+        enableTwoFactor: vi.fn(),
+        disableTwoFactor: vi.fn(),
+        regenerateBackupCodes: vi.fn(),
+    }
+}));
+
+describe('SecuritySettings', () => {
+    const disabledStatus = { enabled: false, required: false, enabledAt: null, backupCodesRemaining: 0 };
+    const enabledStatus = { enabled: true, required: false, enabledAt: '2024-01-15T00:00:00.000Z', backupCodesRemaining: 10 };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('enrolls with a QR code and shows the backup codes', async () => {
+        const user = userEvent.setup();
+        authService.getTwoFactorStatus
+            .mockResolvedValueOnce(disabledStatus)
+            .mockResolvedValue(enabledStatus);
+        authService.setupTwoFactor.mockResolvedValue({
+            secret: 'JBSWY3DPEHPK3PXP',
+            otpauthUrl: 'otpauth://totp/test',
+            qrCode: 'data:image/png;base64,abc'
+        });
+        authService.enableTwoFactor.mockResolvedValue({ backupCodes: ['aaaaa-11111', 'bbbbb-22222'] });
+
+        render(<SecuritySettings />);
+
+        await user.click(await screen.findByRole('button', { name: 'Set up' }));
+        expect(await screen.findByAltText('Two-factor QR code')).toBeInTheDocument();
+
+        await user.type(screen.getByLabelText('Authentication Code'), '123456');
+        await user.click(screen.getByRole('button', { name: 'Enable' }));
+
+        expect(await screen.findByText('aaaaa-11111')).toBeInTheDocument();
+        expect(authService.enableTwoFactor).toHaveBeenCalledWith('123456');
+        expect(screen.getByText('Two-factor authentication enabled')).toBeInTheDocument();
+        expect(screen.getByText(/10 backup codes remaining/)).toBeInTheDocument();
+    });
+
+    it('disables with password and code', async () => {
+        const user = userEvent.setup();
+        authService.getTwoFactorStatus
+            .mockResolvedValueOnce(enabledStatus)
+            .mockResolvedValue(disabledStatus);
+        authService.disableTwoFactor.mockResolvedValue({ success: true });
+
+        render(<SecuritySettings />);
+
+        await user.click(await screen.findByRole('button', { name: /disable/i }));
+        await user.type(screen.getByLabelText('Password'), 'password123');
+        await user.type(screen.getByLabelText('Authentication Code'), '654321');
+        await user.click(screen.getByRole('button', { name: /disable two-factor/i }));
+
+        await waitFor(() => {
+            expect(authService.disableTwoFactor).toHaveBeenCalledWith('password123', '654321');
+        });
+        expect(await screen.findByText('Two-factor authentication disabled')).toBeInTheDocument();
+    });
+
+    it('hides disable when 2FA is required for the role', async () => {
+        authService.getTwoFactorStatus.mockResolvedValue({ ...enabledStatus, required: true });
+
+        render(<SecuritySettings />);
+
+        expect(await screen.findByText('Required for your role.')).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: /disable/i })).not.toBeInTheDocument();
+    });
+
+    it('regenerates backup codes and reports errors', async () => {
+        const user = userEvent.setup();
+        authService.getTwoFactorStatus.mockResolvedValue(enabledStatus);
+        authService.regenerateBackupCodes
+            .mockRejectedValueOnce(new Error('Invalid verification code'))
+            .mockResolvedValue(['ccccc-33333']);
+
+        render(<SecuritySettings />);
+
+        await user.click(await screen.findByRole('button', { name: /new backup codes/i }));
+        await user.type(screen.getByLabelText('Authentication Code'), '000000');
+        await user.click(screen.getByRole('button', { name: /generate new codes/i }));
+
+        expect(await screen.findByText('Invalid verification code')).toBeInTheDocument();
+
+        await user.click(screen.getByRole('button', { name: /generate new codes/i }));
+        expect(await screen.findByText('ccccc-33333')).toBeInTheDocument();
+    });
+});
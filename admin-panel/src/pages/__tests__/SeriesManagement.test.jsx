@@ -0,0 +1,123 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SeriesManagement from '../SeriesManagement.jsx';
+import seriesService from '../../services/series.js';
+import blogService from '../../services/blog.js';
+
+vi.mock('../../services/series.js');
+vi.mock('../../services/blog.js');
+
+describe('SeriesManagement', () => {
+    const mockSeries = [
+        {
+            _id: 's1',
+            title: 'Medical Coding 101',
+            description: 'A course',
+            coverImage: { url: '', alt: '' },
+            blogs: [
+                { _id: 'b1', title: 'Part One', slug: 'part-one', status: 'published' },
+                { _id: 'b2', title: 'Part Two', slug: 'part-two', status: 'draft' },
+                { _id: 'b3', title: 'Part Three', slug: 'part-three', status: 'published' }
+            ]
+        }
+    ];
+
+    // Part titles in their current order
+    const partTitles = () => screen.getAllByTitle(/^Remove /).map(button => button.title.replace('Remove ', ''));
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        window.confirm = vi.fn(() => true);
+        seriesService.getSeries.mockResolvedValue({ success: true, data: mockSeries });
+        seriesService.createSeries.mockResolvedValue({ success: true, data: {} });
+        seriesService.updateSeries.mockResolvedValue({ success: true, data: {} });
+        seriesService.deleteSeries.mockResolvedValue({ success: true });
+    });
+
+    it('lists series with their part counts', async () => {
+        render(<SeriesManagement />);
+
+        expect(await screen.findByText('Medical Coding 101')).toBeInTheDocument();
+        expect(screen.getByText('3 parts')).toBeInTheDocument();
+    });
+
+    it('reorders parts with the move buttons and saves the order', async () => {
+        const user = userEvent.setup();
+        render(<SeriesManagement />);
+
+        await user.click(await screen.findByText('Medical Coding 101'));
+        await user.click(screen.getByTitle('Move Part Three up'));
+
+        expect(partTitles()).toEqual(['Part One', 'Part Three', 'Part Two']);
+
+        await user.click(screen.getByRole('button', { name: 'Save series' }));
+
+        expect(seriesService.updateSeries).toHaveBeenCalledWith('s1', expect.objectContaining({
+            title: 'Medical Coding 101',
+            blogs: ['b1', 'b3', 'b2']
+        }));
+    });
+
+    it('reorders parts by drag and drop', async () => {
+        const user = userEvent.setup();
+        render(<SeriesManagement />);
+
+        await user.click(await screen.findByText('Medical Coding 101'));
+
+        const items = screen.getAllByRole('listitem');
+        fireEvent.dragStart(items[0]);
+        fireEvent.dragOver(items[2]);
+        fireEvent.drop(items[2]);
+
+        expect(partTitles()).toEqual(['Part Two', 'Part Three', 'Part One']);
+    });
+
+    it('creates a series from searched blogs', async () => {
+        const user = userEvent.setup();
+        blogService.getBlogs.mockResolvedValue({
+            success: true,
+            data: [{ _id: 'b9', title: 'Billing Basics', slug: 'billing-basics', status: 'published' }]
+        });
+        render(<SeriesManagement />);
+
+        await user.click(await screen.findByRole('button', { name: 'New Series' }));
+        await user.type(screen.getByLabelText('Series title'), 'Billing Course');
+        await user.type(screen.getByLabelText('Find blogs'), 'billing');
+        await user.click(screen.getByRole('button', { name: 'Search' }));
+        await user.click(await screen.findByTitle('Add Billing Basics'));
+        await user.click(screen.getByRole('button', { name: 'Save series' }));
+
+        expect(blogService.getBlogs).toHaveBeenCalledWith({ search: 'billing', limit: 10 });
+        expect(seriesService.createSeries).toHaveBeenCalledWith(expect.objectContaining({
+            title: 'Billing Course',
+            blogs: ['b9']
+        }));
+    });
+
+    it('shows validation errors from the API', async () => {
+        const user = userEvent.setup();
+        seriesService.updateSeries.mockRejectedValue({
+            response: { data: { error: 'Validation error', details: 'Blog b1 is already part of the series "Other"' } }
+        });
+        render(<SeriesManagement />);
+
+        await user.click(await screen.findByText('Medical Coding 101'));
+        await user.click(screen.getByRole('button', { name: 'Save series' }));
+
+        expect(await screen.findByText('Blog b1 is already part of the series "Other"')).toBeInTheDocument();
+    });
+
+    it('asks before deleting a series', async () => {
+        const user = userEvent.setup();
+        render(<SeriesManagement />);
+
+        await user.click(await screen.findByTitle('Delete Medical Coding 101'));
+
+        expect(window.confirm).toHaveBeenCalledWith('Delete the series "Medical Coding 101"? Its blogs are kept.');
+        await waitFor(() => {
+            expect(seriesService.deleteSeries).toHaveBeenCalledWith('s1');
+        });
+    });
+});
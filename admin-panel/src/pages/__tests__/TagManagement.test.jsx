@@ -0,0 +1,128 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TagManagement from '../TagManagement.jsx';
+import tagService from '../../services/tag.js';
+
+vi.mock('../../services/tag.js');
+
+describe('TagManagement', () => {
+    const mockTags = [
+        { _id: 't1', name: 'EHR', slug: 'ehr', description: 'Electronic health records', usageCount: 5, synonyms: ['electronic health records'] },
+        { _id: 't2', name: 'emr', slug: 'emr', description: '', usageCount: 2, synonyms: [] },
+        { _id: 't3', name: 'billing', slug: 'billing', description: '', usageCount: 1, synonyms: [] }
+    ];
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        window.confirm = vi.fn(() => true);
+        tagService.getTags.mockResolvedValue({ success: true, data: mockTags });
+        tagService.createTag.mockResolvedValue({ success: true, data: {} });
+        tagService.updateTag.mockResolvedValue({ success: true, data: {}, renamedBlogs: 0 });
+        tagService.mergeTag.mockResolvedValue({ success: true, data: {}, message: 'Tag "emr" merged into "EHR"' });
+        tagService.deleteTag.mockResolvedValue({ success: true });
+    });
+
+    it('lists tags with their synonyms and usage counts', async () => {
+        render(<TagManagement />);
+
+        expect(await screen.findByText('EHR')).toBeInTheDocument();
+        expect(screen.getByText('electronic health records')).toBeInTheDocument();
+        expect(screen.getByText('5')).toBeInTheDocument();
+    });
+
+    it('searches tags through the API', async () => {
+        const user = userEvent.setup();
+        render(<TagManagement />);
+
+        await screen.findByText('EHR');
+        await user.type(screen.getByLabelText('Search tags'), 'health');
+        await user.click(screen.getByRole('button', { name: /Search/ }));
+
+        expect(tagService.getTags).toHaveBeenLastCalledWith({ search: 'health', limit: 500 });
+    });
+
+    it('creates a tag with comma-separated synonyms', async () => {
+        const user = userEvent.setup();
+        render(<TagManagement />);
+
+        await user.click(await screen.findByRole('button', { name: /New Tag/ }));
+        await user.type(screen.getByLabelText('Tag name'), 'Coding');
+        await user.type(screen.getByLabelText('Tag synonyms'), 'Medical Coding, cpt');
+        await user.click(screen.getByRole('button', { name: 'Save tag' }));
+
+        expect(tagService.createTag).toHaveBeenCalledWith({
+            name: 'Coding',
+            description: '',
+            synonyms: ['medical coding', 'cpt']
+        });
+    });
+
+    it('warns that a new name renames the tag on blogs', async () => {
+        const user = userEvent.setup();
+        tagService.updateTag.mockResolvedValue({ success: true, data: {}, renamedBlogs: 1 });
+        render(<TagManagement />);
+
+        await user.click(await screen.findByTitle('Edit billing'));
+        const name = screen.getByLabelText('Tag name');
+        await user.clear(name);
+        await user.type(name, 'Medical Billing');
+
+        expect(screen.getByText(/Saving renames this tag on every blog/)).toBeInTheDocument();
+
+        await user.click(screen.getByRole('button', { name: 'Save tag' }));
+
+        expect(tagService.updateTag).toHaveBeenCalledWith('t3', expect.objectContaining({ name: 'Medical Billing' }));
+        expect(await screen.findByText('Renamed the tag on 1 blog')).toBeInTheDocument();
+    });
+
+    it('shows validation errors from the API', async () => {
+        const user = userEvent.setup();
+        tagService.createTag.mockRejectedValue({
+            response: { data: { error: 'Validation error', details: '"emr" is already used by the tag "EHR"' } }
+        });
+        render(<TagManagement />);
+
+        await user.click(await screen.findByRole('button', { name: /New Tag/ }));
+        await user.type(screen.getByLabelText('Tag name'), 'Records');
+        await user.type(screen.getByLabelText('Tag synonyms'), 'emr');
+        await user.click(screen.getByRole('button', { name: 'Save tag' }));
+
+        expect(await screen.findByText('"emr" is already used by the tag "EHR"')).toBeInTheDocument();
+    });
+
+    it('merges a tag into another after confirming', async () => {
+        const user = userEvent.setup();
+        render(<TagManagement />);
+
+        await user.click(await screen.findByTitle('Merge emr into another tag'));
+
+        const select = screen.getByLabelText('Merge into');
+        expect(screen.queryByRole('option', { name: 'emr' })).not.toBeInTheDocument();
+        await user.selectOptions(select, 't1');
+        await user.click(screen.getByRole('button', { name: 'Merge tags' }));
+
+        expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('Merge "emr" into "EHR"?'));
+        expect(tagService.mergeTag).toHaveBeenCalledWith('t2', 't1');
+        expect(await screen.findByText('Tag "emr" merged into "EHR"')).toBeInTheDocument();
+    });
+
+    it('asks before deleting a tag', async () => {
+        const user = userEvent.setup();
+        window.confirm = vi.fn(() => false);
+        render(<TagManagement />);
+
+        await user.click(await screen.findByTitle('Delete emr'));
+
+        expect(window.confirm).toHaveBeenCalledWith('Delete the tag "emr"? It is removed from 2 blogs.');
+        expect(tagService.deleteTag).not.toHaveBeenCalled();
+
+        window.confirm = vi.fn(() => true);
+        await user.click(screen.getByTitle('Delete emr'));
+
+        await waitFor(() => {
+            expect(tagService.deleteTag).toHaveBeenCalledWith('t2');
+        });
+    });
+});
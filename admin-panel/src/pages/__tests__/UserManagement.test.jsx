@@ -2,12 +2,25 @@ import React from 'react';
 import { render, screen, fireEvent } from '@testing-library/react';
 import { vi, describe, it, expect, beforeEach } from 'vitest';
 import UserManagement from '../UserManagement.jsx';
+import authService from '../../services/auth.js';
+
+vi.mock('../../services/auth.js', () => ({
+    default: {
+        hasPermission: vi.fn()
+    }
+}));
+
+vi.mock('../../services/role.js', () => ({
+    default: {
+        getRoles: vi.fn(() => new Promise(() => {}))
+    }
+}));
 
 // Mock the child components
 vi.mock('../../components/user/UserList.jsx', () => ({
-    default: ({ onCreateUser, onEditUser }) => (
+    default: ({ onInviteUser, onEditUser }) => (
         <div data-testid="user-list">
-            <button onClick={onCreateUser}>Create User</button>
+            {onInviteUser && <button onClick={onInviteUser}>Invite User</button>}
             <button onClick={() => onEditUser({ _id: '123', username: 'testuser' })}>
                 Edit User
             </button>
@@ -16,9 +29,8 @@ vi.mock('../../components/user/UserList.jsx', () => ({
 }));
 
 vi.mock('../../components/user/UserForm.jsx', () => ({
-    default: ({ user, mode, onSave, onCancel }) => (
+    default: ({ user, onSave, onCancel }) => (
         <div data-testid="user-form">
-            <div>Mode: {mode}</div>
             {user && <div>Editing: {user.username}</div>}
             <button onClick={() => onSave({ _id: '123', username: 'saved' })}>
                 Save
@@ -28,9 +40,25 @@ vi.mock('../../components/user/UserForm.jsx', () => ({
     )
 }));
 
+vi.mock('../../components/user/InviteUserForm.jsx', () => ({
+    default: ({ onInvited, onCancel }) => (
+        <div data-testid="invite-form">
+            <button onClick={() => onInvited({ _id: '456', email: 'new@example.com' })}>
+                Send Invitation
+            </button>
+            <button onClick={onCancel}>Cancel</button>
+        </div>
+    )
+}));
+
+vi.mock('../../components/user/InvitationList.jsx', () => ({
+    default: () => <div data-testid="invitation-list" />
+}));
+
 describe('UserManagement', () => {
     beforeEach(() => {
         vi.clearAllMocks();
+        authService.hasPermission.mockReturnValue(true);
     });
 
     it('should render page header', () => {
@@ -46,17 +74,31 @@ describe('UserManagement', () => {
         expect(screen.queryByTestId('user-form')).not.toBeInTheDocument();
     });
 
-    it('should switch to create view when create user is clicked', () => {
+    it('should switch to invite view when invite user is clicked', () => {
         render(<UserManagement />);
 
-        const createButton = screen.getByText('Create User');
-        fireEvent.click(createButton);
+        const inviteButton = screen.getByText('Invite User');
+        fireEvent.click(inviteButton);
 
-        expect(screen.getByTestId('user-form')).toBeInTheDocument();
-        expect(screen.getByText('Mode: create')).toBeInTheDocument();
+        expect(screen.getByTestId('invite-form')).toBeInTheDocument();
+        expect(screen.queryByTestId('user-form')).not.toBeInTheDocument();
         expect(screen.queryByTestId('user-list')).not.toBeInTheDocument();
     });
 
+    it('should list invitations alongside users', () => {
+        render(<UserManagement />);
+
+        expect(screen.getByTestId('invitation-list')).toBeInTheDocument();
+    });
+
+    it('should hide invitations without the user.invite permission', () => {
+        authService.hasPermission.mockReturnValue(false);
+        render(<UserManagement />);
+
+        expect(screen.queryByText('Invite User')).not.toBeInTheDocument();
+        expect(screen.queryByTestId('invitation-list')).not.toBeInTheDocument();
+    });
+
     it('should switch to edit view when edit user is clicked', () => {
         render(<UserManagement />);
 
@@ -64,43 +106,42 @@ describe('UserManagement', () => {
         fireEvent.click(editButton);
 
         expect(screen.getByTestId('user-form')).toBeInTheDocument();
-        expect(screen.getByText('Mode: edit')).toBeInTheDocument();
         expect(screen.getByText('Editing: testuser')).toBeInTheDocument();
         expect(screen.queryByTestId('user-list')).not.toBeInTheDocument();
     });
 
-    it('should return to list view after saving user', () => {
+    it('should return to list view after sending an invitation', () => {
         render(<UserManagement />);
 
-        // Go to create view
-        const createButton = screen.getByText('Create User');
-        fireEvent.click(createButton);
+        // Go to invite view
+        const inviteButton = screen.getByText('Invite User');
+        fireEvent.click(inviteButton);
 
-        expect(screen.getByTestId('user-form')).toBeInTheDocument();
+        expect(screen.getByTestId('invite-form')).toBeInTheDocument();
 
-        // Save user
-        const saveButton = screen.getByText('Save');
-        fireEvent.click(saveButton);
+        // Send invitation
+        const sendButton = screen.getByText('Send Invitation');
+        fireEvent.click(sendButton);
 
         expect(screen.getByTestId('user-list')).toBeInTheDocument();
-        expect(screen.queryByTestId('user-form')).not.toBeInTheDocument();
+        expect(screen.queryByTestId('invite-form')).not.toBeInTheDocument();
     });
 
     it('should return to list view when cancel is clicked', () => {
         render(<UserManagement />);
 
-        // Go to create view
-        const createButton = screen.getByText('Create User');
-        fireEvent.click(createButton);
+        // Go to invite view
+        const inviteButton = screen.getByText('Invite User');
+        fireEvent.click(inviteButton);
 
-        expect(screen.getByTestId('user-form')).toBeInTheDocument();
+        expect(screen.getByTestId('invite-form')).toBeInTheDocument();
 
         // Cancel form
         const cancelButton = screen.getByText('Cancel');
         fireEvent.click(cancelButton);
 
         expect(screen.getByTestId('user-list')).toBeInTheDocument();
-        expect(screen.queryByTestId('user-form')).not.toBeInTheDocument();
+        expect(screen.queryByTestId('invite-form')).not.toBeInTheDocument();
     });
 
     it('should handle view state transitions correctly', () => {
@@ -109,10 +150,9 @@ describe('UserManagement', () => {
         // Start with list view
         expect(screen.getByTestId('user-list')).toBeInTheDocument();
 
-        // Go to create view
-        fireEvent.click(screen.getByText('Create User'));
-        expect(screen.getByTestId('user-form')).toBeInTheDocument();
-        expect(screen.getByText('Mode: create')).toBeInTheDocument();
+        // Go to invite view
+        fireEvent.click(screen.getByText('Invite User'));
+        expect(screen.getByTestId('invite-form')).toBeInTheDocument();
 
         // Cancel and go back to list
         fireEvent.click(screen.getByText('Cancel'));
@@ -121,14 +161,13 @@ describe('UserManagement', () => {
         // Go to edit view
         fireEvent.click(screen.getByText('Edit User'));
         expect(screen.getByTestId('user-form')).toBeInTheDocument();
-        expect(screen.getByText('Mode: edit')).toBeInTheDocument();
 
         // Save and go back to list
         fireEvent.click(screen.getByText('Save'));
         expect(screen.getByTestId('user-list')).toBeInTheDocument();
     });
 
-    it('should clear selected user when switching to create mode', () => {
+    it('should clear selected user when switching to invite mode', () => {
         render(<UserManagement />);
 
         // Go to edit view first
@@ -138,9 +177,9 @@ describe('UserManagement', () => {
         // Cancel to go back to list
         fireEvent.click(screen.getByText('Cancel'));
 
-        // Go to create view
-        fireEvent.click(screen.getByText('Create User'));
-        expect(screen.getByText('Mode: create')).toBeInTheDocument();
+        // Go to invite view
+        fireEvent.click(screen.getByText('Invite User'));
+        expect(screen.getByTestId('invite-form')).toBeInTheDocument();
         expect(screen.queryByText('Editing:')).not.toBeInTheDocument();
     });
 
@@ -71,7 +71,7 @@ describe('AuthService', () => {
             await expect(authService.login({
                 email: 'reader@test.com',
                 password: 'password123'
-            })).rejects.toThrow('Access denied. Admin or editor role required.');
+            })).rejects.toThrow('Access denied. Admin, editor or reviewer role required.');
 
             expect(localStorage.getItem('adminToken')).toBeNull();
             expect(localStorage.getItem('adminUser')).toBeNull();
@@ -96,11 +96,12 @@ describe('AuthService', () => {
     });
 
     describe('logout', () => {
-        it('should clear localStorage on logout', () => {
+        it('should clear localStorage on logout', async () => {
             localStorage.setItem('adminToken', 'test-token');
             localStorage.setItem('adminUser', JSON.stringify({ id: '1' }));
+            api.post.mockResolvedValue({ data: { success: true } });
 
-            authService.logout();
+            await authService.logout();
 
             expect(localStorage.getItem('adminToken')).toBeNull();
             expect(localStorage.getItem('adminUser')).toBeNull();
@@ -169,6 +170,21 @@ describe('AuthService', () => {
         });
     });
 
+    describe('permission checking', () => {
+        it('should check permissions granted by the user role', () => {
+            localStorage.getItem.mockReturnValue(JSON.stringify({ role: 'editor', permissions: ['blog.create', 'blog.submit'] }));
+
+            expect(authService.hasPermission('blog.create')).toBe(true);
+            expect(authService.hasPermission('blog.publish')).toBe(false);
+        });
+
+        it('should deny every permission when no user is stored', () => {
+            localStorage.getItem.mockReturnValue(null);
+
+            expect(authService.hasPermission('blog.create')).toBe(false);
+        });
+    });
+
     describe('verifyToken', () => {
         it('should return true for valid token', async () => {
             api.get.mockResolvedValue({ data: { success: true } });
@@ -192,4 +208,75 @@ describe('AuthService', () => {
             expect(localStorage.getItem('adminUser')).toBeNull();
         });
     });
+
+    describe('logoutAll', () => {
+        it('should end every session and clear the local one', async () => {
+            api.post.mockResolvedValue({ data: { success: true } });
+            const clearSession = vi.spyOn(authService, 'clearSession');
+
+            await authService.logoutAll();
+
+            expect(api.post).toHaveBeenCalledWith('/auth/logout-all');
+            expect(clearSession).toHaveBeenCalled();
+            clearSession.mockRestore();
+        });
+    });
+
+    describe('password reset', () => {
+        it('should request a reset email', async () => {
+            api.post.mockResolvedValue({ data: { success: true, message: 'sent' } });
+
+            const result = await authService.forgotPassword('admin@test.com');
+
+            expect(api.post).toHaveBeenCalledWith('/auth/forgot-password', { email: 'admin@test.com' });
+            expect(result.success).toBe(true);
+        });
+
+        it('should surface the API error when the reset token is rejected', async () => {
+            api.post.mockRejectedValue({
+                response: { data: { error: 'Password reset token is invalid or has expired' } }
+            });
+
+            await expect(authService.resetPassword('token', 'newpassword'))
+                .rejects.toThrow('Password reset token is invalid or has expired');
+            expect(api.post).toHaveBeenCalledWith('/auth/reset-password', { token: 'token', password: 'newpassword' });
+        });
+    });
+
+    describe('two-factor authentication', () => {
+        it('should return the challenge without storing a session', async () => {
+            api.post.mockResolvedValue({
+                data: { data: { twoFactorRequired: true, challengeToken: 'challenge' } }
+            });
+
+            const result = await authService.login({ email: 'admin@test.com', password: 'password123' });
+
+            expect(result).toEqual({ twoFactorRequired: true, challengeToken: 'challenge' });
+            expect(localStorage.setItem).not.toHaveBeenCalled();
+        });
+
+        it('should store the session after a valid code', async () => {
+            const user = { id: '1', username: 'admin', role: 'admin' };
+            api.post.mockResolvedValue({
+                data: { data: { token: 'jwt', refreshToken: 'refresh', user } }
+            });
+
+            const result = await authService.verifyTwoFactor('challenge', '123456');
+
+            expect(api.post).toHaveBeenCalledWith('/auth/2fa/verify', { challengeToken: 'challenge', code: '123456' });
+            expect(result).toEqual({ token: 'jwt', user });
+            expect(localStorage.setItem).toHaveBeenCalledWith('adminToken', 'jwt');
+            expect(localStorage.setItem).toHaveBeenCalledWith('adminRefreshToken', 'refresh');
+        });
+
+        it('should send the challenge token when enrolling during login', async () => {
+            api.post.mockResolvedValue({ data: { data: { backupCodes: ['aaaaa-11111'] } } });
+
+            await authService.enableTwoFactor('123456', 'challenge');
+            expect(api.post).toHaveBeenCalledWith('/auth/2fa/enable', { code: '123456', challengeToken: 'challenge' });
+
+            await authService.enableTwoFactor('123456');
+            expect(api.post).toHaveBeenLastCalledWith('/auth/2fa/enable', { code: '123456' });
+        });
+    });
 });
\ No newline at end of file
@@ -2,10 +2,11 @@ import { vi, describe, it, expect, beforeEach } from 'vitest';
 import {
     getUsers,
     getUserById,
-    createUser,
     updateUser,
     deleteUser,
     updateUserStatus,
+    revokeUserSessions,
+    unlockUser,
     getUserRoles,
     getUserStatusOptions
 } from '../user.js';
@@ -99,32 +100,6 @@ describe('User Service', () => {
         });
     });
 
-    describe('createUser', () => {
-        it('should create a new user', async () => {
-            const userData = {
-                username: 'newuser',
-                email: 'newuser@test.com',
-                password: 'password123',
-                role: 'editor'
-            };
-
-            const mockResponse = {
-                data: {
-                    success: true,
-                    data: { _id: '123', ...userData },
-                    message: 'User created successfully'
-                }
-            };
-
-            api.post.mockResolvedValue(mockResponse);
-
-            const result = await createUser(userData);
-
-            expect(api.post).toHaveBeenCalledWith('/users', userData);
-            expect(result).toEqual(mockResponse.data);
-        });
-    });
-
     describe('updateUser', () => {
         it('should update a user', async () => {
             const userId = '123';
@@ -190,6 +165,44 @@ describe('User Service', () => {
         });
     });
 
+    describe('revokeUserSessions', () => {
+        it('should revoke all sessions of a user', async () => {
+            const mockResponse = {
+                data: {
+                    success: true,
+                    data: { revokedSessions: 2 },
+                    message: 'All sessions of editor have been revoked'
+                }
+            };
+
+            api.delete.mockResolvedValue(mockResponse);
+
+            const result = await revokeUserSessions('123');
+
+            expect(api.delete).toHaveBeenCalledWith('/users/123/sessions');
+            expect(result).toEqual(mockResponse.data);
+        });
+    });
+
+    describe('unlockUser', () => {
+        it('should unlock a locked user', async () => {
+            const mockResponse = {
+                data: {
+                    success: true,
+                    data: { _id: '123', failedLoginAttempts: 0, isLocked: false },
+                    message: 'editor has been unlocked'
+                }
+            };
+
+            api.patch.mockResolvedValue(mockResponse);
+
+            const result = await unlockUser('123');
+
+            expect(api.patch).toHaveBeenCalledWith('/users/123/unlock');
+            expect(result).toEqual(mockResponse.data);
+        });
+    });
+
     describe('getUserRoles', () => {
         it('should return user roles array', () => {
             const roles = getUserRoles();
@@ -197,6 +210,7 @@ describe('User Service', () => {
             expect(roles).toEqual([
                 { value: 'admin', label: 'Admin' },
                 { value: 'editor', label: 'Editor' },
+                { value: 'reviewer', label: 'Reviewer' },
                 { value: 'reader', label: 'Reader' }
             ]);
         });
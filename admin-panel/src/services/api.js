@@ -32,6 +32,7 @@ api.interceptors.response.use(
         if (error.response?.status === 401) {
             // Token expired or invalid
             localStorage.removeItem('adminToken');
+            localStorage.removeItem('adminRefreshToken');
             localStorage.removeItem('adminUser');
             window.location.href = '/login';
         }
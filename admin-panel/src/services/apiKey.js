@@ -0,0 +1,29 @@
+import api from './api.js';
+
+const apiKeyService = {
+    // Get all API keys and the scopes a key can hold
+    getApiKeys: async () => {
+        const response = await api.get('/api-keys');
+        return response.data;
+    },
+
+    // Create an API key; the response holds the key, which is not shown again
+    createApiKey: async (keyData) => {
+        const response = await api.post('/api-keys', keyData);
+        return response.data;
+    },
+
+    // Replace the secret of an API key; the previous key stops working
+    rotateApiKey: async (id) => {
+        const response = await api.post(`/api-keys/${id}/rotate`);
+        return response.data;
+    },
+
+    // Revoke an API key
+    revokeApiKey: async (id) => {
+        const response = await api.delete(`/api-keys/${id}`);
+        return response.data;
+    }
+};
+
+export default apiKeyService;
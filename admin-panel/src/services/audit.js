@@ -0,0 +1,11 @@
+import api from './api.js';
+
+const auditService = {
+    // Get audit log entries (admin only)
+    getAuditLogs: async (params = {}) => {
+        const response = await api.get('/audit', { params });
+        return response.data;
+    }
+};
+
+export default auditService;
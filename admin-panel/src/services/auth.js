@@ -11,18 +11,14 @@ class AuthService {
             };
 
             const response = await api.post('/auth/login', loginData);
-            const { token, user } = response.data.data;
+            const data = response.data.data;
 
-            // Verify user has admin or editor role
-            if (!['admin', 'editor'].includes(user.role)) {
-                throw new Error('Access denied. Admin or editor role required.');
+            // Two-factor accounts get a challenge instead of a session
+            if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+                return data;
             }
 
-            // Store token and user data
-            localStorage.setItem('adminToken', token);
-            localStorage.setItem('adminUser', JSON.stringify(user));
-
-            return { token, user };
+            return this.storeSession(data);
         } catch (error) {
             throw new Error(
                 error.response?.data?.error ||
@@ -32,9 +28,231 @@ class AuthService {
         }
     }
 
-    // Logout user
-    logout() {
+    // Second login step: submit a TOTP or backup code for the challenge
+    async verifyTwoFactor(challengeToken, code) {
+        try {
+            const response = await api.post('/auth/2fa/verify', { challengeToken, code });
+            return this.storeSession(response.data.data);
+        } catch (error) {
+            throw new Error(
+                error.response?.data?.error ||
+                error.message ||
+                'Verification failed'
+            );
+        }
+    }
+
+    // Store tokens and user data of a new session
+    storeSession({ token, refreshToken, user }) {
+        // Verify user has a role with admin panel access (any permission)
+        const hasPanelAccess = user.permissions
+            ? user.permissions.length > 0
+            : ['admin', 'editor', 'reviewer'].includes(user.role);
+        if (!hasPanelAccess) {
+            throw new Error('Access denied. Admin, editor or reviewer role required.');
+        }
+
+        localStorage.setItem('adminToken', token);
+        localStorage.setItem('adminRefreshToken', refreshToken);
+        localStorage.setItem('adminUser', JSON.stringify(user));
+
+        return { token, user };
+    }
+
+    // Get two-factor status of the current user
+    async getTwoFactorStatus() {
+        try {
+            const response = await api.get('/auth/2fa');
+            return response.data.data;
+        } catch (error) {
+            throw new Error(
+                error.response?.data?.error ||
+                error.message ||
+                'Failed to load two-factor status'
+            );
+        }
+    }
+
+    // Start two-factor enrollment (challengeToken when enrolling during login)
+    async setupTwoFactor(challengeToken) {
+        try {
+            const response = await api.post('/auth/2fa/setup', challengeToken ? { challengeToken } : {});
+            return response.data.data;
+        } catch (error) {
+            throw new Error(
+                error.response?.data?.error ||
+                error.message ||
+                'Failed to start two-factor setup'
+            );
+        }
+    }
+
+    // Confirm enrollment; returns backup codes (and a session when enrolling during login)
+    async enableTwoFactor(code, challengeToken) {
+        try {
+            const response = await api.post('/auth/2fa/enable', challengeToken ? { code, challengeToken } : { code });
+            return response.data.data;
+        } catch (error) {
+            throw new Error(
+                error.response?.data?.error ||
+                error.message ||
+                'Failed to enable two-factor authentication'
+            );
+        }
+    }
+
+    // Turn off two-factor authentication
+    async disableTwoFactor(password, code) {
+        try {
+            const response = await api.post('/auth/2fa/disable', { password, code });
+            return response.data;
+        } catch (error) {
+            throw new Error(
+                error.response?.data?.error ||
+                error.message ||
+                'Failed to disable two-factor authentication'
+            );
+        }
+    }
+
+    // Replace the backup codes
+    async regenerateBackupCodes(code) {
+        try {
+            const response = await api.post('/auth/2fa/backup-codes', { code });
+            return response.data.data.backupCodes;
+        } catch (error) {
+            throw new Error(
+                error.response?.data?.error ||
+                error.message ||
+                'Failed to generate backup codes'
+            );
+        }
+    }
+
+    // Request a password reset email
+    async forgotPassword(email) {
+        try {
+            const response = await api.post('/auth/forgot-password', { email });
+            return response.data;
+        } catch (error) {
+            throw new Error(
+                error.response?.data?.error ||
+                error.message ||
+                'Failed to request password reset'
+            );
+        }
+    }
+
+    // Set a new password using the token from the reset email
+    async resetPassword(token, password) {
+        try {
+            const response = await api.post('/auth/reset-password', { token, password });
+            return response.data;
+        } catch (error) {
+            throw new Error(
+                error.response?.data?.error ||
+                error.message ||
+                'Password reset failed'
+            );
+        }
+    }
+
+    // Update the current user's profile (firstName, lastName, bio)
+    async updateProfile(profile) {
+        try {
+            const response = await api.patch('/auth/profile', { profile });
+            return this.storeUser(response.data.data.user);
+        } catch (error) {
+            throw new Error(
+                error.response?.data?.details ||
+                error.response?.data?.error ||
+                error.message ||
+                'Failed to update profile'
+            );
+        }
+    }
+
+    // Change the password; other devices are signed out and this one gets new tokens
+    async changePassword(currentPassword, newPassword) {
+        try {
+            const response = await api.post('/auth/change-password', { currentPassword, newPassword });
+            return this.storeSession(response.data.data);
+        } catch (error) {
+            throw new Error(
+                error.response?.data?.error ||
+                error.message ||
+                'Failed to change password'
+            );
+        }
+    }
+
+    // Upload a new avatar image
+    async uploadAvatar(file) {
+        try {
+            const formData = new FormData();
+            formData.append('avatar', file);
+            const response = await api.post('/auth/avatar', formData, {
+                headers: { 'Content-Type': 'multipart/form-data' }
+            });
+            return this.storeUser(response.data.data.user);
+        } catch (error) {
+            throw new Error(
+                error.response?.data?.error ||
+                error.message ||
+                'Failed to upload avatar'
+            );
+        }
+    }
+
+    // Remove the avatar
+    async removeAvatar() {
+        try {
+            const response = await api.delete('/auth/avatar');
+            return this.storeUser(response.data.data.user);
+        } catch (error) {
+            throw new Error(
+                error.response?.data?.error ||
+                error.message ||
+                'Failed to remove avatar'
+            );
+        }
+    }
+
+    // Replace the stored user after the account was changed
+    storeUser(user) {
+        localStorage.setItem('adminUser', JSON.stringify(user));
+        return user;
+    }
+
+    // Logout user and end the session on the server
+    async logout() {
+        const refreshToken = localStorage.getItem('adminRefreshToken');
+
+        if (this.getToken()) {
+            try {
+                await api.post('/auth/logout', refreshToken ? { refreshToken } : {});
+            } catch (error) {
+                // The local session is cleared even if the server cannot be reached
+                console.error('Logout error:', error);
+            }
+        }
+
+        this.clearSession();
+    }
+
+    // Logout user from every device
+    async logoutAll() {
+        try {
+            await api.post('/auth/logout-all');
+        } finally {
+            this.clearSession();
+        }
+    }
+
+    // Remove stored tokens and user data
+    clearSession() {
         localStorage.removeItem('adminToken');
+        localStorage.removeItem('adminRefreshToken');
         localStorage.removeItem('adminUser');
     }
 
@@ -73,13 +291,28 @@ class AuthService {
         return ['admin', 'editor'].includes(user?.role);
     }
 
-    // Verify token validity
+    // Check if user has reviewer or admin role
+    canReview() {
+        const user = this.getCurrentUser();
+        return ['admin', 'reviewer'].includes(user?.role);
+    }
+
+    // Check if the current user's role grants a permission (e.g. 'blog.publish')
+    hasPermission(permission) {
+        const user = this.getCurrentUser();
+        return !!user?.permissions?.includes(permission);
+    }
+
+    // Verify token validity and refresh the stored user (role and permissions may have changed)
     async verifyToken() {
         try {
             const response = await api.get('/auth/verify');
+            if (response.data.success && response.data.data?.user) {
+                localStorage.setItem('adminUser', JSON.stringify(response.data.data.user));
+            }
             return response.data.success;
         } catch (error) {
-            this.logout();
+            this.clearSession();
             return false;
         }
     }
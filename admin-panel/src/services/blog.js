@@ -13,9 +13,13 @@ const blogService = {
         // Add filter params
         if (params.status !== undefined) queryParams.append('status', params.status);
         if (params.category) queryParams.append('category', params.category);
+        if (params.includeSubcategories !== undefined) queryParams.append('includeSubcategories', params.includeSubcategories);
         if (params.search !== undefined) queryParams.append('search', params.search);
         if (params.tags) queryParams.append('tags', params.tags);
         if (params.featured !== undefined) queryParams.append('featured', params.featured);
+        if (params.author) queryParams.append('author', params.author);
+        if (params.month) queryParams.append('month', params.month);
+        if (params.facets) queryParams.append('facets', params.facets);
 
         // Add sorting params
         if (params.sortBy) queryParams.append('sortBy', params.sortBy);
@@ -43,12 +47,30 @@ const blogService = {
         return response.data;
     },
 
-    // Delete blog
+    // Move blog to the trash
     deleteBlog: async (id) => {
         const response = await api.delete(`/blogs/${id}`);
         return response.data;
     },
 
+    // Get trashed blogs
+    getTrash: async (params = {}) => {
+        const response = await api.get('/blogs/trash', { params });
+        return response.data;
+    },
+
+    // Restore a blog from the trash
+    restoreBlog: async (id) => {
+        const response = await api.post(`/blogs/${id}/restore`);
+        return response.data;
+    },
+
+    // Permanently delete a trashed blog
+    purgeBlog: async (id) => {
+        const response = await api.delete(`/blogs/${id}/purge`);
+        return response.data;
+    },
+
     // Update blog status
     updateBlogStatus: async (id, status) => {
         const response = await api.patch(`/blogs/${id}`, { status });
@@ -59,6 +81,97 @@ const blogService = {
     toggleFeatured: async (id, currentFeatured) => {
         const response = await api.patch(`/blogs/${id}`, { featured: !currentFeatured });
         return response.data;
+    },
+
+    // Apply one action to many blogs: publish, unpublish, archive, delete,
+    // set_category ({ category }), add_tags/remove_tags ({ tags })
+    bulkAction: async (action, ids, options = {}) => {
+        const response = await api.post('/blogs/bulk', { action, ids, ...options });
+        return response.data;
+    },
+
+    // Get revision history for a blog
+    getRevisions: async (id, params = {}) => {
+        const response = await api.get(`/blogs/${id}/revisions`, { params });
+        return response.data;
+    },
+
+    // Get a single revision with content
+    getRevision: async (id, revisionId) => {
+        const response = await api.get(`/blogs/${id}/revisions/${revisionId}`);
+        return response.data;
+    },
+
+    // Compare two revisions ('current' compares against the live blog)
+    compareRevisions: async (id, from, to = 'current') => {
+        const response = await api.get(`/blogs/${id}/revisions/compare`, { params: { from, to } });
+        return response.data;
+    },
+
+    // Restore a blog to a previous revision
+    restoreRevision: async (id, revisionId) => {
+        const response = await api.post(`/blogs/${id}/revisions/${revisionId}/restore`);
+        return response.data;
+    },
+
+    // Get blogs waiting for review
+    getReviewQueue: async (params = {}) => {
+        const response = await api.get('/blogs/review-queue', { params });
+        return response.data;
+    },
+
+    // Approve or reject a blog in review
+    reviewBlog: async (id, decision, comment = '') => {
+        const response = await api.post(`/blogs/${id}/review`, { decision, comment });
+        return response.data;
+    },
+
+    // Get status transition history for a blog
+    getStatusHistory: async (id) => {
+        const response = await api.get(`/blogs/${id}/status-history`);
+        return response.data;
+    },
+
+    // Get editorial comment threads for a blog
+    getComments: async (id, params = {}) => {
+        const response = await api.get(`/blogs/${id}/comments`, { params });
+        return response.data;
+    },
+
+    // Start a thread ({ body, anchor }) or reply to one ({ body, parentId })
+    createComment: async (id, commentData) => {
+        const response = await api.post(`/blogs/${id}/comments`, commentData);
+        return response.data;
+    },
+
+    // Edit the text of a comment
+    updateComment: async (id, commentId, body) => {
+        const response = await api.patch(`/blogs/${id}/comments/${commentId}`, { body });
+        return response.data;
+    },
+
+    // Resolve a comment thread
+    resolveComment: async (id, commentId) => {
+        const response = await api.patch(`/blogs/${id}/comments/${commentId}/resolve`);
+        return response.data;
+    },
+
+    // Reopen a resolved comment thread
+    reopenComment: async (id, commentId) => {
+        const response = await api.patch(`/blogs/${id}/comments/${commentId}/reopen`);
+        return response.data;
+    },
+
+    // Delete a comment (and its replies when it starts a thread)
+    deleteComment: async (id, commentId) => {
+        const response = await api.delete(`/blogs/${id}/comments/${commentId}`);
+        return response.data;
+    },
+
+    // Suggest users to @mention in comments
+    getMentionSuggestions: async (id, q = '') => {
+        const response = await api.get(`/blogs/${id}/comments/mentions`, { params: { q } });
+        return response.data;
     }
 };
 
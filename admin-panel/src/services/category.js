@@ -77,6 +77,41 @@ const categoryService = {
         }
     },
 
+    // Preview merging a category into another: the posts and subcategories that would move
+    getMergePreview: async (id, targetId) => {
+        try {
+            const response = await api.get(`/categories/${id}/merge-preview`, {
+                params: { targetId }
+            });
+            return {
+                success: true,
+                data: response.data.data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.response?.data?.error || 'Failed to preview category merge'
+            };
+        }
+    },
+
+    // Merge a category into another, moving its posts and redirecting its slug
+    mergeCategory: async (id, targetId) => {
+        try {
+            const response = await api.post(`/categories/${id}/merge`, { targetId });
+            return {
+                success: true,
+                data: response.data.data,
+                message: response.data.message
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.response?.data?.error || 'Failed to merge category'
+            };
+        }
+    },
+
     // Get category statistics
     getCategoryStats: async () => {
         try {
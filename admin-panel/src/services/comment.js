@@ -0,0 +1,29 @@
+import api from './api.js';
+
+const commentService = {
+    // Get reader comments for moderation
+    getComments: async (params = {}) => {
+        const response = await api.get('/comments', { params });
+        return response.data;
+    },
+
+    // Set the moderation status of a comment
+    moderateComment: async (id, status) => {
+        const response = await api.patch(`/comments/${id}`, { status });
+        return response.data;
+    },
+
+    // Set the moderation status of several comments
+    bulkModerate: async (ids, status) => {
+        const response = await api.post('/comments/bulk', { ids, status });
+        return response.data;
+    },
+
+    // Delete a comment and its replies
+    deleteComment: async (id) => {
+        const response = await api.delete(`/comments/${id}`);
+        return response.data;
+    }
+};
+
+export default commentService;
@@ -0,0 +1,41 @@
+import api from './api.js';
+
+const invitationService = {
+    // Get invitations, optionally filtered by status (pending, accepted, revoked, expired)
+    getInvitations: async (params = {}) => {
+        const response = await api.get('/invitations', { params });
+        return response.data;
+    },
+
+    // Invite someone by email with a role
+    createInvitation: async (invitationData) => {
+        const response = await api.post('/invitations', invitationData);
+        return response.data;
+    },
+
+    // Send an invitation again; the previous link stops working
+    resendInvitation: async (id) => {
+        const response = await api.post(`/invitations/${id}/resend`);
+        return response.data;
+    },
+
+    // Revoke an invitation
+    revokeInvitation: async (id) => {
+        const response = await api.delete(`/invitations/${id}`);
+        return response.data;
+    },
+
+    // Look up an invitation from the emailed link (public)
+    getInvitationByToken: async (token) => {
+        const response = await api.get(`/invitations/accept/${token}`);
+        return response.data;
+    },
+
+    // Create the invitee's account (public)
+    acceptInvitation: async (acceptData) => {
+        const response = await api.post('/invitations/accept', acceptData);
+        return response.data;
+    }
+};
+
+export default invitationService;
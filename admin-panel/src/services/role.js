@@ -0,0 +1,29 @@
+import api from './api.js';
+
+const roleService = {
+    // Get all roles with their permissions and the permission catalogue
+    getRoles: async () => {
+        const response = await api.get('/roles');
+        return response.data;
+    },
+
+    // Create a custom role
+    createRole: async (roleData) => {
+        const response = await api.post('/roles', roleData);
+        return response.data;
+    },
+
+    // Update a role's label, description or permissions
+    updateRole: async (name, roleData) => {
+        const response = await api.put(`/roles/${name}`, roleData);
+        return response.data;
+    },
+
+    // Delete a custom role
+    deleteRole: async (name) => {
+        const response = await api.delete(`/roles/${name}`);
+        return response.data;
+    }
+};
+
+export default roleService;
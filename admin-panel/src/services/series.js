@@ -0,0 +1,29 @@
+import api from './api.js';
+
+const seriesService = {
+    // Get all series with their parts
+    getSeries: async () => {
+        const response = await api.get('/series');
+        return response.data;
+    },
+
+    // Create a series; blogs is the list of blog IDs in reading order
+    createSeries: async (seriesData) => {
+        const response = await api.post('/series', seriesData);
+        return response.data;
+    },
+
+    // Update a series; blogs replaces the parts and their order
+    updateSeries: async (id, seriesData) => {
+        const response = await api.put(`/series/${id}`, seriesData);
+        return response.data;
+    },
+
+    // Delete a series; its blogs are kept
+    deleteSeries: async (id) => {
+        const response = await api.delete(`/series/${id}`);
+        return response.data;
+    }
+};
+
+export default seriesService;
@@ -0,0 +1,41 @@
+import api from './api.js';
+
+const tagService = {
+    // Get tags, most used first; params: search, sort ('usage' or 'name'), page, limit
+    getTags: async (params = {}) => {
+        const response = await api.get('/tags', { params });
+        return response.data;
+    },
+
+    // Suggest tags starting with the typed text, including tags matched by a synonym
+    autocomplete: async (query, limit = 10) => {
+        const response = await api.get('/tags/autocomplete', { params: { q: query, limit } });
+        return response.data;
+    },
+
+    // Create a tag: name, description, synonyms
+    createTag: async (tagData) => {
+        const response = await api.post('/tags', tagData);
+        return response.data;
+    },
+
+    // Update a tag; a new name renames the tag on every blog
+    updateTag: async (id, tagData) => {
+        const response = await api.put(`/tags/${id}`, tagData);
+        return response.data;
+    },
+
+    // Merge a tag into another; blogs get the target tag instead
+    mergeTag: async (id, targetId) => {
+        const response = await api.post(`/tags/${id}/merge`, { targetId });
+        return response.data;
+    },
+
+    // Delete a tag and remove it from every blog
+    deleteTag: async (id) => {
+        const response = await api.delete(`/tags/${id}`);
+        return response.data;
+    }
+};
+
+export default tagService;
@@ -22,17 +22,6 @@ export const getUserById = async (id) => {
     }
 };
 
-// Create new user
-export const createUser = async (userData) => {
-    try {
-        const response = await api.post('/users', userData);
-        return response.data;
-    } catch (error) {
-        console.error('Create user error:', error);
-        throw error;
-    }
-};
-
 // Update user
 export const updateUser = async (id, userData) => {
     try {
@@ -66,11 +55,34 @@ export const updateUserStatus = async (id, isActive) => {
     }
 };
 
+// Sign a user out of every device
+export const revokeUserSessions = async (id) => {
+    try {
+        const response = await api.delete(`/users/${id}/sessions`);
+        return response.data;
+    } catch (error) {
+        console.error('Revoke user sessions error:', error);
+        throw error;
+    }
+};
+
+// Lift a lockout caused by failed sign-ins
+export const unlockUser = async (id) => {
+    try {
+        const response = await api.patch(`/users/${id}/unlock`);
+        return response.data;
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        throw error;
+    }
+};
+
 // Get user roles for dropdown
 export const getUserRoles = () => {
     return [
         { value: 'admin', label: 'Admin' },
         { value: 'editor', label: 'Editor' },
+        { value: 'reviewer', label: 'Reviewer' },
         { value: 'reader', label: 'Reader' }
     ];
 };
@@ -18,12 +18,16 @@ import { AuthProvider } from '../contexts/AuthContext';
 // Extend Jest matchers
 expect.extend(toHaveNoViolations);
 
-// Mock services
-vi.mock('../services/auth', () => ({
-    isAuthenticated: vi.fn(() => false),
-    getCurrentUser: vi.fn(() => null),
-    login: vi.fn(),
-}));
+// Components use the default export, older code the named functions
+vi.mock('../services/auth', () => {
+    const authService = {
+        isAuthenticated: vi.fn(() => false),
+        getCurrentUser: vi.fn(() => null),
+        login: vi.fn(),
+        hasPermission: vi.fn(() => false),
+    };
+    return { default: authService, ...authService };
+});
 
 const renderWithProviders = (component) => {
     return render(
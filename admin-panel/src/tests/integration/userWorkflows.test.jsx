@@ -8,11 +8,13 @@ import { AuthProvider } from '../../contexts/AuthContext'
 import * as authService from '../../services/auth'
 import * as blogService from '../../services/blog'
 import * as userService from '../../services/user'
+import invitationService from '../../services/invitation'
 
 // Mock services
 vi.mock('../../services/auth')
 vi.mock('../../services/blog')
 vi.mock('../../services/user')
+vi.mock('../../services/invitation')
 vi.mock('../../services/s3')
 
 const createTestWrapper = () => {
@@ -245,7 +247,7 @@ describe('Admin Panel User Workflows', () => {
             localStorage.setItem('user', JSON.stringify(mockUser))
         })
 
-        it('should complete user creation workflow', async () => {
+        it('should complete user invitation workflow', async () => {
             const mockUsers = [
                 { id: '1', username: 'admin', email: 'admin@test.com', role: 'admin' }
             ]
@@ -255,9 +257,9 @@ describe('Admin Panel User Workflows', () => {
                 data: { users: mockUsers, pagination: { total: 1, pages: 1 } }
             })
 
-            userService.createUser.mockResolvedValue({
+            invitationService.createInvitation.mockResolvedValue({
                 success: true,
-                data: { id: '2', username: 'editor', email: 'editor@test.com', role: 'editor' }
+                data: { _id: '2', email: 'editor@test.com', role: 'editor', status: 'pending' }
             })
 
             const TestWrapper = createTestWrapper()
@@ -275,26 +277,20 @@ describe('Admin Panel User Workflows', () => {
                 expect(screen.getByText(/user management/i)).toBeInTheDocument()
             })
 
-            // Click create new user
-            await user.click(screen.getByText(/create new user/i))
+            // Invite a new user; they choose their own password when accepting
+            await user.click(screen.getByText(/invite user/i))
 
-            // Fill in user form
-            await user.type(screen.getByLabelText(/username/i), 'editor')
             await user.type(screen.getByLabelText(/email/i), 'editor@test.com')
-            await user.type(screen.getByLabelText(/password/i), 'password123')
             await user.selectOptions(screen.getByLabelText(/role/i), 'editor')
+            expect(screen.queryByLabelText(/password/i)).not.toBeInTheDocument()
 
-            // Submit form
-            await user.click(screen.getByRole('button', { name: /create user/i }))
+            await user.click(screen.getByRole('button', { name: /send invitation/i }))
 
             await waitFor(() => {
-                expect(userService.createUser).toHaveBeenCalledWith(
-                    expect.objectContaining({
-                        username: 'editor',
-                        email: 'editor@test.com',
-                        role: 'editor'
-                    })
-                )
+                expect(invitationService.createInvitation).toHaveBeenCalledWith({
+                    email: 'editor@test.com',
+                    role: 'editor'
+                })
             })
         })
     })
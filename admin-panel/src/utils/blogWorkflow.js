@@ -0,0 +1,38 @@
+// Editorial workflow rules (mirrors backend/utils/blogWorkflow.js)
+
+export const STATUS_OPTIONS = [
+    { value: 'draft', label: 'Draft' },
+    { value: 'in_review', label: 'In Review' },
+    { value: 'scheduled', label: 'Scheduled' },
+    { value: 'published', label: 'Published' },
+    { value: 'archived', label: 'Archived' }
+];
+
+// Status changes each permission allows (blog.publish allows any change)
+const PERMISSION_TRANSITIONS = {
+    'blog.submit': {
+        draft: ['in_review'],
+        in_review: ['draft'],
+        archived: ['draft']
+    },
+    'blog.review': {
+        in_review: ['draft', 'scheduled', 'published']
+    }
+};
+
+// Statuses a user with these permissions may pick for a blog, including its current status
+export const getStatusOptions = (permissions = [], currentStatus = null) => {
+    if (permissions.includes('blog.publish')) {
+        return STATUS_OPTIONS;
+    }
+
+    const allowed = currentStatus
+        ? [currentStatus, ...permissions.flatMap(permission => PERMISSION_TRANSITIONS[permission]?.[currentStatus] || [])]
+        : ['draft', 'in_review'];
+
+    return STATUS_OPTIONS.filter(option => allowed.includes(option.value));
+};
+
+export const getStatusLabel = (status) => {
+    return STATUS_OPTIONS.find(option => option.value === status)?.label || status;
+};
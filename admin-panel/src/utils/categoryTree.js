@@ -0,0 +1,61 @@
+// Helpers for showing the flat category list as a tree
+
+const getParentId = (category) => category.parent?._id || category.parent || null;
+
+// Categories in tree order (each parent followed by its children, by name) with their depth from 0
+export const flattenCategoryTree = (categories = []) => {
+    const ids = new Set(categories.map(category => category._id));
+    const childrenOf = new Map();
+
+    categories.forEach(category => {
+        // Categories whose parent is not in the list are shown at the top level
+        const parentId = ids.has(getParentId(category)) ? getParentId(category) : null;
+        if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+        childrenOf.get(parentId).push(category);
+    });
+
+    const rows = [];
+    const visit = (parentId, depth) => {
+        (childrenOf.get(parentId) || [])
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(category => {
+                rows.push({ category, depth });
+                visit(category._id, depth + 1);
+            });
+    };
+    visit(null, 0);
+
+    return rows;
+};
+
+// IDs of a category and everything below it; none of them can become its parent
+export const getSubtreeIds = (categories = [], categoryId) => {
+    const subtree = new Set([categoryId]);
+    let added = true;
+
+    while (added) {
+        added = false;
+        categories.forEach(category => {
+            if (!subtree.has(category._id) && subtree.has(getParentId(category))) {
+                subtree.add(category._id);
+                added = true;
+            }
+        });
+    }
+
+    return subtree;
+};
+
+// Names from the top-level category down to the given one, e.g. ['Coding', 'ICD-10']
+export const getCategoryTrail = (categories = [], category) => {
+    const byId = new Map(categories.map(item => [item._id, item]));
+    const trail = [];
+    let current = category;
+
+    while (current && !trail.includes(current.name)) {
+        trail.unshift(current.name);
+        current = byId.get(getParentId(current));
+    }
+
+    return trail;
+};
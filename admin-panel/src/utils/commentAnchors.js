@@ -0,0 +1,45 @@
+// Text range anchors for editorial comments in the Quill editor
+
+// Build an anchor from the current editor selection (null when nothing is selected)
+export const getSelectionAnchor = (editor) => {
+    const range = editor?.getSelection();
+    if (!range || range.length === 0) {
+        return null;
+    }
+
+    const quote = editor.getText(range.index, range.length);
+    if (!quote.trim()) {
+        return null;
+    }
+
+    return { index: range.index, length: range.length, quote };
+};
+
+// Find where an anchor's quoted text is now, after the content has been edited.
+// Returns the nearest occurrence to the original position, or null if the text is gone.
+export const locateAnchor = (text, anchor) => {
+    if (!anchor?.quote || typeof text !== 'string') {
+        return null;
+    }
+
+    if (text.substr(anchor.index, anchor.length) === anchor.quote) {
+        return { index: anchor.index, length: anchor.length };
+    }
+
+    let best = null;
+    let position = text.indexOf(anchor.quote);
+    while (position !== -1) {
+        if (best === null || Math.abs(position - anchor.index) < Math.abs(best - anchor.index)) {
+            best = position;
+        }
+        position = text.indexOf(anchor.quote, position + 1);
+    }
+
+    return best === null ? null : { index: best, length: anchor.quote.length };
+};
+
+// Find an @mention being typed right before the caret
+export const getMentionQuery = (value, caret) => {
+    const match = /(^|\s)@([a-zA-Z0-9_]*)$/.exec(value.slice(0, caret));
+    return match ? { query: match[2], start: caret - match[2].length - 1 } : null;
+};
@@ -0,0 +1,109 @@
+/**
+ * Permission catalogue and default role grants
+ * Roles are stored in the database; the defaults below seed the built-in roles
+ * and apply whenever a built-in role has not been saved yet.
+ */
+
+const PERMISSIONS = [
+    // Blogs
+    { key: 'blog.create', group: 'Blogs', description: 'Create blogs' },
+    { key: 'blog.edit.own', group: 'Blogs', description: 'Edit own blogs' },
+    { key: 'blog.edit.any', group: 'Blogs', description: 'Edit any blog' },
+    { key: 'blog.delete.own', group: 'Blogs', description: 'Delete own blogs' },
+    { key: 'blog.delete.any', group: 'Blogs', description: 'Delete any blog' },
+    { key: 'blog.submit', group: 'Blogs', description: 'Submit blogs for review and withdraw them' },
+    { key: 'blog.review', group: 'Blogs', description: 'Approve or reject blogs in review' },
+    { key: 'blog.publish', group: 'Blogs', description: 'Publish, schedule and archive blogs directly' },
+
+    // Editorial discussion
+    { key: 'editorial.comment', group: 'Editorial', description: 'Discuss blogs in editorial comments' },
+    { key: 'editorial.moderate', group: 'Editorial', description: 'Edit or delete anyone\'s editorial comments' },
+
+    // Reader comments
+    { key: 'comment.moderate', group: 'Comments', description: 'Moderate reader comments' },
+
+    // Categories
+    { key: 'category.manage', group: 'Categories', description: 'Create, edit and delete categories' },
+
+    // Series
+    { key: 'series.manage', group: 'Series', description: 'Create, order and delete blog series' },
+
+    // Tags
+    { key: 'tag.manage', group: 'Tags', description: 'Create, rename, merge and delete tags' },
+
+    // Media
+    { key: 'media.upload', group: 'Media', description: 'Upload files' },
+    { key: 'media.delete', group: 'Media', description: 'Delete uploaded files' },
+
+    // Users
+    { key: 'user.view', group: 'Users', description: 'View users' },
+    { key: 'user.invite', group: 'Users', description: 'Add new users' },
+    { key: 'user.manage', group: 'Users', description: 'Edit, deactivate and delete users' },
+    { key: 'role.manage', group: 'Users', description: 'Edit roles and assign them to users' },
+
+    // Reporting
+    { key: 'analytics.view', group: 'Reporting', description: 'View analytics' },
+    { key: 'audit.view', group: 'Reporting', description: 'View the activity log' },
+
+    // Integrations
+    { key: 'apikey.manage', group: 'Integrations', description: 'Create, rotate and revoke API keys' }
+];
+
+const PERMISSION_KEYS = PERMISSIONS.map(permission => permission.key);
+
+// Admins always hold every permission so the panel can never be locked out
+const SUPER_ROLE = 'admin';
+
+const BUILT_IN_ROLES = {
+    admin: {
+        label: 'Admin',
+        description: 'Full access to every feature',
+        permissions: PERMISSION_KEYS
+    },
+    editor: {
+        label: 'Editor',
+        description: 'Writes blogs and moderates reader comments',
+        permissions: [
+            'blog.create',
+            'blog.edit.own',
+            'blog.submit',
+            'editorial.comment',
+            'comment.moderate',
+            'media.upload',
+            'media.delete',
+            'analytics.view'
+        ]
+    },
+    reviewer: {
+        label: 'Reviewer',
+        description: 'Approves or rejects blogs submitted for review',
+        permissions: [
+            'blog.review',
+            'editorial.comment',
+            'media.upload'
+        ]
+    },
+    reader: {
+        label: 'Reader',
+        description: 'Site account without admin panel access',
+        permissions: []
+    }
+};
+
+// Scopes an API key can hold; a key acts as its owner, limited to the routes of its scopes
+const API_KEY_SCOPES = [
+    { key: 'blogs:read', description: 'Read blogs, including revisions and status history' },
+    { key: 'blogs:write', description: 'Create, update and delete blogs' },
+    { key: 'media:write', description: 'Upload and delete files' }
+];
+
+const API_KEY_SCOPE_KEYS = API_KEY_SCOPES.map(scope => scope.key);
+
+module.exports = {
+    PERMISSIONS,
+    PERMISSION_KEYS,
+    SUPER_ROLE,
+    BUILT_IN_ROLES,
+    API_KEY_SCOPES,
+    API_KEY_SCOPE_KEYS
+};
@@ -1,5 +1,6 @@
 const Blog = require('../models/Blog');
 const User = require('../models/User');
+const Comment = require('../models/Comment');
 const mongoose = require('mongoose');
 
 /**
@@ -10,7 +11,7 @@ const mongoose = require('mongoose');
 /**
  * Get blog analytics overview
  * GET /api/analytics/overview
- * Requires admin or editor role
+ * Requires analytics.view permission
  */
 const getAnalyticsOverview = async (req, res) => {
     try {
@@ -31,7 +32,8 @@ const getAnalyticsOverview = async (req, res) => {
             draftBlogs,
             totalViews,
             totalLikes,
-            totalUsers
+            totalUsers,
+            comments
         ] = await Promise.all([
             Blog.countDocuments(dateFilter),
             Blog.countDocuments({ ...dateFilter, status: 'published' }),
@@ -44,7 +46,8 @@ const getAnalyticsOverview = async (req, res) => {
                 { $match: dateFilter },
                 { $group: { _id: null, total: { $sum: { $size: '$likes' } } } }
             ]),
-            User.countDocuments()
+            User.countDocuments(),
+            Comment.getStatusCounts(dateFilter)
         ]);
 
         res.status(200).json({
@@ -56,6 +59,8 @@ const getAnalyticsOverview = async (req, res) => {
                 totalViews: totalViews[0]?.total || 0,
                 totalLikes: totalLikes[0]?.total || 0,
                 totalUsers,
+                totalComments: comments.total,
+                comments,
                 dateRange: {
                     startDate: startDate || null,
                     endDate: endDate || null
@@ -76,7 +81,7 @@ const getAnalyticsOverview = async (req, res) => {
 /**
  * Get most popular blogs by views
  * GET /api/analytics/popular-blogs
- * Requires admin or editor role
+ * Requires analytics.view permission
  */
 const getPopularBlogs = async (req, res) => {
     try {
@@ -121,7 +126,7 @@ const getPopularBlogs = async (req, res) => {
 /**
  * Get most liked blogs
  * GET /api/analytics/liked-blogs
- * Requires admin or editor role
+ * Requires analytics.view permission
  */
 const getMostLikedBlogs = async (req, res) => {
     try {
@@ -156,13 +161,23 @@ const getMostLikedBlogs = async (req, res) => {
             {
                 $unwind: '$author'
             },
+            {
+                $lookup: {
+                    from: 'categories',
+                    localField: 'category',
+                    foreignField: '_id',
+                    as: 'category',
+                    pipeline: [{ $project: { name: 1, slug: 1 } }]
+                }
+            },
             {
                 $project: {
                     title: 1,
                     slug: 1,
                     viewCount: 1,
                     likeCount: 1,
-                    category: 1,
+                    category: { $arrayElemAt: ['$category.name', 0] },
+                    categorySlug: { $arrayElemAt: ['$category.slug', 0] },
                     status: 1,
                     createdAt: 1,
                     author: 1
@@ -188,7 +203,7 @@ const getMostLikedBlogs = async (req, res) => {
 /**
  * Get engagement trends over time
  * GET /api/analytics/engagement-trends
- * Requires admin or editor role
+ * Requires analytics.view permission
  */
 const getEngagementTrends = async (req, res) => {
     try {
@@ -283,7 +298,7 @@ const getEngagementTrends = async (req, res) => {
 /**
  * Get category performance analytics
  * GET /api/analytics/category-performance
- * Requires admin or editor role
+ * Requires analytics.view permission
  */
 const getCategoryPerformance = async (req, res) => {
     try {
@@ -311,10 +326,20 @@ const getCategoryPerformance = async (req, res) => {
                     avgReadingTime: { $avg: '$readingTime' }
                 }
             },
+            {
+                $lookup: {
+                    from: 'categories',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'category',
+                    pipeline: [{ $project: { name: 1, slug: 1 } }]
+                }
+            },
             {
                 $project: {
                     _id: 0,
-                    category: '$_id',
+                    category: { $arrayElemAt: ['$category.name', 0] },
+                    categorySlug: { $arrayElemAt: ['$category.slug', 0] },
                     blogCount: 1,
                     totalViews: 1,
                     totalLikes: 1,
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const apiKeyService = require('../services/apiKeyService');
+const permissionService = require('../services/permissionService');
+const { API_KEY_SCOPES, API_KEY_SCOPE_KEYS } = require('../config/permissions');
+
+/**
+ * API Key Controller
+ * Keys let machine clients call scoped routes as their owner without signing in
+ */
+
+const OWNER_FIELDS = 'username email role';
+
+/**
+ * Load a key by ID, answering 400/404 when it cannot be found
+ * @returns {Object|null} ApiKey document, or null when a response was sent
+ */
+const findKey = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid API key ID'
+        });
+        return null;
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+        res.status(404).json({
+            success: false,
+            error: 'API key not found'
+        });
+        return null;
+    }
+
+    return apiKey;
+};
+
+/**
+ * Check that the current user may hold keys acting as a user
+ * A key runs with its owner's permissions, so keys of users whose role grants
+ * permissions the current user lacks are off limits
+ * @param {Object} req - Express request with req.user
+ * @param {ObjectId} ownerId - Key owner
+ * @returns {Boolean} True if allowed
+ */
+const canManageKeysOf = async (req, ownerId) => {
+    if (String(ownerId) === String(req.user._id)) {
+        return true;
+    }
+
+    const owner = await User.findById(ownerId).select('role');
+    return !owner || permissionService.canAssignRole(req, owner.role);
+};
+
+const sendOwnerDenied = (res) => res.status(403).json({
+    success: false,
+    error: 'You cannot manage API keys of users with permissions you do not have'
+});
+
+/**
+ * Get all API keys with the available scopes
+ * GET /api/api-keys
+ * Requires apikey.manage permission
+ */
+const getApiKeys = async (req, res) => {
+    try {
+        const keys = await ApiKey.find()
+            .populate('owner', OWNER_FIELDS)
+            .populate('createdBy', 'username')
+            .populate('revokedBy', 'username')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                keys,
+                scopes: API_KEY_SCOPES
+            }
+        });
+    } catch (error) {
+        console.error('Get API keys error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve API keys',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Create an API key; the key is only included in this response
+ * POST /api/api-keys
+ * Body: name, scopes, expiresAt (optional), owner (optional user ID, defaults to the current user;
+ * other users only when the current user holds every permission of their role)
+ * Requires apikey.manage permission
+ */
+const createApiKey = async (req, res) => {
+    try {
+        const { name, scopes, expiresAt, owner } = req.body;
+
+        if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Key name and at least one scope are required'
+            });
+        }
+
+        const unknown = scopes.filter(scope => !API_KEY_SCOPE_KEYS.includes(scope));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown scope(s): ${unknown.join(', ')}`
+            });
+        }
+
+        let expiry = null;
+        if (expiresAt) {
+            expiry = new Date(expiresAt);
+            if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Expiry date must be in the future'
+                });
+            }
+        }
+
+        const ownerId = owner || req.user._id;
+        if (!mongoose.Types.ObjectId.isValid(ownerId) || !(await User.exists({ _id: ownerId, isActive: true }))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Key owner must be an active user'
+            });
+        }
+        if (!(await canManageKeysOf(req, ownerId))) {
+            return sendOwnerDenied(res);
+        }
+
+        const { apiKey, key } = await apiKeyService.create({
+            name,
+            scopes,
+            expiresAt: expiry,
+            owner: ownerId,
+            createdBy: req.user._id
+        });
+
+        await apiKey.populate('owner', OWNER_FIELDS);
+
+        res.status(201).json({
+            success: true,
+            data: { ...apiKey.toJSON(), key },
+            message: 'API key created. Copy it now - it will not be shown again.'
+        });
+    } catch (error) {
+        console.error('Create API key error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create API key',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Replace the secret of an API key; the new key is only included in this response
+ * POST /api/api-keys/:id/rotate
+ * Requires apikey.manage permission
+ */
+const rotateApiKey = async (req, res) => {
+    try {
+        const existing = await findKey(req, res);
+        if (!existing) return;
+
+        if (!(await canManageKeysOf(req, existing.owner))) {
+            return sendOwnerDenied(res);
+        }
+
+        if (existing.revokedAt) {
+            return res.status(400).json({
+                success: false,
+                error: 'Revoked keys cannot be rotated'
+            });
+        }
+
+        const { apiKey, key } = await apiKeyService.rotate(existing);
+        await apiKey.populate('owner', OWNER_FIELDS);
+
+        res.status(200).json({
+            success: true,
+            data: { ...apiKey.toJSON(), key },
+            message: 'API key rotated. The previous key no longer works.'
+        });
+    } catch (error) {
+        console.error('Rotate API key error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rotate API key',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Revoke an API key; revoked keys are kept for the audit trail
+ * DELETE /api/api-keys/:id
+ * Requires apikey.manage permission
+ */
+const revokeApiKey = async (req, res) => {
+    try {
+        const existing = await findKey(req, res);
+        if (!existing) return;
+
+        if (!(await canManageKeysOf(req, existing.owner))) {
+            return sendOwnerDenied(res);
+        }
+
+        const apiKey = await apiKeyService.revoke(existing, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: apiKey,
+            message: 'API key revoked'
+        });
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke API key',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    getApiKeys,
+    createApiKey,
+    rotateApiKey,
+    revokeApiKey
+};
@@ -0,0 +1,114 @@
+const AuditLog = require('../models/AuditLog');
+const mongoose = require('mongoose');
+const { paginateQuery } = require('../utils/queryOptimization');
+
+/**
+ * Audit Controller
+ * Read-only access to the audit log of admin actions
+ */
+
+/**
+ * Escape user input for use in a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a date filter, treating date-only upper bounds as the end of that day
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+const parseDate = (value, endOfDay = false) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+};
+
+/**
+ * Get audit log entries, newest first
+ * GET /api/audit
+ * Query: actor (user ID or username), action, targetType, targetId, from, to, page, limit
+ * Requires audit.view permission
+ */
+const getAuditLogs = async (req, res) => {
+    try {
+        const { actor, action, targetType, targetId, from, to, page = 1, limit = 50 } = req.query;
+
+        const filter = {};
+
+        if (actor) {
+            if (mongoose.Types.ObjectId.isValid(actor)) {
+                filter.actor = actor;
+            } else {
+                filter.actorUsername = new RegExp(`^${escapeRegex(actor.trim())}$`, 'i');
+            }
+        }
+
+        if (action) {
+            // 'blog' matches every blog action, 'blog.delete' only deletes
+            filter.action = action.includes('.') ? action : new RegExp(`^${escapeRegex(action)}\\.`);
+        }
+
+        if (targetType) {
+            filter.targetType = targetType;
+        }
+
+        if (targetId) {
+            filter.targetId = String(targetId);
+        }
+
+        if (from || to) {
+            filter.createdAt = {};
+
+            if (from) {
+                const fromDate = parseDate(from);
+                if (!fromDate) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid from date'
+                    });
+                }
+                filter.createdAt.$gte = fromDate;
+            }
+
+            if (to) {
+                const toDate = parseDate(to, true);
+                if (!toDate) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid to date'
+                    });
+                }
+                filter.createdAt.$lte = toDate;
+            }
+        }
+
+        const result = await paginateQuery(AuditLog, filter, {
+            page: Math.max(parseInt(page, 10) || 1, 1),
+            limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200),
+            sort: { createdAt: -1 },
+            populate: { path: 'actor', select: 'username email role' }
+        });
+
+        res.status(200).json({
+            success: true,
+            data: result.data,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Get audit logs error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve audit log',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAuditLogs
+};
@@ -1,4 +1,5 @@
 const authService = require('../services/authService');
+const RefreshToken = require('../models/RefreshToken');
 const Joi = require('joi');
 
 // Validation schemas
@@ -6,7 +7,8 @@ const registerSchema = Joi.object({
     username: Joi.string().alphanum().min(3).max(30).required(),
     email: Joi.string().email().required(),
     password: Joi.string().min(6).required(),
-    role: Joi.string().valid('admin', 'editor', 'reader').default('reader'),
+    // Anyone can sign up, so only as a reader; other roles are given through user management
+    role: Joi.string().valid('reader').default('reader'),
     profile: Joi.object({
         firstName: Joi.string().max(50),
         lastName: Joi.string().max(50),
@@ -23,6 +25,46 @@ const refreshTokenSchema = Joi.object({
     refreshToken: Joi.string().required()
 });
 
+const forgotPasswordSchema = Joi.object({
+    email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: Joi.string().min(6).required()
+});
+
+const updateProfileSchema = Joi.object({
+    profile: Joi.object({
+        firstName: Joi.string().trim().max(50).allow(''),
+        lastName: Joi.string().trim().max(50).allow(''),
+        bio: Joi.string().max(500).allow(''),
+        jobTitle: Joi.string().trim().max(100).allow(''),
+        social: Joi.object({
+            website: Joi.string().uri({ scheme: ['http', 'https'] }).allow(''),
+            linkedin: Joi.string().uri({ scheme: ['http', 'https'] }).allow(''),
+            twitter: Joi.string().uri({ scheme: ['http', 'https'] }).allow('')
+        })
+    }).min(1).required()
+});
+
+const changePasswordSchema = Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().min(6).required()
+});
+
+const logoutSchema = Joi.object({
+    refreshToken: Joi.string().optional()
+});
+
+/**
+ * Device information stored with each session
+ */
+const getRequestContext = (req) => ({
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+});
+
 class AuthController {
     /**
      * Register new user
@@ -40,7 +82,7 @@ class AuthController {
             }
 
             // Register user
-            const result = await authService.register(value);
+            const result = await authService.register(value, getRequestContext(req));
 
             res.status(201).json({
                 success: true,
@@ -83,16 +125,34 @@ class AuthController {
             const { identifier, password } = value;
 
             // Login user
-            const result = await authService.login(identifier, password);
+            const result = await authService.login(identifier, password, getRequestContext(req));
+
+            let message = 'Login successful';
+            if (result.twoFactorRequired) {
+                message = 'Two-factor authentication code required';
+            } else if (result.twoFactorSetupRequired) {
+                message = 'Two-factor authentication must be set up for your role';
+            }
 
             res.json({
                 success: true,
-                message: 'Login successful',
+                message,
                 data: result
             });
         } catch (error) {
             console.error('Login error:', error);
 
+            if (error.message.includes('Too many failed login attempts') || error.message.includes('temporarily locked')) {
+                if (error.retryAfter) {
+                    res.set('Retry-After', String(error.retryAfter));
+                }
+                return res.status(429).json({
+                    success: false,
+                    error: error.message,
+                    retryAfter: error.retryAfter
+                });
+            }
+
             if (error.message.includes('Invalid credentials') || error.message.includes('deactivated')) {
                 return res.status(401).json({
                     success: false,
@@ -126,7 +186,7 @@ class AuthController {
             const { refreshToken } = value;
 
             // Refresh token
-            const result = await authService.refreshToken(refreshToken);
+            const result = await authService.refreshToken(refreshToken, getRequestContext(req));
 
             res.json({
                 success: true,
@@ -144,13 +204,86 @@ class AuthController {
         }
     }
 
+    /**
+     * Request a password reset email
+     * Always responds with the same message so account emails cannot be probed
+     */
+    async forgotPassword(req, res) {
+        try {
+            // Validate request body
+            const { error, value } = forgotPasswordSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation error',
+                    details: error.details[0].message
+                });
+            }
+
+            const resetUrlBase = `${process.env.ADMIN_URL || 'http://localhost:3001'}/login`;
+            await authService.requestPasswordReset(value.email, resetUrlBase);
+
+            res.json({
+                success: true,
+                message: 'If an account exists for that email, a password reset link has been sent'
+            });
+        } catch (error) {
+            console.error('Forgot password error:', error);
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to process password reset request',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Reset password with a token from the reset email
+     */
+    async resetPassword(req, res) {
+        try {
+            // Validate request body
+            const { error, value } = resetPasswordSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation error',
+                    details: error.details[0].message
+                });
+            }
+
+            await authService.resetPassword(value.token, value.password);
+
+            res.json({
+                success: true,
+                message: 'Password has been reset. Please sign in with your new password'
+            });
+        } catch (error) {
+            console.error('Reset password error:', error);
+
+            if (error.message.includes('invalid or has expired')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                error: 'Password reset failed',
+                details: error.message
+            });
+        }
+    }
+
     /**
      * Get current user profile
      */
     async getProfile(req, res) {
         try {
             // User is attached to req by auth middleware
-            const user = req.user;
+            const user = await authService.toUserResponse(req.user);
 
             res.json({
                 success: true,
@@ -168,13 +301,152 @@ class AuthController {
         }
     }
 
+    /**
+     * Update the current user's profile (name, bio, job title, social links)
+     */
+    async updateProfile(req, res) {
+        try {
+            // Validate request body
+            const { error, value } = updateProfileSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation error',
+                    details: error.details[0].message
+                });
+            }
+
+            const user = await authService.updateProfile(req.user, value.profile);
+
+            res.json({
+                success: true,
+                message: 'Profile updated successfully',
+                data: { user: await authService.toUserResponse(user) }
+            });
+        } catch (error) {
+            console.error('Update profile error:', error);
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update profile',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Change the current user's password
+     * Other devices are signed out; new tokens are returned for this one
+     */
+    async changePassword(req, res) {
+        try {
+            // Validate request body
+            const { error, value } = changePasswordSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation error',
+                    details: error.details[0].message
+                });
+            }
+
+            const result = await authService.changePassword(
+                req.user._id,
+                value.currentPassword,
+                value.newPassword,
+                getRequestContext(req)
+            );
+
+            res.json({
+                success: true,
+                message: 'Password changed successfully. Other devices have been signed out',
+                data: result
+            });
+        } catch (error) {
+            console.error('Change password error:', error);
+
+            if (error.message.includes('Current password is incorrect') || error.message.includes('must be different')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to change password',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Upload a new avatar for the current user
+     */
+    async uploadAvatar(req, res) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No file uploaded. Please provide an image in the avatar field.'
+                });
+            }
+
+            const user = await authService.updateAvatar(req.user, req.file);
+
+            res.json({
+                success: true,
+                message: 'Avatar updated successfully',
+                data: { user: await authService.toUserResponse(user) }
+            });
+        } catch (error) {
+            console.error('Upload avatar error:', error);
+
+            if (error.message.startsWith('Avatar upload failed')) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update avatar',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Remove the current user's avatar
+     */
+    async removeAvatar(req, res) {
+        try {
+            const user = await authService.removeAvatar(req.user);
+
+            res.json({
+                success: true,
+                message: 'Avatar removed successfully',
+                data: { user: await authService.toUserResponse(user) }
+            });
+        } catch (error) {
+            console.error('Remove avatar error:', error);
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to remove avatar',
+                details: error.message
+            });
+        }
+    }
+
     /**
      * Verify token validity
      */
     async verifyToken(req, res) {
         try {
             // User is attached to req by auth middleware
-            const user = req.user;
+            const user = await authService.toUserResponse(req.user);
 
             res.json({
                 success: true,
@@ -193,12 +465,29 @@ class AuthController {
     }
 
     /**
-     * Logout user (client-side token removal)
+     * Logout user from the current device
+     * Revokes the session of the access token and, if sent, of the refresh token
      */
     async logout(req, res) {
         try {
-            // In a stateless JWT system, logout is handled client-side
-            // This endpoint exists for consistency and future token blacklisting
+            // Validate request body
+            const { error, value } = logoutSchema.validate(req.body || {});
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation error',
+                    details: error.details[0].message
+                });
+            }
+
+            if (req.sessionId) {
+                await authService.revokeSession(req.user._id, req.sessionId, 'logout');
+            }
+
+            if (value.refreshToken) {
+                await authService.revokeRefreshToken(req.user._id, value.refreshToken);
+            }
+
             res.json({
                 success: true,
                 message: 'Logout successful'
@@ -213,6 +502,84 @@ class AuthController {
             });
         }
     }
+
+    /**
+     * Logout user from every device
+     */
+    async logoutAll(req, res) {
+        try {
+            const revoked = await authService.revokeAllSessions(req.user._id, 'logout_all');
+
+            res.json({
+                success: true,
+                message: 'Logged out from all devices',
+                data: { revokedSessions: revoked }
+            });
+        } catch (error) {
+            console.error('Logout all error:', error);
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to log out from all devices',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * List the current user's active sessions
+     */
+    async getSessions(req, res) {
+        try {
+            const sessions = await RefreshToken.findActiveSessions(req.user._id);
+
+            res.json({
+                success: true,
+                message: 'Sessions retrieved successfully',
+                data: sessions.map(session => ({
+                    ...session,
+                    current: session.id === req.sessionId
+                }))
+            });
+        } catch (error) {
+            console.error('Get sessions error:', error);
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve sessions',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Sign out one of the current user's devices
+     */
+    async revokeSession(req, res) {
+        try {
+            const revoked = await authService.revokeSession(req.user._id, req.params.sessionId, 'logout');
+
+            if (!revoked) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Session revoked successfully'
+            });
+        } catch (error) {
+            console.error('Revoke session error:', error);
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to revoke session',
+                details: error.message
+            });
+        }
+    }
 }
 
 module.exports = new AuthController();
\ No newline at end of file
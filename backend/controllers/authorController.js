@@ -0,0 +1,186 @@
+const Blog = require('../models/Blog');
+const User = require('../models/User');
+const { searchBlogs, CREDITED_USERS, creditedToFilter } = require('../utils/queryOptimization');
+
+/**
+ * Author Controller
+ * Public author pages: profile, publishing stats and published posts
+ */
+
+// Profile fields that are safe to show publicly (no email, role or security data)
+const PUBLIC_PROFILE_FIELDS = ['firstName', 'lastName', 'avatar', 'bio', 'jobTitle'];
+
+// Post fields listed on an author page; content is left out to keep the list light
+const AUTHOR_POST_FIELDS = 'title slug excerpt coverImage category tags featured readingTime viewCount author authors createdAt updatedAt';
+
+// Sum published posts into post count, total views and total likes per credited author,
+// optionally for a single user
+const statsPipeline = (userId = null) => [
+    { $match: { status: 'published', ...(userId && creditedToFilter(userId)) } },
+    { $project: { credited: CREDITED_USERS, viewCount: 1, likes: 1, createdAt: 1 } },
+    { $unwind: '$credited' },
+    ...(userId ? [{ $match: { credited: userId } }] : []),
+    {
+        $group: {
+            _id: '$credited',
+            postCount: { $sum: 1 },
+            totalViews: { $sum: '$viewCount' },
+            totalLikes: { $sum: { $size: { $ifNull: ['$likes', []] } } },
+            lastPublishedAt: { $max: '$createdAt' }
+        }
+    }
+];
+
+const emptyStats = { postCount: 0, totalViews: 0, totalLikes: 0, lastPublishedAt: null };
+
+const parsePagination = (query, defaultLimit) => ({
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 50)
+});
+
+/**
+ * Build the public view of an author
+ * @param {Object} user - User document or plain object
+ * @param {Object} stats - Aggregated post statistics
+ * @returns {Object} Public author
+ */
+const toPublicAuthor = (user, stats = emptyStats) => {
+    const profile = user.profile || {};
+    const social = profile.social || {};
+    const publicProfile = {};
+    PUBLIC_PROFILE_FIELDS.forEach(field => {
+        publicProfile[field] = profile[field] || '';
+    });
+    publicProfile.social = {
+        website: social.website || '',
+        linkedin: social.linkedin || '',
+        twitter: social.twitter || ''
+    };
+
+    const fullName = [profile.firstName, profile.lastName].filter(Boolean).join(' ') || user.username;
+
+    return {
+        username: user.username,
+        fullName,
+        profile: publicProfile,
+        stats: {
+            postCount: stats.postCount,
+            totalViews: stats.totalViews,
+            totalLikes: stats.totalLikes,
+            lastPublishedAt: stats.lastPublishedAt
+        }
+    };
+};
+
+/**
+ * Get authors with at least one published post, most prolific first
+ * GET /api/authors
+ * Query: page, limit
+ * Public endpoint
+ */
+const getAuthors = async (req, res) => {
+    try {
+        const { page, limit } = parsePagination(req.query, 20);
+
+        const [result] = await Blog.aggregate([
+            ...statsPipeline(),
+            {
+                $lookup: {
+                    from: User.collection.name,
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'user'
+                }
+            },
+            { $unwind: '$user' },
+            { $match: { 'user.isActive': true } },
+            { $sort: { postCount: -1, lastPublishedAt: -1 } },
+            {
+                $facet: {
+                    data: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const total = result.total[0]?.count || 0;
+        const totalPages = Math.ceil(total / limit);
+
+        res.status(200).json({
+            success: true,
+            data: result.data.map(({ user, ...stats }) => toPublicAuthor(user, stats)),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1,
+                nextPage: page < totalPages ? page + 1 : null,
+                prevPage: page > 1 ? page - 1 : null
+            }
+        });
+    } catch (error) {
+        console.error('Get authors error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve authors',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Get an author's public profile, stats and published posts
+ * GET /api/authors/:username
+ * Query: page, limit (for the posts)
+ * Public endpoint
+ */
+const getAuthorByUsername = async (req, res) => {
+    try {
+        const user = await User.findOne({ username: req.params.username, isActive: true })
+            .select('username profile')
+            .lean();
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'Author not found'
+            });
+        }
+
+        const { page, limit } = parsePagination(req.query, 10);
+
+        const [[stats], posts] = await Promise.all([
+            Blog.aggregate(statsPipeline(user._id)),
+            searchBlogs({
+                author: user._id,
+                status: 'published',
+                select: AUTHOR_POST_FIELDS,
+                page,
+                limit
+            })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                author: toPublicAuthor(user, stats),
+                posts: posts.data
+            },
+            pagination: posts.pagination
+        });
+    } catch (error) {
+        console.error('Get author error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve author',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAuthors,
+    getAuthorByUsername
+};
@@ -0,0 +1,236 @@
+const Joi = require('joi');
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const logger = require('../utils/logger');
+const permissionService = require('../services/permissionService');
+const blogTrashService = require('../services/blogTrashService');
+const { clearCacheByPattern } = require('../middleware/cache');
+const { canTransition, buildTransition } = require('../utils/blogWorkflow');
+const { withTransaction } = require('../utils/transaction');
+
+/**
+ * Blog Bulk Controller
+ * Applies one action to many blogs from the list view in a single transaction
+ */
+
+// Most blogs one bulk request can change (one page of the list at its largest size)
+const MAX_BULK_BLOGS = 100;
+
+// Status each status action moves blogs to
+const STATUS_ACTIONS = {
+    publish: 'published',
+    unpublish: 'draft',
+    archive: 'archived'
+};
+
+const BULK_ACTIONS = [...Object.keys(STATUS_ACTIONS), 'delete', 'set_category', 'add_tags', 'remove_tags'];
+
+const bulkSchema = Joi.object({
+    action: Joi.string().valid(...BULK_ACTIONS).required(),
+    ids: Joi.array().items(Joi.string().hex().length(24).lowercase()).min(1).max(MAX_BULK_BLOGS).unique().required(),
+    category: Joi.when('action', {
+        is: 'set_category',
+        then: Joi.string().trim().required(),
+        otherwise: Joi.forbidden()
+    }),
+    tags: Joi.when('action', {
+        is: Joi.valid('add_tags', 'remove_tags'),
+        then: Joi.array().items(Joi.string().trim().lowercase().min(1)).min(1).required(),
+        otherwise: Joi.forbidden()
+    }),
+    comment: Joi.string().trim().max(2000).allow('')
+});
+
+/**
+ * Work out why an action cannot be applied to a blog
+ * @param {Object} blog - Blog document (null when not found)
+ * @param {Object} options - { action, permissions, userId }
+ * @returns {string|null} Error message, or null when the action is allowed
+ */
+const getBlockingReason = (blog, { action, permissions, userId }) => {
+    if (!blog) {
+        return 'Blog not found';
+    }
+
+    if (action === 'delete') {
+        const isOwner = blog.author.toString() === userId.toString();
+        if (!permissions.includes('blog.delete.any') && !(isOwner && permissions.includes('blog.delete.own'))) {
+            return 'You can only delete your own blogs';
+        }
+        return null;
+    }
+
+    if (!permissions.includes('blog.edit.any') && !(blog.isCreditedTo(userId) && permissions.includes('blog.edit.own'))) {
+        return 'You can only edit your own blogs';
+    }
+
+    if (STATUS_ACTIONS[action] && !canTransition(permissions, blog.status, STATUS_ACTIONS[action])) {
+        return `Your role cannot move a blog from "${blog.status}" to "${STATUS_ACTIONS[action]}"`;
+    }
+
+    return null;
+};
+
+/**
+ * Apply the action to the allowed blogs
+ * @param {Array} blogs - Blog documents the action applies to
+ * @param {Object} options - { action, value, comment, userId }
+ * @param {ClientSession|null} session - Transaction session
+ * @returns {Promise<Set<string>>} IDs of blogs that were changed by someone else meanwhile
+ */
+const applyAction = async (blogs, { action, value, comment, userId }, session) => {
+    const ids = blogs.map(blog => blog._id);
+    const conflicts = new Set();
+
+    if (STATUS_ACTIONS[action]) {
+        const status = STATUS_ACTIONS[action];
+        for (const blog of blogs.filter(b => b.status !== status)) {
+            // Conditional update guards against the status changing since the blogs were checked
+            const result = await Blog.updateOne(
+                { _id: blog._id, status: blog.status },
+                {
+                    status,
+                    $push: { statusHistory: buildTransition(blog.status, status, userId, comment) }
+                },
+                { session }
+            );
+            if (result.matchedCount === 0) {
+                conflicts.add(blog._id.toString());
+            }
+        }
+        return conflicts;
+    }
+
+    if (action === 'delete') {
+        await blogTrashService.trash(blogs, userId, session);
+        return conflicts;
+    }
+
+    if (action === 'set_category') {
+        const moved = blogs.filter(blog => !value.equals(blog.getCategoryId()));
+
+        await Blog.updateMany({ _id: { $in: moved.map(blog => blog._id) } }, { category: value }, { session });
+        await Category.recountBlogCounts([value, ...moved.map(blog => blog.getCategoryId())], session);
+        return conflicts;
+    }
+
+    const update = action === 'add_tags'
+        ? { $addToSet: { tags: { $each: value } } }
+        : { $pull: { tags: { $in: value } } };
+    await Blog.updateMany({ _id: { $in: ids } }, update, { session });
+    await Tag.recountUsage(value, session);
+    return conflicts;
+};
+
+/**
+ * Apply one action to many blogs
+ * POST /api/blogs/bulk
+ * Body: action (publish, unpublish, archive, delete, set_category, add_tags, remove_tags),
+ *       ids, category (set_category), tags (add_tags/remove_tags), comment (status actions)
+ * Each blog is checked like a single edit or delete; allowed blogs are changed in one transaction
+ * Requires blog.edit.own/any, or blog.delete.own/any for deletes
+ */
+const bulkUpdateBlogs = async (req, res) => {
+    try {
+        const { error, value: body } = bulkSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: error.details[0].message
+            });
+        }
+
+        const { action, ids, comment } = body;
+
+        const categoryExists = action === 'set_category'
+            ? await Category.findByReference(body.category).where({ isActive: true })
+            : null;
+        if (action === 'set_category' && !categoryExists) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid category. Please select a valid active category.'
+            });
+        }
+
+        // Blogs store the category's ID; synonyms are added as the tag they stand for
+        const value = action === 'set_category'
+            ? categoryExists._id
+            : action === 'add_tags' ? await Tag.resolve(body.tags) : body.tags;
+
+        const permissions = await permissionService.getRequestPermissions(req);
+        const blogs = await Blog.find({ _id: { $in: ids } });
+        const blogsById = new Map(blogs.map(blog => [blog._id.toString(), blog]));
+
+        const context = { action, value, comment, permissions, userId: req.user._id };
+        const results = ids.map(id => {
+            const reason = getBlockingReason(blogsById.get(id) || null, context);
+            return reason ? { id, success: false, error: reason } : { id, success: true };
+        });
+        const allowed = results.filter(result => result.success).map(result => blogsById.get(result.id));
+
+        // Keep the pre-edit state of blogs that predate revision history
+        const tracksRevisions = ['set_category', 'add_tags', 'remove_tags'].includes(action);
+        if (tracksRevisions) {
+            for (const blog of allowed) {
+                await BlogRevision.ensureBaseline(blog);
+            }
+        }
+
+        const conflicts = allowed.length > 0
+            ? await withTransaction(session => applyAction(allowed, context, session))
+            : new Set();
+
+        results.forEach(result => {
+            if (conflicts.has(result.id)) {
+                result.success = false;
+                result.error = 'Blog was updated by someone else. Please refresh and try again.';
+            }
+        });
+
+        const changedIds = results.filter(result => result.success).map(result => result.id);
+
+        if (tracksRevisions && changedIds.length > 0) {
+            const updatedBlogs = await Blog.find({ _id: { $in: changedIds } });
+            for (const blog of updatedBlogs) {
+                await BlogRevision.recordSnapshot(blog, req.user._id, 'update');
+            }
+        }
+
+        if (changedIds.length > 0) {
+            clearCacheByPattern('/api/blogs');
+        }
+
+        logger.info('Bulk blog action applied', {
+            action,
+            requested: ids.length,
+            changed: changedIds.length,
+            user: req.user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                action,
+                results,
+                succeeded: changedIds.length,
+                failed: results.length - changedIds.length
+            },
+            message: `${changedIds.length} of ${results.length} blogs updated`
+        });
+    } catch (error) {
+        console.error('Bulk blog action error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Bulk action failed',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    bulkUpdateBlogs
+};
@@ -1,16 +1,24 @@
 const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
 const Category = require('../models/Category');
+const Series = require('../models/Series');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
 const mongoose = require('mongoose');
 const { clearCacheByPattern } = require('../middleware/cache');
 const { catchAsync } = require('../middleware/errorHandler');
-const { NotFoundError, ValidationError, DatabaseError } = require('../utils/customErrors');
+const { NotFoundError, ValidationError, DatabaseError, AuthorizationError } = require('../utils/customErrors');
 const logger = require('../utils/logger');
+const { canTransition, requiresReviewAfterEdit, buildTransition } = require('../utils/blogWorkflow');
+const permissionService = require('../services/permissionService');
+const blogTrashService = require('../services/blogTrashService');
 const {
     searchBlogs,
     getRelatedBlogs,
     getPopularBlogs,
     monitorQuery,
-    paginateQuery
+    paginateQuery,
+    PUBLISH_MONTH_PATTERN
 } = require('../utils/queryOptimization');
 
 /**
@@ -18,10 +26,119 @@ const {
  * Handles all blog-related operations including CRUD, pagination, and interactions
  */
 
+/**
+ * Parse an optional schedule date from the request body
+ * @param {*} value - Raw value (undefined = not provided, null/'' = clear)
+ * @param {string} label - Field label used in the error message
+ * @returns {Object} { value } or { error }
+ */
+const parseScheduleDate = (value, label) => {
+    if (value === undefined) return { value: undefined };
+    if (value === null || value === '') return { value: null };
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return { error: `Invalid ${label} date` };
+    }
+    return { value: date };
+};
+
+/**
+ * Validate publishAt/unpublishAt against the resulting blog status
+ * @param {Object} body - Request body
+ * @param {Object} existingBlog - Blog being updated (null on create)
+ * @returns {Object} { publishAt, unpublishAt } (undefined when not provided) or { error }
+ */
+const resolveSchedule = (body, existingBlog = null) => {
+    const publish = parseScheduleDate(body.publishAt, 'publish');
+    if (publish.error) return { error: publish.error };
+
+    const unpublish = parseScheduleDate(body.unpublishAt, 'unpublish');
+    if (unpublish.error) return { error: unpublish.error };
+
+    // Only dates that actually change are checked against the current time
+    const isChanged = (value, current) => value !== undefined && value?.getTime() !== current?.getTime();
+
+    const now = new Date();
+    const status = body.status || existingBlog?.status || 'draft';
+    const publishAt = publish.value !== undefined ? publish.value : existingBlog?.publishAt || null;
+    const scheduleChanged = (body.status !== undefined && body.status !== existingBlog?.status)
+        || isChanged(publish.value, existingBlog?.publishAt);
+
+    if (status === 'scheduled') {
+        if (!publishAt) {
+            return { error: 'A publish date is required for scheduled blogs' };
+        }
+        if (scheduleChanged && publishAt <= now) {
+            return { error: 'Publish date must be in the future' };
+        }
+    }
+
+    if (unpublish.value) {
+        if (isChanged(unpublish.value, existingBlog?.unpublishAt) && unpublish.value <= now) {
+            return { error: 'Unpublish date must be in the future' };
+        }
+        if (status === 'scheduled' && unpublish.value <= publishAt) {
+            return { error: 'Unpublish date must be after the publish date' };
+        }
+    }
+
+    return { publishAt: publish.value, unpublishAt: unpublish.value };
+};
+
+// Most contributors a single post can credit
+const MAX_AUTHORS = 10;
+
+// Public fields of credited users included in blog responses
+const CREDIT_USER_FIELDS = 'username profile.firstName profile.lastName profile.avatar profile.jobTitle';
+
+/**
+ * Validate contributor credits from the request body
+ * @param {Array} authors - Ordered [{ user, role }] entries
+ * @returns {Object} { authors, author } where author is the primary author, or { error }
+ */
+const resolveAuthors = async (authors) => {
+    if (!Array.isArray(authors) || authors.length === 0) {
+        return { error: 'Authors must be a non-empty list' };
+    }
+    if (authors.length > MAX_AUTHORS) {
+        return { error: `A blog can credit at most ${MAX_AUTHORS} contributors` };
+    }
+
+    const credits = [];
+    for (const entry of authors) {
+        const user = entry?.user?._id || entry?.user;
+        const role = entry?.role || 'author';
+
+        if (!mongoose.Types.ObjectId.isValid(user)) {
+            return { error: 'Invalid author user ID' };
+        }
+        if (!Blog.AUTHOR_ROLES.includes(role)) {
+            return { error: `Credit role must be one of: ${Blog.AUTHOR_ROLES.join(', ')}` };
+        }
+        if (credits.some(credit => credit.user.toString() === user.toString())) {
+            return { error: 'Each user can only be credited once' };
+        }
+        credits.push({ user: new mongoose.Types.ObjectId(user), role });
+    }
+
+    const primary = credits.find(credit => credit.role === 'author');
+    if (!primary) {
+        return { error: 'At least one contributor must be credited as author' };
+    }
+
+    const activeUsers = await User.countDocuments({ _id: { $in: credits.map(credit => credit.user) }, isActive: true });
+    if (activeUsers !== credits.length) {
+        return { error: 'Authors must be active users' };
+    }
+
+    return { authors: credits, author: primary.user };
+};
+
 /**
  * Create a new blog post
  * POST /api/blogs
- * Requires admin or editor role
+ * Requires blog.create permission
  */
 const createBlog = catchAsync(async (req, res) => {
     const {
@@ -41,12 +158,32 @@ const createBlog = catchAsync(async (req, res) => {
         throw new ValidationError('Title, content, excerpt, and category are required');
     }
 
-    // Validate category exists and is active
-    const categoryExists = await Category.findOne({ name: category.trim(), isActive: true });
+    // Validate category exists and is active; blogs store its ID
+    const categoryExists = await Category.findByReference(category).where({ isActive: true });
     if (!categoryExists) {
         throw new ValidationError('Invalid category. Please select a valid active category.');
     }
 
+    // Without blog.publish, blogs start as drafts or go straight to review
+    const permissions = await permissionService.getRequestPermissions(req);
+    if (!canTransition(permissions, null, status || 'draft')) {
+        throw new AuthorizationError(`Your role cannot create blogs with status "${status}". Submit the blog for review instead.`);
+    }
+
+    // Validate scheduling dates
+    const schedule = resolveSchedule(req.body);
+    if (schedule.error) {
+        throw new ValidationError(schedule.error);
+    }
+
+    // Credit the creator unless contributors are listed explicitly
+    const credits = req.body.authors !== undefined
+        ? await resolveAuthors(req.body.authors)
+        : { authors: [{ user: req.user._id, role: 'author' }], author: req.user._id };
+    if (credits.error) {
+        throw new ValidationError(credits.error);
+    }
+
     // Check database connection
     if (mongoose.connection.readyState !== 1) {
         throw new DatabaseError('Database connection not available');
@@ -54,7 +191,7 @@ const createBlog = catchAsync(async (req, res) => {
 
     logger.info('Creating new blog post', {
         title: title?.trim(),
-        category: category?.trim(),
+        category: categoryExists.name,
         author: req.user._id,
         status: status || 'draft'
     });
@@ -64,13 +201,23 @@ const createBlog = catchAsync(async (req, res) => {
         title: title.trim(),
         content,
         excerpt: excerpt.trim(),
-        category: category.trim(),
-        author: req.user._id, // Set from authenticated user
+        category: categoryExists._id,
+        author: credits.author,
+        authors: credits.authors,
         status: status || 'draft',
-        featured: featured || false
+        featured: featured || false,
+        statusHistory: [buildTransition(null, status || 'draft', req.user._id)]
     };
 
     // Add optional fields if provided
+    if (schedule.publishAt !== undefined) {
+        blogData.publishAt = schedule.publishAt;
+    }
+
+    if (schedule.unpublishAt !== undefined) {
+        blogData.unpublishAt = schedule.unpublishAt;
+    }
+
     if (coverImage) {
         blogData.coverImage = {
             url: coverImage.url || '',
@@ -79,7 +226,7 @@ const createBlog = catchAsync(async (req, res) => {
     }
 
     if (tags && Array.isArray(tags)) {
-        blogData.tags = tags.map(tag => tag.trim().toLowerCase()).filter(tag => tag);
+        blogData.tags = await Tag.resolve(tags);
     }
 
     if (seoMetadata) {
@@ -103,11 +250,19 @@ const createBlog = catchAsync(async (req, res) => {
         const blog = new Blog(blogData);
         await blog.save();
 
-        // Update category blog count
-        await Category.incrementBlogCount(category.trim());
+        // Update category blog count and tag usage
+        await Category.recountBlogCount(categoryExists._id);
+        await Tag.recountUsage(blog.tags);
+
+        // Populate author and category information for the revision and response
+        await blog.populate([
+            { path: 'author', select: 'username email profile.firstName profile.lastName' },
+            { path: 'authors.user', select: CREDIT_USER_FIELDS },
+            { path: 'category', select: Blog.CATEGORY_FIELDS }
+        ]);
 
-        // Populate author information for response
-        await blog.populate('author', 'username email profile.firstName profile.lastName');
+        // Record the initial revision
+        await BlogRevision.recordSnapshot(blog, req.user._id, 'create');
 
         logger.info('Blog created successfully', {
             blogId: blog._id,
@@ -129,6 +284,11 @@ const createBlog = catchAsync(async (req, res) => {
     }
 });
 
+/**
+ * List blogs with filters and pagination
+ * GET /api/blogs
+ * Query: facets=true adds counts by category, tag, author, status and publish month
+ */
 const getBlogs = async (req, res) => {
     try {
         const {
@@ -141,19 +301,32 @@ const getBlogs = async (req, res) => {
             featured,
             author,
             exclude,
+            month,
+            includeSubcategories,
+            facets,
             sortBy = 'createdAt',
             sortOrder = 'desc'
         } = req.query;
 
+        if (month && !PUBLISH_MONTH_PATTERN.test(month)) {
+            return res.status(400).json({
+                success: false,
+                error: 'month must be in YYYY-MM format'
+            });
+        }
+
         // Build search parameters
         let searchParams = {
             query: search,
             category,
+            includeSubcategories: includeSubcategories === 'false' ? false : undefined,
             tags: tags ? tags.split(',').map(tag => tag.trim()) : undefined,
             status: (!status || status === 'all') ? undefined : status, // let searchBlogs skip if undefined
             featured,
             author,
             exclude,
+            month,
+            facets: facets === 'true' ? true : undefined,
             page: parseInt(page, 10),
             limit: parseInt(limit, 10),
             sortBy,
@@ -184,9 +357,11 @@ const getBlogs = async (req, res) => {
                 search: searchParams.query || null,
                 featured: searchParams.featured || null,
                 author: searchParams.author || null,
+                month: searchParams.month || null,
                 sortBy: searchParams.sortBy,
                 sortOrder: searchParams.sortOrder
             },
+            ...(result.data.facets && { facets: result.data.facets }),
             performance: {
                 executionTime: result.performance.executionTime,
                 optimized: true
@@ -219,7 +394,8 @@ const getBlogBySlug = catchAsync(async (req, res) => {
 
     // Find blog by slug and populate author information
     const blog = await Blog.findOne({ slug })
-        .populate('author', 'username email profile.firstName profile.lastName profile.avatar profile.bio');
+        .populate('author', 'username email profile.firstName profile.lastName profile.avatar profile.bio')
+        .populate('authors.user', CREDIT_USER_FIELDS);
 
     if (!blog) {
         throw new NotFoundError(`No blog found with slug: ${slug}`);
@@ -234,6 +410,19 @@ const getBlogBySlug = catchAsync(async (req, res) => {
     // Convert to object to include virtuals
     const blogObj = blog.toObject();
 
+    // Part number and previous/next links when the blog belongs to a series,
+    // and the category trail from the top-level category down
+    const [series, breadcrumbs] = await Promise.all([
+        Series.getNavigation(blog),
+        Category.getBreadcrumbs(blog.category)
+    ]);
+
+    // Blogs from before contributor credits only have the primary author
+    const credits = blogObj.authors?.length
+        ? blogObj.authors.filter(credit => credit.user)
+        : [{ user: blogObj.author, role: 'author' }].filter(credit => credit.user);
+    const bylineAuthors = credits.filter(credit => credit.role === 'author').map(credit => credit.user.username);
+
     // Include SEO metadata and all blog information in response
     res.status(200).json({
         success: true,
@@ -241,6 +430,8 @@ const getBlogBySlug = catchAsync(async (req, res) => {
             ...blogObj,
             // Ensure virtual fields are included
             likeCount: blog.likeCount,
+            series,
+            breadcrumbs,
             // Include SEO metadata for frontend consumption
             seo: {
                 title: blogObj.seoMetadata?.metaTitle || blogObj.title,
@@ -251,7 +442,12 @@ const getBlogBySlug = catchAsync(async (req, res) => {
                 type: 'article',
                 publishedTime: blogObj.createdAt,
                 modifiedTime: blogObj.updatedAt,
-                author: blogObj.author?.username || 'Anonymous',
+                author: bylineAuthors.join(', ') || 'Anonymous',
+                authors: credits.map(({ user, role }) => ({
+                    username: user.username,
+                    name: [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ') || user.username,
+                    role
+                })),
                 section: blogObj.category,
                 tags: blogObj.tags
             }
@@ -262,7 +458,7 @@ const getBlogBySlug = catchAsync(async (req, res) => {
 /**
  * Update blog by ID
  * PUT /api/blogs/:id
- * Requires admin or editor role
+ * Requires blog.edit.any, or blog.edit.own for the user's own blogs
  */
 const updateBlog = async (req, res) => {
     try {
@@ -296,14 +492,42 @@ const updateBlog = async (req, res) => {
             });
         }
 
-        // Check if user is admin or the author (editor can edit their own blogs)
-        const isAdmin = req.user.role === 'admin';
-        const isAuthor = existingBlog.author.toString() === req.user._id.toString();
+        // blog.edit.any covers every blog, blog.edit.own only the user's own
+        const permissions = await permissionService.getRequestPermissions(req);
+        const isAuthor = existingBlog.isCreditedTo(req.user._id);
 
-        if (!isAdmin && !isAuthor) {
+        if (!permissions.includes('blog.edit.any') && !(isAuthor && permissions.includes('blog.edit.own'))) {
             return res.status(403).json({
                 success: false,
-                error: 'Access denied. You can only edit your own blogs or need admin privileges.'
+                error: 'Access denied. You can only edit your own blogs.'
+            });
+        }
+
+        // Validate contributor credits when they are changed
+        const credits = req.body.authors !== undefined ? await resolveAuthors(req.body.authors) : null;
+        if (credits?.error) {
+            return res.status(400).json({
+                success: false,
+                error: credits.error
+            });
+        }
+
+        // Enforce the editorial workflow for status changes
+        const statusChanged = status !== undefined && status !== existingBlog.status;
+        if (statusChanged && !canTransition(permissions, existingBlog.status, status)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Status change not allowed',
+                details: `Your role cannot move a blog from "${existingBlog.status}" to "${status}"`
+            });
+        }
+
+        // Validate scheduling dates against the resulting status
+        const schedule = resolveSchedule(req.body, existingBlog);
+        if (schedule.error) {
+            return res.status(400).json({
+                success: false,
+                error: schedule.error
             });
         }
 
@@ -315,13 +539,24 @@ const updateBlog = async (req, res) => {
         if (excerpt !== undefined) updateData.excerpt = excerpt.trim();
         if (category !== undefined) {
             // Validate new category exists and is active
-            const categoryExists = await Category.findOne({ name: category.trim(), isActive: true });
+            const categoryExists = await Category.findByReference(category).where({ isActive: true });
             if (!categoryExists) {
                 throw new ValidationError('Invalid category. Please select a valid active category.');
             }
-            updateData.category = category.trim();
+            updateData.category = categoryExists._id;
+        }
+        if (statusChanged) {
+            updateData.status = status;
+            updateData.$push = {
+                statusHistory: buildTransition(existingBlog.status, status, req.user._id, req.body.comment)
+            };
+        }
+        if (schedule.publishAt !== undefined) updateData.publishAt = schedule.publishAt;
+        if (schedule.unpublishAt !== undefined) updateData.unpublishAt = schedule.unpublishAt;
+        if (credits) {
+            updateData.authors = credits.authors;
+            updateData.author = credits.author;
         }
-        if (status !== undefined) updateData.status = status;
         if (featured !== undefined) {
             updateData.featured = featured;
             // If setting as featured, unfeatured all other blogs
@@ -340,7 +575,7 @@ const updateBlog = async (req, res) => {
 
         // Handle tags
         if (tags !== undefined && Array.isArray(tags)) {
-            updateData.tags = tags.map(tag => tag.trim().toLowerCase()).filter(tag => tag);
+            updateData.tags = await Tag.resolve(tags);
         }
 
         // Handle SEO metadata
@@ -355,14 +590,20 @@ const updateBlog = async (req, res) => {
             };
         }
 
-        // Handle category change for blog count updates
-        if (category && category.trim() !== existingBlog.category) {
-            // Decrement old category count
-            await Category.decrementBlogCount(existingBlog.category);
-            // Increment new category count
-            await Category.incrementBlogCount(category.trim());
+        // Content changes to approved blogs go back through review unless the user can publish
+        const sentBackToReview = !statusChanged &&
+            requiresReviewAfterEdit(permissions, existingBlog.status) &&
+            BlogRevision.hasChanges(existingBlog, { ...BlogRevision.buildSnapshot(existingBlog), ...updateData });
+        if (sentBackToReview) {
+            updateData.status = 'in_review';
+            updateData.$push = {
+                statusHistory: buildTransition(existingBlog.status, 'in_review', req.user._id, req.body.comment)
+            };
         }
 
+        // Capture the pre-edit state for blogs that predate revision history
+        await BlogRevision.ensureBaseline(existingBlog);
+
         // Update the blog
         const updatedBlog = await Blog.findByIdAndUpdate(
             id,
@@ -371,12 +612,25 @@ const updateBlog = async (req, res) => {
                 new: true, // Return updated document
                 runValidators: true // Run schema validations
             }
-        ).populate('author', 'username email profile.firstName profile.lastName');
+        )
+            .populate('author', 'username email profile.firstName profile.lastName')
+            .populate('authors.user', CREDIT_USER_FIELDS);
+
+        // Recount both categories when the blog moved between them
+        if (updateData.category && !updateData.category.equals(existingBlog.getCategoryId())) {
+            await Category.recountBlogCounts([existingBlog.getCategoryId(), updateData.category]);
+        }
+        if (updateData.tags) {
+            await Tag.recountUsage([...existingBlog.tags, ...updatedBlog.tags]);
+        }
+
+        // Snapshot the new content (skipped when no tracked field changed)
+        await BlogRevision.recordSnapshot(updatedBlog, req.user._id, 'update');
 
         res.status(200).json({
             success: true,
             data: updatedBlog,
-            message: 'Blog updated successfully'
+            message: sentBackToReview ? 'Blog updated and sent back for review' : 'Blog updated successfully'
         });
 
     } catch (error) {
@@ -410,9 +664,10 @@ const updateBlog = async (req, res) => {
 };
 
 /**
- * Delete blog by ID
+ * Move blog to the trash by ID
  * DELETE /api/blogs/:id
- * Requires admin role only
+ * Trashed blogs can be restored until they are purged (see blogTrashController)
+ * Requires blog.delete.any, or blog.delete.own for the user's own blogs
  */
 const deleteBlog = async (req, res) => {
     try {
@@ -426,27 +681,35 @@ const deleteBlog = async (req, res) => {
             });
         }
 
-        // Find and delete the blog
-        const deletedBlog = await Blog.findByIdAndDelete(id);
+        const blog = await Blog.findById(id).select('author category title slug');
 
-        if (!deletedBlog) {
+        if (!blog) {
             return res.status(404).json({
                 success: false,
                 error: 'Blog not found'
             });
         }
 
-        // Decrement category blog count
-        await Category.decrementBlogCount(deletedBlog.category);
+        if (!(await permissionService.can(req, 'blog.delete.any')) && blog.author.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied. You can only delete your own blogs.'
+            });
+        }
+
+        // Move the blog to the trash; it leaves its category's blog count until restored
+        await blogTrashService.trash([blog], req.user._id);
+        clearCacheByPattern('/api/blogs');
 
         res.status(200).json({
             success: true,
             data: {
-                id: deletedBlog._id,
-                title: deletedBlog.title,
-                slug: deletedBlog.slug
+                id: blog._id,
+                title: blog.title,
+                slug: blog.slug,
+                purgeAt: blogTrashService.getPurgeDate(new Date())
             },
-            message: 'Blog deleted successfully'
+            message: 'Blog moved to trash'
         });
 
     } catch (error) {
@@ -616,10 +879,9 @@ const getRelatedBlogsEndpoint = async (req, res) => {
         const { slug } = req.params;
         const { limit = 5 } = req.query;
 
-        // First get the current blog
+        // First get the current blog (not lean, so its category keeps its ID)
         const currentBlog = await Blog.findOne({ slug, status: 'published' })
-            .select('_id category tags')
-            .lean();
+            .select('_id category tags');
 
         if (!currentBlog) {
             return res.status(404).json({
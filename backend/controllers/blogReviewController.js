@@ -0,0 +1,213 @@
+const Blog = require('../models/Blog');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { clearCacheByPattern } = require('../middleware/cache');
+const { paginateQuery } = require('../utils/queryOptimization');
+const { buildTransition } = require('../utils/blogWorkflow');
+
+/**
+ * Blog Review Controller
+ * Handles the editorial review queue and approve/reject decisions
+ */
+
+const ACTOR_SELECT = 'username profile.firstName profile.lastName';
+
+const REVIEW_DECISIONS = ['approve', 'reject'];
+
+/**
+ * Get blogs waiting for review, oldest submission first
+ * GET /api/blogs/review-queue
+ * Requires blog.review permission
+ */
+const getReviewQueue = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const result = await paginateQuery(Blog, { status: 'in_review' }, {
+            page: parseInt(page, 10),
+            limit: parseInt(limit, 10),
+            sort: { updatedAt: 1 },
+            select: 'title slug excerpt content coverImage category tags status publishAt unpublishAt author createdAt updatedAt statusHistory',
+            populate: [
+                { path: 'author', select: 'username email profile.firstName profile.lastName' },
+                { path: 'statusHistory.actor', select: ACTOR_SELECT }
+            ]
+        });
+
+        // Expose the latest submission instead of the full history
+        const data = result.data.map(({ statusHistory = [], ...blog }) => ({
+            ...blog,
+            submission: [...statusHistory].reverse().find(entry => entry.to === 'in_review') || null
+        }));
+
+        res.status(200).json({
+            success: true,
+            data,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Get review queue error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve review queue',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Approve or reject a blog that is in review
+ * POST /api/blogs/:id/review
+ * Body: { decision: 'approve' | 'reject', comment }
+ * Requires blog.review permission
+ */
+const reviewBlog = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { decision, comment = '' } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid blog ID format'
+            });
+        }
+
+        if (!REVIEW_DECISIONS.includes(decision)) {
+            return res.status(400).json({
+                success: false,
+                error: `Decision must be one of: ${REVIEW_DECISIONS.join(', ')}`
+            });
+        }
+
+        if (decision === 'reject' && !comment.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'A comment is required when rejecting a blog'
+            });
+        }
+
+        const existingBlog = await Blog.findById(id);
+        if (!existingBlog) {
+            return res.status(404).json({
+                success: false,
+                error: 'Blog not found'
+            });
+        }
+
+        if (existingBlog.status !== 'in_review') {
+            return res.status(409).json({
+                success: false,
+                error: 'Only blogs in review can be approved or rejected',
+                details: `Current status: ${existingBlog.status}`
+            });
+        }
+
+        // Approved posts with a future publish date go live on schedule
+        let nextStatus = 'draft';
+        if (decision === 'approve') {
+            const publishAt = existingBlog.publishAt;
+            nextStatus = publishAt && publishAt > new Date() ? 'scheduled' : 'published';
+        }
+
+        // Conditional update guards against two reviewers deciding at once
+        const updatedBlog = await Blog.findOneAndUpdate(
+            { _id: id, status: 'in_review' },
+            {
+                status: nextStatus,
+                $push: { statusHistory: buildTransition('in_review', nextStatus, req.user._id, comment) }
+            },
+            { new: true }
+        )
+            .select('+statusHistory')
+            .populate('author', 'username email profile.firstName profile.lastName')
+            .populate('statusHistory.actor', ACTOR_SELECT);
+
+        if (!updatedBlog) {
+            return res.status(409).json({
+                success: false,
+                error: 'Blog was updated by someone else. Please refresh and try again.'
+            });
+        }
+
+        if (nextStatus !== 'draft') {
+            clearCacheByPattern('/api/blogs');
+        }
+
+        logger.info('Blog review decision recorded', {
+            blogId: updatedBlog._id,
+            decision,
+            status: nextStatus,
+            reviewer: req.user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: updatedBlog,
+            message: decision === 'approve'
+                ? `Blog approved and ${nextStatus === 'scheduled' ? 'scheduled' : 'published'}`
+                : 'Blog rejected and returned to draft'
+        });
+    } catch (error) {
+        console.error('Review blog error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to review blog',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Get the status transition history for a blog
+ * GET /api/blogs/:id/status-history
+ * Requires editorial.comment permission
+ */
+const getBlogStatusHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid blog ID format'
+            });
+        }
+
+        const blog = await Blog.findById(id)
+            .select('title status +statusHistory')
+            .populate('statusHistory.actor', ACTOR_SELECT);
+
+        if (!blog) {
+            return res.status(404).json({
+                success: false,
+                error: 'Blog not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                blogId: blog._id,
+                status: blog.status,
+                history: [...blog.statusHistory].reverse() // Most recent first
+            }
+        });
+    } catch (error) {
+        console.error('Get blog status history error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve blog status history',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    getReviewQueue,
+    reviewBlog,
+    getBlogStatusHistory
+};
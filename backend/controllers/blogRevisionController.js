@@ -0,0 +1,439 @@
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const permissionService = require('../services/permissionService');
+const { paginateQuery } = require('../utils/queryOptimization');
+const { diffHtml, diffText, diffLists } = require('../utils/contentDiff');
+const { requiresReviewAfterEdit, buildTransition } = require('../utils/blogWorkflow');
+
+/**
+ * Blog Revision Controller
+ * Handles revision history, comparison and restore for blog posts
+ */
+
+const EDITOR_SELECT = 'username profile.firstName profile.lastName';
+
+// Plain-text fields compared with an inline word diff
+const TEXT_FIELDS = [
+    { field: 'title', label: 'Title', get: snapshot => snapshot.title },
+    { field: 'excerpt', label: 'Excerpt', get: snapshot => snapshot.excerpt },
+    { field: 'category', label: 'Category', get: snapshot => snapshot.category },
+    { field: 'seoMetadata.metaTitle', label: 'Meta Title', get: snapshot => snapshot.seoMetadata.metaTitle },
+    { field: 'seoMetadata.metaDescription', label: 'Meta Description', get: snapshot => snapshot.seoMetadata.metaDescription },
+    { field: 'seoMetadata.ogImage', label: 'OG Image', get: snapshot => snapshot.seoMetadata.ogImage }
+];
+
+// List fields compared by added/removed items
+const LIST_FIELDS = [
+    { field: 'tags', label: 'Tags', get: snapshot => snapshot.tags },
+    { field: 'seoMetadata.keywords', label: 'SEO Keywords', get: snapshot => snapshot.seoMetadata.keywords }
+];
+
+/**
+ * Look up the category names of snapshots, which store category IDs
+ * @param {Array} snapshots - Snapshots from BlogRevision.buildSnapshot
+ * @returns {Array} Copies of the snapshots with the category name instead of its ID
+ */
+const withCategoryNames = async (snapshots) => {
+    const ids = snapshots.map(snapshot => snapshot.category).filter(Boolean);
+    const categories = await Category.find({ _id: { $in: ids } }).select('name').lean();
+    const names = new Map(categories.map(category => [category._id.toString(), category.name]));
+
+    return snapshots.map(snapshot => ({
+        ...snapshot,
+        category: snapshot.category ? names.get(snapshot.category.toString()) || '(deleted category)' : ''
+    }));
+};
+
+/**
+ * Describe one side of a comparison
+ */
+const describeVersion = (version, isCurrent = false) => {
+    if (isCurrent) {
+        return {
+            _id: 'current',
+            label: 'Current version',
+            updatedAt: version.updatedAt
+        };
+    }
+
+    return {
+        _id: version._id,
+        label: `Revision ${version.revisionNumber}`,
+        revisionNumber: version.revisionNumber,
+        changeType: version.changeType,
+        editedBy: version.editedBy,
+        createdAt: version.createdAt
+    };
+};
+
+/**
+ * Build a field-level comparison between two snapshots
+ * @param {Object} from - Older revision or blog
+ * @param {Object} to - Newer revision or blog
+ * @returns {Array} Field comparison entries
+ */
+const compareSnapshots = async (from, to) => {
+    const [before, after] = await withCategoryNames([
+        BlogRevision.buildSnapshot(from),
+        BlogRevision.buildSnapshot(to)
+    ]);
+
+    const textFields = TEXT_FIELDS.map(({ field, label, get }) => {
+        const diff = diffText(get(before), get(after));
+        return {
+            field,
+            label,
+            type: 'text',
+            changed: diff.changed,
+            before: get(before),
+            after: get(after),
+            diff: diff.html
+        };
+    });
+
+    const listFields = LIST_FIELDS.map(({ field, label, get }) => {
+        const diff = diffLists(get(before), get(after));
+        return {
+            field,
+            label,
+            type: 'list',
+            changed: diff.changed,
+            before: get(before),
+            after: get(after),
+            added: diff.added,
+            removed: diff.removed
+        };
+    });
+
+    const contentDiff = diffHtml(before.content, after.content);
+    const contentField = {
+        field: 'content',
+        label: 'Content',
+        type: 'html',
+        changed: contentDiff.changed,
+        diff: contentDiff.html,
+        stats: contentDiff.stats
+    };
+
+    return [...textFields, ...listFields, contentField];
+};
+
+/**
+ * Load a blog by ID, sending the appropriate error response if it cannot be found
+ * @returns {Object|null} Blog document or null if a response was sent
+ */
+const findBlogOrRespond = async (id, res) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid blog ID format'
+        });
+        return null;
+    }
+
+    const blog = await Blog.findById(id);
+    if (!blog) {
+        res.status(404).json({
+            success: false,
+            error: 'Blog not found'
+        });
+        return null;
+    }
+
+    return blog;
+};
+
+/**
+ * Check whether the user may work with a blog's history
+ * blog.edit.any covers every blog, blog.edit.own only the blogs the user is credited on
+ * @returns {Boolean} True if allowed
+ */
+const canEditBlog = async (req, blog) => {
+    const permissions = await permissionService.getRequestPermissions(req);
+    return permissions.includes('blog.edit.any') ||
+        (permissions.includes('blog.edit.own') && blog.isCreditedTo(req.user._id));
+};
+
+const sendHistoryDenied = (res) => res.status(403).json({
+    success: false,
+    error: 'Access denied. You can only view the history of your own blogs.'
+});
+
+/**
+ * Load a revision belonging to a blog, sending an error response if missing
+ * @returns {Object|null} Revision document or null if a response was sent
+ */
+const findRevisionOrRespond = async (blogId, revId, res) => {
+    if (!mongoose.Types.ObjectId.isValid(revId)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid revision ID format'
+        });
+        return null;
+    }
+
+    const revision = await BlogRevision.findOne({ _id: revId, blog: blogId })
+        .populate('editedBy', EDITOR_SELECT);
+
+    if (!revision) {
+        res.status(404).json({
+            success: false,
+            error: 'Revision not found'
+        });
+        return null;
+    }
+
+    return revision;
+};
+
+/**
+ * Get revision history for a blog
+ * GET /api/blogs/:id/revisions
+ * Requires blog.edit.any, or blog.edit.own for the user's own blogs
+ */
+const getBlogRevisions = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { page = 1, limit = 20 } = req.query;
+
+        const blog = await findBlogOrRespond(id, res);
+        if (!blog) return;
+        if (!await canEditBlog(req, blog)) {
+            return sendHistoryDenied(res);
+        }
+
+        const result = await paginateQuery(BlogRevision, { blog: blog._id }, {
+            page: parseInt(page, 10),
+            limit: parseInt(limit, 10),
+            sort: { revisionNumber: -1 },
+            select: '-content',
+            populate: [
+                { path: 'editedBy', select: EDITOR_SELECT },
+                { path: 'category', select: Blog.CATEGORY_FIELDS }
+            ]
+        });
+
+        res.status(200).json({
+            success: true,
+            data: result.data,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        console.error('Get blog revisions error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve blog revisions',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Get a single revision including its content
+ * GET /api/blogs/:id/revisions/:revId
+ * Requires blog.edit.any, or blog.edit.own for the user's own blogs
+ */
+const getBlogRevision = async (req, res) => {
+    try {
+        const { id, revId } = req.params;
+
+        const blog = await findBlogOrRespond(id, res);
+        if (!blog) return;
+        if (!await canEditBlog(req, blog)) {
+            return sendHistoryDenied(res);
+        }
+
+        const revision = await findRevisionOrRespond(blog._id, revId, res);
+        if (!revision) return;
+
+        await revision.populate('category', Blog.CATEGORY_FIELDS);
+
+        res.status(200).json({
+            success: true,
+            data: revision
+        });
+    } catch (error) {
+        console.error('Get blog revision error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve blog revision',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Compare two revisions (or a revision and the current blog)
+ * GET /api/blogs/:id/revisions/compare?from=<revId>&to=<revId|current>
+ * Requires blog.edit.any, or blog.edit.own for the user's own blogs
+ */
+const compareBlogRevisions = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { from, to = 'current' } = req.query;
+
+        if (!from) {
+            return res.status(400).json({
+                success: false,
+                error: 'The "from" revision ID is required'
+            });
+        }
+
+        const blog = await findBlogOrRespond(id, res);
+        if (!blog) return;
+        if (!await canEditBlog(req, blog)) {
+            return sendHistoryDenied(res);
+        }
+
+        const fromRevision = await findRevisionOrRespond(blog._id, from, res);
+        if (!fromRevision) return;
+
+        let toVersion = blog;
+        const compareToCurrent = to === 'current';
+        if (!compareToCurrent) {
+            toVersion = await findRevisionOrRespond(blog._id, to, res);
+            if (!toVersion) return;
+        }
+
+        const fields = await compareSnapshots(fromRevision, toVersion);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: describeVersion(fromRevision),
+                to: describeVersion(toVersion, compareToCurrent),
+                changedFields: fields.filter(field => field.changed).map(field => field.field),
+                fields
+            }
+        });
+    } catch (error) {
+        console.error('Compare blog revisions error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compare blog revisions',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Restore a blog to the content of a previous revision
+ * POST /api/blogs/:id/revisions/:revId/restore
+ * Requires blog.edit.any, or blog.edit.own for the user's own blogs
+ */
+const restoreBlogRevision = async (req, res) => {
+    try {
+        const { id, revId } = req.params;
+
+        const existingBlog = await findBlogOrRespond(id, res);
+        if (!existingBlog) return;
+
+        if (!await canEditBlog(req, existingBlog)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied. You can only restore your own blogs.'
+            });
+        }
+
+        const revision = await findRevisionOrRespond(existingBlog._id, revId, res);
+        if (!revision) return;
+
+        const snapshot = BlogRevision.buildSnapshot(revision);
+
+        // A different category must still be selectable; revisions without one keep the current category
+        const previousCategoryId = existingBlog.getCategoryId();
+        let categoryId = previousCategoryId;
+        if (snapshot.category && !snapshot.category.equals(previousCategoryId)) {
+            const category = await Category.findOne({ _id: snapshot.category, isActive: true }).select('_id');
+            if (!category) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Cannot restore revision. Its category no longer exists or is inactive.'
+                });
+            }
+            categoryId = category._id;
+        }
+
+        const restoreData = { ...snapshot, category: categoryId };
+
+        // Restoring other content into an approved blog sends it back to review unless the user can publish
+        const permissions = await permissionService.getRequestPermissions(req);
+        if (requiresReviewAfterEdit(permissions, existingBlog.status) && BlogRevision.hasChanges(existingBlog, restoreData)) {
+            restoreData.status = 'in_review';
+            restoreData.$push = {
+                statusHistory: buildTransition(existingBlog.status, 'in_review', req.user._id, `Restored revision ${revision.revisionNumber}`)
+            };
+        }
+
+        // Capture the pre-restore state for blogs that predate revision history
+        await BlogRevision.ensureBaseline(existingBlog);
+
+        const updatedBlog = await Blog.findByIdAndUpdate(
+            id,
+            restoreData,
+            {
+                new: true,
+                runValidators: true
+            }
+        ).populate('author', 'username email profile.firstName profile.lastName');
+
+        if (!categoryId.equals(previousCategoryId)) {
+            await Category.recountBlogCounts([previousCategoryId, categoryId]);
+        }
+        await Tag.recountUsage([...existingBlog.tags, ...updatedBlog.tags]);
+
+        const restoredRevision = await BlogRevision.recordSnapshot(
+            updatedBlog,
+            req.user._id,
+            'restore',
+            { restoredFrom: revision._id }
+        );
+
+        logger.info('Blog revision restored', {
+            blogId: updatedBlog._id,
+            revisionId: revision._id,
+            revisionNumber: revision.revisionNumber,
+            restoredBy: req.user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                blog: updatedBlog,
+                revision: restoredRevision
+            },
+            message: `Blog restored to revision ${revision.revisionNumber}`
+        });
+    } catch (error) {
+        console.error('Restore blog revision error:', error);
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore blog revision',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    getBlogRevisions,
+    getBlogRevision,
+    compareBlogRevisions,
+    restoreBlogRevision
+};
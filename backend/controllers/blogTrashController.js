@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Blog = require('../models/Blog');
+const logger = require('../utils/logger');
+const permissionService = require('../services/permissionService');
+const blogTrashService = require('../services/blogTrashService');
+const { clearCacheByPattern } = require('../middleware/cache');
+const { paginateQuery } = require('../utils/queryOptimization');
+
+/**
+ * Blog Trash Controller
+ * Lists, restores and permanently purges deleted blogs
+ */
+
+/**
+ * Blog filter for the trash the user may manage: every blog with
+ * blog.delete.any, otherwise only blogs they are the author of
+ * @returns {Object} Blog filter
+ */
+const getTrashScope = async (req) => {
+    if (await permissionService.can(req, 'blog.delete.any')) {
+        return {};
+    }
+    return { author: req.user._id };
+};
+
+/**
+ * Load a trashed blog the user may manage, answering 400/404 otherwise
+ * @returns {Object|null} Blog document, or null when a response was sent
+ */
+const findTrashedBlog = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid blog ID format'
+        });
+        return null;
+    }
+
+    const scope = await getTrashScope(req);
+    const blog = await Blog.findOne(blogTrashService.inTrash({ ...scope, _id: req.params.id }));
+    if (!blog) {
+        res.status(404).json({
+            success: false,
+            error: 'Blog not found in trash'
+        });
+        return null;
+    }
+
+    return blog;
+};
+
+/**
+ * Get trashed blogs, most recently deleted first
+ * GET /api/blogs/trash
+ * Query: page, limit, search
+ * Requires blog.delete.any, or blog.delete.own for the user's own blogs
+ */
+const getTrash = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, search } = req.query;
+
+        const filter = blogTrashService.inTrash(await getTrashScope(req));
+        if (search && search.trim()) {
+            filter.title = { $regex: search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        }
+
+        const { data, pagination } = await paginateQuery(Blog, filter, {
+            page: Math.max(parseInt(page, 10) || 1, 1),
+            limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+            sort: { deletedAt: -1 },
+            select: 'title slug excerpt category tags status author deletedAt deletedBy createdAt',
+            populate: [
+                { path: 'author', select: 'username profile.firstName profile.lastName' },
+                { path: 'deletedBy', select: 'username profile.firstName profile.lastName' }
+            ]
+        });
+
+        res.status(200).json({
+            success: true,
+            data: data.map(blog => ({ ...blog, purgeAt: blogTrashService.getPurgeDate(blog.deletedAt) })),
+            pagination,
+            retentionDays: blogTrashService.getRetentionDays()
+        });
+    } catch (error) {
+        console.error('Get trash error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve trash',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Restore a blog from the trash
+ * POST /api/blogs/:id/restore
+ * Requires blog.delete.any, or blog.delete.own for the user's own blogs
+ */
+const restoreBlog = async (req, res) => {
+    try {
+        const blog = await findTrashedBlog(req, res);
+        if (!blog) return;
+
+        const restored = await blogTrashService.restore(blog);
+        if (!restored) {
+            return res.status(409).json({
+                success: false,
+                error: 'Blog was restored or purged by someone else. Please refresh and try again.'
+            });
+        }
+
+        clearCacheByPattern('/api/blogs');
+
+        logger.info('Blog restored from trash', {
+            blogId: restored._id,
+            title: restored.title,
+            user: req.user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: restored,
+            message: 'Blog restored'
+        });
+    } catch (error) {
+        console.error('Restore blog error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore blog',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Permanently delete a trashed blog with its revisions and comments
+ * DELETE /api/blogs/:id/purge
+ * Requires blog.delete.any, or blog.delete.own for the user's own blogs
+ */
+const purgeBlog = async (req, res) => {
+    try {
+        const blog = await findTrashedBlog(req, res);
+        if (!blog) return;
+
+        await blogTrashService.purge([blog._id]);
+
+        logger.info('Blog purged from trash', {
+            blogId: blog._id,
+            title: blog.title,
+            user: req.user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                id: blog._id,
+                title: blog.title,
+                slug: blog.slug
+            },
+            message: 'Blog permanently deleted'
+        });
+    } catch (error) {
+        console.error('Purge blog error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to permanently delete blog',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    getTrash,
+    restoreBlog,
+    purgeBlog
+};
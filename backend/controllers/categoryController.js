@@ -2,26 +2,73 @@ const Category = require('../models/Category');
 const Blog = require('../models/Blog');
 const mongoose = require('mongoose');
 const { catchAsync } = require('../middleware/errorHandler');
+const { clearCacheByPattern } = require('../middleware/cache');
 const { NotFoundError, ValidationError, DatabaseError } = require('../utils/customErrors');
+const { withTransaction } = require('../utils/transaction');
+const blogTrashService = require('../services/blogTrashService');
 const logger = require('../utils/logger');
 
+// Most posts listed in a merge preview; the rest are only counted
+const MERGE_PREVIEW_LIMIT = 100;
+
 /**
  * Category Controller
  * Handles all category-related operations
  */
 
+/**
+ * Load the parent for a category and make sure the move keeps the tree valid:
+ * no cycles and no deeper than MAX_CATEGORY_DEPTH levels
+ * @param {String} parentId - Requested parent ID (empty for top level)
+ * @param {Object} category - Category being moved (null when creating)
+ * @returns {Object|null} Parent category, or null for top level
+ */
+const resolveParent = async (parentId, category = null) => {
+    if (!parentId) {
+        return null;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(parentId)) {
+        throw new ValidationError('Invalid parent category ID format');
+    }
+
+    const parent = await Category.findById(parentId);
+    if (!parent) {
+        throw new ValidationError('Parent category not found');
+    }
+
+    // Levels the moved category brings along: itself plus its deepest subcategory
+    let height = 1;
+    if (category) {
+        if (parent.getPath().includes(`,${category._id},`)) {
+            throw new ValidationError('A category cannot be moved under itself or one of its subcategories');
+        }
+
+        const subtree = await Category.findSubtree(category).select('path');
+        height = Math.max(...subtree.map(item => item.depth)) - category.depth + 1;
+    }
+
+    if (parent.depth + height > Category.MAX_CATEGORY_DEPTH) {
+        throw new ValidationError(`Categories can be nested at most ${Category.MAX_CATEGORY_DEPTH} levels deep`);
+    }
+
+    return parent;
+};
+
 /**
  * Create a new category
  * POST /api/categories
- * Requires admin role
+ * Requires category.manage permission
  */
 const createCategory = catchAsync(async (req, res) => {
-    const { name, description, icon } = req.body;
+    const { name, description, icon, parent } = req.body;
 
     if (!name) {
         throw new ValidationError('Category name is required');
     }
 
+    const parentCategory = await resolveParent(parent);
+
     logger.info('Creating new category', {
         name: name?.trim(),
         createdBy: req.user._id
@@ -34,12 +81,16 @@ const createCategory = catchAsync(async (req, res) => {
 
     if (description) categoryData.description = description.trim();
     if (icon) categoryData.icon = icon.trim();
+    if (parentCategory) categoryData.parent = parentCategory._id;
 
     try {
         const category = new Category(categoryData);
         await category.save();
 
-        await category.populate('createdBy', 'username email');
+        await category.populate([
+            { path: 'createdBy', select: 'username email' },
+            { path: 'parent', select: 'name slug' }
+        ]);
 
         logger.info('Category created successfully', {
             categoryId: category._id,
@@ -63,6 +114,7 @@ const createCategory = catchAsync(async (req, res) => {
 /**
  * Get all categories
  * GET /api/categories
+ * Query: parent ('root' for top-level categories, or a category ID for its children)
  * Public endpoint
  */
 const getCategories = catchAsync(async (req, res) => {
@@ -71,7 +123,8 @@ const getCategories = catchAsync(async (req, res) => {
         withBlogCount = true,
         page = 1,
         limit = 20,
-        search = ''
+        search = '',
+        parent
     } = req.query;
 
     let filter = {};
@@ -79,6 +132,16 @@ const getCategories = catchAsync(async (req, res) => {
         filter.isActive = true;
     }
 
+    // Limit to one level of the tree
+    if (parent === 'root') {
+        filter.parent = null;
+    } else if (parent) {
+        if (!mongoose.Types.ObjectId.isValid(parent)) {
+            throw new ValidationError('Invalid parent category ID format');
+        }
+        filter.parent = parent;
+    }
+
     // Add search filter
     if (search) {
         filter.$or = [
@@ -105,7 +168,7 @@ const getCategories = catchAsync(async (req, res) => {
     if (withBlogCount) {
         for (let category of categories) {
             const actualCount = await Blog.countDocuments({
-                category: category.name,
+                category: category._id,
                 status: 'published'
             });
             category.actualBlogCount = actualCount;
@@ -137,17 +200,35 @@ const getCategoryBySlug = catchAsync(async (req, res) => {
         .populate('createdBy', 'username email');
 
     if (!category) {
+        // Slugs of merged categories point at the category they were merged into
+        const mergedInto = await Category.findOne({ previousSlugs: slug, isActive: true }).select('slug');
+        if (mergedInto) {
+            return res.status(301)
+                .location(`${req.baseUrl}/${mergedInto.slug}`)
+                .json({
+                    success: true,
+                    redirectTo: mergedInto.slug,
+                    message: `Category "${slug}" has moved to "${mergedInto.slug}"`
+                });
+        }
         throw new NotFoundError(`No category found with slug: ${slug}`);
     }
 
     // Get actual blog count
     const actualBlogCount = await Blog.countDocuments({
-        category: category.name,
+        category: category._id,
         status: 'published'
     });
 
+    const [breadcrumbs, children] = await Promise.all([
+        Category.getBreadcrumbs(category._id),
+        Category.find({ parent: category._id, isActive: true }).select('name slug description icon').sort({ name: 1 }).lean()
+    ]);
+
     const categoryObj = category.toObject();
     categoryObj.actualBlogCount = actualBlogCount;
+    categoryObj.breadcrumbs = breadcrumbs;
+    categoryObj.children = children;
 
     res.status(200).json({
         success: true,
@@ -158,11 +239,11 @@ const getCategoryBySlug = catchAsync(async (req, res) => {
 /**
  * Update category
  * PUT /api/categories/:id
- * Requires admin role
+ * Requires category.manage permission
  */
 const updateCategory = catchAsync(async (req, res) => {
     const { id } = req.params;
-    const { name, description, icon, isActive } = req.body;
+    const { name, description, icon, isActive, parent } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
         throw new ValidationError('Invalid category ID format');
@@ -178,26 +259,21 @@ const updateCategory = catchAsync(async (req, res) => {
     if (description !== undefined) updateData.description = description.trim();
     if (icon !== undefined) updateData.icon = icon.trim();
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (parent !== undefined) {
+        const parentCategory = await resolveParent(parent, existingCategory);
+        updateData.parent = parentCategory ? parentCategory._id : null;
+    }
 
     try {
-        // If name is being changed, update all blogs with the old category name
-        if (name && name.trim() !== existingCategory.name) {
-            await Blog.updateMany(
-                { category: existingCategory.name },
-                { category: name.trim() }
-            );
-
-            logger.info('Updated blog categories', {
-                oldCategory: existingCategory.name,
-                newCategory: name.trim()
-            });
-        }
+        // Blogs reference the category by ID, so a new name needs no blog updates.
+        // Saved as a document so a new parent also moves the materialized paths of the subtree
+        existingCategory.set(updateData);
+        await existingCategory.save();
 
-        const updatedCategory = await Category.findByIdAndUpdate(
-            id,
-            updateData,
-            { new: true, runValidators: true }
-        ).populate('createdBy', 'username email');
+        const updatedCategory = await existingCategory.populate([
+            { path: 'createdBy', select: 'username email' },
+            { path: 'parent', select: 'name slug' }
+        ]);
 
         res.status(200).json({
             success: true,
@@ -215,7 +291,7 @@ const updateCategory = catchAsync(async (req, res) => {
 /**
  * Delete category
  * DELETE /api/categories/:id
- * Requires admin role
+ * Requires category.manage permission
  */
 const deleteCategory = catchAsync(async (req, res) => {
     const { id } = req.params;
@@ -230,8 +306,17 @@ const deleteCategory = catchAsync(async (req, res) => {
         throw new NotFoundError('Category not found');
     }
 
-    // Check if there are blogs using this category
-    const blogCount = await Blog.countDocuments({ category: category.name });
+    // Subcategories would lose their place in the tree
+    const childCount = await Category.countDocuments({ parent: category._id });
+    if (childCount > 0) {
+        throw new ValidationError(
+            `Cannot delete category. It has ${childCount} subcategories. ` +
+            'Please move or delete them first.'
+        );
+    }
+
+    // Check if there are blogs using this category, including blogs in the trash
+    const blogCount = await Blog.countDocuments({ category: category._id }).setOptions({ withTrashed: true });
 
     if (blogCount > 0) {
         if (!reassignTo) {
@@ -242,20 +327,26 @@ const deleteCategory = catchAsync(async (req, res) => {
         }
 
         // Verify the reassign category exists
-        const reassignCategory = await Category.findOne({ name: reassignTo, isActive: true });
+        const reassignCategory = await Category.findByReference(reassignTo).where({ isActive: true });
         if (!reassignCategory) {
             throw new ValidationError('Reassign category not found or inactive');
         }
+        if (reassignCategory._id.equals(category._id)) {
+            throw new ValidationError('Blogs cannot be reassigned to the category being deleted');
+        }
 
         // Reassign all blogs to the new category
         await Blog.updateMany(
-            { category: category.name },
-            { category: reassignTo }
+            { category: category._id },
+            { category: reassignCategory._id },
+            { withTrashed: true }
         );
+        await Category.recountBlogCount(reassignCategory._id);
+        clearCacheByPattern('/api/blogs');
 
         logger.info('Reassigned blogs to new category', {
             deletedCategory: category.name,
-            reassignedTo: reassignTo,
+            reassignedTo: reassignCategory.name,
             blogCount
         });
     }
@@ -274,6 +365,153 @@ const deleteCategory = catchAsync(async (req, res) => {
     });
 });
 
+/**
+ * Load both sides of a merge and make sure the target can absorb the source:
+ * the target is a different category outside the source's subtree, and the
+ * source's subcategories still fit within MAX_CATEGORY_DEPTH under it
+ * @param {String} id - Category being merged away
+ * @param {String} targetId - Category that survives the merge
+ * @returns {Object} { source, target, children }
+ */
+const loadMerge = async (id, targetId) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError('Invalid category ID format');
+    }
+    if (!targetId || !mongoose.Types.ObjectId.isValid(targetId)) {
+        throw new ValidationError('A valid target category ID is required');
+    }
+    if (id === targetId.toString()) {
+        throw new ValidationError('A category cannot be merged into itself');
+    }
+
+    const [source, target] = await Promise.all([Category.findById(id), Category.findById(targetId)]);
+    if (!source) {
+        throw new NotFoundError('Category not found');
+    }
+    if (!target) {
+        throw new ValidationError('Target category not found');
+    }
+
+    if (target.getPath().includes(`,${source._id},`)) {
+        throw new ValidationError('A category cannot be merged into one of its subcategories');
+    }
+
+    // Subcategories move under the target, so they must fit there
+    const children = await Category.find({ parent: source._id });
+    for (const child of children) {
+        await resolveParent(target._id, child);
+    }
+
+    return { source, target, children };
+};
+
+/**
+ * Preview merging a category into another
+ * GET /api/categories/:id/merge-preview
+ * Query: targetId
+ * Lists the posts and subcategories that would move; nothing is changed
+ * Requires category.manage permission
+ */
+const getMergePreview = catchAsync(async (req, res) => {
+    const { source, target, children } = await loadMerge(req.params.id, req.query.targetId);
+
+    const [blogs, blogCount, trashedBlogCount] = await Promise.all([
+        Blog.find({ category: source._id })
+            .select('title slug status author updatedAt')
+            .populate('author', 'username')
+            .sort({ updatedAt: -1 })
+            .limit(MERGE_PREVIEW_LIMIT)
+            .lean(),
+        Blog.countDocuments({ category: source._id }),
+        Blog.countDocuments(blogTrashService.inTrash({ category: source._id }))
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            source: { _id: source._id, name: source.name, slug: source.slug, blogCount: source.blogCount },
+            target: { _id: target._id, name: target.name, slug: target.slug, blogCount: target.blogCount },
+            blogs,
+            blogCount,
+            trashedBlogCount,
+            subcategories: children.map(child => ({ _id: child._id, name: child.name, slug: child.slug })),
+            redirect: { from: source.slug, to: target.slug }
+        }
+    });
+});
+
+/**
+ * Merge a category into another
+ * POST /api/categories/:id/merge
+ * Body: targetId
+ * Moves every post (trashed ones included) and subcategory to the target, recounts its
+ * blogs, deletes the merged category and redirects its slug to the target's
+ * Requires category.manage permission
+ */
+const mergeCategory = catchAsync(async (req, res) => {
+    const { source, target, children } = await loadMerge(req.params.id, req.body.targetId);
+
+    logger.info('Merging category', {
+        source: source.name,
+        target: target.name,
+        mergedBy: req.user._id
+    });
+
+    let movedBlogs = 0;
+    try {
+        await withTransaction(async (session) => {
+            const result = await Blog.updateMany(
+                { category: source._id },
+                { category: target._id },
+                { session, withTrashed: true }
+            );
+            movedBlogs = result.modifiedCount;
+
+            for (const child of children) {
+                child.parent = target._id;
+                await child.save({ session });
+            }
+
+            // Old links keep working, including links to categories merged into the source earlier
+            const redirects = new Set([...(target.previousSlugs || []), ...(source.previousSlugs || []), source.slug]);
+            redirects.delete(target.slug);
+            target.previousSlugs = [...redirects];
+
+            await Category.deleteOne({ _id: source._id }, { session });
+            await target.save({ session });
+            await Category.recountBlogCount(target._id, session);
+        });
+    } catch (error) {
+        logger.error('Category merge failed', { source: source.name, target: target.name, error: error.message });
+        throw new DatabaseError('Failed to merge category');
+    }
+
+    clearCacheByPattern('/api/blogs');
+
+    const mergedCategory = await Category.findById(target._id).populate([
+        { path: 'createdBy', select: 'username email' },
+        { path: 'parent', select: 'name slug' }
+    ]);
+
+    logger.info('Category merged', {
+        source: source.name,
+        target: target.name,
+        movedBlogs,
+        movedSubcategories: children.length
+    });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            source: { _id: source._id, name: source.name, slug: source.slug },
+            target: mergedCategory,
+            movedBlogs,
+            movedSubcategories: children.length
+        },
+        message: `Category "${source.name}" merged into "${target.name}"`
+    });
+});
+
 /**
  * Get categories with blog statistics
  * GET /api/categories/stats
@@ -287,13 +525,13 @@ const getCategoryStats = catchAsync(async (req, res) => {
         {
             $lookup: {
                 from: 'blogs',
-                let: { categoryName: '$name' },
+                let: { categoryId: '$_id' },
                 pipeline: [
                     {
                         $match: {
                             $expr: {
                                 $and: [
-                                    { $eq: ['$category', '$$categoryName'] },
+                                    { $eq: ['$category', '$$categoryId'] },
                                     { $eq: ['$status', 'published'] }
                                 ]
                             }
@@ -366,6 +604,8 @@ module.exports = {
     getCategoryBySlug,
     updateCategory,
     deleteCategory,
+    getMergePreview,
+    mergeCategory,
     getCategoryStats,
     validateCategory
 };
\ No newline at end of file
@@ -0,0 +1,472 @@
+const Blog = require('../models/Blog');
+const Comment = require('../models/Comment');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { paginateQuery } = require('../utils/queryOptimization');
+
+const { MAX_DEPTH, MODERATION_STATUSES } = Comment;
+
+/**
+ * Comment Controller
+ * Handles public reader comments and their moderation
+ */
+
+const AUTHOR_SELECT = 'username profile.firstName profile.lastName profile.avatar';
+
+// Comments from these roles skip the moderation queue
+const TRUSTED_ROLES = ['admin', 'editor', 'reviewer'];
+
+/**
+ * Escape user input for use in a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find a published blog by slug for the public comment endpoints
+ */
+const findPublishedBlog = (slug) => Blog.findOne({ slug, status: 'published' }).select('_id title slug');
+
+/**
+ * Get approved comments for a blog as nested threads
+ * GET /api/blogs/:slug/comments
+ * Query: page, limit (top-level comments per page)
+ * Public endpoint
+ */
+const getBlogComments = async (req, res) => {
+    try {
+        const { slug } = req.params;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+        const blog = await findPublishedBlog(slug);
+        if (!blog) {
+            return res.status(404).json({
+                success: false,
+                error: 'Blog not found'
+            });
+        }
+
+        const result = await paginateQuery(Comment, { blog: blog._id, status: 'approved', parent: null }, {
+            page,
+            limit,
+            sort: { createdAt: -1 },
+            select: 'blog parent root depth content author authorName createdAt',
+            populate: { path: 'author', select: AUTHOR_SELECT }
+        });
+
+        const [replies, totalApproved] = await Promise.all([
+            Comment.find({ root: { $in: result.data.map(comment => comment._id) }, status: 'approved' })
+                .select('blog parent root depth content author authorName createdAt')
+                .populate('author', AUTHOR_SELECT)
+                .sort({ createdAt: 1 })
+                .lean(),
+            Comment.countDocuments({ blog: blog._id, status: 'approved' })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: Comment.buildTree(result.data, replies),
+            pagination: result.pagination,
+            totalComments: totalApproved
+        });
+    } catch (error) {
+        console.error('Get blog comments error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve comments',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Post a comment or reply on a published blog
+ * POST /api/blogs/:slug/comments
+ * Body: { content, parentId, authorName, authorEmail }
+ * Public endpoint (guests must give a name and email)
+ */
+const createBlogComment = async (req, res) => {
+    try {
+        const { slug } = req.params;
+        const { content, parentId, authorName, authorEmail } = req.body;
+
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Comment content is required'
+            });
+        }
+
+        if (!req.user && (!authorName?.trim() || !authorEmail?.trim())) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name and email are required to comment as a guest'
+            });
+        }
+
+        const blog = await findPublishedBlog(slug);
+        if (!blog) {
+            return res.status(404).json({
+                success: false,
+                error: 'Blog not found'
+            });
+        }
+
+        const commentData = {
+            blog: blog._id,
+            content,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        };
+
+        if (req.user) {
+            commentData.author = req.user._id;
+            commentData.authorName = req.user.username;
+        } else {
+            commentData.authorName = authorName;
+            commentData.authorEmail = authorEmail;
+        }
+
+        if (parentId) {
+            if (!mongoose.Types.ObjectId.isValid(parentId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid parent comment ID format'
+                });
+            }
+
+            const parent = await Comment.findOne({ _id: parentId, blog: blog._id, status: 'approved' });
+            if (!parent) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Parent comment not found'
+                });
+            }
+
+            // Past the maximum depth, replies become siblings of the parent
+            const attachTo = parent.depth >= MAX_DEPTH ? parent.parent : parent._id;
+            commentData.parent = attachTo;
+            commentData.root = parent.root || parent._id;
+            commentData.depth = Math.min(parent.depth + 1, MAX_DEPTH);
+        }
+
+        if (req.user && TRUSTED_ROLES.includes(req.user.role)) {
+            commentData.status = 'approved';
+            commentData.moderatedBy = req.user._id;
+            commentData.moderatedAt = new Date();
+        }
+
+        const comment = await Comment.create(commentData);
+        await comment.populate('author', AUTHOR_SELECT);
+
+        // Strip private fields from the response
+        const { authorEmail: email, ipAddress, userAgent, ...publicComment } = comment.toJSON();
+
+        res.status(201).json({
+            success: true,
+            data: publicComment,
+            message: comment.status === 'approved'
+                ? 'Comment posted successfully'
+                : 'Comment submitted and awaiting moderation'
+        });
+    } catch (error) {
+        console.error('Create blog comment error:', error);
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to post comment',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Get comments for moderation
+ * GET /api/comments
+ * Query: status, blog, search, page, limit
+ * Requires comment.moderate permission
+ */
+const getComments = async (req, res) => {
+    try {
+        const { status, blog, search, page = 1, limit = 20 } = req.query;
+
+        const filter = {};
+
+        if (status) {
+            if (!MODERATION_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Status must be one of: ${MODERATION_STATUSES.join(', ')}`
+                });
+            }
+            filter.status = status;
+        }
+
+        if (blog) {
+            if (!mongoose.Types.ObjectId.isValid(blog)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid blog ID format'
+                });
+            }
+            filter.blog = blog;
+        }
+
+        if (search && search.trim()) {
+            const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+            filter.$or = [
+                { content: pattern },
+                { authorName: pattern }
+            ];
+        }
+
+        const [result, counts] = await Promise.all([
+            paginateQuery(Comment, filter, {
+                page: parseInt(page, 10),
+                limit: Math.min(parseInt(limit, 10) || 20, 100),
+                sort: { createdAt: -1 },
+                select: '+authorEmail +ipAddress',
+                populate: [
+                    { path: 'blog', select: 'title slug' },
+                    { path: 'author', select: AUTHOR_SELECT },
+                    { path: 'moderatedBy', select: 'username' }
+                ]
+            }),
+            Comment.getStatusCounts()
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: result.data,
+            pagination: result.pagination,
+            counts
+        });
+    } catch (error) {
+        console.error('Get comments error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve comments',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Validate a moderation status from the request body
+ * @returns {String|null} Error message or null if valid
+ */
+const validateModerationStatus = (status) => {
+    if (!MODERATION_STATUSES.includes(status)) {
+        return `Status must be one of: ${MODERATION_STATUSES.join(', ')}`;
+    }
+    return null;
+};
+
+/**
+ * Set the moderation status of a comment
+ * PATCH /api/comments/:id
+ * Body: { status }
+ * Requires comment.moderate permission
+ */
+const moderateComment = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid comment ID format'
+            });
+        }
+
+        const statusError = validateModerationStatus(status);
+        if (statusError) {
+            return res.status(400).json({
+                success: false,
+                error: statusError
+            });
+        }
+
+        const comment = await Comment.findByIdAndUpdate(
+            id,
+            { status, moderatedBy: req.user._id, moderatedAt: new Date() },
+            { new: true }
+        )
+            .populate('blog', 'title slug')
+            .populate('moderatedBy', 'username');
+
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Comment not found'
+            });
+        }
+
+        logger.info('Comment moderated', {
+            commentId: comment._id,
+            status,
+            moderatedBy: req.user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: comment,
+            message: `Comment marked as ${status}`
+        });
+    } catch (error) {
+        console.error('Moderate comment error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to moderate comment',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Set the moderation status of several comments at once
+ * POST /api/comments/bulk
+ * Body: { ids: [], status }
+ * Requires comment.moderate permission
+ */
+const bulkModerateComments = async (req, res) => {
+    try {
+        const { ids, status } = req.body;
+
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'At least one comment ID is required'
+            });
+        }
+
+        if (ids.length > 100) {
+            return res.status(400).json({
+                success: false,
+                error: 'Cannot moderate more than 100 comments at once'
+            });
+        }
+
+        const invalidIds = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+        if (invalidIds.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid comment ID format',
+                details: invalidIds
+            });
+        }
+
+        const statusError = validateModerationStatus(status);
+        if (statusError) {
+            return res.status(400).json({
+                success: false,
+                error: statusError
+            });
+        }
+
+        const result = await Comment.updateMany(
+            { _id: { $in: ids } },
+            { status, moderatedBy: req.user._id, moderatedAt: new Date() }
+        );
+
+        logger.info('Comments moderated in bulk', {
+            count: result.modifiedCount,
+            status,
+            moderatedBy: req.user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                matched: result.matchedCount,
+                modified: result.modifiedCount,
+                status
+            },
+            message: `${result.modifiedCount} comment(s) marked as ${status}`
+        });
+    } catch (error) {
+        console.error('Bulk moderate comments error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to moderate comments',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Delete a comment and all replies below it
+ * DELETE /api/comments/:id
+ * Requires comment.moderate permission
+ */
+const deleteComment = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid comment ID format'
+            });
+        }
+
+        const comment = await Comment.findById(id);
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Comment not found'
+            });
+        }
+
+        // Collect the whole subtree level by level
+        const idsToDelete = [comment._id];
+        let level = [comment._id];
+        while (level.length > 0) {
+            const children = await Comment.find({ parent: { $in: level } }).select('_id').lean();
+            level = children.map(child => child._id);
+            idsToDelete.push(...level);
+        }
+
+        const result = await Comment.deleteMany({ _id: { $in: idsToDelete } });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                id: comment._id,
+                deletedCount: result.deletedCount
+            },
+            message: 'Comment deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete comment error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete comment',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    getBlogComments,
+    createBlogComment,
+    getComments,
+    moderateComment,
+    bulkModerateComments,
+    deleteComment
+};
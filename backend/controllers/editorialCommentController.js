@@ -0,0 +1,484 @@
+const Blog = require('../models/Blog');
+const EditorialComment = require('../models/EditorialComment');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const permissionService = require('../services/permissionService');
+
+/**
+ * Editorial Comment Controller
+ * Handles internal review threads anchored to the blog content
+ * These comments are staff-only and never part of public blog responses
+ */
+
+const USER_SELECT = 'username profile.firstName profile.lastName';
+
+// Roles that take part in editorial review and can be mentioned
+
+const COMMENT_POPULATE = [
+    { path: 'author', select: USER_SELECT },
+    { path: 'mentions', select: USER_SELECT },
+    { path: 'resolvedBy', select: USER_SELECT }
+];
+
+/**
+ * Escape user input for use in a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Validate a text range anchor sent by the editor
+ * @param {Object} anchor - { index, length, quote }
+ * @returns {String|null} Error message or null if valid
+ */
+const validateAnchor = (anchor) => {
+    if (!anchor || typeof anchor !== 'object') {
+        return 'A text selection is required to start a comment thread';
+    }
+
+    if (!Number.isInteger(anchor.index) || anchor.index < 0) {
+        return 'Anchor index must be a non-negative integer';
+    }
+
+    if (!Number.isInteger(anchor.length) || anchor.length < 1) {
+        return 'Anchor length must be a positive integer';
+    }
+
+    if (typeof anchor.quote !== 'string' || !anchor.quote.trim()) {
+        return 'Anchor must include the selected text';
+    }
+
+    return null;
+};
+
+/**
+ * Resolve @mentions in a comment to active staff users
+ * @param {String} text - Comment text
+ * @returns {Array} Mentioned user IDs
+ */
+const resolveMentions = async (text) => {
+    const usernames = EditorialComment.extractMentions(text);
+    if (usernames.length === 0) {
+        return [];
+    }
+
+    const users = await User.find({
+        username: { $in: usernames },
+        role: { $in: await permissionService.getRolesWith('editorial.comment') },
+        isActive: true
+    }).select('_id');
+
+    return users.map(user => user._id);
+};
+
+/**
+ * Only the comment author or a user with editorial.moderate may edit or delete a comment
+ */
+const canModifyComment = async (comment, req) => {
+    return comment.author.toString() === req.user._id.toString() || permissionService.can(req, 'editorial.moderate');
+};
+
+/**
+ * Load the blog and comment named in the route, sending an error response if either is missing
+ * @returns {Object|null} { comment } or null if a response was sent
+ */
+const findBlogComment = async (req, res) => {
+    const { id, commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(commentId)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid blog or comment ID format'
+        });
+        return null;
+    }
+
+    const comment = await EditorialComment.findOne({ _id: commentId, blog: id });
+    if (!comment) {
+        res.status(404).json({
+            success: false,
+            error: 'Comment not found'
+        });
+        return null;
+    }
+
+    return { comment };
+};
+
+/**
+ * Log mentions so they can be picked up by notifications
+ */
+const logMentions = (comment, blogId, actorId) => {
+    if (comment.mentions.length > 0) {
+        logger.info('Users mentioned in editorial comment', {
+            blogId,
+            commentId: comment._id,
+            mentionedBy: actorId,
+            mentions: comment.mentions.map(mention => mention._id || mention)
+        });
+    }
+};
+
+/**
+ * Get comment threads for a blog
+ * GET /api/blogs/:id/comments
+ * Query: status (open | resolved)
+ * Requires editorial.comment permission
+ */
+const getBlogComments = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid blog ID format'
+            });
+        }
+
+        if (status && !['open', 'resolved'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Status must be either open or resolved'
+            });
+        }
+
+        const blogExists = await Blog.exists({ _id: id });
+        if (!blogExists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Blog not found'
+            });
+        }
+
+        const threads = await EditorialComment.findThreads(id, { status, populate: COMMENT_POPULATE });
+
+        res.status(200).json({
+            success: true,
+            data: threads,
+            counts: {
+                total: threads.length,
+                open: threads.filter(thread => thread.status === 'open').length
+            }
+        });
+    } catch (error) {
+        console.error('Get blog comments error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve comments',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Start a comment thread or reply to one
+ * POST /api/blogs/:id/comments
+ * Body: { body, anchor: { index, length, quote } } or { body, parentId }
+ * Requires editorial.comment permission
+ */
+const createBlogComment = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { body, anchor, parentId } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid blog ID format'
+            });
+        }
+
+        if (typeof body !== 'string' || !body.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Comment text is required'
+            });
+        }
+
+        const blogExists = await Blog.exists({ _id: id });
+        if (!blogExists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Blog not found'
+            });
+        }
+
+        const commentData = {
+            blog: id,
+            body,
+            author: req.user._id,
+            mentions: await resolveMentions(body)
+        };
+
+        if (parentId) {
+            if (!mongoose.Types.ObjectId.isValid(parentId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid parent comment ID format'
+                });
+            }
+
+            const parent = await EditorialComment.findOne({ _id: parentId, blog: id });
+            if (!parent) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Parent comment not found'
+                });
+            }
+
+            // Threads are one level deep, replies to replies join the root thread
+            commentData.parent = parent.parent || parent._id;
+        } else {
+            const anchorError = validateAnchor(anchor);
+            if (anchorError) {
+                return res.status(400).json({
+                    success: false,
+                    error: anchorError
+                });
+            }
+
+            commentData.anchor = {
+                index: anchor.index,
+                length: anchor.length,
+                quote: anchor.quote.slice(0, 1000)
+            };
+        }
+
+        const comment = await EditorialComment.create(commentData);
+        await comment.populate(COMMENT_POPULATE);
+
+        logMentions(comment, id, req.user._id);
+
+        res.status(201).json({
+            success: true,
+            data: comment,
+            message: parentId ? 'Reply added successfully' : 'Comment added successfully'
+        });
+    } catch (error) {
+        console.error('Create blog comment error:', error);
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add comment',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Edit the text of a comment
+ * PATCH /api/blogs/:id/comments/:commentId
+ * Body: { body }
+ * Requires the comment author or editorial.moderate permission
+ */
+const updateBlogComment = async (req, res) => {
+    try {
+        const { body } = req.body;
+
+        const found = await findBlogComment(req, res);
+        if (!found) return;
+        const { comment } = found;
+
+        if (!(await canModifyComment(comment, req))) {
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied. You can only edit your own comments.'
+            });
+        }
+
+        if (typeof body !== 'string' || !body.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Comment text is required'
+            });
+        }
+
+        comment.body = body;
+        comment.mentions = await resolveMentions(body);
+        await comment.save();
+        await comment.populate(COMMENT_POPULATE);
+
+        logMentions(comment, req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: comment,
+            message: 'Comment updated successfully'
+        });
+    } catch (error) {
+        console.error('Update blog comment error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update comment',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Resolve or reopen a comment thread
+ * @param {String} status - Target thread status
+ */
+const setThreadStatus = (status) => async (req, res) => {
+    try {
+        const found = await findBlogComment(req, res);
+        if (!found) return;
+        const { comment } = found;
+
+        if (comment.parent) {
+            return res.status(400).json({
+                success: false,
+                error: 'Only comment threads can be resolved or reopened'
+            });
+        }
+
+        if (comment.status === status) {
+            return res.status(409).json({
+                success: false,
+                error: `Comment thread is already ${status}`
+            });
+        }
+
+        comment.status = status;
+        comment.resolvedBy = status === 'resolved' ? req.user._id : null;
+        comment.resolvedAt = status === 'resolved' ? new Date() : null;
+        await comment.save();
+        await comment.populate(COMMENT_POPULATE);
+
+        res.status(200).json({
+            success: true,
+            data: comment,
+            message: status === 'resolved' ? 'Comment thread resolved' : 'Comment thread reopened'
+        });
+    } catch (error) {
+        console.error(`Set comment thread ${status} error:`, error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update comment thread',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Resolve a comment thread
+ * PATCH /api/blogs/:id/comments/:commentId/resolve
+ * Requires editorial.comment permission
+ */
+const resolveBlogComment = setThreadStatus('resolved');
+
+/**
+ * Reopen a resolved comment thread
+ * PATCH /api/blogs/:id/comments/:commentId/reopen
+ * Requires editorial.comment permission
+ */
+const reopenBlogComment = setThreadStatus('open');
+
+/**
+ * Delete a comment (deleting a thread root removes its replies)
+ * DELETE /api/blogs/:id/comments/:commentId
+ * Requires the comment author or editorial.moderate permission
+ */
+const deleteBlogComment = async (req, res) => {
+    try {
+        const found = await findBlogComment(req, res);
+        if (!found) return;
+        const { comment } = found;
+
+        if (!(await canModifyComment(comment, req))) {
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied. You can only delete your own comments.'
+            });
+        }
+
+        const result = await EditorialComment.deleteMany({
+            $or: [{ _id: comment._id }, { parent: comment._id }]
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                id: comment._id,
+                deletedCount: result.deletedCount
+            },
+            message: 'Comment deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete blog comment error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete comment',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Suggest users for @mentions
+ * GET /api/blogs/:id/comments/mentions
+ * Query: q (username or name prefix)
+ * Requires editorial.comment permission
+ */
+const getMentionSuggestions = async (req, res) => {
+    try {
+        const { q = '', limit = 8 } = req.query;
+
+        const filter = {
+            role: { $in: await permissionService.getRolesWith('editorial.comment') },
+            isActive: true
+        };
+
+        if (q.trim()) {
+            const prefix = new RegExp(`^${escapeRegex(q.trim())}`, 'i');
+            filter.$or = [
+                { username: prefix },
+                { 'profile.firstName': prefix },
+                { 'profile.lastName': prefix }
+            ];
+        }
+
+        const users = await User.find(filter)
+            .select(`${USER_SELECT} role`)
+            .sort({ username: 1 })
+            .limit(Math.min(parseInt(limit, 10) || 8, 20));
+
+        res.status(200).json({
+            success: true,
+            data: users
+        });
+    } catch (error) {
+        console.error('Get mention suggestions error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve users',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    getBlogComments,
+    createBlogComment,
+    updateBlogComment,
+    resolveBlogComment,
+    reopenBlogComment,
+    deleteBlogComment,
+    getMentionSuggestions
+};
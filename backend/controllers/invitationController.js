@@ -0,0 +1,284 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const Invitation = require('../models/Invitation');
+const invitationService = require('../services/invitationService');
+const permissionService = require('../services/permissionService');
+const authService = require('../services/authService');
+const { paginateQuery } = require('../utils/queryOptimization');
+
+/**
+ * Invitation Controller
+ * New users are invited by email and choose their own password when accepting
+ */
+
+const createInvitationSchema = Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().required()
+});
+
+const acceptInvitationSchema = Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    username: Joi.string().pattern(/^[a-zA-Z0-9_]+$/).min(3).max(30).required()
+        .messages({ 'string.pattern.base': 'Username can only contain letters, numbers, and underscores' }),
+    password: Joi.string().min(6).required(),
+    profile: Joi.object({
+        firstName: Joi.string().max(50).allow(''),
+        lastName: Joi.string().max(50).allow(''),
+        bio: Joi.string().max(500).allow('')
+    }).optional()
+});
+
+// Page of the admin panel that accepts invitations
+const getAcceptUrlBase = () => `${process.env.ADMIN_URL || 'http://localhost:3001'}/accept-invite`;
+
+/**
+ * Answer with the status of operational errors, or 500 with a fallback message
+ */
+const sendError = (res, error, fallback) => {
+    if (error instanceof mongoose.Error.ValidationError) {
+        return res.status(400).json({
+            success: false,
+            error: 'Validation failed',
+            details: Object.values(error.errors).map(err => err.message)
+        });
+    }
+
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        error: fallback,
+        details: error.message
+    });
+};
+
+/**
+ * Load an invitation by ID, answering 400/404 when it cannot be found
+ * @returns {Object|null} Invitation document, or null when a response was sent
+ */
+const findInvitation = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid invitation ID'
+        });
+        return null;
+    }
+
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+        res.status(404).json({
+            success: false,
+            error: 'Invitation not found'
+        });
+        return null;
+    }
+
+    return invitation;
+};
+
+/**
+ * Get invitations with pagination
+ * GET /api/invitations
+ * Query: status (pending, accepted, revoked, expired), page, limit
+ * Requires user.invite permission
+ */
+const getInvitations = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+        const filters = {
+            pending: Invitation.openFilter(),
+            accepted: { acceptedAt: { $ne: null } },
+            revoked: { acceptedAt: null, revokedAt: { $ne: null } },
+            expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: new Date() } }
+        };
+
+        // Documents rather than lean objects so the status virtual is included
+        const { data, pagination } = await paginateQuery(Invitation, filters[status] || {}, {
+            page: Math.max(parseInt(page, 10) || 1, 1),
+            limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+            sort: { createdAt: -1 },
+            populate: [
+                { path: 'invitedBy', select: 'username' },
+                { path: 'acceptedUser', select: 'username' }
+            ],
+            lean: false
+        });
+
+        res.status(200).json({
+            success: true,
+            data,
+            pagination
+        });
+    } catch (error) {
+        console.error('Get invitations error:', error);
+        sendError(res, error, 'Failed to retrieve invitations');
+    }
+};
+
+/**
+ * Invite someone by email
+ * POST /api/invitations
+ * Body: email, role
+ * Requires user.invite permission
+ */
+const createInvitation = async (req, res) => {
+    try {
+        const { error, value } = createInvitationSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: error.details[0].message
+            });
+        }
+
+        const roleError = await permissionService.checkRoleAssignment(req, value.role.toLowerCase());
+        if (roleError) {
+            return res.status(roleError.status).json({
+                success: false,
+                error: roleError.error
+            });
+        }
+
+        const invitation = await invitationService.invite({
+            email: value.email,
+            role: value.role.toLowerCase(),
+            inviter: req.user,
+            acceptUrlBase: getAcceptUrlBase()
+        });
+
+        res.status(201).json({
+            success: true,
+            data: invitation,
+            message: `Invitation sent to ${invitation.email}`
+        });
+    } catch (error) {
+        console.error('Create invitation error:', error);
+        sendError(res, error, 'Failed to create invitation');
+    }
+};
+
+/**
+ * Send an invitation again with a new link
+ * POST /api/invitations/:id/resend
+ * Requires user.invite permission
+ */
+const resendInvitation = async (req, res) => {
+    try {
+        const invitation = await findInvitation(req, res);
+        if (!invitation) return;
+
+        // The role may have changed since the invitation was first sent
+        const roleError = await permissionService.checkRoleAssignment(req, invitation.role);
+        if (roleError) {
+            return res.status(roleError.status).json({
+                success: false,
+                error: roleError.error
+            });
+        }
+
+        await invitationService.resend(invitation, req.user, getAcceptUrlBase());
+
+        res.status(200).json({
+            success: true,
+            data: invitation,
+            message: `Invitation resent to ${invitation.email}`
+        });
+    } catch (error) {
+        console.error('Resend invitation error:', error);
+        sendError(res, error, 'Failed to resend invitation');
+    }
+};
+
+/**
+ * Revoke an invitation
+ * DELETE /api/invitations/:id
+ * Requires user.invite permission
+ */
+const revokeInvitation = async (req, res) => {
+    try {
+        const invitation = await findInvitation(req, res);
+        if (!invitation) return;
+
+        await invitationService.revoke(invitation, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: invitation,
+            message: 'Invitation revoked'
+        });
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        sendError(res, error, 'Failed to revoke invitation');
+    }
+};
+
+/**
+ * Look up an open invitation for the accept page
+ * GET /api/invitations/accept/:token
+ * Public (requires invitation token)
+ */
+const getInvitationByToken = async (req, res) => {
+    try {
+        const invitation = await invitationService.findByToken(req.params.token);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                email: invitation.email,
+                role: invitation.role,
+                expiresAt: invitation.expiresAt,
+                invitedBy: invitation.invitedBy?.username
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to load invitation');
+    }
+};
+
+/**
+ * Accept an invitation, creating the account with the invitee's own password
+ * POST /api/invitations/accept
+ * Body: token, username, password, profile (optional)
+ * Public (requires invitation token)
+ */
+const acceptInvitation = async (req, res) => {
+    try {
+        const { error, value } = acceptInvitationSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: error.details[0].message
+            });
+        }
+
+        const user = await invitationService.accept(value.token, value);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                user: await authService.toUserResponse(user)
+            },
+            message: 'Your account is ready. Please sign in.'
+        });
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        sendError(res, error, 'Failed to accept invitation');
+    }
+};
+
+module.exports = {
+    getInvitations,
+    createInvitation,
+    resendInvitation,
+    revokeInvitation,
+    getInvitationByToken,
+    acceptInvitation
+};
@@ -0,0 +1,274 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const permissionService = require('../services/permissionService');
+const { PERMISSION_KEYS, SUPER_ROLE, BUILT_IN_ROLES } = require('../config/permissions');
+
+/**
+ * Role Controller
+ * Manages the roles users can be given and the permissions each role grants
+ */
+
+/**
+ * Validate a list of permission keys
+ * @returns {String|null} Error message, or null when valid
+ */
+const validatePermissions = (permissions) => {
+    if (!Array.isArray(permissions)) {
+        return 'Permissions must be an array';
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSION_KEYS.includes(permission));
+    return unknown.length > 0 ? `Unknown permission(s): ${unknown.join(', ')}` : null;
+};
+
+/**
+ * Roles can only grant permissions the current user holds
+ * @returns {String|null} Error message, or null when allowed
+ */
+const checkGrantable = async (req, permissions) => {
+    const granted = await permissionService.getRequestPermissions(req);
+    const missing = permissions.filter(permission => !granted.includes(permission));
+    return missing.length > 0 ? `You cannot grant permission(s) you do not have: ${missing.join(', ')}` : null;
+};
+
+/**
+ * Get all roles with their permissions, user counts and the permission catalogue
+ * GET /api/roles
+ * Requires role.manage, user.manage or user.invite permission
+ */
+const getRoles = async (req, res) => {
+    try {
+        const [roles, counts] = await Promise.all([
+            permissionService.listRoles(),
+            User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+        ]);
+
+        const userCounts = new Map(counts.map(count => [count._id, count.count]));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                roles: roles.map(role => ({
+                    ...role,
+                    userCount: userCounts.get(role.name) || 0,
+                    isEditable: role.name !== SUPER_ROLE
+                })),
+                permissions: permissionService.getCatalogue()
+            }
+        });
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve roles',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Create a custom role
+ * POST /api/roles
+ * Body: name, label, description, permissions
+ * Requires role.manage permission
+ */
+const createRole = async (req, res) => {
+    try {
+        const { name, label, description, permissions = [] } = req.body;
+
+        if (!name || !label) {
+            return res.status(400).json({
+                success: false,
+                error: 'Role name and label are required'
+            });
+        }
+
+        const normalizedName = String(name).trim().toLowerCase();
+        if (BUILT_IN_ROLES[normalizedName] || await Role.exists({ name: normalizedName })) {
+            return res.status(400).json({
+                success: false,
+                error: 'A role with this name already exists'
+            });
+        }
+
+        const permissionError = validatePermissions(permissions) || await checkGrantable(req, permissions);
+        if (permissionError) {
+            return res.status(400).json({
+                success: false,
+                error: permissionError
+            });
+        }
+
+        const role = await Role.create({
+            name: normalizedName,
+            label,
+            description,
+            permissions
+        });
+
+        res.status(201).json({
+            success: true,
+            data: role,
+            message: 'Role created successfully'
+        });
+    } catch (error) {
+        console.error('Create role error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create role',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Update the label, description or permissions of a role
+ * PUT /api/roles/:name
+ * The admin role always holds every permission and cannot be changed
+ * Requires role.manage permission
+ */
+const updateRole = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { label, description, permissions } = req.body;
+
+        if (name === SUPER_ROLE) {
+            return res.status(400).json({
+                success: false,
+                error: 'The admin role always has every permission'
+            });
+        }
+
+        const builtIn = BUILT_IN_ROLES[name];
+        let role = await Role.findOne({ name });
+
+        if (!role && !builtIn) {
+            return res.status(404).json({
+                success: false,
+                error: 'Role not found'
+            });
+        }
+
+        // Built-in roles are saved on their first change
+        if (!role) {
+            role = new Role({
+                name,
+                label: builtIn.label,
+                description: builtIn.description,
+                permissions: builtIn.permissions,
+                isBuiltIn: true
+            });
+        }
+
+        if (permissions !== undefined) {
+            // Only permissions being added or removed need to be held by the current user
+            const changed = [
+                ...permissions.filter(permission => !role.permissions.includes(permission)),
+                ...role.permissions.filter(permission => !permissions.includes(permission))
+            ];
+            const permissionError = validatePermissions(permissions) || await checkGrantable(req, changed);
+            if (permissionError) {
+                return res.status(400).json({
+                    success: false,
+                    error: permissionError
+                });
+            }
+            role.permissions = permissions;
+        }
+
+        if (label !== undefined) role.label = label;
+        if (description !== undefined) role.description = description;
+
+        await role.save();
+
+        res.status(200).json({
+            success: true,
+            data: role,
+            message: 'Role updated successfully'
+        });
+    } catch (error) {
+        console.error('Update role error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update role',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Delete a custom role that no user has
+ * DELETE /api/roles/:name
+ * Requires role.manage permission
+ */
+const deleteRole = async (req, res) => {
+    try {
+        const { name } = req.params;
+
+        if (BUILT_IN_ROLES[name]) {
+            return res.status(400).json({
+                success: false,
+                error: 'Built-in roles cannot be deleted'
+            });
+        }
+
+        const role = await Role.findOne({ name });
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                error: 'Role not found'
+            });
+        }
+
+        const userCount = await User.countDocuments({ role: name });
+        if (userCount > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot delete role. ${userCount} user(s) still have it.`
+            });
+        }
+
+        await Role.deleteOne({ _id: role._id });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                id: role._id,
+                name: role.name
+            },
+            message: 'Role deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete role error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete role',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const { searchBlogs, monitorQuery, PUBLISH_MONTH_PATTERN } = require('../utils/queryOptimization');
+const { parseSearchQuery, highlightBlog } = require('../utils/textSearch');
+const permissionService = require('../services/permissionService');
+
+/**
+ * Search Controller
+ * Full-text blog search ranked by relevance, with matched terms highlighted
+ */
+
+// Longest query accepted; longer ones are almost certainly pasted content
+const MAX_QUERY_LENGTH = 200;
+
+// Result fields; content is only read to build the snippet and is not returned
+const SEARCH_RESULT_FIELDS = 'title slug excerpt content coverImage category tags status featured readingTime viewCount likeCount author authors createdAt updatedAt';
+
+const SORT_FIELDS = ['relevance', 'createdAt', 'updatedAt', 'title', 'viewCount', 'likeCount'];
+
+/**
+ * Search blogs
+ * GET /api/search
+ * Query: q (required; supports "exact phrase" and -excluded), category, tags, author, status,
+ * featured, month, page, limit, sortBy ('relevance' by default), sortOrder,
+ * facets=true for counts by category, tag, author, status and publish month
+ * Public endpoint; only published blogs are searched. The status filter applies to
+ * signed-in users with blog.edit.any, who can see every blog, and is ignored for everyone else
+ */
+const searchPosts = async (req, res) => {
+    try {
+        const {
+            q = '',
+            page = 1,
+            limit = 10,
+            category,
+            tags,
+            featured,
+            author,
+            month,
+            includeSubcategories,
+            facets,
+            sortBy = 'relevance',
+            sortOrder = 'desc'
+        } = req.query;
+
+        const query = String(q).trim();
+        if (!query) {
+            return res.status(400).json({
+                success: false,
+                error: 'Search query is required'
+            });
+        }
+        if (query.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Search query cannot be longer than ${MAX_QUERY_LENGTH} characters`
+            });
+        }
+        if (month && !PUBLISH_MONTH_PATTERN.test(month)) {
+            return res.status(400).json({
+                success: false,
+                error: 'month must be in YYYY-MM format'
+            });
+        }
+        // Repeated ?tags=a&tags=b arrive as an array and are treated like tags=a,b
+        const tagValues = tags === undefined ? [] : [].concat(tags);
+        if (tagValues.some(tag => typeof tag !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                error: 'tags must be a comma-separated list'
+            });
+        }
+        if (author && !mongoose.Types.ObjectId.isValid(author)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid author ID format'
+            });
+        }
+        if (!SORT_FIELDS.includes(sortBy)) {
+            return res.status(400).json({
+                success: false,
+                error: `sortBy must be one of: ${SORT_FIELDS.join(', ')}`
+            });
+        }
+
+        const status = await permissionService.can(req, 'blog.edit.any')
+            ? req.query.status || 'published'
+            : 'published';
+
+        const searchParams = {
+            query,
+            category,
+            includeSubcategories: includeSubcategories === 'false' ? false : undefined,
+            tags: tagValues.length > 0
+                ? tagValues.flatMap(tag => tag.split(',')).map(tag => tag.trim()).filter(Boolean)
+                : undefined,
+            status: status === 'all' ? undefined : status,
+            featured,
+            author,
+            month,
+            facets: facets === 'true' ? true : undefined,
+            select: SEARCH_RESULT_FIELDS,
+            page: Math.max(parseInt(page, 10) || 1, 1),
+            limit: Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50),
+            sortBy,
+            sortOrder
+        };
+
+        // Remove undefined values so they don't interfere
+        Object.keys(searchParams).forEach(key => {
+            if (searchParams[key] === undefined) {
+                delete searchParams[key];
+            }
+        });
+
+        const result = await monitorQuery(
+            () => searchBlogs(searchParams),
+            `searchPosts - page:${searchParams.page}, limit:${searchParams.limit}, search:${query}`
+        );
+
+        const parsed = parseSearchQuery(query);
+        const data = result.data.data.map(({ content, ...blog }) => ({
+            ...blog,
+            highlights: highlightBlog({ ...blog, content }, parsed)
+        }));
+
+        res.status(200).json({
+            success: true,
+            data,
+            pagination: result.data.pagination,
+            filters: {
+                status,
+                category: searchParams.category || null,
+                tags: searchParams.tags || [],
+                search: query,
+                featured: searchParams.featured || null,
+                author: searchParams.author || null,
+                month: searchParams.month || null,
+                sortBy,
+                sortOrder
+            },
+            ...(result.data.facets && { facets: result.data.facets }),
+            search: {
+                mode: result.data.searchMode,
+                ...parsed
+            },
+            performance: {
+                executionTime: result.performance.executionTime,
+                optimized: true
+            }
+        });
+    } catch (error) {
+        console.error('Search blogs error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search blogs',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    searchPosts
+};
@@ -0,0 +1,294 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Series = require('../models/Series');
+const Blog = require('../models/Blog');
+const logger = require('../utils/logger');
+const { clearCacheByPattern } = require('../middleware/cache');
+
+/**
+ * Series Controller
+ * Ordered multi-part blogs: public series pages and the admin series manager
+ */
+
+// Part fields shown on a public series page
+const PART_FIELDS = 'title slug excerpt coverImage readingTime author createdAt';
+
+const seriesSchema = Joi.object({
+    title: Joi.string().trim().max(120),
+    description: Joi.string().trim().max(500).allow(''),
+    coverImage: Joi.object({
+        url: Joi.string().trim().uri().allow(''),
+        alt: Joi.string().trim().max(200).allow('')
+    }),
+    blogs: Joi.array().items(Joi.string().hex().length(24).lowercase()).max(Series.MAX_SERIES_BLOGS).unique()
+});
+
+/**
+ * Check that the blogs exist and are not part of another series
+ * @param {Array} blogIds - Blog IDs in reading order
+ * @param {ObjectId} seriesId - Series being saved (null when creating)
+ * @returns {string|null} Error message, or null when the blogs can be used
+ */
+const checkSeriesBlogs = async (blogIds, seriesId = null) => {
+    const found = await Blog.distinct('_id', { _id: { $in: blogIds } });
+    if (found.length !== blogIds.length) {
+        const foundIds = found.map(id => id.toString());
+        return `Blog not found: ${blogIds.filter(id => !foundIds.includes(id)).join(', ')}`;
+    }
+
+    const taken = await Series.findOne({ _id: { $ne: seriesId }, blogs: { $in: blogIds } }).select('title blogs');
+    if (taken) {
+        const blogId = taken.blogs.find(id => blogIds.includes(id.toString()));
+        return `Blog ${blogId} is already part of the series "${taken.title}"`;
+    }
+
+    return null;
+};
+
+const sendValidationError = (res, details) => res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details
+});
+
+/**
+ * Get all series with their parts, for the series manager
+ * GET /api/series
+ * Requires series.manage permission
+ */
+const getSeries = async (req, res) => {
+    try {
+        const series = await Series.find()
+            .populate('blogs', 'title slug status')
+            .sort({ title: 1 })
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: series
+        });
+    } catch (error) {
+        console.error('Get series error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve series',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Get a series with its published parts in reading order
+ * GET /api/series/:slug
+ * Public endpoint
+ */
+const getSeriesBySlug = async (req, res) => {
+    try {
+        const series = await Series.findOne({ slug: req.params.slug })
+            .populate({
+                path: 'blogs',
+                match: { status: 'published' },
+                select: PART_FIELDS,
+                populate: { path: 'author', select: 'username profile.firstName profile.lastName' }
+            })
+            .lean();
+
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                error: 'Series not found'
+            });
+        }
+
+        const { blogs, ...info } = series;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...info,
+                totalParts: blogs.length,
+                parts: blogs.map((blog, index) => ({ ...blog, part: index + 1 }))
+            }
+        });
+    } catch (error) {
+        console.error('Get series by slug error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve series',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Create a series
+ * POST /api/series
+ * Requires series.manage permission
+ */
+const createSeries = async (req, res) => {
+    try {
+        const { error, value } = seriesSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+        if (error) {
+            return sendValidationError(res, error.details.map(detail => detail.message).join(', '));
+        }
+        if (!value.title) {
+            return sendValidationError(res, 'Series title is required');
+        }
+
+        const blogsError = await checkSeriesBlogs(value.blogs || []);
+        if (blogsError) {
+            return sendValidationError(res, blogsError);
+        }
+
+        const series = await Series.create({ ...value, createdBy: req.user._id });
+        await series.populate('blogs', 'title slug status');
+
+        clearCacheByPattern('/api/blogs');
+
+        logger.info('Series created', {
+            seriesId: series._id,
+            title: series.title,
+            parts: series.blogs.length,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: series,
+            message: 'Series created successfully'
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return sendValidationError(res, 'A series with this title already exists');
+        }
+        console.error('Create series error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create series',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Update a series; `blogs` replaces the parts and their order
+ * PUT /api/series/:id
+ * Requires series.manage permission
+ */
+const updateSeries = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid series ID format'
+            });
+        }
+
+        const { error, value } = seriesSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+        if (error) {
+            return sendValidationError(res, error.details.map(detail => detail.message).join(', '));
+        }
+
+        const series = await Series.findById(id);
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                error: 'Series not found'
+            });
+        }
+
+        if (value.blogs) {
+            const blogsError = await checkSeriesBlogs(value.blogs, series._id);
+            if (blogsError) {
+                return sendValidationError(res, blogsError);
+            }
+        }
+
+        series.set(value);
+        await series.save();
+        await series.populate('blogs', 'title slug status');
+
+        clearCacheByPattern('/api/blogs');
+
+        logger.info('Series updated', {
+            seriesId: series._id,
+            title: series.title,
+            parts: series.blogs.length,
+            updatedBy: req.user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: series,
+            message: 'Series updated successfully'
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return sendValidationError(res, 'A series with this title already exists');
+        }
+        console.error('Update series error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update series',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Delete a series; its blogs are kept
+ * DELETE /api/series/:id
+ * Requires series.manage permission
+ */
+const deleteSeries = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid series ID format'
+            });
+        }
+
+        const series = await Series.findByIdAndDelete(id);
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                error: 'Series not found'
+            });
+        }
+
+        clearCacheByPattern('/api/blogs');
+
+        logger.info('Series deleted', {
+            seriesId: series._id,
+            title: series.title,
+            deletedBy: req.user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                id: series._id,
+                title: series.title
+            },
+            message: 'Series deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete series error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete series',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    getSeries,
+    getSeriesBySlug,
+    createSeries,
+    updateSeries,
+    deleteSeries
+};
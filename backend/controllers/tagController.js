@@ -0,0 +1,410 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const logger = require('../utils/logger');
+const { clearCacheByPattern } = require('../middleware/cache');
+const { withTransaction } = require('../utils/transaction');
+
+/**
+ * Tag Controller
+ * Tag management screen, autocomplete for the blog form, and renames and merges
+ * that rewrite the tags stored on blogs
+ */
+
+// Most suggestions one autocomplete request returns
+const MAX_SUGGESTIONS = 20;
+
+const tagSchema = Joi.object({
+    name: Joi.string().trim().max(50),
+    description: Joi.string().trim().max(200).allow(''),
+    synonyms: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(20).unique()
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check that synonyms do not clash with other tags
+ * @param {Array} synonyms - Normalized synonyms
+ * @param {ObjectId} tagId - Tag being saved (null when creating)
+ * @returns {string|null} Error message, or null when the synonyms can be used
+ */
+const checkSynonyms = async (synonyms, tagId = null) => {
+    if (synonyms.length === 0) {
+        return null;
+    }
+
+    const clash = await Tag.findOne({
+        _id: { $ne: tagId },
+        $or: [{ slug: { $in: synonyms } }, { synonyms: { $in: synonyms } }]
+    }).select('name slug synonyms');
+
+    if (clash) {
+        const synonym = synonyms.find(value => value === clash.slug || clash.synonyms.includes(value));
+        return `"${synonym}" is already used by the tag "${clash.name}"`;
+    }
+    return null;
+};
+
+const sendValidationError = (res, details) => res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details
+});
+
+const sendInvalidId = (res) => res.status(400).json({
+    success: false,
+    error: 'Invalid tag ID format'
+});
+
+const sendNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Tag not found'
+});
+
+/**
+ * Get tags for the tag management screen
+ * GET /api/tags
+ * Query: search, sort ('usage' or 'name'), page, limit
+ * Public endpoint
+ */
+const getTags = async (req, res) => {
+    try {
+        const { search = '', sort = 'usage' } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+        const filter = {};
+        if (search.trim()) {
+            const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+            filter.$or = [{ name: pattern }, { slug: pattern }, { synonyms: pattern }];
+        }
+
+        const sortBy = sort === 'name' ? { slug: 1 } : { usageCount: -1, slug: 1 };
+
+        const [tags, total] = await Promise.all([
+            Tag.find(filter)
+                .sort(sortBy)
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Tag.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: tags,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get tags error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve tags',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Suggest tags starting with the typed text, most used first; synonyms suggest their tag
+ * GET /api/tags/autocomplete
+ * Query: q, limit
+ * Public endpoint
+ */
+const autocompleteTags = async (req, res) => {
+    try {
+        const query = Tag.normalize(req.query.q);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_SUGGESTIONS);
+
+        const filter = {};
+        if (query) {
+            const prefix = new RegExp(`^${escapeRegex(query)}`);
+            filter.$or = [{ slug: prefix }, { synonyms: prefix }];
+        }
+
+        const tags = await Tag.find(filter)
+            .select('name slug usageCount synonyms')
+            .sort({ usageCount: -1, slug: 1 })
+            .limit(limit)
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: tags.map(({ synonyms, ...tag }) => ({
+                ...tag,
+                // Tells the editor why a tag with a different name was suggested
+                matchedSynonym: query && !tag.slug.startsWith(query)
+                    ? synonyms.find(synonym => synonym.startsWith(query)) || null
+                    : null
+            }))
+        });
+    } catch (error) {
+        console.error('Autocomplete tags error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to suggest tags',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Create a tag; blogs already using its slug are counted straight away
+ * POST /api/tags
+ * Requires tag.manage permission
+ */
+const createTag = async (req, res) => {
+    try {
+        const { error, value } = tagSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+        if (error) {
+            return sendValidationError(res, error.details.map(detail => detail.message).join(', '));
+        }
+        if (!value.name) {
+            return sendValidationError(res, 'Tag name is required');
+        }
+
+        const slug = Tag.normalize(value.name);
+        const synonyms = (value.synonyms || []).filter(synonym => synonym !== slug);
+        const synonymsError = await checkSynonyms([slug, ...synonyms]);
+        if (synonymsError) {
+            return sendValidationError(res, synonymsError);
+        }
+
+        const tag = await Tag.create({ ...value, synonyms, createdBy: req.user._id });
+        await Tag.recountUsage([tag.slug]);
+
+        logger.info('Tag created', {
+            tagId: tag._id,
+            slug: tag.slug,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: await Tag.findById(tag._id),
+            message: 'Tag created successfully'
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return sendValidationError(res, 'A tag with this name already exists');
+        }
+        console.error('Create tag error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create tag',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Update a tag; a new name renames the tag on every blog and keeps the old
+ * name as a synonym
+ * PUT /api/tags/:id
+ * Requires tag.manage permission
+ */
+const updateTag = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return sendInvalidId(res);
+        }
+
+        const { error, value } = tagSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+        if (error) {
+            return sendValidationError(res, error.details.map(detail => detail.message).join(', '));
+        }
+
+        const tag = await Tag.findById(id);
+        if (!tag) {
+            return sendNotFound(res);
+        }
+
+        const previousSlug = tag.slug;
+        const slug = value.name ? Tag.normalize(value.name) : previousSlug;
+        const renamed = slug !== previousSlug;
+
+        if (renamed && await Tag.exists({ slug })) {
+            return sendValidationError(res, `A tag named "${slug}" already exists. Merge the tags instead.`);
+        }
+
+        const synonyms = [...(value.synonyms || tag.synonyms), ...(renamed ? [previousSlug] : [])]
+            .filter(synonym => synonym !== slug);
+        const synonymsError = await checkSynonyms(renamed ? [slug, ...synonyms] : synonyms, tag._id);
+        if (synonymsError) {
+            return sendValidationError(res, synonymsError);
+        }
+
+        let renamedBlogs = 0;
+        await withTransaction(async (session) => {
+            tag.set({ ...value, synonyms });
+            await tag.save({ session });
+
+            if (renamed) {
+                renamedBlogs = await Tag.replaceOnBlogs([previousSlug], slug, session);
+                await Tag.recountUsage([slug], session);
+            }
+        });
+
+        if (renamed) {
+            clearCacheByPattern('/api/blogs');
+            logger.info('Tag renamed', {
+                tagId: tag._id,
+                from: previousSlug,
+                to: slug,
+                blogs: renamedBlogs,
+                renamedBy: req.user._id
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await Tag.findById(tag._id),
+            renamedBlogs,
+            message: 'Tag updated successfully'
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return sendValidationError(res, 'A tag with this name already exists');
+        }
+        console.error('Update tag error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update tag',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Merge a tag into another: blogs get the target tag instead, and the merged
+ * tag and its synonyms become synonyms of the target
+ * POST /api/tags/:id/merge
+ * Body: targetId
+ * Requires tag.manage permission
+ */
+const mergeTag = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { targetId } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return sendInvalidId(res);
+        }
+        if (!targetId || !mongoose.Types.ObjectId.isValid(targetId)) {
+            return sendValidationError(res, 'A valid target tag ID is required');
+        }
+        if (id === targetId.toString()) {
+            return sendValidationError(res, 'A tag cannot be merged into itself');
+        }
+
+        const [source, target] = await Promise.all([Tag.findById(id), Tag.findById(targetId)]);
+        if (!source) {
+            return sendNotFound(res);
+        }
+        if (!target) {
+            return sendValidationError(res, 'Target tag not found');
+        }
+
+        let movedBlogs = 0;
+        await withTransaction(async (session) => {
+            movedBlogs = await Tag.replaceOnBlogs([source.slug], target.slug, session);
+
+            // Removed first so the target can take over the source's synonyms
+            await Tag.deleteOne({ _id: source._id }, { session });
+            target.synonyms = [...target.synonyms, source.slug, ...source.synonyms];
+            await target.save({ session });
+            await Tag.recountUsage([target.slug], session);
+        });
+
+        clearCacheByPattern('/api/blogs');
+
+        logger.info('Tag merged', {
+            from: source.slug,
+            into: target.slug,
+            blogs: movedBlogs,
+            mergedBy: req.user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                source: { _id: source._id, name: source.name, slug: source.slug },
+                target: await Tag.findById(target._id),
+                movedBlogs
+            },
+            message: `Tag "${source.name}" merged into "${target.name}"`
+        });
+    } catch (error) {
+        console.error('Merge tag error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to merge tag',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Delete a tag and remove it from every blog
+ * DELETE /api/tags/:id
+ * Requires tag.manage permission
+ */
+const deleteTag = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return sendInvalidId(res);
+        }
+
+        const tag = await Tag.findById(id);
+        if (!tag) {
+            return sendNotFound(res);
+        }
+
+        let removedFrom = 0;
+        await withTransaction(async (session) => {
+            removedFrom = await Tag.replaceOnBlogs([tag.slug], null, session);
+            await Tag.deleteOne({ _id: tag._id }, { session });
+        });
+
+        clearCacheByPattern('/api/blogs');
+
+        logger.info('Tag deleted', {
+            tagId: tag._id,
+            slug: tag.slug,
+            blogs: removedFrom,
+            deletedBy: req.user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                id: tag._id,
+                name: tag.name,
+                removedFrom
+            },
+            message: 'Tag deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete tag error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete tag',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    getTags,
+    autocompleteTags,
+    createTag,
+    updateTag,
+    mergeTag,
+    deleteTag
+};
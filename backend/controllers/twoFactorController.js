@@ -0,0 +1,215 @@
+const Joi = require('joi');
+const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+
+// Validation schemas
+const codeSchema = Joi.string().trim().min(6).max(20).required(); // TOTP or backup code
+
+const verifyLoginSchema = Joi.object({
+    challengeToken: Joi.string().required(),
+    code: codeSchema
+});
+
+const enableSchema = Joi.object({
+    challengeToken: Joi.string().optional(),
+    code: Joi.string().trim().pattern(/^\d{6}$/).required()
+        .messages({ 'string.pattern.base': 'Code must be 6 digits' })
+});
+
+const disableSchema = Joi.object({
+    password: Joi.string().required(),
+    code: codeSchema
+});
+
+const regenerateSchema = Joi.object({
+    code: codeSchema
+});
+
+// Known service errors and their status codes
+const ERROR_STATUS = [
+    ['Invalid verification code', 400],
+    ['Invalid password', 400],
+    ['Invalid or expired challenge', 401],
+    ['already enabled', 409],
+    ['not enabled', 400],
+    ['has not been started', 400],
+    ['required for your role', 403]
+];
+
+/**
+ * Send a validation error response
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details: error.details[0].message
+});
+
+/**
+ * Send a service error with its matching status code
+ */
+const sendError = (res, error, fallbackMessage) => {
+    const match = ERROR_STATUS.find(([text]) => error.message.includes(text));
+
+    if (match) {
+        return res.status(match[1]).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        details: error.message
+    });
+};
+
+/**
+ * Device information stored with each session
+ */
+const getRequestContext = (req) => ({
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+});
+
+class TwoFactorController {
+    /**
+     * Get two-factor status of the current user
+     */
+    async getStatus(req, res) {
+        try {
+            const status = await twoFactorService.getStatus(req.user._id);
+
+            res.json({
+                success: true,
+                message: 'Two-factor status retrieved successfully',
+                data: status
+            });
+        } catch (error) {
+            console.error('Get two-factor status error:', error);
+            sendError(res, error, 'Failed to retrieve two-factor status');
+        }
+    }
+
+    /**
+     * Second login step: exchange the challenge token and a code for a session
+     */
+    async verifyLogin(req, res) {
+        try {
+            const { error, value } = verifyLoginSchema.validate(req.body);
+            if (error) {
+                return sendValidationError(res, error);
+            }
+
+            const result = await authService.verifyTwoFactorLogin(
+                value.challengeToken,
+                value.code,
+                getRequestContext(req)
+            );
+
+            res.json({
+                success: true,
+                message: 'Login successful',
+                data: result
+            });
+        } catch (error) {
+            console.error('Two-factor login error:', error);
+            sendError(res, error, 'Login failed');
+        }
+    }
+
+    /**
+     * Start enrollment and return the secret as otpauth URI and QR code
+     */
+    async setup(req, res) {
+        try {
+            const result = await twoFactorService.startEnrollment(req.user._id);
+
+            res.json({
+                success: true,
+                message: 'Scan the QR code with your authenticator app',
+                data: result
+            });
+        } catch (error) {
+            console.error('Two-factor setup error:', error);
+            sendError(res, error, 'Failed to start two-factor setup');
+        }
+    }
+
+    /**
+     * Confirm enrollment with a code and return the backup codes
+     * When enrolling from the login setup challenge, a session is started as well
+     */
+    async enable(req, res) {
+        try {
+            const { error, value } = enableSchema.validate(req.body);
+            if (error) {
+                return sendValidationError(res, error);
+            }
+
+            const backupCodes = await twoFactorService.confirmEnrollment(req.user._id, value.code);
+
+            const data = { backupCodes };
+            if (req.twoFactorSetupChallenge) {
+                Object.assign(data, await authService.completeLogin(req.user, getRequestContext(req)));
+            }
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication enabled',
+                data
+            });
+        } catch (error) {
+            console.error('Enable two-factor error:', error);
+            sendError(res, error, 'Failed to enable two-factor authentication');
+        }
+    }
+
+    /**
+     * Turn off two-factor authentication
+     */
+    async disable(req, res) {
+        try {
+            const { error, value } = disableSchema.validate(req.body);
+            if (error) {
+                return sendValidationError(res, error);
+            }
+
+            await twoFactorService.disable(req.user._id, value.password, value.code);
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication disabled'
+            });
+        } catch (error) {
+            console.error('Disable two-factor error:', error);
+            sendError(res, error, 'Failed to disable two-factor authentication');
+        }
+    }
+
+    /**
+     * Replace the backup codes
+     */
+    async regenerateBackupCodes(req, res) {
+        try {
+            const { error, value } = regenerateSchema.validate(req.body);
+            if (error) {
+                return sendValidationError(res, error);
+            }
+
+            const backupCodes = await twoFactorService.regenerateBackupCodes(req.user._id, value.code);
+
+            res.json({
+                success: true,
+                message: 'New backup codes generated',
+                data: { backupCodes }
+            });
+        } catch (error) {
+            console.error('Regenerate backup codes error:', error);
+            sendError(res, error, 'Failed to generate backup codes');
+        }
+    }
+}
+
+module.exports = new TwoFactorController();
@@ -1,5 +1,40 @@
 const User = require('../models/User');
-const bcrypt = require('bcryptjs');
+const RefreshToken = require('../models/RefreshToken');
+const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const permissionService = require('../services/permissionService');
+
+// Fields user managers may change; credentials, lockout and 2FA state have their own endpoints
+const EDITABLE_FIELDS = ['username', 'email', 'role', 'isActive'];
+const EDITABLE_PROFILE_FIELDS = ['firstName', 'lastName', 'avatar', 'bio', 'jobTitle', 'social'];
+
+/**
+ * Load a user the current user may manage, sending an error response otherwise
+ * Users whose role grants permissions the current user lacks cannot be managed
+ * @returns {Object|null} User document or null if a response was sent
+ */
+const findManageableUserOrRespond = async (req, res, select = '-password') => {
+    const user = await User.findById(req.params.id).select(select);
+
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+        return null;
+    }
+
+    if (!(await permissionService.canAssignRole(req, user.role))) {
+        res.status(403).json({
+            success: false,
+            error: 'You cannot manage users with permissions you do not have'
+        });
+        return null;
+    }
+
+    return user;
+};
 
 // Get all users with pagination and filtering
 const getAllUsers = async (req, res) => {
@@ -89,94 +124,44 @@ const getUserById = async (req, res) => {
     }
 };
 
-// Create new user
-const createUser = async (req, res) => {
+// Update user
+const updateUser = async (req, res) => {
     try {
-        const {
-            username,
-            email,
-            password,
-            role = 'reader',
-            profile = {},
-            isActive = true
-        } = req.body;
-
-        // Validate required fields
-        if (!username || !email || !password) {
-            return res.status(400).json({
-                success: false,
-                error: 'Username, email, and password are required'
-            });
-        }
+        const { id } = req.params;
 
-        // Check if user already exists
-        const existingUser = await User.findOne({
-            $or: [{ email }, { username }]
-        });
+        if (!(await findManageableUserOrRespond(req, res, 'role'))) return;
 
-        if (existingUser) {
-            return res.status(400).json({
-                success: false,
-                error: 'User with this email or username already exists'
+        const updateData = {};
+        EDITABLE_FIELDS
+            .filter(field => req.body[field] !== undefined)
+            .forEach(field => {
+                updateData[field] = req.body[field];
             });
-        }
-
-        // Hash password
-        const saltRounds = 12;
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-        // Create new user
-        const user = new User({
-            username,
-            email,
-            password: hashedPassword,
-            role,
-            profile,
-            isActive
-        });
-
-        await user.save();
-
-        // Return user without password
-        const userResponse = user.toObject();
-        delete userResponse.password;
 
-        res.status(201).json({
-            success: true,
-            data: userResponse,
-            message: 'User created successfully'
-        });
-    } catch (error) {
-        console.error('Create user error:', error);
-
-        if (error.code === 11000) {
-            // Duplicate key error
-            const field = Object.keys(error.keyPattern)[0];
-            return res.status(400).json({
-                success: false,
-                error: `User with this ${field} already exists`
-            });
+        // Update profile fields one by one so fields the form doesn't send (avatar, social links) are kept
+        if (req.body.profile && typeof req.body.profile === 'object') {
+            EDITABLE_PROFILE_FIELDS
+                .filter(field => req.body.profile[field] !== undefined)
+                .forEach(field => {
+                    updateData[`profile.${field}`] = req.body.profile[field];
+                });
         }
 
-        res.status(500).json({
-            success: false,
-            error: 'Failed to create user'
-        });
-    }
-};
-
-// Update user
-const updateUser = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const updateData = { ...req.body };
+        // Prevent users from updating their own role (unless they manage roles)
+        if (req.user.id === id && !(await permissionService.can(req, 'role.manage'))) {
+            delete updateData.role;
+        }
 
-        // Remove password from update data if present (use separate endpoint for password updates)
-        delete updateData.password;
+        // Role changes may not grant more than the current user holds
+        if (updateData.role !== undefined) {
+            const roleError = await permissionService.checkRoleAssignment(req, updateData.role);
 
-        // Prevent users from updating their own role (except admin)
-        if (req.user.id === id && req.user.role !== 'admin') {
-            delete updateData.role;
+            if (roleError) {
+                return res.status(roleError.status).json({
+                    success: false,
+                    error: roleError.error
+                });
+            }
         }
 
         const user = await User.findByIdAndUpdate(
@@ -228,14 +213,11 @@ const deleteUser = async (req, res) => {
             });
         }
 
-        const user = await User.findByIdAndDelete(id);
+        const user = await findManageableUserOrRespond(req, res, '_id role');
+        if (!user) return;
 
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                error: 'User not found'
-            });
-        }
+        await User.deleteOne({ _id: user._id });
+        await RefreshToken.deleteMany({ user: user._id });
 
         res.json({
             success: true,
@@ -264,12 +246,116 @@ const updateUserStatus = async (req, res) => {
             });
         }
 
+        if (!(await findManageableUserOrRespond(req, res, 'role'))) return;
+
         const user = await User.findByIdAndUpdate(
             id,
             { isActive },
             { new: true }
         ).select('-password');
 
+        // Deactivated users are signed out everywhere immediately
+        if (!isActive) {
+            await authService.revokeAllSessions(user._id, 'deactivated');
+        }
+
+        res.json({
+            success: true,
+            data: user,
+            message: `User ${isActive ? 'activated' : 'deactivated'} successfully`
+        });
+    } catch (error) {
+        console.error('Update user status error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update user status'
+        });
+    }
+};
+
+// Get active sessions of a user
+const getUserSessions = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('_id');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const sessions = await RefreshToken.findActiveSessions(user._id);
+
+        res.json({
+            success: true,
+            data: sessions
+        });
+    } catch (error) {
+        console.error('Get user sessions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch user sessions'
+        });
+    }
+};
+
+// Revoke all sessions of a user
+const revokeUserSessions = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('_id username');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const revoked = await authService.revokeAllSessions(user._id, 'admin');
+
+        res.json({
+            success: true,
+            data: { revokedSessions: revoked },
+            message: `All sessions of ${user.username} have been revoked`
+        });
+    } catch (error) {
+        console.error('Revoke user sessions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke user sessions'
+        });
+    }
+};
+
+// Reset two-factor authentication of a user who lost their device
+const resetUserTwoFactor = async (req, res) => {
+    try {
+        const user = await findManageableUserOrRespond(req, res, '_id username role');
+        if (!user) return;
+
+        await twoFactorService.reset(user._id);
+
+        res.json({
+            success: true,
+            message: `Two-factor authentication of ${user.username} has been reset`
+        });
+    } catch (error) {
+        console.error('Reset user two-factor error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reset two-factor authentication'
+        });
+    }
+};
+
+// Lift a lockout caused by too many failed sign-ins
+const unlockUser = async (req, res) => {
+    try {
+        if (!(await findManageableUserOrRespond(req, res, 'role'))) return;
+
+        const user = await loginProtectionService.unlock(req.params.id, req.user._id);
+
         if (!user) {
             return res.status(404).json({
                 success: false,
@@ -280,13 +366,13 @@ const updateUserStatus = async (req, res) => {
         res.json({
             success: true,
             data: user,
-            message: `User ${isActive ? 'activated' : 'deactivated'} successfully`
+            message: `${user.username} has been unlocked`
         });
     } catch (error) {
-        console.error('Update user status error:', error);
+        console.error('Unlock user error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to update user status'
+            error: 'Failed to unlock user'
         });
     }
 };
@@ -294,8 +380,11 @@ const updateUserStatus = async (req, res) => {
 module.exports = {
     getAllUsers,
     getUserById,
-    createUser,
     updateUser,
     deleteUser,
-    updateUserStatus
+    updateUserStatus,
+    getUserSessions,
+    revokeUserSessions,
+    resetUserTwoFactor,
+    unlockUser
 };
\ No newline at end of file
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const auditService = require('../services/auditService');
+
+/**
+ * Record a mutating route in the audit log once it has succeeded
+ * Place after the auth middleware so the actor is known.
+ * @param {String} action - Dotted action name, e.g. 'blog.delete'
+ * @param {Object} options
+ * @param {String} options.targetType - Target type, e.g. 'Blog'
+ * @param {Object} options.model - Model used to load the target before the change
+ * @param {String} options.idParam - Route parameter holding the target id (default 'id')
+ * @param {Function} options.getTargetIds - (req, body) => ids, for routes acting on several targets
+ * @param {Function} options.getAfter - (req, body) => state after the change, when the response body does not hold it
+ */
+const audit = (action, { targetType, model, idParam = 'id', getTargetIds, getAfter } = {}) => async (req, res, next) => {
+    const paramId = req.params[idParam];
+    let before = null;
+
+    if (model && paramId && mongoose.Types.ObjectId.isValid(paramId)) {
+        try {
+            before = await model.findById(paramId).lean();
+        } catch (error) {
+            before = null;
+        }
+    }
+
+    // Keep the response body to summarise the target after the change
+    const originalJson = res.json;
+    res.json = function (body) {
+        res.locals.auditBody = body;
+        return originalJson.call(this, body);
+    };
+
+    res.on('finish', () => {
+        if (res.statusCode >= 400) {
+            return;
+        }
+
+        const body = res.locals.auditBody;
+        const data = body?.data && typeof body.data === 'object' && !Array.isArray(body.data) ? body.data : null;
+
+        let after = null;
+        if (getAfter) {
+            after = getAfter(req, body);
+        } else if (req.method !== 'DELETE') {
+            after = data;
+        }
+
+        const targetIds = getTargetIds
+            ? [].concat(getTargetIds(req, body) || [])
+            : [paramId || data?._id || data?.id || null];
+
+        targetIds.forEach(targetId => {
+            auditService.recordSafely({
+                req,
+                action,
+                targetType,
+                targetId,
+                before,
+                after,
+                statusCode: res.statusCode
+            });
+        });
+    });
+
+    next();
+};
+
+module.exports = audit;
@@ -1,4 +1,5 @@
 const authService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
 
 /**
  * Authentication middleware to verify JWT tokens
@@ -10,6 +11,14 @@ const authMiddleware = async (req, res, next) => {
         const authHeader = req.header('Authorization');
 
         if (!authHeader) {
+            // API keys are only accepted on routes that declare a scope (see apiKeyOrToken)
+            if (req.header('X-API-Key')) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Access denied. API keys cannot access this endpoint.'
+                });
+            }
+
             return res.status(401).json({
                 success: false,
                 error: 'Access denied. No token provided.'
@@ -37,8 +46,9 @@ const authMiddleware = async (req, res, next) => {
         // Verify token and get user
         const user = await authService.getUserByToken(token);
 
-        // Attach user to request object
+        // Attach user and session to request object
         req.user = user;
+        req.sessionId = authService.getSessionId(token);
 
         next();
     } catch (error) {
@@ -52,8 +62,92 @@ const authMiddleware = async (req, res, next) => {
     }
 };
 
+/**
+ * Optional authentication for public endpoints
+ * Attaches req.user when a valid token is sent, otherwise continues as a guest
+ */
+const optionalAuth = async (req, res, next) => {
+    const authHeader = req.header('Authorization');
+
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        try {
+            req.user = await authService.getUserByToken(authHeader.substring(7));
+        } catch (error) {
+            req.user = null;
+        }
+    }
+
+    next();
+};
+
+/**
+ * Authentication for two-factor enrollment
+ * Accepts a regular access token, or the setup challenge issued at login to users
+ * whose role requires 2FA but who have not enrolled yet
+ */
+const authOrSetupChallenge = async (req, res, next) => {
+    const challengeToken = req.body?.challengeToken;
+
+    if (!challengeToken) {
+        return authMiddleware(req, res, next);
+    }
+
+    try {
+        req.user = await authService.getUserByChallengeToken(challengeToken, 'setup');
+        req.twoFactorSetupChallenge = true;
+        next();
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            error: 'Access denied. Invalid token.',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Authentication for routes machine clients may call
+ * Accepts a user access token, or an `X-API-Key` header holding the given scope.
+ * API key requests act as the key's owner: req.user is the owner and req.apiKey the key,
+ * so permission checks still apply to the owner's role.
+ * @param {String} scope - Required API key scope, e.g. 'blogs:write'
+ */
+const apiKeyOrToken = (scope) => async (req, res, next) => {
+    const key = req.header('X-API-Key');
+
+    if (!key || req.header('Authorization')) {
+        return authMiddleware(req, res, next);
+    }
+
+    try {
+        const { apiKey, user } = await apiKeyService.authenticate(key, req.ip);
+
+        if (!apiKey.scopes.includes(scope)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied. API key is missing a required scope.',
+                details: `Required scope: ${scope}`
+            });
+        }
+
+        req.user = user;
+        req.apiKey = apiKey;
+
+        next();
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            error: 'Access denied. Invalid API key.',
+            details: error.message
+        });
+    }
+};
+
 // Export both as default and named export for compatibility
 const authenticateToken = authMiddleware;
 
 module.exports = authMiddleware;
-module.exports.authenticateToken = authenticateToken;
\ No newline at end of file
+module.exports.authenticateToken = authenticateToken;
+module.exports.optionalAuth = optionalAuth;
+module.exports.authOrSetupChallenge = authOrSetupChallenge;
+module.exports.apiKeyOrToken = apiKeyOrToken;
@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Accept ids from a proxy only when they look like an id, not arbitrary text
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{1,100}$/;
+
+// Attach an id to every request so logs and audit entries can be correlated
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    next();
+};
+
+module.exports = requestId;
@@ -1,7 +1,8 @@
 /**
  * Role-based authorization middleware
- * Checks if authenticated user has required role(s)
+ * Checks if authenticated user has required role(s) or permission(s)
  */
+const permissionService = require('../services/permissionService');
 
 /**
  * Check if user has required role
@@ -55,13 +56,23 @@ const requireAdmin = requireRole('admin');
 const requireEditor = requireRole(['admin', 'editor']);
 
 /**
- * Middleware to require any authenticated user (reader, editor, or admin)
+ * Middleware to require admin or reviewer role
  */
-const requireAuth = requireRole(['reader', 'editor', 'admin']);
+const requireReviewer = requireRole(['admin', 'reviewer']);
+
+/**
+ * Middleware to require an editorial staff role (admin, editor, or reviewer)
+ */
+const requireStaff = requireRole(['admin', 'editor', 'reviewer']);
+
+/**
+ * Middleware to require any authenticated user (reader, editor, reviewer, or admin)
+ */
+const requireAuth = requireRole(['reader', 'editor', 'reviewer', 'admin']);
 
 /**
  * Check if user has specific permission based on role hierarchy
- * Admin > Editor > Reader
+ * Admin > Editor = Reviewer > Reader
  * @param {String} requiredLevel - Minimum required role level
  * @returns {Function} Middleware function
  */
@@ -69,6 +80,7 @@ const requireMinimumRole = (requiredLevel) => {
     const roleHierarchy = {
         'reader': 1,
         'editor': 2,
+        'reviewer': 2,
         'admin': 3
     };
 
@@ -156,10 +168,52 @@ const requireOwnershipOrAdmin = (userIdField = 'userId') => {
     };
 };
 
+/**
+ * Check if user's role grants at least one of the given permissions
+ * Permissions are stored on req.permissions for later checks in the request
+ * @param {...String} permissions - Permission keys, e.g. 'blog.publish'
+ * @returns {Function} Middleware function
+ */
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            const granted = await permissionService.getRequestPermissions(req);
+
+            if (!permissions.some(permission => granted.includes(permission))) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access denied. Insufficient permissions.',
+                    details: `Required permission(s): ${permissions.join(', ')}. Your role: ${req.user.role}`
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Permission authorization error:', error);
+
+            return res.status(500).json({
+                success: false,
+                error: 'Authorization check failed',
+                details: error.message
+            });
+        }
+    };
+};
+
 module.exports = {
     requireRole,
+    requirePermission,
     requireAdmin,
     requireEditor,
+    requireReviewer,
+    requireStaff,
     requireAuth,
     requireMinimumRole,
     requireOwnershipOrAdmin
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_KEY_SCOPE_KEYS } = require('../config/permissions');
+
+/**
+ * ApiKey Schema - credentials for machine clients such as the public site or sync jobs
+ * A key acts as its owner, limited to the routes of its scopes.
+ * Only the SHA-256 hash of the secret is stored; the key is shown once when it is
+ * created or rotated.
+ */
+const apiKeySchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Key name is required'],
+            trim: true,
+            maxlength: [100, 'Key name cannot exceed 100 characters']
+        },
+
+        // Public part of the key, used to look it up and to tell keys apart in the panel
+        prefix: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        keyHash: {
+            type: String,
+            required: true,
+            select: false
+        },
+
+        // User the key acts as
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Key owner is required'],
+            index: true
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+
+        scopes: {
+            type: [String],
+            validate: [
+                {
+                    validator: (scopes) => scopes.length > 0,
+                    message: 'At least one scope is required'
+                },
+                {
+                    validator: (scopes) => scopes.every(scope => API_KEY_SCOPE_KEYS.includes(scope)),
+                    message: 'Unknown scope'
+                }
+            ]
+        },
+
+        // Null when the key never expires
+        expiresAt: {
+            type: Date,
+            default: null
+        },
+
+        lastUsedAt: {
+            type: Date,
+            default: null
+        },
+
+        lastUsedIp: {
+            type: String
+        },
+
+        rotatedAt: {
+            type: Date,
+            default: null
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+
+        revokedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            // Never send the hash, even right after it was generated
+            transform: (doc, ret) => {
+                delete ret.keyHash;
+                return ret;
+            }
+        },
+        toObject: { virtuals: true }
+    }
+);
+
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+// Keep scopes unique
+apiKeySchema.pre('save', function (next) {
+    if (this.isModified('scopes')) {
+        this.scopes = [...new Set(this.scopes)];
+    }
+    next();
+});
+
+/**
+ * Key status for the panel
+ */
+apiKeySchema.virtual('status').get(function () {
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+    return 'active';
+});
+
+/**
+ * Generate a new key
+ * Keys look like `rcm_<prefix>_<secret>`; the prefix is stored in clear text for lookup
+ * @returns {Object} { key, prefix, keyHash }
+ */
+apiKeySchema.statics.generateKey = function () {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const key = `rcm_${prefix}_${secret}`;
+    return { key, prefix, keyHash: this.hashKey(key) };
+};
+
+/**
+ * Hash a raw API key for storage and comparison
+ * @param {String} key - Raw key
+ * @returns {String} SHA-256 hex digest
+ */
+apiKeySchema.statics.hashKey = function (key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Read the prefix out of a raw key
+ * @param {String} key - Raw key
+ * @returns {String|null} Prefix, or null when the key is malformed
+ */
+apiKeySchema.statics.parsePrefix = function (key) {
+    const match = /^rcm_([a-f0-9]{12})_[A-Za-z0-9_-]+$/.exec(key || '');
+    return match ? match[1] : null;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
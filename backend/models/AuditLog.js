@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog Schema - one document per mutating admin action
+ * Entries are append-only: updates and deletes through Mongoose are rejected.
+ */
+const auditLogSchema = new mongoose.Schema(
+    {
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Actor is required']
+        },
+
+        // Kept so entries stay readable after the user is deleted or renamed
+        actorUsername: {
+            type: String
+        },
+
+        actorRole: {
+            type: String
+        },
+
+        // Set when the actor authenticated with an API key instead of signing in
+        apiKey: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ApiKey',
+            default: null
+        },
+
+        // Dotted action name, e.g. 'blog.delete' or 'user.update'
+        action: {
+            type: String,
+            required: [true, 'Action is required'],
+            trim: true
+        },
+
+        targetType: {
+            type: String,
+            required: [true, 'Target type is required']
+        },
+
+        targetId: {
+            type: String,
+            default: null
+        },
+
+        // Title, name or username of the target at the time of the action
+        targetLabel: {
+            type: String,
+            maxlength: 300
+        },
+
+        // Summary of the changed fields only
+        changes: {
+            before: {
+                type: mongoose.Schema.Types.Mixed,
+                default: null
+            },
+            after: {
+                type: mongoose.Schema.Types.Mixed,
+                default: null
+            }
+        },
+
+        // Request details
+        method: {
+            type: String
+        },
+
+        path: {
+            type: String
+        },
+
+        statusCode: {
+            type: Number
+        },
+
+        ipAddress: {
+            type: String
+        },
+
+        userAgent: {
+            type: String,
+            maxlength: 500
+        },
+
+        requestId: {
+            type: String
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+// Indexes for the audit filters
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are immutable once written
+const rejectChange = function (next) {
+    next(new Error('Audit log entries cannot be modified'));
+};
+
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+
+[
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+    'findOneAndRemove'
+].forEach(operation => {
+    auditLogSchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
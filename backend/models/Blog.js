@@ -1,4 +1,26 @@
 const mongoose = require('mongoose');
+// Registers the model every blog query populates its category from
+require('./Category');
+
+// Credits a contributor can have on a post, in the order they are usually listed
+const AUTHOR_ROLES = ['author', 'reviewer', 'medical_reviewer'];
+
+// Fields of the referenced category filled in on every query
+const CATEGORY_FIELDS = 'name slug';
+
+/**
+ * Replace a populated category with its name and add its slug as categorySlug,
+ * so API consumers keep seeing the category name they always have
+ * @param {Object} blog - Plain blog object
+ * @returns {Object} The same object
+ */
+const showCategoryName = (blog) => {
+    if (blog?.category && typeof blog.category === 'object' && 'name' in blog.category) {
+        blog.categorySlug = blog.category.slug;
+        blog.category = blog.category.name;
+    }
+    return blog;
+};
 
 /**
  * Blog Schema with comprehensive fields for content management, SEO, and engagement tracking
@@ -42,16 +64,36 @@ const blogSchema = new mongoose.Schema(
         },
 
         // Metadata Fields
+        // Primary author, kept in sync with the first 'author' credit for older clients
         author: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
             required: [true, 'Author is required']
         },
 
+        // Contributor credits in byline order
+        authors: [{
+            _id: false,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: [true, 'Credited user is required']
+            },
+            role: {
+                type: String,
+                enum: {
+                    values: AUTHOR_ROLES,
+                    message: 'Credit role must be one of: ' + AUTHOR_ROLES.join(', ')
+                },
+                default: 'author'
+            }
+        }],
+
+        // Responses show the category's name, with its slug as categorySlug
         category: {
-            type: String,
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
             required: [true, 'Category is required'],
-            trim: true,
             index: true
         },
 
@@ -63,17 +105,70 @@ const blogSchema = new mongoose.Schema(
 
         status: {
             type: String,
-            enum: ['draft', 'published', 'archived'],
+            enum: ['draft', 'in_review', 'scheduled', 'published', 'archived'],
             default: 'draft',
             index: true
         },
 
+        // Scheduling Fields
+        publishAt: {
+            type: Date,
+            default: null
+        },
+
+        unpublishAt: {
+            type: Date,
+            default: null
+        },
+
         featured: {
             type: Boolean,
             default: false,
             index: true
         },
 
+        // Editorial Workflow
+        statusHistory: {
+            type: [{
+                from: {
+                    type: String,
+                    default: null
+                },
+                to: {
+                    type: String,
+                    required: true
+                },
+                actor: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                    default: null // null for system transitions (e.g. scheduled publishing)
+                },
+                comment: {
+                    type: String,
+                    trim: true,
+                    maxlength: [2000, 'Review comment cannot exceed 2000 characters'],
+                    default: ''
+                },
+                createdAt: {
+                    type: Date,
+                    default: Date.now
+                }
+            }],
+            select: false // Internal review notes are not part of public responses
+        },
+
+        // Trash: deleted blogs are kept until they are purged
+        deletedAt: {
+            type: Date,
+            default: null
+        },
+
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+
         // SEO Metadata
         seoMetadata: {
             metaTitle: {
@@ -113,8 +208,8 @@ const blogSchema = new mongoose.Schema(
     },
     {
         timestamps: true, // Automatically adds createdAt and updatedAt
-        toJSON: { virtuals: true },
-        toObject: { virtuals: true }
+        toJSON: { virtuals: true, transform: (doc, ret) => showCategoryName(ret) },
+        toObject: { virtuals: true, transform: (doc, ret) => showCategoryName(ret) }
     }
 );
 
@@ -123,6 +218,59 @@ blogSchema.virtual('likeCount').get(function () {
     return this.likes ? this.likes.length : 0;
 });
 
+// Keep `author` and `authors` consistent: blogs saved with only `author` get a
+// single author credit, and `author` follows the first 'author' credit
+blogSchema.pre('validate', function (next) {
+    if (this.authors.length === 0 && this.author) {
+        this.authors = [{ user: this.author, role: 'author' }];
+    } else if (this.isModified('authors')) {
+        const primary = this.authors.find(credit => credit.role === 'author');
+        if (primary) {
+            this.author = primary.user;
+        }
+    }
+    next();
+});
+
+// Trashed blogs are left out of every query unless the filter (or the first
+// $match stage of an aggregation) mentions deletedAt, e.g. { deletedAt: { $ne: null } },
+// or the query sets the withTrashed option to cover live and trashed blogs alike
+blogSchema.pre(
+    ['countDocuments', 'distinct', 'find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'],
+    function () {
+        if (!('deletedAt' in this.getFilter()) && !this.getOptions().withTrashed) {
+            this.where({ deletedAt: null });
+        }
+    }
+);
+
+// Blogs reference their category by ID; queries fill in its name and slug unless
+// the query populates the category itself. Lean results get the same shape as
+// JSON responses, with the name in category and the slug in categorySlug
+blogSchema.pre(['find', 'findOne', 'findOneAndUpdate'], function () {
+    if (!this.mongooseOptions().populate?.category) {
+        this.populate('category', CATEGORY_FIELDS);
+    }
+});
+
+blogSchema.post(['find', 'findOne', 'findOneAndUpdate'], function (result) {
+    if (this.mongooseOptions().lean && result) {
+        [].concat(result).forEach(showCategoryName);
+    }
+});
+
+blogSchema.pre('aggregate', function () {
+    const [firstStage] = this.pipeline();
+
+    if (firstStage?.$match) {
+        if (!('deletedAt' in firstStage.$match)) {
+            firstStage.$match.deletedAt = null;
+        }
+    } else {
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+});
+
 // Pre-save hook for slug generation
 blogSchema.pre('save', function (next) {
     if (this.isModified('title') || (this.isNew && !this.slug)) {
@@ -171,8 +319,12 @@ blogSchema.index({ status: 1, category: 1, createdAt: -1 }); // Category filteri
 blogSchema.index({ status: 1, tags: 1, createdAt: -1 }); // Tag filtering with date
 blogSchema.index({ status: 1, viewCount: -1 }); // Popular published blogs
 blogSchema.index({ author: 1, status: 1, createdAt: -1 }); // Author's blogs
+blogSchema.index({ 'authors.user': 1 }); // Co-authored blogs
+blogSchema.index({ deletedAt: 1 }); // Trash view and purging
 blogSchema.index({ category: 1, status: 1, featured: 1 }); // Category + featured
 blogSchema.index({ tags: 1, status: 1, featured: 1 }); // Tags + featured
+blogSchema.index({ status: 1, publishAt: 1 }); // Scheduled blogs due for publishing
+blogSchema.index({ status: 1, unpublishAt: 1 }); // Published blogs due for unpublishing
 
 // Text index for search functionality
 blogSchema.index({
@@ -204,6 +356,21 @@ blogSchema.statics.findFeatured = function () {
     return this.find({ featured: true, status: 'published' });
 };
 
+// Static method to find blogs awaiting review
+blogSchema.statics.findInReview = function () {
+    return this.find({ status: 'in_review' });
+};
+
+// Static method to find scheduled blogs whose publish time has passed
+blogSchema.statics.findDueForPublishing = function (now = new Date()) {
+    return this.find({ status: 'scheduled', publishAt: { $lte: now } });
+};
+
+// Static method to find published blogs whose unpublish time has passed
+blogSchema.statics.findDueForUnpublishing = function (now = new Date()) {
+    return this.find({ status: 'published', unpublishAt: { $ne: null, $lte: now } });
+};
+
 // Instance method to increment view count
 blogSchema.methods.incrementViewCount = function () {
     this.viewCount += 1;
@@ -232,6 +399,21 @@ blogSchema.methods.isLikedBy = function (userId) {
     return this.likes.some(id => id.toString() === userObjectId.toString());
 };
 
+// Instance method to check if a user is credited on the blog (primary author or co-author)
+blogSchema.methods.isCreditedTo = function (userId) {
+    const id = userId.toString();
+    const idOf = (ref) => (ref?._id || ref)?.toString(); // Works on populated references too
+    return idOf(this.author) === id || (this.authors || []).some(credit => idOf(credit.user) === id);
+};
+
+// Instance method to get the category ID, whether or not the category is populated
+blogSchema.methods.getCategoryId = function () {
+    return this.populated('category') || this.category?._id || this.category;
+};
+
 const Blog = mongoose.model('Blog', blogSchema);
 
-module.exports = Blog;
\ No newline at end of file
+module.exports = Blog;
+module.exports.AUTHOR_ROLES = AUTHOR_ROLES;
+module.exports.CATEGORY_FIELDS = CATEGORY_FIELDS;
+module.exports.showCategoryName = showCategoryName;
\ No newline at end of file
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fields of a blog that are captured in every revision snapshot
+ */
+const TRACKED_FIELDS = ['title', 'content', 'excerpt', 'category', 'tags', 'seoMetadata'];
+
+/**
+ * BlogRevision Schema - immutable snapshot of a blog's editable content
+ */
+const blogRevisionSchema = new mongoose.Schema(
+    {
+        blog: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Blog',
+            required: [true, 'Blog reference is required'],
+            index: true
+        },
+
+        revisionNumber: {
+            type: Number,
+            required: [true, 'Revision number is required'],
+            min: [1, 'Revision number must be at least 1']
+        },
+
+        // Snapshot Fields
+        title: {
+            type: String,
+            required: [true, 'Revision title is required']
+        },
+
+        content: {
+            type: String,
+            default: ''
+        },
+
+        excerpt: {
+            type: String,
+            default: ''
+        },
+
+        // Referenced by ID so renames and merges carry over; the name is looked up for display
+        category: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+            default: null
+        },
+
+        tags: [{
+            type: String
+        }],
+
+        seoMetadata: {
+            metaTitle: {
+                type: String,
+                default: ''
+            },
+            metaDescription: {
+                type: String,
+                default: ''
+            },
+            keywords: [{
+                type: String
+            }],
+            ogImage: {
+                type: String,
+                default: ''
+            }
+        },
+
+        // Revision Metadata
+        changeType: {
+            type: String,
+            enum: {
+                values: ['create', 'update', 'restore'],
+                message: 'Change type must be create, update, or restore'
+            },
+            default: 'update'
+        },
+
+        restoredFrom: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'BlogRevision'
+        },
+
+        editedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+// One revision number per blog, newest first
+blogRevisionSchema.index({ blog: 1, revisionNumber: -1 }, { unique: true });
+
+/**
+ * Build a plain snapshot of the tracked fields of a blog
+ * @param {Object} blog - Blog document or plain object
+ * @returns {Object} Snapshot data
+ */
+blogRevisionSchema.statics.buildSnapshot = function (blog) {
+    return {
+        title: blog.title || '',
+        content: blog.content || '',
+        excerpt: blog.excerpt || '',
+        // Category ID, from a populated category or a plain ID
+        category: blog.category?._id || blog.category || null,
+        tags: Array.isArray(blog.tags) ? [...blog.tags] : [],
+        seoMetadata: {
+            metaTitle: blog.seoMetadata?.metaTitle || '',
+            metaDescription: blog.seoMetadata?.metaDescription || '',
+            keywords: Array.isArray(blog.seoMetadata?.keywords) ? [...blog.seoMetadata.keywords] : [],
+            ogImage: blog.seoMetadata?.ogImage || ''
+        }
+    };
+};
+
+/**
+ * Check whether two snapshots differ in any tracked field
+ * @param {Object} a - First snapshot
+ * @param {Object} b - Second snapshot
+ * @returns {Boolean} True if any tracked field changed
+ */
+blogRevisionSchema.statics.hasChanges = function (a, b) {
+    const left = this.buildSnapshot(a);
+    const right = this.buildSnapshot(b);
+    return TRACKED_FIELDS.some(field => JSON.stringify(left[field]) !== JSON.stringify(right[field]));
+};
+
+/**
+ * Record a new revision for a blog
+ * Update snapshots identical to the latest revision are skipped
+ * @param {Object} blog - Blog document
+ * @param {ObjectId} userId - User who made the change
+ * @param {String} changeType - create, update or restore
+ * @param {Object} extra - Additional revision fields (e.g. restoredFrom)
+ * @returns {Object|null} Created revision or null if nothing changed
+ */
+blogRevisionSchema.statics.recordSnapshot = async function (blog, userId, changeType = 'update', extra = {}) {
+    const snapshot = this.buildSnapshot(blog);
+
+    // Retry on revision number collisions from concurrent saves
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const latest = await this.findOne({ blog: blog._id })
+            .sort({ revisionNumber: -1 })
+            .lean();
+
+        if (latest && changeType === 'update' && !this.hasChanges(latest, snapshot)) {
+            return null;
+        }
+
+        try {
+            return await this.create({
+                blog: blog._id,
+                revisionNumber: (latest?.revisionNumber || 0) + 1,
+                ...snapshot,
+                changeType,
+                editedBy: userId,
+                ...extra
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+    }
+
+    throw new Error('Failed to record blog revision after concurrent updates');
+};
+
+/**
+ * Make sure a blog has at least one revision describing its current state
+ * Used for blogs created before revision history existed
+ * @param {Object} blog - Blog document
+ * @returns {Object|null} Created baseline revision or null if history exists
+ */
+blogRevisionSchema.statics.ensureBaseline = async function (blog) {
+    const hasHistory = await this.exists({ blog: blog._id });
+    if (hasHistory) {
+        return null;
+    }
+
+    return this.recordSnapshot(blog, blog.author, 'create');
+};
+
+const BlogRevision = mongoose.model('BlogRevision', blogRevisionSchema);
+
+module.exports = BlogRevision;
+module.exports.TRACKED_FIELDS = TRACKED_FIELDS;
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Deepest nesting allowed, e.g. Coding > ICD-10 > Cardiology is depth 3
+const MAX_CATEGORY_DEPTH = 5;
+
 /**
  * Category Schema for dynamic blog categorization
  */
@@ -45,6 +48,26 @@ const categorySchema = new mongoose.Schema(
             index: true
         },
 
+        // Parent category; null for top-level categories
+        parent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+            default: null,
+            index: true
+        },
+
+        // Materialized path: IDs from the root down to this category, e.g. ",<root>,<child>,"
+        path: {
+            type: String,
+            index: true
+        },
+
+        // Slugs of categories merged into this one; requests for them are redirected here
+        previousSlugs: {
+            type: [String],
+            index: true
+        },
+
         blogCount: {
             type: Number,
             default: 0,
@@ -77,29 +100,162 @@ categorySchema.pre('save', function (next) {
     next();
 });
 
+// Keep the materialized path in sync with the parent
+categorySchema.pre('save', async function () {
+    if (!this.isNew && !this.isModified('parent') && this.path) {
+        return;
+    }
+
+    let parentPath = ',';
+    if (this.parent) {
+        const parent = await this.constructor.findById(this.parent).select('path').session(this.$session());
+        if (!parent) {
+            throw new Error('Parent category not found');
+        }
+        parentPath = parent.getPath();
+    }
+
+    // Descendants are moved along once the new path is saved
+    this.$locals.previousPath = this.isNew ? null : this.getPath();
+    this.path = `${parentPath}${this._id},`;
+});
+
+categorySchema.post('save', async function () {
+    const previousPath = this.$locals.previousPath;
+    if (!previousPath || previousPath === this.path) {
+        return;
+    }
+
+    // Swap the old path prefix of every descendant for the new one
+    await this.constructor.updateMany(
+        { path: { $regex: `^${previousPath}` }, _id: { $ne: this._id } },
+        [{
+            $set: {
+                path: { $concat: [this.path, { $substrCP: ['$path', previousPath.length, { $strLenCP: '$path' }] }] }
+            }
+        }],
+        { session: this.$session() }
+    );
+});
+
+/**
+ * Materialized path of this category
+ * Categories saved before paths were stored have none; they are all top-level
+ * until the migrate-category-paths script fills them in
+ * @returns {String} Path such as ",<root>,<child>,"
+ */
+categorySchema.methods.getPath = function () {
+    return this.path || `,${this._id},`;
+};
+
+// Number of levels from the root, 1 for top-level categories
+categorySchema.virtual('depth').get(function () {
+    return this.path ? this.path.split(',').filter(Boolean).length : 1;
+});
+
+// Static method to find a category and all of its descendants
+categorySchema.statics.findSubtree = function (category) {
+    // Matched by ID too, in case the category itself has no stored path yet
+    return this.find({
+        $or: [{ _id: category._id }, { path: { $regex: `^${category.getPath()}` } }]
+    });
+};
+
+/**
+ * Find a category from the value a client sent for a blog's category
+ * @param {String|ObjectId} value - Category ID, name or slug
+ * @returns {Query} Query for the category, resolving to null when none matches
+ */
+categorySchema.statics.findByReference = function (value) {
+    const reference = String(value || '').trim();
+    const conditions = [{ name: reference }, { slug: reference.toLowerCase() }];
+    if (mongoose.Types.ObjectId.isValid(reference)) {
+        conditions.unshift({ _id: reference });
+    }
+    return this.findOne({ $or: conditions });
+};
+
+// Static method to get the IDs of a category and all of its descendants, empty when it does not exist
+categorySchema.statics.getSubtreeIds = async function (reference) {
+    const category = await this.findByReference(reference).select('path');
+    if (!category) {
+        return [];
+    }
+    const subtree = await this.findSubtree(category).select('_id');
+    return subtree.map(item => item._id);
+};
+
+/**
+ * Breadcrumb trail from the root down to a category
+ * @param {ObjectId|Object} categoryId - Category ID, or the category populated on a blog
+ * @returns {Array} [{ _id, name, slug }], empty when the category does not exist
+ */
+categorySchema.statics.getBreadcrumbs = async function (categoryId) {
+    const category = await this.findById(categoryId?._id || categoryId).select('name slug path');
+    if (!category) {
+        return [];
+    }
+
+    const ids = category.getPath().split(',').filter(Boolean);
+    const ancestors = await this.find({ _id: { $in: ids } }).select('name slug').lean();
+
+    return ids
+        .map(id => ancestors.find(ancestor => ancestor._id.toString() === id))
+        .filter(Boolean)
+        .map(({ _id, name, slug }) => ({ _id, name, slug }));
+};
+
 // Static method to find active categories
 categorySchema.statics.findActive = function () {
     return this.find({ isActive: true }).sort({ name: 1 });
 };
 
-// Static method to increment blog count
-categorySchema.statics.incrementBlogCount = function (categoryName) {
-    return this.findOneAndUpdate(
-        { name: categoryName, isActive: true },
-        { $inc: { blogCount: 1 } },
-        { new: true }
-    );
+/**
+ * Reset blog counts from the blogs using the categories; trashed blogs are not counted
+ * @param {Array} categoryIds - Categories whose blogs may have changed
+ * @param {ClientSession|null} session - Transaction session
+ */
+categorySchema.statics.recountBlogCounts = async function (categoryIds = [], session = null) {
+    const Blog = mongoose.model('Blog');
+    const ids = [...new Set(categoryIds.filter(Boolean).map(id => (id._id || id).toString()))];
+
+    for (const id of ids) {
+        const blogCount = await Blog.countDocuments({ category: id }).session(session);
+        await this.updateOne({ _id: id }, { blogCount }, { session });
+    }
 };
 
-// Static method to decrement blog count
-categorySchema.statics.decrementBlogCount = function (categoryName) {
-    return this.findOneAndUpdate(
-        { name: categoryName },
-        { $inc: { blogCount: -1 } },
-        { new: true }
-    );
+// Static method to reset the blog count of one category and return it
+categorySchema.statics.recountBlogCount = async function (categoryId, session = null) {
+    await this.recountBlogCounts([categoryId], session);
+    return this.findById(categoryId?._id || categoryId).session(session);
+};
+
+/**
+ * Recompute the blog count of every category from the blogs collection
+ * @returns {Array} [{ _id, name, from, to }] for the categories whose count was wrong
+ */
+categorySchema.statics.reconcileBlogCounts = async function () {
+    const counts = await mongoose.model('Blog').aggregate([
+        { $match: { deletedAt: null } },
+        { $group: { _id: '$category', blogCount: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(({ _id, blogCount }) => [String(_id), blogCount]));
+
+    const categories = await this.find().select('name blogCount').lean();
+    const corrected = categories
+        .map(({ _id, name, blogCount }) => ({ _id, name, from: blogCount, to: countById.get(String(_id)) || 0 }))
+        .filter(({ from, to }) => from !== to);
+
+    if (corrected.length > 0) {
+        await this.bulkWrite(corrected.map(({ _id, to }) => ({
+            updateOne: { filter: { _id }, update: { blogCount: to } }
+        })));
+    }
+    return corrected;
 };
 
 const Category = mongoose.model('Category', categorySchema);
 
-module.exports = Category;
\ No newline at end of file
+module.exports = Category;
+module.exports.MAX_CATEGORY_DEPTH = MAX_CATEGORY_DEPTH;
\ No newline at end of file
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+// Replies deeper than this are attached to the deepest allowed level
+const MAX_DEPTH = 3;
+
+const MODERATION_STATUSES = ['pending', 'approved', 'spam', 'rejected'];
+
+/**
+ * Comment Schema - public reader discussion on published blogs
+ * Comments start pending and only approved comments are shown publicly
+ */
+const commentSchema = new mongoose.Schema(
+    {
+        blog: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Blog',
+            required: [true, 'Blog reference is required'],
+            index: true
+        },
+
+        // Threading
+        parent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Comment',
+            default: null
+        },
+
+        root: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Comment',
+            default: null
+        },
+
+        depth: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: MAX_DEPTH
+        },
+
+        content: {
+            type: String,
+            required: [true, 'Comment content is required'],
+            trim: true,
+            maxlength: [2000, 'Comment cannot exceed 2000 characters']
+        },
+
+        // Author (registered user or guest)
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+
+        authorName: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters']
+        },
+
+        authorEmail: {
+            type: String,
+            trim: true,
+            lowercase: true,
+            match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address'],
+            select: false // Never exposed publicly
+        },
+
+        // Moderation
+        status: {
+            type: String,
+            enum: {
+                values: MODERATION_STATUSES,
+                message: 'Status must be one of: pending, approved, spam, rejected'
+            },
+            default: 'pending'
+        },
+
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+
+        moderatedAt: {
+            type: Date,
+            default: null
+        },
+
+        ipAddress: {
+            type: String,
+            select: false
+        },
+
+        userAgent: {
+            type: String,
+            select: false
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+// Public listing: approved top-level comments of a blog, newest first
+commentSchema.index({ blog: 1, status: 1, parent: 1, createdAt: -1 });
+// Replies of a page of threads
+commentSchema.index({ root: 1, status: 1, createdAt: 1 });
+// Moderation queue
+commentSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Nest a flat list of comments under their parents
+ * @param {Array} roots - Top-level comments
+ * @param {Array} replies - Replies belonging to those roots
+ * @returns {Array} Roots with nested `replies` arrays
+ */
+commentSchema.statics.buildTree = function (roots, replies) {
+    const nodes = new Map();
+    [...roots, ...replies].forEach(comment => {
+        nodes.set(comment._id.toString(), { ...comment, replies: [] });
+    });
+
+    replies.forEach(reply => {
+        // Replies whose parent is not visible (e.g. rejected) are dropped with it
+        const parent = nodes.get(reply.parent.toString());
+        if (parent) {
+            parent.replies.push(nodes.get(reply._id.toString()));
+        }
+    });
+
+    return roots.map(root => nodes.get(root._id.toString()));
+};
+
+/**
+ * Count comments per moderation status
+ * @param {Object} filter - Additional match filter (e.g. date range)
+ * @returns {Object} { total, pending, approved, spam, rejected }
+ */
+commentSchema.statics.getStatusCounts = async function (filter = {}) {
+    const results = await this.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const counts = { total: 0 };
+    MODERATION_STATUSES.forEach(status => {
+        counts[status] = 0;
+    });
+    results.forEach(({ _id, count }) => {
+        counts[_id] = count;
+        counts.total += count;
+    });
+
+    return counts;
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
+module.exports.MAX_DEPTH = MAX_DEPTH;
+module.exports.MODERATION_STATUSES = MODERATION_STATUSES;
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// @username tokens (usernames are letters, numbers and underscores)
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_@])@([a-zA-Z0-9_]{3,30})/g;
+
+/**
+ * EditorialComment Schema - internal review feedback on a blog
+ * Thread roots are anchored to a text range of the editor document,
+ * replies point at their root through `parent`
+ */
+const editorialCommentSchema = new mongoose.Schema(
+    {
+        blog: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Blog',
+            required: [true, 'Blog reference is required'],
+            index: true
+        },
+
+        parent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'EditorialComment',
+            default: null
+        },
+
+        // Text range in the Quill document (thread roots only)
+        anchor: {
+            index: {
+                type: Number,
+                min: [0, 'Anchor index cannot be negative']
+            },
+            length: {
+                type: Number,
+                min: [0, 'Anchor length cannot be negative']
+            },
+            quote: {
+                type: String,
+                maxlength: [1000, 'Quoted text cannot exceed 1000 characters']
+            }
+        },
+
+        body: {
+            type: String,
+            required: [true, 'Comment text is required'],
+            trim: true,
+            maxlength: [5000, 'Comment cannot exceed 5000 characters']
+        },
+
+        mentions: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }],
+
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Comment author is required']
+        },
+
+        // Thread State (thread roots only)
+        status: {
+            type: String,
+            enum: {
+                values: ['open', 'resolved'],
+                message: 'Status must be either open or resolved'
+            },
+            default: 'open'
+        },
+
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+
+        resolvedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+// Threads of a blog in document order, replies in posting order
+editorialCommentSchema.index({ blog: 1, parent: 1, createdAt: 1 });
+editorialCommentSchema.index({ mentions: 1, createdAt: -1 });
+
+/**
+ * Extract the unique usernames mentioned in a comment
+ * @param {String} text - Comment text
+ * @returns {Array} Mentioned usernames
+ */
+editorialCommentSchema.statics.extractMentions = function (text = '') {
+    const usernames = new Set();
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+        usernames.add(match[2]);
+    }
+    return [...usernames];
+};
+
+/**
+ * Get all threads of a blog with their replies
+ * @param {ObjectId} blogId - Blog ID
+ * @param {Object} options - { status, populate }
+ * @returns {Array} Thread roots with a `replies` array
+ */
+editorialCommentSchema.statics.findThreads = async function (blogId, { status, populate = [] } = {}) {
+    const rootFilter = { blog: blogId, parent: null };
+    if (status) {
+        rootFilter.status = status;
+    }
+
+    const roots = await this.find(rootFilter)
+        .sort({ 'anchor.index': 1, createdAt: 1 })
+        .populate(populate)
+        .lean();
+
+    const replies = await this.find({ blog: blogId, parent: { $in: roots.map(root => root._id) } })
+        .sort({ createdAt: 1 })
+        .populate(populate)
+        .lean();
+
+    return roots.map(root => ({
+        ...root,
+        replies: replies.filter(reply => reply.parent.toString() === root._id.toString())
+    }));
+};
+
+const EditorialComment = mongoose.model('EditorialComment', editorialCommentSchema);
+
+module.exports = EditorialComment;
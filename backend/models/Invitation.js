@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Invitation Schema - a pending offer for someone to join the admin panel with a role
+ * The invitee chooses their own username and password when accepting.
+ * Only the SHA-256 hash of the single-use token is stored.
+ */
+const invitationSchema = new mongoose.Schema(
+    {
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            trim: true,
+            lowercase: true,
+            match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address'],
+            index: true
+        },
+
+        role: {
+            type: String,
+            required: [true, 'Role is required'],
+            trim: true,
+            lowercase: true
+        },
+
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Inviter is required']
+        },
+
+        // Delivery
+        lastSentAt: {
+            type: Date,
+            default: Date.now
+        },
+
+        sendCount: {
+            type: Number,
+            default: 1
+        },
+
+        // Outcome
+        acceptedAt: {
+            type: Date,
+            default: null
+        },
+
+        acceptedUser: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+
+        revokedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            transform: (doc, ret) => {
+                delete ret.tokenHash;
+                return ret;
+            }
+        },
+        toObject: { virtuals: true }
+    }
+);
+
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+invitationSchema.index({ createdAt: -1 });
+
+/**
+ * Invitation status for the panel
+ */
+invitationSchema.virtual('status').get(function () {
+    if (this.acceptedAt) return 'accepted';
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt <= new Date()) return 'expired';
+    return 'pending';
+});
+
+/**
+ * Generate a new single-use token
+ * @returns {Object} { token, tokenHash }
+ */
+invitationSchema.statics.generateToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: this.hashToken(token) };
+};
+
+/**
+ * Hash a raw invitation token for storage and lookup
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+invitationSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Query matching invitations that can still be accepted
+ * @returns {Object} Filter for open invitations
+ */
+invitationSchema.statics.openFilter = function () {
+    return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } };
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * LoginAttempt Schema - one document per failed sign-in
+ * Used to throttle addresses that try many accounts; per-account counters live on the User.
+ * Documents expire on their own once they fall out of the tracking window.
+ */
+const loginAttemptSchema = new mongoose.Schema(
+    {
+        ipAddress: {
+            type: String,
+            required: true
+        },
+
+        // Email or username as typed, kept for security review
+        identifier: {
+            type: String,
+            maxlength: 254
+        },
+
+        // Set when the identifier matched an account
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+
+        reason: {
+            type: String,
+            enum: ['unknown_account', 'invalid_password', 'account_locked'],
+            required: true
+        },
+
+        userAgent: {
+            type: String,
+            maxlength: 500
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+// Attempts are removed by MongoDB once they leave the tracking window
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Recent failures per address
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+
+/**
+ * Count failed attempts from an address since a point in time
+ * @param {String} ipAddress - Client address
+ * @param {Date} since - Start of the window
+ * @returns {Number} Number of failed attempts
+ */
+loginAttemptSchema.statics.countRecent = function (ipAddress, since) {
+    return this.countDocuments({ ipAddress, createdAt: { $gte: since } });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
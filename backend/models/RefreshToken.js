@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REVOKE_REASONS = ['rotated', 'logout', 'logout_all', 'reuse_detected', 'admin', 'deactivated', 'password_reset', 'password_change'];
+
+/**
+ * RefreshToken Schema - one document per issued refresh token
+ * Tokens issued for the same sign-in share a `family` (the session ID). Each refresh
+ * rotates the token; presenting an already rotated token revokes the whole family.
+ * Only the SHA-256 hash of the token is stored.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User reference is required'],
+            index: true
+        },
+
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        family: {
+            type: String,
+            required: true,
+            index: true
+        },
+
+        // Device information
+        userAgent: {
+            type: String,
+            maxlength: 500
+        },
+
+        ipAddress: {
+            type: String
+        },
+
+        sessionStartedAt: {
+            type: Date,
+            default: Date.now
+        },
+
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+
+        // Revocation
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+
+        revokedReason: {
+            type: String,
+            enum: REVOKE_REASONS,
+            default: null
+        },
+
+        replacedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'RefreshToken',
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Active sessions of a user
+refreshTokenSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Session checks for access tokens
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+
+/**
+ * Hash a raw refresh token for storage and lookup
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+refreshTokenSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Check whether a session still has an active token
+ * @param {String} family - Session ID
+ * @returns {Boolean} Whether the session is active
+ */
+refreshTokenSchema.statics.isSessionActive = async function (family) {
+    const active = await this.exists({ family, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return !!active;
+};
+
+/**
+ * Revoke every active token of a session
+ * @param {String} family - Session ID
+ * @param {String} reason - Revocation reason
+ * @returns {Number} Number of revoked tokens
+ */
+refreshTokenSchema.statics.revokeFamily = async function (family, reason) {
+    const result = await this.updateMany(
+        { family, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Revoke every active token of a user
+ * @param {ObjectId} userId - User ID
+ * @param {String} reason - Revocation reason
+ * @returns {Number} Number of revoked tokens
+ */
+refreshTokenSchema.statics.revokeForUser = async function (userId, reason) {
+    const result = await this.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * List the active sessions of a user, most recently used first
+ * @param {ObjectId} userId - User ID
+ * @returns {Array} Sessions { id, userAgent, ipAddress, sessionStartedAt, lastUsedAt, expiresAt }
+ */
+refreshTokenSchema.statics.findActiveSessions = async function (userId) {
+    const tokens = await this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('family userAgent ipAddress sessionStartedAt lastUsedAt expiresAt')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+    return tokens.map(({ family, userAgent, ipAddress, sessionStartedAt, lastUsedAt, expiresAt }) => ({
+        id: family,
+        userAgent,
+        ipAddress,
+        sessionStartedAt,
+        lastUsedAt,
+        expiresAt
+    }));
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
+module.exports.REVOKE_REASONS = REVOKE_REASONS;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { PERMISSION_KEYS } = require('../config/permissions');
+
+/**
+ * Role Schema - a named set of permissions assigned to users
+ * Built-in roles (admin, editor, reviewer, reader) cannot be renamed or deleted.
+ */
+const roleSchema = new mongoose.Schema(
+    {
+        // Value stored in User.role
+        name: {
+            type: String,
+            required: [true, 'Role name is required'],
+            unique: true,
+            trim: true,
+            lowercase: true,
+            match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 letters, numbers, dashes or underscores'],
+            index: true
+        },
+
+        label: {
+            type: String,
+            required: [true, 'Role label is required'],
+            trim: true,
+            maxlength: [50, 'Role label cannot exceed 50 characters']
+        },
+
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Description cannot exceed 200 characters']
+        },
+
+        permissions: {
+            type: [String],
+            default: [],
+            validate: {
+                validator: (permissions) => permissions.every(permission => PERMISSION_KEYS.includes(permission)),
+                message: 'Unknown permission'
+            }
+        },
+
+        isBuiltIn: {
+            type: Boolean,
+            default: false
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Keep permissions unique
+roleSchema.pre('save', function (next) {
+    if (this.isModified('permissions')) {
+        this.permissions = [...new Set(this.permissions)];
+    }
+    next();
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// Most parts one series can hold
+const MAX_SERIES_BLOGS = 100;
+
+/**
+ * Series Schema for ordered multi-part blogs, e.g. a course published as several posts
+ * A blog belongs to at most one series; its position in `blogs` is its part number.
+ */
+const seriesSchema = new mongoose.Schema(
+    {
+        title: {
+            type: String,
+            required: [true, 'Series title is required'],
+            trim: true,
+            maxlength: [120, 'Series title cannot exceed 120 characters']
+        },
+
+        slug: {
+            type: String,
+            unique: true,
+            lowercase: true,
+            trim: true,
+            index: true
+        },
+
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Description cannot exceed 500 characters']
+        },
+
+        coverImage: {
+            url: {
+                type: String,
+                default: ''
+            },
+            alt: {
+                type: String,
+                default: ''
+            }
+        },
+
+        // Parts in reading order
+        blogs: {
+            type: [{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Blog'
+            }],
+            validate: {
+                validator: blogs => blogs.length <= MAX_SERIES_BLOGS,
+                message: `A series cannot have more than ${MAX_SERIES_BLOGS} parts`
+            }
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Creator is required']
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+// Pre-save hook for slug generation
+seriesSchema.pre('save', function (next) {
+    if (this.isModified('title') || (this.isNew && !this.slug)) {
+        this.slug = this.title
+            .toLowerCase()
+            .trim()
+            .replace(/[^\w\s-]/g, '')
+            .replace(/[\s_-]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+    next();
+});
+
+// Find the series of a blog
+seriesSchema.index({ blogs: 1 });
+
+// Static method to find the series a blog is part of
+seriesSchema.statics.findByBlog = function (blogId) {
+    return this.findOne({ blogs: blogId });
+};
+
+/**
+ * Series info and previous/next links for a blog page
+ * Only published parts are linked and counted; unpublished parts are skipped.
+ * @param {Object} blog - Blog document or plain object
+ * @returns {Object|null} Series navigation, or null when the blog is not part of a series
+ */
+seriesSchema.statics.getNavigation = async function (blog) {
+    const series = await this.findOne({ blogs: blog._id })
+        .select('title slug description coverImage blogs')
+        .populate('blogs', 'title slug status')
+        .lean();
+
+    if (!series) {
+        return null;
+    }
+
+    const blogId = blog._id.toString();
+    const index = series.blogs.findIndex(part => part._id.toString() === blogId);
+    const isPublished = part => part.status === 'published';
+    const toLink = part => (part ? { _id: part._id, title: part.title, slug: part.slug } : null);
+
+    const published = series.blogs.filter(isPublished);
+    const partIndex = published.findIndex(part => part._id.toString() === blogId);
+
+    return {
+        _id: series._id,
+        title: series.title,
+        slug: series.slug,
+        description: series.description,
+        coverImage: series.coverImage,
+        part: partIndex === -1 ? null : partIndex + 1,
+        totalParts: published.length,
+        previous: toLink(series.blogs.slice(0, index).reverse().find(isPublished)),
+        next: toLink(series.blogs.slice(index + 1).find(isPublished))
+    };
+};
+
+// Static method to take blogs out of every series, e.g. when they are purged
+seriesSchema.statics.removeBlogs = function (blogIds) {
+    return this.updateMany(
+        { blogs: { $in: blogIds } },
+        { $pull: { blogs: { $in: blogIds } } }
+    );
+};
+
+const Series = mongoose.model('Series', seriesSchema);
+
+module.exports = Series;
+module.exports.MAX_SERIES_BLOGS = MAX_SERIES_BLOGS;
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tag Schema
+ * Blogs keep their tags as plain strings in Blog.tags; a Tag document holds the
+ * display name, description, usage count and synonyms for one of those strings
+ */
+const tagSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Tag name is required'],
+            trim: true,
+            maxlength: [50, 'Tag name cannot exceed 50 characters']
+        },
+
+        // Value stored in Blog.tags: the name, trimmed and lowercased
+        slug: {
+            type: String,
+            unique: true,
+            lowercase: true,
+            trim: true,
+            index: true
+        },
+
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Description cannot exceed 200 characters']
+        },
+
+        // Live blogs using the tag; trashed blogs are not counted
+        usageCount: {
+            type: Number,
+            default: 0,
+            min: [0, 'Usage count cannot be negative']
+        },
+
+        // Other spellings that are saved as this tag, e.g. "electronic health records" for "ehr"
+        synonyms: {
+            type: [{ type: String, trim: true, lowercase: true }],
+            index: true
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Tags are matched by slug, so the slug follows the name
+tagSchema.pre('save', function (next) {
+    if (this.isModified('name') || !this.slug) {
+        this.slug = this.constructor.normalize(this.name);
+    }
+    this.synonyms = [...new Set(this.synonyms.filter(synonym => synonym && synonym !== this.slug))];
+    next();
+});
+
+// Static method to turn user input into the form stored on blogs
+tagSchema.statics.normalize = function (value) {
+    return String(value || '').trim().toLowerCase();
+};
+
+/**
+ * Normalize tags from a blog form and replace synonyms with their tag
+ * @param {Array} values - Tags as entered
+ * @returns {Array} Unique tag slugs in their original order
+ */
+tagSchema.statics.resolve = async function (values = []) {
+    const normalized = values.map(value => this.normalize(value)).filter(Boolean);
+    if (normalized.length === 0) {
+        return [];
+    }
+
+    const tags = await this.find({ synonyms: { $in: normalized } }).select('slug synonyms').lean();
+    const canonical = new Map();
+    tags.forEach(tag => tag.synonyms.forEach(synonym => canonical.set(synonym, tag.slug)));
+
+    return [...new Set(normalized.map(value => canonical.get(value) || value))];
+};
+
+/**
+ * Reset usage counts from the blogs using the tags; tags seen for the first time
+ * get a Tag document named after the slug
+ * @param {Array} slugs - Tags whose usage may have changed
+ * @param {ClientSession|null} session - Transaction session
+ */
+tagSchema.statics.recountUsage = async function (slugs = [], session = null) {
+    const Blog = mongoose.model('Blog');
+
+    for (const slug of new Set(slugs.filter(Boolean))) {
+        const usageCount = await Blog.countDocuments({ tags: slug }).session(session);
+
+        if (usageCount > 0) {
+            await this.updateOne(
+                { slug },
+                { $set: { usageCount }, $setOnInsert: { name: slug, synonyms: [] } },
+                { upsert: true, session }
+            );
+        } else {
+            await this.updateOne({ slug }, { usageCount: 0 }, { session });
+        }
+    }
+};
+
+/**
+ * Replace tags on every blog, trashed ones included, keeping each blog's tag order
+ * and dropping duplicates, e.g. when "billing" is renamed or merged into "medical-billing"
+ * @param {Array} fromSlugs - Tags to replace
+ * @param {String|null} toSlug - Replacement, or null to remove the tags
+ * @param {ClientSession|null} session - Transaction session
+ * @returns {Number} Number of blogs changed
+ */
+tagSchema.statics.replaceOnBlogs = async function (fromSlugs, toSlug, session = null) {
+    const Blog = mongoose.model('Blog');
+
+    const mapped = toSlug
+        ? { $map: { input: '$tags', in: { $cond: [{ $in: ['$$this', fromSlugs] }, toSlug, '$$this'] } } }
+        : { $filter: { input: '$tags', cond: { $not: [{ $in: ['$$this', fromSlugs] }] } } };
+
+    const result = await Blog.updateMany(
+        { tags: { $in: fromSlugs } },
+        [{
+            $set: {
+                tags: {
+                    $reduce: {
+                        input: mapped,
+                        initialValue: [],
+                        in: {
+                            $cond: [
+                                { $in: ['$$this', '$$value'] },
+                                '$$value',
+                                { $concatArrays: ['$$value', ['$$this']] }
+                            ]
+                        }
+                    }
+                }
+            }
+        }],
+        { session, withTrashed: true }
+    );
+
+    return result.modifiedCount;
+};
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
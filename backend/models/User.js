@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const Role = require('./Role');
+const { BUILT_IN_ROLES } = require('../config/permissions');
+
+// Social profile links must be absolute web URLs
+const SOCIAL_URL = /^https?:\/\/\S+$/i;
 
 /**
  * User Schema for authentication and authorization
@@ -32,11 +38,16 @@ const userSchema = new mongoose.Schema(
             select: false // Don't include password in queries by default
         },
 
+        // Built-in role or the name of a custom Role
         role: {
             type: String,
-            enum: {
-                values: ['admin', 'editor', 'reader'],
-                message: 'Role must be either admin, editor, or reader'
+            trim: true,
+            lowercase: true,
+            validate: {
+                validator: async function (value) {
+                    return !!BUILT_IN_ROLES[value] || !!(await Role.exists({ name: value }));
+                },
+                message: 'Role does not exist'
             },
             default: 'reader'
         },
@@ -59,6 +70,17 @@ const userSchema = new mongoose.Schema(
             bio: {
                 type: String,
                 maxlength: [500, 'Bio cannot exceed 500 characters']
+            },
+            // Shown in bylines and on the public author page
+            jobTitle: {
+                type: String,
+                trim: true,
+                maxlength: [100, 'Job title cannot exceed 100 characters']
+            },
+            social: {
+                website: { type: String, trim: true, match: [SOCIAL_URL, 'Website must be an http(s) URL'] },
+                linkedin: { type: String, trim: true, match: [SOCIAL_URL, 'LinkedIn must be an http(s) URL'] },
+                twitter: { type: String, trim: true, match: [SOCIAL_URL, 'Twitter must be an http(s) URL'] }
             }
         },
 
@@ -79,6 +101,60 @@ const userSchema = new mongoose.Schema(
         passwordResetExpires: {
             type: Date,
             select: false
+        },
+
+        passwordChangedAt: {
+            type: Date
+        },
+
+        // Incremented to invalidate every token issued before (e.g. after a password reset)
+        tokenVersion: {
+            type: Number,
+            default: 0
+        },
+
+        // Brute-force protection: consecutive failed sign-ins and temporary lockout
+        failedLoginAttempts: {
+            type: Number,
+            default: 0
+        },
+
+        lastFailedLoginAt: {
+            type: Date
+        },
+
+        lockUntil: {
+            type: Date
+        },
+
+        // Two-factor authentication (TOTP)
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            // Encrypted secrets, see services/twoFactorService.js
+            secret: {
+                type: String,
+                select: false
+            },
+            pendingSecret: {
+                type: String,
+                select: false
+            },
+            // SHA-256 hashes of unused backup codes
+            backupCodes: {
+                type: [String],
+                select: false
+            },
+            // Last accepted time step, so a code cannot be replayed
+            lastUsedStep: {
+                type: Number,
+                select: false
+            },
+            enabledAt: {
+                type: Date
+            }
         }
     },
     {
@@ -89,6 +165,13 @@ const userSchema = new mongoose.Schema(
                 delete ret.password;
                 delete ret.passwordResetToken;
                 delete ret.passwordResetExpires;
+                delete ret.tokenVersion;
+                if (ret.twoFactor) {
+                    delete ret.twoFactor.secret;
+                    delete ret.twoFactor.pendingSecret;
+                    delete ret.twoFactor.backupCodes;
+                    delete ret.twoFactor.lastUsedStep;
+                }
                 return ret;
             }
         },
@@ -98,6 +181,13 @@ const userSchema = new mongoose.Schema(
                 delete ret.password;
                 delete ret.passwordResetToken;
                 delete ret.passwordResetExpires;
+                delete ret.tokenVersion;
+                if (ret.twoFactor) {
+                    delete ret.twoFactor.secret;
+                    delete ret.twoFactor.pendingSecret;
+                    delete ret.twoFactor.backupCodes;
+                    delete ret.twoFactor.lastUsedStep;
+                }
                 return ret;
             }
         }
@@ -112,6 +202,11 @@ userSchema.virtual('fullName').get(function () {
     return this.profile.firstName || this.profile.lastName || this.username;
 });
 
+// Virtual field for a lockout that has not expired yet
+userSchema.virtual('isLocked').get(function () {
+    return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function (next) {
     // Only hash the password if it has been modified (or is new)
@@ -166,6 +261,32 @@ userSchema.methods.updateLastLogin = function () {
     return this.save();
 };
 
+// Instance method to create a single-use password reset token
+// Only the SHA-256 hash is stored; the raw token is returned to be sent to the user
+userSchema.methods.createPasswordResetToken = function (expiresInMinutes = 60) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    this.passwordResetToken = this.constructor.hashResetToken(resetToken);
+    this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+    return resetToken;
+};
+
+// Instance method to set a new password and sign out every existing session
+userSchema.methods.resetPassword = function (newPassword) {
+    this.password = newPassword;
+    this.passwordResetToken = undefined;
+    this.passwordResetExpires = undefined;
+    this.passwordChangedAt = new Date();
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+    return this.save();
+};
+
+// Static method to hash a raw password reset token for lookup
+userSchema.statics.hashResetToken = function (token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 // Static method to find active users
 userSchema.statics.findActive = function () {
     return this.find({ isActive: true });
@@ -2,27 +2,27 @@ const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
 const authMiddleware = require('../middleware/auth');
-const { requireEditor } = require('../middleware/roles');
+const { requirePermission } = require('../middleware/roles');
 
 /**
  * Analytics Routes
  * All routes are prefixed with /api/analytics
- * All routes require admin or editor role
+ * All routes require analytics.view permission
  */
 
-// Get analytics overview - requires admin or editor role
-router.get('/overview', authMiddleware, requireEditor, analyticsController.getAnalyticsOverview);
+// Get analytics overview - requires analytics.view permission
+router.get('/overview', authMiddleware, requirePermission('analytics.view'), analyticsController.getAnalyticsOverview);
 
-// Get most popular blogs by views - requires admin or editor role
-router.get('/popular-blogs', authMiddleware, requireEditor, analyticsController.getPopularBlogs);
+// Get most popular blogs by views - requires analytics.view permission
+router.get('/popular-blogs', authMiddleware, requirePermission('analytics.view'), analyticsController.getPopularBlogs);
 
-// Get most liked blogs - requires admin or editor role
-router.get('/liked-blogs', authMiddleware, requireEditor, analyticsController.getMostLikedBlogs);
+// Get most liked blogs - requires analytics.view permission
+router.get('/liked-blogs', authMiddleware, requirePermission('analytics.view'), analyticsController.getMostLikedBlogs);
 
-// Get engagement trends over time - requires admin or editor role
-router.get('/engagement-trends', authMiddleware, requireEditor, analyticsController.getEngagementTrends);
+// Get engagement trends over time - requires analytics.view permission
+router.get('/engagement-trends', authMiddleware, requirePermission('analytics.view'), analyticsController.getEngagementTrends);
 
-// Get category performance analytics - requires admin or editor role
-router.get('/category-performance', authMiddleware, requireEditor, analyticsController.getCategoryPerformance);
+// Get category performance analytics - requires analytics.view permission
+router.get('/category-performance', authMiddleware, requirePermission('analytics.view'), analyticsController.getCategoryPerformance);
 
 module.exports = router;
\ No newline at end of file
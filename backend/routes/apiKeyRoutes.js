@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const audit = require('../middleware/audit');
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * API Key Routes
+ * All routes are prefixed with /api/api-keys
+ * Keys cannot be managed with an API key; these routes only accept user tokens
+ */
+
+// Get all API keys - requires apikey.manage permission
+router.get('/', authMiddleware, requirePermission('apikey.manage'), apiKeyController.getApiKeys);
+
+// Create API key - requires apikey.manage permission
+router.post('/', authMiddleware, requirePermission('apikey.manage'), audit('api_key.create', { targetType: 'ApiKey' }), apiKeyController.createApiKey);
+
+// Rotate API key secret - requires apikey.manage permission
+router.post('/:id/rotate', authMiddleware, requirePermission('apikey.manage'), audit('api_key.rotate', { targetType: 'ApiKey', model: ApiKey }), apiKeyController.rotateApiKey);
+
+// Revoke API key - requires apikey.manage permission
+router.delete('/:id', authMiddleware, requirePermission('apikey.manage'), audit('api_key.revoke', {
+    targetType: 'ApiKey',
+    model: ApiKey,
+    getAfter: (req, body) => body?.data
+}), apiKeyController.revokeApiKey);
+
+module.exports = router;
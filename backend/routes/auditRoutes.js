@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+
+/**
+ * Audit Log Routes
+ * All routes are prefixed with /api/audit
+ * Entries are written by the audit middleware on mutating routes and cannot be changed
+ */
+
+// Get audit log entries - requires audit.view permission
+router.get('/', authMiddleware, requirePermission('audit.view'), auditController.getAuditLogs);
+
+module.exports = router;
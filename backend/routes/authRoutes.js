@@ -1,9 +1,27 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
+const multer = require('multer');
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const authMiddleware = require('../middleware/auth');
+const { authOrSetupChallenge } = require('../middleware/auth');
+const audit = require('../middleware/audit');
 
 const router = express.Router();
 
+// Limit password reset attempts per IP to slow down token guessing and mail flooding
+const passwordResetLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: () => process.env.NODE_ENV === 'test',
+    message: {
+        success: false,
+        error: 'Too many password reset attempts, please try again later'
+    }
+});
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register new user
@@ -18,6 +36,30 @@ router.post('/register', authController.register);
  */
 router.post('/login', authController.login);
 
+// Limit second-step attempts per IP so codes cannot be guessed
+const twoFactorLimiter = rateLimit({
+    windowMs: 5 * 60 * 1000, // 5 minutes
+    max: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: () => process.env.NODE_ENV === 'test',
+    message: {
+        success: false,
+        error: 'Too many verification attempts, please try again later'
+    }
+});
+
+// Account-level actions are audited against the signed-in user
+const ownAccount = (req) => req.user._id;
+const updatedAccount = (req, body) => body?.data?.user;
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete login with a two-factor code
+ * @access  Public (requires login challenge token)
+ */
+router.post('/2fa/verify', twoFactorLimiter, twoFactorController.verifyLogin);
+
 /**
  * @route   POST /api/auth/refresh
  * @desc    Refresh access token
@@ -25,6 +67,20 @@ router.post('/login', authController.login);
  */
 router.post('/refresh', authController.refreshToken);
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', passwordResetLimiter, authController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token
+ * @access  Public
+ */
+router.post('/reset-password', passwordResetLimiter, authController.resetPassword);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
@@ -32,6 +88,76 @@ router.post('/refresh', authController.refreshToken);
  */
 router.get('/profile', authMiddleware, authController.getProfile);
 
+/**
+ * @route   PATCH /api/auth/profile
+ * @desc    Update current user profile (name, bio, job title, social links)
+ * @access  Private
+ */
+router.patch('/profile', authMiddleware, audit('auth.profile_update', { targetType: 'User', getTargetIds: ownAccount, getAfter: updatedAccount }), authController.updateProfile);
+
+// Limit password change attempts per IP so a hijacked session cannot guess the current password
+const passwordChangeLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: () => process.env.NODE_ENV === 'test',
+    message: {
+        success: false,
+        error: 'Too many password change attempts, please try again later'
+    }
+});
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change password (requires the current password); signs out other devices
+ * @access  Private
+ */
+router.post('/change-password', passwordChangeLimiter, authMiddleware, audit('auth.password_change', { targetType: 'User', getTargetIds: ownAccount, getAfter: () => null }), authController.changePassword);
+
+// Avatars are small images kept in memory until they are sent to S3
+const avatarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (['image/jpeg', 'image/png', 'image/gif', 'image/webp'].includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Avatar must be a JPEG, PNG, GIF or WebP image'), false);
+        }
+    }
+}).single('avatar');
+
+// Answer upload errors (size, type) as JSON instead of passing them to Express
+const handleAvatarUpload = (req, res, next) => {
+    avatarUpload(req, res, (error) => {
+        if (!error) return next();
+
+        res.status(400).json({
+            success: false,
+            error: error.code === 'LIMIT_FILE_SIZE' ? 'Avatar cannot be larger than 2MB' : error.message
+        });
+    });
+};
+
+/**
+ * @route   POST /api/auth/avatar
+ * @desc    Upload a new avatar for the current user
+ * @access  Private
+ * @body    avatar (multipart/form-data image)
+ */
+router.post('/avatar', authMiddleware, handleAvatarUpload, audit('auth.avatar_update', { targetType: 'User', getTargetIds: ownAccount, getAfter: updatedAccount }), authController.uploadAvatar);
+
+/**
+ * @route   DELETE /api/auth/avatar
+ * @desc    Remove the current user's avatar
+ * @access  Private
+ */
+router.delete('/avatar', authMiddleware, audit('auth.avatar_remove', { targetType: 'User', getTargetIds: ownAccount, getAfter: updatedAccount }), authController.removeAvatar);
+
 /**
  * @route   GET /api/auth/verify
  * @desc    Verify token validity
@@ -46,4 +172,68 @@ router.get('/verify', authMiddleware, authController.verifyToken);
  */
 router.post('/logout', authMiddleware, authController.logout);
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout user from every device
+ * @access  Private
+ */
+router.post('/logout-all', authMiddleware, audit('auth.logout_all', { targetType: 'User', getTargetIds: ownAccount, getAfter: () => null }), authController.logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions of the current user
+ * @access  Private
+ */
+router.get('/sessions', authMiddleware, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one device of the current user
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authMiddleware, authController.revokeSession);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status of the current user
+ * @access  Private
+ */
+router.get('/2fa', authMiddleware, twoFactorController.getStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment (returns otpauth URI and QR code)
+ * @access  Private (or login setup challenge)
+ */
+router.post('/2fa/setup', authOrSetupChallenge, twoFactorController.setup);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code and get backup codes
+ * @access  Private (or login setup challenge)
+ */
+router.post('/2fa/enable', twoFactorLimiter, authOrSetupChallenge, audit('auth.two_factor_enable', {
+    targetType: 'User',
+    getTargetIds: ownAccount,
+    getAfter: () => ({ twoFactor: { enabled: true } })
+}), twoFactorController.enable);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable', twoFactorLimiter, authMiddleware, audit('auth.two_factor_disable', {
+    targetType: 'User',
+    getTargetIds: ownAccount,
+    getAfter: () => ({ twoFactor: { enabled: false } })
+}), twoFactorController.disable);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace backup codes
+ * @access  Private
+ */
+router.post('/2fa/backup-codes', twoFactorLimiter, authMiddleware, audit('auth.backup_codes_regenerate', { targetType: 'User', getTargetIds: ownAccount, getAfter: () => null }), twoFactorController.regenerateBackupCodes);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const authorController = require('../controllers/authorController');
+
+/**
+ * Author Routes
+ * All routes are prefixed with /api/authors
+ */
+
+// Get authors with published posts - public
+router.get('/', authorController.getAuthors);
+
+// Get an author's profile, stats and published posts - public
+router.get('/:username', authorController.getAuthorByUsername);
+
+module.exports = router;
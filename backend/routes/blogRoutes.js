@@ -1,17 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const blogController = require('../controllers/blogController');
+const blogRevisionController = require('../controllers/blogRevisionController');
+const blogReviewController = require('../controllers/blogReviewController');
+const blogBulkController = require('../controllers/blogBulkController');
+const blogTrashController = require('../controllers/blogTrashController');
+const editorialCommentController = require('../controllers/editorialCommentController');
+const commentController = require('../controllers/commentController');
 const authMiddleware = require('../middleware/auth');
-const { requireEditor, requireAdmin } = require('../middleware/roles');
+const { optionalAuth, apiKeyOrToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
 const { cacheMiddleware } = require('../middleware/cache');
+const audit = require('../middleware/audit');
+const Blog = require('../models/Blog');
+const EditorialComment = require('../models/EditorialComment');
 
 /**
  * Blog Routes
  * All routes are prefixed with /api/blogs
  */
 
-// Create blog - requires admin or editor role
-router.post('/', authMiddleware, requireEditor, blogController.createBlog);
+// Skip to the next matching route unless :id is a blog ID (e.g. /:slug/comments)
+const matchBlogId = (req, res, next) => {
+    return /^[a-f\d]{24}$/i.test(req.params.id) ? next() : next('route');
+};
+
+// Create blog - requires blog.create permission; API keys need the blogs:write scope
+router.post('/', apiKeyOrToken('blogs:write'), requirePermission('blog.create'), audit('blog.create', { targetType: 'Blog' }), blogController.createBlog);
+
+// Apply one action to many blogs - requires blog edit or delete permissions (checked per blog); API keys need the blogs:write scope
+router.post('/bulk', apiKeyOrToken('blogs:write'), requirePermission('blog.edit.own', 'blog.edit.any', 'blog.delete.own', 'blog.delete.any'), audit('blog.bulk', {
+    targetType: 'Blog',
+    getTargetIds: (req, body) => body?.data?.results?.filter(result => result.success).map(result => result.id)
+}), blogBulkController.bulkUpdateBlogs);
 
 // Get blogs with pagination and filtering - public endpoint (cached for 5 minutes)
 router.get('/', blogController.getBlogs);
@@ -19,20 +40,79 @@ router.get('/', blogController.getBlogs);
 // Get popular blogs - public endpoint (cached for 10 minutes)
 router.get('/popular', blogController.getPopularBlogsEndpoint);
 
+// Get blogs waiting for review - requires blog.review permission
+router.get('/review-queue', authMiddleware, requirePermission('blog.review'), blogReviewController.getReviewQueue);
+
+// Get trashed blogs - requires blog.delete.any, or blog.delete.own (own blogs only); API keys need the blogs:write scope
+router.get('/trash', apiKeyOrToken('blogs:write'), requirePermission('blog.delete.own', 'blog.delete.any'), blogTrashController.getTrash);
+
 // Get single blog by slug - public endpoint (cached for 15 minutes)
 router.get('/:slug', blogController.getBlogBySlug);
 
 // Get related blogs for a specific blog - public endpoint (cached for 10 minutes)
 router.get('/:slug/related', blogController.getRelatedBlogsEndpoint);
 
-// Update blog - requires admin or editor role (with ownership check)
-router.put('/:id', authMiddleware, requireEditor, blogController.updateBlog);
+// Update blog - requires blog.edit.any, or blog.edit.own (with ownership check); API keys need the blogs:write scope
+router.put('/:id', apiKeyOrToken('blogs:write'), requirePermission('blog.edit.own', 'blog.edit.any'), audit('blog.update', { targetType: 'Blog', model: Blog }), blogController.updateBlog);
+
+// Partial update blog (status, featured, etc.) - requires blog.edit.any, or blog.edit.own (with ownership check); API keys need the blogs:write scope
+router.patch('/:id', apiKeyOrToken('blogs:write'), requirePermission('blog.edit.own', 'blog.edit.any'), audit('blog.update', { targetType: 'Blog', model: Blog }), blogController.updateBlog);
+
+// Delete blog - requires blog.delete.any, or blog.delete.own (with ownership check); API keys need the blogs:write scope
+router.delete('/:id', apiKeyOrToken('blogs:write'), requirePermission('blog.delete.own', 'blog.delete.any'), audit('blog.delete', { targetType: 'Blog', model: Blog }), blogController.deleteBlog);
+
+// Restore a trashed blog - requires blog.delete.any, or blog.delete.own (own blogs only); API keys need the blogs:write scope
+router.post('/:id/restore', apiKeyOrToken('blogs:write'), requirePermission('blog.delete.own', 'blog.delete.any'), audit('blog.restore', { targetType: 'Blog' }), blogTrashController.restoreBlog);
+
+// Permanently delete a trashed blog - requires blog.delete.any, or blog.delete.own (own blogs only); API keys need the blogs:write scope
+router.delete('/:id/purge', apiKeyOrToken('blogs:write'), requirePermission('blog.delete.own', 'blog.delete.any'), audit('blog.purge', { targetType: 'Blog' }), blogTrashController.purgeBlog);
+
+// Get revision history for a blog - requires blog.edit.own or blog.edit.any permission; API keys need the blogs:read scope
+router.get('/:id/revisions', apiKeyOrToken('blogs:read'), requirePermission('blog.edit.own', 'blog.edit.any'), blogRevisionController.getBlogRevisions);
+
+// Compare two revisions (or a revision with the current version) - requires blog.edit.own or blog.edit.any permission; API keys need the blogs:read scope
+router.get('/:id/revisions/compare', apiKeyOrToken('blogs:read'), requirePermission('blog.edit.own', 'blog.edit.any'), blogRevisionController.compareBlogRevisions);
+
+// Get a single revision with content - requires blog.edit.own or blog.edit.any permission; API keys need the blogs:read scope
+router.get('/:id/revisions/:revId', apiKeyOrToken('blogs:read'), requirePermission('blog.edit.own', 'blog.edit.any'), blogRevisionController.getBlogRevision);
+
+// Restore a revision - requires blog.edit.any, or blog.edit.own (with ownership check); API keys need the blogs:write scope
+router.post('/:id/revisions/:revId/restore', apiKeyOrToken('blogs:write'), requirePermission('blog.edit.own', 'blog.edit.any'), audit('blog.restore_revision', { targetType: 'Blog', model: Blog }), blogRevisionController.restoreBlogRevision);
+
+// Approve or reject a blog in review - requires blog.review permission
+router.post('/:id/review', authMiddleware, requirePermission('blog.review'), audit('blog.review', { targetType: 'Blog', model: Blog }), blogReviewController.reviewBlog);
+
+// Get status transition history - requires editorial.comment permission; API keys need the blogs:read scope
+router.get('/:id/status-history', apiKeyOrToken('blogs:read'), requirePermission('editorial.comment'), blogReviewController.getBlogStatusHistory);
+
+// Editorial comments require editorial.comment and are never part of public blog responses
+
+// Suggest users to @mention
+router.get('/:id/comments/mentions', authMiddleware, requirePermission('editorial.comment'), editorialCommentController.getMentionSuggestions);
+
+// Get comment threads
+router.get('/:id/comments', matchBlogId, authMiddleware, requirePermission('editorial.comment'), editorialCommentController.getBlogComments);
+
+// Start a thread or reply
+router.post('/:id/comments', matchBlogId, authMiddleware, requirePermission('editorial.comment'), audit('editorial_comment.create', { targetType: 'EditorialComment', idParam: 'commentId' }), editorialCommentController.createBlogComment);
+
+// Edit a comment (author or editorial.moderate only)
+router.patch('/:id/comments/:commentId', authMiddleware, requirePermission('editorial.comment'), audit('editorial_comment.update', { targetType: 'EditorialComment', model: EditorialComment, idParam: 'commentId' }), editorialCommentController.updateBlogComment);
+
+// Resolve a thread
+router.patch('/:id/comments/:commentId/resolve', authMiddleware, requirePermission('editorial.comment'), audit('editorial_comment.resolve', { targetType: 'EditorialComment', model: EditorialComment, idParam: 'commentId' }), editorialCommentController.resolveBlogComment);
+
+// Reopen a thread
+router.patch('/:id/comments/:commentId/reopen', authMiddleware, requirePermission('editorial.comment'), audit('editorial_comment.reopen', { targetType: 'EditorialComment', model: EditorialComment, idParam: 'commentId' }), editorialCommentController.reopenBlogComment);
+
+// Delete a comment (author or editorial.moderate only)
+router.delete('/:id/comments/:commentId', authMiddleware, requirePermission('editorial.comment'), audit('editorial_comment.delete', { targetType: 'EditorialComment', model: EditorialComment, idParam: 'commentId' }), editorialCommentController.deleteBlogComment);
 
-// Partial update blog (status, featured, etc.) - requires admin or editor role
-router.patch('/:id', authMiddleware, requireEditor, blogController.updateBlog);
+// Get approved reader comments - public endpoint
+router.get('/:slug/comments', commentController.getBlogComments);
 
-// Delete blog - requires admin role only
-router.delete('/:id', authMiddleware, requireAdmin, blogController.deleteBlog);
+// Post a reader comment - public endpoint (signed-in users are linked to their account)
+router.post('/:slug/comments', optionalAuth, commentController.createBlogComment);
 
 // Toggle like/unlike blog - requires authentication
 router.patch('/:id/like', authMiddleware, blogController.toggleBlogLike);
@@ -2,16 +2,18 @@ const express = require('express');
 const router = express.Router();
 const categoryController = require('../controllers/categoryController');
 const authMiddleware = require('../middleware/auth');
-const { requireAdmin } = require('../middleware/roles');
+const { requirePermission } = require('../middleware/roles');
 const { cacheMiddleware } = require('../middleware/cache');
+const audit = require('../middleware/audit');
+const Category = require('../models/Category');
 
 /**
  * Category Routes
  * All routes are prefixed with /api/categories
  */
 
-// Create category - requires admin role
-router.post('/', authMiddleware, requireAdmin, categoryController.createCategory);
+// Create category - requires category.manage permission
+router.post('/', authMiddleware, requirePermission('category.manage'), audit('category.create', { targetType: 'Category' }), categoryController.createCategory);
 
 // Get all categories - public endpoint
 router.get('/', categoryController.getCategories);
@@ -25,10 +27,16 @@ router.post('/validate', categoryController.validateCategory);
 // Get single category by slug - public endpoint
 router.get('/:slug', categoryController.getCategoryBySlug);
 
-// Update category - requires admin role
-router.put('/:id', authMiddleware, requireAdmin, categoryController.updateCategory);
+// Update category - requires category.manage permission
+router.put('/:id', authMiddleware, requirePermission('category.manage'), audit('category.update', { targetType: 'Category', model: Category }), categoryController.updateCategory);
 
-// Delete category - requires admin role
-router.delete('/:id', authMiddleware, requireAdmin, categoryController.deleteCategory);
+// Delete category - requires category.manage permission
+router.delete('/:id', authMiddleware, requirePermission('category.manage'), audit('category.delete', { targetType: 'Category', model: Category }), categoryController.deleteCategory);
+
+// Preview a merge - requires category.manage permission
+router.get('/:id/merge-preview', authMiddleware, requirePermission('category.manage'), categoryController.getMergePreview);
+
+// Merge into another category - requires category.manage permission
+router.post('/:id/merge', authMiddleware, requirePermission('category.manage'), audit('category.merge', { targetType: 'Category', model: Category, getAfter: (req, body) => body?.data?.target || null }), categoryController.mergeCategory);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const commentController = require('../controllers/commentController');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const audit = require('../middleware/audit');
+const Comment = require('../models/Comment');
+
+/**
+ * Comment Moderation Routes
+ * All routes are prefixed with /api/comments
+ * Public reader comment routes live under /api/blogs/:slug/comments
+ */
+
+// Get comments for moderation - requires comment.moderate permission
+router.get('/', authMiddleware, requirePermission('comment.moderate'), commentController.getComments);
+
+// Moderate several comments at once - requires comment.moderate permission
+router.post('/bulk', authMiddleware, requirePermission('comment.moderate'), audit('comment.moderate', {
+    targetType: 'Comment',
+    getTargetIds: (req) => req.body.ids,
+    getAfter: (req) => ({ status: req.body.status })
+}), commentController.bulkModerateComments);
+
+// Moderate a comment - requires comment.moderate permission
+router.patch('/:id', authMiddleware, requirePermission('comment.moderate'), audit('comment.moderate', { targetType: 'Comment', model: Comment }), commentController.moderateComment);
+
+// Delete a comment and its replies - requires comment.moderate permission
+router.delete('/:id', authMiddleware, requirePermission('comment.moderate'), audit('comment.delete', { targetType: 'Comment', model: Comment }), commentController.deleteComment);
+
+module.exports = router;
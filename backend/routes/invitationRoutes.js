@@ -0,0 +1,50 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const invitationController = require('../controllers/invitationController');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const audit = require('../middleware/audit');
+const Invitation = require('../models/Invitation');
+
+/**
+ * Invitation Routes
+ * All routes are prefixed with /api/invitations
+ */
+
+// Limit token lookups per IP so invitation tokens cannot be guessed
+const acceptLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: () => process.env.NODE_ENV === 'test',
+    message: {
+        success: false,
+        error: 'Too many invitation attempts, please try again later'
+    }
+});
+
+// Look up an invitation for the accept page - public (requires invitation token)
+router.get('/accept/:token', acceptLimiter, invitationController.getInvitationByToken);
+
+// Accept an invitation and create the account - public (requires invitation token)
+router.post('/accept', acceptLimiter, invitationController.acceptInvitation);
+
+// Get invitations - requires user.invite permission
+router.get('/', authMiddleware, requirePermission('user.invite'), invitationController.getInvitations);
+
+// Invite someone by email - requires user.invite permission
+router.post('/', authMiddleware, requirePermission('user.invite'), audit('invitation.create', { targetType: 'Invitation' }), invitationController.createInvitation);
+
+// Resend an invitation with a new link - requires user.invite permission
+router.post('/:id/resend', authMiddleware, requirePermission('user.invite'), audit('invitation.resend', { targetType: 'Invitation', model: Invitation }), invitationController.resendInvitation);
+
+// Revoke an invitation - requires user.invite permission
+router.delete('/:id', authMiddleware, requirePermission('user.invite'), audit('invitation.revoke', {
+    targetType: 'Invitation',
+    model: Invitation,
+    getAfter: (req, body) => body?.data
+}), invitationController.revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const audit = require('../middleware/audit');
+
+/**
+ * Role Routes
+ * All routes are prefixed with /api/roles
+ */
+
+// Roles are audited by name; built-in roles have no ID until they are first saved
+const roleName = (req) => req.params.name;
+
+// Get roles and the permission catalogue - requires role.manage, user.manage or user.invite permission
+router.get('/', authMiddleware, requirePermission('role.manage', 'user.manage', 'user.invite'), roleController.getRoles);
+
+// Create role - requires role.manage permission
+router.post('/', authMiddleware, requirePermission('role.manage'), audit('role.create', {
+    targetType: 'Role',
+    getTargetIds: (req, body) => body?.data?.name
+}), roleController.createRole);
+
+// Update role permissions - requires role.manage permission
+router.put('/:name', authMiddleware, requirePermission('role.manage'), audit('role.update', { targetType: 'Role', getTargetIds: roleName }), roleController.updateRole);
+
+// Delete custom role - requires role.manage permission
+router.delete('/:name', authMiddleware, requirePermission('role.manage'), audit('role.delete', { targetType: 'Role', getTargetIds: roleName }), roleController.deleteRole);
+
+module.exports = router;
@@ -8,7 +8,9 @@ const {
     checkFileExists,
     getSupportedFileTypes
 } = require('../controllers/s3Controller');
-const { authenticateToken } = require('../middleware/auth');
+const { apiKeyOrToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const audit = require('../middleware/audit');
 
 // Configure multer for memory storage (files will be stored in memory as Buffer)
 const upload = multer({
@@ -38,10 +40,10 @@ const router = express.Router();
 /**
  * @route   GET /api/s3/presign
  * @desc    Generate presigned URL for file upload
- * @access  Private (requires authentication)
+ * @access  Private (requires media.upload permission; API keys need the media:write scope)
  * @params  fileName, contentType, fileSize, folder (optional), expiresIn (optional)
  */
-router.get('/presign', authenticateToken, getPresignedUrl);
+router.get('/presign', apiKeyOrToken('media:write'), requirePermission('media.upload'), getPresignedUrl);
 
 /**
  * @route   GET /api/s3/download/:fileKey
@@ -62,18 +64,21 @@ router.get('/exists/:fileKey(*)', checkFileExists);
 /**
  * @route   POST /api/s3/upload
  * @desc    Upload file directly to S3 from server-side
- * @access  Private (requires authentication)
+ * @access  Private (requires media.upload permission; API keys need the media:write scope)
  * @body    file (multipart/form-data), folder (optional), metadata (optional JSON string)
  */
-router.post('/upload', authenticateToken, upload.single('file'), uploadFile);
+router.post('/upload', apiKeyOrToken('media:write'), requirePermission('media.upload'), upload.single('file'), audit('file.upload', {
+    targetType: 'File',
+    getTargetIds: (req, body) => body?.data?.fileKey
+}), uploadFile);
 
 /**
  * @route   DELETE /api/s3/files/:fileKey
  * @desc    Delete file from S3
- * @access  Private (requires authentication)
+ * @access  Private (requires media.delete permission; API keys need the media:write scope)
  * @params  fileKey (in URL)
  */
-router.delete('/files/:fileKey(*)', authenticateToken, deleteFileFromS3);
+router.delete('/files/:fileKey(*)', apiKeyOrToken('media:write'), requirePermission('media.delete'), audit('file.delete', { targetType: 'File', idParam: 'fileKey' }), deleteFileFromS3);
 
 /**
  * @route   GET /api/s3/file-types
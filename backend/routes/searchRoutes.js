@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { optionalAuth } = require('../middleware/auth');
+
+/**
+ * Search Routes
+ * All routes are prefixed with /api/search
+ */
+
+// Full-text blog search with highlighted snippets - public; signed-in editors may search unpublished posts
+router.get('/', optionalAuth, searchController.searchPosts);
+
+module.exports = router;
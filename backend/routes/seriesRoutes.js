@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const seriesController = require('../controllers/seriesController');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const audit = require('../middleware/audit');
+const Series = require('../models/Series');
+
+/**
+ * Series Routes
+ * All routes are prefixed with /api/series
+ */
+
+// Get all series with their parts - requires series.manage permission
+router.get('/', authMiddleware, requirePermission('series.manage'), seriesController.getSeries);
+
+// Create series - requires series.manage permission
+router.post('/', authMiddleware, requirePermission('series.manage'), audit('series.create', { targetType: 'Series' }), seriesController.createSeries);
+
+// Get a series with its published parts by slug - public endpoint
+router.get('/:slug', seriesController.getSeriesBySlug);
+
+// Update series, including the order of its parts - requires series.manage permission
+router.put('/:id', authMiddleware, requirePermission('series.manage'), audit('series.update', { targetType: 'Series', model: Series }), seriesController.updateSeries);
+
+// Delete series (its blogs are kept) - requires series.manage permission
+router.delete('/:id', authMiddleware, requirePermission('series.manage'), audit('series.delete', { targetType: 'Series', model: Series }), seriesController.deleteSeries);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const audit = require('../middleware/audit');
+const Tag = require('../models/Tag');
+
+/**
+ * Tag Routes
+ * All routes are prefixed with /api/tags
+ */
+
+// Get all tags - public endpoint
+router.get('/', tagController.getTags);
+
+// Suggest tags for the blog form - public endpoint
+router.get('/autocomplete', tagController.autocompleteTags);
+
+// Create tag - requires tag.manage permission
+router.post('/', authMiddleware, requirePermission('tag.manage'), audit('tag.create', { targetType: 'Tag' }), tagController.createTag);
+
+// Update or rename tag - requires tag.manage permission
+router.put('/:id', authMiddleware, requirePermission('tag.manage'), audit('tag.update', { targetType: 'Tag', model: Tag }), tagController.updateTag);
+
+// Merge into another tag - requires tag.manage permission
+router.post('/:id/merge', authMiddleware, requirePermission('tag.manage'), audit('tag.merge', { targetType: 'Tag', model: Tag, getAfter: (req, body) => body?.data?.target || null }), tagController.mergeTag);
+
+// Delete tag and remove it from blogs - requires tag.manage permission
+router.delete('/:id', authMiddleware, requirePermission('tag.manage'), audit('tag.delete', { targetType: 'Tag', model: Tag }), tagController.deleteTag);
+
+module.exports = router;
@@ -2,24 +2,41 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const auth = require('../middleware/auth');
-const { requireAdmin } = require('../middleware/roles');
+const { requirePermission } = require('../middleware/roles');
+const audit = require('../middleware/audit');
+const User = require('../models/User');
 
-// Get all users (admin only)
-router.get('/', auth, requireAdmin, userController.getAllUsers);
+// Get all users (user.view)
+router.get('/', auth, requirePermission('user.view'), userController.getAllUsers);
 
-// Get user by ID (admin only)
-router.get('/:id', auth, requireAdmin, userController.getUserById);
+// Get user by ID (user.view)
+router.get('/:id', auth, requirePermission('user.view'), userController.getUserById);
 
-// Create new user (admin only)
-router.post('/', auth, requireAdmin, userController.createUser);
+// New users are invited through /api/invitations and choose their own password
 
-// Update user (admin only)
-router.put('/:id', auth, requireAdmin, userController.updateUser);
+// Update user (user.manage)
+router.put('/:id', auth, requirePermission('user.manage'), audit('user.update', { targetType: 'User', model: User }), userController.updateUser);
 
-// Delete user (admin only)
-router.delete('/:id', auth, requireAdmin, userController.deleteUser);
+// Delete user (user.manage)
+router.delete('/:id', auth, requirePermission('user.manage'), audit('user.delete', { targetType: 'User', model: User }), userController.deleteUser);
 
-// Update user status (admin only)
-router.patch('/:id/status', auth, requireAdmin, userController.updateUserStatus);
+// Update user status (user.manage)
+router.patch('/:id/status', auth, requirePermission('user.manage'), audit('user.update_status', { targetType: 'User', model: User }), userController.updateUserStatus);
+
+// Get active sessions of a user (user.view)
+router.get('/:id/sessions', auth, requirePermission('user.view'), userController.getUserSessions);
+
+// Revoke all sessions of a user (user.manage)
+router.delete('/:id/sessions', auth, requirePermission('user.manage'), audit('user.revoke_sessions', { targetType: 'User', model: User }), userController.revokeUserSessions);
+
+// Reset two-factor authentication of a user (user.manage)
+router.delete('/:id/two-factor', auth, requirePermission('user.manage'), audit('user.reset_two_factor', {
+    targetType: 'User',
+    model: User,
+    getAfter: () => ({ twoFactor: { enabled: false } })
+}), userController.resetUserTwoFactor);
+
+// Unlock a user locked out by failed sign-ins (user.manage)
+router.patch('/:id/unlock', auth, requirePermission('user.manage'), audit('user.unlock', { targetType: 'User', model: User }), userController.unlockUser);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const Category = require('../models/Category');
+const User = require('../models/User');
+require('dotenv').config();
+
+/**
+ * Migration script to point blogs and their revisions at a category by ID instead of by name
+ * Categories named on blogs but missing from the categories collection are created.
+ * Revisions naming a category that no longer exists are left without one.
+ * Safe to run again: blogs and revisions that already store an ID are left alone
+ */
+
+async function migrateBlogCategories() {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        // The raw collection is used because the Blog model only accepts IDs;
+        // it also covers blogs in the trash
+        const names = await Blog.collection.distinct('category', { category: { $type: 'string' } });
+        console.log(`📊 Found ${names.length} category names on blogs:`, names);
+
+        if (names.length > 0) {
+            let adminUser = null;
+            let convertedBlogs = 0;
+            const createdCategories = [];
+
+            for (const name of names) {
+                // Blogs saved without a category name end up in "Uncategorized"
+                const categoryName = name.trim() || 'Uncategorized';
+                let category = await Category.findOne({ name: categoryName });
+
+                if (!category) {
+                    // Find an admin user to assign as creator
+                    adminUser = adminUser || await User.findOne({ role: 'admin' });
+                    if (!adminUser) {
+                        console.error('❌ No admin user found. Please create an admin user first.');
+                        process.exit(1);
+                    }
+
+                    category = await Category.create({
+                        name: categoryName,
+                        description: `Auto-generated category for ${categoryName}`,
+                        createdBy: adminUser._id,
+                        isActive: true
+                    });
+                    createdCategories.push(category.name);
+                }
+
+                const result = await Blog.collection.updateMany(
+                    { category: name },
+                    { $set: { category: category._id } }
+                );
+                convertedBlogs += result.modifiedCount;
+                console.log(`✅ "${name}" → ${category._id} (${result.modifiedCount} blogs)`);
+            }
+
+            console.log('\n📋 Migration Summary:');
+            console.log(`✅ Converted ${convertedBlogs} blogs`);
+            console.log(`✅ Created ${createdCategories.length} missing categories`);
+            createdCategories.forEach(name => console.log(`  - ${name}`));
+        }
+
+        // Revisions may name categories that were renamed or deleted since; those are not recreated
+        const revisionNames = await BlogRevision.collection.distinct('category', { category: { $type: 'string' } });
+        console.log(`\n📊 Found ${revisionNames.length} category names on revisions:`, revisionNames);
+
+        let convertedRevisions = 0;
+        const unknownNames = [];
+        for (const name of revisionNames) {
+            const category = name.trim() ? await Category.findByReference(name.trim()) : null;
+            if (!category && name.trim()) {
+                unknownNames.push(name);
+            }
+
+            const result = await BlogRevision.collection.updateMany(
+                { category: name },
+                { $set: { category: category ? category._id : null } }
+            );
+            convertedRevisions += result.modifiedCount;
+            console.log(`✅ "${name}" → ${category ? category._id : 'none'} (${result.modifiedCount} revisions)`);
+        }
+
+        console.log(`✅ Converted ${convertedRevisions} revisions`);
+        if (unknownNames.length > 0) {
+            console.warn(`⚠️  ${unknownNames.length} category names on revisions match no category:`);
+            unknownNames.forEach(name => console.warn(`  - ${name}`));
+        }
+
+        // Counts kept by name may have drifted; start from the real numbers
+        const corrected = await Category.reconcileBlogCounts();
+        console.log(`\n🔢 Corrected blog counts of ${corrected.length} categories`);
+
+        console.log('\n🎉 Blog category migration completed successfully!');
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        process.exit(1);
+    } finally {
+        await mongoose.disconnect();
+        console.log('📤 Disconnected from MongoDB');
+    }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+    migrateBlogCategories();
+}
+
+module.exports = migrateBlogCategories;
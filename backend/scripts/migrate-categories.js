@@ -22,8 +22,9 @@ async function migrateCategories() {
             process.exit(1);
         }
 
-        // Get all unique categories from existing blogs
-        const existingCategories = await Blog.distinct('category');
+        // Get all unique category names from existing blogs; the raw collection is read
+        // because blogs migrated by migrate-blog-categories.js store IDs instead
+        const existingCategories = await Blog.collection.distinct('category', { category: { $type: 'string' } });
         console.log(`📊 Found ${existingCategories.length} unique categories:`, existingCategories);
 
         // Create Category documents for each unique category
@@ -40,7 +41,7 @@ async function migrateCategories() {
             }
 
             // Count blogs for this category
-            const blogCount = await Blog.countDocuments({ 
+            const blogCount = await Blog.collection.countDocuments({ 
                 category: categoryName, 
                 status: 'published' 
             });
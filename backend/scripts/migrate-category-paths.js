@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+require('dotenv').config();
+
+/**
+ * Migration script to store the materialized path of every category
+ * Categories created before nesting was added have no path. Paths are rebuilt top-down
+ * from the parent links, so stale paths are corrected as well.
+ * Safe to run again: categories whose path is already right are left alone
+ */
+
+async function migrateCategoryPaths() {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const categories = await Category.find().select('name parent path').lean();
+        console.log(`📊 Found ${categories.length} categories`);
+
+        const childrenByParent = new Map();
+        categories.forEach(category => {
+            const key = category.parent ? String(category.parent) : null;
+            childrenByParent.set(key, [...(childrenByParent.get(key) || []), category]);
+        });
+
+        // Walk down from the top-level categories, one level at a time
+        const updates = [];
+        const reached = new Set();
+        let level = (childrenByParent.get(null) || []).map(category => ({ category, parentPath: ',' }));
+
+        while (level.length > 0) {
+            const next = [];
+            for (const { category, parentPath } of level) {
+                const path = `${parentPath}${category._id},`;
+                reached.add(String(category._id));
+
+                if (category.path !== path) {
+                    updates.push({
+                        updateOne: { filter: { _id: category._id }, update: { $set: { path } } }
+                    });
+                    console.log(`✅ ${category.name}: ${category.path || '(none)'} → ${path}`);
+                }
+
+                (childrenByParent.get(String(category._id)) || [])
+                    .forEach(child => next.push({ category: child, parentPath: path }));
+            }
+            level = next;
+        }
+
+        // The raw collection is used so the save hooks do not rewrite the paths again
+        if (updates.length > 0) {
+            await Category.collection.bulkWrite(updates);
+        }
+
+        // Categories whose parent is missing, or that are their own ancestor, cannot be placed
+        const unreached = categories.filter(category => !reached.has(String(category._id)));
+
+        console.log('\n📋 Migration Summary:');
+        console.log(`✅ Updated the path of ${updates.length} categories`);
+        if (unreached.length > 0) {
+            console.warn(`⚠️  ${unreached.length} categories have a missing or circular parent and were skipped:`);
+            unreached.forEach(category => console.warn(`  - ${category.name} (${category._id})`));
+        }
+
+        console.log('\n🎉 Category path migration completed successfully!');
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        process.exit(1);
+    } finally {
+        await mongoose.disconnect();
+        console.log('📤 Disconnected from MongoDB');
+    }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+    migrateCategoryPaths();
+}
+
+module.exports = migrateCategoryPaths;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Blog = require('../models/Blog');
+const Tag = require('../models/Tag');
+require('dotenv').config();
+
+/**
+ * Migration script to create Tag documents from the tags used on existing blogs
+ * Safe to run again: existing tags keep their name, description and synonyms,
+ * and only their usage counts are refreshed
+ */
+
+async function migrateTags() {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        // Tags only found on trashed blogs get their Tag when the blog is restored
+        const usedTags = await Blog.distinct('tags');
+        const existingSlugs = await Tag.distinct('slug');
+        console.log(`📊 Found ${usedTags.length} tags on blogs, ${existingSlugs.length} tags already exist`);
+
+        await Tag.recountUsage([...usedTags, ...existingSlugs]);
+
+        const created = (await Tag.distinct('slug')).filter(slug => !existingSlugs.includes(slug));
+        console.log('\n📋 Migration Summary:');
+        console.log(`✅ Created ${created.length} tags`);
+        created.forEach(slug => console.log(`  - ${slug}`));
+
+        console.log('\n🎉 Tag migration completed successfully!');
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        process.exit(1);
+    } finally {
+        await mongoose.disconnect();
+        console.log('📤 Disconnected from MongoDB');
+    }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+    migrateTags();
+}
+
+module.exports = migrateTags;
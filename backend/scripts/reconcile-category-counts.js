@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+require('../models/Blog');
+require('dotenv').config();
+
+/**
+ * Recompute every category's blogCount from the blogs collection
+ * Trashed blogs are not counted. Only categories whose count was wrong are changed,
+ * so it can be run at any time, e.g. from a nightly cron job
+ */
+
+async function reconcileCategoryCounts() {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const corrected = await Category.reconcileBlogCounts();
+
+        if (corrected.length === 0) {
+            console.log('✅ All category blog counts are correct');
+        } else {
+            console.log(`🔢 Corrected ${corrected.length} categories:`);
+            corrected.forEach(({ name, from, to }) => console.log(`  - ${name}: ${from} → ${to}`));
+        }
+    } catch (error) {
+        console.error('❌ Reconciliation failed:', error);
+        process.exit(1);
+    } finally {
+        await mongoose.disconnect();
+        console.log('📤 Disconnected from MongoDB');
+    }
+}
+
+// Run reconciliation if this file is executed directly
+if (require.main === module) {
+    reconcileCategoryCounts();
+}
+
+module.exports = reconcileCategoryCounts;
@@ -3,6 +3,8 @@
 /**
  * Script to reset admin user password
  * Usage: node scripts/reset-admin-password.js [username] [new-password]
+ * Prefer the "Forgot password?" link on the login page; this script is for
+ * recovering access when mail delivery is not configured
  */
 
 require('dotenv').config();
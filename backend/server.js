@@ -24,9 +24,12 @@ const dbConnection = require('./config/database');
 const logger = require('./utils/logger');
 // const { globalErrorHandler } = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
+const requestId = require('./middleware/requestId');
+const scheduledPublisher = require('./services/scheduledPublisher');
+const trashPurger = require('./services/trashPurger');
 
 // Import routes with error handling
-let blogRoutes, authRoutes, analyticsRoutes, userRoutes, logRoutes, s3Routes, categoryRoutes;
+let blogRoutes, authRoutes, analyticsRoutes, userRoutes, logRoutes, s3Routes, categoryRoutes, commentRoutes, auditRoutes, roleRoutes, apiKeyRoutes, invitationRoutes, authorRoutes, seriesRoutes, tagRoutes, searchRoutes;
 
 try {
     console.log('Loading routes...');
@@ -51,6 +54,33 @@ try {
     categoryRoutes = require('./routes/categoryRoutes');
     console.log('Category routes loaded');
 
+    commentRoutes = require('./routes/commentRoutes');
+    console.log('Comment routes loaded');
+
+    auditRoutes = require('./routes/auditRoutes');
+    console.log('Audit routes loaded');
+
+    roleRoutes = require('./routes/roleRoutes');
+    console.log('Role routes loaded');
+
+    apiKeyRoutes = require('./routes/apiKeyRoutes');
+    console.log('API key routes loaded');
+
+    invitationRoutes = require('./routes/invitationRoutes');
+    console.log('Invitation routes loaded');
+
+    authorRoutes = require('./routes/authorRoutes');
+    console.log('Author routes loaded');
+
+    seriesRoutes = require('./routes/seriesRoutes');
+    console.log('Series routes loaded');
+
+    tagRoutes = require('./routes/tagRoutes');
+    console.log('Tag routes loaded');
+
+    searchRoutes = require('./routes/searchRoutes');
+    console.log('Search routes loaded');
+
     console.log('All routes loaded successfully');
 } catch (error) {
     console.error('Error loading routes:', error.message);
@@ -69,6 +99,9 @@ if (process.env.NODE_ENV !== 'test') {
 // Security middleware
 app.use(helmet());
 
+// Request ID for correlating logs and audit entries
+app.use(requestId);
+
 // // Rate limiting
 // const limiter = rateLimit({
 //     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -110,10 +143,19 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/blogs', blogRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/comments', commentRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/logs', logRoutes);
 app.use('/api/s3', s3Routes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/authors', authorRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/search', searchRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -132,6 +174,12 @@ if (process.env.NODE_ENV !== 'test') {
     app.listen(PORT, () => {
         logger.info(`Server running on port ${PORT}`);
         logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+        // Publish and unpublish scheduled blogs in the background
+        scheduledPublisher.start();
+
+        // Purge blogs that have been in the trash past the retention period
+        trashPurger.start();
     });
 }
 
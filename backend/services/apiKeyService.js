@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+
+// Skip the last-used write when the key was used within this window
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+class ApiKeyService {
+    /**
+     * Create a key; the raw key is only returned here
+     * @param {Object} data - { name, scopes, expiresAt, owner, createdBy }
+     * @returns {Object} { apiKey, key }
+     */
+    async create({ name, scopes, expiresAt = null, owner, createdBy }) {
+        const { key, prefix, keyHash } = ApiKey.generateKey();
+
+        const apiKey = await ApiKey.create({
+            name,
+            scopes,
+            expiresAt,
+            owner,
+            createdBy,
+            prefix,
+            keyHash
+        });
+
+        return { apiKey, key };
+    }
+
+    /**
+     * Replace the secret of an active key; the old key stops working immediately
+     * @param {Object} apiKey - ApiKey document
+     * @returns {Object} { apiKey, key }
+     */
+    async rotate(apiKey) {
+        if (apiKey.revokedAt) {
+            throw new Error('Revoked keys cannot be rotated');
+        }
+
+        const { key, prefix, keyHash } = ApiKey.generateKey();
+        apiKey.prefix = prefix;
+        apiKey.keyHash = keyHash;
+        apiKey.rotatedAt = new Date();
+        await apiKey.save();
+
+        return { apiKey, key };
+    }
+
+    /**
+     * Revoke a key
+     * @param {Object} apiKey - ApiKey document
+     * @param {ObjectId} actorId - User revoking the key
+     * @returns {Object} Updated key
+     */
+    async revoke(apiKey, actorId) {
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            apiKey.revokedBy = actorId;
+            await apiKey.save();
+        }
+        return apiKey;
+    }
+
+    /**
+     * Resolve a raw key to its active ApiKey and owner
+     * @param {String} key - Raw key from the X-API-Key header
+     * @param {String} ipAddress - Client address, recorded as last used
+     * @returns {Object} { apiKey, user }
+     */
+    async authenticate(key, ipAddress) {
+        const prefix = ApiKey.parsePrefix(key);
+        if (!prefix) {
+            throw new Error('Malformed API key');
+        }
+
+        const apiKey = await ApiKey.findOne({ prefix }).select('+keyHash');
+        if (!apiKey || !this.matches(key, apiKey.keyHash)) {
+            throw new Error('API key not found');
+        }
+
+        if (apiKey.revokedAt) {
+            throw new Error('API key has been revoked');
+        }
+
+        if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+            throw new Error('API key has expired');
+        }
+
+        const user = await User.findById(apiKey.owner).select('-password');
+        if (!user || !user.isActive) {
+            throw new Error('Key owner not found or inactive');
+        }
+
+        await this.touch(apiKey, ipAddress);
+
+        return { apiKey, user };
+    }
+
+    /**
+     * Compare a raw key with a stored hash in constant time
+     * @param {String} key - Raw key
+     * @param {String} keyHash - Stored SHA-256 hex digest
+     * @returns {Boolean}
+     */
+    matches(key, keyHash) {
+        const expected = Buffer.from(keyHash || '', 'hex');
+        const actual = Buffer.from(ApiKey.hashKey(key), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Record when and where a key was last used, at most once a minute
+     * @param {Object} apiKey - ApiKey document
+     * @param {String} ipAddress - Client address
+     */
+    async touch(apiKey, ipAddress) {
+        const now = new Date();
+        if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_THROTTLE_MS && apiKey.lastUsedIp === ipAddress) {
+            return;
+        }
+
+        await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: ipAddress });
+        apiKey.lastUsedAt = now;
+        apiKey.lastUsedIp = ipAddress;
+    }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,166 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+// Fields kept in the before/after summary of each target type
+const SUMMARY_FIELDS = {
+    Blog: ['title', 'slug', 'status', 'category', 'tags', 'featured', 'author', 'authors', 'publishAt', 'unpublishAt'],
+    User: ['username', 'email', 'role', 'isActive', 'lockUntil', 'twoFactor.enabled', 'profile.firstName', 'profile.lastName', 'profile.avatar'],
+    Category: ['name', 'slug', 'description', 'color', 'icon', 'isActive', 'parent'],
+    Series: ['title', 'slug', 'description', 'blogs'],
+    Tag: ['name', 'slug', 'description', 'synonyms'],
+    Comment: ['status', 'content', 'authorName', 'blog'],
+    EditorialComment: ['body', 'status', 'blog'],
+    File: ['fileKey', 'fileUrl', 'fileSize', 'contentType'],
+    Role: ['name', 'label', 'description', 'permissions'],
+    ApiKey: ['name', 'prefix', 'owner', 'scopes', 'expiresAt', 'rotatedAt', 'revokedAt'],
+    Invitation: ['email', 'role', 'expiresAt', 'sendCount', 'revokedAt']
+};
+
+// Fields used as a readable label for the target
+const LABEL_FIELDS = ['title', 'name', 'username', 'fileKey', 'email'];
+
+/**
+ * Read a dotted path from an object
+ */
+const getPath = (source, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+/**
+ * Convert ObjectIds, dates and populated refs into plain JSON values
+ */
+const toPlainValue = (value) => {
+    if (value == null) {
+        return value ?? null;
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlainValue);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'object') {
+        // Populated documents are summarised by their id
+        if (value._id) {
+            return String(value._id);
+        }
+        if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') {
+            return String(value);
+        }
+        return JSON.parse(JSON.stringify(value));
+    }
+    return value;
+};
+
+class AuditService {
+    /**
+     * Pick the audited fields of a document
+     * @param {String} targetType - Target type, e.g. 'Blog'
+     * @param {Object} doc - Document or plain object
+     * @returns {Object|null} Summary
+     */
+    summarize(targetType, doc) {
+        if (!doc || typeof doc !== 'object') {
+            return null;
+        }
+
+        const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+        const fields = SUMMARY_FIELDS[targetType];
+
+        if (!fields) {
+            return null;
+        }
+
+        return fields.reduce((summary, field) => {
+            const value = getPath(source, field);
+            if (value !== undefined) {
+                summary[field] = toPlainValue(value);
+            }
+            return summary;
+        }, {});
+    }
+
+    /**
+     * Keep only the fields that differ between two summaries
+     * @param {Object|null} before - Summary before the action
+     * @param {Object|null} after - Summary after the action
+     * @returns {Object} { before, after }
+     */
+    diff(before, after) {
+        if (!before || !after) {
+            return { before, after };
+        }
+
+        const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+        const pick = (summary) => changed.reduce((result, field) => {
+            result[field] = summary[field] === undefined ? null : summary[field];
+            return result;
+        }, {});
+
+        return { before: pick(before), after: pick(after) };
+    }
+
+    /**
+     * Readable label of a target
+     * @param {Object|null} doc - Target document
+     * @returns {String|undefined} Label
+     */
+    getLabel(doc) {
+        if (!doc) {
+            return undefined;
+        }
+
+        const field = LABEL_FIELDS.find(name => typeof doc[name] === 'string' && doc[name]);
+        return field ? doc[field].slice(0, 300) : undefined;
+    }
+
+    /**
+     * Write an audit entry
+     * @param {Object} entry - { req, action, targetType, targetId, before, after, statusCode }
+     * @returns {Object|null} Created entry, or null when there is no authenticated actor
+     */
+    async record({ req, action, targetType, targetId = null, before = null, after = null, statusCode }) {
+        if (!req.user) {
+            return null;
+        }
+
+        const beforeSummary = this.summarize(targetType, before);
+        const afterSummary = this.summarize(targetType, after);
+
+        return AuditLog.create({
+            actor: req.user._id,
+            actorUsername: req.user.username,
+            actorRole: req.user.role,
+            apiKey: req.apiKey?._id || null,
+            action,
+            targetType,
+            targetId: targetId ? String(targetId) : null,
+            targetLabel: this.getLabel(after) || this.getLabel(before),
+            changes: this.diff(beforeSummary, afterSummary),
+            method: req.method,
+            path: req.originalUrl,
+            statusCode,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            requestId: req.id
+        });
+    }
+
+    /**
+     * Write an audit entry without failing the request it belongs to
+     * @param {Object} entry - See record()
+     */
+    async recordSafely(entry) {
+        try {
+            await this.record(entry);
+        } catch (error) {
+            logger.error('Failed to write audit log entry', {
+                action: entry.action,
+                requestId: entry.req?.id,
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = new AuditService();
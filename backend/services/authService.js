@@ -1,40 +1,80 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const mailService = require('./mailService');
+const twoFactorService = require('./twoFactorService');
+const loginProtectionService = require('./loginProtectionService');
+const permissionService = require('./permissionService');
+const s3Service = require('./s3Service');
+const logger = require('../utils/logger');
+
+// S3 folder avatars are uploaded to
+const AVATAR_FOLDER = 'avatars';
 
 class AuthService {
     /**
      * Generate JWT token for user
      * @param {Object} user - User object
+     * @param {String} sessionId - Session (refresh token family) the token belongs to
      * @returns {String} JWT token
      */
-    generateToken(user) {
+    generateToken(user, sessionId = null) {
         const payload = {
             id: user._id,
             username: user.username,
             email: user.email,
-            role: user.role
+            role: user.role,
+            tokenVersion: user.tokenVersion || 0
         };
 
+        if (sessionId) {
+            payload.sid = sessionId;
+        }
+
         return jwt.sign(payload, process.env.JWT_SECRET, {
             expiresIn: process.env.JWT_EXPIRES_IN || '7d'
         });
     }
 
     /**
-     * Generate refresh token for user
+     * Issue a persisted refresh token
      * @param {Object} user - User object
-     * @returns {String} Refresh token
+     * @param {Object} context - Device information { userAgent, ipAddress }
+     * @param {Object} session - Token being rotated, to continue its session
+     * @returns {Object} Raw refresh token and its stored record
      */
-    generateRefreshToken(user) {
-        const payload = {
-            id: user._id,
-            type: 'refresh'
-        };
-
-        return jwt.sign(payload, process.env.JWT_SECRET, {
-            expiresIn: '30d' // Refresh tokens last longer
+    async issueRefreshToken(user, context = {}, session = null) {
+        const refreshToken = crypto.randomBytes(40).toString('hex');
+        const expiresInDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+        const record = await RefreshToken.create({
+            user: user._id,
+            tokenHash: RefreshToken.hashToken(refreshToken),
+            family: session ? session.family : crypto.randomUUID(),
+            sessionStartedAt: session ? session.sessionStartedAt : new Date(),
+            userAgent: context.userAgent ? context.userAgent.substring(0, 500) : undefined,
+            ipAddress: context.ipAddress,
+            expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
         });
+
+        return { refreshToken, record };
+    }
+
+    /**
+     * Start a new session for a user (one per device sign-in)
+     * @param {Object} user - User object
+     * @param {Object} context - Device information { userAgent, ipAddress }
+     * @returns {Object} Access and refresh tokens
+     */
+    async createSession(user, context = {}) {
+        const { refreshToken, record } = await this.issueRefreshToken(user, context);
+
+        return {
+            token: this.generateToken(user, record.family),
+            refreshToken
+        };
     }
 
     /**
@@ -73,9 +113,10 @@ class AuthService {
     /**
      * Register new user
      * @param {Object} userData - User registration data
+     * @param {Object} context - Device information { userAgent, ipAddress }
      * @returns {Object} User and tokens
      */
-    async register(userData) {
+    async register(userData, context = {}) {
         const { username, email, password, role = 'reader' } = userData;
 
         // Check if user already exists
@@ -100,16 +141,11 @@ class AuthService {
 
         await user.save();
 
-        // Generate tokens
-        const token = this.generateToken(user);
-        const refreshToken = this.generateRefreshToken(user);
-
-        // Remove password from response
-        const userResponse = user.toObject();
-        delete userResponse.password;
+        // Start a session for this device
+        const { token, refreshToken } = await this.createSession(user, context);
 
         return {
-            user: userResponse,
+            user: await this.toUserResponse(user),
             token,
             refreshToken
         };
@@ -119,13 +155,19 @@ class AuthService {
      * Login user
      * @param {String} identifier - Email or username
      * @param {String} password - Plain text password
+     * @param {Object} context - Device information { userAgent, ipAddress }
      * @returns {Object} User and tokens
      */
-    async login(identifier, password) {
+    async login(identifier, password, context = {}) {
+        // Refuse addresses with too many recent failures before doing any work
+        const addressFailures = await loginProtectionService.assertAddressAllowed(context);
+
         // Find user by email or username (this method includes password)
         const user = await User.findByEmailOrUsername(identifier);
 
         if (!user) {
+            await loginProtectionService.throttle(null, addressFailures);
+            await loginProtectionService.recordFailure(null, identifier, context, 'unknown_account');
             throw new Error('Invalid credentials');
         }
 
@@ -134,61 +176,269 @@ class AuthService {
             throw new Error('Account is deactivated');
         }
 
+        await loginProtectionService.assertNotLocked(user, identifier, context);
+
         // Verify password
         if (!password || !user.password) {
             throw new Error('Invalid credentials - missing password data');
         }
 
+        // Each failure makes the next attempt slower
+        await loginProtectionService.throttle(user, addressFailures);
+
         const isPasswordValid = await this.comparePassword(password, user.password);
         if (!isPasswordValid) {
+            await loginProtectionService.recordFailure(user, identifier, context, 'invalid_password');
             throw new Error('Invalid credentials');
         }
 
-        // Generate tokens
-        const token = this.generateToken(user);
-        const refreshToken = this.generateRefreshToken(user);
+        await loginProtectionService.recordSuccess(user, context);
 
-        // Remove password from response
+        // Second step: a code from the authenticator app
+        if (user.twoFactor?.enabled) {
+            return {
+                twoFactorRequired: true,
+                challengeToken: this.generateChallengeToken(user, 'verify')
+            };
+        }
+
+        // Roles that must use 2FA enroll before they get a session
+        if (twoFactorService.isRequiredForRole(user.role)) {
+            return {
+                twoFactorSetupRequired: true,
+                challengeToken: this.generateChallengeToken(user, 'setup')
+            };
+        }
+
+        return this.completeLogin(user, context);
+    }
+
+    /**
+     * Build the user object sent to the client, with the permissions of its role
+     * @param {Object} user - User document
+     * @returns {Object} User without password
+     */
+    async toUserResponse(user) {
         const userResponse = user.toObject();
         delete userResponse.password;
+        userResponse.permissions = await permissionService.getPermissions(user.role);
+        return userResponse;
+    }
+
+    /**
+     * Start a session and build the login response
+     * @param {Object} user - Authenticated user
+     * @param {Object} context - Device information { userAgent, ipAddress }
+     * @returns {Object} User and tokens
+     */
+    async completeLogin(user, context = {}) {
+        // Start a session for this device
+        const { token, refreshToken } = await this.createSession(user, context);
 
         return {
-            user: userResponse,
+            user: await this.toUserResponse(user),
             token,
             refreshToken
         };
     }
 
+    /**
+     * Generate the short-lived token issued between the password and 2FA steps
+     * @param {Object} user - User who passed the password check
+     * @param {String} purpose - 'verify' (enter a code) or 'setup' (enroll first)
+     * @returns {String} Challenge token
+     */
+    generateChallengeToken(user, purpose) {
+        const payload = {
+            id: user._id,
+            type: '2fa_challenge',
+            purpose,
+            tokenVersion: user.tokenVersion || 0
+        };
+
+        return jwt.sign(payload, process.env.JWT_SECRET, {
+            expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+        });
+    }
+
+    /**
+     * Get the user of a valid challenge token
+     * @param {String} challengeToken - Token from the password step
+     * @param {String} purpose - Expected purpose
+     * @returns {Object} User object
+     */
+    async getUserByChallengeToken(challengeToken, purpose) {
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        } catch (error) {
+            throw new Error('Invalid or expired challenge');
+        }
+
+        if (decoded.type !== '2fa_challenge' || decoded.purpose !== purpose) {
+            throw new Error('Invalid or expired challenge');
+        }
+
+        const user = await User.findById(decoded.id);
+        if (!user || !user.isActive || !this.isTokenCurrent(decoded, user)) {
+            throw new Error('Invalid or expired challenge');
+        }
+
+        return user;
+    }
+
+    /**
+     * Finish a two-step login with a TOTP or backup code
+     * @param {String} challengeToken - Token from the password step
+     * @param {String} code - TOTP code or backup code
+     * @param {Object} context - Device information { userAgent, ipAddress }
+     * @returns {Object} User and tokens
+     */
+    async verifyTwoFactorLogin(challengeToken, code, context = {}) {
+        const challengeUser = await this.getUserByChallengeToken(challengeToken, 'verify');
+        const user = await twoFactorService.findUserWithSecrets(challengeUser._id);
+
+        if (!(await twoFactorService.verifyCode(user, code))) {
+            logger.warn('Invalid two-factor code at login', { userId: user._id });
+            throw new Error('Invalid verification code');
+        }
+
+        return this.completeLogin(challengeUser, context);
+    }
+
     /**
      * Refresh access token
+     * The refresh token is rotated; presenting a rotated token again revokes the whole session
      * @param {String} refreshToken - Refresh token
+     * @param {Object} context - Device information { userAgent, ipAddress }
      * @returns {Object} New tokens
      */
-    async refreshToken(refreshToken) {
-        try {
-            const decoded = this.verifyToken(refreshToken);
+    async refreshToken(refreshToken, context = {}) {
+        const record = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(refreshToken) });
 
-            if (decoded.type !== 'refresh') {
-                throw new Error('Invalid refresh token');
-            }
+        if (!record) {
+            throw new Error('Invalid refresh token');
+        }
 
-            // Find user
-            const user = await User.findById(decoded.id);
-            if (!user || !user.isActive) {
-                throw new Error('User not found or inactive');
+        if (record.revokedAt) {
+            if (record.revokedReason === 'rotated') {
+                await this.handleTokenReuse(record);
             }
+            throw new Error('Invalid refresh token');
+        }
 
-            // Generate new tokens
-            const newToken = this.generateToken(user);
-            const newRefreshToken = this.generateRefreshToken(user);
+        if (record.expiresAt <= new Date()) {
+            throw new Error('Invalid refresh token');
+        }
 
-            return {
-                token: newToken,
-                refreshToken: newRefreshToken
-            };
-        } catch (error) {
+        // Find user
+        const user = await User.findById(record.user);
+        if (!user || !user.isActive) {
+            await RefreshToken.revokeFamily(record.family, 'deactivated');
             throw new Error('Invalid refresh token');
         }
+
+        // Claim the token atomically so two requests cannot rotate it twice
+        const now = new Date();
+        const claimed = await RefreshToken.findOneAndUpdate(
+            { _id: record._id, revokedAt: null },
+            { revokedAt: now, revokedReason: 'rotated', lastUsedAt: now }
+        );
+
+        if (!claimed) {
+            await this.handleTokenReuse(record);
+            throw new Error('Invalid refresh token');
+        }
+
+        const { refreshToken: newRefreshToken, record: newRecord } = await this.issueRefreshToken(user, {
+            userAgent: context.userAgent || record.userAgent,
+            ipAddress: context.ipAddress || record.ipAddress
+        }, record);
+
+        await RefreshToken.updateOne({ _id: record._id }, { replacedBy: newRecord._id });
+
+        return {
+            token: this.generateToken(user, record.family),
+            refreshToken: newRefreshToken
+        };
+    }
+
+    /**
+     * Revoke a session after one of its rotated refresh tokens was presented again
+     * This means the token was copied, so neither copy can be trusted
+     * @param {Object} record - Reused refresh token record
+     */
+    async handleTokenReuse(record) {
+        const revoked = await RefreshToken.revokeFamily(record.family, 'reuse_detected');
+
+        logger.warn('Refresh token reuse detected, session revoked', {
+            userId: record.user,
+            sessionId: record.family,
+            revokedTokens: revoked
+        });
+    }
+
+    /**
+     * Revoke one session of a user
+     * @param {ObjectId} userId - User ID
+     * @param {String} sessionId - Session ID
+     * @param {String} reason - Revocation reason
+     * @returns {Number} Number of revoked tokens
+     */
+    async revokeSession(userId, sessionId, reason = 'logout') {
+        const result = await RefreshToken.updateMany(
+            { user: userId, family: sessionId, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: reason }
+        );
+
+        return result.modifiedCount;
+    }
+
+    /**
+     * Revoke a session using its refresh token
+     * @param {ObjectId} userId - User the token must belong to
+     * @param {String} refreshToken - Raw refresh token
+     * @returns {Number} Number of revoked tokens
+     */
+    async revokeRefreshToken(userId, refreshToken) {
+        const record = await RefreshToken.findOne({
+            tokenHash: RefreshToken.hashToken(refreshToken),
+            user: userId
+        });
+
+        if (!record) {
+            return 0;
+        }
+
+        return this.revokeSession(userId, record.family, 'logout');
+    }
+
+    /**
+     * Sign a user out everywhere
+     * Revokes all refresh tokens and invalidates every access token issued so far
+     * @param {ObjectId} userId - User ID
+     * @param {String} reason - Revocation reason
+     * @returns {Number} Number of revoked tokens
+     */
+    async revokeAllSessions(userId, reason = 'logout_all') {
+        const [revoked] = await Promise.all([
+            RefreshToken.revokeForUser(userId, reason),
+            User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } })
+        ]);
+
+        logger.info('All sessions revoked', { userId, reason, revokedTokens: revoked });
+
+        return revoked;
+    }
+
+    /**
+     * Get the session ID of an already verified access token
+     * @param {String} token - JWT token
+     * @returns {String|null} Session ID
+     */
+    getSessionId(token) {
+        const decoded = jwt.decode(token);
+        return decoded?.sid || null;
     }
 
     /**
@@ -198,14 +448,212 @@ class AuthService {
      */
     async getUserByToken(token) {
         const decoded = this.verifyToken(token);
+
+        // Only access tokens are accepted (not refresh or 2FA challenge tokens)
+        if (decoded.type) {
+            throw new Error('Invalid token type');
+        }
+
         const user = await User.findById(decoded.id).select('-password');
 
         if (!user || !user.isActive) {
             throw new Error('User not found or inactive');
         }
 
+        if (!this.isTokenCurrent(decoded, user)) {
+            throw new Error('Session has been revoked');
+        }
+
+        // Tokens issued for a session stop working as soon as the session is revoked
+        if (decoded.sid && !(await RefreshToken.isSessionActive(decoded.sid))) {
+            throw new Error('Session has been revoked');
+        }
+
+        return user;
+    }
+
+    /**
+     * Check that a token was issued after the user's last session reset
+     * @param {Object} decoded - Decoded token payload
+     * @param {Object} user - User object
+     * @returns {Boolean} Whether the token is still valid for the user
+     */
+    isTokenCurrent(decoded, user) {
+        return (decoded.tokenVersion || 0) === (user.tokenVersion || 0);
+    }
+
+    /**
+     * Start a password reset and email the reset link
+     * Does nothing for unknown or inactive accounts so callers cannot probe for emails
+     * @param {String} email - Account email
+     * @param {String} resetUrlBase - Page the reset token is appended to
+     */
+    async requestPasswordReset(email, resetUrlBase) {
+        const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+
+        if (!user) {
+            logger.info('Password reset requested for unknown account', { email });
+            return;
+        }
+
+        const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+        const resetToken = user.createPasswordResetToken(expiresInMinutes);
+        await user.save({ validateBeforeSave: false });
+
+        const separator = resetUrlBase.includes('?') ? '&' : '?';
+        const resetUrl = `${resetUrlBase}${separator}resetToken=${resetToken}`;
+
+        try {
+            await mailService.sendPasswordReset(user, resetUrl, expiresInMinutes);
+        } catch (error) {
+            // Don't leave a usable token behind if the link never reached the user
+            user.passwordResetToken = undefined;
+            user.passwordResetExpires = undefined;
+            await user.save({ validateBeforeSave: false });
+
+            // Not thrown: a different response for existing accounts would reveal which emails are registered
+            logger.error('Failed to send password reset email', { userId: user._id, error: error.message });
+            return;
+        }
+
+        logger.info('Password reset email sent', { userId: user._id });
+    }
+
+    /**
+     * Set a new password using a reset token
+     * The token is cleared and all existing sessions are invalidated
+     * @param {String} token - Raw reset token from the email
+     * @param {String} password - New plain text password
+     * @returns {Object} Updated user
+     */
+    async resetPassword(token, password) {
+        const user = await User.findOne({
+            passwordResetToken: User.hashResetToken(token),
+            passwordResetExpires: { $gt: new Date() },
+            isActive: true
+        }).select('+passwordResetToken +passwordResetExpires');
+
+        if (!user) {
+            throw new Error('Password reset token is invalid or has expired');
+        }
+
+        await user.resetPassword(password);
+        await RefreshToken.revokeForUser(user._id, 'password_reset');
+
+        logger.info('Password reset completed', { userId: user._id });
+
+        return user;
+    }
+
+    /**
+     * Update the signed-in user's own profile
+     * Only the fields present in `profile` are changed
+     * @param {Object} user - User document
+     * @param {Object} profile - { firstName, lastName, bio, jobTitle, social }
+     * @returns {Object} Updated user
+     */
+    async updateProfile(user, profile) {
+        Object.entries(profile).forEach(([field, value]) => {
+            user.profile[field] = value;
+        });
+        await user.save();
+
+        return user;
+    }
+
+    /**
+     * Change the signed-in user's password after checking the current one
+     * Every other session is signed out; a new session is started for this device
+     * @param {ObjectId} userId - User ID
+     * @param {String} currentPassword - Current plain text password
+     * @param {String} newPassword - New plain text password
+     * @param {Object} context - Device information { userAgent, ipAddress }
+     * @returns {Object} User and tokens
+     */
+    async changePassword(userId, currentPassword, newPassword, context = {}) {
+        const user = await User.findById(userId).select('+password');
+
+        if (!user || !(await this.comparePassword(currentPassword, user.password))) {
+            throw new Error('Current password is incorrect');
+        }
+
+        if (await this.comparePassword(newPassword, user.password)) {
+            throw new Error('New password must be different from the current password');
+        }
+
+        user.password = newPassword;
+        user.passwordChangedAt = new Date();
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await user.save();
+        await RefreshToken.revokeForUser(user._id, 'password_change');
+
+        logger.info('Password changed', { userId: user._id });
+
+        return this.completeLogin(user, context);
+    }
+
+    /**
+     * Replace the signed-in user's avatar
+     * The image is stored through the S3 service; the previous avatar is removed
+     * when it was uploaded here
+     * @param {Object} user - User document
+     * @param {Object} file - Uploaded file { buffer, originalname, mimetype }
+     * @returns {Object} Updated user
+     */
+    async updateAvatar(user, file) {
+        const result = await s3Service.contractUploadS3({
+            fileBuffer: file.buffer,
+            fileName: file.originalname,
+            contentType: file.mimetype,
+            folder: AVATAR_FOLDER,
+            metadata: { 'user-id': user._id.toString() }
+        });
+
+        if (!result.success) {
+            throw new Error(`Avatar upload failed: ${result.error}`);
+        }
+
+        const previousAvatar = user.profile.avatar;
+        user.profile.avatar = result.data.fileUrl;
+        await user.save();
+
+        await this.deleteStoredAvatar(previousAvatar);
+
+        return user;
+    }
+
+    /**
+     * Remove the signed-in user's avatar
+     * @param {Object} user - User document
+     * @returns {Object} Updated user
+     */
+    async removeAvatar(user) {
+        const previousAvatar = user.profile.avatar;
+        user.profile.avatar = '';
+        await user.save();
+
+        await this.deleteStoredAvatar(previousAvatar);
+
         return user;
     }
+
+    /**
+     * Delete an avatar from S3 if it was uploaded through this API
+     * Avatars set to external URLs (e.g. by an admin) are left alone
+     * @param {String} avatarUrl - Avatar URL
+     */
+    async deleteStoredAvatar(avatarUrl) {
+        const marker = `/${AVATAR_FOLDER}/`;
+        if (!avatarUrl || !avatarUrl.includes(marker)) {
+            return;
+        }
+
+        const fileKey = avatarUrl.slice(avatarUrl.indexOf(marker) + 1);
+        const result = await s3Service.deleteFile(fileKey);
+        if (!result.success) {
+            logger.warn('Failed to delete previous avatar', { fileKey, error: result.error });
+        }
+    }
 }
 
 module.exports = new AuthService();
\ No newline at end of file
@@ -0,0 +1,123 @@
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const EditorialComment = require('../models/EditorialComment');
+const Comment = require('../models/Comment');
+const Category = require('../models/Category');
+const Series = require('../models/Series');
+const Tag = require('../models/Tag');
+const logger = require('../utils/logger');
+
+// Matches only trashed blogs; mentioning deletedAt also lifts the Blog model's trash filter
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+class BlogTrashService {
+    /**
+     * Narrow a Blog filter to trashed blogs
+     * @param {Object} filter - Blog filter
+     * @returns {Object} Filter that only matches trashed blogs
+     */
+    inTrash(filter = {}) {
+        return { ...filter, ...IN_TRASH };
+    }
+
+    /**
+     * How long trashed blogs are kept before they are purged
+     * @returns {Number} Days
+     */
+    getRetentionDays() {
+        return parseInt(process.env.BLOG_TRASH_RETENTION_DAYS, 10) || 30;
+    }
+
+    /**
+     * Date after which a trashed blog is purged automatically
+     * @param {Date} deletedAt - When the blog was trashed
+     * @returns {Date}
+     */
+    getPurgeDate(deletedAt) {
+        return new Date(deletedAt.getTime() + this.getRetentionDays() * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Move blogs to the trash; they leave their category's blog count and their
+     * tags' usage counts until restored
+     * @param {Array} blogs - Blog documents that are not trashed yet
+     * @param {ObjectId} userId - User deleting the blogs
+     * @param {ClientSession|null} session - Transaction session
+     */
+    async trash(blogs, userId, session = null) {
+        await Blog.updateMany(
+            { _id: { $in: blogs.map(blog => blog._id) } },
+            { deletedAt: new Date(), deletedBy: userId },
+            { session }
+        );
+        await Category.recountBlogCounts(blogs.map(blog => blog.getCategoryId()), session);
+        await Tag.recountUsage(blogs.flatMap(blog => blog.tags || []), session);
+    }
+
+    /**
+     * Take a blog out of the trash
+     * @param {Object} blog - Trashed blog document
+     * @returns {Object|null} Restored blog, or null if it was restored or purged meanwhile
+     */
+    async restore(blog) {
+        const restored = await Blog.findOneAndUpdate(
+            this.inTrash({ _id: blog._id }),
+            { deletedAt: null, deletedBy: null },
+            { new: true }
+        );
+
+        if (restored) {
+            await Category.recountBlogCount(restored.getCategoryId());
+            await Tag.recountUsage(restored.tags);
+        }
+        return restored;
+    }
+
+    /**
+     * Permanently delete trashed blogs with their revision history and comments,
+     * and take them out of their series
+     * @param {Array} blogIds - IDs of trashed blogs
+     * @returns {Number} Number of purged blogs
+     */
+    async purge(blogIds) {
+        // Blogs restored in the meantime are left alone
+        const trashedIds = await Blog.distinct('_id', this.inTrash({ _id: { $in: blogIds } }));
+        if (trashedIds.length === 0) {
+            return 0;
+        }
+
+        const { deletedCount } = await Blog.deleteMany(this.inTrash({ _id: { $in: trashedIds } }));
+
+        await BlogRevision.deleteMany({ blog: { $in: trashedIds } });
+        await EditorialComment.deleteMany({ blog: { $in: trashedIds } });
+        await Comment.deleteMany({ blog: { $in: trashedIds } });
+        await Series.removeBlogs(trashedIds);
+
+        return deletedCount;
+    }
+
+    /**
+     * Purge blogs that have been in the trash longer than the retention period
+     * @param {Date} now - Reference time
+     * @returns {Array} IDs of purged blogs
+     */
+    async purgeExpired(now = new Date()) {
+        const cutoff = new Date(now.getTime() - this.getRetentionDays() * 24 * 60 * 60 * 1000);
+        const ids = await Blog.distinct('_id', { deletedAt: { $ne: null, $lte: cutoff } });
+
+        if (ids.length === 0) {
+            return [];
+        }
+
+        await this.purge(ids);
+
+        logger.info('Expired blogs purged from trash', {
+            count: ids.length,
+            retentionDays: this.getRetentionDays()
+        });
+
+        return ids;
+    }
+}
+
+module.exports = new BlogTrashService();
@@ -0,0 +1,192 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const logger = require('../utils/logger');
+const { ValidationError, ConflictError, NotFoundError } = require('../utils/customErrors');
+
+class InvitationService {
+    /**
+     * How long invitation links stay valid
+     * @returns {Number} Hours
+     */
+    getExpiryHours() {
+        return parseInt(process.env.INVITATION_EXPIRES_HOURS, 10) || 72;
+    }
+
+    /**
+     * Build the accept link for a raw token
+     * @param {String} acceptUrlBase - Accept page URL
+     * @param {String} token - Raw token
+     * @returns {String} Link sent to the invitee
+     */
+    buildAcceptUrl(acceptUrlBase, token) {
+        const separator = acceptUrlBase.includes('?') ? '&' : '?';
+        return `${acceptUrlBase}${separator}token=${token}`;
+    }
+
+    /**
+     * Give an invitation a fresh token and email it
+     * Earlier links stop working because only the latest token hash is kept
+     * @param {Object} invitation - Invitation document (saved or new)
+     * @param {Object} inviter - User sending the email
+     * @param {String} acceptUrlBase - Accept page URL
+     */
+    async deliver(invitation, inviter, acceptUrlBase) {
+        const expiresInHours = this.getExpiryHours();
+        const { token, tokenHash } = Invitation.generateToken();
+
+        invitation.tokenHash = tokenHash;
+        invitation.expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+        invitation.lastSentAt = new Date();
+        await invitation.save();
+
+        await mailService.sendInvitation(invitation, this.buildAcceptUrl(acceptUrlBase, token), inviter, expiresInHours);
+    }
+
+    /**
+     * Invite someone by email
+     * @param {Object} data - { email, role, inviter, acceptUrlBase }
+     * @returns {Object} Invitation
+     */
+    async invite({ email, role, inviter, acceptUrlBase }) {
+        const normalizedEmail = email.trim().toLowerCase();
+
+        if (await User.exists({ email: normalizedEmail })) {
+            throw new ConflictError('A user with this email already exists');
+        }
+
+        if (await Invitation.exists({ email: normalizedEmail, ...Invitation.openFilter() })) {
+            throw new ConflictError('An invitation is already pending for this email. Resend it instead.');
+        }
+
+        const invitation = new Invitation({
+            email: normalizedEmail,
+            role,
+            invitedBy: inviter._id
+        });
+
+        try {
+            await this.deliver(invitation, inviter, acceptUrlBase);
+        } catch (error) {
+            // Don't leave an invitation behind that nobody received
+            if (!invitation.isNew) {
+                await Invitation.deleteOne({ _id: invitation._id });
+            }
+            throw error.name === 'ValidationError' ? error : new Error('Failed to send invitation email');
+        }
+
+        logger.info('Invitation sent', { invitationId: invitation._id, invitedBy: inviter._id });
+
+        return invitation;
+    }
+
+    /**
+     * Send a pending or expired invitation again with a new link
+     * @param {Object} invitation - Invitation document
+     * @param {Object} inviter - User resending the invitation
+     * @param {String} acceptUrlBase - Accept page URL
+     * @returns {Object} Invitation
+     */
+    async resend(invitation, inviter, acceptUrlBase) {
+        if (invitation.acceptedAt || invitation.revokedAt) {
+            throw new ValidationError(`Invitation has already been ${invitation.acceptedAt ? 'accepted' : 'revoked'}`);
+        }
+
+        invitation.sendCount += 1;
+        try {
+            await this.deliver(invitation, inviter, acceptUrlBase);
+        } catch (error) {
+            throw new Error('Failed to send invitation email');
+        }
+
+        return invitation;
+    }
+
+    /**
+     * Revoke an invitation so its link stops working
+     * @param {Object} invitation - Invitation document
+     * @param {ObjectId} actorId - User revoking the invitation
+     * @returns {Object} Invitation
+     */
+    async revoke(invitation, actorId) {
+        if (invitation.acceptedAt) {
+            throw new ValidationError('Invitation has already been accepted');
+        }
+
+        if (!invitation.revokedAt) {
+            invitation.revokedAt = new Date();
+            invitation.revokedBy = actorId;
+            await invitation.save();
+        }
+
+        return invitation;
+    }
+
+    /**
+     * Find the open invitation for a raw token
+     * @param {String} token - Raw token from the invitation email
+     * @returns {Object} Invitation with the inviter's username
+     */
+    async findByToken(token) {
+        const invitation = await Invitation.findOne({
+            tokenHash: Invitation.hashToken(token),
+            ...Invitation.openFilter()
+        }).populate('invitedBy', 'username');
+
+        if (!invitation) {
+            throw new NotFoundError('Invitation is invalid or has expired');
+        }
+
+        return invitation;
+    }
+
+    /**
+     * Accept an invitation and create the account
+     * The token is claimed first so it cannot be used twice, and released again if the
+     * account cannot be created (e.g. the username is taken)
+     * @param {String} token - Raw token from the invitation email
+     * @param {Object} account - { username, password, profile }
+     * @returns {Object} Created user
+     */
+    async accept(token, { username, password, profile = {} }) {
+        const invitation = await Invitation.findOneAndUpdate(
+            { tokenHash: Invitation.hashToken(token), ...Invitation.openFilter() },
+            { acceptedAt: new Date() },
+            { new: true }
+        );
+
+        if (!invitation) {
+            throw new NotFoundError('Invitation is invalid or has expired');
+        }
+
+        try {
+            if (await User.exists({ email: invitation.email })) {
+                throw new ConflictError('A user with this email already exists');
+            }
+            if (await User.exists({ username })) {
+                throw new ConflictError('Username is already taken');
+            }
+
+            // The password is hashed by the User pre-save hook
+            const user = await User.create({
+                username,
+                email: invitation.email,
+                password,
+                role: invitation.role,
+                profile
+            });
+
+            invitation.acceptedUser = user._id;
+            await invitation.save();
+
+            logger.info('Invitation accepted', { invitationId: invitation._id, userId: user._id });
+
+            return user;
+        } catch (error) {
+            await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+            throw error;
+        }
+    }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,255 @@
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const logger = require('../utils/logger');
+
+/**
+ * Read a numeric setting from the environment, allowing 0
+ * @param {String} name - Environment variable
+ * @param {Number} fallback - Default value
+ * @returns {Number} Setting value
+ */
+const readNumber = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && !Number.isNaN(value) ? value : fallback;
+};
+
+class LoginProtectionService {
+    /**
+     * Current brute-force protection settings
+     * @returns {Object} Limits, lockout duration and delays
+     */
+    getSettings() {
+        return {
+            // Consecutive failures before an account is locked
+            maxAttempts: readNumber('LOGIN_MAX_ATTEMPTS', 5),
+            lockoutMinutes: readNumber('LOGIN_LOCKOUT_MINUTES', 15),
+            // Failures from one address (any account) within the window before it is blocked
+            ipMaxAttempts: readNumber('LOGIN_IP_MAX_ATTEMPTS', 20),
+            windowMinutes: readNumber('LOGIN_ATTEMPT_WINDOW_MINUTES', 15),
+            // Progressive delay: base * 2^(failures - 1), capped
+            delayBaseMs: readNumber('LOGIN_DELAY_BASE_MS', 250),
+            delayMaxMs: readNumber('LOGIN_DELAY_MAX_MS', 5000)
+        };
+    }
+
+    /**
+     * Delay applied before checking a password after previous failures
+     * @param {Number} failures - Number of recent failures
+     * @returns {Number} Delay in milliseconds
+     */
+    getDelay(failures) {
+        if (!failures || failures < 1) {
+            return 0;
+        }
+
+        const { delayBaseMs, delayMaxMs } = this.getSettings();
+        return Math.min(delayBaseMs * 2 ** (failures - 1), delayMaxMs);
+    }
+
+    /**
+     * Wait for a number of milliseconds
+     * @param {Number} ms - Delay
+     */
+    wait(ms) {
+        return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+    }
+
+    /**
+     * Slow down repeated attempts for an account or address
+     * @param {Object|null} user - Account being signed in to, if it exists
+     * @param {Number} addressFailures - Recent failures from the client address
+     */
+    async throttle(user, addressFailures = 0) {
+        const failures = Math.max(user?.failedLoginAttempts || 0, addressFailures);
+        await this.wait(this.getDelay(failures));
+    }
+
+    /**
+     * Refuse addresses with too many recent failures
+     * @param {Object} context - Device information { userAgent, ipAddress }
+     * @returns {Number} Recent failures from the address
+     */
+    async assertAddressAllowed(context = {}) {
+        if (!context.ipAddress) {
+            return 0;
+        }
+
+        const { ipMaxAttempts, windowMinutes } = this.getSettings();
+        const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+        const failures = await LoginAttempt.countRecent(context.ipAddress, since);
+
+        if (failures >= ipMaxAttempts) {
+            logger.security('login_blocked_address', {
+                ipAddress: context.ipAddress,
+                userAgent: context.userAgent,
+                failedAttempts: failures
+            });
+
+            const error = new Error('Too many failed login attempts. Please try again later');
+            error.retryAfter = windowMinutes * 60;
+            throw error;
+        }
+
+        return failures;
+    }
+
+    /**
+     * Refuse accounts that are temporarily locked
+     * @param {Object} user - Account being signed in to
+     * @param {String} identifier - Email or username as typed
+     * @param {Object} context - Device information { userAgent, ipAddress }
+     */
+    async assertNotLocked(user, identifier, context = {}) {
+        if (!user.isLocked) {
+            return;
+        }
+
+        await this.saveAttempt(user, identifier, context, 'account_locked');
+
+        logger.security('login_account_locked', {
+            userId: user._id,
+            ipAddress: context.ipAddress,
+            userAgent: context.userAgent,
+            lockUntil: user.lockUntil
+        });
+
+        const error = new Error('Account is temporarily locked due to too many failed login attempts');
+        error.retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+        throw error;
+    }
+
+    /**
+     * Store a failed attempt for address tracking
+     * A storage error is logged rather than thrown so it cannot fail the sign-in check
+     * @param {Object|null} user - Matching account, if any
+     * @param {String} identifier - Email or username as typed
+     * @param {Object} context - Device information { userAgent, ipAddress }
+     * @param {String} reason - Why the attempt failed
+     */
+    async saveAttempt(user, identifier, context, reason) {
+        if (!context.ipAddress) {
+            return;
+        }
+
+        const { windowMinutes } = this.getSettings();
+
+        try {
+            await LoginAttempt.create({
+                ipAddress: context.ipAddress,
+                identifier: String(identifier || '').slice(0, 254),
+                user: user?._id || null,
+                reason,
+                userAgent: context.userAgent ? String(context.userAgent).substring(0, 500) : undefined,
+                expiresAt: new Date(Date.now() + windowMinutes * 60 * 1000)
+            });
+        } catch (error) {
+            logger.error('Failed to store login attempt', {
+                ipAddress: context.ipAddress,
+                reason,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Record a failed sign-in and lock the account once the limit is reached
+     * @param {Object|null} user - Matching account, if any
+     * @param {String} identifier - Email or username as typed
+     * @param {Object} context - Device information { userAgent, ipAddress }
+     * @param {String} reason - 'unknown_account' or 'invalid_password'
+     */
+    async recordFailure(user, identifier, context = {}, reason = 'invalid_password') {
+        if (!user) {
+            await this.saveAttempt(user, identifier, context, reason);
+            logger.security('login_failed', {
+                identifier,
+                ipAddress: context.ipAddress,
+                userAgent: context.userAgent,
+                reason
+            });
+            return;
+        }
+
+        const now = new Date();
+        const lockExpired = user.lockUntil && user.lockUntil <= now;
+
+        // Count atomically so parallel attempts cannot slip past the limit;
+        // the count starts over once a previous lockout has expired
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id },
+            lockExpired
+                ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now }, $unset: { lockUntil: 1 } }
+                : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+            { new: true }
+        );
+        const failedAttempts = updated?.failedLoginAttempts || 0;
+
+        logger.security('login_failed', {
+            userId: user._id,
+            identifier,
+            ipAddress: context.ipAddress,
+            userAgent: context.userAgent,
+            reason,
+            failedAttempts
+        });
+
+        const { maxAttempts, lockoutMinutes } = this.getSettings();
+        if (failedAttempts >= maxAttempts && !updated.isLocked) {
+            const lockUntil = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+            await User.updateOne({ _id: user._id }, { $set: { lockUntil } });
+
+            logger.security('account_locked', {
+                userId: user._id,
+                ipAddress: context.ipAddress,
+                failedAttempts,
+                lockUntil
+            });
+        }
+
+        // Stored after the account count and lock so the lockout never depends on it
+        await this.saveAttempt(user, identifier, context, reason);
+    }
+
+    /**
+     * Clear the failure count after a successful sign-in
+     * @param {Object} user - Signed in account
+     * @param {Object} context - Device information { userAgent, ipAddress }
+     */
+    async recordSuccess(user, context = {}) {
+        if (user.failedLoginAttempts || user.lockUntil) {
+            await User.updateOne(
+                { _id: user._id },
+                { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+            );
+        }
+
+        logger.security('login_succeeded', {
+            userId: user._id,
+            ipAddress: context.ipAddress,
+            userAgent: context.userAgent,
+            previousFailures: user.failedLoginAttempts || 0
+        }, 'info');
+    }
+
+    /**
+     * Lift a lockout (admin action)
+     * @param {ObjectId} userId - Locked user
+     * @param {ObjectId} adminId - Admin performing the unlock
+     * @returns {Object|null} Updated user
+     */
+    async unlock(userId, adminId) {
+        const user = await User.findByIdAndUpdate(
+            userId,
+            { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } },
+            { new: true }
+        ).select('-password');
+
+        if (user) {
+            logger.security('account_unlocked', { userId, unlockedBy: adminId }, 'info');
+        }
+
+        return user;
+    }
+}
+
+module.exports = new LoginProtectionService();
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Console transport - logs messages instead of sending them (local development)
+ */
+const consoleTransport = {
+    name: 'console',
+    async send(message) {
+        logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { accepted: [message.to] };
+    }
+};
+
+/**
+ * Used in production when no transport is configured
+ * The console transport would print reset and invitation links to the production logs
+ */
+const unconfiguredTransport = {
+    name: 'none',
+    async send() {
+        throw new Error('No mail transport is configured');
+    }
+};
+
+/**
+ * File transport - writes each message as a JSON file (local development and tests)
+ * @param {String} directory - Directory the messages are written to
+ */
+const createFileTransport = (directory) => ({
+    name: 'file',
+    async send(message) {
+        await fs.promises.mkdir(directory, { recursive: true });
+        const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+        const filePath = path.join(directory, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+        return { accepted: [message.to], path: filePath };
+    }
+});
+
+class MailService {
+    constructor() {
+        this.transport = null;
+    }
+
+    /**
+     * Build the transport selected by MAIL_TRANSPORT (console or file)
+     * The console transport is only available outside production; production
+     * needs a transport set with setTransport() or MAIL_TRANSPORT=file
+     * @returns {Object} Transport with an async send(message) method
+     */
+    createDefaultTransport() {
+        if (process.env.MAIL_TRANSPORT === 'file') {
+            return createFileTransport(process.env.MAIL_FILE_DIR || path.join(__dirname, '../tmp/mail'));
+        }
+        if (process.env.NODE_ENV === 'production') {
+            return unconfiguredTransport;
+        }
+        return consoleTransport;
+    }
+
+    /**
+     * Replace the transport used to deliver mail
+     * Any object with an async send({ from, to, subject, text, html }) method can be used,
+     * e.g. a wrapper around an SMTP client or a provider API
+     * @param {Object} transport - Transport implementation, or null to restore the default
+     */
+    setTransport(transport) {
+        if (transport && typeof transport.send !== 'function') {
+            throw new Error('Mail transport must implement send(message)');
+        }
+        this.transport = transport;
+    }
+
+    /**
+     * Get the active transport
+     * @returns {Object} Transport
+     */
+    getTransport() {
+        if (!this.transport) {
+            this.transport = this.createDefaultTransport();
+        }
+        return this.transport;
+    }
+
+    /**
+     * Send an email
+     * @param {Object} message - { to, subject, text, html }
+     * @returns {Object} Transport result
+     */
+    async send(message) {
+        const mail = {
+            from: process.env.MAIL_FROM || 'no-reply@localhost',
+            ...message
+        };
+
+        return this.getTransport().send(mail);
+    }
+
+    /**
+     * Send the password reset link to a user
+     * @param {Object} user - User document
+     * @param {String} resetUrl - Link containing the raw reset token
+     * @param {Number} expiresInMinutes - Link validity
+     */
+    async sendPasswordReset(user, resetUrl, expiresInMinutes) {
+        return this.send({
+            to: user.email,
+            subject: 'Reset your password',
+            text: [
+                `Hi ${user.username},`,
+                '',
+                'We received a request to reset the password for your account.',
+                `Open the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.`,
+                '',
+                resetUrl,
+                '',
+                'If you did not request this, you can ignore this email.'
+            ].join('\n')
+        });
+    }
+
+    /**
+     * Send an invitation to join the admin panel
+     * @param {Object} invitation - Invitation document
+     * @param {String} acceptUrl - Link containing the raw invitation token
+     * @param {Object} inviter - User who sent the invitation
+     * @param {Number} expiresInHours - Link validity
+     */
+    async sendInvitation(invitation, acceptUrl, inviter, expiresInHours) {
+        return this.send({
+            to: invitation.email,
+            subject: 'You have been invited to the admin panel',
+            text: [
+                'Hi,',
+                '',
+                `${inviter?.username || 'An administrator'} has invited you to join the admin panel as ${invitation.role}.`,
+                `Open the link below to choose your username and password. It expires in ${expiresInHours} hours and can only be used once.`,
+                '',
+                acceptUrl,
+                '',
+                'If you were not expecting this invitation, you can ignore this email.'
+            ].join('\n')
+        });
+    }
+}
+
+module.exports = new MailService();
+module.exports.createFileTransport = createFileTransport;
+module.exports.consoleTransport = consoleTransport;
@@ -0,0 +1,141 @@
+const Role = require('../models/Role');
+const { PERMISSIONS, PERMISSION_KEYS, SUPER_ROLE, BUILT_IN_ROLES } = require('../config/permissions');
+
+class PermissionService {
+    /**
+     * Permission catalogue for the role editor
+     * @returns {Array} Permissions with key, group and description
+     */
+    getCatalogue() {
+        return PERMISSIONS;
+    }
+
+    /**
+     * Permissions granted to a role
+     * Built-in roles fall back to their defaults until they are saved
+     * @param {String} roleName - Role name
+     * @returns {Array<String>} Permission keys
+     */
+    async getPermissions(roleName) {
+        if (roleName === SUPER_ROLE) {
+            return PERMISSION_KEYS;
+        }
+
+        const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+        if (role) {
+            return role.permissions;
+        }
+
+        return BUILT_IN_ROLES[roleName]?.permissions || [];
+    }
+
+    /**
+     * Permissions of the authenticated user, loaded once per request
+     * @param {Object} req - Express request with req.user
+     * @returns {Array<String>} Permission keys
+     */
+    async getRequestPermissions(req) {
+        if (!req.permissions) {
+            req.permissions = req.user ? await this.getPermissions(req.user.role) : [];
+        }
+        return req.permissions;
+    }
+
+    /**
+     * Check whether the authenticated user holds a permission
+     * @param {Object} req - Express request with req.user
+     * @param {String} permission - Permission key
+     * @returns {Boolean}
+     */
+    async can(req, permission) {
+        const permissions = await this.getRequestPermissions(req);
+        return permissions.includes(permission);
+    }
+
+    /**
+     * Check that the authenticated user may give a role to someone
+     * A role can only be assigned by users who hold all of its permissions
+     * @param {Object} req - Express request with req.user
+     * @param {String} roleName - Role to assign
+     * @returns {Boolean}
+     */
+    async canAssignRole(req, roleName) {
+        const [granted, rolePermissions] = await Promise.all([
+            this.getRequestPermissions(req),
+            this.getPermissions(roleName)
+        ]);
+        return rolePermissions.every(permission => granted.includes(permission));
+    }
+
+    /**
+     * Check that a role exists and grants nothing the authenticated user lacks
+     * @param {Object} req - Express request with req.user
+     * @param {String} roleName - Role to assign
+     * @returns {Object|null} { status, error } when the role cannot be assigned, otherwise null
+     */
+    async checkRoleAssignment(req, roleName) {
+        if (!(await this.roleExists(roleName))) {
+            return { status: 400, error: 'Role does not exist' };
+        }
+        if (!(await this.canAssignRole(req, roleName))) {
+            return { status: 403, error: 'You cannot assign a role with permissions you do not have' };
+        }
+        return null;
+    }
+
+    /**
+     * Names of the roles that hold a permission
+     * @param {String} permission - Permission key
+     * @returns {Array<String>} Role names
+     */
+    async getRolesWith(permission) {
+        const saved = await Role.find().select('name permissions').lean();
+        const savedNames = saved.map(role => role.name);
+
+        const defaults = Object.entries(BUILT_IN_ROLES)
+            .filter(([name, role]) => !savedNames.includes(name) && role.permissions.includes(permission))
+            .map(([name]) => name);
+
+        const names = saved
+            .filter(role => role.name === SUPER_ROLE || role.permissions.includes(permission))
+            .map(role => role.name);
+
+        return [...new Set([SUPER_ROLE, ...names, ...defaults])];
+    }
+
+    /**
+     * Check that a role name can be assigned to a user
+     * @param {String} roleName - Role name
+     * @returns {Boolean}
+     */
+    async roleExists(roleName) {
+        if (BUILT_IN_ROLES[roleName]) {
+            return true;
+        }
+        return !!(await Role.exists({ name: roleName }));
+    }
+
+    /**
+     * All roles, with built-in roles that have not been saved yet filled in from their defaults
+     * @returns {Array} Roles sorted with built-in roles first
+     */
+    async listRoles() {
+        const saved = await Role.find().sort({ createdAt: 1 }).lean();
+        const byName = new Map(saved.map(role => [role.name, role]));
+
+        const builtIn = Object.entries(BUILT_IN_ROLES).map(([name, defaults]) => {
+            const role = byName.get(name);
+            return {
+                ...(role || { name, label: defaults.label, description: defaults.description, permissions: defaults.permissions }),
+                isBuiltIn: true,
+                permissions: name === SUPER_ROLE ? PERMISSION_KEYS : (role?.permissions || defaults.permissions)
+            };
+        });
+
+        const custom = saved.filter(role => !BUILT_IN_ROLES[role.name]);
+
+        return [...builtIn, ...custom];
+    }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,148 @@
+const Blog = require('../models/Blog');
+const { clearCacheByPattern } = require('../middleware/cache');
+const logger = require('../utils/logger');
+const { buildTransition } = require('../utils/blogWorkflow');
+
+// Default polling interval: 1 minute
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Background publisher that runs inside the server process
+ * Promotes scheduled blogs once publishAt passes and archives
+ * published blogs once unpublishAt passes
+ */
+class ScheduledPublisher {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start polling for due blogs
+     * @param {Number} intervalMs - Polling interval in milliseconds
+     */
+    start(intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.runOnce().catch(error => {
+                logger.error('Scheduled publisher run failed', { error: error.message });
+            });
+        }, intervalMs);
+
+        // Do not keep the process alive just for the scheduler
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+
+        logger.info('Scheduled publisher started', { intervalMs });
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            logger.info('Scheduled publisher stopped');
+        }
+    }
+
+    /**
+     * Process all blogs that are due at the given time
+     * @param {Date} now - Reference time
+     * @returns {Object} IDs of published and unpublished blogs
+     */
+    async runOnce(now = new Date()) {
+        // Skip if the previous run is still in progress
+        if (this.running) {
+            return { published: [], unpublished: [] };
+        }
+
+        this.running = true;
+        try {
+            const published = await this.publishDue(now);
+            const unpublished = await this.unpublishDue(now);
+
+            if (published.length || unpublished.length) {
+                clearCacheByPattern('/api/blogs');
+            }
+
+            return { published, unpublished };
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Publish scheduled blogs whose publishAt has passed
+     * @param {Date} now - Reference time
+     * @returns {Array} IDs of published blogs
+     */
+    async publishDue(now) {
+        const dueBlogs = await Blog.findDueForPublishing(now).select('_id title publishAt');
+        const published = [];
+
+        for (const blog of dueBlogs) {
+            // Conditional update so a blog edited in the meantime is left alone
+            const updated = await Blog.findOneAndUpdate(
+                { _id: blog._id, status: 'scheduled', publishAt: { $lte: now } },
+                {
+                    status: 'published',
+                    $push: { statusHistory: buildTransition('scheduled', 'published', null, 'Published at scheduled time') }
+                },
+                { new: true }
+            );
+
+            if (updated) {
+                published.push(updated._id);
+                logger.info('Scheduled blog published', {
+                    blogId: updated._id,
+                    title: updated.title,
+                    publishAt: updated.publishAt
+                });
+            }
+        }
+
+        return published;
+    }
+
+    /**
+     * Archive published blogs whose unpublishAt has passed
+     * @param {Date} now - Reference time
+     * @returns {Array} IDs of unpublished blogs
+     */
+    async unpublishDue(now) {
+        const dueBlogs = await Blog.findDueForUnpublishing(now).select('_id title unpublishAt');
+        const unpublished = [];
+
+        for (const blog of dueBlogs) {
+            // Clear unpublishAt so a later manual re-publish is not archived again
+            const updated = await Blog.findOneAndUpdate(
+                { _id: blog._id, status: 'published', unpublishAt: { $lte: now } },
+                {
+                    status: 'archived',
+                    unpublishAt: null,
+                    $push: { statusHistory: buildTransition('published', 'archived', null, 'Unpublished at scheduled time') }
+                },
+                { new: true }
+            );
+
+            if (updated) {
+                unpublished.push(updated._id);
+                logger.info('Scheduled blog unpublished', {
+                    blogId: updated._id,
+                    title: updated.title,
+                    unpublishAt: blog.unpublishAt
+                });
+            }
+        }
+
+        return unpublished;
+    }
+}
+
+module.exports = new ScheduledPublisher();
@@ -0,0 +1,75 @@
+const blogTrashService = require('./blogTrashService');
+const logger = require('../utils/logger');
+
+// Default polling interval: 1 hour
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Background job that runs inside the server process
+ * Permanently deletes blogs that have been in the trash longer than
+ * BLOG_TRASH_RETENTION_DAYS
+ */
+class TrashPurger {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start polling for expired trash
+     * @param {Number} intervalMs - Polling interval in milliseconds
+     */
+    start(intervalMs = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.runOnce().catch(error => {
+                logger.error('Trash purge run failed', { error: error.message });
+            });
+        }, intervalMs);
+
+        // Do not keep the process alive just for the purger
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+
+        logger.info('Trash purger started', {
+            intervalMs,
+            retentionDays: blogTrashService.getRetentionDays()
+        });
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            logger.info('Trash purger stopped');
+        }
+    }
+
+    /**
+     * Purge everything that is past the retention period at the given time
+     * @param {Date} now - Reference time
+     * @returns {Array} IDs of purged blogs
+     */
+    async runOnce(now = new Date()) {
+        // Skip if the previous run is still in progress
+        if (this.running) {
+            return [];
+        }
+
+        this.running = true;
+        try {
+            return await blogTrashService.purgeExpired(now);
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = new TrashPurger();
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const logger = require('../utils/logger');
+
+const BACKUP_CODE_COUNT = 10;
+
+// Fields needed to check codes; all of them are excluded from queries by default
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+class TwoFactorService {
+    /**
+     * Key used to encrypt TOTP secrets at rest
+     * @returns {Buffer} 256-bit key
+     */
+    getEncryptionKey() {
+        const keySource = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+        return crypto.createHash('sha256').update(String(keySource)).digest();
+    }
+
+    /**
+     * Encrypt a TOTP secret with AES-256-GCM
+     * @param {String} secret - Base32 secret
+     * @returns {String} iv:authTag:ciphertext (hex)
+     */
+    encryptSecret(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+    }
+
+    /**
+     * Decrypt a stored TOTP secret
+     * @param {String} payload - Value produced by encryptSecret
+     * @returns {String} Base32 secret
+     */
+    decryptSecret(payload) {
+        const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+        decipher.setAuthTag(authTag);
+
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Roles that must use two-factor authentication (TWO_FACTOR_REQUIRED_ROLES, comma separated)
+     * @returns {Array} Role names
+     */
+    getRequiredRoles() {
+        return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+            .split(',')
+            .map(role => role.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Check whether two-factor authentication is enforced for a role
+     * @param {String} role - User role
+     * @returns {Boolean} Whether 2FA is required
+     */
+    isRequiredForRole(role) {
+        return this.getRequiredRoles().includes(role);
+    }
+
+    /**
+     * Hash a backup code for storage and lookup
+     * @param {String} code - Backup code as shown to the user
+     * @returns {String} SHA-256 hex digest
+     */
+    hashBackupCode(code) {
+        const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    /**
+     * Generate a new set of backup codes
+     * @returns {Object} Plain codes (shown once) and their hashes (stored)
+     */
+    generateBackupCodes() {
+        const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        return {
+            codes,
+            hashes: codes.map(code => this.hashBackupCode(code))
+        };
+    }
+
+    /**
+     * Load a user with the fields needed to check codes
+     * @param {ObjectId} userId - User ID
+     * @param {String} extraFields - Additional fields to select
+     * @returns {Object} User document
+     */
+    async findUserWithSecrets(userId, extraFields = '') {
+        const user = await User.findById(userId).select(`${SECRET_FIELDS} ${extraFields}`.trim());
+
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        return user;
+    }
+
+    /**
+     * Get the two-factor status of a user
+     * @param {ObjectId} userId - User ID
+     * @returns {Object} { enabled, required, enabledAt, backupCodesRemaining }
+     */
+    async getStatus(userId) {
+        const user = await this.findUserWithSecrets(userId);
+
+        return {
+            enabled: !!user.twoFactor?.enabled,
+            required: this.isRequiredForRole(user.role),
+            enabledAt: user.twoFactor?.enabledAt || null,
+            backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0
+        };
+    }
+
+    /**
+     * Start enrollment by creating a pending secret
+     * @param {ObjectId} userId - User ID
+     * @returns {Object} { secret, otpauthUrl, qrCode } for the authenticator app
+     */
+    async startEnrollment(userId) {
+        const user = await this.findUserWithSecrets(userId);
+
+        if (user.twoFactor?.enabled) {
+            throw new Error('Two-factor authentication is already enabled');
+        }
+
+        const secret = totp.generateSecret();
+        user.twoFactor.pendingSecret = this.encryptSecret(secret);
+        await user.save({ validateBeforeSave: false });
+
+        const otpauthUrl = totp.buildOtpauthUri({
+            secret,
+            accountName: user.email,
+            issuer: process.env.TWO_FACTOR_ISSUER || 'RCM Admin'
+        });
+
+        return {
+            secret,
+            otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl)
+        };
+    }
+
+    /**
+     * Finish enrollment with a code from the authenticator app
+     * @param {ObjectId} userId - User ID
+     * @param {String} code - Current TOTP code
+     * @returns {Array} Backup codes, shown to the user once
+     */
+    async confirmEnrollment(userId, code) {
+        const user = await this.findUserWithSecrets(userId);
+
+        if (user.twoFactor?.enabled) {
+            throw new Error('Two-factor authentication is already enabled');
+        }
+
+        if (!user.twoFactor?.pendingSecret) {
+            throw new Error('Two-factor setup has not been started');
+        }
+
+        const step = totp.verifyCode(this.decryptSecret(user.twoFactor.pendingSecret), code);
+        if (step === null) {
+            throw new Error('Invalid verification code');
+        }
+
+        const { codes, hashes } = this.generateBackupCodes();
+
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.backupCodes = hashes;
+        await user.save({ validateBeforeSave: false });
+
+        logger.info('Two-factor authentication enabled', { userId: user._id });
+
+        return codes;
+    }
+
+    /**
+     * Check a TOTP or backup code for a user with 2FA enabled
+     * Each TOTP step and each backup code can only be used once
+     * @param {Object} user - User document loaded with findUserWithSecrets
+     * @param {String} code - TOTP code or backup code
+     * @returns {Boolean} Whether the code was accepted
+     */
+    async verifyCode(user, code) {
+        if (!user.twoFactor?.enabled || !user.twoFactor.secret || !code) {
+            return false;
+        }
+
+        const normalized = String(code).trim();
+
+        if (/^\d{6}$/.test(normalized.replace(/\s/g, ''))) {
+            const step = totp.verifyCode(this.decryptSecret(user.twoFactor.secret), normalized);
+            if (step === null) {
+                return false;
+            }
+
+            // Only move forward in time so the same code cannot be used twice
+            const result = await User.updateOne(
+                {
+                    _id: user._id,
+                    $or: [
+                        { 'twoFactor.lastUsedStep': { $lt: step } },
+                        { 'twoFactor.lastUsedStep': { $exists: false } }
+                    ]
+                },
+                { $set: { 'twoFactor.lastUsedStep': step } }
+            );
+
+            return result.modifiedCount === 1;
+        }
+
+        const hash = this.hashBackupCode(normalized);
+        const result = await User.updateOne(
+            { _id: user._id, 'twoFactor.backupCodes': hash },
+            { $pull: { 'twoFactor.backupCodes': hash } }
+        );
+
+        if (result.modifiedCount === 1) {
+            logger.info('Two-factor backup code used', { userId: user._id });
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Turn off two-factor authentication
+     * @param {ObjectId} userId - User ID
+     * @param {String} password - Current password
+     * @param {String} code - TOTP code or backup code
+     */
+    async disable(userId, password, code) {
+        const user = await this.findUserWithSecrets(userId, '+password');
+
+        if (!user.twoFactor?.enabled) {
+            throw new Error('Two-factor authentication is not enabled');
+        }
+
+        if (this.isRequiredForRole(user.role)) {
+            throw new Error('Two-factor authentication is required for your role');
+        }
+
+        if (!password || !(await user.comparePassword(password))) {
+            throw new Error('Invalid password');
+        }
+
+        if (!(await this.verifyCode(user, code))) {
+            throw new Error('Invalid verification code');
+        }
+
+        await this.reset(user._id);
+
+        logger.info('Two-factor authentication disabled', { userId: user._id });
+    }
+
+    /**
+     * Remove two-factor authentication without checks (admin recovery)
+     * @param {ObjectId} userId - User ID
+     */
+    async reset(userId) {
+        await User.updateOne(
+            { _id: userId },
+            {
+                $set: { 'twoFactor.enabled': false },
+                $unset: {
+                    'twoFactor.secret': 1,
+                    'twoFactor.pendingSecret': 1,
+                    'twoFactor.backupCodes': 1,
+                    'twoFactor.lastUsedStep': 1,
+                    'twoFactor.enabledAt': 1
+                }
+            }
+        );
+    }
+
+    /**
+     * Replace the backup codes of a user
+     * @param {ObjectId} userId - User ID
+     * @param {String} code - Current TOTP code
+     * @returns {Array} New backup codes
+     */
+    async regenerateBackupCodes(userId, code) {
+        const user = await this.findUserWithSecrets(userId);
+
+        if (!user.twoFactor?.enabled) {
+            throw new Error('Two-factor authentication is not enabled');
+        }
+
+        if (!(await this.verifyCode(user, code))) {
+            throw new Error('Invalid verification code');
+        }
+
+        const { codes, hashes } = this.generateBackupCodes();
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.backupCodes': hashes } });
+
+        return codes;
+    }
+}
+
+module.exports = new TwoFactorService();
@@ -4,6 +4,8 @@ const dbConnection = require('../config/database');
 require('dotenv').config();
 
 describe('Blog Model', () => {
+    const categoryId = new mongoose.Types.ObjectId();
+
     beforeAll(async () => {
         await dbConnection.connect();
     });
@@ -24,7 +26,7 @@ describe('Blog Model', () => {
                 content: 'This is a test blog post content with enough words to calculate reading time properly.',
                 excerpt: 'This is a test excerpt',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Technology'
+                category: categoryId
             });
 
             const savedBlog = await validBlog.save();
@@ -32,7 +34,7 @@ describe('Blog Model', () => {
             expect(savedBlog.title).toBe('Test Blog Post');
             expect(savedBlog.content).toBe('This is a test blog post content with enough words to calculate reading time properly.');
             expect(savedBlog.excerpt).toBe('This is a test excerpt');
-            expect(savedBlog.category).toBe('Technology');
+            expect(savedBlog.category).toEqual(categoryId);
             expect(savedBlog.status).toBe('draft'); // default value
             expect(savedBlog.featured).toBe(false); // default value
             expect(savedBlog.viewCount).toBe(0); // default value
@@ -54,7 +56,7 @@ describe('Blog Model', () => {
                 content: 'Valid content',
                 excerpt: 'Valid excerpt',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Technology'
+                category: categoryId
             });
 
             await expect(invalidBlog.save()).rejects.toThrow();
@@ -67,7 +69,7 @@ describe('Blog Model', () => {
                 content: 'Valid content',
                 excerpt: longExcerpt,
                 author: new mongoose.Types.ObjectId(),
-                category: 'Technology'
+                category: categoryId
             });
 
             await expect(invalidBlog.save()).rejects.toThrow();
@@ -82,7 +84,7 @@ describe('Blog Model', () => {
                     content: 'Valid content',
                     excerpt: 'Valid excerpt',
                     author: new mongoose.Types.ObjectId(),
-                    category: 'Technology',
+                    category: categoryId,
                     status: status
                 });
 
@@ -98,7 +100,7 @@ describe('Blog Model', () => {
                 content: 'Valid content',
                 excerpt: 'Valid excerpt',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Technology',
+                category: categoryId,
                 status: 'invalid-status'
             });
 
@@ -113,7 +115,7 @@ describe('Blog Model', () => {
                 content: 'Valid content',
                 excerpt: 'Valid excerpt',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Technology'
+                category: categoryId
             });
 
             const savedBlog = await blog.save();
@@ -132,7 +134,7 @@ describe('Blog Model', () => {
                 content: words,
                 excerpt: 'Valid excerpt',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Technology'
+                category: categoryId
             });
 
             const savedBlog = await blog.save();
@@ -146,7 +148,7 @@ describe('Blog Model', () => {
                 content: 'Short content',
                 excerpt: 'Valid excerpt',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Technology'
+                category: categoryId
             });
 
             let savedBlog = await blog.save();
@@ -166,7 +168,7 @@ describe('Blog Model', () => {
                 content: 'Valid content',
                 excerpt: 'Valid excerpt',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Technology'
+                category: categoryId
             });
 
             let savedBlog = await blog.save();
@@ -191,7 +193,7 @@ describe('Blog Model', () => {
                 content: 'Valid content',
                 excerpt: 'Valid excerpt',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Technology',
+                category: categoryId,
                 likes: [userId1, userId2]
             });
 
@@ -207,7 +209,7 @@ describe('Blog Model', () => {
                 content: 'Valid content',
                 excerpt: 'Valid excerpt',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Technology'
+                category: categoryId
             });
 
             const savedBlog = await blog.save();
@@ -227,7 +229,7 @@ describe('Blog Model', () => {
                 content: 'Valid content',
                 excerpt: 'Valid excerpt',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Technology'
+                category: categoryId
             });
             testBlog = await testBlog.save();
         });
@@ -280,7 +282,7 @@ describe('Blog Model', () => {
                 content: 'Content 1',
                 excerpt: 'Excerpt 1',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Tech',
+                category: categoryId,
                 status: 'published'
             });
 
@@ -289,7 +291,7 @@ describe('Blog Model', () => {
                 content: 'Content 2',
                 excerpt: 'Excerpt 2',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Tech',
+                category: categoryId,
                 status: 'published',
                 featured: true
             });
@@ -299,7 +301,7 @@ describe('Blog Model', () => {
                 content: 'Content 3',
                 excerpt: 'Excerpt 3',
                 author: new mongoose.Types.ObjectId(),
-                category: 'Tech',
+                category: categoryId,
                 status: 'draft'
             });
 
@@ -0,0 +1,157 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const authService = require('../services/authService');
+const s3Service = require('../services/s3Service');
+
+describe('Account settings', () => {
+    let user, token, session;
+
+    const bucketUrl = 'https://bucket.s3.amazonaws.com';
+
+    beforeEach(async () => {
+        user = await User.create({
+            username: 'account_user',
+            email: 'account_user@test.com',
+            password: 'oldpassword',
+            role: 'reader',
+            profile: { firstName: 'Old', lastName: 'Name' }
+        });
+        session = await authService.createSession(user);
+        token = session.token;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('PATCH /api/auth/profile', () => {
+        it('should let any signed-in user update their own profile', async () => {
+            const response = await request(app)
+                .patch('/api/auth/profile')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ profile: { firstName: 'New', bio: 'Writes about billing' } });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.user.profile).toMatchObject({
+                firstName: 'New',
+                lastName: 'Name',
+                bio: 'Writes about billing'
+            });
+
+            const log = await AuditLog.findOne({ action: 'auth.profile_update' });
+            expect(log.targetId.toString()).toBe(user._id.toString());
+        });
+
+        it('should not change role, email or avatar', async () => {
+            const response = await request(app)
+                .patch('/api/auth/profile')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ role: 'admin', profile: { avatar: 'https://evil.example/x.png' } });
+
+            expect(response.status).toBe(400);
+
+            const stored = await User.findById(user._id);
+            expect(stored.role).toBe('reader');
+            expect(stored.profile.avatar).toBe('');
+        });
+
+        it('should require authentication', async () => {
+            const response = await request(app)
+                .patch('/api/auth/profile')
+                .send({ profile: { firstName: 'New' } });
+
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('POST /api/auth/change-password', () => {
+        const changePassword = (data) => request(app)
+            .post('/api/auth/change-password')
+            .set('Authorization', `Bearer ${token}`)
+            .send(data);
+
+        it('should change the password and sign out other devices', async () => {
+            const otherDevice = await authService.createSession(user);
+
+            const response = await changePassword({ currentPassword: 'oldpassword', newPassword: 'newpassword' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.token).toBeDefined();
+
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ identifier: 'account_user@test.com', password: 'newpassword' });
+            expect(login.status).toBe(200);
+
+            const staleAccess = await request(app)
+                .get('/api/auth/profile')
+                .set('Authorization', `Bearer ${otherDevice.token}`);
+            expect(staleAccess.status).toBe(401);
+
+            const staleRefresh = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: otherDevice.refreshToken });
+            expect(staleRefresh.status).toBe(401);
+
+            const currentDevice = await request(app)
+                .get('/api/auth/profile')
+                .set('Authorization', `Bearer ${response.body.data.token}`);
+            expect(currentDevice.status).toBe(200);
+        });
+
+        it('should require the current password', async () => {
+            const response = await changePassword({ currentPassword: 'wrongpassword', newPassword: 'newpassword' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Current password is incorrect');
+
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ identifier: 'account_user@test.com', password: 'oldpassword' });
+            expect(login.status).toBe(200);
+        });
+    });
+
+    describe('POST /api/auth/avatar', () => {
+        it('should upload the avatar through the S3 service', async () => {
+            jest.spyOn(s3Service, 'contractUploadS3').mockResolvedValue({
+                success: true,
+                data: { fileKey: 'avatars/me.png', fileUrl: `${bucketUrl}/avatars/me.png` }
+            });
+
+            const response = await request(app)
+                .post('/api/auth/avatar')
+                .set('Authorization', `Bearer ${token}`)
+                .attach('avatar', Buffer.from('fake-image'), { filename: 'me.png', contentType: 'image/png' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.user.profile.avatar).toBe(`${bucketUrl}/avatars/me.png`);
+            expect(s3Service.contractUploadS3).toHaveBeenCalledWith(expect.objectContaining({ folder: 'avatars' }));
+        });
+
+        it('should reject files that are not images', async () => {
+            const response = await request(app)
+                .post('/api/auth/avatar')
+                .set('Authorization', `Bearer ${token}`)
+                .attach('avatar', Buffer.from('%PDF'), { filename: 'cv.pdf', contentType: 'application/pdf' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Avatar must be a JPEG, PNG, GIF or WebP image');
+        });
+
+        it('should remove the avatar', async () => {
+            await User.updateOne({ _id: user._id }, { 'profile.avatar': `${bucketUrl}/avatars/me.png` });
+            jest.spyOn(s3Service, 'deleteFile').mockResolvedValue({ success: true });
+
+            const response = await request(app)
+                .delete('/api/auth/avatar')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.user.profile.avatar).toBe('');
+            expect(s3Service.deleteFile).toHaveBeenCalledWith('avatars/me.png');
+        });
+    });
+});
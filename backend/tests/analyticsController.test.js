@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const app = require('../server');
 const Blog = require('../models/Blog');
 const User = require('../models/User');
+const Category = require('../models/Category');
 const jwt = require('jsonwebtoken');
 
 describe('Analytics Controller', () => {
@@ -12,6 +13,7 @@ describe('Analytics Controller', () => {
     let adminUser;
     let editorUser;
     let readerUser;
+    let technology, design;
 
     beforeAll(async () => {
         // Connect to test database
@@ -44,6 +46,9 @@ describe('Analytics Controller', () => {
         });
         await readerUser.save();
 
+        technology = await Category.create({ name: 'Technology', createdBy: adminUser._id });
+        design = await Category.create({ name: 'Design', createdBy: adminUser._id });
+
         // Generate tokens
         adminToken = jwt.sign(
             { userId: adminUser._id, role: adminUser.role },
@@ -74,7 +79,7 @@ describe('Analytics Controller', () => {
                 title: 'Tech Blog 1',
                 content: 'Content for tech blog 1',
                 excerpt: 'Excerpt for tech blog 1',
-                category: 'Technology',
+                category: technology._id,
                 author: adminUser._id,
                 status: 'published',
                 viewCount: 100,
@@ -85,7 +90,7 @@ describe('Analytics Controller', () => {
                 title: 'Design Blog 1',
                 content: 'Content for design blog 1',
                 excerpt: 'Excerpt for design blog 1',
-                category: 'Design',
+                category: design._id,
                 author: editorUser._id,
                 status: 'published',
                 viewCount: 200,
@@ -96,7 +101,7 @@ describe('Analytics Controller', () => {
                 title: 'Draft Blog',
                 content: 'Content for draft blog',
                 excerpt: 'Excerpt for draft blog',
-                category: 'Technology',
+                category: technology._id,
                 author: adminUser._id,
                 status: 'draft',
                 viewCount: 50,
@@ -112,6 +117,7 @@ describe('Analytics Controller', () => {
         // Clean up
         await Blog.deleteMany({});
         await User.deleteMany({});
+        await Category.deleteMany({});
         await mongoose.connection.close();
     });
 
@@ -0,0 +1,117 @@
+const apiKeyService = require('../services/apiKeyService');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+
+describe('ApiKeyService', () => {
+    const owner = { _id: 'owner123', username: 'sync-bot', isActive: true };
+
+    // ApiKey.findOne(...).select(...) and User.findById(...).select(...)
+    const mockQuery = (result) => ({
+        select: jest.fn().mockResolvedValue(result)
+    });
+
+    const storedKey = (key, overrides = {}) => ({
+        _id: 'key123',
+        owner: owner._id,
+        scopes: ['blogs:read'],
+        keyHash: ApiKey.hashKey(key),
+        expiresAt: null,
+        revokedAt: null,
+        lastUsedAt: null,
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(owner));
+    });
+
+    describe('generateKey', () => {
+        it('should generate keys whose prefix can be read back', () => {
+            const { key, prefix, keyHash } = ApiKey.generateKey();
+
+            expect(key.startsWith(`rcm_${prefix}_`)).toBe(true);
+            expect(ApiKey.parsePrefix(key)).toBe(prefix);
+            expect(keyHash).toBe(ApiKey.hashKey(key));
+            expect(keyHash).not.toContain(key);
+        });
+
+        it('should reject malformed keys', () => {
+            expect(ApiKey.parsePrefix('not-a-key')).toBeNull();
+            expect(ApiKey.parsePrefix(undefined)).toBeNull();
+        });
+    });
+
+    describe('authenticate', () => {
+        it('should return the key and its owner', async () => {
+            const { key, prefix } = ApiKey.generateKey();
+            const apiKey = storedKey(key);
+            jest.spyOn(ApiKey, 'findOne').mockReturnValue(mockQuery(apiKey));
+
+            const result = await apiKeyService.authenticate(key, '10.0.0.5');
+
+            expect(ApiKey.findOne).toHaveBeenCalledWith({ prefix });
+            expect(result).toEqual({ apiKey, user: owner });
+            expect(ApiKey.updateOne).toHaveBeenCalledWith(
+                { _id: 'key123' },
+                expect.objectContaining({ lastUsedIp: '10.0.0.5' })
+            );
+        });
+
+        it('should reject a key whose secret does not match', async () => {
+            const { key } = ApiKey.generateKey();
+            jest.spyOn(ApiKey, 'findOne').mockReturnValue(mockQuery(storedKey(`${key}x`)));
+
+            await expect(apiKeyService.authenticate(key, '10.0.0.5')).rejects.toThrow('API key not found');
+        });
+
+        it('should reject revoked and expired keys', async () => {
+            const { key } = ApiKey.generateKey();
+
+            jest.spyOn(ApiKey, 'findOne').mockReturnValue(mockQuery(storedKey(key, { revokedAt: new Date() })));
+            await expect(apiKeyService.authenticate(key, '10.0.0.5')).rejects.toThrow('API key has been revoked');
+
+            ApiKey.findOne.mockReturnValue(mockQuery(storedKey(key, { expiresAt: new Date(Date.now() - 1000) })));
+            await expect(apiKeyService.authenticate(key, '10.0.0.5')).rejects.toThrow('API key has expired');
+        });
+
+        it('should reject keys of inactive owners', async () => {
+            const { key } = ApiKey.generateKey();
+            jest.spyOn(ApiKey, 'findOne').mockReturnValue(mockQuery(storedKey(key)));
+            User.findById.mockReturnValue(mockQuery({ ...owner, isActive: false }));
+
+            await expect(apiKeyService.authenticate(key, '10.0.0.5')).rejects.toThrow('Key owner not found or inactive');
+        });
+
+        it('should not record every request of a busy key', async () => {
+            const { key } = ApiKey.generateKey();
+            jest.spyOn(ApiKey, 'findOne').mockReturnValue(mockQuery(storedKey(key, {
+                lastUsedAt: new Date(),
+                lastUsedIp: '10.0.0.5'
+            })));
+
+            await apiKeyService.authenticate(key, '10.0.0.5');
+
+            expect(ApiKey.updateOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('rotate', () => {
+        it('should replace the secret so the old key stops matching', async () => {
+            const { key: oldKey, prefix: oldPrefix, keyHash } = ApiKey.generateKey();
+            const apiKey = { prefix: oldPrefix, keyHash, revokedAt: null, save: jest.fn().mockResolvedValue() };
+
+            const { key } = await apiKeyService.rotate(apiKey);
+
+            expect(apiKey.save).toHaveBeenCalled();
+            expect(apiKey.prefix).not.toBe(oldPrefix);
+            expect(apiKeyService.matches(key, apiKey.keyHash)).toBe(true);
+            expect(apiKeyService.matches(oldKey, apiKey.keyHash)).toBe(false);
+        });
+
+        it('should not rotate revoked keys', async () => {
+            await expect(apiKeyService.rotate({ revokedAt: new Date() })).rejects.toThrow('Revoked keys cannot be rotated');
+        });
+    });
+});
@@ -0,0 +1,226 @@
+const request = require('supertest');
+const app = require('../server');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const authService = require('../services/authService');
+
+describe('API keys', () => {
+    let adminUser, editorUser, adminToken, editorToken;
+
+    const createUser = (username, role) => User.create({
+        username,
+        email: `${username}@test.com`,
+        password: 'password123',
+        role
+    });
+
+    const tokenFor = async (user) => (await authService.createSession(user)).token;
+
+    const createKey = (data = {}) => request(app)
+        .post('/api/api-keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Marketing site', scopes: ['blogs:read', 'blogs:write'], ...data });
+
+    const blogData = {
+        title: 'Synced Blog',
+        content: '<p>Content</p>',
+        excerpt: 'Excerpt',
+        category: 'Billing'
+    };
+
+    beforeEach(async () => {
+        adminUser = await createUser('key_admin', 'admin');
+        editorUser = await createUser('key_editor', 'editor');
+        adminToken = await tokenFor(adminUser);
+        editorToken = await tokenFor(editorUser);
+
+        await Category.create({ name: 'Billing', createdBy: adminUser._id });
+    });
+
+    describe('POST /api/api-keys', () => {
+        it('should reveal the key once and store only its hash', async () => {
+            const response = await createKey();
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.key).toMatch(/^rcm_[a-f0-9]{12}_/);
+            expect(response.body.data.keyHash).toBeUndefined();
+            expect(response.body.data.owner.username).toBe('key_admin');
+
+            const stored = await ApiKey.findById(response.body.data._id).select('+keyHash');
+            expect(stored.keyHash).toBe(ApiKey.hashKey(response.body.data.key));
+
+            const list = await request(app)
+                .get('/api/api-keys')
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(list.body.data.keys[0].key).toBeUndefined();
+            expect(list.body.data.scopes.map(scope => scope.key)).toEqual(['blogs:read', 'blogs:write', 'media:write']);
+        });
+
+        it('should reject unknown scopes and past expiry dates', async () => {
+            const unknownScope = await createKey({ scopes: ['users:write'] });
+            expect(unknownScope.status).toBe(400);
+
+            const expired = await createKey({ expiresAt: '2020-01-01' });
+            expect(expired.status).toBe(400);
+        });
+
+        it('should require the apikey.manage permission', async () => {
+            const response = await request(app)
+                .post('/api/api-keys')
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ name: 'Sneaky', scopes: ['blogs:write'] });
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('X-API-Key authentication', () => {
+        it('should act as the key owner on routes of its scopes', async () => {
+            const { body } = await createKey({ owner: editorUser._id.toString() });
+
+            const response = await request(app)
+                .post('/api/blogs')
+                .set('X-API-Key', body.data.key)
+                .send(blogData);
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.author._id || response.body.data.author).toBe(editorUser._id.toString());
+
+            const stored = await ApiKey.findById(body.data._id);
+            expect(stored.lastUsedAt).not.toBeNull();
+        });
+
+        it('should reject routes outside the key scopes', async () => {
+            const { body } = await createKey({ scopes: ['blogs:read'] });
+
+            const response = await request(app)
+                .post('/api/blogs')
+                .set('X-API-Key', body.data.key)
+                .send(blogData);
+
+            expect(response.status).toBe(403);
+            expect(response.body.details).toBe('Required scope: blogs:write');
+        });
+
+        it('should not accept keys on account or admin routes', async () => {
+            const { body } = await createKey();
+
+            const profile = await request(app)
+                .get('/api/auth/profile')
+                .set('X-API-Key', body.data.key);
+            expect(profile.status).toBe(401);
+
+            const keys = await request(app)
+                .get('/api/api-keys')
+                .set('X-API-Key', body.data.key);
+            expect(keys.status).toBe(401);
+        });
+
+        it('should record the key on audit entries', async () => {
+            const { body } = await createKey();
+
+            await request(app)
+                .post('/api/blogs')
+                .set('X-API-Key', body.data.key)
+                .send(blogData);
+
+            await new Promise(resolve => setTimeout(resolve, 50));
+            const entry = await AuditLog.findOne({ action: 'blog.create' });
+            expect(entry.apiKey.toString()).toBe(body.data._id);
+        });
+    });
+
+    describe('rotate and revoke', () => {
+        it('should stop the old key working after a rotation', async () => {
+            const { body } = await createKey();
+
+            const rotated = await request(app)
+                .post(`/api/api-keys/${body.data._id}/rotate`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(rotated.status).toBe(200);
+            expect(rotated.body.data.key).not.toBe(body.data.key);
+
+            const oldKey = await request(app)
+                .post('/api/blogs')
+                .set('X-API-Key', body.data.key)
+                .send(blogData);
+            expect(oldKey.status).toBe(401);
+
+            const newKey = await request(app)
+                .post('/api/blogs')
+                .set('X-API-Key', rotated.body.data.key)
+                .send(blogData);
+            expect(newKey.status).toBe(201);
+        });
+
+        it('should reject revoked keys and keep them listed', async () => {
+            const { body } = await createKey();
+
+            const revoked = await request(app)
+                .delete(`/api/api-keys/${body.data._id}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(revoked.status).toBe(200);
+            expect(revoked.body.data.status).toBe('revoked');
+
+            const response = await request(app)
+                .post('/api/blogs')
+                .set('X-API-Key', body.data.key)
+                .send(blogData);
+            expect(response.status).toBe(401);
+            expect(response.body.details).toBe('API key has been revoked');
+
+            const rotate = await request(app)
+                .post(`/api/api-keys/${body.data._id}/rotate`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(rotate.status).toBe(400);
+        });
+    });
+
+    describe('key owners', () => {
+        let integratorToken;
+
+        beforeEach(async () => {
+            await Role.create({ name: 'integrator', label: 'Integrator', permissions: ['apikey.manage', 'blog.create'] });
+            integratorToken = await tokenFor(await createUser('key_integrator', 'integrator'));
+        });
+
+        it('should not create keys owned by users with more permissions', async () => {
+            const forAdmin = await request(app)
+                .post('/api/api-keys')
+                .set('Authorization', `Bearer ${integratorToken}`)
+                .send({ name: 'Escalation', scopes: ['blogs:write'], owner: adminUser._id });
+            expect(forAdmin.status).toBe(403);
+            expect(await ApiKey.countDocuments()).toBe(0);
+
+            const own = await request(app)
+                .post('/api/api-keys')
+                .set('Authorization', `Bearer ${integratorToken}`)
+                .send({ name: 'Own key', scopes: ['blogs:write'] });
+            expect(own.status).toBe(201);
+            expect(own.body.data.owner.username).toBe('key_integrator');
+        });
+
+        it('should not rotate or revoke keys of users with more permissions', async () => {
+            const { body } = await createKey();
+
+            const rotated = await request(app)
+                .post(`/api/api-keys/${body.data._id}/rotate`)
+                .set('Authorization', `Bearer ${integratorToken}`);
+            expect(rotated.status).toBe(403);
+            expect(rotated.body.data).toBeUndefined();
+
+            const revoked = await request(app)
+                .delete(`/api/api-keys/${body.data._id}`)
+                .set('Authorization', `Bearer ${integratorToken}`);
+            expect(revoked.status).toBe(403);
+
+            const stored = await ApiKey.findById(body.data._id);
+            expect(stored.revokedAt).toBeFalsy();
+        });
+    });
+});
@@ -0,0 +1,222 @@
+const request = require('supertest');
+const app = require('../server');
+const AuditLog = require('../models/AuditLog');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const authService = require('../services/authService');
+
+describe('Audit Log', () => {
+    let adminUser, editorUser, adminToken, editorToken;
+
+    // Entries are written once the response has been sent
+    const waitForEntries = async (filter, count = 1) => {
+        for (let i = 0; i < 50; i++) {
+            const entries = await AuditLog.find(filter).sort({ createdAt: 1 });
+            if (entries.length >= count) {
+                return entries;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return AuditLog.find(filter);
+    };
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'audit_admin',
+            email: 'audit_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        editorUser = await User.create({
+            username: 'audit_editor',
+            email: 'audit_editor@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+        ({ token: adminToken } = await authService.createSession(adminUser));
+        ({ token: editorToken } = await authService.createSession(editorUser));
+    });
+
+    describe('recording', () => {
+        it('should record a blog deletion with the state before it', async () => {
+            const billing = await Category.create({ name: 'Billing', createdBy: adminUser._id });
+            const blog = await Blog.create({
+                title: 'Audited Blog',
+                content: '<p>Content</p>',
+                excerpt: 'Excerpt',
+                category: billing._id,
+                author: editorUser._id
+            });
+
+            const response = await request(app)
+                .delete(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .set('X-Request-Id', 'audit-test-request');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['x-request-id']).toBe('audit-test-request');
+
+            const [entry] = await waitForEntries({ action: 'blog.delete' });
+            expect(entry.actor.toString()).toBe(adminUser._id.toString());
+            expect(entry.actorUsername).toBe('audit_admin');
+            expect(entry.targetType).toBe('Blog');
+            expect(entry.targetId).toBe(blog._id.toString());
+            expect(entry.targetLabel).toBe('Audited Blog');
+            expect(entry.changes.before.title).toBe('Audited Blog');
+            expect(entry.changes.after).toBeNull();
+            expect(entry.method).toBe('DELETE');
+            expect(entry.requestId).toBe('audit-test-request');
+            expect(entry.ipAddress).toBeDefined();
+        });
+
+        it('should record only the changed fields of a user role change', async () => {
+            const response = await request(app)
+                .put(`/api/users/${editorUser._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'admin' });
+
+            expect(response.status).toBe(200);
+
+            const [entry] = await waitForEntries({ action: 'user.update' });
+            expect(entry.targetId).toBe(editorUser._id.toString());
+            expect(entry.changes.before).toEqual({ role: 'editor' });
+            expect(entry.changes.after).toEqual({ role: 'admin' });
+        });
+
+        it('should record category creation and deletion', async () => {
+            const created = await request(app)
+                .post('/api/categories')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Audit Category' });
+
+            expect(created.status).toBe(201);
+            const categoryId = created.body.data._id;
+
+            await request(app)
+                .delete(`/api/categories/${categoryId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            const [createEntry] = await waitForEntries({ action: 'category.create' });
+            expect(createEntry.targetId).toBe(categoryId);
+            expect(createEntry.changes.before).toBeNull();
+            expect(createEntry.changes.after.name).toBe('Audit Category');
+
+            const [deleteEntry] = await waitForEntries({ action: 'category.delete' });
+            expect(deleteEntry.changes.before.name).toBe('Audit Category');
+            expect(await Category.findById(categoryId)).toBeNull();
+        });
+
+        it('should not record failed requests', async () => {
+            await request(app)
+                .delete('/api/blogs/507f1f77bcf86cd799439011')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(404);
+
+            await new Promise(resolve => setTimeout(resolve, 100));
+            expect(await AuditLog.countDocuments({ action: 'blog.delete' })).toBe(0);
+        });
+    });
+
+    describe('GET /api/audit', () => {
+        beforeEach(async () => {
+            await AuditLog.create([
+                {
+                    actor: adminUser._id,
+                    actorUsername: 'audit_admin',
+                    action: 'blog.delete',
+                    targetType: 'Blog',
+                    targetId: 'blog-1',
+                    createdAt: new Date('2024-01-10T10:00:00Z')
+                },
+                {
+                    actor: editorUser._id,
+                    actorUsername: 'audit_editor',
+                    action: 'comment.moderate',
+                    targetType: 'Comment',
+                    targetId: 'comment-1',
+                    createdAt: new Date('2024-02-10T10:00:00Z')
+                },
+                {
+                    actor: adminUser._id,
+                    actorUsername: 'audit_admin',
+                    action: 'user.update',
+                    targetType: 'User',
+                    targetId: 'user-1',
+                    createdAt: new Date('2024-03-10T10:00:00Z')
+                }
+            ]);
+        });
+
+        const getAudit = (query = {}, token = adminToken) => request(app)
+            .get('/api/audit')
+            .query(query)
+            .set('Authorization', `Bearer ${token}`);
+
+        it('should list entries newest first', async () => {
+            const response = await getAudit();
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(entry => entry.action)).toEqual(['user.update', 'comment.moderate', 'blog.delete']);
+            expect(response.body.pagination.total).toBe(3);
+        });
+
+        it('should filter by actor id or username', async () => {
+            const byId = await getAudit({ actor: editorUser._id.toString() });
+            expect(byId.body.data).toHaveLength(1);
+            expect(byId.body.data[0].action).toBe('comment.moderate');
+
+            const byName = await getAudit({ actor: 'AUDIT_ADMIN' });
+            expect(byName.body.data).toHaveLength(2);
+        });
+
+        it('should filter by target type and action prefix', async () => {
+            const byType = await getAudit({ targetType: 'User' });
+            expect(byType.body.data).toHaveLength(1);
+
+            const byAction = await getAudit({ action: 'blog' });
+            expect(byAction.body.data).toHaveLength(1);
+            expect(byAction.body.data[0].action).toBe('blog.delete');
+        });
+
+        it('should filter by date range including the whole end day', async () => {
+            const response = await getAudit({ from: '2024-02-01', to: '2024-03-10' });
+
+            expect(response.body.data.map(entry => entry.action)).toEqual(['user.update', 'comment.moderate']);
+        });
+
+        it('should reject invalid dates', async () => {
+            const response = await getAudit({ from: 'not-a-date' });
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should require the admin role', async () => {
+            const response = await getAudit({}, editorToken);
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('immutability', () => {
+        it('should reject updates and deletes of entries', async () => {
+            const entry = await AuditLog.create({
+                actor: adminUser._id,
+                action: 'blog.delete',
+                targetType: 'Blog'
+            });
+
+            await expect(AuditLog.updateOne({ _id: entry._id }, { action: 'blog.create' }))
+                .rejects.toThrow('Audit log entries cannot be modified');
+            await expect(AuditLog.deleteOne({ _id: entry._id }))
+                .rejects.toThrow('Audit log entries cannot be modified');
+
+            entry.action = 'blog.create';
+            await expect(entry.save()).rejects.toThrow('Audit log entries cannot be modified');
+
+            const stored = await AuditLog.findById(entry._id);
+            expect(stored.action).toBe('blog.delete');
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const auditService = require('../services/auditService');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+jest.mock('../models/AuditLog');
+
+describe('AuditService', () => {
+    const req = {
+        user: { _id: '507f1f77bcf86cd799439011', username: 'audit_admin', role: 'admin' },
+        method: 'PUT',
+        originalUrl: '/api/users/507f1f77bcf86cd799439012',
+        ip: '10.0.0.1',
+        id: 'request-1',
+        get: () => 'jest'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        AuditLog.create.mockImplementation(async (entry) => entry);
+    });
+
+    describe('summarize', () => {
+        it('should keep only the audited fields of the target type', () => {
+            const summary = auditService.summarize('User', {
+                username: 'jane',
+                email: 'jane@test.com',
+                role: 'editor',
+                password: 'hashed',
+                twoFactor: { enabled: true, secret: 'secret' }
+            });
+
+            expect(summary).toEqual({
+                username: 'jane',
+                email: 'jane@test.com',
+                role: 'editor',
+                'twoFactor.enabled': true
+            });
+        });
+
+        it('should convert dates and populated refs to plain values', () => {
+            const publishAt = new Date('2024-01-02T03:04:05.000Z');
+            const unpublishAt = new Date('2024-02-02T03:04:05.000Z');
+            const summary = auditService.summarize('Blog', {
+                title: 'Post',
+                author: { _id: 'abc123', username: 'jane' },
+                publishAt,
+                unpublishAt
+            });
+
+            expect(summary).toEqual({
+                title: 'Post',
+                author: 'abc123',
+                publishAt: publishAt.toISOString(),
+                unpublishAt: unpublishAt.toISOString()
+            });
+        });
+
+        it('should return null for unknown types or missing documents', () => {
+            expect(auditService.summarize('Unknown', { title: 'x' })).toBeNull();
+            expect(auditService.summarize('Blog', null)).toBeNull();
+        });
+    });
+
+    describe('diff', () => {
+        it('should keep only the changed fields', () => {
+            const result = auditService.diff(
+                { username: 'jane', role: 'editor', isActive: true },
+                { username: 'jane', role: 'admin', isActive: true }
+            );
+
+            expect(result).toEqual({ before: { role: 'editor' }, after: { role: 'admin' } });
+        });
+
+        it('should report added and removed fields as null on the other side', () => {
+            const result = auditService.diff({ lockUntil: '2024-01-01T00:00:00.000Z' }, {});
+
+            expect(result).toEqual({ before: { lockUntil: '2024-01-01T00:00:00.000Z' }, after: { lockUntil: null } });
+        });
+
+        it('should keep the whole summary for creations and deletions', () => {
+            expect(auditService.diff(null, { name: 'News' })).toEqual({ before: null, after: { name: 'News' } });
+            expect(auditService.diff({ name: 'News' }, null)).toEqual({ before: { name: 'News' }, after: null });
+        });
+    });
+
+    describe('record', () => {
+        it('should store the actor, request details and changes', async () => {
+            const entry = await auditService.record({
+                req,
+                action: 'user.update',
+                targetType: 'User',
+                targetId: '507f1f77bcf86cd799439012',
+                before: { username: 'jane', role: 'editor' },
+                after: { username: 'jane', role: 'admin' },
+                statusCode: 200
+            });
+
+            expect(entry).toEqual(expect.objectContaining({
+                actor: req.user._id,
+                actorUsername: 'audit_admin',
+                actorRole: 'admin',
+                action: 'user.update',
+                targetId: '507f1f77bcf86cd799439012',
+                targetLabel: 'jane',
+                changes: { before: { role: 'editor' }, after: { role: 'admin' } },
+                method: 'PUT',
+                ipAddress: '10.0.0.1',
+                userAgent: 'jest',
+                requestId: 'request-1'
+            }));
+        });
+
+        it('should skip requests without an authenticated user', async () => {
+            const entry = await auditService.record({ req: { ...req, user: null }, action: 'blog.delete', targetType: 'Blog' });
+
+            expect(entry).toBeNull();
+            expect(AuditLog.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recordSafely', () => {
+        it('should log write failures instead of throwing', async () => {
+            AuditLog.create.mockRejectedValue(new Error('write failed'));
+            jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+            await expect(auditService.recordSafely({ req, action: 'blog.delete', targetType: 'Blog' })).resolves.toBeUndefined();
+            expect(logger.error).toHaveBeenCalledWith('Failed to write audit log entry', expect.objectContaining({
+                action: 'blog.delete',
+                requestId: 'request-1'
+            }));
+        });
+    });
+});
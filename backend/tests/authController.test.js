@@ -18,6 +18,7 @@ const mockAuthMiddleware = (req, res, next) => {
         email: 'test@example.com',
         role: 'reader'
     };
+    req.sessionId = 'session123';
     next();
 };
 
@@ -25,8 +26,11 @@ const mockAuthMiddleware = (req, res, next) => {
 app.post('/register', authController.register);
 app.post('/login', authController.login);
 app.post('/refresh', authController.refreshToken);
+app.post('/forgot-password', authController.forgotPassword);
+app.post('/reset-password', authController.resetPassword);
 app.get('/profile', mockAuthMiddleware, authController.getProfile);
 app.post('/logout', mockAuthMiddleware, authController.logout);
+app.post('/logout-all', mockAuthMiddleware, authController.logoutAll);
 
 describe('Auth Controller', () => {
     beforeEach(() => {
@@ -63,7 +67,7 @@ describe('Auth Controller', () => {
             expect(response.body.success).toBe(true);
             expect(response.body.message).toBe('User registered successfully');
             expect(response.body.data).toEqual(mockResult);
-            expect(authService.register).toHaveBeenCalledWith(userData);
+            expect(authService.register).toHaveBeenCalledWith(userData, expect.objectContaining({ ipAddress: expect.any(String) }));
         });
 
         it('should return 400 for invalid input', async () => {
@@ -82,6 +86,22 @@ describe('Auth Controller', () => {
             expect(response.body.error).toBe('Validation error');
         });
 
+        it('should not let users register with a privileged role', async () => {
+            for (const role of ['admin', 'editor', 'reviewer']) {
+                const response = await request(app)
+                    .post('/register')
+                    .send({
+                        username: 'testuser',
+                        email: 'test@example.com',
+                        password: 'password123',
+                        role
+                    });
+
+                expect(response.status).toBe(400);
+            }
+            expect(authService.register).not.toHaveBeenCalled();
+        });
+
         it('should return 409 for existing user', async () => {
             const userData = {
                 username: 'testuser',
@@ -131,7 +151,11 @@ describe('Auth Controller', () => {
             expect(response.body.success).toBe(true);
             expect(response.body.message).toBe('Login successful');
             expect(response.body.data).toEqual(mockResult);
-            expect(authService.login).toHaveBeenCalledWith(loginData.identifier, loginData.password);
+            expect(authService.login).toHaveBeenCalledWith(
+                loginData.identifier,
+                loginData.password,
+                expect.objectContaining({ ipAddress: expect.any(String) })
+            );
         });
 
         it('should return 400 for missing credentials', async () => {
@@ -177,6 +201,20 @@ describe('Auth Controller', () => {
             expect(response.body.success).toBe(false);
             expect(response.body.error).toBe('Account is deactivated');
         });
+
+        it('should return 429 with Retry-After for a locked account', async () => {
+            const lockError = new Error('Account is temporarily locked due to too many failed login attempts');
+            lockError.retryAfter = 600;
+            authService.login.mockRejectedValue(lockError);
+
+            const response = await request(app)
+                .post('/login')
+                .send({ identifier: 'test@example.com', password: 'password123' });
+
+            expect(response.status).toBe(429);
+            expect(response.headers['retry-after']).toBe('600');
+            expect(response.body.retryAfter).toBe(600);
+        });
     });
 
     describe('POST /refresh', () => {
@@ -200,7 +238,7 @@ describe('Auth Controller', () => {
             expect(response.body.success).toBe(true);
             expect(response.body.message).toBe('Token refreshed successfully');
             expect(response.body.data).toEqual(mockResult);
-            expect(authService.refreshToken).toHaveBeenCalledWith(refreshData.refreshToken);
+            expect(authService.refreshToken).toHaveBeenCalledWith(refreshData.refreshToken, expect.any(Object));
         });
 
         it('should return 400 for missing refresh token', async () => {
@@ -232,6 +270,8 @@ describe('Auth Controller', () => {
 
     describe('GET /profile', () => {
         it('should return user profile successfully', async () => {
+            authService.toUserResponse.mockImplementation(async (user) => ({ ...user, permissions: [] }));
+
             const response = await request(app)
                 .get('/profile');
 
@@ -240,6 +280,7 @@ describe('Auth Controller', () => {
             expect(response.body.message).toBe('Profile retrieved successfully');
             expect(response.body.data.user).toBeDefined();
             expect(response.body.data.user._id).toBe('user123');
+            expect(response.body.data.user.permissions).toEqual([]);
         });
     });
 
@@ -251,6 +292,90 @@ describe('Auth Controller', () => {
             expect(response.status).toBe(200);
             expect(response.body.success).toBe(true);
             expect(response.body.message).toBe('Logout successful');
+            expect(authService.revokeSession).toHaveBeenCalledWith('user123', 'session123', 'logout');
+        });
+
+        it('should also revoke the refresh token sent by the client', async () => {
+            const response = await request(app)
+                .post('/logout')
+                .send({ refreshToken: 'refresh-token' });
+
+            expect(response.status).toBe(200);
+            expect(authService.revokeRefreshToken).toHaveBeenCalledWith('user123', 'refresh-token');
+        });
+    });
+
+    describe('POST /logout-all', () => {
+        it('should revoke every session of the user', async () => {
+            authService.revokeAllSessions.mockResolvedValue(3);
+
+            const response = await request(app)
+                .post('/logout-all');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.revokedSessions).toBe(3);
+            expect(authService.revokeAllSessions).toHaveBeenCalledWith('user123', 'logout_all');
+        });
+    });
+
+    describe('POST /forgot-password', () => {
+        it('should request a reset link for the admin login page', async () => {
+            authService.requestPasswordReset.mockResolvedValue();
+
+            const response = await request(app)
+                .post('/forgot-password')
+                .send({ email: 'test@example.com' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.success).toBe(true);
+            expect(authService.requestPasswordReset).toHaveBeenCalledWith(
+                'test@example.com',
+                expect.stringMatching(/\/login$/)
+            );
+        });
+
+        it('should return validation error for missing email', async () => {
+            const response = await request(app)
+                .post('/forgot-password')
+                .send({});
+
+            expect(response.status).toBe(400);
+            expect(authService.requestPasswordReset).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /reset-password', () => {
+        const token = 'a'.repeat(64);
+
+        it('should reset password successfully', async () => {
+            authService.resetPassword.mockResolvedValue({ _id: 'user123' });
+
+            const response = await request(app)
+                .post('/reset-password')
+                .send({ token, password: 'newpassword' });
+
+            expect(response.status).toBe(200);
+            expect(authService.resetPassword).toHaveBeenCalledWith(token, 'newpassword');
+        });
+
+        it('should return 400 for invalid or expired token', async () => {
+            authService.resetPassword.mockRejectedValue(new Error('Password reset token is invalid or has expired'));
+
+            const response = await request(app)
+                .post('/reset-password')
+                .send({ token, password: 'newpassword' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Password reset token is invalid or has expired');
+        });
+
+        it('should return validation error for short password', async () => {
+            const response = await request(app)
+                .post('/reset-password')
+                .send({ token, password: '123' });
+
+            expect(response.status).toBe(400);
+            expect(authService.resetPassword).not.toHaveBeenCalled();
         });
     });
 });
\ No newline at end of file
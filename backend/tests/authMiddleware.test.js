@@ -1,8 +1,11 @@
 const authMiddleware = require('../middleware/auth');
 const authService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
+const { apiKeyOrToken } = require('../middleware/auth');
 
 // Mock authService
 jest.mock('../services/authService');
+jest.mock('../services/apiKeyService');
 
 describe('Auth Middleware', () => {
     let req, res, next;
@@ -109,4 +112,80 @@ describe('Auth Middleware', () => {
             expect(next).not.toHaveBeenCalled();
         });
     });
-});
\ No newline at end of file
+
+    describe('apiKeyOrToken', () => {
+        const mockOwner = { _id: 'owner123', username: 'sync-bot', role: 'editor' };
+        const headers = (values) => (name) => values[name];
+
+        beforeEach(() => {
+            req.ip = '10.0.0.5';
+        });
+
+        it('should authenticate as the key owner when the key has the scope', async () => {
+            const apiKey = { _id: 'key123', scopes: ['blogs:read', 'blogs:write'] };
+            req.header.mockImplementation(headers({ 'X-API-Key': 'rcm_abc_secret' }));
+            apiKeyService.authenticate.mockResolvedValue({ apiKey, user: mockOwner });
+
+            await apiKeyOrToken('blogs:write')(req, res, next);
+
+            expect(apiKeyService.authenticate).toHaveBeenCalledWith('rcm_abc_secret', '10.0.0.5');
+            expect(req.user).toEqual(mockOwner);
+            expect(req.apiKey).toEqual(apiKey);
+            expect(next).toHaveBeenCalled();
+        });
+
+        it('should return 403 when the key lacks the scope', async () => {
+            req.header.mockImplementation(headers({ 'X-API-Key': 'rcm_abc_secret' }));
+            apiKeyService.authenticate.mockResolvedValue({ apiKey: { scopes: ['blogs:read'] }, user: mockOwner });
+
+            await apiKeyOrToken('media:write')(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                error: 'Access denied. API key is missing a required scope.',
+                details: 'Required scope: media:write'
+            });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should return 401 for revoked or unknown keys', async () => {
+            req.header.mockImplementation(headers({ 'X-API-Key': 'rcm_abc_secret' }));
+            apiKeyService.authenticate.mockRejectedValue(new Error('API key has been revoked'));
+
+            await apiKeyOrToken('blogs:read')(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                error: 'Access denied. Invalid API key.',
+                details: 'API key has been revoked'
+            });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should fall back to the user token without an API key', async () => {
+            req.header.mockImplementation(headers({ Authorization: 'Bearer valid-token' }));
+            authService.getUserByToken.mockResolvedValue(mockOwner);
+
+            await apiKeyOrToken('blogs:write')(req, res, next);
+
+            expect(apiKeyService.authenticate).not.toHaveBeenCalled();
+            expect(req.user).toEqual(mockOwner);
+            expect(next).toHaveBeenCalled();
+        });
+
+        it('should not accept API keys on routes without a scope', async () => {
+            req.header.mockImplementation(headers({ 'X-API-Key': 'rcm_abc_secret' }));
+
+            await authMiddleware(req, res, next);
+
+            expect(apiKeyService.authenticate).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                error: 'Access denied. API keys cannot access this endpoint.'
+            });
+        });
+    });
+});
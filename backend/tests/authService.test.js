@@ -1,16 +1,25 @@
 const authService = require('../services/authService');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const permissionService = require('../services/permissionService');
+const s3Service = require('../services/s3Service');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 
-// Mock User model
+// Mock User and RefreshToken models
 jest.mock('../models/User');
+jest.mock('../models/RefreshToken');
+jest.mock('../services/permissionService');
+jest.mock('../services/s3Service');
 
 describe('AuthService', () => {
     beforeEach(() => {
         jest.clearAllMocks();
         process.env.JWT_SECRET = 'test-secret';
         process.env.JWT_EXPIRES_IN = '7d';
+        RefreshToken.hashToken.mockImplementation(token => `hash-${token}`);
+        RefreshToken.create.mockImplementation(async (doc) => ({ _id: 'token123', ...doc }));
+        permissionService.getPermissions.mockResolvedValue([]);
     });
 
     describe('generateToken', () => {
@@ -32,15 +41,33 @@ describe('AuthService', () => {
         });
     });
 
-    describe('generateRefreshToken', () => {
-        it('should generate a valid refresh token', () => {
+    describe('issueRefreshToken', () => {
+        it('should store only the hash of an opaque refresh token', async () => {
             const user = { _id: 'user123' };
 
-            const refreshToken = authService.generateRefreshToken(user);
-            const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+            const { refreshToken, record } = await authService.issueRefreshToken(user, {
+                userAgent: 'Mozilla/5.0',
+                ipAddress: '127.0.0.1'
+            });
 
-            expect(decoded.id).toBe(user._id);
-            expect(decoded.type).toBe('refresh');
+            expect(refreshToken).toMatch(/^[a-f0-9]{80}$/);
+            expect(record.tokenHash).toBe(`hash-${refreshToken}`);
+            expect(record.user).toBe('user123');
+            expect(record.userAgent).toBe('Mozilla/5.0');
+            expect(record.family).toBeDefined();
+            expect(record.expiresAt.getTime()).toBeGreaterThan(Date.now());
+        });
+
+        it('should keep the session when rotating', async () => {
+            const startedAt = new Date('2024-01-01');
+
+            const { record } = await authService.issueRefreshToken({ _id: 'user123' }, {}, {
+                family: 'session123',
+                sessionStartedAt: startedAt
+            });
+
+            expect(record.family).toBe('session123');
+            expect(record.sessionStartedAt).toBe(startedAt);
         });
     });
 
@@ -143,6 +170,8 @@ describe('AuthService', () => {
             expect(result.token).toBeDefined();
             expect(result.refreshToken).toBeDefined();
             expect(result.user.password).toBeUndefined();
+            expect(result.user.permissions).toEqual([]);
+            expect(permissionService.getPermissions).toHaveBeenCalledWith('reader');
         });
 
         it('should throw error if user already exists', async () => {
@@ -232,56 +261,94 @@ describe('AuthService', () => {
                 'Invalid credentials'
             );
         });
+
+        it('should return a challenge instead of tokens when 2FA is enabled', async () => {
+            const hashedPassword = await bcrypt.hash('password123', 12);
+            User.findByEmailOrUsername = jest.fn().mockResolvedValue({
+                _id: 'user123',
+                password: hashedPassword,
+                role: 'editor',
+                isActive: true,
+                twoFactor: { enabled: true }
+            });
+
+            const result = await authService.login('test@example.com', 'password123');
+
+            expect(result.twoFactorRequired).toBe(true);
+            expect(result.token).toBeUndefined();
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+
+            const decoded = jwt.verify(result.challengeToken, process.env.JWT_SECRET);
+            expect(decoded.type).toBe('2fa_challenge');
+            expect(decoded.purpose).toBe('verify');
+        });
     });
 
     describe('refreshToken', () => {
-        it('should refresh token successfully', async () => {
-            const userId = 'user123';
-            const refreshToken = jwt.sign(
-                { id: userId, type: 'refresh' },
-                process.env.JWT_SECRET,
-                { expiresIn: '30d' }
-            );
-
-            const mockUser = {
-                _id: userId,
-                username: 'testuser',
-                email: 'test@example.com',
-                role: 'reader',
-                isActive: true
-            };
+        const mockUser = {
+            _id: 'user123',
+            username: 'testuser',
+            email: 'test@example.com',
+            role: 'reader',
+            isActive: true
+        };
+
+        const activeRecord = () => ({
+            _id: 'token1',
+            user: 'user123',
+            family: 'session123',
+            sessionStartedAt: new Date(),
+            revokedAt: null,
+            expiresAt: new Date(Date.now() + 60000)
+        });
 
+        it('should rotate the refresh token', async () => {
+            RefreshToken.findOne.mockResolvedValue(activeRecord());
+            RefreshToken.findOneAndUpdate.mockResolvedValue(activeRecord());
             User.findById.mockResolvedValue(mockUser);
 
-            const result = await authService.refreshToken(refreshToken);
+            const result = await authService.refreshToken('old-token');
 
-            expect(User.findById).toHaveBeenCalledWith(userId);
-            expect(result.token).toBeDefined();
-            expect(result.refreshToken).toBeDefined();
+            expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: 'hash-old-token' });
+            expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'token1', revokedAt: null },
+                expect.objectContaining({ revokedReason: 'rotated' })
+            );
+            expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ family: 'session123' }));
+            expect(RefreshToken.updateOne).toHaveBeenCalledWith({ _id: 'token1' }, { replacedBy: 'token123' });
+            expect(jwt.decode(result.token).sid).toBe('session123');
+            expect(result.refreshToken).not.toBe('old-token');
         });
 
-        it('should throw error for invalid refresh token type', async () => {
-            const accessToken = jwt.sign(
-                { id: 'user123', type: 'access' },
-                process.env.JWT_SECRET
-            );
+        it('should revoke the session when a rotated token is reused', async () => {
+            RefreshToken.findOne.mockResolvedValue({
+                ...activeRecord(),
+                revokedAt: new Date(),
+                revokedReason: 'rotated'
+            });
+
+            await expect(authService.refreshToken('old-token')).rejects.toThrow('Invalid refresh token');
 
-            await expect(authService.refreshToken(accessToken)).rejects.toThrow(
+            expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('session123', 'reuse_detected');
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+        });
+
+        it('should throw error for unknown refresh token', async () => {
+            RefreshToken.findOne.mockResolvedValue(null);
+
+            await expect(authService.refreshToken('unknown')).rejects.toThrow(
                 'Invalid refresh token'
             );
         });
 
         it('should throw error for non-existent user', async () => {
-            const refreshToken = jwt.sign(
-                { id: 'nonexistent', type: 'refresh' },
-                process.env.JWT_SECRET
-            );
-
+            RefreshToken.findOne.mockResolvedValue(activeRecord());
             User.findById.mockResolvedValue(null);
 
-            await expect(authService.refreshToken(refreshToken)).rejects.toThrow(
+            await expect(authService.refreshToken('old-token')).rejects.toThrow(
                 'Invalid refresh token'
             );
+            expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('session123', 'deactivated');
         });
     });
 
@@ -319,5 +386,93 @@ describe('AuthService', () => {
                 'User not found or inactive'
             );
         });
+
+        it('should reject two-factor challenge tokens', async () => {
+            const token = authService.generateChallengeToken({ _id: 'user123' }, 'verify');
+
+            await expect(authService.getUserByToken(token)).rejects.toThrow('Invalid token type');
+            expect(User.findById).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('changePassword', () => {
+        let user;
+
+        beforeEach(async () => {
+            user = {
+                _id: 'user123',
+                password: await bcrypt.hash('oldpassword', 4),
+                tokenVersion: 2,
+                save: jest.fn().mockResolvedValue(true),
+                toObject: jest.fn(() => ({ _id: 'user123' }))
+            };
+            User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+            RefreshToken.revokeForUser.mockResolvedValue(3);
+        });
+
+        it('should set the new password, sign out other sessions and start a new one', async () => {
+            const result = await authService.changePassword('user123', 'oldpassword', 'newpassword', { userAgent: 'Mozilla/5.0' });
+
+            expect(user.password).toBe('newpassword');
+            expect(user.tokenVersion).toBe(3);
+            expect(user.passwordChangedAt).toBeInstanceOf(Date);
+            expect(user.save).toHaveBeenCalled();
+            expect(RefreshToken.revokeForUser).toHaveBeenCalledWith('user123', 'password_change');
+            expect(jwt.verify(result.token, process.env.JWT_SECRET).tokenVersion).toBe(3);
+            expect(result.refreshToken).toBeDefined();
+        });
+
+        it('should reject a wrong current password', async () => {
+            await expect(authService.changePassword('user123', 'wrongpassword', 'newpassword'))
+                .rejects.toThrow('Current password is incorrect');
+            expect(user.save).not.toHaveBeenCalled();
+        });
+
+        it('should reject reusing the current password', async () => {
+            await expect(authService.changePassword('user123', 'oldpassword', 'oldpassword'))
+                .rejects.toThrow('New password must be different from the current password');
+        });
+    });
+
+    describe('updateAvatar', () => {
+        const file = { buffer: Buffer.from('img'), originalname: 'me.png', mimetype: 'image/png' };
+        const bucketUrl = 'https://bucket.s3.amazonaws.com';
+
+        it('should store the uploaded image and delete the previous upload', async () => {
+            const user = {
+                _id: 'user123',
+                profile: { avatar: `${bucketUrl}/avatars/old.png` },
+                save: jest.fn().mockResolvedValue(true)
+            };
+            s3Service.contractUploadS3.mockResolvedValue({ success: true, data: { fileUrl: `${bucketUrl}/avatars/new.png` } });
+            s3Service.deleteFile.mockResolvedValue({ success: true });
+
+            await authService.updateAvatar(user, file);
+
+            expect(s3Service.contractUploadS3).toHaveBeenCalledWith(expect.objectContaining({ folder: 'avatars', contentType: 'image/png' }));
+            expect(user.profile.avatar).toBe(`${bucketUrl}/avatars/new.png`);
+            expect(s3Service.deleteFile).toHaveBeenCalledWith('avatars/old.png');
+        });
+
+        it('should leave external avatars alone', async () => {
+            const user = {
+                _id: 'user123',
+                profile: { avatar: 'https://gravatar.com/avatar/abc' },
+                save: jest.fn().mockResolvedValue(true)
+            };
+            s3Service.contractUploadS3.mockResolvedValue({ success: true, data: { fileUrl: `${bucketUrl}/avatars/new.png` } });
+
+            await authService.updateAvatar(user, file);
+
+            expect(s3Service.deleteFile).not.toHaveBeenCalled();
+        });
+
+        it('should keep the current avatar when the upload fails', async () => {
+            const user = { _id: 'user123', profile: { avatar: '' }, save: jest.fn() };
+            s3Service.contractUploadS3.mockResolvedValue({ success: false, error: 'File size exceeds maximum allowed size' });
+
+            await expect(authService.updateAvatar(user, file)).rejects.toThrow('Avatar upload failed: File size exceeds maximum allowed size');
+            expect(user.save).not.toHaveBeenCalled();
+        });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+
+describe('Author API', () => {
+    let writer, prolific;
+    let billing;
+
+    const createBlog = (author, overrides = {}) => Blog.create({
+        title: `Author Test Blog ${Math.random().toString(36).slice(2, 8)}`,
+        content: '<p>Billing content</p>',
+        excerpt: 'excerpt',
+        category: billing._id,
+        author: author._id,
+        status: 'published',
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        writer = await User.create({
+            username: 'writer',
+            email: 'writer@test.com',
+            password: 'password123',
+            role: 'editor',
+            profile: {
+                firstName: 'Jane',
+                lastName: 'Doe',
+                bio: 'Writes about billing',
+                jobTitle: 'Revenue Cycle Analyst',
+                social: { linkedin: 'https://linkedin.com/in/janedoe' }
+            }
+        });
+        prolific = await User.create({
+            username: 'prolific',
+            email: 'prolific@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+        billing = await Category.create({ name: 'Billing', createdBy: writer._id });
+
+        await createBlog(writer, { viewCount: 10 });
+        await createBlog(writer, { viewCount: 5, likes: [prolific._id] });
+        await createBlog(writer, { status: 'draft', viewCount: 100 });
+        await createBlog(prolific);
+        await createBlog(prolific);
+        await createBlog(prolific);
+    });
+
+    describe('GET /api/authors', () => {
+        it('should list authors with published posts, most posts first', async () => {
+            const response = await request(app).get('/api/authors');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(author => author.username)).toEqual(['prolific', 'writer']);
+            expect(response.body.data[1].stats).toMatchObject({ postCount: 2, totalViews: 15, totalLikes: 1 });
+            expect(response.body.pagination.total).toBe(2);
+        });
+
+        it('should only expose public profile fields', async () => {
+            const response = await request(app).get('/api/authors');
+
+            const author = response.body.data.find(a => a.username === 'writer');
+            expect(author.fullName).toBe('Jane Doe');
+            expect(author.profile).toMatchObject({
+                jobTitle: 'Revenue Cycle Analyst',
+                social: { linkedin: 'https://linkedin.com/in/janedoe', website: '', twitter: '' }
+            });
+            expect(author.email).toBeUndefined();
+            expect(author.role).toBeUndefined();
+            expect(author.password).toBeUndefined();
+        });
+
+        it('should leave out deactivated users', async () => {
+            await User.updateOne({ _id: prolific._id }, { isActive: false });
+
+            const response = await request(app).get('/api/authors');
+
+            expect(response.body.data.map(author => author.username)).toEqual(['writer']);
+        });
+    });
+
+    describe('GET /api/authors/:username', () => {
+        it('should return the profile, stats and published posts', async () => {
+            const response = await request(app).get('/api/authors/writer?limit=1');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.author.stats.postCount).toBe(2);
+            expect(response.body.data.posts).toHaveLength(1);
+            expect(response.body.data.posts[0].content).toBeUndefined();
+            expect(response.body.pagination).toMatchObject({ total: 2, hasNextPage: true });
+        });
+
+        it('should include posts the author is credited on as a co-author', async () => {
+            const coAuthored = await createBlog(prolific, {
+                authors: [
+                    { user: prolific._id, role: 'author' },
+                    { user: writer._id, role: 'author' }
+                ]
+            });
+            // Older blogs have no credits and still count for their primary author
+            const legacy = await createBlog(writer);
+            await Blog.collection.updateOne({ _id: legacy._id }, { $unset: { authors: '' } });
+
+            const response = await request(app).get('/api/authors/writer');
+
+            expect(response.body.data.author.stats.postCount).toBe(4);
+            expect(response.body.data.posts.map(post => post.title)).toEqual(
+                expect.arrayContaining([coAuthored.title, legacy.title])
+            );
+            expect(response.body.pagination.total).toBe(4);
+        });
+
+        it('should return zero stats for an author without published posts', async () => {
+            await User.create({
+                username: 'newcomer',
+                email: 'newcomer@test.com',
+                password: 'password123',
+                role: 'editor'
+            });
+
+            const response = await request(app).get('/api/authors/newcomer');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.author.stats).toMatchObject({ postCount: 0, totalViews: 0, totalLikes: 0 });
+            expect(response.body.data.posts).toEqual([]);
+        });
+
+        it('should return 404 for unknown authors', async () => {
+            const response = await request(app).get('/api/authors/nobody');
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Author not found');
+        });
+    });
+});
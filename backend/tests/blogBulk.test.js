@@ -0,0 +1,150 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const authService = require('../services/authService');
+
+describe('Bulk blog actions', () => {
+    let adminUser, editorUser, otherEditor;
+    let adminToken, editorToken;
+    let billing, coding;
+
+    const createBlog = (overrides = {}) => Blog.create({
+        title: `Bulk Test Blog ${Math.random().toString(36).slice(2, 8)}`,
+        content: '<p>Bulk content</p>',
+        excerpt: 'excerpt',
+        category: billing._id,
+        author: editorUser._id,
+        status: 'draft',
+        ...overrides
+    });
+
+    const bulk = (token, body) => request(app)
+        .post('/api/blogs/bulk')
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'bulk_admin',
+            email: 'bulk_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        editorUser = await User.create({
+            username: 'bulk_editor',
+            email: 'bulk_editor@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+        otherEditor = await User.create({
+            username: 'bulk_other',
+            email: 'bulk_other@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+
+        billing = await Category.create({ name: 'Billing', createdBy: adminUser._id });
+        coding = await Category.create({ name: 'Coding', createdBy: adminUser._id });
+
+        adminToken = authService.generateToken(adminUser);
+        editorToken = authService.generateToken(editorUser);
+    });
+
+    it('should publish many blogs and record each status change', async () => {
+        const blogs = await Promise.all([createBlog(), createBlog()]);
+
+        const response = await bulk(adminToken, { action: 'publish', ids: blogs.map(blog => blog._id.toString()) });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ succeeded: 2, failed: 0 });
+
+        const stored = await Blog.find({ _id: { $in: blogs.map(blog => blog._id) } }).select('+statusHistory');
+        stored.forEach(blog => {
+            expect(blog.status).toBe('published');
+            expect(blog.statusHistory.at(-1)).toMatchObject({ from: 'draft', to: 'published' });
+        });
+
+        const logs = await AuditLog.find({ action: 'blog.bulk' });
+        expect(logs).toHaveLength(2);
+    });
+
+    it('should report per-item results for blogs the user cannot change', async () => {
+        const own = await createBlog();
+        const others = await createBlog({ author: otherEditor._id });
+        const missing = '507f1f77bcf86cd799439011';
+
+        const response = await bulk(editorToken, {
+            action: 'add_tags',
+            ids: [own._id.toString(), others._id.toString(), missing],
+            tags: ['Coding']
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.results).toEqual([
+            { id: own._id.toString(), success: true },
+            { id: others._id.toString(), success: false, error: 'You can only edit your own blogs' },
+            { id: missing, success: false, error: 'Blog not found' }
+        ]);
+        expect((await Blog.findById(own._id)).tags).toContain('coding');
+        expect((await Blog.findById(others._id)).tags).not.toContain('coding');
+    });
+
+    it('should apply workflow rules to status actions', async () => {
+        const blog = await createBlog();
+
+        const response = await bulk(editorToken, { action: 'publish', ids: [blog._id.toString()] });
+
+        expect(response.body.data.results[0]).toMatchObject({
+            success: false,
+            error: 'Your role cannot move a blog from "draft" to "published"'
+        });
+        expect((await Blog.findById(blog._id)).status).toBe('draft');
+    });
+
+    it('should move blogs to another category and keep blog counts right', async () => {
+        const blogs = await Promise.all([createBlog(), createBlog(), createBlog({ category: coding._id })]);
+
+        const response = await bulk(adminToken, {
+            action: 'set_category',
+            ids: blogs.map(blog => blog._id.toString()),
+            category: 'Coding'
+        });
+
+        expect(response.body.data.succeeded).toBe(3);
+        expect((await Category.findById(billing._id)).blogCount).toBe(0);
+        expect((await Category.findById(coding._id)).blogCount).toBe(3);
+
+        // The category change is part of the revision history
+        const revisions = await BlogRevision.find({ blog: blogs[0]._id }).sort({ revisionNumber: 1 });
+        expect(revisions.map(revision => revision.category)).toEqual(['Billing', 'Coding']);
+    });
+
+    it('should delete blogs and recount their category', async () => {
+        const blogs = await Promise.all([createBlog(), createBlog(), createBlog()]);
+
+        const response = await bulk(adminToken, { action: 'delete', ids: blogs.slice(1).map(blog => blog._id.toString()) });
+
+        expect(response.body.data.succeeded).toBe(2);
+        expect(await Blog.countDocuments()).toBe(1);
+        expect((await Category.findById(billing._id)).blogCount).toBe(1);
+    });
+
+    it('should validate the request', async () => {
+        const missingCategory = await bulk(adminToken, { action: 'set_category', ids: ['507f1f77bcf86cd799439011'] });
+        expect(missingCategory.status).toBe(400);
+
+        const unknownAction = await bulk(adminToken, { action: 'explode', ids: ['507f1f77bcf86cd799439011'] });
+        expect(unknownAction.status).toBe(400);
+
+        const inactiveCategory = await bulk(adminToken, {
+            action: 'set_category',
+            ids: ['507f1f77bcf86cd799439011'],
+            category: 'Nope'
+        });
+        expect(inactiveCategory.status).toBe(400);
+    });
+});
@@ -3,6 +3,7 @@ const express = require('express');
 const mongoose = require('mongoose');
 const Blog = require('../models/Blog');
 const User = require('../models/User');
+const Category = require('../models/Category');
 const authService = require('../services/authService');
 const blogRoutes = require('../routes/blogRoutes');
 const dbConnection = require('../config/database');
@@ -16,6 +17,9 @@ app.use('/api/blogs', blogRoutes);
 describe('Blog Controller', () => {
     let adminUser, editorUser, readerUser;
     let adminToken, editorToken, readerToken;
+    let categories;
+
+    const categoryId = (name) => categories[name]._id;
 
     beforeAll(async () => {
         // Connect to test database
@@ -26,6 +30,7 @@ describe('Blog Controller', () => {
         // Clean up database
         await Blog.deleteMany({});
         await User.deleteMany({});
+        await Category.deleteMany({});
 
         // Create test users
         adminUser = new User({
@@ -52,6 +57,13 @@ describe('Blog Controller', () => {
         });
         await readerUser.save();
 
+        // Blogs reference their category by ID
+        categories = {};
+        for (const name of ['Technology', 'Programming', 'Backend', 'Frontend', 'General', 'Testing',
+            'Original Category', 'Updated Category', 'Delete Category', 'Like Category', 'View Category']) {
+            categories[name] = await Category.create({ name, createdBy: adminUser._id });
+        }
+
         // Generate tokens
         adminToken = authService.generateToken(adminUser._id);
         editorToken = authService.generateToken(editorUser._id);
@@ -244,7 +256,7 @@ describe('Blog Controller', () => {
                     title: 'JavaScript Fundamentals',
                     content: 'Learn the basics of JavaScript programming language.',
                     excerpt: 'A comprehensive guide to JavaScript basics.',
-                    category: 'Programming',
+                    category: categoryId('Programming'),
                     tags: ['javascript', 'programming', 'web'],
                     status: 'published',
                     featured: true,
@@ -254,7 +266,7 @@ describe('Blog Controller', () => {
                     title: 'Node.js Best Practices',
                     content: 'Best practices for building Node.js applications.',
                     excerpt: 'Essential tips for Node.js development.',
-                    category: 'Backend',
+                    category: categoryId('Backend'),
                     tags: ['nodejs', 'backend', 'javascript'],
                     status: 'published',
                     featured: false,
@@ -264,7 +276,7 @@ describe('Blog Controller', () => {
                     title: 'Draft Blog Post',
                     content: 'This is a draft blog post.',
                     excerpt: 'Draft content for testing.',
-                    category: 'General',
+                    category: categoryId('General'),
                     tags: ['draft', 'test'],
                     status: 'draft',
                     featured: false,
@@ -274,7 +286,7 @@ describe('Blog Controller', () => {
                     title: 'React Components Guide',
                     content: 'How to build reusable React components.',
                     excerpt: 'Guide to React component development.',
-                    category: 'Frontend',
+                    category: categoryId('Frontend'),
                     tags: ['react', 'frontend', 'components'],
                     status: 'published',
                     featured: true,
@@ -443,7 +455,7 @@ describe('Blog Controller', () => {
                 title: 'Test Blog for Retrieval',
                 content: '<p>This is test content with <strong>HTML</strong> formatting.</p>',
                 excerpt: 'Test excerpt for single blog retrieval.',
-                category: 'Testing',
+                category: categoryId('Testing'),
                 tags: ['test', 'retrieval', 'api'],
                 status: 'published',
                 featured: true,
@@ -498,7 +510,7 @@ describe('Blog Controller', () => {
             expect(response.body.data.seo.url).toBe(`/blog/${testBlog.slug}`);
             expect(response.body.data.seo.type).toBe('article');
             expect(response.body.data.seo.author).toBe(adminUser.username);
-            expect(response.body.data.seo.section).toBe(testBlog.category);
+            expect(response.body.data.seo.section).toBe('Testing');
             expect(response.body.data.seo.tags).toEqual(testBlog.tags);
         });
 
@@ -535,7 +547,7 @@ describe('Blog Controller', () => {
                 title: 'Blog Without SEO',
                 content: 'Content without SEO metadata.',
                 excerpt: 'Excerpt without SEO.',
-                category: 'General',
+                category: categoryId('General'),
                 tags: ['no-seo'],
                 status: 'published',
                 author: adminUser._id
@@ -557,7 +569,7 @@ describe('Blog Controller', () => {
                 title: 'Blog Without Cover',
                 content: 'Content without cover image.',
                 excerpt: 'Excerpt without cover.',
-                category: 'General',
+                category: categoryId('General'),
                 tags: ['no-cover'],
                 status: 'published',
                 author: adminUser._id
@@ -592,7 +604,7 @@ describe('Blog Controller', () => {
                 title: 'Original Blog Title',
                 content: 'Original blog content.',
                 excerpt: 'Original excerpt.',
-                category: 'Original Category',
+                category: categoryId('Original Category'),
                 tags: ['original', 'test'],
                 status: 'draft',
                 featured: false,
@@ -774,7 +786,7 @@ describe('Blog Controller', () => {
                 title: 'Blog to Delete',
                 content: 'Content to be deleted.',
                 excerpt: 'Excerpt to be deleted.',
-                category: 'Delete Category',
+                category: categoryId('Delete Category'),
                 tags: ['delete', 'test'],
                 status: 'published',
                 author: editorUser._id
@@ -791,11 +803,14 @@ describe('Blog Controller', () => {
             expect(response.body.success).toBe(true);
             expect(response.body.data.id).toBe(testBlog._id.toString());
             expect(response.body.data.title).toBe(testBlog.title);
-            expect(response.body.message).toBe('Blog deleted successfully');
+            expect(response.body.message).toBe('Blog moved to trash');
 
-            // Verify blog is actually deleted
+            // Verify blog is hidden from regular queries but kept in the trash
             const deletedBlog = await Blog.findById(testBlog._id);
             expect(deletedBlog).toBeNull();
+
+            const trashedBlog = await Blog.findOne({ _id: testBlog._id, deletedAt: { $ne: null } });
+            expect(trashedBlog.deletedBy.toString()).toBe(adminUser._id.toString());
         });
 
         it('should reject delete by editor', async () => {
@@ -862,7 +877,7 @@ describe('Blog Controller', () => {
                 title: 'Blog for Like Tests',
                 content: 'Content for like testing.',
                 excerpt: 'Excerpt for like testing.',
-                category: 'Like Category',
+                category: categoryId('Like Category'),
                 tags: ['like', 'test'],
                 status: 'published',
                 author: adminUser._id
@@ -959,7 +974,7 @@ describe('Blog Controller', () => {
                 title: 'Blog for View Tests',
                 content: 'Content for view testing.',
                 excerpt: 'Excerpt for view testing.',
-                category: 'View Category',
+                category: categoryId('View Category'),
                 tags: ['view', 'test'],
                 status: 'published',
                 author: adminUser._id
@@ -1034,7 +1049,7 @@ describe('Blog Controller', () => {
                 title: 'First React Blog',
                 content: '<p>Content about React</p>',
                 excerpt: 'React blog excerpt',
-                category: 'Technology',
+                category: categoryId('Technology'),
                 tags: ['react', 'javascript'],
                 author: adminUser._id,
                 status: 'published'
@@ -1045,7 +1060,7 @@ describe('Blog Controller', () => {
                 title: 'Second React Blog',
                 content: '<p>More React content</p>',
                 excerpt: 'Another React blog excerpt',
-                category: 'Technology',
+                category: categoryId('Technology'),
                 tags: ['react', 'frontend'],
                 author: editorUser._id,
                 status: 'published'
@@ -1056,7 +1071,7 @@ describe('Blog Controller', () => {
                 title: 'Third JavaScript Blog',
                 content: '<p>JavaScript content</p>',
                 excerpt: 'JavaScript blog excerpt',
-                category: 'Technology',
+                category: categoryId('Technology'),
                 tags: ['javascript', 'programming'],
                 author: adminUser._id,
                 status: 'published'
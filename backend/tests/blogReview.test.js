@@ -0,0 +1,334 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const { canTransition, getAllowedTransitions, requiresReviewAfterEdit } = require('../utils/blogWorkflow');
+
+describe('Editorial Review Workflow', () => {
+    let adminUser, editorUser, reviewerUser;
+    let adminToken, editorToken, reviewerToken;
+    let billing;
+
+    const createBlog = (overrides = {}) => Blog.create({
+        title: 'Review Test Blog',
+        content: '<p>Compliance reviewed content</p>',
+        excerpt: 'excerpt',
+        category: billing._id,
+        author: editorUser._id,
+        status: 'draft',
+        ...overrides
+    });
+
+    const updateStatus = (blog, token, status, extra = {}) => request(app)
+        .patch(`/api/blogs/${blog._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status, ...extra });
+
+    const review = (blog, token, body) => request(app)
+        .post(`/api/blogs/${blog._id}/review`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'wf_admin',
+            email: 'wf_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        editorUser = await User.create({
+            username: 'wf_editor',
+            email: 'wf_editor@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+        reviewerUser = await User.create({
+            username: 'wf_reviewer',
+            email: 'wf_reviewer@test.com',
+            password: 'password123',
+            role: 'reviewer'
+        });
+
+        billing = await Category.create({ name: 'Billing', createdBy: adminUser._id });
+
+        adminToken = authService.generateToken(adminUser);
+        editorToken = authService.generateToken(editorUser);
+        reviewerToken = authService.generateToken(reviewerUser);
+    });
+
+    describe('blogWorkflow rules', () => {
+        it('should let editors submit and withdraw but not publish', () => {
+            expect(canTransition('editor', 'draft', 'in_review')).toBe(true);
+            expect(canTransition('editor', 'in_review', 'draft')).toBe(true);
+            expect(canTransition('editor', 'draft', 'published')).toBe(false);
+            expect(canTransition('editor', 'in_review', 'published')).toBe(false);
+        });
+
+        it('should let reviewers decide only on blogs in review', () => {
+            expect(getAllowedTransitions('reviewer', 'in_review')).toEqual(['draft', 'scheduled', 'published']);
+            expect(canTransition('reviewer', 'draft', 'published')).toBe(false);
+        });
+
+        it('should let admins make any change', () => {
+            expect(canTransition('admin', 'draft', 'published')).toBe(true);
+            expect(canTransition('admin', 'published', 'draft')).toBe(true);
+        });
+
+        it('should send content edits of approved blogs back to review for users who cannot publish', () => {
+            expect(requiresReviewAfterEdit('editor', 'published')).toBe(true);
+            expect(requiresReviewAfterEdit('editor', 'scheduled')).toBe(true);
+            expect(requiresReviewAfterEdit('editor', 'draft')).toBe(false);
+            expect(requiresReviewAfterEdit('admin', 'published')).toBe(false);
+        });
+
+        it('should limit the initial status on create', () => {
+            expect(canTransition('editor', null, 'draft')).toBe(true);
+            expect(canTransition('editor', null, 'in_review')).toBe(true);
+            expect(canTransition('editor', null, 'published')).toBe(false);
+            expect(canTransition('admin', null, 'published')).toBe(true);
+        });
+    });
+
+    describe('Status changes through PUT/PATCH /api/blogs/:id', () => {
+        it('should reject an editor publishing directly', async () => {
+            const blog = await createBlog();
+
+            const response = await updateStatus(blog, editorToken, 'published');
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('Status change not allowed');
+            expect((await Blog.findById(blog._id)).status).toBe('draft');
+        });
+
+        it('should reject an editor creating a published blog', async () => {
+            const response = await request(app)
+                .post('/api/blogs')
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({
+                    title: 'Sneaky Publish',
+                    content: '<p>content</p>',
+                    excerpt: 'excerpt',
+                    category: 'Billing',
+                    status: 'published'
+                });
+
+            expect(response.status).toBe(403);
+            expect(await Blog.countDocuments({ title: 'Sneaky Publish' })).toBe(0);
+        });
+
+        it('should let an editor submit a draft for review and record the transition', async () => {
+            const blog = await createBlog();
+
+            const response = await updateStatus(blog, editorToken, 'in_review', { comment: 'Ready for compliance' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('in_review');
+
+            const stored = await Blog.findById(blog._id).select('+statusHistory');
+            const entry = stored.statusHistory[stored.statusHistory.length - 1];
+            expect(entry.from).toBe('draft');
+            expect(entry.to).toBe('in_review');
+            expect(entry.actor.toString()).toBe(editorUser._id.toString());
+            expect(entry.comment).toBe('Ready for compliance');
+            expect(entry.createdAt).toBeInstanceOf(Date);
+        });
+
+        it('should still allow editors to edit content without changing status', async () => {
+            const blog = await createBlog({ status: 'in_review' });
+
+            const response = await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ title: 'Revised title', status: 'in_review' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.title).toBe('Revised title');
+        });
+
+        it('should send an editor\'s content change to a published blog back to review', async () => {
+            const blog = await createBlog({ status: 'published' });
+
+            const response = await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ content: '<p>Unreviewed claim</p>', status: 'published' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('in_review');
+            expect(response.body.message).toBe('Blog updated and sent back for review');
+
+            const stored = await Blog.findById(blog._id).select('+statusHistory');
+            expect(stored.statusHistory[stored.statusHistory.length - 1]).toMatchObject({ from: 'published', to: 'in_review' });
+        });
+
+        it('should keep a published blog live when nothing reviewed changes or an admin edits it', async () => {
+            const blog = await createBlog({ status: 'published' });
+
+            const unchanged = await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ title: 'Review Test Blog', status: 'published' });
+            expect(unchanged.body.data.status).toBe('published');
+
+            const byAdmin = await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ content: '<p>Corrected by an admin</p>' });
+            expect(byAdmin.body.data.status).toBe('published');
+        });
+
+        it('should let admins publish directly', async () => {
+            const blog = await createBlog();
+
+            const response = await updateStatus(blog, adminToken, 'published');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('published');
+        });
+
+        it('should keep review history out of public blog responses', async () => {
+            const blog = await createBlog({ status: 'published' });
+            await updateStatus(blog, adminToken, 'archived', { comment: 'Internal note' });
+
+            const response = await request(app).get(`/api/blogs/${blog.slug}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.statusHistory).toBeUndefined();
+        });
+    });
+
+    describe('POST /api/blogs/:id/review', () => {
+        it('should let a reviewer approve and publish a blog', async () => {
+            const blog = await createBlog({ status: 'in_review' });
+
+            const response = await review(blog, reviewerToken, { decision: 'approve', comment: 'Looks compliant' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('published');
+
+            const entry = response.body.data.statusHistory[response.body.data.statusHistory.length - 1];
+            expect(entry.to).toBe('published');
+            expect(entry.actor.username).toBe('wf_reviewer');
+            expect(entry.comment).toBe('Looks compliant');
+        });
+
+        it('should schedule an approved blog that has a future publish date', async () => {
+            const blog = await createBlog({
+                status: 'in_review',
+                publishAt: new Date(Date.now() + 60 * 60 * 1000)
+            });
+
+            const response = await review(blog, reviewerToken, { decision: 'approve' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('scheduled');
+        });
+
+        it('should return a rejected blog to draft with the comment', async () => {
+            const blog = await createBlog({ status: 'in_review' });
+
+            const response = await review(blog, reviewerToken, { decision: 'reject', comment: 'Cite the CMS guideline' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('draft');
+            expect(response.body.message).toBe('Blog rejected and returned to draft');
+        });
+
+        it('should require a comment when rejecting', async () => {
+            const blog = await createBlog({ status: 'in_review' });
+
+            const response = await review(blog, reviewerToken, { decision: 'reject' });
+
+            expect(response.status).toBe(400);
+            expect((await Blog.findById(blog._id)).status).toBe('in_review');
+        });
+
+        it('should reject unknown decisions', async () => {
+            const blog = await createBlog({ status: 'in_review' });
+
+            const response = await review(blog, reviewerToken, { decision: 'maybe' });
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should only review blogs that are in review', async () => {
+            const blog = await createBlog();
+
+            const response = await review(blog, reviewerToken, { decision: 'approve' });
+
+            expect(response.status).toBe(409);
+        });
+
+        it('should not let editors review', async () => {
+            const blog = await createBlog({ status: 'in_review' });
+
+            const response = await review(blog, editorToken, { decision: 'approve' });
+
+            expect(response.status).toBe(403);
+        });
+
+        it('should let admins review', async () => {
+            const blog = await createBlog({ status: 'in_review' });
+
+            const response = await review(blog, adminToken, { decision: 'approve' });
+
+            expect(response.status).toBe(200);
+        });
+    });
+
+    describe('GET /api/blogs/review-queue', () => {
+        it('should list only blogs in review with their submission', async () => {
+            const blog = await createBlog();
+            await createBlog({ title: 'Another Draft' });
+            await updateStatus(blog, editorToken, 'in_review', { comment: 'Please review' });
+
+            const response = await request(app)
+                .get('/api/blogs/review-queue')
+                .set('Authorization', `Bearer ${reviewerToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0].submission.comment).toBe('Please review');
+            expect(response.body.data[0].submission.actor.username).toBe('wf_editor');
+            expect(response.body.data[0].statusHistory).toBeUndefined();
+            expect(response.body.pagination.total).toBe(1);
+        });
+
+        it('should not be available to editors', async () => {
+            const response = await request(app)
+                .get('/api/blogs/review-queue')
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('GET /api/blogs/:id/status-history', () => {
+        it('should return every transition most recent first', async () => {
+            const response = await request(app)
+                .post('/api/blogs')
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({
+                    title: 'History Blog',
+                    content: '<p>content</p>',
+                    excerpt: 'excerpt',
+                    category: 'Billing'
+                });
+            const blog = response.body.data;
+
+            await updateStatus(blog, editorToken, 'in_review');
+            await review(blog, reviewerToken, { decision: 'reject', comment: 'Needs sources' });
+
+            const historyResponse = await request(app)
+                .get(`/api/blogs/${blog._id}/status-history`)
+                .set('Authorization', `Bearer ${reviewerToken}`);
+
+            expect(historyResponse.status).toBe(200);
+            const transitions = historyResponse.body.data.history.map(entry => `${entry.from}->${entry.to}`);
+            expect(transitions).toEqual(['in_review->draft', 'draft->in_review', 'null->draft']);
+            expect(historyResponse.body.data.history[0].actor.username).toBe('wf_reviewer');
+        });
+    });
+});
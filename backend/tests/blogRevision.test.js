@@ -0,0 +1,432 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const { diffHtml, diffText, diffTokens, tokenize } = require('../utils/contentDiff');
+
+describe('Blog Revisions', () => {
+    let adminUser, editorUser, otherEditor;
+    let adminToken, editorToken, otherEditorToken;
+    let billing;
+
+    const createBlog = async (token, overrides = {}) => {
+        const response = await request(app)
+            .post('/api/blogs')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                title: 'Revision Test Blog',
+                content: '<p>Original paragraph about medical billing.</p>',
+                excerpt: 'Original excerpt',
+                category: 'Billing',
+                tags: ['billing'],
+                ...overrides
+            });
+
+        expect(response.status).toBe(201);
+        return response.body.data;
+    };
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'rev_admin',
+            email: 'rev_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        editorUser = await User.create({
+            username: 'rev_editor',
+            email: 'rev_editor@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+        otherEditor = await User.create({
+            username: 'rev_other',
+            email: 'rev_other@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+
+        billing = await Category.create({ name: 'Billing', createdBy: adminUser._id });
+        await Category.create({ name: 'Coding', createdBy: adminUser._id });
+
+        adminToken = authService.generateToken(adminUser);
+        editorToken = authService.generateToken(editorUser);
+        otherEditorToken = authService.generateToken(otherEditor);
+    });
+
+    describe('contentDiff utilities', () => {
+        it('should tokenize tags, words and whitespace', () => {
+            expect(tokenize('<p>Hello world</p>')).toEqual(['<p>', 'Hello', ' ', 'world', '</p>']);
+        });
+
+        it('should reconstruct both sides from diff operations', () => {
+            const a = tokenize('<p>The quick brown fox</p>');
+            const b = tokenize('<p>The slow brown dog</p>');
+            const ops = diffTokens(a, b);
+
+            const before = ops.filter(op => op.type !== 'insert').flatMap(op => op.tokens).join('');
+            const after = ops.filter(op => op.type !== 'delete').flatMap(op => op.tokens).join('');
+
+            expect(before).toBe(a.join(''));
+            expect(after).toBe(b.join(''));
+        });
+
+        it('should mark insertions and deletions in HTML', () => {
+            const result = diffHtml('<p>Hello big world</p>', '<p>Hello small world</p>');
+
+            expect(result.changed).toBe(true);
+            expect(result.html).toContain('<del>big</del>');
+            expect(result.html).toContain('<ins>small</ins>');
+            expect(result.stats).toEqual({ insertions: 1, deletions: 1 });
+        });
+
+        it('should escape markup in plain-text diffs', () => {
+            const result = diffText('Title', '<img src=x onerror=alert(1)> Title');
+
+            expect(result.html).not.toContain('<img');
+            expect(result.html).toContain('<ins>&lt;img src=x onerror=alert(1)&gt; </ins>Title');
+        });
+
+        it('should report no change for identical content', () => {
+            const result = diffHtml('<p>Same</p>', '<p>Same</p>');
+            expect(result.changed).toBe(false);
+            expect(result.html).toBe('<p>Same</p>');
+        });
+    });
+
+    describe('BlogRevision model', () => {
+        it('should number revisions sequentially and skip unchanged snapshots', async () => {
+            const blog = await Blog.create({
+                title: 'Model Blog',
+                content: '<p>v1</p>',
+                excerpt: 'excerpt',
+                category: billing._id,
+                author: editorUser._id
+            });
+
+            const first = await BlogRevision.recordSnapshot(blog, editorUser._id, 'create');
+            const unchanged = await BlogRevision.recordSnapshot(blog, editorUser._id, 'update');
+
+            blog.content = '<p>v2</p>';
+            const second = await BlogRevision.recordSnapshot(blog, editorUser._id, 'update');
+
+            expect(first.revisionNumber).toBe(1);
+            expect(unchanged).toBeNull();
+            expect(second.revisionNumber).toBe(2);
+        });
+
+        it('should create a baseline only when a blog has no history', async () => {
+            const blog = await Blog.create({
+                title: 'Legacy Blog',
+                content: '<p>legacy</p>',
+                excerpt: 'excerpt',
+                category: billing._id,
+                author: editorUser._id
+            });
+
+            const baseline = await BlogRevision.ensureBaseline(blog);
+            const again = await BlogRevision.ensureBaseline(blog);
+
+            expect(baseline.changeType).toBe('create');
+            expect(baseline.editedBy.toString()).toBe(editorUser._id.toString());
+            expect(again).toBeNull();
+        });
+    });
+
+    describe('GET /api/blogs/:id/revisions', () => {
+        it('should record a revision on create and on every content update', async () => {
+            const blog = await createBlog(editorToken);
+
+            await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ content: '<p>Edited paragraph about medical billing.</p>' });
+
+            const response = await request(app)
+                .get(`/api/blogs/${blog._id}/revisions`)
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(2);
+            expect(response.body.data[0].revisionNumber).toBe(2);
+            expect(response.body.data[0].changeType).toBe('update');
+            expect(response.body.data[0].content).toBeUndefined();
+            expect(response.body.data[1].changeType).toBe('create');
+            expect(response.body.pagination.total).toBe(2);
+        });
+
+        it('should not record a revision for status-only updates', async () => {
+            const blog = await createBlog(editorToken);
+
+            await request(app)
+                .patch(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ status: 'in_review' });
+
+            const count = await BlogRevision.countDocuments({ blog: blog._id });
+            expect(count).toBe(1);
+        });
+
+        it('should require authentication', async () => {
+            const blog = await createBlog(editorToken);
+
+            const response = await request(app).get(`/api/blogs/${blog._id}/revisions`);
+            expect(response.status).toBe(401);
+        });
+
+        it('should not show the history of another author\'s blog to an editor', async () => {
+            const blog = await createBlog(editorToken);
+            const [revision] = await BlogRevision.find({ blog: blog._id });
+
+            const list = await request(app)
+                .get(`/api/blogs/${blog._id}/revisions`)
+                .set('Authorization', `Bearer ${otherEditorToken}`);
+            const single = await request(app)
+                .get(`/api/blogs/${blog._id}/revisions/${revision._id}`)
+                .set('Authorization', `Bearer ${otherEditorToken}`);
+            const compare = await request(app)
+                .get(`/api/blogs/${blog._id}/revisions/compare`)
+                .query({ from: revision._id.toString() })
+                .set('Authorization', `Bearer ${otherEditorToken}`);
+
+            expect(list.status).toBe(403);
+            expect(single.status).toBe(403);
+            expect(single.body.data).toBeUndefined();
+            expect(compare.status).toBe(403);
+        });
+
+        it('should show the history of any blog to admins', async () => {
+            const blog = await createBlog(editorToken);
+
+            const response = await request(app)
+                .get(`/api/blogs/${blog._id}/revisions`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+        });
+
+        it('should return 404 for unknown blog', async () => {
+            const response = await request(app)
+                .get('/api/blogs/507f1f77bcf86cd799439011/revisions')
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('GET /api/blogs/:id/revisions/compare', () => {
+        it('should return field-level and content diffs between two revisions', async () => {
+            const blog = await createBlog(editorToken);
+
+            await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({
+                    title: 'Revision Test Blog Updated',
+                    content: '<p>Rewritten paragraph about medical billing.</p>',
+                    tags: ['billing', 'rcm']
+                });
+
+            const revisions = await BlogRevision.find({ blog: blog._id }).sort({ revisionNumber: 1 });
+
+            const response = await request(app)
+                .get(`/api/blogs/${blog._id}/revisions/compare`)
+                .query({ from: revisions[0]._id.toString(), to: revisions[1]._id.toString() })
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.changedFields).toEqual(expect.arrayContaining(['title', 'tags', 'content']));
+            expect(response.body.data.changedFields).not.toContain('excerpt');
+
+            const tags = response.body.data.fields.find(field => field.field === 'tags');
+            expect(tags.added).toEqual(['rcm']);
+
+            const content = response.body.data.fields.find(field => field.field === 'content');
+            expect(content.diff).toContain('<del>Original</del>');
+            expect(content.diff).toContain('<ins>Rewritten</ins>');
+        });
+
+        it('should return markup in text fields escaped', async () => {
+            const blog = await createBlog(editorToken);
+            const [original] = await BlogRevision.find({ blog: blog._id });
+
+            await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ title: '<script>alert(1)</script> Revision Test Blog' });
+
+            const response = await request(app)
+                .get(`/api/blogs/${blog._id}/revisions/compare`)
+                .query({ from: original._id.toString() })
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            const title = response.body.data.fields.find(field => field.field === 'title');
+            expect(title.changed).toBe(true);
+            expect(title.diff).not.toContain('<script>');
+            expect(title.diff).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+        });
+
+        it('should show category names and follow renames', async () => {
+            const blog = await createBlog(editorToken);
+            const [original] = await BlogRevision.find({ blog: blog._id });
+
+            await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ category: 'Coding' });
+            await Category.updateOne({ name: 'Billing' }, { name: 'Medical Billing' });
+
+            const response = await request(app)
+                .get(`/api/blogs/${blog._id}/revisions/compare`)
+                .query({ from: original._id.toString() })
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            const category = response.body.data.fields.find(field => field.field === 'category');
+            expect(category).toMatchObject({ changed: true, before: 'Medical Billing', after: 'Coding' });
+        });
+
+        it('should compare against the current version by default', async () => {
+            const blog = await createBlog(editorToken);
+            const [revision] = await BlogRevision.find({ blog: blog._id });
+
+            const response = await request(app)
+                .get(`/api/blogs/${blog._id}/revisions/compare`)
+                .query({ from: revision._id.toString() })
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.to._id).toBe('current');
+            expect(response.body.data.changedFields).toEqual([]);
+        });
+
+        it('should require the from parameter', async () => {
+            const blog = await createBlog(editorToken);
+
+            const response = await request(app)
+                .get(`/api/blogs/${blog._id}/revisions/compare`)
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('POST /api/blogs/:id/revisions/:revId/restore', () => {
+        it('should restore content and record a restore revision', async () => {
+            const blog = await createBlog(editorToken);
+            const [original] = await BlogRevision.find({ blog: blog._id });
+
+            await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ content: '<p>Clobbered content</p>', category: 'Coding' });
+
+            const response = await request(app)
+                .post(`/api/blogs/${blog._id}/revisions/${original._id}/restore`)
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.blog.content).toBe('<p>Original paragraph about medical billing.</p>');
+            expect(response.body.data.blog.category).toBe('Billing');
+            expect(response.body.data.revision.changeType).toBe('restore');
+            expect(response.body.data.revision.revisionNumber).toBe(3);
+            expect(response.body.data.revision.restoredFrom).toBe(original._id.toString());
+
+            const billing = await Category.findOne({ name: 'Billing' });
+            const coding = await Category.findOne({ name: 'Coding' });
+            expect(billing.blogCount).toBe(1);
+            expect(coding.blogCount).toBe(0);
+        });
+
+        it('should send a published blog back to review when an editor restores older content', async () => {
+            const blog = await createBlog(editorToken);
+            const [original] = await BlogRevision.find({ blog: blog._id });
+
+            await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ content: '<p>Approved content</p>', status: 'published' });
+
+            const response = await request(app)
+                .post(`/api/blogs/${blog._id}/revisions/${original._id}/restore`)
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.blog.status).toBe('in_review');
+        });
+
+        it('should restore a revision after its category was renamed', async () => {
+            const blog = await createBlog(editorToken);
+            const [original] = await BlogRevision.find({ blog: blog._id });
+            await Category.updateOne({ name: 'Billing' }, { name: 'Medical Billing' });
+
+            const response = await request(app)
+                .post(`/api/blogs/${blog._id}/revisions/${original._id}/restore`)
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.blog.category).toBe('Medical Billing');
+            expect((await Category.findOne({ name: 'Medical Billing' })).blogCount).toBe(1);
+        });
+
+        it('should not restore a category that was deleted', async () => {
+            const blog = await createBlog(editorToken);
+            const temporary = await Category.create({ name: 'Temporary', createdBy: adminUser._id });
+
+            await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ content: '<p>Filed under a temporary category</p>', category: 'Temporary' });
+            const revision = await BlogRevision.findOne({ blog: blog._id, revisionNumber: 2 });
+            expect(revision.category).toEqual(temporary._id);
+
+            await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ category: 'Billing' });
+            await Category.deleteOne({ _id: temporary._id });
+
+            const response = await request(app)
+                .post(`/api/blogs/${blog._id}/revisions/${revision._id}/restore`)
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should reject restore by a non-owner editor', async () => {
+            const blog = await createBlog(editorToken);
+            const [original] = await BlogRevision.find({ blog: blog._id });
+
+            const response = await request(app)
+                .post(`/api/blogs/${blog._id}/revisions/${original._id}/restore`)
+                .set('Authorization', `Bearer ${otherEditorToken}`);
+
+            expect(response.status).toBe(403);
+        });
+
+        it('should allow admins to restore any blog', async () => {
+            const blog = await createBlog(editorToken);
+            const [original] = await BlogRevision.find({ blog: blog._id });
+
+            const response = await request(app)
+                .post(`/api/blogs/${blog._id}/revisions/${original._id}/restore`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+        });
+
+        it('should delete revision history when the blog is deleted', async () => {
+            const blog = await createBlog(editorToken);
+
+            await request(app)
+                .delete(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            const count = await BlogRevision.countDocuments({ blog: blog._id });
+            expect(count).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,202 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const blogTrashService = require('../services/blogTrashService');
+const trashPurger = require('../services/trashPurger');
+const { searchBlogs, getPopularBlogs, getRelatedBlogs } = require('../utils/queryOptimization');
+
+describe('Blog trash', () => {
+    let adminUser, editorUser, otherEditor;
+    let adminToken, editorToken;
+    let billing;
+
+    const createBlog = (overrides = {}) => Blog.create({
+        title: `Trash Test Blog ${Math.random().toString(36).slice(2, 8)}`,
+        content: '<p>Trash content</p>',
+        excerpt: 'excerpt',
+        category: billing._id,
+        tags: ['claims'],
+        author: editorUser._id,
+        status: 'published',
+        ...overrides
+    });
+
+    const trashBlog = (blog, token = adminToken) => request(app)
+        .delete(`/api/blogs/${blog._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'trash_admin',
+            email: 'trash_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        editorUser = await User.create({
+            username: 'trash_editor',
+            email: 'trash_editor@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+        otherEditor = await User.create({
+            username: 'trash_other',
+            email: 'trash_other@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+
+        billing = await Category.create({ name: 'Billing', createdBy: adminUser._id });
+
+        adminToken = authService.generateToken(adminUser);
+        editorToken = authService.generateToken(editorUser);
+    });
+
+    afterEach(() => {
+        delete process.env.BLOG_TRASH_RETENTION_DAYS;
+    });
+
+    it('should hide trashed blogs from listings, search, popular and related blogs', async () => {
+        const kept = await createBlog({ viewCount: 1 });
+        const trashed = await createBlog({ viewCount: 10 });
+
+        const response = await trashBlog(trashed);
+        expect(response.status).toBe(200);
+        expect(response.body.data.purgeAt).toBeDefined();
+
+        const list = await request(app).get('/api/blogs');
+        expect(list.body.data.map(blog => blog._id)).toEqual([kept._id.toString()]);
+
+        const bySlug = await request(app).get(`/api/blogs/${trashed.slug}`);
+        expect(bySlug.status).toBe(404);
+
+        const { data } = await searchBlogs({ category: 'Billing' });
+        expect(data.map(blog => blog._id.toString())).toEqual([kept._id.toString()]);
+
+        const popular = await getPopularBlogs();
+        expect(popular.map(blog => blog._id.toString())).toEqual([kept._id.toString()]);
+
+        const related = await getRelatedBlogs(kept);
+        expect(related).toHaveLength(0);
+
+        expect((await Category.findOne({ name: 'Billing' })).blogCount).toBe(1);
+    });
+
+    it('should list the trash and limit editors to their own blogs', async () => {
+        const own = await createBlog();
+        const others = await createBlog({ author: otherEditor._id });
+        await trashBlog(own);
+        await trashBlog(others);
+
+        const adminTrash = await request(app)
+            .get('/api/blogs/trash')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(adminTrash.status).toBe(200);
+        expect(adminTrash.body.data).toHaveLength(2);
+        expect(adminTrash.body.data[0].deletedBy.username).toBe('trash_admin');
+        expect(adminTrash.body.retentionDays).toBe(30);
+
+        const editorTrash = await request(app)
+            .get('/api/blogs/trash')
+            .set('Authorization', `Bearer ${editorToken}`);
+
+        expect(editorTrash.body.data.map(blog => blog._id)).toEqual([own._id.toString()]);
+    });
+
+    it('should restore a trashed blog', async () => {
+        const blog = await createBlog();
+        await trashBlog(blog);
+
+        const response = await request(app)
+            .post(`/api/blogs/${blog._id}/restore`)
+            .set('Authorization', `Bearer ${editorToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.message).toBe('Blog restored');
+        expect(await Blog.findById(blog._id)).not.toBeNull();
+        expect((await Category.findOne({ name: 'Billing' })).blogCount).toBe(1);
+
+        // Restoring twice finds nothing in the trash
+        const again = await request(app)
+            .post(`/api/blogs/${blog._id}/restore`)
+            .set('Authorization', `Bearer ${editorToken}`);
+        expect(again.status).toBe(404);
+    });
+
+    it('should not let editors restore or purge blogs by other authors', async () => {
+        const blog = await createBlog({ author: otherEditor._id });
+        await trashBlog(blog);
+
+        const restore = await request(app)
+            .post(`/api/blogs/${blog._id}/restore`)
+            .set('Authorization', `Bearer ${editorToken}`);
+        expect(restore.status).toBe(404);
+
+        const purge = await request(app)
+            .delete(`/api/blogs/${blog._id}/purge`)
+            .set('Authorization', `Bearer ${editorToken}`);
+        expect(purge.status).toBe(404);
+    });
+
+    it('should permanently delete a trashed blog with its revisions', async () => {
+        const blog = await createBlog();
+        await BlogRevision.create({
+            blog: blog._id,
+            revisionNumber: 1,
+            title: blog.title,
+            content: blog.content,
+            category: 'Billing',
+            status: 'published',
+            author: editorUser._id,
+            editedBy: editorUser._id
+        });
+
+        // Live blogs cannot be purged directly
+        const live = await request(app)
+            .delete(`/api/blogs/${blog._id}/purge`)
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(live.status).toBe(404);
+
+        await trashBlog(blog);
+        const response = await request(app)
+            .delete(`/api/blogs/${blog._id}/purge`)
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(await Blog.countDocuments(blogTrashService.inTrash())).toBe(0);
+        expect(await BlogRevision.countDocuments({ blog: blog._id })).toBe(0);
+    });
+
+    it('should keep trashed blogs in step when their category is renamed', async () => {
+        const blog = await createBlog();
+        await trashBlog(blog);
+        const response = await request(app)
+            .put(`/api/categories/${billing._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: 'Medical Billing' });
+
+        expect(response.status).toBe(200);
+        const trashed = await Blog.findOne(blogTrashService.inTrash({ _id: blog._id }));
+        expect(trashed.category.name).toBe('Medical Billing');
+    });
+
+    it('should purge blogs past the retention period', async () => {
+        process.env.BLOG_TRASH_RETENTION_DAYS = '7';
+        const old = await createBlog();
+        const recent = await createBlog();
+        await trashBlog(old);
+        await trashBlog(recent);
+
+        const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+        await Blog.updateOne({ _id: old._id, deletedAt: { $ne: null } }, { deletedAt: eightDaysAgo });
+
+        const purged = await trashPurger.runOnce();
+
+        expect(purged.map(id => id.toString())).toEqual([old._id.toString()]);
+        expect(await Blog.countDocuments(blogTrashService.inTrash())).toBe(1);
+    });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const blogTrashService = require('../services/blogTrashService');
+
+describe('Category merge', () => {
+    let adminUser, adminToken;
+    let billing, coding, denials;
+
+    const createCategory = (name, parent = null) => Category.create({
+        name,
+        parent,
+        createdBy: adminUser._id
+    });
+
+    const createBlog = (category, overrides = {}) => Blog.create({
+        title: `${category.name} post ${Math.random().toString(36).slice(2, 8)}`,
+        content: '<p>content</p>',
+        category: category._id,
+        author: adminUser._id,
+        status: 'published',
+        ...overrides
+    });
+
+    const merge = (source, target) => request(app)
+        .post(`/api/categories/${source._id}/merge`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ targetId: target._id.toString() });
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'merge_admin',
+            email: 'merge_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        adminToken = authService.generateToken(adminUser);
+
+        billing = await createCategory('Billing');
+        coding = await createCategory('Coding');
+        denials = await createCategory('Denials', billing._id);
+    });
+
+    it('should preview the posts and subcategories a merge would move', async () => {
+        await createBlog(billing);
+        await createBlog(billing, { status: 'draft' });
+
+        const response = await request(app)
+            .get(`/api/categories/${billing._id}/merge-preview`)
+            .query({ targetId: coding._id.toString() })
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.blogCount).toBe(2);
+        expect(response.body.data.blogs).toHaveLength(2);
+        expect(response.body.data.subcategories.map(child => child.name)).toEqual(['Denials']);
+        expect(response.body.data.redirect).toEqual({ from: 'billing', to: 'coding' });
+
+        // Nothing changes until the merge is confirmed
+        expect(await Category.findById(billing._id)).not.toBeNull();
+        expect(await Blog.countDocuments({ category: billing._id })).toBe(2);
+    });
+
+    it('should move posts, subcategories and counts into the target', async () => {
+        await createBlog(billing);
+        await createBlog(billing, { status: 'draft' });
+        await createBlog(coding);
+        const trashed = await createBlog(billing);
+        await blogTrashService.trash([trashed], adminUser._id);
+
+        const response = await merge(billing, coding);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.movedBlogs).toBe(3);
+        expect(response.body.data.movedSubcategories).toBe(1);
+
+        expect(await Category.findById(billing._id)).toBeNull();
+        expect(await Blog.countDocuments({ category: coding._id })).toBe(3);
+
+        const inTrash = await Blog.findOne(blogTrashService.inTrash({ _id: trashed._id }));
+        expect(inTrash.category.name).toBe('Coding');
+
+        const target = await Category.findById(coding._id);
+        expect(target.blogCount).toBe(3);
+        expect(target.previousSlugs).toEqual(['billing']);
+
+        const movedChild = await Category.findById(denials._id);
+        expect(movedChild.parent.toString()).toBe(coding._id.toString());
+        expect(movedChild.path).toBe(`,${coding._id},${denials._id},`);
+    });
+
+    it('should redirect the old slug to the surviving category', async () => {
+        await merge(billing, coding);
+
+        const response = await request(app).get('/api/categories/billing');
+
+        expect(response.status).toBe(301);
+        expect(response.headers.location).toBe('/api/categories/coding');
+        expect(response.body.redirectTo).toBe('coding');
+    });
+
+    it('should carry redirects along when the target is merged again', async () => {
+        const revenue = await createCategory('Revenue Cycle');
+        await merge(billing, coding);
+        await merge(coding, revenue);
+
+        const target = await Category.findById(revenue._id);
+        expect(target.previousSlugs.sort()).toEqual(['billing', 'coding']);
+
+        const response = await request(app).get('/api/categories/billing');
+        expect(response.body.redirectTo).toBe('revenue-cycle');
+    });
+
+    it('should reject merges into itself or one of its subcategories', async () => {
+        const intoItself = await merge(billing, billing);
+        expect(intoItself.status).toBe(400);
+
+        const intoChild = await merge(billing, denials);
+        expect(intoChild.status).toBe(400);
+
+        expect(await Category.findById(billing._id)).not.toBeNull();
+    });
+
+    it('should keep blog counts right when a deleted category reassigns its blogs', async () => {
+        const empty = await createCategory('Empty');
+        await createBlog(empty);
+        await createBlog(empty);
+
+        const response = await request(app)
+            .delete(`/api/categories/${empty._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ reassignTo: 'Coding' });
+
+        expect(response.status).toBe(200);
+        expect((await Category.findById(coding._id)).blogCount).toBe(2);
+    });
+});
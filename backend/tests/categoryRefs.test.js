@@ -0,0 +1,86 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const blogTrashService = require('../services/blogTrashService');
+
+describe('Blog category references', () => {
+    let adminUser, adminToken;
+    let billing, coding;
+
+    const createBlog = (category, overrides = {}) => Blog.create({
+        title: `${category.name} post ${Math.random().toString(36).slice(2, 8)}`,
+        content: '<p>content</p>',
+        excerpt: 'excerpt',
+        category: category._id,
+        author: adminUser._id,
+        status: 'published',
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'refs_admin',
+            email: 'refs_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        adminToken = authService.generateToken(adminUser);
+
+        billing = await Category.create({ name: 'Billing', createdBy: adminUser._id });
+        coding = await Category.create({ name: 'Coding', createdBy: adminUser._id });
+    });
+
+    it('should accept a category slug and store its ID', async () => {
+        const response = await request(app)
+            .post('/api/blogs')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ title: 'By slug', content: '<p>content</p>', excerpt: 'excerpt', category: 'coding' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.category).toBe('Coding');
+        expect(response.body.data.categorySlug).toBe('coding');
+
+        const stored = await Blog.findById(response.body.data._id);
+        expect(stored.getCategoryId().toString()).toBe(coding._id.toString());
+        expect((await Category.findById(coding._id)).blogCount).toBe(1);
+    });
+
+    it('should keep blogs in their category when it is renamed', async () => {
+        const blog = await createBlog(billing);
+
+        const rename = await request(app)
+            .put(`/api/categories/${billing._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: 'Medical Billing' });
+        expect(rename.status).toBe(200);
+
+        const response = await request(app).get(`/api/blogs/${blog.slug}`);
+        expect(response.body.data.category).toBe('Medical Billing');
+        expect(response.body.data.categorySlug).toBe('medical-billing');
+
+        const list = await request(app).get('/api/blogs').query({ category: 'Medical Billing' });
+        expect(list.body.data.map(item => item._id)).toEqual([blog._id.toString()]);
+    });
+
+    it('should recompute drifted blog counts from the blogs collection', async () => {
+        await createBlog(billing);
+        await createBlog(billing);
+        const trashed = await createBlog(billing);
+        await blogTrashService.trash([trashed], adminUser._id);
+        await Category.updateOne({ _id: billing._id }, { blogCount: 7 });
+        await Category.updateOne({ _id: coding._id }, { blogCount: 2 });
+
+        const corrected = await Category.reconcileBlogCounts();
+
+        expect(corrected.map(({ name, from, to }) => ({ name, from, to })).sort((a, b) => a.name.localeCompare(b.name)))
+            .toEqual([
+                { name: 'Billing', from: 7, to: 2 },
+                { name: 'Coding', from: 2, to: 0 }
+            ]);
+        expect((await Category.findById(billing._id)).blogCount).toBe(2);
+        expect(await Category.reconcileBlogCounts()).toEqual([]);
+    });
+});
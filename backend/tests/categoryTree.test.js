@@ -0,0 +1,147 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const { searchBlogs } = require('../utils/queryOptimization');
+
+describe('Category tree', () => {
+    let adminUser, adminToken;
+    let coding, icd10, cardiology;
+
+    const createCategory = (name, parent = null) => Category.create({ name, parent, createdBy: adminUser._id });
+
+    const moveCategory = (category, parent) => request(app)
+        .put(`/api/categories/${category._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parent });
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'tree_admin',
+            email: 'tree_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        adminToken = authService.generateToken(adminUser);
+
+        coding = await createCategory('Coding');
+        icd10 = await createCategory('ICD-10', coding._id);
+        cardiology = await createCategory('Cardiology', icd10._id);
+    });
+
+    it('should build materialized paths from the parent', async () => {
+        expect(coding.path).toBe(`,${coding._id},`);
+        expect(cardiology.path).toBe(`,${coding._id},${icd10._id},${cardiology._id},`);
+        expect(cardiology.depth).toBe(3);
+    });
+
+    it('should create subcategories through the API', async () => {
+        const response = await request(app)
+            .post('/api/categories')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: 'Neurology', parent: icd10._id.toString() });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.parent.name).toBe('ICD-10');
+        expect(response.body.data.path).toBe(`${icd10.path}${response.body.data._id},`);
+    });
+
+    it('should move a subtree to a new parent', async () => {
+        const billing = await createCategory('Billing');
+
+        const response = await moveCategory(icd10, billing._id.toString());
+
+        expect(response.status).toBe(200);
+        const moved = await Category.findById(cardiology._id);
+        expect(moved.path).toBe(`,${billing._id},${icd10._id},${cardiology._id},`);
+
+        // Back to the top level
+        await moveCategory(icd10, null);
+        expect((await Category.findById(cardiology._id)).path).toBe(`,${icd10._id},${cardiology._id},`);
+    });
+
+    it('should handle categories saved before paths were stored', async () => {
+        const legacy = await createCategory('Billing');
+        const claims = await createCategory('Claims', legacy._id);
+        await Category.collection.updateOne({ _id: legacy._id }, { $unset: { path: '' } });
+
+        const subtree = await Category.getSubtreeIds(legacy._id);
+        expect(subtree.map(String).sort()).toEqual([legacy._id, claims._id].map(String).sort());
+
+        const response = await moveCategory(legacy, coding._id.toString());
+
+        expect(response.status).toBe(200);
+        expect((await Category.findById(claims._id)).path).toBe(`,${coding._id},${legacy._id},${claims._id},`);
+    });
+
+    it('should reject moves that would create a cycle', async () => {
+        const underItself = await moveCategory(coding, coding._id.toString());
+        expect(underItself.status).toBe(400);
+
+        const underDescendant = await moveCategory(coding, cardiology._id.toString());
+        expect(underDescendant.status).toBe(400);
+
+        expect((await Category.findById(coding._id)).parent).toBeNull();
+    });
+
+    it('should limit the depth of the tree', async () => {
+        let parent = cardiology;
+        for (const name of ['Level 4', 'Level 5']) {
+            parent = await createCategory(name, parent._id);
+        }
+
+        const response = await request(app)
+            .post('/api/categories')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: 'Level 6', parent: parent._id.toString() });
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should not delete categories that have subcategories', async () => {
+        const response = await request(app)
+            .delete(`/api/categories/${icd10._id}`)
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(response.status).toBe(400);
+        expect(await Category.findById(icd10._id)).not.toBeNull();
+    });
+
+    it('should include descendants when filtering blogs by category', async () => {
+        const blogFor = (category) => Blog.create({
+            title: `${category.name} post`,
+            content: '<p>content</p>',
+            category: category._id,
+            author: adminUser._id,
+            status: 'published'
+        });
+        await blogFor(coding);
+        await blogFor(cardiology);
+        await blogFor(await createCategory('Billing'));
+
+        const all = await searchBlogs({ category: 'Coding' });
+        expect(all.data.map(blog => blog.category).sort()).toEqual(['Cardiology', 'Coding']);
+
+        const own = await searchBlogs({ category: 'Coding', includeSubcategories: false });
+        expect(own.data.map(blog => blog.category)).toEqual(['Coding']);
+    });
+
+    it('should return breadcrumbs for blogs and categories', async () => {
+        const blog = await Blog.create({
+            title: 'Heart coding',
+            content: '<p>content</p>',
+            category: cardiology._id,
+            author: adminUser._id,
+            status: 'published'
+        });
+
+        const blogResponse = await request(app).get(`/api/blogs/${blog.slug}`);
+        expect(blogResponse.body.data.breadcrumbs.map(crumb => crumb.name)).toEqual(['Coding', 'ICD-10', 'Cardiology']);
+
+        const categoryResponse = await request(app).get(`/api/categories/${icd10.slug}`);
+        expect(categoryResponse.body.data.breadcrumbs.map(crumb => crumb.slug)).toEqual(['coding', 'icd-10']);
+        expect(categoryResponse.body.data.children.map(child => child.name)).toEqual(['Cardiology']);
+    });
+});
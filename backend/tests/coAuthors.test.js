@@ -0,0 +1,204 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const authService = require('../services/authService');
+
+describe('Co-authored blogs', () => {
+    let adminUser, coder, specialist, outsider;
+    let adminToken, specialistToken, outsiderToken;
+    let billing;
+
+    const createUser = (username, role) => User.create({
+        username,
+        email: `${username}@test.com`,
+        password: 'password123',
+        role,
+        profile: { firstName: username, lastName: 'Test' }
+    });
+
+    const createBlog = (overrides = {}) => Blog.create({
+        title: 'Co-authored Blog',
+        content: '<p>Coding and billing content</p>',
+        excerpt: 'excerpt',
+        category: billing._id,
+        author: coder._id,
+        status: 'draft',
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        adminUser = await createUser('ca_admin', 'admin');
+        coder = await createUser('ca_coder', 'editor');
+        specialist = await createUser('ca_specialist', 'editor');
+        outsider = await createUser('ca_outsider', 'editor');
+
+        billing = await Category.create({ name: 'Billing', createdBy: adminUser._id });
+
+        adminToken = authService.generateToken(adminUser);
+        specialistToken = authService.generateToken(specialist);
+        outsiderToken = authService.generateToken(outsider);
+    });
+
+    describe('Blog model', () => {
+        it('should credit the author of blogs saved without credits', async () => {
+            const blog = await createBlog();
+
+            expect(blog.authors).toHaveLength(1);
+            expect(blog.authors[0].user.toString()).toBe(coder._id.toString());
+            expect(blog.authors[0].role).toBe('author');
+        });
+
+        it('should keep author in sync with the first author credit', async () => {
+            const blog = await createBlog({
+                authors: [
+                    { user: specialist._id, role: 'medical_reviewer' },
+                    { user: outsider._id, role: 'author' }
+                ]
+            });
+
+            expect(blog.author.toString()).toBe(outsider._id.toString());
+            expect(blog.isCreditedTo(specialist._id)).toBe(true);
+            expect(blog.isCreditedTo(adminUser._id)).toBe(false);
+        });
+    });
+
+    describe('POST /api/blogs', () => {
+        it('should create a blog with ordered credits', async () => {
+            const response = await request(app)
+                .post('/api/blogs')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({
+                    title: 'Coding and Billing',
+                    content: '<p>content</p>',
+                    excerpt: 'excerpt',
+                    category: 'Billing',
+                    authors: [
+                        { user: coder._id, role: 'author' },
+                        { user: specialist._id, role: 'author' },
+                        { user: outsider._id, role: 'reviewer' }
+                    ]
+                });
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.author._id).toBe(coder._id.toString());
+            expect(response.body.data.authors.map(credit => credit.user.username))
+                .toEqual(['ca_coder', 'ca_specialist', 'ca_outsider']);
+        });
+
+        it('should require at least one author credit', async () => {
+            const response = await request(app)
+                .post('/api/blogs')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({
+                    title: 'Reviewers only',
+                    content: '<p>content</p>',
+                    excerpt: 'excerpt',
+                    category: 'Billing',
+                    authors: [{ user: coder._id, role: 'reviewer' }]
+                });
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('PUT /api/blogs/:id', () => {
+        it('should let every credited contributor edit the blog', async () => {
+            const blog = await createBlog({
+                authors: [
+                    { user: coder._id, role: 'author' },
+                    { user: specialist._id, role: 'medical_reviewer' }
+                ]
+            });
+
+            const response = await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${specialistToken}`)
+                .send({ excerpt: 'Reviewed by the billing specialist' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.excerpt).toBe('Reviewed by the billing specialist');
+        });
+
+        it('should still block users who are not credited', async () => {
+            const blog = await createBlog();
+
+            const response = await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${outsiderToken}`)
+                .send({ excerpt: 'Not mine' });
+
+            expect(response.status).toBe(403);
+        });
+
+        it('should update credits and the primary author together', async () => {
+            const blog = await createBlog();
+
+            const response = await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({
+                    authors: [
+                        { user: specialist._id, role: 'author' },
+                        { user: coder._id, role: 'author' }
+                    ]
+                });
+
+            expect(response.status).toBe(200);
+            const stored = await Blog.findById(blog._id);
+            expect(stored.author.toString()).toBe(specialist._id.toString());
+            expect(stored.authors.map(credit => credit.user.toString()))
+                .toEqual([specialist._id.toString(), coder._id.toString()]);
+        });
+
+        it('should reject duplicate credits', async () => {
+            const blog = await createBlog();
+
+            const response = await request(app)
+                .put(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({
+                    authors: [
+                        { user: coder._id, role: 'author' },
+                        { user: coder._id, role: 'reviewer' }
+                    ]
+                });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Each user can only be credited once');
+        });
+    });
+
+    describe('GET /api/blogs/:slug', () => {
+        it('should list co-authors in the SEO payload', async () => {
+            const blog = await createBlog({
+                status: 'published',
+                authors: [
+                    { user: coder._id, role: 'author' },
+                    { user: specialist._id, role: 'author' },
+                    { user: outsider._id, role: 'medical_reviewer' }
+                ]
+            });
+
+            const response = await request(app).get(`/api/blogs/${blog.slug}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.seo.author).toBe('ca_coder, ca_specialist');
+            expect(response.body.data.seo.authors).toEqual([
+                { username: 'ca_coder', name: 'ca_coder Test', role: 'author' },
+                { username: 'ca_specialist', name: 'ca_specialist Test', role: 'author' },
+                { username: 'ca_outsider', name: 'ca_outsider Test', role: 'medical_reviewer' }
+            ]);
+        });
+
+        it('should fall back to the primary author for older blogs', async () => {
+            const blog = await createBlog({ status: 'published' });
+            await Blog.collection.updateOne({ _id: blog._id }, { $unset: { authors: '' } });
+
+            const response = await request(app).get(`/api/blogs/${blog.slug}`);
+
+            expect(response.body.data.seo.author).toBe('ca_coder');
+        });
+    });
+});
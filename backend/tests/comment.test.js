@@ -0,0 +1,248 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const authService = require('../services/authService');
+
+describe('Reader Comments', () => {
+    let adminUser, readerUser, adminToken, readerToken;
+    let blog;
+
+    const guest = { authorName: 'Guest Reader', authorEmail: 'guest@example.com' };
+
+    const postComment = (body, token) => {
+        const req = request(app).post(`/api/blogs/${blog.slug}/comments`);
+        if (token) {
+            req.set('Authorization', `Bearer ${token}`);
+        }
+        return req.send(body);
+    };
+
+    const createComment = (overrides = {}) => Comment.create({
+        blog: blog._id,
+        content: 'Great overview of denial management',
+        authorName: 'Reader',
+        authorEmail: 'reader@example.com',
+        status: 'approved',
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'cm_admin',
+            email: 'cm_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        readerUser = await User.create({
+            username: 'cm_reader',
+            email: 'cm_reader@test.com',
+            password: 'password123',
+            role: 'reader'
+        });
+
+        const billing = await Category.create({ name: 'Billing', createdBy: adminUser._id });
+
+        blog = await Blog.create({
+            title: 'Denial Management Basics',
+            content: '<p>content</p>',
+            excerpt: 'excerpt',
+            category: billing._id,
+            author: adminUser._id,
+            status: 'published'
+        });
+
+        adminToken = authService.generateToken(adminUser);
+        readerToken = authService.generateToken(readerUser);
+    });
+
+    describe('POST /api/blogs/:slug/comments', () => {
+        it('should accept a guest comment as pending without exposing the email', async () => {
+            const response = await postComment({ content: 'Very helpful', ...guest });
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.status).toBe('pending');
+            expect(response.body.data.authorName).toBe('Guest Reader');
+            expect(response.body.data.authorEmail).toBeUndefined();
+            expect(response.body.data.ipAddress).toBeUndefined();
+            expect(response.body.message).toBe('Comment submitted and awaiting moderation');
+        });
+
+        it('should require a name and email from guests', async () => {
+            const response = await postComment({ content: 'Anonymous' });
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should link signed-in readers to their account', async () => {
+            const response = await postComment({ content: 'Signed in comment' }, readerToken);
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.author.username).toBe('cm_reader');
+            expect(response.body.data.status).toBe('pending');
+        });
+
+        it('should auto-approve comments from staff', async () => {
+            const response = await postComment({ content: 'Author reply' }, adminToken);
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.status).toBe('approved');
+        });
+
+        it('should nest replies and cap the depth', async () => {
+            let parent = await createComment();
+            for (let depth = 1; depth <= 4; depth++) {
+                const response = await postComment({ content: `Reply ${depth}`, parentId: parent._id, ...guest });
+                expect(response.status).toBe(201);
+                parent = await Comment.findByIdAndUpdate(response.body.data._id, { status: 'approved' }, { new: true });
+            }
+
+            expect(parent.depth).toBe(3);
+            const deepest = await Comment.findOne({ content: 'Reply 3' });
+            expect(parent.parent.toString()).toBe(deepest.parent.toString());
+        });
+
+        it('should not allow replies to unapproved comments', async () => {
+            const pending = await createComment({ status: 'pending' });
+
+            const response = await postComment({ content: 'Reply', parentId: pending._id, ...guest });
+
+            expect(response.status).toBe(404);
+        });
+
+        it('should not accept comments on unpublished blogs', async () => {
+            await Blog.updateOne({ _id: blog._id }, { status: 'draft' });
+
+            const response = await postComment({ content: 'Early comment', ...guest });
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('GET /api/blogs/:slug/comments', () => {
+        it('should list approved comments with nested replies and pagination', async () => {
+            const first = await createComment({ content: 'First' });
+            await createComment({ content: 'Reply', parent: first._id, root: first._id, depth: 1 });
+            await createComment({ content: 'Hidden reply', parent: first._id, root: first._id, depth: 1, status: 'spam' });
+            await createComment({ content: 'Pending', status: 'pending' });
+
+            const response = await request(app)
+                .get(`/api/blogs/${blog.slug}/comments`)
+                .query({ page: 1, limit: 10 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0].replies.map(reply => reply.content)).toEqual(['Reply']);
+            expect(response.body.data[0].authorEmail).toBeUndefined();
+            expect(response.body.pagination.total).toBe(1);
+            expect(response.body.totalComments).toBe(2);
+        });
+
+        it('should paginate top-level comments', async () => {
+            for (let i = 0; i < 3; i++) {
+                await createComment({ content: `Comment ${i}` });
+            }
+
+            const response = await request(app)
+                .get(`/api/blogs/${blog.slug}/comments`)
+                .query({ page: 2, limit: 2 });
+
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.pagination.hasPrevPage).toBe(true);
+        });
+    });
+
+    describe('Moderation', () => {
+        it('should list comments by status with counts for editors', async () => {
+            await createComment({ status: 'pending' });
+            await createComment({ status: 'spam' });
+
+            const response = await request(app)
+                .get('/api/comments')
+                .query({ status: 'pending' })
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0].authorEmail).toBe('reader@example.com');
+            expect(response.body.data[0].blog.title).toBe('Denial Management Basics');
+            expect(response.body.counts).toMatchObject({ total: 2, pending: 1, spam: 1, approved: 0 });
+        });
+
+        it('should moderate a single comment', async () => {
+            const comment = await createComment({ status: 'pending' });
+
+            const response = await request(app)
+                .patch(`/api/comments/${comment._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ status: 'approved' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('approved');
+            expect(response.body.data.moderatedBy.username).toBe('cm_admin');
+        });
+
+        it('should bulk reject comments', async () => {
+            const a = await createComment({ status: 'pending' });
+            const b = await createComment({ status: 'pending' });
+
+            const response = await request(app)
+                .post('/api/comments/bulk')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ ids: [a._id, b._id], status: 'rejected' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.modified).toBe(2);
+            expect(await Comment.countDocuments({ status: 'rejected' })).toBe(2);
+        });
+
+        it('should reject unknown moderation statuses', async () => {
+            const comment = await createComment({ status: 'pending' });
+
+            const response = await request(app)
+                .post('/api/comments/bulk')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ ids: [comment._id], status: 'deleted' });
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should delete a comment with its replies', async () => {
+            const root = await createComment();
+            const reply = await createComment({ parent: root._id, root: root._id, depth: 1 });
+            await createComment({ parent: reply._id, root: root._id, depth: 2 });
+
+            const response = await request(app)
+                .delete(`/api/comments/${root._id}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.deletedCount).toBe(3);
+        });
+
+        it('should not be available to readers', async () => {
+            const response = await request(app)
+                .get('/api/comments')
+                .set('Authorization', `Bearer ${readerToken}`);
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('Analytics overview', () => {
+        it('should include comment counts', async () => {
+            await createComment();
+            await createComment({ status: 'pending' });
+
+            const response = await request(app)
+                .get('/api/analytics/overview')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.totalComments).toBe(2);
+            expect(response.body.data.comments).toMatchObject({ approved: 1, pending: 1, spam: 0, rejected: 0 });
+        });
+    });
+});
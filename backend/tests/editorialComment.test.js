@@ -0,0 +1,274 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const EditorialComment = require('../models/EditorialComment');
+const User = require('../models/User');
+const authService = require('../services/authService');
+
+describe('Editorial Comments', () => {
+    let adminUser, editorUser, reviewerUser, readerUser;
+    let adminToken, editorToken, reviewerToken, readerToken;
+    let blog;
+
+    const anchor = { index: 3, length: 13, quote: 'prior consent' };
+
+    const postComment = (token, body) => request(app)
+        .post(`/api/blogs/${blog._id}/comments`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'ec_admin',
+            email: 'ec_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        editorUser = await User.create({
+            username: 'ec_editor',
+            email: 'ec_editor@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+        reviewerUser = await User.create({
+            username: 'ec_reviewer',
+            email: 'ec_reviewer@test.com',
+            password: 'password123',
+            role: 'reviewer'
+        });
+        readerUser = await User.create({
+            username: 'ec_reader',
+            email: 'ec_reader@test.com',
+            password: 'password123',
+            role: 'reader'
+        });
+
+        const billing = await Category.create({ name: 'Billing', createdBy: adminUser._id });
+
+        blog = await Blog.create({
+            title: 'Comment Test Blog',
+            content: '<p>No prior consent was recorded</p>',
+            excerpt: 'excerpt',
+            category: billing._id,
+            author: editorUser._id,
+            status: 'published'
+        });
+
+        adminToken = authService.generateToken(adminUser);
+        editorToken = authService.generateToken(editorUser);
+        reviewerToken = authService.generateToken(reviewerUser);
+        readerToken = authService.generateToken(readerUser);
+    });
+
+    describe('EditorialComment.extractMentions', () => {
+        it('should return unique usernames without emails', () => {
+            const mentions = EditorialComment.extractMentions('@ec_editor please check with @ec_admin and @ec_editor, not me@example.com');
+
+            expect(mentions).toEqual(['ec_editor', 'ec_admin']);
+        });
+    });
+
+    describe('POST /api/blogs/:id/comments', () => {
+        it('should start an anchored thread and resolve mentions', async () => {
+            const response = await postComment(reviewerToken, {
+                body: '@ec_editor cite the consent rule. cc @ec_reader @nobody',
+                anchor
+            });
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.anchor).toEqual(anchor);
+            expect(response.body.data.status).toBe('open');
+            expect(response.body.data.author.username).toBe('ec_reviewer');
+            // Readers are not part of editorial review and unknown names are ignored
+            expect(response.body.data.mentions.map(user => user.username)).toEqual(['ec_editor']);
+        });
+
+        it('should require an anchor for new threads', async () => {
+            const response = await postComment(reviewerToken, { body: 'Floating comment' });
+
+            expect(response.status).toBe(400);
+            expect(await EditorialComment.countDocuments()).toBe(0);
+        });
+
+        it('should require comment text', async () => {
+            const response = await postComment(reviewerToken, { body: '  ', anchor });
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should attach replies to the root of the thread', async () => {
+            const root = await postComment(reviewerToken, { body: 'Needs a source', anchor });
+            const reply = await postComment(editorToken, { body: 'Added one', parentId: root.body.data._id });
+            const nested = await postComment(reviewerToken, { body: 'Thanks', parentId: reply.body.data._id });
+
+            expect(reply.status).toBe(201);
+            expect(nested.body.data.parent).toBe(root.body.data._id);
+        });
+
+        it('should not let readers comment', async () => {
+            const response = await postComment(readerToken, { body: 'Hello', anchor });
+
+            expect(response.status).toBe(403);
+        });
+
+        it('should return 404 for unknown blogs', async () => {
+            const response = await request(app)
+                .post('/api/blogs/507f1f77bcf86cd799439011/comments')
+                .set('Authorization', `Bearer ${reviewerToken}`)
+                .send({ body: 'Hello', anchor });
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('GET /api/blogs/:id/comments', () => {
+        it('should return threads with replies and open counts', async () => {
+            const root = await postComment(reviewerToken, { body: 'Needs a source', anchor });
+            await postComment(editorToken, { body: 'Added one', parentId: root.body.data._id });
+            await postComment(reviewerToken, { body: 'Typo', anchor: { index: 20, length: 3, quote: 'was' } });
+
+            const response = await request(app)
+                .get(`/api/blogs/${blog._id}/comments`)
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(2);
+            expect(response.body.data[0].replies).toHaveLength(1);
+            expect(response.body.data[0].replies[0].author.username).toBe('ec_editor');
+            expect(response.body.counts).toEqual({ total: 2, open: 2 });
+        });
+
+        it('should filter threads by status', async () => {
+            const root = await postComment(reviewerToken, { body: 'Needs a source', anchor });
+            await request(app)
+                .patch(`/api/blogs/${blog._id}/comments/${root.body.data._id}/resolve`)
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            const response = await request(app)
+                .get(`/api/blogs/${blog._id}/comments`)
+                .query({ status: 'open' })
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.body.data).toHaveLength(0);
+        });
+    });
+
+    describe('Resolve and reopen', () => {
+        it('should resolve and reopen a thread', async () => {
+            const root = await postComment(reviewerToken, { body: 'Needs a source', anchor });
+            const url = `/api/blogs/${blog._id}/comments/${root.body.data._id}`;
+
+            const resolved = await request(app)
+                .patch(`${url}/resolve`)
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(resolved.status).toBe(200);
+            expect(resolved.body.data.status).toBe('resolved');
+            expect(resolved.body.data.resolvedBy.username).toBe('ec_editor');
+
+            const again = await request(app)
+                .patch(`${url}/resolve`)
+                .set('Authorization', `Bearer ${editorToken}`);
+            expect(again.status).toBe(409);
+
+            const reopened = await request(app)
+                .patch(`${url}/reopen`)
+                .set('Authorization', `Bearer ${reviewerToken}`);
+
+            expect(reopened.status).toBe(200);
+            expect(reopened.body.data.status).toBe('open');
+            expect(reopened.body.data.resolvedBy).toBeNull();
+        });
+
+        it('should not resolve replies', async () => {
+            const root = await postComment(reviewerToken, { body: 'Needs a source', anchor });
+            const reply = await postComment(editorToken, { body: 'Added one', parentId: root.body.data._id });
+
+            const response = await request(app)
+                .patch(`/api/blogs/${blog._id}/comments/${reply.body.data._id}/resolve`)
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('Edit and delete', () => {
+        it('should let authors edit their own comments', async () => {
+            const root = await postComment(reviewerToken, { body: 'Needs a source', anchor });
+
+            const response = await request(app)
+                .patch(`/api/blogs/${blog._id}/comments/${root.body.data._id}`)
+                .set('Authorization', `Bearer ${reviewerToken}`)
+                .send({ body: 'Needs a CMS source @ec_admin' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.body).toBe('Needs a CMS source @ec_admin');
+            expect(response.body.data.mentions[0].username).toBe('ec_admin');
+        });
+
+        it("should not let users edit someone else's comment", async () => {
+            const root = await postComment(reviewerToken, { body: 'Needs a source', anchor });
+
+            const response = await request(app)
+                .patch(`/api/blogs/${blog._id}/comments/${root.body.data._id}`)
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ body: 'Rewritten' });
+
+            expect(response.status).toBe(403);
+        });
+
+        it('should delete a thread with its replies', async () => {
+            const root = await postComment(reviewerToken, { body: 'Needs a source', anchor });
+            await postComment(editorToken, { body: 'Added one', parentId: root.body.data._id });
+
+            const response = await request(app)
+                .delete(`/api/blogs/${blog._id}/comments/${root.body.data._id}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.deletedCount).toBe(2);
+            expect(await EditorialComment.countDocuments()).toBe(0);
+        });
+
+        it('should remove comments when the blog is deleted', async () => {
+            await postComment(reviewerToken, { body: 'Needs a source', anchor });
+
+            await request(app)
+                .delete(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(await EditorialComment.countDocuments({ blog: blog._id })).toBe(0);
+        });
+    });
+
+    describe('GET /api/blogs/:id/comments/mentions', () => {
+        it('should suggest active staff users by prefix', async () => {
+            const response = await request(app)
+                .get(`/api/blogs/${blog._id}/comments/mentions`)
+                .query({ q: 'ec_' })
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(user => user.username)).toEqual(['ec_admin', 'ec_editor', 'ec_reviewer']);
+        });
+    });
+
+    describe('Public blog responses', () => {
+        it('should never include editorial comments', async () => {
+            await postComment(reviewerToken, { body: 'Internal only feedback', anchor });
+
+            const response = await request(app).get(`/api/blogs/${blog.slug}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.comments).toBeUndefined();
+            expect(JSON.stringify(response.body)).not.toContain('Internal only feedback');
+        });
+
+        it('should require authentication to read comments', async () => {
+            const response = await request(app).get(`/api/blogs/${blog._id}/comments`);
+
+            expect(response.status).toBe(401);
+        });
+    });
+});
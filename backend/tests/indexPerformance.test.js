@@ -2,10 +2,12 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const Blog = require('../models/Blog');
 const User = require('../models/User');
+const Category = require('../models/Category');
 
 describe('Database Index Performance Tests', () => {
     let mongoServer;
     let testUser;
+    let programming;
 
     beforeAll(async () => {
         // Start in-memory MongoDB instance
@@ -24,7 +26,9 @@ describe('Database Index Performance Tests', () => {
 
         // Create a larger dataset for performance testing
         const blogPromises = [];
-        const categories = ['Programming', 'Database', 'AI', 'DevOps', 'Security'];
+        const categories = await Promise.all(['Programming', 'Database', 'AI', 'DevOps', 'Security']
+            .map(name => Category.create({ name, createdBy: testUser._id })));
+        programming = categories[0];
         const tags = ['javascript', 'python', 'react', 'node', 'mongodb', 'sql', 'machine-learning'];
         const statuses = ['published', 'draft', 'archived'];
 
@@ -38,7 +42,7 @@ describe('Database Index Performance Tests', () => {
                     title: `Test Blog ${i + 1}`,
                     content: `This is test content for blog ${i + 1}. It contains various keywords for testing search functionality.`,
                     excerpt: `Test excerpt ${i + 1}`,
-                    category: randomCategory,
+                    category: randomCategory._id,
                     tags: randomTags,
                     status: randomStatus,
                     featured: Math.random() > 0.7,
@@ -107,7 +111,7 @@ describe('Database Index Performance Tests', () => {
 
             // Find by category and status (should use compound index)
             const blogs = await Blog.find({
-                category: 'Programming',
+                category: programming._id,
                 status: 'published'
             });
 
@@ -115,7 +119,7 @@ describe('Database Index Performance Tests', () => {
 
             expect(executionTime).toBeLessThan(100); // Should be fast with compound index
             blogs.forEach(blog => {
-                expect(blog.category).toBe('Programming');
+                expect(blog.category.name).toBe('Programming');
                 expect(blog.status).toBe('published');
             });
         });
@@ -194,7 +198,7 @@ describe('Database Index Performance Tests', () => {
             // Complex query with multiple filters
             const blogs = await Blog.find({
                 status: 'published',
-                category: 'Programming',
+                category: programming._id,
                 featured: true,
                 tags: { $in: ['javascript', 'react'] }
             }).sort({ viewCount: -1 }).lean();
@@ -309,7 +313,7 @@ describe('Database Index Performance Tests', () => {
         test('should validate compound index usage', async () => {
             // Test queries that should benefit from compound indexes
             const queries = [
-                { status: 'published', category: 'Programming' },
+                { status: 'published', category: programming._id },
                 { status: 'published', featured: true },
                 { status: 'published', tags: { $in: ['javascript'] } },
                 { author: testUser._id, status: 'published' }
@@ -16,6 +16,7 @@ const requestLogger = require('../middleware/requestLogger');
 // Import models
 const User = require('../models/User');
 const Blog = require('../models/Blog');
+const Category = require('../models/Category');
 
 // Import services
 const AuthService = require('../services/authService');
@@ -25,6 +26,7 @@ describe('Integration Tests - Full API Workflow', () => {
     let adminUser, editorUser, readerUser;
     let adminToken, editorToken, readerToken;
     let testBlog;
+    let testing, analytics;
 
     beforeAll(async () => {
         // Create Express app with all middleware and routes
@@ -72,6 +74,9 @@ describe('Integration Tests - Full API Workflow', () => {
             isActive: true
         });
 
+        testing = await Category.create({ name: 'Testing', createdBy: adminUser._id });
+        analytics = await Category.create({ name: 'Analytics', createdBy: adminUser._id });
+
         // Generate tokens
         adminToken = AuthService.generateToken(adminUser._id);
         editorToken = AuthService.generateToken(editorUser._id);
@@ -201,7 +206,7 @@ describe('Integration Tests - Full API Workflow', () => {
                 content: '<p>Test content</p>',
                 excerpt: 'Test excerpt',
                 author: adminUser._id,
-                category: 'Testing',
+                category: testing._id,
                 status: 'published'
             });
 
@@ -324,7 +329,7 @@ describe('Integration Tests - Full API Workflow', () => {
                     content: '<p>Content 1</p>',
                     excerpt: 'Excerpt 1',
                     author: adminUser._id,
-                    category: 'Analytics',
+                    category: analytics._id,
                     status: 'published',
                     viewCount: 100,
                     likes: [readerUser._id]
@@ -334,7 +339,7 @@ describe('Integration Tests - Full API Workflow', () => {
                     content: '<p>Content 2</p>',
                     excerpt: 'Excerpt 2',
                     author: editorUser._id,
-                    category: 'Analytics',
+                    category: analytics._id,
                     status: 'published',
                     viewCount: 50,
                     likes: []
@@ -0,0 +1,116 @@
+const invitationService = require('../services/invitationService');
+const mailService = require('../services/mailService');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+
+describe('InvitationService', () => {
+    const inviter = { _id: '507f1f77bcf86cd799439011', username: 'admin' };
+    const acceptUrlBase = 'http://localhost:3001/accept-invite';
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(Invitation.prototype, 'save').mockImplementation(async function () {
+            this.isNew = false;
+            return this;
+        });
+        jest.spyOn(Invitation, 'exists').mockResolvedValue(null);
+        jest.spyOn(User, 'exists').mockResolvedValue(null);
+        jest.spyOn(mailService, 'sendInvitation').mockResolvedValue({ accepted: ['new@example.com'] });
+    });
+
+    describe('invite', () => {
+        it('should email a single-use link and store only the token hash', async () => {
+            const invitation = await invitationService.invite({ email: 'New@Example.com', role: 'editor', inviter, acceptUrlBase });
+
+            expect(invitation.email).toBe('new@example.com');
+            expect(invitation.status).toBe('pending');
+
+            const [, acceptUrl, , hours] = mailService.sendInvitation.mock.calls[0];
+            const token = new URL(acceptUrl).searchParams.get('token');
+            expect(acceptUrl.startsWith(`${acceptUrlBase}?token=`)).toBe(true);
+            expect(invitation.tokenHash).toBe(Invitation.hashToken(token));
+            expect(hours).toBe(72);
+        });
+
+        it('should reject emails that already have an account or a pending invitation', async () => {
+            User.exists.mockResolvedValueOnce({ _id: 'u1' });
+            await expect(invitationService.invite({ email: 'taken@example.com', role: 'editor', inviter, acceptUrlBase }))
+                .rejects.toThrow('A user with this email already exists');
+
+            Invitation.exists.mockResolvedValueOnce({ _id: 'i1' });
+            await expect(invitationService.invite({ email: 'pending@example.com', role: 'editor', inviter, acceptUrlBase }))
+                .rejects.toThrow('An invitation is already pending for this email. Resend it instead.');
+        });
+
+        it('should remove the invitation when the email cannot be sent', async () => {
+            mailService.sendInvitation.mockRejectedValue(new Error('SMTP down'));
+            jest.spyOn(Invitation, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+            await expect(invitationService.invite({ email: 'new@example.com', role: 'editor', inviter, acceptUrlBase }))
+                .rejects.toThrow('Failed to send invitation email');
+            expect(Invitation.deleteOne).toHaveBeenCalled();
+        });
+    });
+
+    describe('resend', () => {
+        it('should replace the token so earlier links stop working', async () => {
+            const invitation = new Invitation({ email: 'new@example.com', role: 'editor', invitedBy: inviter._id, tokenHash: 'old', expiresAt: new Date(0) });
+
+            await invitationService.resend(invitation, inviter, acceptUrlBase);
+
+            expect(invitation.tokenHash).not.toBe('old');
+            expect(invitation.sendCount).toBe(2);
+            expect(invitation.expiresAt > new Date()).toBe(true);
+        });
+
+        it('should not resend accepted or revoked invitations', async () => {
+            const accepted = new Invitation({ email: 'a@example.com', role: 'editor', acceptedAt: new Date() });
+            const revoked = new Invitation({ email: 'b@example.com', role: 'editor', revokedAt: new Date() });
+
+            await expect(invitationService.resend(accepted, inviter, acceptUrlBase)).rejects.toThrow('Invitation has already been accepted');
+            await expect(invitationService.resend(revoked, inviter, acceptUrlBase)).rejects.toThrow('Invitation has already been revoked');
+        });
+    });
+
+    describe('accept', () => {
+        const account = { username: 'newbie', password: 'secret123' };
+
+        it('should claim the token and create the account with the invited role', async () => {
+            const invitation = new Invitation({ email: 'new@example.com', role: 'editor', acceptedAt: new Date() });
+            jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue(invitation);
+            jest.spyOn(User, 'create').mockImplementation(async (data) => ({ _id: 'u1', ...data }));
+
+            const user = await invitationService.accept('a'.repeat(64), account);
+
+            expect(Invitation.findOneAndUpdate).toHaveBeenCalledWith(
+                expect.objectContaining({ tokenHash: Invitation.hashToken('a'.repeat(64)), acceptedAt: null, revokedAt: null }),
+                expect.objectContaining({ acceptedAt: expect.any(Date) }),
+                { new: true }
+            );
+            expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+                username: 'newbie',
+                email: 'new@example.com',
+                password: 'secret123',
+                role: 'editor'
+            }));
+            expect(user._id).toBe('u1');
+            expect(invitation.acceptedUser).toBeDefined();
+        });
+
+        it('should reject used, revoked or expired tokens', async () => {
+            jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue(null);
+
+            await expect(invitationService.accept('a'.repeat(64), account)).rejects.toThrow('Invitation is invalid or has expired');
+        });
+
+        it('should release the token when the account cannot be created', async () => {
+            const invitation = new Invitation({ email: 'new@example.com', role: 'editor', acceptedAt: new Date() });
+            jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue(invitation);
+            jest.spyOn(Invitation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+            User.exists.mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: 'u2' });
+
+            await expect(invitationService.accept('a'.repeat(64), account)).rejects.toThrow('Username is already taken');
+            expect(Invitation.updateOne).toHaveBeenCalledWith({ _id: invitation._id }, { acceptedAt: null });
+        });
+    });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const app = require('../server');
+const Invitation = require('../models/Invitation');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const mailService = require('../services/mailService');
+
+describe('Invitations', () => {
+    let adminUser, editorUser, adminToken, editorToken;
+    let sentMessages;
+
+    const createUser = (username, role) => User.create({
+        username,
+        email: `${username}@test.com`,
+        password: 'password123',
+        role
+    });
+
+    const tokenFor = async (user) => (await authService.createSession(user)).token;
+
+    const getInviteToken = () => {
+        const { text } = sentMessages[sentMessages.length - 1];
+        return text.match(/token=([a-f0-9]{64})/)[1];
+    };
+
+    const invite = (data = {}, token = adminToken) => request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ email: 'newcomer@test.com', role: 'editor', ...data });
+
+    const accept = (data = {}) => request(app)
+        .post('/api/invitations/accept')
+        .send({ token: getInviteToken(), username: 'newcomer', password: 'chosenpass', ...data });
+
+    beforeEach(async () => {
+        sentMessages = [];
+        mailService.setTransport({
+            send: jest.fn(async (message) => {
+                sentMessages.push(message);
+                return { accepted: [message.to] };
+            })
+        });
+
+        adminUser = await createUser('invite_admin', 'admin');
+        editorUser = await createUser('invite_editor', 'editor');
+        adminToken = await tokenFor(adminUser);
+        editorToken = await tokenFor(editorUser);
+    });
+
+    afterAll(() => {
+        mailService.setTransport(null);
+    });
+
+    describe('POST /api/invitations', () => {
+        it('should email a single-use link and audit the invitation', async () => {
+            const response = await invite();
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.status).toBe('pending');
+            expect(response.body.data.tokenHash).toBeUndefined();
+            expect(sentMessages).toHaveLength(1);
+            expect(sentMessages[0].to).toBe('newcomer@test.com');
+
+            const stored = await Invitation.findById(response.body.data._id).select('+tokenHash');
+            expect(stored.tokenHash).toBe(Invitation.hashToken(getInviteToken()));
+
+            const log = await AuditLog.findOne({ action: 'invitation.create' });
+            expect(log.actor.toString()).toBe(adminUser._id.toString());
+        });
+
+        it('should reject existing users and duplicate pending invitations', async () => {
+            const existing = await invite({ email: 'invite_editor@test.com' });
+            expect(existing.status).toBe(409);
+
+            await invite();
+            const duplicate = await invite();
+            expect(duplicate.status).toBe(409);
+        });
+
+        it('should require the user.invite permission', async () => {
+            const response = await invite({}, editorToken);
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('POST /api/invitations/accept', () => {
+        it('should create the account with the invited role and the chosen password', async () => {
+            await invite();
+
+            const lookup = await request(app).get(`/api/invitations/accept/${getInviteToken()}`);
+            expect(lookup.status).toBe(200);
+            expect(lookup.body.data).toMatchObject({ email: 'newcomer@test.com', role: 'editor', invitedBy: 'invite_admin' });
+
+            const response = await accept({ profile: { firstName: 'New' } });
+            expect(response.status).toBe(201);
+            expect(response.body.data.user.role).toBe('editor');
+
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'newcomer@test.com', password: 'chosenpass' });
+            expect(login.status).toBe(200);
+
+            const invitation = await Invitation.findOne({ email: 'newcomer@test.com' });
+            expect(invitation.status).toBe('accepted');
+            expect(invitation.acceptedUser.toString()).toBe(response.body.data.user._id);
+        });
+
+        it('should not accept the same link twice', async () => {
+            await invite();
+            await accept();
+
+            const again = await accept({ username: 'someone_else' });
+            expect(again.status).toBe(404);
+        });
+
+        it('should keep the link usable when the username is taken', async () => {
+            await invite();
+
+            const taken = await accept({ username: 'invite_editor' });
+            expect(taken.status).toBe(409);
+
+            const retry = await accept();
+            expect(retry.status).toBe(201);
+        });
+
+        it('should reject expired and revoked invitations', async () => {
+            const created = await invite();
+            await Invitation.updateOne({ _id: created.body.data._id }, { expiresAt: new Date(Date.now() - 1000) });
+            expect((await accept()).status).toBe(404);
+
+            const second = await invite({ email: 'second@test.com' });
+            await request(app)
+                .delete(`/api/invitations/${second.body.data._id}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect((await accept({ username: 'second' })).status).toBe(404);
+        });
+    });
+
+    describe('POST /api/invitations/:id/resend', () => {
+        it('should invalidate the previous link', async () => {
+            const created = await invite();
+            const firstToken = getInviteToken();
+
+            const response = await request(app)
+                .post(`/api/invitations/${created.body.data._id}/resend`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.sendCount).toBe(2);
+            expect(getInviteToken()).not.toBe(firstToken);
+
+            const stale = await request(app).get(`/api/invitations/accept/${firstToken}`);
+            expect(stale.status).toBe(404);
+        });
+    });
+
+    describe('GET /api/invitations', () => {
+        it('should filter invitations by status', async () => {
+            await invite();
+            const revoked = await invite({ email: 'revoked@test.com' });
+            await request(app)
+                .delete(`/api/invitations/${revoked.body.data._id}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            const response = await request(app)
+                .get('/api/invitations?status=pending')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(invitation => invitation.email)).toEqual(['newcomer@test.com']);
+            expect(response.body.data[0].invitedBy.username).toBe('invite_admin');
+        });
+    });
+});
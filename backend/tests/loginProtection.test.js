@@ -0,0 +1,119 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const authService = require('../services/authService');
+
+describe('Login brute-force protection', () => {
+    let user, adminToken;
+
+    const login = (identifier, password) => request(app)
+        .post('/api/auth/login')
+        .send({ identifier, password });
+
+    beforeAll(() => {
+        process.env.LOGIN_MAX_ATTEMPTS = '3';
+        process.env.LOGIN_IP_MAX_ATTEMPTS = '6';
+        process.env.LOGIN_DELAY_BASE_MS = '0';
+    });
+
+    afterAll(() => {
+        delete process.env.LOGIN_MAX_ATTEMPTS;
+        delete process.env.LOGIN_IP_MAX_ATTEMPTS;
+        delete process.env.LOGIN_DELAY_BASE_MS;
+    });
+
+    beforeEach(async () => {
+        user = await User.create({
+            username: 'bf_editor',
+            email: 'bf_editor@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+        const admin = await User.create({
+            username: 'bf_admin',
+            email: 'bf_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        ({ token: adminToken } = await authService.createSession(admin));
+    });
+
+    it('should lock the account after too many failures', async () => {
+        for (let i = 0; i < 3; i++) {
+            const response = await login('bf_editor', 'wrongpassword');
+            expect(response.status).toBe(401);
+        }
+
+        const locked = await login('bf_editor', 'password123');
+
+        expect(locked.status).toBe(429);
+        expect(locked.body.error).toContain('temporarily locked');
+        expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+
+        const stored = await User.findById(user._id);
+        expect(stored.isLocked).toBe(true);
+        expect(stored.failedLoginAttempts).toBe(3);
+    });
+
+    it('should reset the count after a successful login', async () => {
+        await login('bf_editor', 'wrongpassword');
+        await login('bf_editor', 'wrongpassword');
+
+        const response = await login('bf_editor', 'password123');
+        expect(response.status).toBe(200);
+
+        const stored = await User.findById(user._id);
+        expect(stored.failedLoginAttempts).toBe(0);
+    });
+
+    it('should let the account sign in again once the lockout expires', async () => {
+        await User.updateOne(
+            { _id: user._id },
+            { failedLoginAttempts: 3, lockUntil: new Date(Date.now() - 1000) }
+        );
+
+        const response = await login('bf_editor', 'password123');
+
+        expect(response.status).toBe(200);
+    });
+
+    it('should block an address trying many accounts', async () => {
+        for (let i = 0; i < 6; i++) {
+            await login(`unknown${i}@test.com`, 'wrongpassword');
+        }
+
+        expect(await LoginAttempt.countDocuments()).toBe(6);
+
+        const response = await login('bf_editor', 'password123');
+        expect(response.status).toBe(429);
+        expect(response.body.error).toContain('Too many failed login attempts');
+    });
+
+    it('should let admins unlock an account', async () => {
+        await User.updateOne(
+            { _id: user._id },
+            { failedLoginAttempts: 3, lockUntil: new Date(Date.now() + 60000) }
+        );
+
+        const response = await request(app)
+            .patch(`/api/users/${user._id}/unlock`)
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.isLocked).toBe(false);
+
+        const loginResponse = await login('bf_editor', 'password123');
+        expect(loginResponse.status).toBe(200);
+    });
+
+    it('should not let non-admins unlock accounts', async () => {
+        const { token } = await authService.createSession(user);
+
+        const response = await request(app)
+            .patch(`/api/users/${user._id}/unlock`)
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).toBe(403);
+    });
+});
@@ -0,0 +1,150 @@
+const loginProtectionService = require('../services/loginProtectionService');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const logger = require('../utils/logger');
+
+jest.mock('../models/User');
+jest.mock('../models/LoginAttempt');
+
+describe('LoginProtectionService', () => {
+    const context = { ipAddress: '10.0.0.1', userAgent: 'jest' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(logger, 'security').mockImplementation(() => {});
+        delete process.env.LOGIN_MAX_ATTEMPTS;
+        delete process.env.LOGIN_DELAY_BASE_MS;
+    });
+
+    describe('getDelay', () => {
+        it('should double the delay with each failure up to the cap', () => {
+            expect(loginProtectionService.getDelay(0)).toBe(0);
+            expect(loginProtectionService.getDelay(1)).toBe(250);
+            expect(loginProtectionService.getDelay(3)).toBe(1000);
+            expect(loginProtectionService.getDelay(20)).toBe(5000);
+        });
+
+        it('should allow turning the delay off', () => {
+            process.env.LOGIN_DELAY_BASE_MS = '0';
+
+            expect(loginProtectionService.getDelay(4)).toBe(0);
+        });
+    });
+
+    describe('assertAddressAllowed', () => {
+        it('should block an address over the limit', async () => {
+            LoginAttempt.countRecent.mockResolvedValue(20);
+
+            await expect(loginProtectionService.assertAddressAllowed(context))
+                .rejects.toThrow('Too many failed login attempts');
+            expect(logger.security).toHaveBeenCalledWith('login_blocked_address', expect.objectContaining({
+                ipAddress: '10.0.0.1'
+            }));
+        });
+
+        it('should return the recent failures of an allowed address', async () => {
+            LoginAttempt.countRecent.mockResolvedValue(3);
+
+            await expect(loginProtectionService.assertAddressAllowed(context)).resolves.toBe(3);
+        });
+    });
+
+    describe('assertNotLocked', () => {
+        it('should reject a locked account with the remaining time', async () => {
+            const user = { _id: 'user123', isLocked: true, lockUntil: new Date(Date.now() + 60000) };
+
+            const error = await loginProtectionService.assertNotLocked(user, 'editor', context).catch(err => err);
+
+            expect(error.message).toContain('temporarily locked');
+            expect(error.retryAfter).toBeGreaterThan(0);
+            expect(error.retryAfter).toBeLessThanOrEqual(60);
+            expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ reason: 'account_locked' }));
+        });
+    });
+
+    describe('recordFailure', () => {
+        it('should count the failure and lock the account at the limit', async () => {
+            process.env.LOGIN_MAX_ATTEMPTS = '3';
+            User.findOneAndUpdate.mockResolvedValue({ failedLoginAttempts: 3, isLocked: false });
+
+            await loginProtectionService.recordFailure({ _id: 'user123' }, 'editor', context);
+
+            expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'user123' },
+                expect.objectContaining({ $inc: { failedLoginAttempts: 1 } }),
+                { new: true }
+            );
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: 'user123' },
+                { $set: { lockUntil: expect.any(Date) } }
+            );
+            expect(logger.security).toHaveBeenCalledWith('account_locked', expect.objectContaining({ userId: 'user123' }));
+        });
+
+        it('should start counting again after a lockout expired', async () => {
+            User.findOneAndUpdate.mockResolvedValue({ failedLoginAttempts: 1, isLocked: false });
+
+            await loginProtectionService.recordFailure(
+                { _id: 'user123', lockUntil: new Date(Date.now() - 1000) },
+                'editor',
+                context
+            );
+
+            expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'user123' },
+                expect.objectContaining({ $set: expect.objectContaining({ failedLoginAttempts: 1 }), $unset: { lockUntil: 1 } }),
+                { new: true }
+            );
+            expect(User.updateOne).not.toHaveBeenCalled();
+        });
+
+        it('should still lock the account when the attempt cannot be stored', async () => {
+            process.env.LOGIN_MAX_ATTEMPTS = '3';
+            jest.spyOn(logger, 'error').mockImplementation(() => {});
+            User.findOneAndUpdate.mockResolvedValue({ failedLoginAttempts: 3, isLocked: false });
+            LoginAttempt.create.mockRejectedValueOnce(new Error('validation failed'));
+
+            await expect(loginProtectionService.recordFailure({ _id: 'user123' }, 'editor', context)).resolves.toBeUndefined();
+
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: 'user123' },
+                { $set: { lockUntil: expect.any(Date) } }
+            );
+            expect(logger.error).toHaveBeenCalledWith('Failed to store login attempt', expect.any(Object));
+        });
+
+        it('should cut long user agents to the stored length', async () => {
+            User.findOneAndUpdate.mockResolvedValue({ failedLoginAttempts: 1, isLocked: false });
+
+            await loginProtectionService.recordFailure(
+                { _id: 'user123' },
+                'editor',
+                { ...context, userAgent: 'x'.repeat(2000) }
+            );
+
+            expect(LoginAttempt.create.mock.calls[0][0].userAgent).toHaveLength(500);
+        });
+
+        it('should track unknown accounts by address only', async () => {
+            await loginProtectionService.recordFailure(null, 'nobody', context, 'unknown_account');
+
+            expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({
+                ipAddress: '10.0.0.1',
+                identifier: 'nobody',
+                reason: 'unknown_account'
+            }));
+            expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recordSuccess', () => {
+        it('should reset the failure count', async () => {
+            await loginProtectionService.recordSuccess({ _id: 'user123', failedLoginAttempts: 2 }, context);
+
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: 'user123' },
+                expect.objectContaining({ $set: { failedLoginAttempts: 0 } })
+            );
+        });
+    });
+});
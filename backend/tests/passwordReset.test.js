@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const mailService = require('../services/mailService');
+
+describe('Password Reset', () => {
+    let user;
+    let sentMessages;
+
+    const getResetToken = () => {
+        const { text } = sentMessages[sentMessages.length - 1];
+        return text.match(/resetToken=([a-f0-9]{64})/)[1];
+    };
+
+    const requestReset = (email = 'reset_user@test.com') => request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email });
+
+    beforeEach(async () => {
+        sentMessages = [];
+        mailService.setTransport({
+            send: jest.fn(async (message) => {
+                sentMessages.push(message);
+                return { accepted: [message.to] };
+            })
+        });
+
+        user = await User.create({
+            username: 'reset_user',
+            email: 'reset_user@test.com',
+            password: 'oldpassword',
+            role: 'editor'
+        });
+    });
+
+    afterAll(() => {
+        mailService.setTransport(null);
+    });
+
+    describe('POST /api/auth/forgot-password', () => {
+        it('should email a reset link and store only the token hash', async () => {
+            const response = await requestReset();
+
+            expect(response.status).toBe(200);
+            expect(sentMessages).toHaveLength(1);
+            expect(sentMessages[0].to).toBe('reset_user@test.com');
+
+            const token = getResetToken();
+            const stored = await User.findById(user._id).select('+passwordResetToken +passwordResetExpires');
+            expect(stored.passwordResetToken).toBe(User.hashResetToken(token));
+            expect(stored.passwordResetToken).not.toBe(token);
+            expect(stored.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+        });
+
+        it('should give the same response for unknown emails', async () => {
+            const known = await requestReset();
+            const unknown = await requestReset('nobody@test.com');
+
+            expect(unknown.status).toBe(200);
+            expect(unknown.body.message).toBe(known.body.message);
+            expect(sentMessages).toHaveLength(1);
+        });
+
+        it('should validate the email', async () => {
+            const response = await requestReset('not-an-email');
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should clear the token but answer the same when the email cannot be sent', async () => {
+            const known = await requestReset('nobody@test.com');
+            mailService.setTransport({ send: jest.fn().mockRejectedValue(new Error('SMTP down')) });
+
+            const response = await requestReset();
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe(known.body.message);
+            const stored = await User.findById(user._id).select('+passwordResetToken');
+            expect(stored.passwordResetToken).toBeUndefined();
+        });
+    });
+
+    describe('POST /api/auth/reset-password', () => {
+        it('should set the new password and allow signing in with it', async () => {
+            await requestReset();
+
+            const response = await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token: getResetToken(), password: 'newpassword' });
+
+            expect(response.status).toBe(200);
+
+            const updated = await User.findById(user._id).select('+password');
+            expect(await updated.comparePassword('newpassword')).toBe(true);
+            expect(updated.passwordChangedAt).toBeDefined();
+        });
+
+        it('should only accept a token once', async () => {
+            await requestReset();
+            const token = getResetToken();
+
+            await request(app).post('/api/auth/reset-password').send({ token, password: 'newpassword' });
+            const response = await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token, password: 'anotherpassword' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Password reset token is invalid or has expired');
+        });
+
+        it('should reject expired tokens', async () => {
+            await requestReset();
+            await User.updateOne({ _id: user._id }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+            const response = await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token: getResetToken(), password: 'newpassword' });
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should invalidate existing sessions', async () => {
+            const { token, refreshToken } = await authService.createSession(user);
+
+            await requestReset();
+            await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token: getResetToken(), password: 'newpassword' });
+
+            const profile = await request(app)
+                .get('/api/auth/profile')
+                .set('Authorization', `Bearer ${token}`);
+            expect(profile.status).toBe(401);
+
+            const refresh = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken });
+            expect(refresh.status).toBe(401);
+        });
+    });
+
+    describe('mail transports', () => {
+        it('should write messages to disk with the file transport', async () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+            mailService.setTransport(mailService.createFileTransport(directory));
+
+            const result = await mailService.send({ to: 'a@test.com', subject: 'Hello', text: 'Body' });
+
+            const written = JSON.parse(fs.readFileSync(result.path, 'utf8'));
+            expect(written).toMatchObject({ to: 'a@test.com', subject: 'Hello', text: 'Body' });
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it('should not fall back to logging messages in production', async () => {
+            const { NODE_ENV, MAIL_TRANSPORT } = process.env;
+            process.env.NODE_ENV = 'production';
+            process.env.MAIL_TRANSPORT = 'console';
+
+            try {
+                expect(mailService.createDefaultTransport()).not.toBe(mailService.consoleTransport);
+                await expect(mailService.createDefaultTransport().send({ to: 'a@test.com' }))
+                    .rejects.toThrow('No mail transport is configured');
+
+                process.env.NODE_ENV = 'development';
+                expect(mailService.createDefaultTransport()).toBe(mailService.consoleTransport);
+            } finally {
+                process.env.NODE_ENV = NODE_ENV;
+                if (MAIL_TRANSPORT === undefined) {
+                    delete process.env.MAIL_TRANSPORT;
+                } else {
+                    process.env.MAIL_TRANSPORT = MAIL_TRANSPORT;
+                }
+            }
+        });
+
+        it('should reject transports without send()', () => {
+            expect(() => mailService.setTransport({})).toThrow('Mail transport must implement send(message)');
+        });
+    });
+});
@@ -0,0 +1,82 @@
+const permissionService = require('../services/permissionService');
+const Role = require('../models/Role');
+const { PERMISSION_KEYS, BUILT_IN_ROLES } = require('../config/permissions');
+
+jest.mock('../models/Role');
+
+describe('PermissionService', () => {
+    // Role.findOne(...).select(...).lean() and Role.find(...).select/sort(...).lean()
+    const mockQuery = (result) => ({
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(result)
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getPermissions', () => {
+        it('should always give admins every permission', async () => {
+            Role.findOne.mockReturnValue(mockQuery({ name: 'admin', permissions: [] }));
+
+            await expect(permissionService.getPermissions('admin')).resolves.toEqual(PERMISSION_KEYS);
+            expect(Role.findOne).not.toHaveBeenCalled();
+        });
+
+        it('should use the saved permissions of a role', async () => {
+            Role.findOne.mockReturnValue(mockQuery({ name: 'editor', permissions: ['blog.create'] }));
+
+            await expect(permissionService.getPermissions('editor')).resolves.toEqual(['blog.create']);
+        });
+
+        it('should fall back to the defaults of unsaved built-in roles', async () => {
+            Role.findOne.mockReturnValue(mockQuery(null));
+
+            await expect(permissionService.getPermissions('reviewer')).resolves.toEqual(BUILT_IN_ROLES.reviewer.permissions);
+            await expect(permissionService.getPermissions('ghost')).resolves.toEqual([]);
+        });
+    });
+
+    describe('canAssignRole', () => {
+        it('should only allow roles whose permissions the user holds', async () => {
+            Role.findOne.mockReturnValue(mockQuery(null));
+            const req = { user: { role: 'custom' }, permissions: BUILT_IN_ROLES.editor.permissions };
+
+            await expect(permissionService.canAssignRole(req, 'editor')).resolves.toBe(true);
+            await expect(permissionService.canAssignRole(req, 'reader')).resolves.toBe(true);
+            await expect(permissionService.canAssignRole(req, 'admin')).resolves.toBe(false);
+            await expect(permissionService.canAssignRole(req, 'reviewer')).resolves.toBe(false);
+        });
+    });
+
+    describe('getRolesWith', () => {
+        it('should combine saved roles with unsaved built-in defaults', async () => {
+            Role.find.mockReturnValue(mockQuery([
+                { name: 'editor', permissions: ['blog.create'] },
+                { name: 'copywriter', permissions: ['editorial.comment'] }
+            ]));
+
+            const roles = await permissionService.getRolesWith('editorial.comment');
+
+            expect(roles).toEqual(expect.arrayContaining(['admin', 'copywriter', 'reviewer']));
+            expect(roles).not.toContain('editor');
+        });
+    });
+
+    describe('listRoles', () => {
+        it('should list built-in roles first and fill in unsaved ones', async () => {
+            Role.find.mockReturnValue(mockQuery([
+                { name: 'copywriter', label: 'Copywriter', permissions: ['blog.create'] },
+                { name: 'reviewer', label: 'Senior Reviewer', permissions: ['blog.review'] }
+            ]));
+
+            const roles = await permissionService.listRoles();
+
+            expect(roles.map(role => role.name)).toEqual(['admin', 'editor', 'reviewer', 'reader', 'copywriter']);
+            expect(roles[0].permissions).toEqual(PERMISSION_KEYS);
+            expect(roles[1].permissions).toEqual(BUILT_IN_ROLES.editor.permissions);
+            expect(roles[2]).toEqual(expect.objectContaining({ label: 'Senior Reviewer', permissions: ['blog.review'], isBuiltIn: true }));
+        });
+    });
+});
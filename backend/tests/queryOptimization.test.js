@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const Blog = require('../models/Blog');
 const User = require('../models/User');
+const Category = require('../models/Category');
 const {
     paginateQuery,
     searchBlogs,
@@ -16,6 +17,7 @@ describe('Query Optimization Tests', () => {
     let mongoServer;
     let testUser;
     let testBlogs = [];
+    const categories = {};
 
     beforeAll(async () => {
         // Start in-memory MongoDB instance
@@ -32,13 +34,17 @@ describe('Query Optimization Tests', () => {
             role: 'admin'
         });
 
+        for (const name of ['Programming', 'Database', 'AI']) {
+            categories[name] = await Category.create({ name, createdBy: testUser._id });
+        }
+
         // Create test blogs with different categories and tags
         const blogData = [
             {
                 title: 'JavaScript Fundamentals',
                 content: 'This is a comprehensive guide to JavaScript fundamentals covering variables, functions, and objects.',
                 excerpt: 'Learn JavaScript basics',
-                category: 'Programming',
+                category: categories.Programming._id,
                 tags: ['javascript', 'programming', 'web'],
                 status: 'published',
                 featured: true,
@@ -50,7 +56,7 @@ describe('Query Optimization Tests', () => {
                 title: 'React Best Practices',
                 content: 'Explore the best practices for building React applications with hooks and modern patterns.',
                 excerpt: 'React development tips',
-                category: 'Programming',
+                category: categories.Programming._id,
                 tags: ['react', 'javascript', 'frontend'],
                 status: 'published',
                 featured: false,
@@ -62,7 +68,7 @@ describe('Query Optimization Tests', () => {
                 title: 'Database Design Principles',
                 content: 'Understanding database design principles and normalization techniques for better data management.',
                 excerpt: 'Database design guide',
-                category: 'Database',
+                category: categories.Database._id,
                 tags: ['database', 'design', 'sql'],
                 status: 'published',
                 featured: true,
@@ -74,7 +80,7 @@ describe('Query Optimization Tests', () => {
                 title: 'Draft Article',
                 content: 'This is a draft article that should not appear in public queries.',
                 excerpt: 'Draft content',
-                category: 'Programming',
+                category: categories.Programming._id,
                 tags: ['draft'],
                 status: 'draft',
                 featured: false,
@@ -86,7 +92,7 @@ describe('Query Optimization Tests', () => {
                 title: 'Machine Learning Basics',
                 content: 'Introduction to machine learning concepts and algorithms for beginners.',
                 excerpt: 'ML fundamentals',
-                category: 'AI',
+                category: categories.AI._id,
                 tags: ['machine-learning', 'ai', 'python'],
                 status: 'published',
                 featured: false,
@@ -227,6 +233,19 @@ describe('Query Optimization Tests', () => {
             });
         });
 
+        test('should filter by author', async () => {
+            const result = await searchBlogs({
+                author: testUser._id.toString(),
+                page: 1,
+                limit: 10
+            });
+
+            expect(result.data.length).toBeGreaterThan(0);
+            result.data.forEach(blog => {
+                expect(blog.author._id.toString()).toBe(testUser._id.toString());
+            });
+        });
+
         test('should sort by different fields', async () => {
             const result = await searchBlogs({
                 sortBy: 'viewCount',
@@ -254,7 +273,7 @@ describe('Query Optimization Tests', () => {
 
             // Should include blogs with same category or overlapping tags
             const hasRelated = relatedBlogs.some(blog =>
-                blog.category === currentBlog.category ||
+                blog.category === 'Programming' ||
                 blog.tags.some(tag => currentBlog.tags.includes(tag))
             );
             expect(hasRelated).toBe(true);
@@ -341,7 +360,7 @@ describe('Query Optimization Tests', () => {
         });
 
         test('should filter statistics by criteria', async () => {
-            const stats = await getBlogStatistics({ category: 'Programming' });
+            const stats = await getBlogStatistics({ category: categories.Programming._id });
 
             expect(stats.totalBlogs).toBe(2); // 2 published Programming blogs
         });
@@ -380,7 +399,7 @@ describe('Query Optimization Tests', () => {
             const statusExplain = await statusQuery;
 
             // Test category + status compound index
-            const categoryQuery = Blog.find({ category: 'Programming', status: 'published' }).explain();
+            const categoryQuery = Blog.find({ category: categories.Programming._id, status: 'published' }).explain();
             const categoryExplain = await categoryQuery;
 
             // These tests verify that indexes are being used
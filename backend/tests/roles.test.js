@@ -0,0 +1,263 @@
+const request = require('supertest');
+const app = require('../server');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const authService = require('../services/authService');
+
+describe('Roles and permissions', () => {
+    let adminUser, editorUser, adminToken, editorToken;
+
+    const createUser = (username, role) => User.create({
+        username,
+        email: `${username}@test.com`,
+        password: 'password123',
+        role
+    });
+
+    const tokenFor = async (user) => (await authService.createSession(user)).token;
+
+    const blogData = {
+        title: 'Permission Test Blog',
+        content: '<p>Content</p>',
+        excerpt: 'Excerpt',
+        category: 'Billing'
+    };
+
+    beforeEach(async () => {
+        adminUser = await createUser('perm_admin', 'admin');
+        editorUser = await createUser('perm_editor', 'editor');
+        adminToken = await tokenFor(adminUser);
+        editorToken = await tokenFor(editorUser);
+
+        await Category.create({ name: 'Billing', createdBy: adminUser._id });
+    });
+
+    describe('GET /api/roles', () => {
+        it('should list built-in roles with the permission catalogue', async () => {
+            const response = await request(app)
+                .get('/api/roles')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            const names = response.body.data.roles.map(role => role.name);
+            expect(names).toEqual(['admin', 'editor', 'reviewer', 'reader']);
+
+            const admin = response.body.data.roles[0];
+            expect(admin.isEditable).toBe(false);
+            expect(admin.userCount).toBe(1);
+            expect(response.body.data.permissions.map(permission => permission.key)).toContain('blog.publish');
+        });
+
+        it('should not be available without user or role permissions', async () => {
+            const response = await request(app)
+                .get('/api/roles')
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('profile', () => {
+        it('should return the permissions of the role', async () => {
+            const response = await request(app)
+                .get('/api/auth/profile')
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.user.permissions).toContain('blog.create');
+            expect(response.body.data.user.permissions).not.toContain('user.manage');
+        });
+    });
+
+    describe('editing roles', () => {
+        it('should apply permission changes to users of a built-in role', async () => {
+            const updated = await request(app)
+                .put('/api/roles/editor')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ permissions: ['blog.edit.own', 'editorial.comment'] });
+
+            expect(updated.status).toBe(200);
+            expect(await Role.findOne({ name: 'editor' })).toBeTruthy();
+
+            const response = await request(app)
+                .post('/api/blogs')
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send(blogData);
+
+            expect(response.status).toBe(403);
+            expect(response.body.details).toContain('blog.create');
+        });
+
+        it('should reject unknown permissions', async () => {
+            const response = await request(app)
+                .put('/api/roles/editor')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ permissions: ['blog.create', 'blog.teleport'] });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toContain('blog.teleport');
+        });
+
+        it('should not change the admin role', async () => {
+            const response = await request(app)
+                .put('/api/roles/admin')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ permissions: [] });
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should require role.manage', async () => {
+            const response = await request(app)
+                .put('/api/roles/editor')
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ permissions: [] });
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('custom roles', () => {
+        it('should create a role that can be assigned to users', async () => {
+            const created = await request(app)
+                .post('/api/roles')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({
+                    name: 'Copywriter',
+                    label: 'Copywriter',
+                    permissions: ['blog.create', 'blog.edit.own']
+                });
+
+            expect(created.status).toBe(201);
+            expect(created.body.data.name).toBe('copywriter');
+
+            const assigned = await request(app)
+                .put(`/api/users/${editorUser._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'copywriter' });
+
+            expect(assigned.status).toBe(200);
+
+            const copywriterToken = await tokenFor(await User.findById(editorUser._id));
+
+            const blog = await request(app)
+                .post('/api/blogs')
+                .set('Authorization', `Bearer ${copywriterToken}`)
+                .send(blogData);
+            expect(blog.status).toBe(201);
+
+            const deleted = await request(app)
+                .delete(`/api/blogs/${blog.body.data._id}`)
+                .set('Authorization', `Bearer ${copywriterToken}`);
+            expect(deleted.status).toBe(403);
+        });
+
+        it('should reject unknown roles on users', async () => {
+            const response = await request(app)
+                .put(`/api/users/${editorUser._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'wizard' });
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should not delete roles that users still have', async () => {
+            await Role.create({ name: 'copywriter', label: 'Copywriter', permissions: ['blog.create'] });
+            await User.updateOne({ _id: editorUser._id }, { role: 'copywriter' });
+
+            const inUse = await request(app)
+                .delete('/api/roles/copywriter')
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(inUse.status).toBe(400);
+
+            await User.updateOne({ _id: editorUser._id }, { role: 'editor' });
+
+            const deleted = await request(app)
+                .delete('/api/roles/copywriter')
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(deleted.status).toBe(200);
+            expect(await Role.findOne({ name: 'copywriter' })).toBeNull();
+        });
+
+        it('should not delete built-in roles', async () => {
+            const response = await request(app)
+                .delete('/api/roles/editor')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('assigning roles', () => {
+        it('should not let user managers hand out permissions they lack', async () => {
+            await Role.create({
+                name: 'manager',
+                label: 'Manager',
+                permissions: ['user.view', 'user.manage', 'blog.create']
+            });
+            const manager = await createUser('perm_manager', 'manager');
+            const managerToken = await tokenFor(manager);
+
+            const promote = await request(app)
+                .put(`/api/users/${editorUser._id}`)
+                .set('Authorization', `Bearer ${managerToken}`)
+                .send({ role: 'admin' });
+            expect(promote.status).toBe(403);
+
+            const demote = await request(app)
+                .put(`/api/users/${adminUser._id}`)
+                .set('Authorization', `Bearer ${managerToken}`)
+                .send({ role: 'reader' });
+            expect(demote.status).toBe(403);
+
+            expect((await User.findById(adminUser._id)).role).toBe('admin');
+        });
+
+        it('should not let user managers act on users with permissions they lack', async () => {
+            await Role.create({ name: 'manager', label: 'Manager', permissions: ['user.view', 'user.manage'] });
+            const managerToken = await tokenFor(await createUser('perm_manager', 'manager'));
+            const auth = { Authorization: `Bearer ${managerToken}` };
+
+            const responses = await Promise.all([
+                request(app).put(`/api/users/${adminUser._id}`).set(auth).send({ email: 'taken@test.com' }),
+                request(app).patch(`/api/users/${adminUser._id}/status`).set(auth).send({ isActive: false }),
+                request(app).delete(`/api/users/${adminUser._id}/two-factor`).set(auth),
+                request(app).patch(`/api/users/${adminUser._id}/unlock`).set(auth),
+                request(app).delete(`/api/users/${adminUser._id}`).set(auth)
+            ]);
+
+            responses.forEach(response => expect(response.status).toBe(403));
+
+            const admin = await User.findById(adminUser._id);
+            expect(admin.email).toBe('perm_admin@test.com');
+            expect(admin.isActive).toBe(true);
+        });
+
+        it('should only update the editable fields of a user', async () => {
+            await Role.create({ name: 'manager', label: 'Manager', permissions: ['user.view', 'user.manage'] });
+            const managerToken = await tokenFor(await createUser('perm_manager', 'manager'));
+            const reader = await createUser('perm_reader', 'reader');
+
+            const response = await request(app)
+                .put(`/api/users/${reader._id}`)
+                .set('Authorization', `Bearer ${managerToken}`)
+                .send({
+                    profile: { jobTitle: 'Billing Specialist' },
+                    tokenVersion: 99,
+                    failedLoginAttempts: 7,
+                    passwordResetToken: 'chosen-token',
+                    twoFactor: { enabled: true }
+                });
+
+            expect(response.status).toBe(200);
+
+            const updated = await User.findById(reader._id).select('+passwordResetToken');
+            expect(updated.profile.jobTitle).toBe('Billing Specialist');
+            expect(updated.tokenVersion).toBe(0);
+            expect(updated.failedLoginAttempts).toBe(0);
+            expect(updated.passwordResetToken).toBeUndefined();
+            expect(updated.twoFactor.enabled).toBe(false);
+        });
+    });
+});
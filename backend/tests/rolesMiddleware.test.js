@@ -2,10 +2,14 @@ const {
     requireRole,
     requireAdmin,
     requireEditor,
+    requireReviewer,
+    requireStaff,
     requireAuth,
     requireMinimumRole,
-    requireOwnershipOrAdmin
+    requireOwnershipOrAdmin,
+    requirePermission
 } = require('../middleware/roles');
+const permissionService = require('../services/permissionService');
 
 describe('Roles Middleware', () => {
     let req, res, next;
@@ -130,6 +134,53 @@ describe('Roles Middleware', () => {
         });
     });
 
+    describe('requireReviewer', () => {
+        it('should allow access for reviewer user', () => {
+            req.user = { _id: 'user123', role: 'reviewer' };
+
+            requireReviewer(req, res, next);
+
+            expect(next).toHaveBeenCalled();
+            expect(res.status).not.toHaveBeenCalled();
+        });
+
+        it('should deny access for editor user', () => {
+            req.user = { _id: 'user123', role: 'editor' };
+
+            requireReviewer(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                error: 'Access denied. Insufficient permissions.',
+                details: 'Required role(s): admin, reviewer. Your role: editor'
+            });
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('requireStaff', () => {
+        it('should allow access for editor and reviewer users', () => {
+            ['editor', 'reviewer'].forEach(role => {
+                req.user = { _id: 'user123', role };
+
+                requireStaff(req, res, next);
+            });
+
+            expect(next).toHaveBeenCalledTimes(2);
+            expect(res.status).not.toHaveBeenCalled();
+        });
+
+        it('should deny access for reader user', () => {
+            req.user = { _id: 'user123', role: 'reader' };
+
+            requireStaff(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+
     describe('requireAuth', () => {
         it('should allow access for any authenticated user', () => {
             req.user = { _id: 'user123', role: 'reader' };
@@ -286,4 +337,70 @@ describe('Roles Middleware', () => {
             expect(next).not.toHaveBeenCalled();
         });
     });
-});
\ No newline at end of file
+
+    describe('requirePermission', () => {
+        beforeEach(() => {
+            jest.spyOn(permissionService, 'getPermissions').mockResolvedValue(['blog.create', 'blog.edit.own']);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should allow access when the role grants one of the permissions', async () => {
+            req.user = { _id: 'user123', role: 'editor' };
+            const middleware = requirePermission('blog.edit.own', 'blog.edit.any');
+
+            await middleware(req, res, next);
+
+            expect(next).toHaveBeenCalled();
+            expect(req.permissions).toEqual(['blog.create', 'blog.edit.own']);
+            expect(permissionService.getPermissions).toHaveBeenCalledWith('editor');
+        });
+
+        it('should deny access when the role grants none of the permissions', async () => {
+            req.user = { _id: 'user123', role: 'editor' };
+            const middleware = requirePermission('category.manage');
+
+            await middleware(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                error: 'Access denied. Insufficient permissions.',
+                details: 'Required permission(s): category.manage. Your role: editor'
+            });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should load permissions once per request', async () => {
+            req.user = { _id: 'user123', role: 'editor' };
+
+            await requirePermission('blog.create')(req, res, next);
+            await requirePermission('blog.edit.own')(req, res, next);
+
+            expect(permissionService.getPermissions).toHaveBeenCalledTimes(1);
+            expect(next).toHaveBeenCalledTimes(2);
+        });
+
+        it('should deny access for unauthenticated user', async () => {
+            req.user = null;
+
+            await requirePermission('blog.create')(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should return 500 when permissions cannot be loaded', async () => {
+            req.user = { _id: 'user123', role: 'editor' };
+            permissionService.getPermissions.mockRejectedValue(new Error('Database unavailable'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await requirePermission('blog.create')(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(500);
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+});
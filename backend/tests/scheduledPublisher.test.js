@@ -0,0 +1,198 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const scheduledPublisher = require('../services/scheduledPublisher');
+const { cache } = require('../middleware/cache');
+
+describe('Scheduled Publishing', () => {
+    let adminUser, adminToken;
+    let billing;
+
+    const HOUR = 60 * 60 * 1000;
+
+    const createScheduledBlog = (overrides = {}) => Blog.create({
+        title: 'Scheduled Blog',
+        content: '<p>Goes live later</p>',
+        excerpt: 'excerpt',
+        category: billing._id,
+        author: adminUser._id,
+        status: 'scheduled',
+        publishAt: new Date(Date.now() + HOUR),
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'sched_admin',
+            email: 'sched_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+
+        billing = await Category.create({ name: 'Billing', createdBy: adminUser._id });
+
+        adminToken = authService.generateToken(adminUser);
+        cache.flushAll();
+    });
+
+    describe('ScheduledPublisher.runOnce', () => {
+        it('should publish scheduled blogs once publishAt has passed', async () => {
+            const due = await createScheduledBlog({ publishAt: new Date(Date.now() - 1000) });
+            const future = await createScheduledBlog({ title: 'Future Blog' });
+
+            const result = await scheduledPublisher.runOnce();
+
+            expect(result.published.map(id => id.toString())).toEqual([due._id.toString()]);
+            expect((await Blog.findById(due._id)).status).toBe('published');
+            expect((await Blog.findById(future._id)).status).toBe('scheduled');
+        });
+
+        it('should archive published blogs once unpublishAt has passed', async () => {
+            const expiring = await createScheduledBlog({
+                status: 'published',
+                publishAt: null,
+                unpublishAt: new Date(Date.now() - 1000)
+            });
+            const permanent = await createScheduledBlog({ title: 'Permanent Blog', status: 'published', publishAt: null });
+
+            const result = await scheduledPublisher.runOnce();
+
+            expect(result.unpublished.map(id => id.toString())).toEqual([expiring._id.toString()]);
+
+            const archived = await Blog.findById(expiring._id);
+            expect(archived.status).toBe('archived');
+            expect(archived.unpublishAt).toBeNull();
+            expect((await Blog.findById(permanent._id)).status).toBe('published');
+        });
+
+        it('should publish and unpublish in the same run when both dates have passed', async () => {
+            const blog = await createScheduledBlog({
+                publishAt: new Date(Date.now() - 2 * HOUR),
+                unpublishAt: new Date(Date.now() - HOUR)
+            });
+
+            await scheduledPublisher.runOnce();
+
+            expect((await Blog.findById(blog._id)).status).toBe('archived');
+        });
+
+        it('should clear cached blog responses after a transition', async () => {
+            await createScheduledBlog({ publishAt: new Date(Date.now() - 1000) });
+            cache.set('/api/blogs?status=published', { data: [] });
+            cache.set('/api/categories', { data: [] });
+
+            await scheduledPublisher.runOnce();
+
+            expect(cache.get('/api/blogs?status=published')).toBeUndefined();
+            expect(cache.get('/api/categories')).toBeDefined();
+        });
+
+        it('should leave the cache alone when nothing is due', async () => {
+            await createScheduledBlog();
+            cache.set('/api/blogs?status=published', { data: [] });
+
+            const result = await scheduledPublisher.runOnce();
+
+            expect(result).toEqual({ published: [], unpublished: [] });
+            expect(cache.get('/api/blogs?status=published')).toBeDefined();
+        });
+    });
+
+    describe('Scheduling validation', () => {
+        it('should create a scheduled blog with a future publish date', async () => {
+            const publishAt = new Date(Date.now() + HOUR).toISOString();
+
+            const response = await request(app)
+                .post('/api/blogs')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({
+                    title: 'Scheduled via API',
+                    content: '<p>content</p>',
+                    excerpt: 'excerpt',
+                    category: 'Billing',
+                    status: 'scheduled',
+                    publishAt
+                });
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.status).toBe('scheduled');
+            expect(response.body.data.publishAt).toBe(publishAt);
+        });
+
+        it('should reject scheduling without a publish date', async () => {
+            const blog = await createScheduledBlog({ status: 'draft', publishAt: null });
+
+            const response = await request(app)
+                .patch(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ status: 'scheduled' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('A publish date is required for scheduled blogs');
+        });
+
+        it('should reject a publish date in the past', async () => {
+            const blog = await createScheduledBlog({ status: 'draft', publishAt: null });
+
+            const response = await request(app)
+                .patch(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ status: 'scheduled', publishAt: new Date(Date.now() - HOUR).toISOString() });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Publish date must be in the future');
+        });
+
+        it('should reject an unpublish date before the publish date', async () => {
+            const blog = await createScheduledBlog();
+
+            const response = await request(app)
+                .patch(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ unpublishAt: new Date(Date.now() + HOUR / 2).toISOString() });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Unpublish date must be after the publish date');
+        });
+
+        it('should reject invalid dates', async () => {
+            const blog = await createScheduledBlog();
+
+            const response = await request(app)
+                .patch(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ publishAt: 'not-a-date' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid publish date');
+        });
+
+        it('should allow publishing a scheduled blog immediately', async () => {
+            const blog = await createScheduledBlog();
+
+            const response = await request(app)
+                .patch(`/api/blogs/${blog._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ status: 'published' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('published');
+        });
+
+        it('should filter blogs by scheduled status', async () => {
+            await createScheduledBlog();
+            await createScheduledBlog({ title: 'Draft Blog', status: 'draft', publishAt: null });
+
+            const response = await request(app)
+                .get('/api/blogs')
+                .query({ status: 'scheduled', limit: 10 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0].publishAt).toBeDefined();
+        });
+    });
+});
@@ -0,0 +1,263 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const authService = require('../services/authService');
+const {
+    parseSearchQuery,
+    toTextSearch,
+    canUseTextIndex,
+    buildSnippet,
+    highlightBlog
+} = require('../utils/textSearch');
+
+describe('Blog search', () => {
+    describe('textSearch utilities', () => {
+        it('should parse terms, quoted phrases and exclusions', () => {
+            const parsed = parseSearchQuery('denial "prior  authorization" -medicare -"out of network"');
+
+            expect(parsed).toEqual({
+                terms: ['denial'],
+                phrases: ['prior authorization'],
+                excluded: ['medicare', 'out of network']
+            });
+            expect(toTextSearch(parsed)).toBe('denial "prior authorization" -medicare -"out of network"');
+        });
+
+        it('should leave partial words to the prefix fallback', () => {
+            expect(canUseTextIndex(parseSearchQuery('cp'))).toBe(false);
+            expect(canUseTextIndex(parseSearchQuery('-medicare'))).toBe(false);
+            expect(canUseTextIndex(parseSearchQuery('cpt codes'))).toBe(true);
+        });
+
+        it('should highlight matches and escape the rest', () => {
+            const highlights = highlightBlog({
+                title: 'Billing <basics>',
+                excerpt: 'Why claims get billed twice',
+                content: '<p>Start with <b>prior authorization</b>.</p>'
+            }, parseSearchQuery('billing "prior authorization"'));
+
+            expect(highlights.title).toBe('<mark>Billing</mark> &lt;basics&gt;');
+            expect(highlights.excerpt).toBe('Why claims get <mark>billed</mark> twice');
+            expect(highlights.snippet).toBe('Start with <mark>prior authorization</mark>.');
+        });
+
+        it('should cut snippets around the first match', () => {
+            const text = `${'filler words '.repeat(40)}the denial reason ${'more text '.repeat(40)}`;
+            const snippet = buildSnippet(text, /\bdenial\w*/gi, 100);
+
+            expect(snippet.startsWith('…')).toBe(true);
+            expect(snippet.endsWith('…')).toBe(true);
+            expect(snippet).toContain('denial reason');
+        });
+    });
+
+    describe('GET /api/search', () => {
+        let author, billing;
+
+        const createBlog = (overrides = {}) => Blog.create({
+            content: '<p>General revenue cycle content.</p>',
+            excerpt: 'excerpt',
+            category: billing._id,
+            author: author._id,
+            status: 'published',
+            ...overrides
+        });
+
+        beforeAll(async () => {
+            await Blog.createIndexes();
+        });
+
+        beforeEach(async () => {
+            author = await User.create({
+                username: 'searcher',
+                email: 'searcher@test.com',
+                password: 'password123',
+                role: 'editor'
+            });
+            billing = await Category.create({ name: 'Billing', createdBy: author._id });
+
+            await createBlog({
+                title: 'Appealing claim denials',
+                content: '<p>Most denials come from missing prior authorization for Medicare patients.</p>'
+            });
+            await createBlog({
+                title: 'Prior authorization checklist',
+                content: '<p>A checklist for commercial payers; denials drop once it is followed.</p>'
+            });
+            await createBlog({
+                title: 'Cardiology coding tips',
+                content: '<p>Modifier usage for cardiology procedures.</p>'
+            });
+            await createBlog({
+                title: 'Draft about denials',
+                status: 'draft'
+            });
+        });
+
+        it('should rank text matches by relevance and highlight them', async () => {
+            const response = await request(app).get('/api/search').query({ q: 'denials' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.search.mode).toBe('text');
+            expect(response.body.pagination.total).toBe(2);
+            // The title carries the most weight
+            expect(response.body.data[0].title).toBe('Appealing claim denials');
+            expect(response.body.data[0].highlights.title).toBe('Appealing claim <mark>denials</mark>');
+            expect(response.body.data[0].highlights.snippet).toContain('<mark>denials</mark>');
+            expect(response.body.data[0].content).toBeUndefined();
+            expect(response.body.data[0].category).toBe('Billing');
+        });
+
+        it('should support phrases and exclusions', async () => {
+            const phrase = await request(app).get('/api/search').query({ q: '"prior authorization" -medicare' });
+
+            expect(phrase.body.data.map(blog => blog.title)).toEqual(['Prior authorization checklist']);
+            expect(phrase.body.search).toMatchObject({ phrases: ['prior authorization'], excluded: ['medicare'] });
+        });
+
+        it('should fall back to prefix matching for partial words', async () => {
+            const response = await request(app).get('/api/search').query({ q: 'cardio' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.search.mode).toBe('prefix');
+            expect(response.body.data.map(blog => blog.title)).toEqual(['Cardiology coding tips']);
+            expect(response.body.data[0].highlights.title).toBe('<mark>Cardiology</mark> coding tips');
+        });
+
+        it('should only search published blogs for guests and authors', async () => {
+            const guest = await request(app).get('/api/search').query({ q: 'denials', status: 'draft' });
+            const guestAll = await request(app).get('/api/search').query({ q: 'denials', status: 'all' });
+            const editor = await request(app)
+                .get('/api/search')
+                .query({ q: 'denials', status: 'draft' })
+                .set('Authorization', `Bearer ${authService.generateToken(author)}`);
+
+            [guest, guestAll, editor].forEach(response => {
+                expect(response.status).toBe(200);
+                expect(response.body.data.map(blog => blog.title)).not.toContain('Draft about denials');
+                expect(response.body.filters.status).toBe('published');
+            });
+        });
+
+        it('should let users who can edit any blog search drafts', async () => {
+            const admin = await User.create({
+                username: 'search_admin',
+                email: 'search_admin@test.com',
+                password: 'password123',
+                role: 'admin'
+            });
+
+            const response = await request(app)
+                .get('/api/search')
+                .query({ q: 'denials', status: 'draft' })
+                .set('Authorization', `Bearer ${authService.generateToken(admin)}`);
+
+            expect(response.body.data.map(blog => blog.title)).toEqual(['Draft about denials']);
+        });
+
+        it('should paginate like the blog list', async () => {
+            const response = await request(app).get('/api/search').query({ q: 'denials', limit: 1, page: 2 });
+
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.pagination).toMatchObject({ page: 2, limit: 1, total: 2, totalPages: 2, hasPrevPage: true });
+        });
+
+        it('should count facets over the same filter as the results', async () => {
+            const coding = await Category.create({ name: 'Coding', createdBy: author._id });
+            await createBlog({
+                title: 'Denials in cardiology coding',
+                category: coding._id,
+                tags: ['cardiology'],
+                publishAt: new Date('2024-02-10T00:00:00Z')
+            });
+
+            const response = await request(app).get('/api/search').query({ q: 'denials', facets: 'true' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.pagination.total).toBe(3);
+            expect(response.body.facets.category).toEqual([
+                { value: 'billing', label: 'Billing', count: 2 },
+                { value: 'coding', label: 'Coding', count: 1 }
+            ]);
+            expect(response.body.facets.tags).toEqual([{ value: 'cardiology', label: 'cardiology', count: 1 }]);
+            expect(response.body.facets.author).toEqual([{ value: author._id.toString(), label: 'searcher', count: 3 }]);
+            // The draft is not searched, so it is not counted
+            expect(response.body.facets.status).toEqual([{ value: 'published', label: 'published', count: 3 }]);
+            expect(response.body.facets.month).toContainEqual({ value: '2024-02', label: '2024-02', count: 1 });
+        });
+
+        it('should filter and count co-authored blogs for every credited author', async () => {
+            const coAuthor = await User.create({
+                username: 'co_searcher',
+                email: 'co_searcher@test.com',
+                password: 'password123',
+                role: 'editor'
+            });
+            await createBlog({
+                title: 'Shared denials guide',
+                authors: [
+                    { user: author._id, role: 'author' },
+                    { user: coAuthor._id, role: 'author' }
+                ]
+            });
+
+            const response = await request(app)
+                .get('/api/search')
+                .query({ q: 'denials', author: coAuthor._id.toString(), facets: 'true' });
+
+            expect(response.body.data.map(blog => blog.title)).toEqual(['Shared denials guide']);
+            expect(response.body.facets.author).toEqual(expect.arrayContaining([
+                { value: author._id.toString(), label: 'searcher', count: 1 },
+                { value: coAuthor._id.toString(), label: 'co_searcher', count: 1 }
+            ]));
+        });
+
+        it('should only return facets when asked', async () => {
+            const response = await request(app).get('/api/search').query({ q: 'denials' });
+
+            expect(response.body.facets).toBeUndefined();
+        });
+
+        it('should filter the blog list by publish month', async () => {
+            await createBlog({ title: 'February recap', publishAt: new Date('2024-02-29T23:00:00Z') });
+            await createBlog({ title: 'March recap', publishAt: new Date('2024-03-01T00:00:00Z') });
+
+            const response = await request(app).get('/api/blogs').query({ month: '2024-02', facets: 'true' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(blog => blog.title)).toEqual(['February recap']);
+            expect(response.body.filters.month).toBe('2024-02');
+            expect(response.body.facets.month).toEqual([{ value: '2024-02', label: '2024-02', count: 1 }]);
+
+            const invalid = await request(app).get('/api/blogs').query({ month: '2024-13' });
+            expect(invalid.status).toBe(400);
+        });
+
+        it('should validate the query', async () => {
+            const missing = await request(app).get('/api/search');
+            expect(missing.status).toBe(400);
+
+            const badSort = await request(app).get('/api/search').query({ q: 'denials', sortBy: 'password' });
+            expect(badSort.status).toBe(400);
+
+            const badAuthor = await request(app).get('/api/search').query({ q: 'denials', author: 'not-an-id' });
+            expect(badAuthor.status).toBe(400);
+            expect(badAuthor.body.error).toBe('Invalid author ID format');
+
+            const badTags = await request(app).get('/api/search?q=denials&tags[name]=billing');
+            expect(badTags.status).toBe(400);
+        });
+
+        it('should accept repeated tags parameters', async () => {
+            await createBlog({ title: 'Tagged denials', tags: ['appeals'] });
+
+            const response = await request(app).get('/api/search?q=denials&tags=appeals&tags=coding');
+
+            expect(response.status).toBe(200);
+            expect(response.body.filters.tags).toEqual(['appeals', 'coding']);
+            expect(response.body.data.map(blog => blog.title)).toEqual(['Tagged denials']);
+        });
+    });
+});
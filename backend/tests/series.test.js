@@ -0,0 +1,154 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const Series = require('../models/Series');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const authService = require('../services/authService');
+const blogTrashService = require('../services/blogTrashService');
+
+describe('Series', () => {
+    let adminUser, editorUser;
+    let adminToken, editorToken;
+    let parts;
+    let coding;
+
+    const createBlog = (title, status = 'published') => Blog.create({
+        title,
+        content: '<p>Course content</p>',
+        excerpt: 'excerpt',
+        category: coding._id,
+        author: adminUser._id,
+        status
+    });
+
+    const createSeries = (body, token = adminToken) => request(app)
+        .post('/api/series')
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'series_admin',
+            email: 'series_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        editorUser = await User.create({
+            username: 'series_editor',
+            email: 'series_editor@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+
+        adminToken = authService.generateToken(adminUser);
+        editorToken = authService.generateToken(editorUser);
+        coding = await Category.create({ name: 'Coding', createdBy: adminUser._id });
+
+        parts = [];
+        for (const [title, status] of [['Coding 101 Part 1', 'published'], ['Coding 101 Part 2', 'draft'], ['Coding 101 Part 3', 'published']]) {
+            parts.push(await createBlog(title, status));
+        }
+    });
+
+    it('should create a series and serve its published parts by slug', async () => {
+        const response = await createSeries({
+            title: 'Medical Coding 101',
+            description: 'A ten part course',
+            blogs: parts.map(part => part._id.toString())
+        });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.slug).toBe('medical-coding-101');
+        expect(response.body.data.blogs.map(blog => blog.title)).toEqual(parts.map(part => part.title));
+        expect(await AuditLog.countDocuments({ action: 'series.create' })).toBe(1);
+
+        const publicResponse = await request(app).get('/api/series/medical-coding-101');
+
+        expect(publicResponse.status).toBe(200);
+        expect(publicResponse.body.data.totalParts).toBe(2);
+        expect(publicResponse.body.data.parts.map(part => [part.part, part.title])).toEqual([
+            [1, 'Coding 101 Part 1'],
+            [2, 'Coding 101 Part 3']
+        ]);
+    });
+
+    it('should include series info and previous/next links in the blog response', async () => {
+        await createSeries({ title: 'Medical Coding 101', blogs: parts.map(part => part._id.toString()) });
+
+        const first = await request(app).get(`/api/blogs/${parts[0].slug}`);
+        expect(first.body.data.series).toMatchObject({
+            title: 'Medical Coding 101',
+            slug: 'medical-coding-101',
+            part: 1,
+            totalParts: 2,
+            previous: null,
+            next: { slug: parts[2].slug }
+        });
+
+        // Unpublished parts are skipped
+        const last = await request(app).get(`/api/blogs/${parts[2].slug}`);
+        expect(last.body.data.series).toMatchObject({ part: 2, previous: { slug: parts[0].slug }, next: null });
+
+        const standalone = await createBlog('Standalone Post');
+        const other = await request(app).get(`/api/blogs/${standalone.slug}`);
+        expect(other.body.data.series).toBeNull();
+    });
+
+    it('should reorder parts', async () => {
+        const created = await createSeries({ title: 'Medical Coding 101', blogs: parts.map(part => part._id.toString()) });
+
+        const response = await request(app)
+            .put(`/api/series/${created.body.data._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ blogs: [parts[2]._id.toString(), parts[0]._id.toString()] });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.blogs.map(blog => blog.title)).toEqual(['Coding 101 Part 3', 'Coding 101 Part 1']);
+
+        const first = await request(app).get(`/api/blogs/${parts[2].slug}`);
+        expect(first.body.data.series).toMatchObject({ part: 1, next: { slug: parts[0].slug } });
+    });
+
+    it('should not put a blog in two series', async () => {
+        await createSeries({ title: 'Medical Coding 101', blogs: [parts[0]._id.toString()] });
+
+        const response = await createSeries({ title: 'Billing Basics', blogs: [parts[0]._id.toString()] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toContain('already part of the series "Medical Coding 101"');
+    });
+
+    it('should validate the request', async () => {
+        const missingTitle = await createSeries({ blogs: [] });
+        expect(missingTitle.status).toBe(400);
+
+        const unknownBlog = await createSeries({ title: 'Course', blogs: ['507f1f77bcf86cd799439011'] });
+        expect(unknownBlog.status).toBe(400);
+        expect(unknownBlog.body.details).toContain('Blog not found');
+
+        const duplicateParts = await createSeries({ title: 'Course', blogs: [parts[0]._id.toString(), parts[0]._id.toString()] });
+        expect(duplicateParts.status).toBe(400);
+    });
+
+    it('should require series.manage to manage series', async () => {
+        const response = await createSeries({ title: 'Course' }, editorToken);
+        expect(response.status).toBe(403);
+
+        const list = await request(app)
+            .get('/api/series')
+            .set('Authorization', `Bearer ${editorToken}`);
+        expect(list.status).toBe(403);
+    });
+
+    it('should take purged blogs out of their series', async () => {
+        await createSeries({ title: 'Medical Coding 101', blogs: parts.map(part => part._id.toString()) });
+
+        await blogTrashService.trash([parts[0]], adminUser._id);
+        await blogTrashService.purge([parts[0]._id]);
+
+        const series = await Series.findOne({ slug: 'medical-coding-101' });
+        expect(series.blogs.map(id => id.toString())).toEqual([parts[1]._id.toString(), parts[2]._id.toString()]);
+    });
+});
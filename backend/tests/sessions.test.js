@@ -0,0 +1,179 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const authService = require('../services/authService');
+
+describe('Sessions', () => {
+    let adminUser, editorUser, adminToken;
+
+    const login = (identifier = 'sess_editor', userAgent = 'Browser A') => request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', userAgent)
+        .send({ identifier, password: 'password123' });
+
+    const refresh = (refreshToken) => request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+    const getProfile = (token) => request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`);
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'sess_admin',
+            email: 'sess_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        editorUser = await User.create({
+            username: 'sess_editor',
+            email: 'sess_editor@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+
+        ({ token: adminToken } = await authService.createSession(adminUser));
+    });
+
+    describe('login', () => {
+        it('should persist a hashed refresh token with device details', async () => {
+            const response = await login();
+
+            expect(response.status).toBe(200);
+            const { refreshToken } = response.body.data;
+            const stored = await RefreshToken.findOne({ user: editorUser._id });
+            expect(stored.tokenHash).toBe(RefreshToken.hashToken(refreshToken));
+            expect(stored.tokenHash).not.toBe(refreshToken);
+            expect(stored.userAgent).toBe('Browser A');
+            expect(stored.ipAddress).toBeDefined();
+        });
+
+        it('should start a separate session per device', async () => {
+            const first = await login('sess_editor', 'Browser A');
+            await login('sess_editor', 'Browser B');
+
+            const response = await request(app)
+                .get('/api/auth/sessions')
+                .set('Authorization', `Bearer ${first.body.data.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(2);
+            const current = response.body.data.find(session => session.current);
+            expect(current.userAgent).toBe('Browser A');
+        });
+    });
+
+    describe('POST /api/auth/refresh', () => {
+        it('should rotate the refresh token within the session', async () => {
+            const { body } = await login();
+
+            const response = await refresh(body.data.refreshToken);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.refreshToken).not.toBe(body.data.refreshToken);
+
+            const tokens = await RefreshToken.find({ user: editorUser._id }).sort({ createdAt: 1 });
+            expect(tokens).toHaveLength(2);
+            expect(tokens[0].revokedReason).toBe('rotated');
+            expect(tokens[0].replacedBy.toString()).toBe(tokens[1]._id.toString());
+            expect(tokens[1].family).toBe(tokens[0].family);
+        });
+
+        it('should revoke the session when a rotated token is reused', async () => {
+            const { body } = await login();
+            const rotated = await refresh(body.data.refreshToken);
+
+            const reuse = await refresh(body.data.refreshToken);
+            expect(reuse.status).toBe(401);
+
+            // The legitimate holder is signed out too
+            const next = await refresh(rotated.body.data.refreshToken);
+            expect(next.status).toBe(401);
+            expect((await getProfile(rotated.body.data.token)).status).toBe(401);
+
+            const reasons = await RefreshToken.distinct('revokedReason', { user: editorUser._id });
+            expect(reasons).toContain('reuse_detected');
+        });
+    });
+
+    describe('logout', () => {
+        it('should end only the current device session', async () => {
+            const deviceA = await login('sess_editor', 'Browser A');
+            const deviceB = await login('sess_editor', 'Browser B');
+
+            const response = await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${deviceA.body.data.token}`)
+                .send({ refreshToken: deviceA.body.data.refreshToken });
+
+            expect(response.status).toBe(200);
+            expect((await getProfile(deviceA.body.data.token)).status).toBe(401);
+            expect((await refresh(deviceA.body.data.refreshToken)).status).toBe(401);
+            expect((await getProfile(deviceB.body.data.token)).status).toBe(200);
+        });
+
+        it('should end every session with logout-all', async () => {
+            const deviceA = await login('sess_editor', 'Browser A');
+            const deviceB = await login('sess_editor', 'Browser B');
+
+            const response = await request(app)
+                .post('/api/auth/logout-all')
+                .set('Authorization', `Bearer ${deviceA.body.data.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.revokedSessions).toBe(2);
+            expect((await getProfile(deviceB.body.data.token)).status).toBe(401);
+            expect((await refresh(deviceB.body.data.refreshToken)).status).toBe(401);
+        });
+
+        it('should revoke a single device from the sessions list', async () => {
+            const deviceA = await login('sess_editor', 'Browser A');
+            const deviceB = await login('sess_editor', 'Browser B');
+            const sessionB = (await RefreshToken.findOne({ userAgent: 'Browser B' })).family;
+
+            const response = await request(app)
+                .delete(`/api/auth/sessions/${sessionB}`)
+                .set('Authorization', `Bearer ${deviceA.body.data.token}`);
+
+            expect(response.status).toBe(200);
+            expect((await getProfile(deviceB.body.data.token)).status).toBe(401);
+            expect((await getProfile(deviceA.body.data.token)).status).toBe(200);
+        });
+    });
+
+    describe('admin', () => {
+        it('should list and revoke sessions of a user', async () => {
+            const device = await login();
+
+            const list = await request(app)
+                .get(`/api/users/${editorUser._id}/sessions`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(list.status).toBe(200);
+            expect(list.body.data).toHaveLength(1);
+
+            const response = await request(app)
+                .delete(`/api/users/${editorUser._id}/sessions`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.revokedSessions).toBe(1);
+            expect((await getProfile(device.body.data.token)).status).toBe(401);
+        });
+
+        it('should kill sessions when a user is deactivated', async () => {
+            const device = await login();
+
+            await request(app)
+                .patch(`/api/users/${editorUser._id}/status`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ isActive: false })
+                .expect(200);
+
+            expect((await refresh(device.body.data.refreshToken)).status).toBe(401);
+            const tokens = await RefreshToken.find({ user: editorUser._id });
+            expect(tokens.every(token => token.revokedReason === 'deactivated')).toBe(true);
+        });
+    });
+});
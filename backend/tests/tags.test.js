@@ -0,0 +1,183 @@
+const request = require('supertest');
+const app = require('../server');
+const Blog = require('../models/Blog');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const blogTrashService = require('../services/blogTrashService');
+
+describe('Tags', () => {
+    let adminUser, editorUser;
+    let adminToken, editorToken;
+    let billing;
+
+    const createBlog = (tags, overrides = {}) => Blog.create({
+        title: `Tag Test Blog ${Math.random().toString(36).slice(2, 8)}`,
+        content: '<p>content</p>',
+        category: billing._id,
+        tags,
+        author: adminUser._id,
+        status: 'published',
+        ...overrides
+    });
+
+    const createTag = (body) => request(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+    beforeEach(async () => {
+        adminUser = await User.create({
+            username: 'tag_admin',
+            email: 'tag_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+        editorUser = await User.create({
+            username: 'tag_editor',
+            email: 'tag_editor@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+        adminToken = authService.generateToken(adminUser);
+        editorToken = authService.generateToken(editorUser);
+
+        billing = await Category.create({ name: 'Billing', createdBy: adminUser._id });
+    });
+
+    it('should create a tag and count the blogs already using it', async () => {
+        await createBlog(['ehr']);
+
+        const response = await createTag({ name: 'EHR', description: 'Electronic health records' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.slug).toBe('ehr');
+        expect(response.body.data.name).toBe('EHR');
+        expect(response.body.data.usageCount).toBe(1);
+    });
+
+    it('should require tag.manage to change tags', async () => {
+        const response = await request(app)
+            .post('/api/tags')
+            .set('Authorization', `Bearer ${editorToken}`)
+            .send({ name: 'EHR' });
+
+        expect(response.status).toBe(403);
+    });
+
+    it('should reject synonyms used by another tag', async () => {
+        await createTag({ name: 'EHR', synonyms: ['emr'] });
+
+        const response = await createTag({ name: 'Records', synonyms: ['emr'] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toBe('"emr" is already used by the tag "EHR"');
+    });
+
+    it('should suggest tags by prefix and synonym, most used first', async () => {
+        await createTag({ name: 'Coding', synonyms: ['medical coding'] });
+        await createTag({ name: 'Compliance' });
+        await createBlog(['compliance']);
+
+        const byPrefix = await request(app).get('/api/tags/autocomplete').query({ q: 'co' });
+        expect(byPrefix.body.data.map(tag => tag.slug)).toEqual(['compliance', 'coding']);
+
+        const bySynonym = await request(app).get('/api/tags/autocomplete').query({ q: 'Medical' });
+        expect(bySynonym.body.data).toHaveLength(1);
+        expect(bySynonym.body.data[0].slug).toBe('coding');
+        expect(bySynonym.body.data[0].matchedSynonym).toBe('medical coding');
+    });
+
+    it('should save synonyms as their tag and keep usage counts', async () => {
+        await createTag({ name: 'EHR', synonyms: ['emr'] });
+
+        const response = await request(app)
+            .post('/api/blogs')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({
+                title: 'Records Guide',
+                content: '<p>content</p>',
+                excerpt: 'excerpt',
+                category: 'Billing',
+                tags: ['EMR', 'guide', 'ehr']
+            });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.tags).toEqual(['ehr', 'guide']);
+        expect((await Tag.findOne({ slug: 'ehr' })).usageCount).toBe(1);
+        expect((await Tag.findOne({ slug: 'guide' })).name).toBe('guide');
+
+        const blog = await Blog.findById(response.body.data._id);
+        await blogTrashService.trash([blog], adminUser._id);
+        expect((await Tag.findOne({ slug: 'ehr' })).usageCount).toBe(0);
+    });
+
+    it('should rename a tag on every blog and keep the old name as a synonym', async () => {
+        const created = await createTag({ name: 'billing' });
+        const blog = await createBlog(['guide', 'billing', 'tips']);
+        const trashed = await createBlog(['billing']);
+        await blogTrashService.trash([trashed], adminUser._id);
+
+        const response = await request(app)
+            .put(`/api/tags/${created.body.data._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: 'Medical Billing' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.slug).toBe('medical billing');
+        expect(response.body.data.synonyms).toEqual(['billing']);
+        expect(response.body.renamedBlogs).toBe(2);
+
+        expect((await Blog.findById(blog._id)).tags).toEqual(['guide', 'medical billing', 'tips']);
+        const inTrash = await Blog.findOne(blogTrashService.inTrash({ _id: trashed._id }));
+        expect(inTrash.tags).toEqual(['medical billing']);
+    });
+
+    it('should merge a tag into another without duplicating it on blogs', async () => {
+        const source = await createTag({ name: 'emr', synonyms: ['electronic medical records'] });
+        const target = await createTag({ name: 'EHR' });
+        const both = await createBlog(['emr', 'ehr']);
+        const onlySource = await createBlog(['tips', 'emr']);
+
+        const response = await request(app)
+            .post(`/api/tags/${source.body.data._id}/merge`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ targetId: target.body.data._id });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.movedBlogs).toBe(2);
+        expect(response.body.data.target.usageCount).toBe(2);
+        expect(response.body.data.target.synonyms.sort()).toEqual(['electronic medical records', 'emr']);
+
+        expect((await Blog.findById(both._id)).tags).toEqual(['ehr']);
+        expect((await Blog.findById(onlySource._id)).tags).toEqual(['tips', 'ehr']);
+        expect(await Tag.findById(source.body.data._id)).toBeNull();
+    });
+
+    it('should refuse renames onto an existing tag', async () => {
+        const billing = await createTag({ name: 'billing' });
+        await createTag({ name: 'coding' });
+
+        const response = await request(app)
+            .put(`/api/tags/${billing.body.data._id}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: 'Coding' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toBe('A tag named "coding" already exists. Merge the tags instead.');
+    });
+
+    it('should remove a deleted tag from blogs', async () => {
+        const created = await createTag({ name: 'tips' });
+        const blog = await createBlog(['guide', 'tips']);
+
+        const response = await request(app)
+            .delete(`/api/tags/${created.body.data._id}`)
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.removedFrom).toBe(1);
+        expect((await Blog.findById(blog._id)).tags).toEqual(['guide']);
+    });
+});
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Blog = require('../models/Blog');
+const Category = require('../models/Category');
 const AuthService = require('../services/authService');
 
 /**
@@ -61,7 +62,18 @@ class TestUtils {
     }
 
     /**
-     * Create a test blog
+     * Find or create a test category by name
+     */
+    static async createTestCategory(name, author) {
+        const existing = await Category.findOne({ name });
+        if (existing) {
+            return existing;
+        }
+        return Category.create({ name, createdBy: author._id });
+    }
+
+    /**
+     * Create a test blog; the category may be given by name
      */
     static async createTestBlog(blogData = {}, author = null) {
         if (!author) {
@@ -88,7 +100,12 @@ class TestUtils {
             }
         };
 
-        const blog = await Blog.create({ ...defaultData, ...blogData });
+        const data = { ...defaultData, ...blogData };
+        if (typeof data.category === 'string') {
+            data.category = (await this.createTestCategory(data.category, author))._id;
+        }
+
+        const blog = await Blog.create(data);
         return blog;
     }
 
@@ -121,6 +138,7 @@ class TestUtils {
     static async cleanup() {
         await User.deleteMany({});
         await Blog.deleteMany({});
+        await Category.deleteMany({});
     }
 
     /**
@@ -0,0 +1,47 @@
+const totp = require('../utils/totp');
+
+describe('TOTP utilities', () => {
+    // RFC 6238 appendix B secret ("12345678901234567890" in ASCII)
+    const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+    it('should round trip base32 encoding', () => {
+        expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(totp.base32Decode(rfcSecret).toString()).toBe('12345678901234567890');
+        expect(totp.base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+    });
+
+    it('should match the RFC 6238 test vectors', () => {
+        expect(totp.generateCode(rfcSecret, totp.getTimeStep(59 * 1000))).toBe('287082');
+        expect(totp.generateCode(rfcSecret, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+        expect(totp.generateCode(rfcSecret, totp.getTimeStep(1234567890 * 1000))).toBe('005924');
+    });
+
+    it('should accept codes from adjacent time steps only', () => {
+        const timestamp = 1700000000000;
+        const step = totp.getTimeStep(timestamp);
+        const previous = totp.generateCode(rfcSecret, step - 1);
+        const tooOld = totp.generateCode(rfcSecret, step - 2);
+
+        expect(totp.verifyCode(rfcSecret, previous, { timestamp })).toBe(step - 1);
+        expect(totp.verifyCode(rfcSecret, tooOld, { timestamp })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+        expect(totp.verifyCode(rfcSecret, '12345')).toBeNull();
+        expect(totp.verifyCode(rfcSecret, 'abcdef')).toBeNull();
+        expect(totp.verifyCode(rfcSecret, undefined)).toBeNull();
+    });
+
+    it('should generate 160-bit secrets', () => {
+        const secret = totp.generateSecret();
+
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(totp.base32Decode(secret)).toHaveLength(20);
+    });
+
+    it('should build an otpauth URI for authenticator apps', () => {
+        const uri = totp.buildOtpauthUri({ secret: 'ABC', accountName: 'admin@test.com', issuer: 'RCM Admin' });
+
+        expect(uri).toBe('otpauth://totp/RCM%20Admin%3Aadmin%40test.com?secret=ABC&issuer=RCM+Admin&algorithm=SHA1&digits=6&period=30');
+    });
+});
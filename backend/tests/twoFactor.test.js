@@ -0,0 +1,262 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const totp = require('../utils/totp');
+
+describe('Two-Factor Authentication', () => {
+    let editorUser, adminUser, editorToken, adminToken;
+
+    const currentCode = (secret, offset = 0) => totp.generateCode(secret, totp.getTimeStep() + offset);
+
+    const login = (identifier) => request(app)
+        .post('/api/auth/login')
+        .send({ identifier, password: 'password123' });
+
+    // Enroll a user through the API and return the secret and backup codes
+    const enroll = async (token) => {
+        const setup = await request(app)
+            .post('/api/auth/2fa/setup')
+            .set('Authorization', `Bearer ${token}`);
+        const { secret } = setup.body.data;
+
+        const enable = await request(app)
+            .post('/api/auth/2fa/enable')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ code: currentCode(secret) });
+
+        return { secret, backupCodes: enable.body.data.backupCodes };
+    };
+
+    beforeEach(async () => {
+        delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+
+        editorUser = await User.create({
+            username: 'tfa_editor',
+            email: 'tfa_editor@test.com',
+            password: 'password123',
+            role: 'editor'
+        });
+        adminUser = await User.create({
+            username: 'tfa_admin',
+            email: 'tfa_admin@test.com',
+            password: 'password123',
+            role: 'admin'
+        });
+
+        ({ token: editorToken } = await authService.createSession(editorUser));
+        ({ token: adminToken } = await authService.createSession(adminUser));
+    });
+
+    afterAll(() => {
+        delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+    });
+
+    describe('enrollment', () => {
+        it('should return an otpauth URI and QR code', async () => {
+            const response = await request(app)
+                .post('/api/auth/2fa/setup')
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.otpauthUrl).toContain('otpauth://totp/');
+            expect(response.body.data.otpauthUrl).toContain(response.body.data.secret);
+            expect(response.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+        });
+
+        it('should enable 2FA with a valid code and store only hashed backup codes', async () => {
+            const { secret, backupCodes } = await enroll(editorToken);
+
+            expect(backupCodes).toHaveLength(10);
+
+            const stored = await User.findById(editorUser._id)
+                .select('+twoFactor.secret +twoFactor.backupCodes');
+            expect(stored.twoFactor.enabled).toBe(true);
+            expect(stored.twoFactor.secret).not.toContain(secret);
+            expect(stored.twoFactor.backupCodes).not.toContain(backupCodes[0]);
+            expect(stored.twoFactor.backupCodes).toContain(twoFactorService.hashBackupCode(backupCodes[0]));
+        });
+
+        it('should reject an invalid enrollment code', async () => {
+            await request(app)
+                .post('/api/auth/2fa/setup')
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            const response = await request(app)
+                .post('/api/auth/2fa/enable')
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ code: '000000' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid verification code');
+        });
+
+        it('should not expose secrets in the profile', async () => {
+            await enroll(editorToken);
+
+            const response = await request(app)
+                .get('/api/auth/profile')
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.body.data.user.twoFactor).toEqual(expect.objectContaining({ enabled: true }));
+            expect(response.body.data.user.twoFactor.secret).toBeUndefined();
+            expect(response.body.data.user.twoFactor.backupCodes).toBeUndefined();
+        });
+    });
+
+    describe('two-step login', () => {
+        it('should return a challenge instead of a session when 2FA is enabled', async () => {
+            await enroll(editorToken);
+
+            const response = await login('tfa_editor');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.twoFactorRequired).toBe(true);
+            expect(response.body.data.challengeToken).toBeDefined();
+            expect(response.body.data.token).toBeUndefined();
+        });
+
+        it('should not accept the challenge token as an access token', async () => {
+            await enroll(editorToken);
+            const { body } = await login('tfa_editor');
+
+            const response = await request(app)
+                .get('/api/auth/profile')
+                .set('Authorization', `Bearer ${body.data.challengeToken}`);
+
+            expect(response.status).toBe(401);
+        });
+
+        it('should issue a session for a valid code and refuse to reuse it', async () => {
+            const { secret } = await enroll(editorToken);
+            const { body } = await login('tfa_editor');
+            const code = currentCode(secret, 1);
+
+            const response = await request(app)
+                .post('/api/auth/2fa/verify')
+                .send({ challengeToken: body.data.challengeToken, code });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.token).toBeDefined();
+            expect(response.body.data.user.username).toBe('tfa_editor');
+
+            const replay = await request(app)
+                .post('/api/auth/2fa/verify')
+                .send({ challengeToken: body.data.challengeToken, code });
+            expect(replay.status).toBe(400);
+        });
+
+        it('should accept each backup code once', async () => {
+            const { backupCodes } = await enroll(editorToken);
+            const { body } = await login('tfa_editor');
+
+            const first = await request(app)
+                .post('/api/auth/2fa/verify')
+                .send({ challengeToken: body.data.challengeToken, code: backupCodes[0] });
+            const second = await request(app)
+                .post('/api/auth/2fa/verify')
+                .send({ challengeToken: body.data.challengeToken, code: backupCodes[0] });
+
+            expect(first.status).toBe(200);
+            expect(second.status).toBe(400);
+        });
+    });
+
+    describe('per-role enforcement', () => {
+        it('should make users of a required role enroll before signing in', async () => {
+            process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+
+            const { body } = await login('tfa_admin');
+            expect(body.data.twoFactorSetupRequired).toBe(true);
+            expect(body.data.token).toBeUndefined();
+
+            const setup = await request(app)
+                .post('/api/auth/2fa/setup')
+                .send({ challengeToken: body.data.challengeToken });
+            expect(setup.status).toBe(200);
+
+            const enable = await request(app)
+                .post('/api/auth/2fa/enable')
+                .send({ challengeToken: body.data.challengeToken, code: currentCode(setup.body.data.secret) });
+
+            expect(enable.status).toBe(200);
+            expect(enable.body.data.backupCodes).toHaveLength(10);
+            expect(enable.body.data.token).toBeDefined();
+        });
+
+        it('should not let users of a required role disable 2FA', async () => {
+            const { secret } = await enroll(adminToken);
+            process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+
+            const response = await request(app)
+                .post('/api/auth/2fa/disable')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ password: 'password123', code: currentCode(secret, 1) });
+
+            expect(response.status).toBe(403);
+        });
+
+        it('should report the status', async () => {
+            process.env.TWO_FACTOR_REQUIRED_ROLES = 'editor';
+
+            const response = await request(app)
+                .get('/api/auth/2fa')
+                .set('Authorization', `Bearer ${editorToken}`);
+
+            expect(response.body.data).toMatchObject({ enabled: false, required: true, backupCodesRemaining: 0 });
+        });
+    });
+
+    describe('disable and recovery', () => {
+        it('should disable 2FA with password and code', async () => {
+            const { secret } = await enroll(editorToken);
+
+            const response = await request(app)
+                .post('/api/auth/2fa/disable')
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ password: 'password123', code: currentCode(secret, 1) });
+
+            expect(response.status).toBe(200);
+            const loginResponse = await login('tfa_editor');
+            expect(loginResponse.body.data.token).toBeDefined();
+        });
+
+        it('should require the correct password to disable', async () => {
+            const { secret } = await enroll(editorToken);
+
+            const response = await request(app)
+                .post('/api/auth/2fa/disable')
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ password: 'wrongpassword', code: currentCode(secret, 1) });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid password');
+        });
+
+        it('should regenerate backup codes', async () => {
+            const { secret, backupCodes } = await enroll(editorToken);
+
+            const response = await request(app)
+                .post('/api/auth/2fa/backup-codes')
+                .set('Authorization', `Bearer ${editorToken}`)
+                .send({ code: currentCode(secret, 1) });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.backupCodes).toHaveLength(10);
+            expect(response.body.data.backupCodes).not.toContain(backupCodes[0]);
+        });
+
+        it('should let admins reset 2FA for a user', async () => {
+            await enroll(editorToken);
+
+            const response = await request(app)
+                .delete(`/api/users/${editorUser._id}/two-factor`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            const updated = await User.findById(editorUser._id);
+            expect(updated.twoFactor.enabled).toBe(false);
+        });
+    });
+});
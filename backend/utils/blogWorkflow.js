@@ -0,0 +1,103 @@
+/**
+ * Editorial workflow rules for blog status changes
+ * Editors submit posts for review; admins and reviewers decide what goes live
+ * Rules are keyed by permission so custom roles follow the same workflow
+ */
+
+const BLOG_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+
+const { BUILT_IN_ROLES } = require('../config/permissions');
+
+// Status changes each permission allows (blog.publish allows any change)
+const PERMISSION_TRANSITIONS = {
+    'blog.submit': {
+        draft: ['in_review'],
+        in_review: ['draft'], // Withdraw a submission
+        archived: ['draft']
+    },
+    'blog.review': {
+        in_review: ['draft', 'scheduled', 'published'] // Reject or approve
+    }
+};
+
+/**
+ * Resolve a built-in role name or a permission list to permissions
+ * @param {string|Array<string>} subject - Role name or permission keys
+ * @returns {Array<string>} Permission keys
+ */
+const toPermissions = (subject) => {
+    if (Array.isArray(subject)) {
+        return subject;
+    }
+    return BUILT_IN_ROLES[subject]?.permissions || [];
+};
+
+/**
+ * Get the statuses a user may move a blog to from its current status
+ * @param {string|Array<string>} subject - Role name or permission keys
+ * @param {string} from - Current status
+ * @returns {Array<string>} Allowed target statuses (excluding the current one)
+ */
+const getAllowedTransitions = (subject, from) => {
+    const permissions = toPermissions(subject);
+
+    if (permissions.includes('blog.publish')) {
+        return BLOG_STATUSES.filter(status => status !== from);
+    }
+
+    const allowed = permissions.flatMap(permission => PERMISSION_TRANSITIONS[permission]?.[from] || []);
+    return [...new Set(allowed)];
+};
+
+/**
+ * Check whether a user may change a blog from one status to another
+ * @param {string|Array<string>} subject - Role name or permission keys
+ * @param {string} from - Current status (null when creating)
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (subject, from, to) => {
+    if (from === to) return true;
+    // New posts start as drafts or go straight into review
+    if (!from) {
+        return toPermissions(subject).includes('blog.publish') || ['draft', 'in_review'].includes(to);
+    }
+    return getAllowedTransitions(subject, from).includes(to);
+};
+
+// Statuses whose content has been approved for going live
+const APPROVED_STATUSES = ['scheduled', 'published'];
+
+/**
+ * Check whether editing a blog's content sends it back to review
+ * Approved content may only be changed without a new review by users who can publish
+ * @param {string|Array<string>} subject - Role name or permission keys
+ * @param {string} status - Current status
+ * @returns {boolean}
+ */
+const requiresReviewAfterEdit = (subject, status) =>
+    APPROVED_STATUSES.includes(status) && !toPermissions(subject).includes('blog.publish');
+
+/**
+ * Build a status history entry
+ * @param {string} from - Previous status (null when creating)
+ * @param {string} to - New status
+ * @param {string|null} actor - User ID (null for system transitions)
+ * @param {string} comment - Optional comment
+ * @returns {Object} History entry
+ */
+const buildTransition = (from, to, actor, comment = '') => ({
+    from: from || null,
+    to,
+    actor: actor || null,
+    comment: comment ? comment.trim() : '',
+    createdAt: new Date()
+});
+
+module.exports = {
+    BLOG_STATUSES,
+    getAllowedTransitions,
+    canTransition,
+    requiresReviewAfterEdit,
+    buildTransition
+};
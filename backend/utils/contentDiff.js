@@ -0,0 +1,272 @@
+/**
+ * Content diff utilities for comparing blog revisions
+ * Implements Myers' O(ND) difference algorithm over word/tag tokens
+ */
+
+// Give up on a fine-grained diff beyond this many edits and report a full replacement
+const MAX_EDIT_DISTANCE = 4000;
+
+/**
+ * Split HTML (or plain text) into tag, word and whitespace tokens
+ * @param {string} html - Source string
+ * @returns {Array<string>} Tokens
+ */
+const tokenize = (html = '') => {
+    if (!html) return [];
+    return String(html).match(/<[^>]+>|[^<\s]+|\s+/g) || [];
+};
+
+/**
+ * Merge consecutive operations of the same type
+ * @param {Array} ops - Diff operations
+ * @returns {Array} Merged operations
+ */
+const mergeOps = (ops) => {
+    const merged = [];
+    ops.forEach(op => {
+        if (!op.tokens.length) return;
+        const last = merged[merged.length - 1];
+        if (last && last.type === op.type) {
+            last.tokens = last.tokens.concat(op.tokens);
+        } else {
+            merged.push({ type: op.type, tokens: [...op.tokens] });
+        }
+    });
+    return merged;
+};
+
+/**
+ * Myers shortest edit script between two token arrays
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @param {number} maxEditDistance - Edit distance at which to give up
+ * @returns {Array} Diff operations
+ */
+const myersDiff = (a, b, maxEditDistance) => {
+    const n = a.length;
+    const m = b.length;
+
+    if (n === 0 && m === 0) return [];
+    if (n === 0) return [{ type: 'insert', tokens: b }];
+    if (m === 0) return [{ type: 'delete', tokens: a }];
+
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        if (d > maxEditDistance) {
+            return [{ type: 'delete', tokens: a }, { type: 'insert', tokens: b }];
+        }
+
+        // Keep only the diagonals reachable at this step to bound memory
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(a, b, trace);
+            }
+        }
+    }
+
+    return [{ type: 'delete', tokens: a }, { type: 'insert', tokens: b }];
+};
+
+/**
+ * Walk the Myers trace backwards to recover the edit script
+ */
+const backtrack = (a, b, trace) => {
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const snapshot = trace[d];
+        const getV = (k) => snapshot[k + d + 1];
+        const k = x - y;
+
+        let prevK;
+        if (k === -d || (k !== d && getV(k - 1) < getV(k + 1))) {
+            prevK = k + 1;
+        } else {
+            prevK = k - 1;
+        }
+
+        const prevX = getV(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            edits.push({ type: 'equal', tokens: [a[x - 1]] });
+            x--;
+            y--;
+        }
+
+        if (d > 0) {
+            if (x === prevX) {
+                edits.push({ type: 'insert', tokens: [b[y - 1]] });
+            } else {
+                edits.push({ type: 'delete', tokens: [a[x - 1]] });
+            }
+        }
+
+        x = prevX;
+        y = prevY;
+    }
+
+    return edits.reverse();
+};
+
+/**
+ * Diff two token arrays
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @param {Object} options - { maxEditDistance }
+ * @returns {Array} Merged diff operations ({ type: 'equal'|'insert'|'delete', tokens })
+ */
+const diffTokens = (a, b, options = {}) => {
+    const { maxEditDistance = MAX_EDIT_DISTANCE } = options;
+
+    // Trim common prefix and suffix before running the O(ND) search
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    return mergeOps([
+        { type: 'equal', tokens: a.slice(0, start) },
+        ...myersDiff(a.slice(start, endA), b.slice(start, endB), maxEditDistance),
+        { type: 'equal', tokens: a.slice(endA) }
+    ]);
+};
+
+const isTag = (token) => token.startsWith('<');
+
+/**
+ * Wrap text tokens of an insert/delete operation in <ins>/<del>
+ * Inserted tags are kept so the new structure renders; deleted tags are dropped
+ */
+const wrapChangedTokens = (tokens, wrapper) => {
+    let html = '';
+    let buffer = '';
+
+    const flush = () => {
+        if (buffer.trim()) {
+            html += `<${wrapper}>${buffer}</${wrapper}>`;
+        } else {
+            html += buffer;
+        }
+        buffer = '';
+    };
+
+    tokens.forEach(token => {
+        if (isTag(token)) {
+            flush();
+            if (wrapper === 'ins') {
+                html += token;
+            }
+        } else {
+            buffer += token;
+        }
+    });
+    flush();
+
+    return html;
+};
+
+/**
+ * Produce an inline HTML diff with <ins>/<del> markup
+ * @param {string} oldHtml - Previous content
+ * @param {string} newHtml - New content
+ * @returns {Object} { changed, html, stats: { insertions, deletions } }
+ */
+const diffHtml = (oldHtml = '', newHtml = '') => {
+    const ops = diffTokens(tokenize(oldHtml), tokenize(newHtml));
+    const countWords = (tokens) => tokens.filter(token => !isTag(token) && token.trim()).length;
+
+    let html = '';
+    let insertions = 0;
+    let deletions = 0;
+
+    ops.forEach(op => {
+        if (op.type === 'equal') {
+            html += op.tokens.join('');
+        } else if (op.type === 'insert') {
+            insertions += countWords(op.tokens);
+            html += wrapChangedTokens(op.tokens, 'ins');
+        } else {
+            deletions += countWords(op.tokens);
+            html += wrapChangedTokens(op.tokens, 'del');
+        }
+    });
+
+    return {
+        changed: ops.some(op => op.type !== 'equal'),
+        html,
+        stats: { insertions, deletions }
+    };
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Produce an inline diff of plain text, escaped so it is safe to render as HTML
+ * Markup typed into a text field is shown as text rather than interpreted
+ * @param {string} oldText - Previous value
+ * @param {string} newText - New value
+ * @returns {Object} { changed, html, stats: { insertions, deletions } }
+ */
+const diffText = (oldText = '', newText = '') => diffHtml(
+    oldText ? escapeHtml(oldText) : '',
+    newText ? escapeHtml(newText) : ''
+);
+
+/**
+ * Compare two lists of strings
+ * @returns {Object} { changed, added, removed }
+ */
+const diffLists = (before = [], after = []) => {
+    const added = after.filter(item => !before.includes(item));
+    const removed = before.filter(item => !after.includes(item));
+
+    return {
+        changed: added.length > 0 || removed.length > 0 || before.join('\u0000') !== after.join('\u0000'),
+        added,
+        removed
+    };
+};
+
+module.exports = {
+    MAX_EDIT_DISTANCE,
+    tokenize,
+    diffTokens,
+    diffHtml,
+    diffText,
+    diffLists
+};
@@ -30,7 +30,7 @@ const transports = [
             winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
             winston.format.colorize({ all: true }),
             winston.format.printf(
-                (info) => `${info.timestamp} ${info.level}: ${info.message}`
+                (info) => `${info.timestamp} ${info.level}: ${info.message}${info.category === 'security' ? ` ${JSON.stringify(info.details)}` : ''}`
             )
         ),
     }),
@@ -66,4 +66,14 @@ const logger = winston.createLogger({
     exitOnError: false,
 });
 
+/**
+ * Log a security event (failed logins, lockouts, ...) in a structured form
+ * @param {String} event - Event name, e.g. 'login_failed'
+ * @param {Object} details - Event data such as userId and ipAddress
+ * @param {String} level - Log level
+ */
+logger.security = (event, details = {}, level = 'warn') => {
+    logger.log(level, `Security event: ${event}`, { category: 'security', event, details });
+};
+
 module.exports = logger;
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const { parseSearchQuery, toTextSearch, canUseTextIndex, buildPrefixFilter } = require('./textSearch');
 
 /**
  * Query optimization utilities for improved database performance
@@ -77,94 +79,133 @@ const paginateQuery = async (model, filter = {}, options = {}) => {
     };
 };
 
+// Most values returned for the tag and author facets
+const MAX_FACET_VALUES = 20;
+
+// Month a blog counts as published in: its scheduled publish date, else when it was created
+const PUBLISH_DATE = { $ifNull: ['$publishAt', '$createdAt'] };
+
+// Users credited on a blog; older blogs saved before co-authors only have `author`
+const CREDITED_USERS = { $ifNull: ['$authors.user', ['$author']] };
+
 /**
- * Optimized blog search with text search and filters
- * @param {Object} searchParams - Search parameters
- * @returns {Object} Search results with pagination
+ * Filter for the blogs a user is credited on, in any role
+ * @param {ObjectId} userId - Credited user
+ * @returns {Object} Mongo filter
+ */
+const creditedToFilter = (userId) => ({
+    $or: [{ 'authors.user': userId }, { authors: null, author: userId }]
+});
+
+// Publish month filter and facet values, e.g. '2025-03'
+const PUBLISH_MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Combine two blog filters, keeping the $and conditions of both
+ * @param {Object} base - Filter
+ * @param {Object} extra - Filter whose other keys take precedence
+ * @returns {Object} Combined filter
+ */
+const mergeFilters = (base, extra) => {
+    const merged = { ...base, ...extra };
+    const conditions = [...(base.$and || []), ...(extra.$and || [])];
+    if (conditions.length > 0) {
+        merged.$and = conditions;
+    }
+    return merged;
+};
+
+/**
+ * Count the blogs matching a filter by category, tag, author, status and publish month
+ * @param {Object} filter - Blog filter built by searchBlogs (values already cast)
+ * @returns {Object} { category, tags, author, status, month }, each [{ value, label, count }]
  */
-// const searchBlogs = async (searchParams = {}) => {
-//     const {
-//         query,
-//         category,
-//         tags,
-//         status,
-//         featured,
-//         author,
-//         page = 1,
-//         limit = 10,
-//         sortBy = 'createdAt',
-//         sortOrder = 'desc'
-//     } = searchParams;
-
-//     // Build filter object
-//     const filter = { status };
-
-//     // Add text search if query provided
-//     if (query && query.trim()) {
-//         try {
-//             filter.$text = { $search: query.trim() };
-//         } catch (error) {
-//             // Fallback to regex search if text index is not available
-//             filter.$or = [
-//                 { title: { $regex: query.trim(), $options: 'i' } },
-//                 { content: { $regex: query.trim(), $options: 'i' } },
-//                 { excerpt: { $regex: query.trim(), $options: 'i' } }
-//             ];
-//         }
-//     }
-
-//     // Add category filter
-//     if (category) {
-//         filter.category = category;
-//     }
-
-//     // Add tags filter
-//     if (tags && tags.length > 0) {
-//         filter.tags = { $in: Array.isArray(tags) ? tags : [tags] };
-//     }
-
-//     // Add featured filter
-//     if (featured !== undefined) {
-//         filter.featured = featured === 'true' || featured === true;
-//     }
-
-//     // Add author filter
-//     if (author) {
-//         filter.author = mongoose.Types.ObjectId(author);
-//     }
-
-//     // Build sort object
-//     const sort = {};
-//     if (query && query.trim()) {
-//         // If text search, sort by text score first, then by specified field
-//         sort.score = { $meta: 'textScore' };
-//         sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-//     } else {
-//         sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-//     }
-
-//     // Optimized field selection for blog list
-//     const select = 'title slug excerpt coverImage category tags status featured readingTime viewCount likeCount author createdAt updatedAt';
-
-//     // Population for author info
-//     const populate = {
-//         path: 'author',
-//         select: 'username profile.firstName profile.lastName profile.avatar',
-//         options: { lean: true }
-//     };
-
-//     const Blog = mongoose.model('Blog');
-//     return await paginateQuery(Blog, filter, {
-//         page,
-//         limit,
-//         sort,
-//         select,
-//         populate,
-//         lean: true
-//     });
-// };
+const getBlogFacets = async (filter) => {
+    const Blog = mongoose.model('Blog');
+    const byCount = { $sort: { count: -1, _id: 1 } };
+
+    const [facets] = await Blog.aggregate([
+        // A copy, since the soft-delete hook adds to the first $match
+        { $match: { ...filter } },
+        {
+            $facet: {
+                category: [
+                    { $group: { _id: '$category', count: { $sum: 1 } } },
+                    byCount,
+                    {
+                        $lookup: {
+                            from: 'categories',
+                            localField: '_id',
+                            foreignField: '_id',
+                            as: 'category',
+                            pipeline: [{ $project: { name: 1, slug: 1 } }]
+                        }
+                    },
+                    { $unwind: '$category' }
+                ],
+                tags: [
+                    { $unwind: '$tags' },
+                    { $group: { _id: '$tags', count: { $sum: 1 } } },
+                    byCount,
+                    { $limit: MAX_FACET_VALUES }
+                ],
+                author: [
+                    // Every credited author counts the blog, not only the primary one
+                    { $project: { credited: CREDITED_USERS } },
+                    { $unwind: '$credited' },
+                    { $group: { _id: '$credited', count: { $sum: 1 } } },
+                    byCount,
+                    { $limit: MAX_FACET_VALUES },
+                    {
+                        $lookup: {
+                            from: 'users',
+                            localField: '_id',
+                            foreignField: '_id',
+                            as: 'author',
+                            pipeline: [{ $project: { username: 1, 'profile.firstName': 1, 'profile.lastName': 1 } }]
+                        }
+                    },
+                    { $unwind: '$author' }
+                ],
+                status: [
+                    { $group: { _id: '$status', count: { $sum: 1 } } },
+                    byCount
+                ],
+                month: [
+                    { $group: { _id: { $dateToString: { format: '%Y-%m', date: PUBLISH_DATE } }, count: { $sum: 1 } } },
+                    // Newest month first
+                    { $sort: { _id: -1 } }
+                ]
+            }
+        }
+    ]);
 
+    const authorName = ({ username, profile = {} }) =>
+        [profile.firstName, profile.lastName].filter(Boolean).join(' ') || username;
 
+    return {
+        category: facets.category.map(({ category, count }) => ({ value: category.slug, label: category.name, count })),
+        tags: facets.tags.map(({ _id, count }) => ({ value: _id, label: _id, count })),
+        author: facets.author.map(({ _id, author, count }) => ({ value: _id.toString(), label: authorName(author), count })),
+        status: facets.status.map(({ _id, count }) => ({ value: _id, label: _id, count })),
+        month: facets.month.map(({ _id, count }) => ({ value: _id, label: _id, count }))
+    };
+};
+
+// Include all fields including content for admin panel
+const BLOG_LIST_FIELDS =
+    'title slug excerpt content coverImage category tags status featured publishAt unpublishAt readingTime viewCount likeCount author authors createdAt updatedAt seoMetadata';
+
+/**
+ * Optimized blog search with text search and filters
+ * A query uses the weighted text index ("exact phrase" and -excluded terms included);
+ * partial words, and queries the index finds nothing for, fall back to word-prefix matching.
+ * Sort by 'relevance' to rank text matches by textScore. With facets, the same filter is
+ * also counted by category, tag, author, status and publish month
+ * @param {Object} searchParams - Search parameters
+ * @returns {Object} Search results with pagination, searchMode ('text', 'prefix' or null),
+ * and facets when requested
+ */
 const searchBlogs = async (searchParams = {}) => {
     const {
         query,
@@ -174,6 +215,10 @@ const searchBlogs = async (searchParams = {}) => {
         featured,
         author,
         exclude, // add exclude support
+        month, // publish month, 'YYYY-MM'
+        includeSubcategories = true, // a category filter also matches its descendants
+        facets = false,
+        select = BLOG_LIST_FIELDS,
         page = 1,
         limit = 10,
         sortBy = 'createdAt',
@@ -188,19 +233,14 @@ const searchBlogs = async (searchParams = {}) => {
         filter.status = status;
     }
 
-    // Add text search if query provided
-    if (query && query.trim()) {
-        // Use regex search for better compatibility
-        filter.$or = [
-            { title: { $regex: query.trim(), $options: 'i' } },
-            { content: { $regex: query.trim(), $options: 'i' } },
-            { excerpt: { $regex: query.trim(), $options: 'i' } }
-        ];
-    }
-
-    // Add category filter
+    // Add category filter (by name, slug or ID; unknown categories match no blogs)
     if (category) {
-        filter.category = category;
+        if (includeSubcategories) {
+            filter.category = { $in: await Category.getSubtreeIds(category) };
+        } else {
+            const found = await Category.findByReference(category).select('_id');
+            filter.category = found ? found._id : { $in: [] };
+        }
     }
 
     // Add tags filter
@@ -213,40 +253,85 @@ const searchBlogs = async (searchParams = {}) => {
         filter.featured = featured === 'true' || featured === true;
     }
 
-    // Add author filter
+    // Add author filter (any credited author; older blogs only have the primary author)
     if (author) {
-        filter.author = mongoose.Types.ObjectId(author);
+        filter.$and = [creditedToFilter(new mongoose.Types.ObjectId(author))];
     }
 
     // Add exclude filter
     if (exclude) {
-        filter._id = { $ne: exclude };
+        filter._id = { $ne: new mongoose.Types.ObjectId(exclude) };
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // Add publish month filter (see PUBLISH_DATE)
+    if (month) {
+        const [year, monthIndex] = month.split('-').map(Number);
+        const range = {
+            $gte: new Date(Date.UTC(year, monthIndex - 1, 1)),
+            $lt: new Date(Date.UTC(year, monthIndex, 1))
+        };
+        filter.$or = [{ publishAt: range }, { publishAt: null, createdAt: range }];
+    }
 
-    // Include all fields including content for admin panel
-    const select =
-        'title slug excerpt content coverImage category tags status featured readingTime viewCount likeCount author createdAt updatedAt seoMetadata';
+    // Build sort object; relevance only applies to text matches, so newest first otherwise
+    const sort = {};
+    if (sortBy === 'relevance') {
+        sort.createdAt = -1;
+    } else {
+        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    }
 
-    // Population for author info
-    const populate = {
-        path: 'author',
-        select: 'username profile.firstName profile.lastName profile.avatar',
-        options: { lean: true }
-    };
+    // Population for author and co-author info
+    const populate = [
+        {
+            path: 'author',
+            select: 'username profile.firstName profile.lastName profile.avatar',
+            options: { lean: true }
+        },
+        {
+            path: 'authors.user',
+            select: 'username profile.firstName profile.lastName profile.avatar',
+            options: { lean: true }
+        }
+    ];
 
     const Blog = mongoose.model('Blog');
-    return await paginateQuery(Blog, filter, {
-        page,
-        limit,
-        sort,
-        select,
-        populate,
-        lean: true
-    });
+    const parsed = query && query.trim() ? parseSearchQuery(query) : null;
+
+    if (parsed && canUseTextIndex(parsed)) {
+        const textFilter = { ...filter, $text: { $search: toTextSearch(parsed) } };
+        const score = { $meta: 'textScore' };
+        const [result, facetCounts] = await Promise.all([
+            paginateQuery(Blog, textFilter, {
+                page,
+                limit,
+                sort: sortBy === 'relevance' ? { score, ...sort } : sort,
+                // Fields as an object, so the score can be returned with them
+                select: { ...Object.fromEntries(select.split(/\s+/).map(field => [field, 1])), score },
+                populate,
+                lean: true
+            }),
+            facets ? getBlogFacets(textFilter) : null
+        ]);
+
+        if (result.pagination.total > 0) {
+            return { ...result, searchMode: 'text', ...(facets && { facets: facetCounts }) };
+        }
+    }
+
+    const finalFilter = parsed ? mergeFilters(filter, buildPrefixFilter(parsed)) : filter;
+    const [result, facetCounts] = await Promise.all([
+        paginateQuery(Blog, finalFilter, {
+            page,
+            limit,
+            sort,
+            select,
+            populate,
+            lean: true
+        }),
+        facets ? getBlogFacets(finalFilter) : null
+    ]);
+    return { ...result, searchMode: parsed ? 'prefix' : null, ...(facets && { facets: facetCounts }) };
 };
 
 /**
@@ -263,7 +348,7 @@ const getRelatedBlogs = async (blog, limit = 5) => {
         _id: { $ne: blog._id },
         status: 'published',
         $or: [
-            { category: blog.category },
+            { category: blog.category?._id || blog.category },
             { tags: { $in: blog.tags || [] } }
         ]
     };
@@ -294,7 +379,8 @@ const getPopularBlogs = async (options = {}) => {
 
     // Add category filter if specified
     if (category) {
-        filter.category = category;
+        const found = await Category.findByReference(category).select('_id');
+        filter.category = found ? found._id : { $in: [] };
     }
 
     // Add timeframe filter if specified
@@ -426,9 +512,17 @@ const getCategoryStatistics = async () => {
                 avgReadingTime: { $avg: '$readingTime' }
             }
         },
+        {
+            $lookup: {
+                from: 'categories',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'category'
+            }
+        },
         {
             $project: {
-                category: '$_id',
+                category: { $ifNull: [{ $arrayElemAt: ['$category.name', 0] }, null] },
                 count: 1,
                 totalViews: 1,
                 totalLikes: 1,
@@ -444,7 +538,11 @@ const getCategoryStatistics = async () => {
 
 module.exports = {
     paginateQuery,
+    PUBLISH_MONTH_PATTERN,
+    CREDITED_USERS,
+    creditedToFilter,
     searchBlogs,
+    getBlogFacets,
     getRelatedBlogs,
     getPopularBlogs,
     monitorQuery,
@@ -0,0 +1,215 @@
+/**
+ * Full-text search utilities for blogs
+ * Parses the search syntax the text index understands ("exact phrase", -excluded),
+ * builds the prefix fallback filter, and highlights matched terms in snippets
+ */
+
+// Queries whose terms are all shorter than this skip the text index, which only matches whole words
+const MIN_TEXT_TERM_LENGTH = 3;
+
+// Characters of blog content shown around the first match
+const SNIPPET_LENGTH = 200;
+
+// Fields the prefix fallback searches; the text index also covers SEO keywords
+const FALLBACK_FIELDS = ['title', 'excerpt', 'content'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Words in a phrase may be separated by any whitespace in the source
+const phrasePattern = (phrase) => phrase.split(/\s+/).map(escapeRegex).join('\\s+');
+
+/**
+ * Split a search query into terms, quoted phrases and excluded terms
+ * @param {string} query - Raw query, e.g. 'denial "prior authorization" -medicare'
+ * @returns {Object} { terms, phrases, excluded }
+ */
+const parseSearchQuery = (query = '') => {
+    const terms = [];
+    const phrases = [];
+    const excluded = [];
+
+    const tokens = String(query).match(/-?"[^"]*"?|\S+/g) || [];
+    tokens.forEach(token => {
+        const negated = token.startsWith('-');
+        const body = negated ? token.slice(1) : token;
+
+        if (body.startsWith('"')) {
+            const phrase = body.replace(/"/g, '').trim().replace(/\s+/g, ' ');
+            if (phrase) (negated ? excluded : phrases).push(phrase);
+            return;
+        }
+
+        const term = body.replace(/"/g, '');
+        if (term) (negated ? excluded : terms).push(term);
+    });
+
+    return { terms, phrases, excluded };
+};
+
+/**
+ * Rebuild a normalized $search string for the text index
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {string} Search string
+ */
+const toTextSearch = ({ terms, phrases, excluded }) => [
+    ...terms,
+    ...phrases.map(phrase => `"${phrase}"`),
+    ...excluded.map(term => (term.includes(' ') ? `-"${term}"` : `-${term}`))
+].join(' ');
+
+/**
+ * Whether the text index can answer a query; partial words like "cardi" need the prefix fallback
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {boolean}
+ */
+const canUseTextIndex = ({ terms, phrases }) => phrases.length > 0 ||
+    terms.some(term => term.length >= MIN_TEXT_TERM_LENGTH);
+
+/**
+ * Build a filter that matches terms and phrases at the start of a word
+ * Every term and phrase must match one of the fields; excluded terms must match none
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} Mongo filter
+ */
+const buildPrefixFilter = ({ terms, phrases, excluded }) => {
+    const anyField = (pattern) => FALLBACK_FIELDS.map(field => ({
+        [field]: { $regex: `\\b${pattern}`, $options: 'i' }
+    }));
+
+    const filter = {};
+    const required = [...terms.map(escapeRegex), ...phrases.map(phrasePattern)];
+    if (required.length > 0) {
+        filter.$and = required.map(pattern => ({ $or: anyField(pattern) }));
+    }
+    if (excluded.length > 0) {
+        filter.$nor = excluded.flatMap(term => anyField(`${phrasePattern(term)}\\b`));
+    }
+    return filter;
+};
+
+/**
+ * Build a regex matching the words a query found
+ * The text index stems words, so a term also highlights longer forms of its stem
+ * ("billing" highlights "bills" and "billed")
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {RegExp|null} Global, case-insensitive regex, or null when nothing can match
+ */
+const buildHighlightPattern = ({ terms, phrases }) => {
+    const stem = (term) => {
+        const stemmed = term.replace(/(ing|ed|es|s)$/i, '');
+        return stemmed.length >= MIN_TEXT_TERM_LENGTH ? stemmed : term;
+    };
+
+    const patterns = [
+        // Longest first, so a phrase wins over a term inside it
+        ...phrases.map(phrasePattern).sort((a, b) => b.length - a.length),
+        ...terms.map(term => `${escapeRegex(stem(term))}\\w*`)
+    ];
+    return patterns.length > 0 ? new RegExp(`\\b(?:${patterns.join('|')})`, 'gi') : null;
+};
+
+/**
+ * Escape text and wrap matches in <mark>
+ * @param {string} text - Plain text
+ * @param {RegExp|null} pattern - Result of buildHighlightPattern
+ * @returns {string} Safe HTML
+ */
+const markMatches = (text, pattern) => {
+    if (!pattern) return escapeHtml(text);
+
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        html += escapeHtml(text.slice(last, match.index));
+        html += `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+};
+
+/**
+ * Reduce HTML content to plain text
+ * @param {string} html - Blog content
+ * @returns {string} Text with tags removed and whitespace collapsed
+ */
+const toPlainText = (html = '') => String(html)
+    // Inline tags sit inside words and sentences; other tags separate text
+    .replace(/<\/?(?:a|b|strong|i|em|u|s|span|mark|code|sub|sup)\b[^>]*>/gi, '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Cut a window of text around the first match
+ * @param {string} text - Plain text
+ * @param {RegExp|null} pattern - Result of buildHighlightPattern
+ * @param {number} length - Snippet length in characters
+ * @returns {string} Snippet, with an ellipsis where the text was cut
+ */
+const buildSnippet = (text, pattern, length = SNIPPET_LENGTH) => {
+    if (text.length <= length) return text;
+
+    let start = 0;
+    if (pattern) {
+        pattern.lastIndex = 0;
+        const match = pattern.exec(text);
+        pattern.lastIndex = 0;
+        // Show some context before the match
+        if (match) start = Math.max(0, match.index - Math.floor(length / 4));
+    }
+    start = Math.min(start, text.length - length);
+
+    // Do not cut words in half
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space === -1 || space > start + 20 ? start : space + 1;
+    }
+    let end = Math.min(text.length, start + length);
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > start ? space : end;
+    }
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Highlight a search query in a blog's title, excerpt and content
+ * @param {Object} blog - Blog with title, excerpt and content
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} { title, excerpt, snippet } as HTML with matches wrapped in <mark>
+ */
+const highlightBlog = (blog, parsed) => {
+    const pattern = buildHighlightPattern(parsed);
+    return {
+        title: markMatches(blog.title || '', pattern),
+        excerpt: markMatches(blog.excerpt || '', pattern),
+        snippet: markMatches(buildSnippet(toPlainText(blog.content), pattern), pattern)
+    };
+};
+
+module.exports = {
+    MIN_TEXT_TERM_LENGTH,
+    SNIPPET_LENGTH,
+    parseSearchQuery,
+    toTextSearch,
+    canUseTextIndex,
+    buildPrefixFilter,
+    buildHighlightPattern,
+    markMatches,
+    toPlainText,
+    buildSnippet,
+    highlightBlog
+};
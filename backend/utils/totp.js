@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator apps
+ * Codes are 6 digits, HMAC-SHA1, 30 second steps
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode a base32 string, ignoring spaces, padding and case
+ * @param {String} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+    const cleaned = input.replace(/[\s=]/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret (160 bits)
+ * @returns {String} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step for a timestamp
+ * @param {Number} timestamp - Milliseconds since epoch
+ * @returns {Number} Time step counter
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the code for a time step (HOTP, RFC 4226)
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step counter
+ * @returns {String} Zero padded code
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} options - { window: steps accepted either side, timestamp }
+ * @returns {Number|null} Matching time step, or null if the code is invalid
+ */
+const verifyCode = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const currentStep = getTimeStep(timestamp);
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build the otpauth:// URI scanned by authenticator apps
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {String} otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri
+};
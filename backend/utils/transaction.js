@@ -0,0 +1,53 @@
+/**
+ * MongoDB transaction helper
+ * Transactions need a replica set or sharded cluster; standalone servers
+ * (local development, in-memory test servers) run the same writes without one
+ */
+
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+let transactionsSupported = null;
+
+/**
+ * Check once whether the connected deployment supports transactions
+ * @returns {Promise<boolean>}
+ */
+const supportsTransactions = async () => {
+    if (transactionsSupported === null) {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+
+        if (!transactionsSupported) {
+            logger.warn('MongoDB deployment does not support transactions; multi-document writes are not atomic');
+        }
+    }
+    return transactionsSupported;
+};
+
+/**
+ * Run a unit of work in a transaction
+ * The work may be retried on transient errors, so it must not have side effects outside the database
+ * @param {Function} work - async (session) => result; pass the session to every query (null without transactions)
+ * @returns {Promise<*>} Result of the work
+ */
+const withTransaction = async (work) => {
+    if (!(await supportsTransactions())) {
+        return work(null);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = {
+    withTransaction
+};